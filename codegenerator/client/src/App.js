@@ -1,21 +1,34 @@
-import React, { useState } from 'react';
-import { Upload, Code, Download, FileText, Globe, Zap, CheckCircle, AlertCircle, Brain } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Upload, Wand2, Code, Download, FileText, Globe, Zap, Terminal, Share2, Radio, Server, Layers, BookOpen, CheckCircle, AlertCircle, AlertTriangle, Brain, FileJson, Filter } from 'lucide-react';
 import FileUpload from './components/FileUpload';
 import LanguageSelector from './components/LanguageSelector';
 import CodePreview from './components/CodePreview';
 import EndpointList from './components/EndpointList';
 import AIInsights from './components/AIInsights';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
 import './App.css';
 
 function App() {
   const [selectedLanguage, setSelectedLanguage] = useState('node.js');
-  const [inputType, setInputType] = useState('swagger');
+  const [inputType, setInputType] = useState('auto');
+  const [detection, setDetection] = useState(null);
   const [uploadedFile, setUploadedFile] = useState(null);
+  const [bundleFiles, setBundleFiles] = useState([]);
+  const [rootFile, setRootFile] = useState('');
+  const [environmentFile, setEnvironmentFile] = useState(null);
+  const [operationFiles, setOperationFiles] = useState([]);
+  const [endpointUrl, setEndpointUrl] = useState('');
   const [rawContent, setRawContent] = useState('');
+  const [sourceUrl, setSourceUrl] = useState('');
   const [isGenerating, setIsGenerating] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isLoadingEndpoints, setIsLoadingEndpoints] = useState(false);
   const [generatedCode, setGeneratedCode] = useState(null);
   const [parsedEndpoints, setParsedEndpoints] = useState([]);
+  // operationIds to generate; null generates every endpoint
+  const [selectedOperationIds, setSelectedOperationIds] = useState(null);
   const [aiInsights, setAiInsights] = useState(null);
+  const [diagnostics, setDiagnostics] = useState(null);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('upload');
 
@@ -23,18 +36,90 @@ function App() {
     { id: 'node.js', name: 'Node.js', icon: '⚡' },
     { id: 'java', name: 'Java', icon: '☕' },
     { id: 'php', name: 'PHP', icon: '🐘' },
-    { id: 'go', name: 'Go', icon: '🐹' }
+    { id: 'go', name: 'Go', icon: '🐹' },
+    { id: 'typescript', name: 'TypeScript', icon: '🔷' },
+    { id: 'python', name: 'Python', icon: '🐍' },
+    { id: 'csharp', name: 'C#', icon: '🟣' },
+    { id: 'kotlin', name: 'Kotlin', icon: '🟪' },
+    { id: 'rust', name: 'Rust', icon: '🦀' }
   ];
 
   const inputTypes = [
+    { id: 'auto', name: 'Auto-detect', icon: <Wand2 className="w-5 h-5" /> },
     { id: 'swagger', name: 'Swagger/OpenAPI', icon: <FileText className="w-5 h-5" /> },
     { id: 'postman', name: 'Postman Collection', icon: <Globe className="w-5 h-5" /> },
-    { id: 'html', name: 'HTML Documentation', icon: <Code className="w-5 h-5" /> }
+    { id: 'html', name: 'HTML Documentation', icon: <Code className="w-5 h-5" /> },
+    { id: 'har', name: 'HAR Capture', icon: <Zap className="w-5 h-5" /> },
+    { id: 'curl', name: 'cURL Commands', icon: <Terminal className="w-5 h-5" /> },
+    { id: 'graphql', name: 'GraphQL Schema', icon: <Share2 className="w-5 h-5" /> },
+    { id: 'asyncapi', name: 'AsyncAPI', icon: <Radio className="w-5 h-5" /> },
+    { id: 'proto', name: 'Protocol Buffers', icon: <Server className="w-5 h-5" /> },
+    { id: 'raml', name: 'RAML', icon: <Layers className="w-5 h-5" /> },
+    { id: 'apiblueprint', name: 'API Blueprint', icon: <BookOpen className="w-5 h-5" /> },
+    { id: 'ir', name: 'Exported IR', icon: <FileJson className="w-5 h-5" /> }
   ];
 
+  const getInputTypeName = (id) => inputTypes.find(type => type.id === id)?.name || id;
+
+  // With auto-detection, type-specific options follow the type the server detected
+  const activeInputType = inputType === 'auto' && detection ? detection.inputType : inputType;
+
+  // A detection, and the endpoints selected from it, only describe the content they were made for
+  useEffect(() => {
+    setDetection(null);
+    setParsedEndpoints([]);
+    setSelectedOperationIds(null);
+  }, [uploadedFile, bundleFiles, rawContent, sourceUrl]);
+
+  const hasInput = Boolean(uploadedFile || bundleFiles.length > 0 || rawContent.trim() || sourceUrl.trim());
+
+  // The documentation and its options, as sent to both /api/generate and /api/ir/export
+  const buildFormData = () => {
+    const formData = new FormData();
+    formData.append('inputType', inputType);
+
+    if (uploadedFile) {
+      formData.append('file', uploadedFile);
+    } else if (bundleFiles.length > 0) {
+      // Relative paths let the server resolve $refs between the files
+      bundleFiles.forEach(bundleFile => formData.append('files', bundleFile, (bundleFile.path || bundleFile.name).replace(/^\.?\//, '')));
+    } else if (rawContent.trim()) {
+      formData.append('rawContent', rawContent);
+    } else {
+      formData.append('sourceUrl', sourceUrl.trim());
+    }
+
+    if (rootFile.trim() && (bundleFiles.length > 0 || uploadedFile)) {
+      formData.append('rootFile', rootFile.trim());
+    }
+
+    if (activeInputType === 'postman' && environmentFile) {
+      formData.append('environment', environmentFile);
+    }
+
+    if (activeInputType === 'graphql') {
+      operationFiles.forEach(operationFile => formData.append('operations', operationFile));
+      if (endpointUrl.trim()) {
+        formData.append('endpointUrl', endpointUrl.trim());
+      }
+    }
+
+    if (activeInputType === 'proto' && endpointUrl.trim()) {
+      formData.append('endpointUrl', endpointUrl.trim());
+    }
+
+    return formData;
+  };
+
+  const isSubsetSelected = selectedOperationIds !== null && selectedOperationIds.size < parsedEndpoints.length;
+
   const handleGenerate = async () => {
-    if (!uploadedFile && !rawContent.trim()) {
-      setError('Please provide either a file or raw content');
+    if (!hasInput) {
+      setError('Please provide a file, raw content or a URL to fetch');
+      return;
+    }
+    if (selectedOperationIds && selectedOperationIds.size === 0) {
+      setError('Please select at least one endpoint to generate');
       return;
     }
 
@@ -42,14 +127,10 @@ function App() {
     setError(null);
 
     try {
-      const formData = new FormData();
+      const formData = buildFormData();
       formData.append('language', selectedLanguage);
-      formData.append('inputType', inputType);
-      
-      if (uploadedFile) {
-        formData.append('file', uploadedFile);
-      } else {
-        formData.append('rawContent', rawContent);
+      if (isSubsetSelected) {
+        formData.append('endpointFilter', JSON.stringify({ operationIds: [...selectedOperationIds] }));
       }
 
       const response = await fetch('/api/generate', {
@@ -60,12 +141,14 @@ function App() {
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.error || 'Failed to generate code');
+        throw new Error(result.details ? `${result.error}: ${result.details}` : result.error || 'Failed to generate code');
       }
 
       setGeneratedCode(result.data.generatedCode);
       setParsedEndpoints(result.data.parsedEndpoints);
       setAiInsights(result.data.aiInsights);
+      setDiagnostics(result.data.diagnostics);
+      setDetection({ ...result.data.summary.detection, inputType: result.data.summary.inputType });
       setActiveTab('preview');
     } catch (err) {
       setError(err.message);
@@ -74,6 +157,83 @@ function App() {
     }
   };
 
+  // Parse the documentation without generating, so endpoints can be selected first
+  const handleLoadEndpoints = async () => {
+    if (!hasInput) {
+      setError('Please provide a file, raw content or a URL to fetch');
+      return;
+    }
+
+    setIsLoadingEndpoints(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/ir/export', {
+        method: 'POST',
+        body: buildFormData(),
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.details ? `${result.error}: ${result.details}` : result.error || 'Failed to parse the documentation');
+      }
+
+      setParsedEndpoints(result.data.ir.endpoints);
+      setSelectedOperationIds(new Set(result.data.ir.endpoints.map(endpoint => endpoint.operationId)));
+      setDiagnostics(result.data.ir.diagnostics || null);
+      setDetection({ ...result.data.summary.detection, inputType: result.data.summary.inputType });
+      setActiveTab('endpoints');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoadingEndpoints(false);
+    }
+  };
+
+  // Download the intermediate representation for editing; upload it again as "Exported IR" to regenerate
+  const handleExportIr = async () => {
+    if (!hasInput) {
+      setError('Please provide a file, raw content or a URL to fetch');
+      return;
+    }
+
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      const formData = buildFormData();
+      if (isSubsetSelected) {
+        formData.append('endpointFilter', JSON.stringify({ operationIds: [...selectedOperationIds] }));
+      }
+
+      const response = await fetch('/api/ir/export', {
+        method: 'POST',
+        body: formData,
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.details ? `${result.error}: ${result.details}` : result.error || 'Failed to export the IR');
+      }
+
+      const blob = new Blob([JSON.stringify(result.data.ir, null, 2)], { type: 'application/json' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${result.data.ir.title.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'api'}-ir.json`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const handleDownload = async () => {
     if (!generatedCode) return;
 
@@ -152,40 +312,55 @@ function App() {
               <Upload className="w-4 h-4 inline mr-2" />
               Upload & Configure
             </button>
+            {generatedCode && (
+              <button
+                onClick={() => setActiveTab('preview')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'preview'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300'
+                }`}
+              >
+                <Code className="w-4 h-4 inline mr-2" />
+                Generated Code
+              </button>
+            )}
+            {parsedEndpoints.length > 0 && (
+              <button
+                onClick={() => setActiveTab('endpoints')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'endpoints'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300'
+                }`}
+              >
+                <Globe className="w-4 h-4 inline mr-2" />
+                API Endpoints{isSubsetSelected ? ` (${selectedOperationIds.size}/${parsedEndpoints.length})` : ''}
+              </button>
+            )}
             {generatedCode && (
               <>
                 <button
-                  onClick={() => setActiveTab('preview')}
-                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
-                    activeTab === 'preview'
-                      ? 'border-primary-500 text-primary-600'
-                      : 'border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300'
-                  }`}
-                >
-                  <Code className="w-4 h-4 inline mr-2" />
-                  Generated Code
-                </button>
-                <button
-                  onClick={() => setActiveTab('endpoints')}
+                  onClick={() => setActiveTab('ai-insights')}
                   className={`py-2 px-1 border-b-2 font-medium text-sm ${
-                    activeTab === 'endpoints'
+                    activeTab === 'ai-insights'
                       ? 'border-primary-500 text-primary-600'
                       : 'border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300'
                   }`}
                 >
-                  <Globe className="w-4 h-4 inline mr-2" />
-                  API Endpoints
+                  <Brain className="w-4 h-4 inline mr-2" />
+                  AI Insights
                 </button>
                 <button
-                  onClick={() => setActiveTab('ai-insights')}
+                  onClick={() => setActiveTab('diagnostics')}
                   className={`py-2 px-1 border-b-2 font-medium text-sm ${
-                    activeTab === 'ai-insights'
+                    activeTab === 'diagnostics'
                       ? 'border-primary-500 text-primary-600'
                       : 'border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300'
                   }`}
                 >
-                  <Brain className="w-4 h-4 inline mr-2" />
-                  AI Insights
+                  <AlertTriangle className="w-4 h-4 inline mr-2" />
+                  Diagnostics{diagnostics && diagnostics.length > 0 ? ` (${diagnostics.length})` : ''}
                 </button>
               </>
             )}
@@ -242,6 +417,19 @@ function App() {
                     </label>
                   ))}
                 </div>
+                {detection && (
+                  <div className="mt-4 p-3 bg-slate-50 border border-slate-200 rounded-lg" title={detection.reasons.join('\n')}>
+                    <p className="text-sm text-slate-700">
+                      Parsed as <span className="font-medium">{getInputTypeName(detection.inputType)}</span>
+                      {detection.type === detection.inputType && ` (${Math.round(detection.confidence * 100)}% confidence)`}
+                    </p>
+                    {detection.requestedType !== 'auto' && detection.requestedType !== detection.inputType && (
+                      <p className="text-xs text-slate-500 mt-1">
+                        The content is not {getInputTypeName(detection.requestedType)}, so the detected type was used instead
+                      </p>
+                    )}
+                  </div>
+                )}
               </div>
 
               {/* Language Selection */}
@@ -255,9 +443,21 @@ function App() {
               <FileUpload
                 uploadedFile={uploadedFile}
                 onFileUpload={setUploadedFile}
+                bundleFiles={bundleFiles}
+                onBundleFilesChange={setBundleFiles}
+                rootFile={rootFile}
+                onRootFileChange={setRootFile}
                 rawContent={rawContent}
                 onRawContentChange={setRawContent}
-                inputType={inputType}
+                sourceUrl={sourceUrl}
+                onSourceUrlChange={setSourceUrl}
+                environmentFile={environmentFile}
+                onEnvironmentFileUpload={setEnvironmentFile}
+                operationFiles={operationFiles}
+                onOperationFilesChange={setOperationFiles}
+                endpointUrl={endpointUrl}
+                onEndpointUrlChange={setEndpointUrl}
+                inputType={activeInputType}
               />
             </div>
 
@@ -269,7 +469,7 @@ function App() {
                 <div className="space-y-4">
                   <button
                     onClick={handleGenerate}
-                    disabled={isGenerating || (!uploadedFile && !rawContent.trim())}
+                    disabled={isGenerating || !hasInput}
                     className="w-full bg-primary-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                   >
                     {isGenerating ? (
@@ -284,6 +484,30 @@ function App() {
                       </div>
                     )}
                   </button>
+
+                  {isSubsetSelected && (
+                    <p className="text-sm text-slate-600 text-center">
+                      Generating {selectedOperationIds.size} of {parsedEndpoints.length} endpoints
+                    </p>
+                  )}
+
+                  <button
+                    onClick={handleLoadEndpoints}
+                    disabled={isLoadingEndpoints || !hasInput}
+                    className="w-full bg-white text-slate-700 py-3 px-4 rounded-lg font-medium border border-slate-300 hover:bg-slate-50 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Filter className="w-5 h-5 inline mr-2" />
+                    {isLoadingEndpoints ? 'Loading Endpoints...' : 'Select Endpoints'}
+                  </button>
+
+                  <button
+                    onClick={handleExportIr}
+                    disabled={isExporting || !hasInput}
+                    className="w-full bg-white text-slate-700 py-3 px-4 rounded-lg font-medium border border-slate-300 hover:bg-slate-50 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <FileJson className="w-5 h-5 inline mr-2" />
+                    {isExporting ? 'Exporting...' : 'Export IR'}
+                  </button>
                   
                   {generatedCode && (
                     <button
@@ -344,12 +568,20 @@ function App() {
         )}
 
         {activeTab === 'endpoints' && parsedEndpoints.length > 0 && (
-          <EndpointList endpoints={parsedEndpoints} />
+          <EndpointList
+            endpoints={parsedEndpoints}
+            selectedOperationIds={selectedOperationIds}
+            onSelectionChange={setSelectedOperationIds}
+          />
         )}
 
         {activeTab === 'ai-insights' && aiInsights && (
           <AIInsights aiInsights={aiInsights} language={selectedLanguage} />
         )}
+
+        {activeTab === 'diagnostics' && generatedCode && (
+          <DiagnosticsPanel diagnostics={diagnostics} inputType={detection && getInputTypeName(detection.inputType)} />
+        )}
       </main>
 
       {/* Footer */}
@@ -11,14 +11,20 @@ const CodePreview = ({ generatedCode, language }) => {
 
   const getLanguageFromFile = (fileName) => {
     if (fileName.endsWith('.js')) return 'javascript';
+    if (fileName.endsWith('.ts')) return 'typescript';
     if (fileName.endsWith('.java')) return 'java';
     if (fileName.endsWith('.php')) return 'php';
     if (fileName.endsWith('.go')) return 'go';
+    if (fileName.endsWith('.py')) return 'python';
+    if (fileName.endsWith('.cs')) return 'csharp';
+    if (fileName.endsWith('.kt') || fileName.endsWith('.kts')) return 'kotlin';
+    if (fileName.endsWith('.rs')) return 'rust';
     if (fileName.endsWith('.json')) return 'json';
-    if (fileName.endsWith('.xml')) return 'xml';
+    if (fileName.endsWith('.xml') || fileName.endsWith('.csproj')) return 'xml';
     if (fileName.endsWith('.md')) return 'markdown';
     if (fileName.endsWith('.yml') || fileName.endsWith('.yaml')) return 'yaml';
     if (fileName.endsWith('.properties')) return 'properties';
+    if (fileName.endsWith('.toml')) return 'toml';
     if (fileName.endsWith('.env')) return 'bash';
     return 'text';
   };
@@ -0,0 +1,86 @@
+import React from 'react';
+import { AlertTriangle, AlertCircle, Info, CheckCircle } from 'lucide-react';
+
+const DiagnosticsPanel = ({ diagnostics, inputType }) => {
+  const severities = [
+    { id: 'error', name: 'Errors', icon: <AlertCircle className="w-4 h-4 text-red-500" />, color: 'bg-red-100 text-red-800 border-red-200' },
+    { id: 'warning', name: 'Warnings', icon: <AlertTriangle className="w-4 h-4 text-yellow-500" />, color: 'bg-yellow-100 text-yellow-800 border-yellow-200' },
+    { id: 'info', name: 'Info', icon: <Info className="w-4 h-4 text-blue-500" />, color: 'bg-blue-100 text-blue-800 border-blue-200' }
+  ];
+
+  // Only parsers that lint their input report diagnostics
+  if (!diagnostics) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6">
+        <div className="text-center text-slate-500">
+          <Info className="w-12 h-12 mx-auto mb-4 text-slate-300" />
+          <p>Diagnostics are not available for {inputType || 'this'} input.</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (diagnostics.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6">
+        <div className="text-center text-slate-500">
+          <CheckCircle className="w-12 h-12 mx-auto mb-4 text-green-400" />
+          <p>No problems found in the parsed documentation.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-semibold text-slate-900">Parse Diagnostics</h2>
+        <div className="flex items-center space-x-4 text-sm text-slate-600">
+          {severities.map(severity => (
+            <div key={severity.id} className="flex items-center space-x-1">
+              {severity.icon}
+              <span>{diagnostics.filter(diagnostic => diagnostic.severity === severity.id).length} {severity.name.toLowerCase()}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-6">
+        {severities.map(severity => {
+          const entries = diagnostics.filter(diagnostic => diagnostic.severity === severity.id);
+          if (entries.length === 0) return null;
+
+          return (
+            <div key={severity.id}>
+              <h3 className="text-sm font-medium text-slate-900 mb-3">{severity.name}</h3>
+              <div className="space-y-3">
+                {entries.map((diagnostic, index) => (
+                  <div key={index} className="border border-slate-200 rounded-lg p-4">
+                    <div className="flex items-start space-x-3">
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded border ${severity.color}`}>
+                        {diagnostic.code}
+                      </span>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm text-slate-900">{diagnostic.message}</p>
+                        <p className="mt-1 font-mono text-xs text-slate-500 break-all">
+                          {diagnostic.pointer || diagnostic.selector}
+                        </p>
+                        {diagnostic.fix && (
+                          <p className="mt-2 text-sm text-slate-600">
+                            <span className="font-medium">Fix:</span> {diagnostic.fix}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
\ No newline at end of file
@@ -1,8 +1,15 @@
 import React, { useState } from 'react';
-import { ChevronDown, ChevronRight, Globe, Shield, Code } from 'lucide-react';
+import { ChevronDown, ChevronRight, Globe, Shield, Code, Filter } from 'lucide-react';
 
-const EndpointList = ({ endpoints }) => {
+// Selection is optional: without onSelectionChange the list is read-only
+const EndpointList = ({ endpoints, selectedOperationIds, onSelectionChange }) => {
   const [expandedEndpoints, setExpandedEndpoints] = useState(new Set());
+  const [tagFilter, setTagFilter] = useState('');
+  const [pathPrefix, setPathPrefix] = useState('');
+  const [methodFilter, setMethodFilter] = useState(new Set());
+  const [deprecatedFilter, setDeprecatedFilter] = useState('include');
+
+  const selectable = Boolean(onSelectionChange);
 
   const toggleEndpoint = (index) => {
     const newExpanded = new Set(expandedEndpoints);
@@ -22,7 +29,10 @@ const EndpointList = ({ endpoints }) => {
       PATCH: 'bg-orange-100 text-orange-800 border-orange-200',
       DELETE: 'bg-red-100 text-red-800 border-red-200',
       OPTIONS: 'bg-purple-100 text-purple-800 border-purple-200',
-      HEAD: 'bg-gray-100 text-gray-800 border-gray-200'
+      HEAD: 'bg-gray-100 text-gray-800 border-gray-200',
+      PUBLISH: 'bg-teal-100 text-teal-800 border-teal-200',
+      SUBSCRIBE: 'bg-indigo-100 text-indigo-800 border-indigo-200',
+      GRPC: 'bg-cyan-100 text-cyan-800 border-cyan-200'
     };
     return colors[method.toUpperCase()] || 'bg-gray-100 text-gray-800 border-gray-200';
   };
@@ -40,6 +50,52 @@ const EndpointList = ({ endpoints }) => {
     return authTypes[authMethod.toLowerCase()] || <Shield className="w-4 h-4 text-gray-500" />;
   };
 
+  // Endpoints read from HTML documentation carry a confidence score between 0 and 1
+  const getConfidenceColor = (score) => {
+    if (score >= 0.75) return 'bg-green-100 text-green-800 border-green-200';
+    if (score >= 0.5) return 'bg-yellow-100 text-yellow-800 border-yellow-200';
+    return 'bg-red-100 text-red-800 border-red-200';
+  };
+
+  // Security requirements are alternatives; schemes within one apply together
+  const getSecurityLabel = (endpoint) => {
+    if (!endpoint.security) return endpoint.authMethod;
+    if (endpoint.security.length === 0) return null;
+
+    return endpoint.security
+      .map(requirement => Object.keys(requirement).join(' + ') || 'optional')
+      .join(' | ');
+  };
+
+  const toggleMethod = (method) => {
+    const newMethods = new Set(methodFilter);
+    if (newMethods.has(method)) {
+      newMethods.delete(method);
+    } else {
+      newMethods.add(method);
+    }
+    setMethodFilter(newMethods);
+  };
+
+  // Same matching as the server's endpoint filter: tags ignore case, path prefixes match whole segments
+  const matchesFilters = (endpoint) => {
+    if (tagFilter && !(endpoint.tags || []).some(tag => tag.toLowerCase() === tagFilter.toLowerCase())) return false;
+    if (methodFilter.size > 0 && !methodFilter.has(endpoint.method)) return false;
+    if (deprecatedFilter === 'exclude' && endpoint.deprecated) return false;
+    if (deprecatedFilter === 'only' && !endpoint.deprecated) return false;
+
+    const prefix = pathPrefix.trim().replace(/^\/+|\/+$/g, '');
+    return !prefix || endpoint.path === `/${prefix}` || endpoint.path.startsWith(`/${prefix}/`);
+  };
+
+  const isSelected = (endpoint) => !selectedOperationIds || selectedOperationIds.has(endpoint.operationId);
+
+  const updateSelection = (operationIds, selected) => {
+    const newSelection = new Set(selectedOperationIds || endpoints.map(endpoint => endpoint.operationId));
+    operationIds.forEach(operationId => (selected ? newSelection.add(operationId) : newSelection.delete(operationId)));
+    onSelectionChange(newSelection);
+  };
+
   if (!endpoints || endpoints.length === 0) {
     return (
       <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6">
@@ -51,6 +107,14 @@ const EndpointList = ({ endpoints }) => {
     );
   }
 
+  const tags = [...new Set(endpoints.flatMap(endpoint => endpoint.tags || []))].sort();
+  const methods = [...new Set(endpoints.map(endpoint => endpoint.method))];
+  // Indexes into endpoints, so expanded rows stay expanded while the filters change
+  const visibleEndpoints = endpoints
+    .map((endpoint, index) => ({ endpoint, index }))
+    .filter(({ endpoint }) => matchesFilters(endpoint));
+  const selectedCount = endpoints.filter(isSelected).length;
+
   return (
     <div className="space-y-4">
       <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6">
@@ -58,12 +122,86 @@ const EndpointList = ({ endpoints }) => {
           <h2 className="text-xl font-semibold text-slate-900">API Endpoints</h2>
           <div className="flex items-center space-x-2 text-sm text-slate-600">
             <Globe className="w-4 h-4" />
-            <span>{endpoints.length} endpoints found</span>
+            <span>
+              {endpoints.length} endpoints found
+              {selectable && `, ${selectedCount} selected for generation`}
+            </span>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="mb-6 p-4 bg-slate-50 border border-slate-200 rounded-lg space-y-3">
+          <div className="flex items-center space-x-2 text-sm font-medium text-slate-900">
+            <Filter className="w-4 h-4" />
+            <span>Filter</span>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <select
+              value={tagFilter}
+              onChange={(e) => setTagFilter(e.target.value)}
+              className="px-3 py-2 text-sm border border-slate-300 rounded-lg bg-white"
+            >
+              <option value="">All tags</option>
+              {tags.map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={pathPrefix}
+              onChange={(e) => setPathPrefix(e.target.value)}
+              placeholder="Path prefix, e.g. /users"
+              className="px-3 py-2 text-sm font-mono border border-slate-300 rounded-lg"
+            />
+            <select
+              value={deprecatedFilter}
+              onChange={(e) => setDeprecatedFilter(e.target.value)}
+              className="px-3 py-2 text-sm border border-slate-300 rounded-lg bg-white"
+            >
+              <option value="include">Include deprecated</option>
+              <option value="exclude">Hide deprecated</option>
+              <option value="only">Only deprecated</option>
+            </select>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {methods.map(method => (
+              <button
+                key={method}
+                onClick={() => toggleMethod(method)}
+                className={`px-2 py-1 text-xs font-medium rounded border ${
+                  methodFilter.has(method) ? getMethodColor(method) : 'bg-white text-slate-500 border-slate-200'
+                }`}
+              >
+                {method}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center justify-between text-sm text-slate-600">
+            <span>Showing {visibleEndpoints.length} of {endpoints.length}</span>
+            {selectable && (
+              <div className="space-x-3">
+                <button
+                  onClick={() => updateSelection(visibleEndpoints.map(({ endpoint }) => endpoint.operationId), true)}
+                  className="text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  Select shown
+                </button>
+                <button
+                  onClick={() => updateSelection(visibleEndpoints.map(({ endpoint }) => endpoint.operationId), false)}
+                  className="text-slate-600 hover:text-slate-900 font-medium"
+                >
+                  Deselect shown
+                </button>
+              </div>
+            )}
           </div>
         </div>
 
         <div className="space-y-3">
-          {endpoints.map((endpoint, index) => (
+          {visibleEndpoints.length === 0 && (
+            <p className="text-center text-sm text-slate-500 py-6">No endpoints match the filters.</p>
+          )}
+          {visibleEndpoints.map(({ endpoint, index }) => (
             <div key={index} className="border border-slate-200 rounded-lg overflow-hidden">
               {/* Endpoint Header */}
               <div 
@@ -71,6 +209,17 @@ const EndpointList = ({ endpoints }) => {
                 onClick={() => toggleEndpoint(index)}
               >
                 <div className="flex items-center space-x-3">
+                  {selectable && (
+                    <input
+                      type="checkbox"
+                      checked={isSelected(endpoint)}
+                      onChange={(e) => updateSelection([endpoint.operationId], e.target.checked)}
+                      onClick={(e) => e.stopPropagation()}
+                      className="h-4 w-4 text-primary-600 border-slate-300 rounded"
+                      title="Generate this endpoint"
+                    />
+                  )}
+
                   {expandedEndpoints.has(index) ? (
                     <ChevronDown className="w-4 h-4 text-slate-500" />
                   ) : (
@@ -81,14 +230,27 @@ const EndpointList = ({ endpoints }) => {
                     {endpoint.method}
                   </span>
                   
-                  <span className="font-mono text-sm text-slate-900">{endpoint.path}</span>
+                  <span className={`font-mono text-sm ${endpoint.deprecated ? 'text-slate-500 line-through' : 'text-slate-900'}`}>{endpoint.path}</span>
+
+                  {endpoint.deprecated && (
+                    <span className="px-2 py-0.5 text-xs rounded border bg-gray-100 text-gray-700 border-gray-200">Deprecated</span>
+                  )}
                   
-                  {endpoint.authMethod && (
+                  {getSecurityLabel(endpoint) && (
                     <div className="flex items-center space-x-1">
-                      {getAuthIcon(endpoint.authMethod)}
-                      <span className="text-xs text-slate-600">{endpoint.authMethod}</span>
+                      {getAuthIcon(endpoint.authMethod || 'security')}
+                      <span className="text-xs text-slate-600">{getSecurityLabel(endpoint)}</span>
                     </div>
                   )}
+
+                  {endpoint.confidence && (
+                    <span
+                      className={`px-2 py-0.5 text-xs rounded border ${getConfidenceColor(endpoint.confidence.score)}`}
+                      title={endpoint.confidence.reasons.join('\n')}
+                    >
+                      {Math.round(endpoint.confidence.score * 100)}% confidence
+                    </span>
+                  )}
                 </div>
                 
                 <div className="flex items-center space-x-2 text-xs text-slate-500">
@@ -147,8 +309,34 @@ const EndpointList = ({ endpoints }) => {
                       </div>
                     )}
 
+                    {/* Message */}
+                    {endpoint.messaging && (
+                      <div className="md:col-span-2">
+                        <h4 className="text-sm font-medium text-slate-900 mb-3">
+                          Message ({[endpoint.messaging.protocol, endpoint.messaging.contentType].filter(Boolean).join(', ')})
+                        </h4>
+                        <div className="p-3 bg-slate-50 rounded border">
+                          <pre className="text-xs text-slate-700 whitespace-pre-wrap">
+                            {JSON.stringify(endpoint.messaging.messages.map(message => ({ name: message.name, payload: message.payload })), null, 2)}
+                          </pre>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* RPC */}
+                    {endpoint.grpc && (
+                      <div className="md:col-span-2">
+                        <h4 className="text-sm font-medium text-slate-900 mb-3">RPC</h4>
+                        <div className="p-3 bg-slate-50 rounded border text-sm text-slate-700">
+                          <code>
+                            {endpoint.grpc.method}({endpoint.grpc.requestStream ? 'stream ' : ''}{endpoint.grpc.requestType.fullName}) returns ({endpoint.grpc.responseStream ? 'stream ' : ''}{endpoint.grpc.responseType.fullName})
+                          </code>
+                        </div>
+                      </div>
+                    )}
+
                     {/* Request Body */}
-                    {endpoint.requestBody && (
+                    {endpoint.requestBody && !endpoint.messaging && (
                       <div className="md:col-span-2">
                         <h4 className="text-sm font-medium text-slate-900 mb-3">Request Body</h4>
                         <div className="p-3 bg-slate-50 rounded border">
@@ -159,6 +347,20 @@ const EndpointList = ({ endpoints }) => {
                       </div>
                     )}
 
+                    {/* Detection */}
+                    {endpoint.confidence && (
+                      <div className="md:col-span-2">
+                        <h4 className="text-sm font-medium text-slate-900 mb-3">
+                          Detection ({Math.round(endpoint.confidence.score * 100)}% confidence)
+                        </h4>
+                        <ul className="space-y-1 text-xs text-slate-600 list-disc list-inside">
+                          {endpoint.confidence.reasons.map((reason, reasonIndex) => (
+                            <li key={reasonIndex}>{reason}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
                     {/* Response */}
                     {endpoint.response && (
                       <div className="md:col-span-2">
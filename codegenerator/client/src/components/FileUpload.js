@@ -2,38 +2,67 @@ import React, { useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { Upload, X, FileText } from 'lucide-react';
 
-const FileUpload = ({ uploadedFile, onFileUpload, rawContent, onRawContentChange, inputType }) => {
+const FileUpload = ({ uploadedFile, onFileUpload, bundleFiles, onBundleFilesChange, rootFile, onRootFileChange, rawContent, onRawContentChange, sourceUrl, onSourceUrlChange, environmentFile, onEnvironmentFileUpload, operationFiles, onOperationFilesChange, endpointUrl, onEndpointUrlChange, inputType }) => {
+  // Several files dropped together (or a dropped folder) form a multi-file bundle
   const onDrop = useCallback((acceptedFiles) => {
-    if (acceptedFiles.length > 0) {
+    if (acceptedFiles.length > 1) {
+      onFileUpload(null);
+      onBundleFilesChange(acceptedFiles);
+    } else if (acceptedFiles.length > 0) {
+      onBundleFilesChange([]);
       onFileUpload(acceptedFiles[0]);
     }
-  }, [onFileUpload]);
+    onRootFileChange('');
+  }, [onFileUpload, onBundleFilesChange, onRootFileChange]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'application/json': ['.json'],
+      'application/json': ['.json', '.har'],
+      'application/x-yaml': ['.yaml', '.yml'],
       'text/html': ['.html', '.htm'],
-      'text/plain': ['.txt']
+      'text/plain': ['.txt'],
+      'application/x-sh': ['.sh'],
+      'application/graphql': ['.graphql', '.gql'],
+      'application/x-protobuf': ['.proto'],
+      'application/raml+yaml': ['.raml'],
+      'text/vnd.apiblueprint': ['.apib', '.md'],
+      'application/zip': ['.zip']
     },
-    multiple: false
+    multiple: true
   });
 
   const removeFile = () => {
     onFileUpload(null);
+    onBundleFilesChange([]);
+    onRootFileChange('');
   };
 
+  const hasUpload = !!uploadedFile || bundleFiles.length > 0;
+  const isZipUpload = !!uploadedFile && uploadedFile.name.toLowerCase().endsWith('.zip');
+  const getBundlePath = (file) => (file.path || file.name).replace(/^\.?\//, '');
+
   const getFileIcon = (fileName) => {
     if (fileName.endsWith('.json')) return '📄';
+    if (fileName.endsWith('.har')) return '📡';
+    if (fileName.endsWith('.yaml') || fileName.endsWith('.yml')) return '📄';
     if (fileName.endsWith('.html') || fileName.endsWith('.htm')) return '🌐';
     if (fileName.endsWith('.txt')) return '📝';
+    if (fileName.endsWith('.sh')) return '💻';
+    if (fileName.endsWith('.graphql') || fileName.endsWith('.gql')) return '🔷';
+    if (fileName.endsWith('.proto')) return '🧩';
+    if (fileName.endsWith('.raml')) return '📐';
+    if (fileName.endsWith('.apib') || fileName.endsWith('.md')) return '📘';
+    if (fileName.endsWith('.zip')) return '🗜️';
     return '📄';
   };
 
   const getPlaceholderText = () => {
     switch (inputType) {
+      case 'auto':
+        return 'Paste an OpenAPI/Swagger document, Postman collection, HAR capture, HTML page, cURL commands, GraphQL schema, AsyncAPI document, .proto file, RAML or API Blueprint here; its format is detected automatically';
       case 'swagger':
-        return `// Paste your Swagger/OpenAPI JSON here
+        return `// Paste your Swagger/OpenAPI JSON or YAML here
 {
   "openapi": "3.0.0",
   "info": {
@@ -86,6 +115,168 @@ const FileUpload = ({ uploadedFile, onFileUpload, rawContent, onRawContentChange
   <p>Create a new user</p>
 </body>
 </html>`;
+      case 'har':
+        return `// Paste your HAR capture here (DevTools > Network > Save all as HAR)
+{
+  "log": {
+    "version": "1.2",
+    "entries": [
+      {
+        "request": {
+          "method": "GET",
+          "url": "https://api.example.com/users/42",
+          "headers": []
+        },
+        "response": {
+          "status": 200,
+          "content": {
+            "mimeType": "application/json",
+            "text": "{\\"id\\": 42, \\"name\\": \\"Ada\\"}"
+          }
+        }
+      }
+    ]
+  }
+}`;
+      case 'curl':
+        return `# Paste one or more curl commands here
+curl https://api.example.com/v1/users/42 \\
+  -H "Authorization: Bearer YOUR_TOKEN"
+
+curl -X POST https://api.example.com/v1/users \\
+  -H "Authorization: Bearer YOUR_TOKEN" \\
+  -H "Content-Type: application/json" \\
+  -d '{"name": "Ada", "email": "ada@example.com"}'`;
+      case 'graphql':
+        return `# Paste your GraphQL SDL or introspection JSON here
+type Query {
+  user(id: ID!): User
+}
+
+type Mutation {
+  createUser(name: String!, email: String): User!
+}
+
+type User {
+  id: ID!
+  name: String!
+  email: String
+}`;
+      case 'asyncapi':
+        return `# Paste your AsyncAPI 2.x or 3.0 JSON or YAML here
+asyncapi: 3.0.0
+info:
+  title: Orders
+  version: 1.0.0
+channels:
+  orderCreated:
+    address: orders.{region}.created
+    parameters:
+      region: {}
+    messages:
+      OrderCreated:
+        payload:
+          type: object
+          properties:
+            orderId: { type: string }
+operations:
+  onOrderCreated:
+    action: send
+    channel:
+      $ref: '#/channels/orderCreated'`;
+      case 'proto':
+        return `// Paste your .proto file here
+syntax = "proto3";
+
+package users.v1;
+
+import "google/api/annotations.proto";
+
+service UserService {
+  rpc GetUser(GetUserRequest) returns (User) {
+    option (google.api.http) = { get: "/v1/users/{id}" };
+  }
+  rpc WatchUsers(GetUserRequest) returns (stream User);
+}
+
+message GetUserRequest {
+  string id = 1;
+}
+
+message User {
+  string id = 1;
+  string name = 2;
+}`;
+      case 'raml':
+        return `#%RAML 1.0
+title: Notes API
+baseUri: https://api.example.com/{version}
+version: v1
+types:
+  Note:
+    properties:
+      id: integer
+      title: string
+/notes:
+  get:
+    queryParameters:
+      limit?: integer
+    responses:
+      200:
+        body:
+          application/json:
+            type: Note[]
+  /{noteId}:
+    get:
+      responses:
+        200:
+          body:
+            application/json:
+              type: Note`;
+      case 'apiblueprint':
+        return `FORMAT: 1A
+HOST: https://api.example.com
+
+# Notes API
+
+## Notes Collection [/notes{?limit}]
+
+### List Notes [GET]
+
++ Parameters
+    + limit: 10 (number, optional)
+
++ Response 200 (application/json)
+
+    + Attributes (array[Note])
+
+# Data Structures
+
+## Note (object)
++ id: 1 (number, required)
++ title: Buy milk (string)`;
+      case 'ir':
+        return `// Paste an IR document exported with "Export IR"
+{
+  "irVersion": "1.0",
+  "title": "Notes API",
+  "version": "1.0.0",
+  "description": "",
+  "baseUrl": "https://api.example.com",
+  "authMethod": { "type": "none" },
+  "securitySchemes": {},
+  "schemas": {},
+  "endpoints": [
+    {
+      "method": "GET",
+      "path": "/notes",
+      "operationId": "listNotes",
+      "parameters": [],
+      "requestBody": null,
+      "responses": { "200": { "description": "OK", "schema": null } }
+    }
+  ]
+}`;
       default:
         return 'Paste your content here...';
     }
@@ -116,7 +307,7 @@ const FileUpload = ({ uploadedFile, onFileUpload, rawContent, onRawContentChange
                 Drag & drop a file here, or <span className="text-primary-600 font-medium">click to select</span>
               </p>
               <p className="text-xs text-slate-500">
-                Supports: {inputType === 'swagger' ? '.json' : inputType === 'postman' ? '.json' : '.html, .htm, .txt'}
+                Supports: {inputType === 'auto' ? 'any supported format' : inputType === 'swagger' ? '.json, .yaml, .yml, or a .zip / several files for multi-file specs' : inputType === 'postman' ? '.json' : inputType === 'har' ? '.har, .json' : inputType === 'curl' ? '.sh, .txt' : inputType === 'graphql' ? '.graphql, .gql, .json' : inputType === 'asyncapi' ? '.json, .yaml, .yml, or a .zip / several files for multi-file specs' : inputType === 'proto' ? '.proto' : inputType === 'raml' ? '.raml, .yaml' : inputType === 'apiblueprint' ? '.apib, .md' : inputType === 'ir' ? '.json, .yaml' : '.html, .htm, .txt'}
               </p>
             </div>
           )}
@@ -146,6 +337,152 @@ const FileUpload = ({ uploadedFile, onFileUpload, rawContent, onRawContentChange
         </div>
       )}
 
+      {/* Bundle Display */}
+      {bundleFiles.length > 0 && (
+        <div className="mb-6">
+          <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-green-800">{bundleFiles.length} files</p>
+              <button
+                onClick={removeFile}
+                className="text-green-600 hover:text-green-800 transition-colors"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <ul className="max-h-32 overflow-y-auto space-y-1">
+              {bundleFiles.map((file) => (
+                <li key={getBundlePath(file)} className="text-xs text-green-700 font-mono">
+                  {getFileIcon(file.name)} {getBundlePath(file)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {/* Root Document Section */}
+      {(bundleFiles.length > 0 || isZipUpload) && (
+        <div className="mb-6">
+          <h3 className="text-sm font-medium text-slate-700 mb-3">Root Document</h3>
+          {bundleFiles.length > 0 ? (
+            <select
+              value={rootFile}
+              onChange={(e) => onRootFileChange(e.target.value)}
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors text-sm"
+            >
+              <option value="">Detect automatically</option>
+              {bundleFiles.map((file) => (
+                <option key={getBundlePath(file)} value={getBundlePath(file)}>{getBundlePath(file)}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              value={rootFile}
+              onChange={(e) => onRootFileChange(e.target.value)}
+              placeholder="openapi.yaml (detected automatically when empty)"
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors text-sm"
+            />
+          )}
+          <p className="mt-2 text-xs text-slate-500">
+            Relative <code>$ref</code>s between files are resolved inside the bundle; references that leave it are rejected
+          </p>
+        </div>
+      )}
+
+      {/* Postman Environment Section */}
+      {inputType === 'postman' && (
+        <div className="mb-6">
+          <h3 className="text-sm font-medium text-slate-700 mb-3">Postman Environment (optional)</h3>
+          {environmentFile ? (
+            <div className="flex items-center justify-between p-3 bg-green-50 border border-green-200 rounded-lg">
+              <div className="flex items-center space-x-3">
+                <span className="text-lg">🌍</span>
+                <p className="text-sm font-medium text-green-800">{environmentFile.name}</p>
+              </div>
+              <button
+                onClick={() => onEnvironmentFileUpload(null)}
+                className="text-green-600 hover:text-green-800 transition-colors"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ) : (
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => onEnvironmentFileUpload(e.target.files[0] || null)}
+              className="block w-full text-sm text-slate-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-600 hover:file:bg-primary-100"
+            />
+          )}
+          <p className="mt-2 text-xs text-slate-500">
+            Environment values fill in {'{{variables}}'} and override collection variables
+          </p>
+        </div>
+      )}
+
+      {/* GraphQL Operations Section */}
+      {inputType === 'graphql' && (
+        <div className="mb-6">
+          <h3 className="text-sm font-medium text-slate-700 mb-3">Operations (optional)</h3>
+          {operationFiles.length > 0 ? (
+            <div className="space-y-2">
+              {operationFiles.map((operationFile, index) => (
+                <div key={`${operationFile.name}-${index}`} className="flex items-center justify-between p-3 bg-green-50 border border-green-200 rounded-lg">
+                  <div className="flex items-center space-x-3">
+                    <span className="text-lg">🔷</span>
+                    <p className="text-sm font-medium text-green-800">{operationFile.name}</p>
+                  </div>
+                  <button
+                    onClick={() => onOperationFilesChange(operationFiles.filter((_, i) => i !== index))}
+                    className="text-green-600 hover:text-green-800 transition-colors"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <input
+              type="file"
+              accept=".graphql,.gql"
+              multiple
+              onChange={(e) => onOperationFilesChange(Array.from(e.target.files))}
+              className="block w-full text-sm text-slate-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-600 hover:file:bg-primary-100"
+            />
+          )}
+          <p className="mt-2 text-xs text-slate-500">
+            Without operation documents, one query or mutation is generated per root field
+          </p>
+          <h3 className="text-sm font-medium text-slate-700 mt-4 mb-3">Endpoint URL (optional)</h3>
+          <input
+            type="text"
+            value={endpointUrl}
+            onChange={(e) => onEndpointUrlChange(e.target.value)}
+            placeholder="https://api.example.com/graphql"
+            className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors text-sm"
+          />
+        </div>
+      )}
+
+      {/* gRPC Server Section */}
+      {inputType === 'proto' && (
+        <div className="mb-6">
+          <h3 className="text-sm font-medium text-slate-700 mb-3">Server URL (optional)</h3>
+          <input
+            type="text"
+            value={endpointUrl}
+            onChange={(e) => onEndpointUrlChange(e.target.value)}
+            placeholder="https://api.example.com"
+            className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors text-sm"
+          />
+          <p className="mt-2 text-xs text-slate-500">
+            Base URL for the REST endpoints and default target for the gRPC client
+          </p>
+        </div>
+      )}
+
       {/* Raw Content Section */}
       <div>
         <h3 className="text-sm font-medium text-slate-700 mb-3">Or Paste Raw Content</h3>
@@ -155,9 +492,9 @@ const FileUpload = ({ uploadedFile, onFileUpload, rawContent, onRawContentChange
             onChange={(e) => onRawContentChange(e.target.value)}
             placeholder={getPlaceholderText()}
             className="w-full h-48 p-4 border border-slate-300 rounded-lg resize-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors font-mono text-sm"
-            disabled={!!uploadedFile}
+            disabled={hasUpload}
           />
-          {uploadedFile && (
+          {hasUpload && (
             <div className="absolute inset-0 bg-slate-50 bg-opacity-75 flex items-center justify-center rounded-lg">
               <p className="text-slate-600 text-sm">
                 File uploaded - clear file to edit raw content
@@ -165,7 +502,7 @@ const FileUpload = ({ uploadedFile, onFileUpload, rawContent, onRawContentChange
             </div>
           )}
         </div>
-        {rawContent && !uploadedFile && (
+        {rawContent && !hasUpload && (
           <div className="mt-2 flex items-center justify-between">
             <p className="text-xs text-slate-500">
               {rawContent.length} characters
@@ -180,6 +517,22 @@ const FileUpload = ({ uploadedFile, onFileUpload, rawContent, onRawContentChange
         )}
       </div>
 
+      {/* Source URL Section */}
+      <div className="mt-6">
+        <h3 className="text-sm font-medium text-slate-700 mb-3">Or Fetch From URL</h3>
+        <input
+          type="text"
+          value={sourceUrl}
+          onChange={(e) => onSourceUrlChange(e.target.value)}
+          placeholder="https://docs.example.com/openapi.yaml"
+          className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors text-sm disabled:bg-slate-50"
+          disabled={hasUpload || !!rawContent.trim()}
+        />
+        <p className="mt-2 text-xs text-slate-500">
+          The server downloads the document, detects its format and follows <code>$ref</code>s to sibling files on the same host
+        </p>
+      </div>
+
       {/* Help Text */}
       <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
         <div className="flex items-start space-x-2">
@@ -187,22 +540,79 @@ const FileUpload = ({ uploadedFile, onFileUpload, rawContent, onRawContentChange
           <div className="text-xs text-blue-800">
             <p className="font-medium mb-1">Tips:</p>
             <ul className="space-y-1">
+              {inputType === 'auto' && (
+                <>
+                  <li>• The format is detected from the content, so any supported input works</li>
+                  <li>• Options such as a Postman environment appear once the format has been detected</li>
+                </>
+              )}
               {inputType === 'swagger' && (
                 <>
-                  <li>• Use valid OpenAPI 3.0 or Swagger 2.0 JSON</li>
+                  <li>• Use valid OpenAPI 3.0 or Swagger 2.0 JSON or YAML</li>
                   <li>• Include all endpoints, parameters, and responses</li>
+                  <li>• Specs split across files can be uploaded as a ZIP or by dropping all of their files at once</li>
                 </>
               )}
               {inputType === 'postman' && (
                 <>
                   <li>• Export your Postman collection as JSON</li>
-                  <li>• Include environment variables if needed</li>
+                  <li>• Add an environment export to resolve {'{{variables}}'} such as the base URL</li>
+                  <li>• Path segments like :id or {'{{id}}'} become path parameters</li>
+                </>
+              )}
+              {inputType === 'har' && (
+                <>
+                  <li>• Record the partner API in DevTools and use "Save all as HAR"</li>
+                  <li>• Exercise each call a few times so optional fields and IDs are detected</li>
+                </>
+              )}
+              {inputType === 'curl' && (
+                <>
+                  <li>• Paste every curl example from the docs; blank lines or new curl commands separate them</li>
+                  <li>• Placeholders like {'{id}'}, :id or &lt;id&gt; in the URL become path parameters</li>
+                </>
+              )}
+              {inputType === 'graphql' && (
+                <>
+                  <li>• Use the schema SDL or the JSON result of an introspection query</li>
+                  <li>• Add the .graphql documents your app sends to generate exactly those operations</li>
+                </>
+              )}
+              {inputType === 'asyncapi' && (
+                <>
+                  <li>• Use an AsyncAPI 2.x or 3.0 document in JSON or YAML</li>
+                  <li>• Operations the service sends become subscribers; those it receives become publishers</li>
+                </>
+              )}
+              {inputType === 'proto' && (
+                <>
+                  <li>• RPCs with google.api.http annotations become REST endpoints</li>
+                  <li>• All other RPCs, including streaming ones, get a generated gRPC client</li>
+                </>
+              )}
+              {inputType === 'raml' && (
+                <>
+                  <li>• Use a RAML 1.0 or 0.8 root document; resource types and traits are applied to every method</li>
+                  <li>• Inline the types and examples you need, since !include files cannot be resolved</li>
+                </>
+              )}
+              {inputType === 'apiblueprint' && (
+                <>
+                  <li>• Use an API Blueprint 1A document with resource [/uri] and action [METHOD] headings</li>
+                  <li>• Attributes and Data Structures (MSON) give typed models; plain bodies are inferred from their examples</li>
+                </>
+              )}
+              {inputType === 'ir' && (
+                <>
+                  <li>• Export the IR of any supported input with "Export IR", edit it, and upload it here to regenerate</li>
+                  <li>• The document is checked against the IR schema served at /api/ir/schema</li>
                 </>
               )}
               {inputType === 'html' && (
                 <>
-                  <li>• Include endpoint URLs and HTTP methods</li>
-                  <li>• Add authentication information if available</li>
+                  <li>• Save the full reference page; Redoc, Swagger UI, Slate and ReadMe exports are recognised</li>
+                  <li>• Endpoints need a method and path (e.g. "GET /users/{'{id}'}") in a heading, request line or curl example</li>
+                  <li>• Parameter tables, JSON examples and an Authentication section raise each endpoint's confidence</li>
                 </>
               )}
               <li>• You can upload a file or paste content directly</li>
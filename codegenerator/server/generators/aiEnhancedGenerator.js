@@ -1,5 +1,22 @@
+const path = require('path');
 const aiService = require('../services/aiService');
 
+/**
+ * Comment syntax of the source files that get the AI header and suggestions,
+ * by extension; manifests, data files and docs are left as generated
+ */
+const COMMENT_STYLES = {
+  js: 'slash',
+  ts: 'slash',
+  java: 'slash',
+  php: 'slash',
+  go: 'slash',
+  cs: 'slash',
+  kt: 'slash',
+  rs: 'slash',
+  py: 'hash'
+};
+
 /**
  * AI-Enhanced Code Generator
  * Provides intelligent code improvements, suggestions, and analysis
@@ -40,7 +57,7 @@ class AIEnhancedGenerator {
         });
 
         // Enhance the code with AI suggestions
-        const enhancedCodeContent = this.applyAISuggestions(code, suggestions, errorAnalysis, optimizations);
+        const enhancedCodeContent = this.applyAISuggestions(filePath, code, suggestions, errorAnalysis, optimizations);
         
         enhancedCode[filePath] = enhancedCodeContent;
         
@@ -103,17 +120,20 @@ class AIEnhancedGenerator {
   }
 
   /**
-   * Apply AI suggestions to the code
+   * Apply AI suggestions to the code of a source file; other files are returned unchanged
    */
-  applyAISuggestions(code, suggestions, errorAnalysis, optimizations) {
+  applyAISuggestions(filePath, code, suggestions, errorAnalysis, optimizations) {
+    const commentStyle = COMMENT_STYLES[path.extname(filePath).slice(1).toLowerCase()];
+    if (!commentStyle) return code;
+
     let enhancedCode = code;
     
     // Add AI-generated comments at the top
-    const aiHeader = this.generateAIHeader(suggestions, errorAnalysis, optimizations);
+    const aiHeader = this.generateAIHeader(suggestions, errorAnalysis, optimizations, commentStyle);
     enhancedCode = aiHeader + '\n\n' + enhancedCode;
     
     // Add inline suggestions as comments
-    enhancedCode = this.addInlineSuggestions(enhancedCode, suggestions);
+    enhancedCode = this.addInlineSuggestions(enhancedCode, suggestions, commentStyle);
     
     return enhancedCode;
   }
@@ -121,34 +141,37 @@ class AIEnhancedGenerator {
   /**
    * Generate AI header with insights
    */
-  generateAIHeader(suggestions, errorAnalysis, optimizations) {
-    return `/**
- * 🤖 AI-Enhanced Code
- * 
- * This code has been enhanced with AI-powered suggestions and improvements.
- * 
- * 📊 AI Analysis Summary:
- * - Code Quality Score: ${this.calculateQualityScore(suggestions, errorAnalysis, optimizations)}/10
- * - Suggestions Applied: ${suggestions.confidence > 0.7 ? 'Yes' : 'No'}
- * - Error Detection: ${errorAnalysis.errors && errorAnalysis.errors.length > 0 ? 'Issues Found' : 'Clean'}
- * - Optimization Level: ${this.getOptimizationLevel(optimizations.confidence)}
- * 
- * 💡 Key Improvements:
- * ${this.extractKeyImprovements(suggestions, optimizations)}
- * 
- * ⚠️  Important Notes:
- * - Review all AI suggestions before production use
- * - Test thoroughly after applying changes
- * - Consider security implications of any modifications
- * 
- * Generated by AI-Enhanced API Code Generator
- */`;
+  generateAIHeader(suggestions, errorAnalysis, optimizations, commentStyle) {
+    const lines = `🤖 AI-Enhanced Code
+
+This code has been enhanced with AI-powered suggestions and improvements.
+
+📊 AI Analysis Summary:
+- Code Quality Score: ${this.calculateQualityScore(suggestions, errorAnalysis, optimizations)}/10
+- Suggestions Applied: ${suggestions.confidence > 0.7 ? 'Yes' : 'No'}
+- Error Detection: ${errorAnalysis.errors && errorAnalysis.errors.length > 0 ? 'Issues Found' : 'Clean'}
+- Optimization Level: ${this.getOptimizationLevel(optimizations.confidence)}
+
+💡 Key Improvements:
+${this.extractKeyImprovements(suggestions, optimizations)}
+
+⚠️  Important Notes:
+- Review all AI suggestions before production use
+- Test thoroughly after applying changes
+- Consider security implications of any modifications
+
+Generated by AI-Enhanced API Code Generator`.split('\n');
+
+    if (commentStyle === 'hash') {
+      return lines.map(line => `# ${line}`.trimEnd()).join('\n');
+    }
+    return ['/**', ...lines.map(line => ` * ${line}`.trimEnd()), ' */'].join('\n');
   }
 
   /**
    * Add inline suggestions as comments
    */
-  addInlineSuggestions(code, suggestions) {
+  addInlineSuggestions(code, suggestions, commentStyle) {
     if (!suggestions.suggestions) return code;
     
     // Extract key suggestions and add them as comments
@@ -156,7 +179,7 @@ class AIEnhancedGenerator {
     
     let enhancedCode = code;
     keySuggestions.forEach((suggestion, index) => {
-      enhancedCode += `\n\n// 💡 AI Suggestion ${index + 1}: ${suggestion}`;
+      enhancedCode += `\n\n${commentStyle === 'hash' ? '#' : '//'} 💡 AI Suggestion ${index + 1}: ${suggestion}`;
     });
     
     return enhancedCode;
@@ -170,7 +193,12 @@ class AIEnhancedGenerator {
       'node.js': 'src/ApiClient.js',
       'java': 'src/main/java/ApiClient.java',
       'php': 'src/ApiClient.php',
-      'go': 'main.go'
+      'go': 'main.go',
+      'typescript': 'src/ApiClient.ts',
+      'python': 'api_client/client.py',
+      'csharp': 'src/ApiIntegration/ApiClient.cs',
+      'kotlin': 'src/main/kotlin/com/example/ApiClient.kt',
+      'rust': 'src/client.rs'
     };
     
     return mainFiles[language] || Object.keys(generatedCode)[0];
@@ -2,16 +2,43 @@ const { generateNodeCode } = require('./nodeGenerator');
 const { generateJavaCode } = require('./javaGenerator');
 const { generatePhpCode } = require('./phpGenerator');
 const { generateGoCode } = require('./goGenerator');
+const { generateTypeScriptCode } = require('./typescriptGenerator');
+const { generatePythonCode } = require('./pythonGenerator');
+const { generateCSharpCode } = require('./csharpGenerator');
+const { generateKotlinCode } = require('./kotlinGenerator');
+const { generateRustCode } = require('./rustGenerator');
 const aiEnhancedGenerator = require('./aiEnhancedGenerator');
+const { validateIr, formatErrors } = require('../ir/intermediateRepresentation');
+const { createDiagnostic, toPointer } = require('../parsers/diagnostics');
+const { isJsonContentType } = require('./generatorUtils');
+
+/**
+ * Endpoint kinds a language's client leaves out, reported as diagnostics
+ * instead of being dropped silently
+ */
+const UNSUPPORTED_ENDPOINTS = {
+  python: ['messaging', 'grpc'],
+  csharp: ['messaging', 'grpc'],
+  kotlin: ['messaging', 'grpc'],
+  rust: ['messaging', 'grpc']
+};
+
+const ENDPOINT_KIND_NAMES = { messaging: 'message channels', grpc: 'gRPC services' };
 
 /**
  * Main Code Generator
- * Orchestrates code generation for different languages with AI enhancement
+ * Orchestrates code generation for different languages with AI enhancement.
+ * Generators read the intermediate representation (see ir/irSchema.js).
  */
 async function generateCode(parsedData, language, fileName) {
   try {
     console.log(`🚀 Generating ${language} code for ${fileName}`);
     
+    const irErrors = validateIr(parsedData);
+    if (irErrors.length > 0) {
+      throw new Error(`Invalid intermediate representation: ${formatErrors(irErrors)}`);
+    }
+    
     let generatedCode = {};
     
     // Generate base code based on language
@@ -28,6 +55,21 @@ async function generateCode(parsedData, language, fileName) {
       case 'go':
         generatedCode = await generateGoCode(parsedData, fileName);
         break;
+      case 'typescript':
+        generatedCode = await generateTypeScriptCode(parsedData, fileName);
+        break;
+      case 'python':
+        generatedCode = await generatePythonCode(parsedData, fileName);
+        break;
+      case 'csharp':
+        generatedCode = await generateCSharpCode(parsedData, fileName);
+        break;
+      case 'kotlin':
+        generatedCode = await generateKotlinCode(parsedData, fileName);
+        break;
+      case 'rust':
+        generatedCode = await generateRustCode(parsedData, fileName);
+        break;
       default:
         throw new Error(`Unsupported language: ${language}`);
     }
@@ -49,6 +91,11 @@ async function generateCode(parsedData, language, fileName) {
     
     // Add AI insights to the response
     generatedCode = aiEnhanced.enhancedCode;
+
+    // Ship the parse diagnostics with the client so problems in the source stay visible
+    if (Array.isArray(parsedData.diagnostics)) {
+      generatedCode['docs/PARSE_DIAGNOSTICS.md'] = generateDiagnosticsReport(parsedData);
+    }
     
     console.log(`✅ ${language} code generated successfully with AI enhancements`);
     console.log(`📊 AI Analysis: ${aiEnhanced.summary.totalFilesAnalyzed} files analyzed, Quality Score: ${aiEnhanced.summary.qualityScore}/10`);
@@ -154,6 +201,72 @@ ${generateDataModelsSummary(endpoints)}
 `;
 }
 
+/**
+ * Report the endpoints that a language's client leaves out
+ * @param {Object} ir - IR document
+ * @param {string} language - Target language
+ * @returns {Array<Object>} Diagnostics pointing into the IR's endpoints
+ */
+function diagnoseUnsupportedEndpoints(ir, language) {
+  const kinds = UNSUPPORTED_ENDPOINTS[language] || [];
+  return ir.endpoints.flatMap((endpoint, index) => {
+    const kind = kinds.find(name => endpoint[name]);
+    return kind
+      ? [createDiagnostic('error', 'unsupported-endpoint', { pointer: toPointer('endpoints', index) },
+        `${endpoint.method} ${endpoint.path} (${endpoint.operationId}) is not generated: the ${language} generator does not support ${ENDPOINT_KIND_NAMES[kind]}`,
+        'Generate a Node.js, TypeScript, Go, Java or PHP client for this endpoint')]
+      : [];
+  });
+}
+
+/**
+ * Report request bodies the generated clients encode as JSON although the API
+ * expects another media type, such as a multipart upload or a form post
+ * @param {Object} ir - IR document
+ * @returns {Array<Object>} Diagnostics pointing into the IR's request bodies
+ */
+function diagnoseRequestBodies(ir) {
+  return ir.endpoints.flatMap((endpoint, index) => {
+    const { requestBody, method } = endpoint;
+    if (!requestBody || endpoint.graphql || endpoint.messaging || endpoint.grpc) return [];
+    if (method === 'GET' || method === 'DELETE' || isJsonContentType(requestBody.mediaType)) return [];
+    return [createDiagnostic('warning', 'unsupported-media-type', { pointer: toPointer('endpoints', index, 'requestBody', 'mediaType') },
+      `The ${requestBody.mediaType} body of ${method} ${endpoint.path} (${endpoint.operationId}) is sent as JSON: the generated clients only encode JSON request bodies`,
+      'Encode the body by hand for this endpoint, or send JSON if the API accepts it')];
+  });
+}
+
+/**
+ * Generate the parse diagnostics report
+ */
+function generateDiagnosticsReport(parsedData) {
+  const { title, diagnostics } = parsedData;
+  const escapeCell = value => String(value || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const sections = [
+    { severity: 'error', heading: '❌ Errors' },
+    { severity: 'warning', heading: '⚠️ Warnings' },
+    { severity: 'info', heading: 'ℹ️ Info' }
+  ].map(({ severity, heading }) => {
+    const entries = diagnostics.filter(diagnostic => diagnostic.severity === severity);
+    if (entries.length === 0) return '';
+
+    return `## ${heading} (${entries.length})
+
+| Location | Code | Problem | Suggested fix |
+|----------|------|---------|---------------|
+${entries.map(diagnostic => `| \`${escapeCell(diagnostic.pointer || diagnostic.selector)}\` | ${diagnostic.code} | ${escapeCell(diagnostic.message)} | ${escapeCell(diagnostic.fix)} |`).join('\n')}
+`;
+  }).filter(Boolean);
+
+  return `# Parse Diagnostics - ${title}
+
+Problems found while reading the API documentation. Locations are JSON pointers
+into the spec document, or CSS selectors for HTML pages; endpoints that were not
+generated point into the exported intermediate representation.
+
+${sections.length > 0 ? sections.join('\n') : 'No problems found.\n'}`;
+}
+
 /**
  * Generate usage guide
  */
@@ -523,4 +636,4 @@ go test ./tests/...
   }
 }
 
-module.exports = { generateCode }; 
\ No newline at end of file
+module.exports = { generateCode, diagnoseUnsupportedEndpoints, diagnoseRequestBodies }; 
\ No newline at end of file
@@ -0,0 +1,3162 @@
+const {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  toCredentialEnvName,
+  getTokenFlows,
+  getOAuthSettings,
+  getTypedExample,
+  getDiscriminatorValues,
+  getRequestSchema,
+  getResponseSchema,
+  toCamelCase,
+  describeCredential
+} = require('./generatorUtils');
+
+/**
+ * Root namespace and assembly name of the generated library
+ */
+const CS_NAMESPACE = 'ApiIntegration';
+
+/**
+ * Project directories, laid out like a dotnet new solution
+ */
+const PROJECT_DIR = `src/${CS_NAMESPACE}`;
+const TEST_DIR = `tests/${CS_NAMESPACE}.Tests`;
+const EXAMPLE_DIR = `examples/${CS_NAMESPACE}.Examples`;
+
+/**
+ * C# keywords, which need an @ prefix to name parameters
+ */
+const CS_KEYWORDS = [
+  'abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'checked', 'class', 'const',
+  'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern',
+  'false', 'finally', 'fixed', 'float', 'for', 'foreach', 'goto', 'if', 'implicit', 'in', 'int', 'interface',
+  'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override',
+  'params', 'private', 'protected', 'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed', 'short', 'sizeof',
+  'stackalloc', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'uint',
+  'ulong', 'unchecked', 'unsafe', 'ushort', 'using', 'virtual', 'void', 'volatile', 'while'
+];
+
+/**
+ * Type names the generated sources use unqualified; models with these names get a suffix
+ */
+const CS_RESERVED_TYPES = [
+  'ApiClient', 'ApiConfig', 'ApiException', 'ApiResponse', 'AuthDelegatingHandler', 'AuthHandler', 'AuthResult',
+  'ErrorHandler', 'GraphQLException', 'OAuthFlow', 'OAuthSettings', 'RequestHandler', 'SecurityScheme',
+  'ServiceCollectionExtensions', 'TokenManager', 'Models', 'Value',
+  'Array', 'CancellationToken', 'Exception', 'Func', 'HttpResponseMessage', 'Object', 'String', 'Task', 'Uri',
+  'Dictionary', 'JsonConverter', 'JsonDocument', 'JsonElement', 'JsonException', 'JsonExtensionData',
+  'JsonPropertyName', 'JsonSerializer', 'JsonSerializerOptions', 'JsonValueKind', 'List', 'Type',
+  'Utf8JsonReader', 'Utf8JsonWriter'
+];
+
+/**
+ * Members every record has, which properties must not replace
+ */
+const CS_RECORD_MEMBERS = [
+  'AdditionalProperties', 'Clone', 'Deconstruct', 'EqualityContract', 'Equals', 'Finalize', 'GetHashCode', 'GetType',
+  'MemberwiseClone', 'PrintMembers', 'ToString'
+];
+
+/**
+ * ApiClient members that operation methods must not replace
+ */
+const CLIENT_MEMBERS = ['ExecuteGraphqlAsync', 'ReadBodyAsync', 'SendAsync', 'TestConnectionAsync'];
+
+/**
+ * HttpMethod properties for the standard methods
+ */
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS', 'TRACE'];
+
+/**
+ * Generate C# integration code
+ * @param {Object} parsedData - Parsed API data
+ * @param {string} fileName - Original file name
+ * @returns {Object} Generated code files
+ */
+async function generateCSharpCode(parsedData, fileName) {
+  const { title, endpoints } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const securitySchemes = getSecuritySchemes(parsedData);
+
+  // The client only covers request/response endpoints; message channels and gRPC
+  // services are reported by diagnoseUnsupportedEndpoints in codeGenerator.js
+  const httpData = { ...parsedData, endpoints: endpoints.filter(endpoint => !endpoint.messaging && !endpoint.grpc) };
+  const hasGraphql = httpData.endpoints.some(endpoint => endpoint.graphql);
+
+  const generatedCode = {};
+
+  // Solution and library project
+  generatedCode[`${CS_NAMESPACE}.sln`] = generateSolution();
+  generatedCode[`${PROJECT_DIR}/${CS_NAMESPACE}.csproj`] = generateProjectFile(title);
+
+  // Main API client and its IHttpClientFactory registration
+  generatedCode[`${PROJECT_DIR}/ApiClient.cs`] = generateApiClient(httpData);
+  generatedCode[`${PROJECT_DIR}/ServiceCollectionExtensions.cs`] = generateServiceCollectionExtensions();
+
+  // A record, enum or union per model, used by request and response bodies
+  for (const name of Object.keys(schemas).filter(name => isCsModel(schemas[name], schemas))) {
+    generatedCode[`${PROJECT_DIR}/Models/${toCsTypeName(name)}.cs`] = generateModel(name, schemas);
+  }
+  generatedCode[`${PROJECT_DIR}/Models/ApiResponse.cs`] = generateApiResponse();
+
+  // Authentication
+  generatedCode[`${PROJECT_DIR}/Auth/AuthHandler.cs`] = generateAuthHandler(securitySchemes);
+  generatedCode[`${PROJECT_DIR}/Auth/AuthDelegatingHandler.cs`] = generateAuthDelegatingHandler();
+  generatedCode[`${PROJECT_DIR}/Auth/TokenManager.cs`] = generateTokenManager();
+
+  // Retries and errors
+  generatedCode[`${PROJECT_DIR}/Utils/RequestHandler.cs`] = generateRequestHandler();
+  generatedCode[`${PROJECT_DIR}/Utils/ErrorHandler.cs`] = generateErrorHandler();
+  generatedCode[`${PROJECT_DIR}/Utils/ApiException.cs`] = generateApiException();
+  if (hasGraphql) {
+    generatedCode[`${PROJECT_DIR}/Utils/GraphQLException.cs`] = generateGraphqlException();
+  }
+
+  // Configuration
+  generatedCode[`${PROJECT_DIR}/Config/ApiConfig.cs`] = generateConfig();
+
+  // Test project
+  generatedCode[`${TEST_DIR}/${CS_NAMESPACE}.Tests.csproj`] = generateTestProjectFile();
+  generatedCode[`${TEST_DIR}/MockHttpMessageHandler.cs`] = generateMockHttpMessageHandler();
+  generatedCode[`${TEST_DIR}/ApiClientTests.cs`] = generateClientTests(httpData);
+  generatedCode[`${TEST_DIR}/Auth/AuthHandlerTests.cs`] = generateAuthHandlerTests(securitySchemes);
+  generatedCode[`${TEST_DIR}/Auth/TokenManagerTests.cs`] = generateTokenManagerTests();
+  generatedCode[`${TEST_DIR}/Utils/RequestHandlerTests.cs`] = generateRequestHandlerTests();
+
+  // Example usage
+  generatedCode[`${EXAMPLE_DIR}/${CS_NAMESPACE}.Examples.csproj`] = generateExampleProjectFile();
+  generatedCode[`${EXAMPLE_DIR}/Program.cs`] = generateExampleUsage(httpData);
+  generatedCode[`${EXAMPLE_DIR}/appsettings.json`] = generateAppSettings(securitySchemes);
+
+  return generatedCode;
+}
+
+/**
+ * Generate the solution file tying the library, tests and examples together
+ */
+function generateSolution() {
+  const projects = [
+    { name: CS_NAMESPACE, path: `src\\${CS_NAMESPACE}\\${CS_NAMESPACE}.csproj`, guid: '{5C1B3F8E-2A47-4C1D-9E63-7B0D2F4A8C11}' },
+    { name: `${CS_NAMESPACE}.Tests`, path: `tests\\${CS_NAMESPACE}.Tests\\${CS_NAMESPACE}.Tests.csproj`, guid: '{8D2E4A19-6B3C-4F5E-A170-3C9B1E7D5F22}' },
+    { name: `${CS_NAMESPACE}.Examples`, path: `examples\\${CS_NAMESPACE}.Examples\\${CS_NAMESPACE}.Examples.csproj`, guid: '{2F7A9C3D-8E1B-4A6F-B284-6D5C0E9F1A33}' }
+  ];
+  const configurations = ['Debug|Any CPU', 'Release|Any CPU'];
+
+  return `
+Microsoft Visual Studio Solution File, Format Version 12.00
+# Visual Studio Version 17
+VisualStudioVersion = 17.0.31903.59
+MinimumVisualStudioVersion = 10.0.40219.1
+${projects.map(project => `Project("{FAE04EC0-301F-11D3-BF4B-00C04F79EFBC}") = "${project.name}", "${project.path}", "${project.guid}"
+EndProject`).join('\n')}
+Global
+	GlobalSection(SolutionConfigurationPlatforms) = preSolution
+${configurations.map(configuration => `		${configuration} = ${configuration}`).join('\n')}
+	EndGlobalSection
+	GlobalSection(ProjectConfigurationPlatforms) = postSolution
+${projects.flatMap(project => configurations.flatMap(configuration => [
+    `		${project.guid}.${configuration}.ActiveCfg = ${configuration}`,
+    `		${project.guid}.${configuration}.Build.0 = ${configuration}`
+  ])).join('\n')}
+	EndGlobalSection
+EndGlobal
+`;
+}
+
+/**
+ * Generate the library project file
+ */
+function generateProjectFile(title) {
+  return `<Project Sdk="Microsoft.NET.Sdk">
+
+  <PropertyGroup>
+    <TargetFramework>net8.0</TargetFramework>
+    <ImplicitUsings>enable</ImplicitUsings>
+    <Nullable>enable</Nullable>
+    <RootNamespace>${CS_NAMESPACE}</RootNamespace>
+    <PackageId>${title.toLowerCase().replace(/[^a-z0-9]/g, '-')}-integration</PackageId>
+    <Version>1.0.0</Version>
+    <Description>Auto-generated integration client for ${escapeXml(title)}</Description>
+  </PropertyGroup>
+
+  <ItemGroup>
+    <PackageReference Include="Microsoft.Extensions.Configuration.Abstractions" Version="8.0.0" />
+    <PackageReference Include="Microsoft.Extensions.Http" Version="8.0.1" />
+  </ItemGroup>
+
+</Project>
+`;
+}
+
+/**
+ * Generate the test project file
+ */
+function generateTestProjectFile() {
+  return `<Project Sdk="Microsoft.NET.Sdk">
+
+  <PropertyGroup>
+    <TargetFramework>net8.0</TargetFramework>
+    <ImplicitUsings>enable</ImplicitUsings>
+    <Nullable>enable</Nullable>
+    <IsPackable>false</IsPackable>
+    <IsTestProject>true</IsTestProject>
+  </PropertyGroup>
+
+  <ItemGroup>
+    <PackageReference Include="Microsoft.Extensions.DependencyInjection" Version="8.0.1" />
+    <PackageReference Include="Microsoft.NET.Test.Sdk" Version="17.11.1" />
+    <PackageReference Include="xunit" Version="2.9.2" />
+    <PackageReference Include="xunit.runner.visualstudio" Version="2.8.2" />
+  </ItemGroup>
+
+  <ItemGroup>
+    <ProjectReference Include="..\\..\\src\\${CS_NAMESPACE}\\${CS_NAMESPACE}.csproj" />
+  </ItemGroup>
+
+</Project>
+`;
+}
+
+/**
+ * Generate the example console project file
+ */
+function generateExampleProjectFile() {
+  return `<Project Sdk="Microsoft.NET.Sdk">
+
+  <PropertyGroup>
+    <OutputType>Exe</OutputType>
+    <TargetFramework>net8.0</TargetFramework>
+    <ImplicitUsings>enable</ImplicitUsings>
+    <Nullable>enable</Nullable>
+    <IsPackable>false</IsPackable>
+  </PropertyGroup>
+
+  <ItemGroup>
+    <PackageReference Include="Microsoft.Extensions.Configuration.Json" Version="8.0.1" />
+  </ItemGroup>
+
+  <ItemGroup>
+    <ProjectReference Include="..\\..\\src\\${CS_NAMESPACE}\\${CS_NAMESPACE}.csproj" />
+  </ItemGroup>
+
+  <ItemGroup>
+    <None Update="appsettings.json" CopyToOutputDirectory="PreserveNewest" />
+  </ItemGroup>
+
+</Project>
+`;
+}
+
+/**
+ * Generate the API client
+ */
+function generateApiClient(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoints = endpoints.filter(endpoint => endpoint.graphql);
+
+  const constants = endpoints.map(endpoint => toCsSecurityConstant(endpoint.operationId, getEndpointSecurity(endpoint, parsedData)));
+  const documents = graphqlEndpoints.map(endpoint =>
+    `    private const string ${toCsPascalCase(endpoint.operationId)}Document = ${toCsVerbatimString(endpoint.graphql.document)};`);
+  const methods = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlMethod(endpoint, schemas)
+    : generateEndpointMethod(endpoint, schemas));
+  return `using System.Net.Http.Json;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using ${CS_NAMESPACE}.Auth;
+using ${CS_NAMESPACE}.Config;
+using ${CS_NAMESPACE}.Utils;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace ${CS_NAMESPACE};
+
+/// <summary>
+/// ${escapeXml(title)} API Client
+/// </summary>
+/// <remarks>
+/// Auto-generated integration client for ${escapeXml(title)}. Requests go through an
+/// <see cref="AuthDelegatingHandler"/>, which applies each endpoint's security
+/// requirements, and a <see cref="RequestHandler"/>, which retries transient
+/// failures. Register it with <see cref="ServiceCollectionExtensions.AddApiClient(IServiceCollection, ApiConfig)"/>
+/// to have IHttpClientFactory manage the handlers.
+/// </remarks>
+public class ApiClient : IDisposable
+{
+    /// <summary>
+    /// Options used to write request bodies and read response bodies
+    /// </summary>
+    public static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull
+    };
+
+    // Security requirements per operation; requirements are alternatives
+${constants.join('\n')}
+${documents.length > 0 ? `\n    // GraphQL operation documents\n${documents.join('\n')}\n` : ''}
+    private readonly HttpClient httpClient;
+    private readonly bool disposeHttpClient;
+
+    /// <summary>
+    /// Create a client configured from the environment
+    /// </summary>
+    public ApiClient()
+        : this(ApiConfig.FromEnvironment())
+    {
+    }
+
+    /// <summary>
+    /// Create a client with its own HttpClient and handler pipeline
+    /// </summary>
+    /// <param name="config">Client configuration</param>
+    public ApiClient(ApiConfig config)
+        : this(CreateHttpClient(config), config, disposeHttpClient: true)
+    {
+    }
+
+    /// <summary>
+    /// Create a client that sends requests with an HttpClient whose pipeline
+    /// already contains the auth and retry handlers, e.g. one from IHttpClientFactory
+    /// </summary>
+    /// <param name="httpClient">HTTP client to send requests with</param>
+    /// <param name="config">Client configuration</param>
+    [ActivatorUtilitiesConstructor]
+    public ApiClient(HttpClient httpClient, ApiConfig config)
+        : this(httpClient, config, disposeHttpClient: false)
+    {
+    }
+
+    private ApiClient(HttpClient httpClient, ApiConfig config, bool disposeHttpClient)
+    {
+        this.httpClient = httpClient;
+        this.disposeHttpClient = disposeHttpClient;
+        Config = config;
+    }
+
+    /// <summary>
+    /// Client configuration
+    /// </summary>
+    public ApiConfig Config { get; }
+
+    /// <summary>
+    /// Create an HttpClient with the auth and retry handlers
+    /// </summary>
+    /// <param name="config">Client configuration</param>
+    /// <param name="innerHandler">Handler that sends the requests; an HttpClientHandler by default</param>
+    /// <returns>Configured HTTP client</returns>
+    public static HttpClient CreateHttpClient(ApiConfig config, HttpMessageHandler? innerHandler = null)
+    {
+        var pipeline = new AuthDelegatingHandler(new AuthHandler(config))
+        {
+            InnerHandler = new RequestHandler(config)
+            {
+                InnerHandler = innerHandler ?? new HttpClientHandler()
+            }
+        };
+        var client = new HttpClient(pipeline);
+        ConfigureHttpClient(client, config);
+        return client;
+    }
+
+    /// <summary>
+    /// Apply the base URL, timeout and default headers to an HttpClient
+    /// </summary>
+    /// <param name="client">HTTP client to configure</param>
+    /// <param name="config">Client configuration</param>
+    public static void ConfigureHttpClient(HttpClient client, ApiConfig config)
+    {
+        if (!string.IsNullOrEmpty(config.BaseUrl))
+        {
+            // Operation paths are relative, so the base address must end with a slash
+            client.BaseAddress = new Uri(config.BaseUrl.TrimEnd('/') + "/");
+        }
+        client.Timeout = TimeSpan.FromMilliseconds(config.Timeout);
+        client.DefaultRequestHeaders.Accept.ParseAdd("application/json");
+        client.DefaultRequestHeaders.TryAddWithoutValidation("User-Agent", ${toCsString(`${title.replace(/[^\x20-\x7e]/g, '')}-Integration/1.0.0`)});
+    }
+
+${methods.join('\n\n')}
+
+    /// <summary>
+    /// Test connection to the API
+    /// </summary>
+    /// <param name="cancellationToken">Cancels the request</param>
+    /// <returns>True if the API answered with a success status</returns>
+    public async Task<bool> TestConnectionAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            using var response = await httpClient.GetAsync("", cancellationToken).ConfigureAwait(false);
+            return response.IsSuccessStatusCode;
+        }
+        catch (HttpRequestException)
+        {
+            return false;
+        }
+        catch (TaskCanceledException) when (!cancellationToken.IsCancellationRequested)
+        {
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Dispose the HttpClient if this client created it
+    /// </summary>
+    public void Dispose()
+    {
+        if (disposeHttpClient)
+        {
+            httpClient.Dispose();
+        }
+        GC.SuppressFinalize(this);
+    }
+
+    /// <summary>
+    /// Send a request, passing the endpoint's security requirements to the auth handler
+    /// </summary>
+    private async Task<HttpResponseMessage> SendAsync(HttpMethod method, string url, object? body,
+        IReadOnlyList<IReadOnlyDictionary<string, string[]>> security, CancellationToken cancellationToken)
+    {
+        using var request = new HttpRequestMessage(method, url);
+        if (body != null)
+        {
+            request.Content = JsonContent.Create(body, body.GetType(), options: JsonOptions);
+        }
+        request.Options.Set(AuthDelegatingHandler.SecurityOption, security);
+
+        var response = await httpClient.SendAsync(request, cancellationToken).ConfigureAwait(false);
+        await ErrorHandler.EnsureSuccessAsync(response, cancellationToken).ConfigureAwait(false);
+        return response;
+    }
+${graphqlEndpoints.length > 0 ? generateExecuteGraphql() : ''}
+    /// <summary>
+    /// Read a JSON response body; an empty body reads as null
+    /// </summary>
+    private static async Task<T?> ReadBodyAsync<T>(HttpResponseMessage response, CancellationToken cancellationToken)
+    {
+        var body = await response.Content.ReadAsStringAsync(cancellationToken).ConfigureAwait(false);
+        return string.IsNullOrWhiteSpace(body) ? default : JsonSerializer.Deserialize<T>(body, JsonOptions);
+    }
+
+    /// <summary>
+    /// Append query parameters to a path; null values are left out and lists repeat the parameter
+    /// </summary>
+    private static string BuildUrl(string path, params (string Name, object? Value)[] query)
+    {
+        var parts = new List<string>();
+        foreach (var (name, value) in query)
+        {
+            if (value == null)
+            {
+                continue;
+            }
+
+            var element = JsonSerializer.SerializeToElement(value, value.GetType(), JsonOptions);
+            var items = element.ValueKind == JsonValueKind.Array ? element.EnumerateArray().ToList() : new List<JsonElement> { element };
+            parts.AddRange(items.Select(item => $"{Uri.EscapeDataString(name)}={Uri.EscapeDataString(FormatElement(item))}"));
+        }
+        return parts.Count == 0 ? path : $"{path}?{string.Join("&", parts)}";
+    }
+
+    /// <summary>
+    /// Format a path parameter value the way it is written in JSON, without quotes
+    /// </summary>
+    private static string FormatValue(object value) =>
+        FormatElement(JsonSerializer.SerializeToElement(value, value.GetType(), JsonOptions));
+
+    private static string FormatElement(JsonElement element) =>
+        element.ValueKind == JsonValueKind.String ? element.GetString()! : element.GetRawText();
+}
+`;
+}
+
+/**
+ * Declaration of an operation's security requirements
+ */
+function toCsSecurityConstant(operationId, security) {
+  const name = `${toCsPascalCase(operationId)}Security`;
+  if (security.length === 0) {
+    return `    private static readonly Dictionary<string, string[]>[] ${name} = Array.Empty<Dictionary<string, string[]>>();`;
+  }
+
+  const requirements = security.map(requirement => {
+    const entries = Object.entries(requirement);
+    if (entries.length === 0) {
+      return 'new()';
+    }
+    return `new() { ${entries.map(([scheme, scopes]) => `[${toCsString(scheme)}] = ${toCsStringArray(scopes || [])}`).join(', ')} }`;
+  });
+  return `    private static readonly Dictionary<string, string[]>[] ${name} = { ${requirements.join(', ')} };`;
+}
+
+/**
+ * Generate endpoint method
+ */
+function generateEndpointMethod(endpoint, schemas) {
+  const { method, path, operationId, summary, description } = endpoint;
+  const responseSchema = getResponseSchema(endpoint);
+  const resultType = responseSchema ? toCsNullable(toCsType(responseSchema, schemas)) : 'Models.ApiResponse';
+  const fields = getMethodFields(endpoint, schemas);
+
+  const pathFields = fields.filter(field => field.in === 'path');
+  const queryFields = fields.filter(field => field.in === 'query');
+  const bodyField = fields.find(field => field.in === 'body');
+  const ordered = orderMethodFields(fields);
+
+  const pathExpression = toCsPath(path, pathFields);
+  const url = queryFields.length > 0
+    ? `BuildUrl(${[pathExpression, ...queryFields.map(field => `(${toCsString(field.key)}, ${field.local})`)].join(', ')})`
+    : pathExpression;
+  const send = `SendAsync(${toCsHttpMethod(method)}, ${url}, ${bodyField ? bodyField.local : 'null'}, ${toCsPascalCase(operationId)}Security, cancellationToken)`;
+  const read = responseSchema
+    ? `ReadBodyAsync<${resultType}>(response, cancellationToken)`
+    : 'Models.ApiResponse.FromResponseAsync(response, cancellationToken)';
+
+  return `${toCsDocSummary(summary || description || `${method} ${path}`, '    ')}${description && summary ? `\n    /// <remarks>${escapeXmlLine(description)}</remarks>` : ''}
+${ordered.map(field => `    /// <param name="${field.local.replace(/^@/, '')}">${escapeXmlLine(field.description || (field.in === 'body' ? 'Request body' : `${field.in === 'path' ? 'Path' : 'Query'} parameter ${field.key}`))}</param>`).join('\n')}${ordered.length > 0 ? '\n' : ''}    /// <param name="cancellationToken">Cancels the request</param>
+    /// <returns>${responseSchema ? 'Response body, or null when the response has none' : 'Response status and body'}</returns>
+    /// <exception cref="ApiException">The API answered with an error status</exception>
+    public async Task<${resultType}> ${toCsMethodName(operationId)}(${formatCsParameters(ordered.map(toCsParameter))})
+    {
+        using var response = await ${send}.ConfigureAwait(false);
+        return await ${read}.ConfigureAwait(false);
+    }`;
+}
+
+/**
+ * Path, query and body values an endpoint method takes, with the parameter each is read from
+ */
+function getMethodFields(endpoint, schemas) {
+  const { parameters, requestBody } = endpoint;
+  const bodySchema = getRequestSchema(endpoint);
+  const locals = new Set(['cancellationToken', 'response']);
+  const toLocal = key => {
+    const base = toCsIdentifier(key);
+    let local = base;
+    for (let suffix = 2; locals.has(local); suffix++) {
+      local = `${base}${suffix}`;
+    }
+    locals.add(local);
+    return local;
+  };
+
+  const fields = [
+    ...parameters.filter(p => p.in === 'path').map(p => ({ ...p, required: true })),
+    ...parameters.filter(p => p.in === 'query')
+  ].map(p => ({
+    key: p.name,
+    in: p.in,
+    schema: p.schema || { type: p.type },
+    type: toCsType(p.schema || { type: p.type }, schemas),
+    required: Boolean(p.required),
+    description: p.description
+  }));
+  if (bodySchema) {
+    fields.push({ key: 'body', in: 'body', schema: bodySchema, type: toCsType(bodySchema, schemas), required: Boolean(requestBody.required), description: 'Request body' });
+  }
+  return fields.map(field => ({ ...field, local: toLocal(field.key) }));
+}
+
+/**
+ * Signature order of method fields: path values, then the other required
+ * values, then the optional ones
+ */
+function orderMethodFields(fields) {
+  const pathFields = fields.filter(field => field.in === 'path');
+  const others = [...fields.filter(field => field.in === 'body'), ...fields.filter(field => field.in === 'query')];
+  return [...pathFields, ...others.filter(field => field.required), ...others.filter(field => !field.required)];
+}
+
+/**
+ * Signature entry for a method field
+ */
+function toCsParameter(field) {
+  if (field.required) {
+    return `${field.type} ${field.local}`;
+  }
+  return `${toCsNullable(field.type)} ${field.local} = null`;
+}
+
+/**
+ * Lay out a method's parameters: on one line when short, otherwise one per line
+ */
+function formatCsParameters(parameters) {
+  const all = [...parameters, 'CancellationToken cancellationToken = default'];
+  const oneLine = all.join(', ');
+  if (oneLine.length <= 80) {
+    return oneLine;
+  }
+  return `\n${all.map(entry => `        ${entry}`).join(',\n')}`;
+}
+
+/**
+ * Relative request path with the path parameters escaped into it
+ */
+function toCsPath(path, pathFields) {
+  const relative = path.replace(/^\/+/, '');
+  if (pathFields.length === 0) {
+    return toCsString(relative);
+  }
+
+  const locals = Object.fromEntries(pathFields.map(field => [field.key, field.local]));
+  const source = relative
+    .split(/(\{[^}]+\})/)
+    .map(part => {
+      const match = /^\{([^}]+)\}$/.exec(part);
+      if (match && locals[match[1]]) {
+        return `{Uri.EscapeDataString(FormatValue(${locals[match[1]]}))}`;
+      }
+      return toCsString(part).slice(1, -1).replace(/\{/g, '{{').replace(/\}/g, '}}');
+    })
+    .join('');
+  return `$"${source}"`;
+}
+
+/**
+ * HttpMethod expression for an HTTP method
+ */
+function toCsHttpMethod(method) {
+  const upper = String(method).toUpperCase();
+  if (HTTP_METHODS.includes(upper)) {
+    return `HttpMethod.${upper.charAt(0)}${upper.slice(1).toLowerCase()}`;
+  }
+  return `new HttpMethod(${toCsString(upper)})`;
+}
+
+/**
+ * Generate a typed GraphQL operation method
+ */
+function generateGraphqlMethod(endpoint, schemas) {
+  const { operationId, path, summary, description, requestBody, responses, graphql } = endpoint;
+  const variablesType = requestBody?.schema ? toCsType({ ref: requestBody.schema.ref }, schemas) : 'Dictionary<string, object?>';
+  const resultType = toCsNullable(responses['200']?.schema ? toCsType({ ref: responses['200'].schema.ref }, schemas) : 'JsonElement');
+  const variablesParameter = requestBody?.required ? `${variablesType} variables` : `${toCsNullable(variablesType)} variables = null`;
+  const pascal = toCsPascalCase(operationId);
+  const args = [
+    toCsString(path.replace(/^\/+/, '')),
+    `${pascal}Document`,
+    graphql.operationName ? toCsString(graphql.operationName) : 'null',
+    'variables',
+    `${pascal}Security`,
+    'cancellationToken'
+  ];
+
+  return `${toCsDocSummary(summary || `${graphql.operationType} ${graphql.operationName || operationId}`, '    ')}${description ? `\n    /// <remarks>${escapeXmlLine(description)}</remarks>` : ''}
+    /// <param name="variables">Operation variables</param>
+    /// <param name="cancellationToken">Cancels the request</param>
+    /// <returns>The operation's data</returns>
+    /// <exception cref="GraphQLException">The response reported errors</exception>
+    public Task<${resultType}> ${toCsMethodName(operationId)}(${formatCsParameters([variablesParameter])}) =>
+        ExecuteGraphqlAsync<${resultType}>(${args.join(', ')});`;
+}
+
+/**
+ * Generate the GraphQL request helper
+ */
+function generateExecuteGraphql() {
+  return `
+    /// <summary>
+    /// POST a GraphQL operation and read the data it returned
+    /// </summary>
+    /// <exception cref="GraphQLException">The response reported errors, which servers send with a 200 status</exception>
+    private async Task<T?> ExecuteGraphqlAsync<T>(string path, string document, string? operationName, object? variables,
+        IReadOnlyList<IReadOnlyDictionary<string, string[]>> security, CancellationToken cancellationToken)
+    {
+        var payload = new Dictionary<string, object?>
+        {
+            ["query"] = document,
+            ["variables"] = variables ?? new Dictionary<string, object?>()
+        };
+        if (operationName != null)
+        {
+            payload["operationName"] = operationName;
+        }
+
+        using var response = await SendAsync(HttpMethod.Post, path, payload, security, cancellationToken).ConfigureAwait(false);
+        using var result = JsonDocument.Parse(await response.Content.ReadAsStringAsync(cancellationToken).ConfigureAwait(false));
+        var root = result.RootElement;
+        var data = root.TryGetProperty("data", out var value) && value.ValueKind != JsonValueKind.Null ? value.Clone() : (JsonElement?)null;
+
+        if (root.TryGetProperty("errors", out var errors) && errors.ValueKind == JsonValueKind.Array && errors.GetArrayLength() > 0)
+        {
+            throw new GraphQLException(errors.Clone(), data);
+        }
+        return data is { } element ? element.Deserialize<T>(JsonOptions) : default;
+    }
+`;
+}
+
+/**
+ * Generate the IHttpClientFactory registration
+ */
+function generateServiceCollectionExtensions() {
+  return `using ${CS_NAMESPACE}.Auth;
+using ${CS_NAMESPACE}.Config;
+using ${CS_NAMESPACE}.Utils;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace ${CS_NAMESPACE};
+
+/// <summary>
+/// Registers <see cref="ApiClient"/> as a typed client with IHttpClientFactory
+/// </summary>
+public static class ServiceCollectionExtensions
+{
+    /// <summary>
+    /// Name of the HttpClient that OAuth 2.0 token requests are sent with
+    /// </summary>
+    public const string TokenClientName = "${CS_NAMESPACE}.TokenClient";
+
+    /// <summary>
+    /// Register the API client, configured from the environment
+    /// </summary>
+    /// <param name="services">Service collection</param>
+    /// <param name="configure">Adjusts the configuration read from the environment</param>
+    /// <returns>Builder for further HttpClient configuration</returns>
+    public static IHttpClientBuilder AddApiClient(this IServiceCollection services, Action<ApiConfig>? configure = null)
+    {
+        var config = ApiConfig.FromEnvironment();
+        configure?.Invoke(config);
+        return services.AddApiClient(config);
+    }
+
+    /// <summary>
+    /// Register the API client with the auth and retry handlers in its pipeline
+    /// </summary>
+    /// <param name="services">Service collection</param>
+    /// <param name="config">Client configuration, e.g. from <see cref="ApiConfig.FromConfiguration"/></param>
+    /// <returns>Builder for further HttpClient configuration</returns>
+    public static IHttpClientBuilder AddApiClient(this IServiceCollection services, ApiConfig config)
+    {
+        services.AddSingleton(config);
+        services.AddHttpClient(TokenClientName);
+
+        // Tokens are cached per AuthHandler, so every client shares one
+        services.AddSingleton(provider => new AuthHandler(
+            config, provider.GetRequiredService<IHttpClientFactory>().CreateClient(TokenClientName)));
+        services.AddTransient<AuthDelegatingHandler>();
+        services.AddTransient<RequestHandler>();
+
+        return services.AddHttpClient<ApiClient>(client => ApiClient.ConfigureHttpClient(client, config))
+            .AddHttpMessageHandler<AuthDelegatingHandler>()
+            .AddHttpMessageHandler<RequestHandler>();
+    }
+}
+`;
+}
+
+/**
+ * Whether a model is declared as its own type rather than inlined
+ */
+function isCsModel(schema, schemas) {
+  return isCsRecord(schema) || isCsEnum(schema) || isCsUnion(schema, schemas);
+}
+
+/**
+ * Whether a model is an object with properties, declared as a record
+ */
+function isCsRecord(schema) {
+  return schema.type === 'object' && !schema.oneOf && !schema.anyOf && Object.keys(schema.properties || {}).length > 0;
+}
+
+/**
+ * Whether a model is a string enumeration, declared as an enum
+ */
+function isCsEnum(schema) {
+  const values = (schema.enum || []).filter(value => value !== null);
+  return !schema.oneOf && !schema.anyOf && values.length > 0 && values.every(value => typeof value === 'string');
+}
+
+/**
+ * Whether a model is a oneOf/anyOf of distinct types, declared as a union record
+ */
+function isCsUnion(schema, schemas) {
+  const variants = schema.oneOf || schema.anyOf;
+  return Boolean(variants) && getUnionTypes(variants, schemas, false).length > 1;
+}
+
+/**
+ * Distinct C# types of union variants
+ */
+function getUnionTypes(variants, schemas, qualify, seen = []) {
+  return [...new Set(variants.map(variant => toCsType(variant, schemas, qualify, seen).replace(/\?$/, '')))];
+}
+
+/**
+ * C# type for a schema node
+ * @param {Object} node - Normalized schema node
+ * @param {Object} schemas - Registry models by name
+ * @param {boolean} qualify - Prefix model names with their namespace, outside the Models namespace
+ * @param {Array<string>} seen - Aliases being expanded, to stop at cycles
+ */
+function toCsType(node, schemas, qualify = true, seen = []) {
+  if (!node) return 'JsonElement';
+
+  let type;
+  if (node.ref) {
+    const schema = schemas[node.ref];
+    if (!schema || seen.includes(node.ref)) {
+      type = 'JsonElement';
+    } else if (isCsModel(schema, schemas)) {
+      type = `${qualify ? 'Models.' : ''}${toCsTypeName(node.ref)}`;
+      if (schema.nullable || (schema.enum || []).includes(null)) {
+        type = toCsNullable(type);
+      }
+    } else {
+      // Other models are aliases, written out where they are used
+      type = toCsType(schema, schemas, qualify, [...seen, node.ref]);
+    }
+  } else if (node.oneOf || node.anyOf) {
+    const types = getUnionTypes(node.oneOf || node.anyOf, schemas, qualify, seen);
+    type = types.length === 1 ? types[0] : 'JsonElement';
+  } else if (node.enum) {
+    const values = node.enum.filter(value => value !== null);
+    if (values.length > 0 && values.every(value => typeof value === 'string')) {
+      type = 'string';
+    } else if (values.length > 0 && values.every(value => Number.isInteger(value))) {
+      type = 'long';
+    } else if (values.length > 0 && values.every(value => typeof value === 'number')) {
+      type = 'double';
+    } else if (values.length > 0 && values.every(value => typeof value === 'boolean')) {
+      type = 'bool';
+    } else {
+      type = 'JsonElement';
+    }
+    if (values.length < node.enum.length) {
+      type = toCsNullable(type);
+    }
+  } else {
+    switch (node.type) {
+      case 'integer':
+        type = 'long';
+        break;
+      case 'number':
+        type = 'double';
+        break;
+      case 'boolean':
+        type = 'bool';
+        break;
+      case 'string':
+        type = 'string';
+        break;
+      case 'array':
+        type = `List<${toCsType(node.items || {}, schemas, qualify, seen)}>`;
+        break;
+      case 'object':
+        type = Object.keys(node.properties || {}).length === 0
+          ? `Dictionary<string, ${typeof node.additionalProperties === 'object' ? toCsType(node.additionalProperties, schemas, qualify, seen) : 'JsonElement'}>`
+          : 'JsonElement';
+        break;
+      default:
+        type = 'JsonElement';
+    }
+  }
+  return node.nullable ? toCsNullable(type) : type;
+}
+
+/**
+ * Make a type accept null
+ */
+function toCsNullable(type) {
+  return type.endsWith('?') ? type : `${type}?`;
+}
+
+/**
+ * Generate the declaration of a model
+ */
+function generateModel(name, schemas) {
+  const schema = schemas[name];
+  if (isCsRecord(schema)) {
+    return generateRecordModel(name, schemas);
+  }
+  if (isCsEnum(schema)) {
+    return generateEnumModel(name, schemas);
+  }
+  return generateUnionModel(name, schemas);
+}
+
+/**
+ * Generate a record for an object model
+ */
+function generateRecordModel(name, schemas) {
+  const schema = schemas[name];
+  const className = toCsTypeName(name);
+  const required = schema.required || [];
+  const usedNames = new Set([className, ...CS_RECORD_MEMBERS]);
+
+  const properties = Object.entries(schema.properties).map(([propName, propSchema]) => {
+    const base = toCsPascalCase(propName);
+    let propertyName = base;
+    for (let suffix = 2; usedNames.has(propertyName); suffix++) {
+      propertyName = `${base}${suffix}`;
+    }
+    usedNames.add(propertyName);
+
+    const isRequired = required.includes(propName);
+    const type = toCsType(propSchema, schemas, false);
+    const docs = propSchema.description ? `${toCsDocSummary(propSchema.description, '    ')}\n` : '';
+    return `${docs}    [JsonPropertyName(${toCsString(propName)})]
+    public ${isRequired ? 'required ' : ''}${isRequired ? type : toCsNullable(type)} ${propertyName} { get; init; }`;
+  });
+  if (schema.additionalProperties) {
+    properties.push(`    /// <summary>
+    /// Properties the model does not declare
+    /// </summary>
+    [JsonExtensionData]
+    public Dictionary<string, JsonElement>? AdditionalProperties { get; init; }`);
+  }
+  const source = properties.join('\n');
+
+  return `${/\bJsonElement\b/.test(source) ? 'using System.Text.Json;\n' : ''}using System.Text.Json.Serialization;
+
+namespace ${CS_NAMESPACE}.Models;
+
+${toCsDocSummary(schema.description || `${name} model`, '')}
+public sealed record ${className}
+{
+${properties.join('\n\n')}
+}
+`;
+}
+
+/**
+ * Enum members for the values of a string enumeration
+ */
+function getEnumMembers(schema, className) {
+  const usedNames = new Set([className]);
+  return schema.enum.filter(value => value !== null).map(value => {
+    const base = toCsPascalCase(value);
+    let member = base;
+    for (let suffix = 2; usedNames.has(member); suffix++) {
+      member = `${base}${suffix}`;
+    }
+    usedNames.add(member);
+    return { value, member };
+  });
+}
+
+/**
+ * Generate an enum, and the converter that reads and writes its JSON values, for a string enumeration
+ */
+function generateEnumModel(name, schemas) {
+  const schema = schemas[name];
+  const enumName = toCsTypeName(name);
+  const members = getEnumMembers(schema, enumName);
+
+  return `using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace ${CS_NAMESPACE}.Models;
+
+${toCsDocSummary(schema.description || `${name} values`, '')}
+[JsonConverter(typeof(${enumName}JsonConverter))]
+public enum ${enumName}
+{
+${members.map(({ value, member }) => `    /// <summary>${escapeXmlLine(value)}</summary>\n    ${member}`).join(',\n\n')}
+}
+
+/// <summary>
+/// Reads and writes <see cref="${enumName}"/> as its JSON string values
+/// </summary>
+public sealed class ${enumName}JsonConverter : JsonConverter<${enumName}>
+{
+    /// <inheritdoc />
+    public override ${enumName} Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options) =>
+        reader.GetString() switch
+        {
+${members.map(({ value, member }) => `            ${toCsString(value)} => ${enumName}.${member},`).join('\n')}
+            var value => throw new JsonException($"Unknown ${enumName} value '{value}'")
+        };
+
+    /// <inheritdoc />
+    public override void Write(Utf8JsonWriter writer, ${enumName} value, JsonSerializerOptions options) =>
+        writer.WriteStringValue(value switch
+        {
+${members.map(({ value, member }) => `            ${enumName}.${member} => ${toCsString(value)},`).join('\n')}
+            _ => throw new JsonException($"Unknown ${enumName} value '{value}'")
+        });
+}
+`;
+}
+
+/**
+ * Generate a record holding one of the variants of a oneOf/anyOf model, and
+ * the converter that picks the variant when reading JSON
+ */
+function generateUnionModel(name, schemas) {
+  const schema = schemas[name];
+  const unionName = toCsTypeName(name);
+  const variants = schema.oneOf || schema.anyOf;
+  const types = getUnionTypes(variants, schemas, false, [name]);
+  const accessors = new Set(['Value']);
+  const members = types.map(type => {
+    const base = `As${type.split(/[^A-Za-z0-9_]+/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`;
+    let accessor = base;
+    for (let suffix = 2; accessors.has(accessor); suffix++) {
+      accessor = `${base}${suffix}`;
+    }
+    accessors.add(accessor);
+    return { type, accessor };
+  });
+
+  // A discriminator names the variant directly; otherwise variants are tried in order
+  const cases = [];
+  const propertyName = schema.discriminator?.propertyName;
+  if (propertyName) {
+    for (const variant of variants) {
+      const type = toCsType(variant, schemas, false, [name]).replace(/\?$/, '');
+      for (const value of getDiscriminatorValues(schema, variant) || []) {
+        if (!cases.some(entry => entry.value === value)) {
+          cases.push({ value, type });
+        }
+      }
+    }
+  }
+  const dispatch = cases.length > 0 ? `        if (element.ValueKind == JsonValueKind.Object &&
+            element.TryGetProperty(${toCsString(propertyName)}, out var discriminator) &&
+            discriminator.ValueKind == JsonValueKind.String)
+        {
+            switch (discriminator.GetString())
+            {
+${cases.map(({ value, type }) => `                case ${toCsString(String(value))}:
+                    return new ${unionName}(element.Deserialize<${type}>(options)!);`).join('\n')}
+            }
+        }
+
+` : '';
+
+  return `using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace ${CS_NAMESPACE}.Models;
+
+${toCsDocSummary(schema.description || `${name}: one of ${types.join(', ')}`, '')}
+[JsonConverter(typeof(${unionName}JsonConverter))]
+public sealed record ${unionName}
+{
+${members.map(({ type }) => `    /// <summary>
+    /// Hold a ${escapeXmlLine(type)} value
+    /// </summary>
+    public ${unionName}(${type} value) => Value = value;`).join('\n\n')}
+
+    /// <summary>
+    /// The variant value
+    /// </summary>
+    public object Value { get; }
+
+${members.map(({ type, accessor }) => `    /// <summary>
+    /// The value as ${escapeXmlLine(type)}, or null when it holds another variant
+    /// </summary>
+    public ${toCsNullable(type)} ${accessor} => Value is ${type} value ? value : null;`).join('\n\n')}
+
+${members.map(({ type }) => `    /// <summary>
+    /// Wrap a ${escapeXmlLine(type)} value
+    /// </summary>
+    public static implicit operator ${unionName}(${type} value) => new(value);`).join('\n\n')}
+}
+
+/// <summary>
+/// Reads <see cref="${unionName}"/> into the matching variant and writes the variant it holds
+/// </summary>
+public sealed class ${unionName}JsonConverter : JsonConverter<${unionName}>
+{
+    private static readonly Func<JsonElement, JsonSerializerOptions, ${unionName}>[] Variants =
+    {
+${members.map(({ type }) => `        (element, options) => new ${unionName}(element.Deserialize<${type}>(options)!)`).join(',\n')}
+    };
+
+    /// <inheritdoc />
+    public override ${unionName}? Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        using var document = JsonDocument.ParseValue(ref reader);
+        var element = document.RootElement;
+${dispatch}        foreach (var variant in Variants)
+        {
+            try
+            {
+                return variant(element, options);
+            }
+            catch (JsonException)
+            {
+                // Not this variant; try the next one
+            }
+        }
+        throw new JsonException("Value does not match any ${unionName} variant");
+    }
+
+    /// <inheritdoc />
+    public override void Write(Utf8JsonWriter writer, ${unionName} value, JsonSerializerOptions options) =>
+        JsonSerializer.Serialize(writer, value.Value, value.Value.GetType(), options);
+}
+`;
+}
+
+/**
+ * Generate the untyped response model
+ */
+function generateApiResponse() {
+  return `namespace ${CS_NAMESPACE}.Models;
+
+/// <summary>
+/// Response of an operation that declares no JSON body
+/// </summary>
+/// <param name="StatusCode">HTTP status code</param>
+/// <param name="ReasonPhrase">HTTP reason phrase</param>
+/// <param name="Body">Response body as text</param>
+public sealed record ApiResponse(int StatusCode, string? ReasonPhrase, string Body)
+{
+    /// <summary>
+    /// Read the status and body of a response
+    /// </summary>
+    /// <param name="response">HTTP response</param>
+    /// <param name="cancellationToken">Cancels reading the body</param>
+    /// <returns>Response status and body</returns>
+    public static async Task<ApiResponse> FromResponseAsync(HttpResponseMessage response, CancellationToken cancellationToken = default) =>
+        new((int)response.StatusCode, response.ReasonPhrase,
+            await response.Content.ReadAsStringAsync(cancellationToken).ConfigureAwait(false));
+}
+`;
+}
+
+/**
+ * Generate authentication handler
+ */
+function generateAuthHandler(securitySchemes) {
+  const schemes = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const flows = scheme.type === 'oauth2' ? Object.entries(getTokenFlows(scheme)) : [];
+    const flowsExpression = flows.length === 0
+      ? 'new Dictionary<string, OAuthFlow>()'
+      : `new Dictionary<string, OAuthFlow>
+            {
+${flows.map(([flowName, flow]) => `                [${toCsString(flowName)}] = new(${toCsString(flow.tokenUrl)}, ${flow.refreshUrl ? toCsString(flow.refreshUrl) : 'null'})`).join(',\n')}
+            }`;
+    return `        [${toCsString(name)}] = new(
+            Type: ${toCsString(scheme.type)},
+            Name: ${scheme.name ? toCsString(scheme.name) : 'null'},
+            In: ${toCsString(scheme.in || 'header')},
+            EnvVar: ${toCsString(toCredentialEnvName(name))},
+            Flows: ${flowsExpression})`;
+  });
+
+  return `using System.Collections.Concurrent;
+using System.Text;
+using ${CS_NAMESPACE}.Config;
+
+namespace ${CS_NAMESPACE}.Auth;
+
+/// <summary>
+/// Security scheme declared by the API
+/// </summary>
+/// <param name="Type">apiKey, bearer, basic or oauth2</param>
+/// <param name="Name">Header, query parameter or cookie name of an API key</param>
+/// <param name="In">Where an API key is sent: header, query or cookie</param>
+/// <param name="EnvVar">Environment variable holding the scheme's credential</param>
+/// <param name="Flows">OAuth 2.0 flows that can obtain tokens</param>
+public sealed record SecurityScheme(string Type, string? Name, string In, string EnvVar, IReadOnlyDictionary<string, OAuthFlow> Flows);
+
+/// <summary>
+/// Headers and query parameters that authenticate a request
+/// </summary>
+public sealed class AuthResult
+{
+    /// <summary>
+    /// Headers to send
+    /// </summary>
+    public Dictionary<string, string> Headers { get; } = new();
+
+    /// <summary>
+    /// Query parameters to send
+    /// </summary>
+    public Dictionary<string, string> QueryParams { get; } = new();
+}
+
+/// <summary>
+/// Authentication handler
+/// </summary>
+/// <remarks>
+/// Applies the security schemes required by each endpoint.
+/// </remarks>
+public class AuthHandler
+{
+    /// <summary>
+    /// Security schemes declared by the API, keyed by scheme name
+    /// </summary>
+    public static readonly IReadOnlyDictionary<string, SecurityScheme> SecuritySchemes = new Dictionary<string, SecurityScheme>${schemes.length === 0 ? '();' : `
+    {
+${schemes.join(',\n')}
+    };`}
+
+    // OAuth 2.0 client settings and the environment variable suffix each is read from
+    private static readonly IReadOnlyDictionary<string, string> OAuthEnvironment = new Dictionary<string, string>
+    {
+        ["ClientId"] = "CLIENT_ID",
+        ["ClientSecret"] = "CLIENT_SECRET",
+        ["Username"] = "USERNAME",
+        ["Password"] = "PASSWORD",
+        ["RefreshToken"] = "REFRESH_TOKEN",
+        ["AuthorizationCode"] = "AUTHORIZATION_CODE",
+        ["RedirectUri"] = "REDIRECT_URI",
+        ["TokenUrl"] = "TOKEN_URL"
+    };
+
+    private readonly ApiConfig config;
+    private readonly HttpClient tokenHttpClient;
+    private readonly TimeProvider timeProvider;
+    private readonly ConcurrentDictionary<string, TokenManager> tokenManagers = new();
+
+    /// <summary>
+    /// Create the authentication handler
+    /// </summary>
+    /// <param name="config">Client configuration</param>
+    /// <param name="tokenHttpClient">HTTP client for OAuth 2.0 token requests</param>
+    /// <param name="timeProvider">Clock that token expiry is checked against</param>
+    public AuthHandler(ApiConfig config, HttpClient? tokenHttpClient = null, TimeProvider? timeProvider = null)
+    {
+        this.config = config;
+        this.tokenHttpClient = tokenHttpClient ?? new HttpClient();
+        this.timeProvider = timeProvider ?? TimeProvider.System;
+    }
+
+    /// <summary>
+    /// Resolve authentication for a request
+    /// </summary>
+    /// <remarks>
+    /// Requirements are alternatives: the first one whose credentials are all
+    /// configured is applied. An empty requirement makes authentication optional.
+    /// </remarks>
+    /// <param name="security">Security requirements, e.g. [{ "apiKeyAuth": [] }]</param>
+    /// <param name="cancellationToken">Cancels token requests</param>
+    /// <returns>Auth headers and query parameters</returns>
+    /// <exception cref="InvalidOperationException">No requirement can be satisfied</exception>
+    public virtual async Task<AuthResult> AuthenticateAsync(IReadOnlyList<IReadOnlyDictionary<string, string[]>> security,
+        CancellationToken cancellationToken = default)
+    {
+        var auth = new AuthResult();
+        var requirement = ResolveRequirement(security);
+        if (requirement == null)
+        {
+            return auth;
+        }
+
+        foreach (var (schemeName, scopes) in requirement)
+        {
+            string? token = null;
+            if (string.IsNullOrEmpty(GetCredential(schemeName)) && SecuritySchemes[schemeName].Type == "oauth2")
+            {
+                token = await GetTokenManager(schemeName).GetTokenAsync(scopes, cancellationToken).ConfigureAwait(false);
+            }
+            ApplyScheme(schemeName, token, auth);
+        }
+        return auth;
+    }
+
+    /// <summary>
+    /// Drop the cached OAuth 2.0 tokens used for a request, e.g. after a 401 response
+    /// </summary>
+    /// <param name="security">Security requirements of the request</param>
+    /// <returns>True if a managed token was invalidated and the request can be retried</returns>
+    public virtual bool InvalidateTokens(IReadOnlyList<IReadOnlyDictionary<string, string[]>> security)
+    {
+        var requirement = SelectRequirement(security);
+        if (requirement == null)
+        {
+            return false;
+        }
+
+        var invalidated = false;
+        foreach (var (schemeName, scopes) in requirement)
+        {
+            if (UsesTokenManager(schemeName))
+            {
+                GetTokenManager(schemeName).Invalidate(scopes);
+                invalidated = true;
+            }
+        }
+        return invalidated;
+    }
+
+    /// <summary>
+    /// Pick the first non-empty requirement whose schemes are all configured
+    /// </summary>
+    public IReadOnlyDictionary<string, string[]>? SelectRequirement(IReadOnlyList<IReadOnlyDictionary<string, string[]>> security) =>
+        security.FirstOrDefault(requirement => requirement.Count > 0 && requirement.Keys.All(IsConfigured));
+
+    /// <summary>
+    /// Check whether a scheme has a credential or can obtain one
+    /// </summary>
+    public bool IsConfigured(string schemeName) =>
+        !string.IsNullOrEmpty(GetCredential(schemeName)) || UsesTokenManager(schemeName);
+
+    /// <summary>
+    /// Check whether a scheme's token is obtained from the token endpoint rather than configured
+    /// </summary>
+    public bool UsesTokenManager(string schemeName) =>
+        SecuritySchemes.TryGetValue(schemeName, out var scheme) && scheme.Type == "oauth2" &&
+        string.IsNullOrEmpty(GetCredential(schemeName)) && GetTokenManager(schemeName).CanAcquireToken();
+
+    /// <summary>
+    /// Get the token manager of an OAuth 2.0 scheme, creating it on first use
+    /// </summary>
+    /// <param name="schemeName">Security scheme name</param>
+    /// <returns>Token manager shared by all requests using the scheme</returns>
+    public TokenManager GetTokenManager(string schemeName) => tokenManagers.GetOrAdd(schemeName, CreateTokenManager);
+
+    /// <summary>
+    /// Look up the configured credential for a security scheme
+    /// </summary>
+    /// <remarks>
+    /// Per-scheme credentials take precedence over the generic settings.
+    /// </remarks>
+    /// <param name="schemeName">Security scheme name</param>
+    /// <returns>Credential value</returns>
+    public string? GetCredential(string schemeName)
+    {
+        if (!SecuritySchemes.TryGetValue(schemeName, out var scheme))
+        {
+            return null;
+        }
+
+        var explicitCredential = config.Credentials.GetValueOrDefault(schemeName);
+        if (string.IsNullOrEmpty(explicitCredential))
+        {
+            explicitCredential = Environment.GetEnvironmentVariable(scheme.EnvVar);
+        }
+        if (!string.IsNullOrEmpty(explicitCredential))
+        {
+            return explicitCredential;
+        }
+
+        return scheme.Type switch
+        {
+            "bearer" => NonEmpty(config.BearerToken) ?? NonEmpty(config.ApiKey),
+            "apiKey" => NonEmpty(config.ApiKey),
+            "basic" => !string.IsNullOrEmpty(config.Username) && !string.IsNullOrEmpty(config.Password)
+                ? $"{config.Username}:{config.Password}"
+                : null,
+            "oauth2" => NonEmpty(config.AccessToken),
+            _ => null
+        };
+    }
+
+    private IReadOnlyDictionary<string, string[]>? ResolveRequirement(IReadOnlyList<IReadOnlyDictionary<string, string[]>> security)
+    {
+        if (security.Count == 0)
+        {
+            return null;
+        }
+
+        var requirement = SelectRequirement(security);
+        if (requirement == null && security.All(req => req.Count > 0))
+        {
+            var options = string.Join(" or ", security.Select(req => string.Join(" + ", req.Keys)));
+            throw new InvalidOperationException($"Missing credentials: this endpoint requires {options}");
+        }
+        return requirement;
+    }
+
+    private TokenManager CreateTokenManager(string schemeName)
+    {
+        var scheme = SecuritySchemes[schemeName];
+        var settings = new OAuthSettings();
+        foreach (var (key, suffix) in OAuthEnvironment)
+        {
+            var value = Environment.GetEnvironmentVariable($"{scheme.EnvVar}_{suffix}");
+            if (!string.IsNullOrEmpty(value))
+            {
+                settings.Set(key, value);
+            }
+        }
+        if (config.OAuth2.TryGetValue(schemeName, out var configured))
+        {
+            settings = settings.MergedWith(configured);
+        }
+
+        return new TokenManager(scheme.Flows, settings, tokenHttpClient, config.BaseUrl, config.Timeout, timeProvider);
+    }
+
+    /// <summary>
+    /// Apply a single security scheme to the outgoing request
+    /// </summary>
+    /// <param name="schemeName">Security scheme name</param>
+    /// <param name="token">Access token obtained from the token manager, for OAuth 2.0 schemes</param>
+    /// <param name="auth">Headers and query parameters being built</param>
+    private void ApplyScheme(string schemeName, string? token, AuthResult auth)
+    {
+        var scheme = SecuritySchemes[schemeName];
+        var credential = GetCredential(schemeName) ?? "";
+
+        switch (scheme.Type)
+        {
+            case "bearer":
+            case "oauth2":
+                auth.Headers["Authorization"] = $"Bearer {(credential.Length > 0 ? credential : token)}";
+                break;
+            case "basic":
+                auth.Headers["Authorization"] = $"Basic {Convert.ToBase64String(Encoding.UTF8.GetBytes(credential))}";
+                break;
+            case "apiKey":
+                var keyName = scheme.Name ?? schemeName;
+                if (scheme.In == "query")
+                {
+                    auth.QueryParams[keyName] = credential;
+                }
+                else if (scheme.In == "cookie")
+                {
+                    auth.Headers["Cookie"] = auth.Headers.TryGetValue("Cookie", out var cookies)
+                        ? $"{cookies}; {keyName}={credential}"
+                        : $"{keyName}={credential}";
+                }
+                else
+                {
+                    auth.Headers[keyName] = credential;
+                }
+                break;
+        }
+    }
+
+    private static string? NonEmpty(string? value) => string.IsNullOrEmpty(value) ? null : value;
+}
+`;
+}
+
+/**
+ * Generate the delegating handler that authenticates requests
+ */
+function generateAuthDelegatingHandler() {
+  return `using System.Net;
+
+namespace ${CS_NAMESPACE}.Auth;
+
+/// <summary>
+/// Delegating handler that authenticates requests
+/// </summary>
+/// <remarks>
+/// Reads the endpoint's security requirements from <see cref="SecurityOption"/>
+/// and applies the matching credentials. A 401 response invalidates any OAuth 2.0
+/// token that was used and the request is retried once with a freshly acquired token.
+/// </remarks>
+public class AuthDelegatingHandler : DelegatingHandler
+{
+    /// <summary>
+    /// Request option carrying the security requirements of the endpoint
+    /// </summary>
+    public static readonly HttpRequestOptionsKey<IReadOnlyList<IReadOnlyDictionary<string, string[]>>> SecurityOption =
+        new("${CS_NAMESPACE}.Security");
+
+    private readonly AuthHandler authHandler;
+
+    /// <summary>
+    /// Create the handler
+    /// </summary>
+    /// <param name="authHandler">Resolves the credentials for each request</param>
+    public AuthDelegatingHandler(AuthHandler authHandler)
+    {
+        this.authHandler = authHandler;
+    }
+
+    /// <inheritdoc />
+    protected override async Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+    {
+        if (!request.Options.TryGetValue(SecurityOption, out var security) || security.Count == 0)
+        {
+            return await base.SendAsync(request, cancellationToken).ConfigureAwait(false);
+        }
+
+        var requestUri = request.RequestUri;
+        var auth = await authHandler.AuthenticateAsync(security, cancellationToken).ConfigureAwait(false);
+        Apply(request, requestUri, auth);
+
+        var response = await base.SendAsync(request, cancellationToken).ConfigureAwait(false);
+        if (response.StatusCode != HttpStatusCode.Unauthorized || !authHandler.InvalidateTokens(security))
+        {
+            return response;
+        }
+
+        response.Dispose();
+        foreach (var name in auth.Headers.Keys)
+        {
+            request.Headers.Remove(name);
+        }
+        var refreshedAuth = await authHandler.AuthenticateAsync(security, cancellationToken).ConfigureAwait(false);
+        Apply(request, requestUri, refreshedAuth);
+        return await base.SendAsync(request, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Add auth headers and query parameters to a request
+    /// </summary>
+    /// <param name="request">Outgoing request</param>
+    /// <param name="requestUri">Request URI before any auth query parameters were added</param>
+    /// <param name="auth">Headers and query parameters to apply</param>
+    private static void Apply(HttpRequestMessage request, Uri? requestUri, AuthResult auth)
+    {
+        foreach (var (name, value) in auth.Headers)
+        {
+            request.Headers.Remove(name);
+            request.Headers.TryAddWithoutValidation(name, value);
+        }
+
+        if (auth.QueryParams.Count > 0 && requestUri != null)
+        {
+            var query = string.Join("&", auth.QueryParams.Select(param => $"{Uri.EscapeDataString(param.Key)}={Uri.EscapeDataString(param.Value)}"));
+            var uri = requestUri.OriginalString;
+            request.RequestUri = new Uri($"{uri}{(uri.Contains('?') ? '&' : '?')}{query}", UriKind.RelativeOrAbsolute);
+        }
+        else
+        {
+            request.RequestUri = requestUri;
+        }
+    }
+}
+`;
+}
+
+/**
+ * Generate the OAuth 2.0 token manager
+ */
+function generateTokenManager() {
+  return `using System.Collections.Concurrent;
+using System.Globalization;
+using System.Net.Http.Headers;
+using System.Net.Http.Json;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace ${CS_NAMESPACE}.Auth;
+
+/// <summary>
+/// Token endpoints of an OAuth 2.0 flow
+/// </summary>
+/// <param name="TokenUrl">Token endpoint, absolute or relative to the API base URL</param>
+/// <param name="RefreshUrl">Refresh endpoint, when it differs from the token endpoint</param>
+public sealed record OAuthFlow(string TokenUrl, string? RefreshUrl);
+
+/// <summary>
+/// OAuth 2.0 client settings of a security scheme
+/// </summary>
+public sealed class OAuthSettings
+{
+    /// <summary>
+    /// Flow to use instead of the first one the settings allow
+    /// </summary>
+    public string? Flow { get; set; }
+
+    /// <summary>
+    /// OAuth 2.0 client ID
+    /// </summary>
+    public string? ClientId { get; set; }
+
+    /// <summary>
+    /// OAuth 2.0 client secret
+    /// </summary>
+    public string? ClientSecret { get; set; }
+
+    /// <summary>
+    /// "body" sends the client credentials in the form body instead of a Basic header
+    /// </summary>
+    public string? ClientAuthentication { get; set; }
+
+    /// <summary>
+    /// Resource owner username
+    /// </summary>
+    public string? Username { get; set; }
+
+    /// <summary>
+    /// Resource owner password
+    /// </summary>
+    public string? Password { get; set; }
+
+    /// <summary>
+    /// Refresh token
+    /// </summary>
+    public string? RefreshToken { get; set; }
+
+    /// <summary>
+    /// One-time authorization code
+    /// </summary>
+    public string? AuthorizationCode { get; set; }
+
+    /// <summary>
+    /// Redirect URI used to obtain the code
+    /// </summary>
+    public string? RedirectUri { get; set; }
+
+    /// <summary>
+    /// Token endpoint override
+    /// </summary>
+    public string? TokenUrl { get; set; }
+
+    /// <summary>
+    /// Refresh endpoint override
+    /// </summary>
+    public string? RefreshUrl { get; set; }
+
+    /// <summary>
+    /// Set a setting by name, e.g. from a configuration section
+    /// </summary>
+    /// <param name="key">Setting name, e.g. ClientId</param>
+    /// <param name="value">Setting value</param>
+    /// <exception cref="ArgumentException">The setting does not exist</exception>
+    public void Set(string key, string value)
+    {
+        switch (key.ToLowerInvariant())
+        {
+            case "flow": Flow = value; break;
+            case "clientid": ClientId = value; break;
+            case "clientsecret": ClientSecret = value; break;
+            case "clientauthentication": ClientAuthentication = value; break;
+            case "username": Username = value; break;
+            case "password": Password = value; break;
+            case "refreshtoken": RefreshToken = value; break;
+            case "authorizationcode": AuthorizationCode = value; break;
+            case "redirecturi": RedirectUri = value; break;
+            case "tokenurl": TokenUrl = value; break;
+            case "refreshurl": RefreshUrl = value; break;
+            default: throw new ArgumentException($"Unknown OAuth 2.0 setting '{key}'", nameof(key));
+        }
+    }
+
+    /// <summary>
+    /// Combine these settings with overrides, which win where they are set
+    /// </summary>
+    /// <param name="overrides">Settings that take precedence</param>
+    /// <returns>Combined settings</returns>
+    public OAuthSettings MergedWith(OAuthSettings overrides) => new()
+    {
+        Flow = overrides.Flow ?? Flow,
+        ClientId = overrides.ClientId ?? ClientId,
+        ClientSecret = overrides.ClientSecret ?? ClientSecret,
+        ClientAuthentication = overrides.ClientAuthentication ?? ClientAuthentication,
+        Username = overrides.Username ?? Username,
+        Password = overrides.Password ?? Password,
+        RefreshToken = overrides.RefreshToken ?? RefreshToken,
+        AuthorizationCode = overrides.AuthorizationCode ?? AuthorizationCode,
+        RedirectUri = overrides.RedirectUri ?? RedirectUri,
+        TokenUrl = overrides.TokenUrl ?? TokenUrl,
+        RefreshUrl = overrides.RefreshUrl ?? RefreshUrl
+    };
+}
+
+/// <summary>
+/// OAuth 2.0 token manager
+/// </summary>
+/// <remarks>
+/// Fetches access tokens from the token endpoint, caches them until they expire,
+/// refreshes them with the refresh token and shares a single token request
+/// between concurrent callers.
+/// </remarks>
+public class TokenManager
+{
+    // OAuth 2.0 flows that can obtain tokens without user interaction, in order of preference
+    private static readonly string[] TokenFlows = { "authorizationCode", "password", "clientCredentials" };
+
+    private readonly IReadOnlyDictionary<string, OAuthFlow> flows;
+    private readonly OAuthSettings settings;
+    private readonly HttpClient httpClient;
+    private readonly string baseUrl;
+    private readonly int timeout;
+    private readonly TimeProvider timeProvider;
+    private readonly ConcurrentDictionary<string, TokenEntry> tokens = new();
+    private readonly SemaphoreSlim fetchLock = new(1, 1);
+    private bool authorizationCodeUsed;
+    // Most recent refresh token, so a used authorization code can still be refreshed
+    private string? refreshToken;
+
+    /// <summary>
+    /// Create the token manager
+    /// </summary>
+    /// <param name="flows">OAuth 2.0 flows of the security scheme</param>
+    /// <param name="settings">Client settings</param>
+    /// <param name="httpClient">HTTP client for token requests</param>
+    /// <param name="baseUrl">Base URL that relative token URLs are resolved against</param>
+    /// <param name="timeout">Token request timeout in milliseconds</param>
+    /// <param name="timeProvider">Clock that token expiry is checked against</param>
+    public TokenManager(IReadOnlyDictionary<string, OAuthFlow> flows, OAuthSettings settings, HttpClient httpClient,
+        string baseUrl = "", int timeout = 30000, TimeProvider? timeProvider = null)
+    {
+        this.flows = flows;
+        this.settings = settings;
+        this.httpClient = httpClient;
+        this.baseUrl = baseUrl;
+        this.timeout = timeout;
+        this.timeProvider = timeProvider ?? TimeProvider.System;
+        refreshToken = NonEmpty(settings.RefreshToken);
+    }
+
+    /// <summary>
+    /// Name of the flow used to obtain tokens
+    /// </summary>
+    public string? Flow
+    {
+        get
+        {
+            if (!string.IsNullOrEmpty(settings.Flow))
+            {
+                return settings.Flow;
+            }
+
+            var available = TokenFlows.Where(flows.ContainsKey).ToList();
+            return available.FirstOrDefault(HasGrantCredentials)
+                ?? available.FirstOrDefault()
+                ?? (string.IsNullOrEmpty(settings.TokenUrl) ? null : "clientCredentials");
+        }
+    }
+
+    /// <summary>
+    /// Token endpoint of the flow
+    /// </summary>
+    public string? TokenUrl => NonEmpty(settings.TokenUrl) ?? CurrentFlow?.TokenUrl;
+
+    /// <summary>
+    /// Endpoint that refresh tokens are exchanged at
+    /// </summary>
+    public string? RefreshUrl => NonEmpty(settings.RefreshUrl) ?? NonEmpty(CurrentFlow?.RefreshUrl) ?? TokenUrl;
+
+    private OAuthFlow? CurrentFlow => Flow != null && flows.TryGetValue(Flow, out var flow) ? flow : null;
+
+    /// <summary>
+    /// Check whether enough settings are configured to obtain a token
+    /// </summary>
+    /// <returns>True if <see cref="GetTokenAsync"/> can succeed</returns>
+    public bool CanAcquireToken() =>
+        !string.IsNullOrEmpty(TokenUrl) && (refreshToken != null || HasGrantCredentials(Flow));
+
+    /// <summary>
+    /// Get a valid access token for the given scopes, fetching or refreshing it when needed
+    /// </summary>
+    /// <param name="scopes">Scopes to request</param>
+    /// <param name="cancellationToken">Cancels the token request</param>
+    /// <returns>Access token</returns>
+    public async Task<string> GetTokenAsync(IReadOnlyCollection<string>? scopes = null, CancellationToken cancellationToken = default)
+    {
+        scopes ??= Array.Empty<string>();
+        var key = CacheKey(scopes);
+        var cached = GetCached(key);
+        if (cached != null)
+        {
+            return cached;
+        }
+
+        // Concurrent callers wait for the same token request
+        await fetchLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            return GetCached(key) ?? await FetchTokenAsync(key, scopes, cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            fetchLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Discard the cached access token, keeping the refresh token for the next fetch
+    /// </summary>
+    /// <param name="scopes">Scopes the token was requested for</param>
+    public void Invalidate(IReadOnlyCollection<string>? scopes = null)
+    {
+        var key = CacheKey(scopes ?? Array.Empty<string>());
+        if (tokens.TryGetValue(key, out var cached))
+        {
+            tokens[key] = cached with { AccessToken = null };
+        }
+    }
+
+    /// <summary>
+    /// Obtain a new token, preferring the refresh token over a new grant
+    /// </summary>
+    private async Task<string> FetchTokenAsync(string key, IReadOnlyCollection<string> scopes, CancellationToken cancellationToken)
+    {
+        var refresh = (tokens.TryGetValue(key, out var cached) ? cached.RefreshToken : null) ?? refreshToken;
+        var grant = HasGrantCredentials(Flow) ? Flow : null;
+
+        TokenResponse? token = null;
+        if (refresh != null)
+        {
+            try
+            {
+                var parameters = new Dictionary<string, string> { ["grant_type"] = "refresh_token", ["refresh_token"] = refresh };
+                token = await RequestTokenAsync(RefreshUrl, parameters, scopes, cancellationToken).ConfigureAwait(false);
+            }
+            catch (Exception error) when (error is HttpRequestException or InvalidOperationException or JsonException && grant != null)
+            {
+                // An expired or revoked refresh token falls back to a new grant when possible
+            }
+        }
+        token ??= await RequestTokenAsync(TokenUrl, UseGrant(grant), scopes, cancellationToken).ConfigureAwait(false);
+
+        var accessToken = token.AccessToken!;
+        tokens[key] = new TokenEntry(accessToken, NonEmpty(token.RefreshToken) ?? refresh, GetExpiry(token.ExpiresIn));
+        if (!string.IsNullOrEmpty(token.RefreshToken))
+        {
+            refreshToken = token.RefreshToken;
+        }
+        return accessToken;
+    }
+
+    private string? GetCached(string key) =>
+        tokens.TryGetValue(key, out var cached) && cached.AccessToken != null &&
+        (cached.ExpiresAt == null || timeProvider.GetUtcNow() < cached.ExpiresAt)
+            ? cached.AccessToken
+            : null;
+
+    /// <summary>
+    /// Check whether the grant for a flow can be performed with the configured settings
+    /// </summary>
+    private bool HasGrantCredentials(string? flow) => flow switch
+    {
+        "clientCredentials" => !string.IsNullOrEmpty(settings.ClientId),
+        "password" => !string.IsNullOrEmpty(settings.Username) && !string.IsNullOrEmpty(settings.Password),
+        "authorizationCode" => !string.IsNullOrEmpty(settings.AuthorizationCode) && !authorizationCodeUsed,
+        _ => false
+    };
+
+    /// <summary>
+    /// Build the token request parameters for a flow
+    /// </summary>
+    private Dictionary<string, string> UseGrant(string? flow)
+    {
+        switch (flow)
+        {
+            case "clientCredentials":
+                return new Dictionary<string, string> { ["grant_type"] = "client_credentials" };
+            case "password":
+                return new Dictionary<string, string>
+                {
+                    ["grant_type"] = "password",
+                    ["username"] = settings.Username!,
+                    ["password"] = settings.Password!
+                };
+            case "authorizationCode":
+                // Authorization codes are single-use; later tokens come from the refresh token
+                authorizationCodeUsed = true;
+                var parameters = new Dictionary<string, string>
+                {
+                    ["grant_type"] = "authorization_code",
+                    ["code"] = settings.AuthorizationCode!
+                };
+                if (!string.IsNullOrEmpty(settings.RedirectUri))
+                {
+                    parameters["redirect_uri"] = settings.RedirectUri;
+                }
+                return parameters;
+        }
+
+        if (Flow == "authorizationCode")
+        {
+            throw new InvalidOperationException("OAuth 2.0 authorization code flow needs a refresh token or an unused authorization code");
+        }
+        throw new InvalidOperationException($"OAuth 2.0 flow \\"{Flow}\\" cannot obtain tokens automatically; configure an access token instead");
+    }
+
+    /// <summary>
+    /// Send a token endpoint request
+    /// </summary>
+    /// <param name="url">Token endpoint URL, absolute or relative to the API base URL</param>
+    /// <param name="parameters">Grant parameters</param>
+    /// <param name="scopes">Scopes to request</param>
+    /// <param name="cancellationToken">Cancels the request</param>
+    /// <returns>Token endpoint response</returns>
+    private async Task<TokenResponse> RequestTokenAsync(string? url, Dictionary<string, string> parameters,
+        IReadOnlyCollection<string> scopes, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrEmpty(url))
+        {
+            throw new InvalidOperationException("OAuth 2.0 token URL is not configured");
+        }
+
+        var form = new Dictionary<string, string>(parameters);
+        if (scopes.Count > 0)
+        {
+            form["scope"] = string.Join(" ", scopes);
+        }
+
+        using var request = new HttpRequestMessage(HttpMethod.Post, ResolveUrl(url));
+        request.Headers.Accept.Add(new MediaTypeWithQualityHeaderValue("application/json"));
+        if (!string.IsNullOrEmpty(settings.ClientId) && !string.IsNullOrEmpty(settings.ClientSecret) && settings.ClientAuthentication != "body")
+        {
+            var credentials = Encoding.UTF8.GetBytes($"{settings.ClientId}:{settings.ClientSecret}");
+            request.Headers.Authorization = new AuthenticationHeaderValue("Basic", Convert.ToBase64String(credentials));
+        }
+        else if (!string.IsNullOrEmpty(settings.ClientId))
+        {
+            form["client_id"] = settings.ClientId;
+            if (!string.IsNullOrEmpty(settings.ClientSecret))
+            {
+                form["client_secret"] = settings.ClientSecret;
+            }
+        }
+        request.Content = new FormUrlEncodedContent(form);
+
+        using var timeoutSource = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        timeoutSource.CancelAfter(timeout);
+        using var response = await httpClient.SendAsync(request, timeoutSource.Token).ConfigureAwait(false);
+        response.EnsureSuccessStatusCode();
+
+        var token = await response.Content.ReadFromJsonAsync<TokenResponse>(cancellationToken: timeoutSource.Token).ConfigureAwait(false);
+        if (token == null || string.IsNullOrEmpty(token.AccessToken))
+        {
+            throw new InvalidOperationException("Token endpoint response did not include an access_token");
+        }
+        return token;
+    }
+
+    private string ResolveUrl(string url)
+    {
+        if (string.IsNullOrEmpty(baseUrl) || url.Contains("://"))
+        {
+            return url;
+        }
+        return baseUrl.TrimEnd('/') + "/" + url.TrimStart('/');
+    }
+
+    /// <summary>
+    /// Compute when a token should be treated as expired, leaving a safety margin
+    /// </summary>
+    private DateTimeOffset? GetExpiry(JsonElement? expiresIn)
+    {
+        double seconds = 0;
+        if (expiresIn is { ValueKind: JsonValueKind.Number } number)
+        {
+            seconds = number.GetDouble();
+        }
+        else if (expiresIn is { ValueKind: JsonValueKind.String } text)
+        {
+            double.TryParse(text.GetString(), NumberStyles.Float, CultureInfo.InvariantCulture, out seconds);
+        }
+
+        if (seconds <= 0)
+        {
+            return null;
+        }
+        return timeProvider.GetUtcNow().AddSeconds(seconds - Math.Min(30, seconds / 2));
+    }
+
+    private static string CacheKey(IEnumerable<string> scopes) => string.Join(" ", scopes.OrderBy(scope => scope, StringComparer.Ordinal));
+
+    private static string? NonEmpty(string? value) => string.IsNullOrEmpty(value) ? null : value;
+
+    private sealed record TokenEntry(string? AccessToken, string? RefreshToken, DateTimeOffset? ExpiresAt);
+
+    private sealed record TokenResponse(
+        [property: JsonPropertyName("access_token")] string? AccessToken,
+        [property: JsonPropertyName("refresh_token")] string? RefreshToken,
+        [property: JsonPropertyName("expires_in")] JsonElement? ExpiresIn);
+}
+`;
+}
+
+/**
+ * Generate the retrying delegating handler
+ */
+function generateRequestHandler() {
+  return `using System.Net;
+using ${CS_NAMESPACE}.Config;
+
+namespace ${CS_NAMESPACE}.Utils;
+
+/// <summary>
+/// Delegating handler that retries failed requests
+/// </summary>
+/// <remarks>
+/// Network errors, 5xx responses and 429 responses are retried with exponential
+/// backoff until <see cref="ApiConfig.MaxRetries"/> attempts have been made.
+/// </remarks>
+public class RequestHandler : DelegatingHandler
+{
+    private readonly ApiConfig config;
+
+    /// <summary>
+    /// Create the handler
+    /// </summary>
+    /// <param name="config">Client configuration</param>
+    public RequestHandler(ApiConfig config)
+    {
+        this.config = config;
+    }
+
+    /// <inheritdoc />
+    protected override async Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+    {
+        var maxAttempts = Math.Max(config.MaxRetries, 1);
+        for (var attempt = 1; ; attempt++)
+        {
+            HttpResponseMessage response;
+            try
+            {
+                response = await base.SendAsync(request, cancellationToken).ConfigureAwait(false);
+            }
+            catch (HttpRequestException) when (attempt < maxAttempts)
+            {
+                await Task.Delay(GetDelay(attempt), cancellationToken).ConfigureAwait(false);
+                continue;
+            }
+
+            if (attempt >= maxAttempts || !ShouldRetry(response.StatusCode))
+            {
+                return response;
+            }
+            response.Dispose();
+            await Task.Delay(GetDelay(attempt), cancellationToken).ConfigureAwait(false);
+        }
+    }
+
+    /// <summary>
+    /// Check whether a response status is worth retrying
+    /// </summary>
+    /// <param name="statusCode">Response status</param>
+    /// <returns>True for server errors and 429 (rate limit); other client errors are not retried</returns>
+    public static bool ShouldRetry(HttpStatusCode statusCode) =>
+        (int)statusCode >= 500 || statusCode == HttpStatusCode.TooManyRequests;
+
+    /// <summary>
+    /// Delay before the next attempt: exponential backoff capped at 10 seconds
+    /// </summary>
+    /// <param name="attempt">Attempt that just failed, starting at 1</param>
+    /// <returns>Time to wait</returns>
+    public virtual TimeSpan GetDelay(int attempt) =>
+        TimeSpan.FromMilliseconds(Math.Min(1000 * Math.Pow(2, attempt - 1), 10000));
+}
+`;
+}
+
+/**
+ * Generate error handler
+ */
+function generateErrorHandler() {
+  return `namespace ${CS_NAMESPACE}.Utils;
+
+/// <summary>
+/// Error Handler
+/// </summary>
+/// <remarks>
+/// Turns error responses into <see cref="ApiException"/>s.
+/// </remarks>
+public static class ErrorHandler
+{
+    /// <summary>
+    /// Throw for a response with an error status
+    /// </summary>
+    /// <param name="response">HTTP response; disposed when it is an error</param>
+    /// <param name="cancellationToken">Cancels reading the body</param>
+    /// <exception cref="ApiException">The response has an error status</exception>
+    public static async Task EnsureSuccessAsync(HttpResponseMessage response, CancellationToken cancellationToken = default)
+    {
+        if (response.IsSuccessStatusCode)
+        {
+            return;
+        }
+
+        using (response)
+        {
+            var statusCode = (int)response.StatusCode;
+            var body = await response.Content.ReadAsStringAsync(cancellationToken).ConfigureAwait(false);
+            throw new ApiException(statusCode, response.ReasonPhrase ?? $"HTTP {statusCode}", string.IsNullOrEmpty(body) ? null : body);
+        }
+    }
+}
+`;
+}
+
+/**
+ * Generate the exception thrown for error responses
+ */
+function generateApiException() {
+  return `namespace ${CS_NAMESPACE}.Utils;
+
+/// <summary>
+/// Error response from the API
+/// </summary>
+public class ApiException : Exception
+{
+    /// <summary>
+    /// Create the exception
+    /// </summary>
+    /// <param name="statusCode">HTTP status code</param>
+    /// <param name="message">Reason phrase or error message</param>
+    /// <param name="responseBody">Response body, if any</param>
+    public ApiException(int statusCode, string message, string? responseBody = null)
+        : base(message)
+    {
+        StatusCode = statusCode;
+        ResponseBody = responseBody;
+    }
+
+    /// <summary>
+    /// HTTP status code
+    /// </summary>
+    public int StatusCode { get; }
+
+    /// <summary>
+    /// Response body, if any
+    /// </summary>
+    public string? ResponseBody { get; }
+
+    /// <summary>
+    /// When the error was received
+    /// </summary>
+    public DateTimeOffset Timestamp { get; } = DateTimeOffset.UtcNow;
+
+    /// <inheritdoc />
+    public override string ToString() =>
+        $"ApiException{{StatusCode={StatusCode}, Message='{Message}', ResponseBody='{ResponseBody}'}}";
+}
+`;
+}
+
+/**
+ * Generate the exception thrown for GraphQL errors
+ */
+function generateGraphqlException() {
+  return `using System.Text.Json;
+
+namespace ${CS_NAMESPACE}.Utils;
+
+/// <summary>
+/// GraphQL Exception
+/// </summary>
+/// <remarks>
+/// Thrown when a GraphQL response carries errors, which servers report with a
+/// 200 status. Any partial data returned alongside them is kept.
+/// </remarks>
+public class GraphQLException : Exception
+{
+    /// <summary>
+    /// Create the exception
+    /// </summary>
+    /// <param name="errors">The response's errors array</param>
+    /// <param name="partialData">The response's data, if any</param>
+    public GraphQLException(JsonElement errors, JsonElement? partialData)
+        : base(BuildMessage(errors))
+    {
+        Errors = errors;
+        PartialData = partialData;
+    }
+
+    /// <summary>
+    /// The response's errors array
+    /// </summary>
+    public JsonElement Errors { get; }
+
+    /// <summary>
+    /// Data returned alongside the errors, if any
+    /// </summary>
+    public JsonElement? PartialData { get; }
+
+    private static string BuildMessage(JsonElement errors)
+    {
+        var messages = errors.EnumerateArray()
+            .Select(error => error.ValueKind == JsonValueKind.Object && error.TryGetProperty("message", out var message)
+                ? message.ToString()
+                : error.ToString())
+            .Where(message => !string.IsNullOrEmpty(message))
+            .ToList();
+        return messages.Count > 0 ? string.Join("; ", messages) : "GraphQL request failed";
+    }
+}
+`;
+}
+
+/**
+ * Generate configuration
+ */
+function generateConfig() {
+  return `using ${CS_NAMESPACE}.Auth;
+using Microsoft.Extensions.Configuration;
+
+namespace ${CS_NAMESPACE}.Config;
+
+/// <summary>
+/// Configuration manager
+/// </summary>
+/// <remarks>
+/// Manages API client configuration with environment variable and
+/// IConfiguration support.
+/// </remarks>
+public class ApiConfig
+{
+    /// <summary>
+    /// API base URL
+    /// </summary>
+    public string BaseUrl { get; set; } = "";
+
+    /// <summary>
+    /// Request timeout in milliseconds
+    /// </summary>
+    public int Timeout { get; set; } = 30000;
+
+    /// <summary>
+    /// Attempts per request
+    /// </summary>
+    public int MaxRetries { get; set; } = 3;
+
+    /// <summary>
+    /// Credentials keyed by security scheme name
+    /// </summary>
+    public Dictionary<string, string> Credentials { get; set; } = new();
+
+    /// <summary>
+    /// OAuth 2.0 client settings keyed by security scheme name
+    /// </summary>
+    public Dictionary<string, OAuthSettings> OAuth2 { get; set; } = new();
+
+    /// <summary>
+    /// API key
+    /// </summary>
+    public string? ApiKey { get; set; }
+
+    /// <summary>
+    /// Bearer token
+    /// </summary>
+    public string? BearerToken { get; set; }
+
+    /// <summary>
+    /// Basic auth username
+    /// </summary>
+    public string? Username { get; set; }
+
+    /// <summary>
+    /// Basic auth password
+    /// </summary>
+    public string? Password { get; set; }
+
+    /// <summary>
+    /// OAuth 2.0 access token
+    /// </summary>
+    public string? AccessToken { get; set; }
+
+    /// <summary>
+    /// Read the configuration from API_* environment variables
+    /// </summary>
+    /// <returns>Configuration with defaults for unset values</returns>
+    public static ApiConfig FromEnvironment() => new()
+    {
+        BaseUrl = Environment.GetEnvironmentVariable("API_BASE_URL") ?? "",
+        Timeout = int.TryParse(Environment.GetEnvironmentVariable("API_TIMEOUT"), out var timeout) ? timeout : 30000,
+        MaxRetries = int.TryParse(Environment.GetEnvironmentVariable("API_MAX_RETRIES"), out var maxRetries) ? maxRetries : 3,
+        ApiKey = Environment.GetEnvironmentVariable("API_KEY"),
+        BearerToken = Environment.GetEnvironmentVariable("API_BEARER_TOKEN"),
+        Username = Environment.GetEnvironmentVariable("API_USERNAME"),
+        Password = Environment.GetEnvironmentVariable("API_PASSWORD"),
+        AccessToken = Environment.GetEnvironmentVariable("API_ACCESS_TOKEN")
+    };
+
+    /// <summary>
+    /// Read the configuration from a configuration section, e.g. "Api" in appsettings.json
+    /// </summary>
+    /// <remarks>
+    /// Values the section leaves empty fall back to the environment.
+    /// </remarks>
+    /// <param name="section">Section with BaseUrl, Timeout, Credentials, OAuth2 and the other settings</param>
+    /// <returns>Configuration</returns>
+    public static ApiConfig FromConfiguration(IConfiguration section)
+    {
+        var config = FromEnvironment();
+        config.BaseUrl = NonEmpty(section["BaseUrl"]) ?? config.BaseUrl;
+        if (int.TryParse(section["Timeout"], out var timeout))
+        {
+            config.Timeout = timeout;
+        }
+        if (int.TryParse(section["MaxRetries"], out var maxRetries))
+        {
+            config.MaxRetries = maxRetries;
+        }
+        config.ApiKey = NonEmpty(section["ApiKey"]) ?? config.ApiKey;
+        config.BearerToken = NonEmpty(section["BearerToken"]) ?? config.BearerToken;
+        config.Username = NonEmpty(section["Username"]) ?? config.Username;
+        config.Password = NonEmpty(section["Password"]) ?? config.Password;
+        config.AccessToken = NonEmpty(section["AccessToken"]) ?? config.AccessToken;
+
+        foreach (var credential in section.GetSection("Credentials").GetChildren())
+        {
+            if (!string.IsNullOrEmpty(credential.Value))
+            {
+                config.Credentials[credential.Key] = credential.Value;
+            }
+        }
+        foreach (var scheme in section.GetSection("OAuth2").GetChildren())
+        {
+            var settings = new OAuthSettings();
+            foreach (var setting in scheme.GetChildren())
+            {
+                if (!string.IsNullOrEmpty(setting.Value))
+                {
+                    settings.Set(setting.Key, setting.Value);
+                }
+            }
+            config.OAuth2[scheme.Key] = settings;
+        }
+        return config;
+    }
+
+    private static string? NonEmpty(string? value) => string.IsNullOrEmpty(value) ? null : value;
+}
+`;
+}
+
+/**
+ * Generate the mock HTTP handler the tests send requests to
+ */
+function generateMockHttpMessageHandler() {
+  return `using System.Net;
+using System.Text;
+
+namespace ${CS_NAMESPACE}.Tests;
+
+/// <summary>
+/// A request as it was sent, with its headers and body captured at that moment
+/// </summary>
+public sealed record RecordedRequest(HttpMethod Method, Uri? RequestUri, IReadOnlyDictionary<string, string> Headers, string? Body);
+
+/// <summary>
+/// HTTP handler that records requests instead of sending them and answers with
+/// the queued responses in turn, repeating the last one
+/// </summary>
+public sealed class MockHttpMessageHandler : HttpMessageHandler
+{
+    private readonly List<Func<RecordedRequest, HttpResponseMessage>> responses = new();
+
+    /// <summary>
+    /// Requests received so far
+    /// </summary>
+    public List<RecordedRequest> Requests { get; } = new();
+
+    /// <summary>
+    /// How long each request takes
+    /// </summary>
+    public TimeSpan Delay { get; set; } = TimeSpan.Zero;
+
+    /// <summary>
+    /// Queue a JSON response
+    /// </summary>
+    public void Enqueue(HttpStatusCode statusCode, string json) =>
+        responses.Add(_ => Json(statusCode, json));
+
+    /// <summary>
+    /// Queue a response built from the request
+    /// </summary>
+    public void Enqueue(Func<RecordedRequest, HttpResponseMessage> respond) => responses.Add(respond);
+
+    /// <summary>
+    /// Build a JSON response
+    /// </summary>
+    public static HttpResponseMessage Json(HttpStatusCode statusCode, string json) =>
+        new(statusCode) { Content = new StringContent(json, Encoding.UTF8, "application/json") };
+
+    /// <inheritdoc />
+    protected override async Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+    {
+        var headers = request.Headers.ToDictionary(header => header.Key, header => string.Join(", ", header.Value));
+        var body = request.Content == null ? null : await request.Content.ReadAsStringAsync(cancellationToken);
+        var recorded = new RecordedRequest(request.Method, request.RequestUri, headers, body);
+
+        int index;
+        lock (Requests)
+        {
+            Requests.Add(recorded);
+            index = Requests.Count - 1;
+        }
+        if (Delay > TimeSpan.Zero)
+        {
+            await Task.Delay(Delay, cancellationToken);
+        }
+
+        var respond = responses.Count == 0 ? (_ => Json(HttpStatusCode.OK, "{}")) : responses[Math.Min(index, responses.Count - 1)];
+        return respond(recorded);
+    }
+}
+`;
+}
+
+/**
+ * Generate API client tests
+ */
+function generateClientTests(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoint = endpoints.find(endpoint => endpoint.graphql);
+  const restEndpoint = endpoints.find(endpoint => !endpoint.graphql);
+  const testNames = new Set();
+  const toTestName = name => {
+    let testName = name;
+    for (let suffix = 2; testNames.has(testName); suffix++) {
+      testName = `${name}${suffix}`;
+    }
+    testNames.add(testName);
+    return testName;
+  };
+
+  const tests = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlTest(endpoint, schemas, toTestName(`${toCsMethodName(endpoint.operationId)}_PostsThe${toCsPascalCase(endpoint.graphql.operationType)}`))
+    : generateEndpointTest(endpoint, schemas, toTestName(`${toCsMethodName(endpoint.operationId)}_Sends${toCsPascalCase(endpoint.method.toLowerCase())}Request`)));
+  if (restEndpoint) {
+    tests.push(generateErrorStatusTest(restEndpoint, schemas));
+  }
+  if (graphqlEndpoint) {
+    tests.push(generateGraphqlErrorTest(graphqlEndpoint, schemas));
+  }
+  const source = tests.join('\n');
+
+  return `using System.Net;
+using System.Text.Json;
+${/JsonNode\./.test(source) ? 'using System.Text.Json.Nodes;\n' : ''}using ${CS_NAMESPACE}.Config;
+using ${CS_NAMESPACE}.Utils;
+using Microsoft.Extensions.DependencyInjection;
+using Xunit;
+
+namespace ${CS_NAMESPACE}.Tests;
+
+/// <summary>
+/// Tests for the ${escapeXml(title)} API client
+/// </summary>
+public class ApiClientTests
+{
+    private readonly MockHttpMessageHandler handler = new();
+    private readonly ApiClient client;
+
+    public ApiClientTests()
+    {
+        // Requests skip the auth and retry handlers, which have their own tests
+        var config = new ApiConfig { BaseUrl = "https://api.example.com", ApiKey = "test-api-key" };
+        client = new ApiClient(new HttpClient(handler) { BaseAddress = new Uri("https://api.example.com/") }, config);
+    }
+
+    [Fact]
+    public void Configuration()
+    {
+        Assert.Equal("https://api.example.com", client.Config.BaseUrl);
+        Assert.Equal("test-api-key", client.Config.ApiKey);
+    }
+
+    [Fact]
+    public void ResolvesFromTheServiceCollection()
+    {
+        var services = new ServiceCollection();
+        services.AddApiClient(config => config.BaseUrl = "https://api.example.com");
+        using var provider = services.BuildServiceProvider();
+
+        var resolved = provider.GetRequiredService<ApiClient>();
+
+        Assert.Equal("https://api.example.com", resolved.Config.BaseUrl);
+    }
+${tests.map(test => `\n${test}\n`).join('')}}
+`;
+}
+
+/**
+ * Generate endpoint test
+ */
+function generateEndpointTest(endpoint, schemas, testName) {
+  const { method, path, operationId } = endpoint;
+  const responseSchema = getResponseSchema(endpoint);
+  const fields = orderMethodFields(getMethodFields(endpoint, schemas)).filter(field => field.required);
+
+  // Path parameters get recognizable values so the expected URL can be checked
+  const values = {};
+  for (const field of fields) {
+    values[field.key] = field.in === 'path' && field.type === 'string' ? `test-${field.key}` : getTypedExample(field.schema, schemas);
+  }
+  const expectedUrl = endpoint.parameters
+    .filter(p => p.in === 'path')
+    .reduce((url, p) => url.replace(`{${p.name}}`, toCsEscaped(formatPathValue(values[p.name]))), path)
+    // Braces the parameters do not fill are sent as they are, which Uri percent-encodes
+    .replace(/\{/g, '%7B')
+    .replace(/\}/g, '%7D');
+
+  const response = responseSchema ? getTypedExample(responseSchema, schemas) : { success: true };
+  const assertion = responseSchema
+    ? `Assert.True(JsonNode.DeepEquals(JsonNode.Parse(response), JsonSerializer.SerializeToNode(result, ApiClient.JsonOptions)));`
+    : 'Assert.Equal(200, result.StatusCode);';
+
+  return `    [Fact]
+    public async Task ${testName}()
+    {
+        const string response = ${toCsString(JSON.stringify(response))};
+        handler.Enqueue(HttpStatusCode.OK, response);
+
+        var result = await client.${toCsMethodName(operationId)}(${fields.map(field => toCsExample(field.schema, values[field.key], schemas)).join(', ')});
+
+        var request = Assert.Single(handler.Requests);
+        Assert.Equal(${toCsHttpMethod(method)}, request.Method);
+        Assert.Equal(${toCsString(`https://api.example.com/${expectedUrl.replace(/^\/+/, '')}`)}, request.RequestUri!.GetLeftPart(UriPartial.Path));
+        ${assertion}
+    }`;
+}
+
+/**
+ * Generate the test for error statuses
+ */
+function generateErrorStatusTest(endpoint, schemas) {
+  const fields = orderMethodFields(getMethodFields(endpoint, schemas)).filter(field => field.required);
+  const args = fields.map(field => toCsExample(field.schema, getTypedExample(field.schema, schemas), schemas));
+
+  return `    [Fact]
+    public async Task ThrowsApiExceptionForErrorStatuses()
+    {
+        handler.Enqueue(HttpStatusCode.NotFound, "{\\"error\\":\\"Not found\\"}");
+
+        var error = await Assert.ThrowsAsync<ApiException>(() => client.${toCsMethodName(endpoint.operationId)}(${args.join(', ')}));
+
+        Assert.Equal(404, error.StatusCode);
+        Assert.Equal("{\\"error\\":\\"Not found\\"}", error.ResponseBody);
+    }`;
+}
+
+/**
+ * Generate a GraphQL operation test
+ */
+function generateGraphqlTest(endpoint, schemas, testName) {
+  const { operationId, path, graphql, responses } = endpoint;
+  const resultSchema = responses['200']?.schema ? { ref: responses['200'].schema.ref } : null;
+  const data = resultSchema ? getTypedExample(resultSchema, schemas) : { success: true };
+
+  return `    [Fact]
+    public async Task ${testName}()
+    {
+        const string data = ${toCsString(JSON.stringify(data))};
+        handler.Enqueue(HttpStatusCode.OK, $"{{\\"data\\":{data}}}");
+
+        var result = await client.${toCsMethodName(operationId)}(${generateExampleVariables(endpoint, schemas)});
+
+        var request = Assert.Single(handler.Requests);
+        Assert.Equal(HttpMethod.Post, request.Method);
+        Assert.Equal(${toCsString(`https://api.example.com/${path.replace(/^\/+/, '')}`)}, request.RequestUri!.GetLeftPart(UriPartial.Path));
+        Assert.Contains(${toCsString(graphql.operationType)}, JsonDocument.Parse(request.Body!).RootElement.GetProperty("query").GetString());
+        Assert.True(JsonNode.DeepEquals(JsonNode.Parse(data), JsonSerializer.SerializeToNode(result, ApiClient.JsonOptions)));
+    }`;
+}
+
+/**
+ * Generate the test for GraphQL errors reported in a 200 response
+ */
+function generateGraphqlErrorTest(endpoint, schemas) {
+  return `    [Fact]
+    public async Task ThrowsGraphQLExceptionForGraphQLErrors()
+    {
+        handler.Enqueue(HttpStatusCode.OK, "{\\"data\\":{\\"partial\\":true},\\"errors\\":[{\\"message\\":\\"Not authorized\\"}]}");
+
+        var error = await Assert.ThrowsAsync<GraphQLException>(() => client.${toCsMethodName(endpoint.operationId)}(${generateExampleVariables(endpoint, schemas)}));
+
+        Assert.Equal("Not authorized", error.Message);
+        Assert.Equal("{\\"partial\\":true}", error.PartialData?.GetRawText());
+    }`;
+}
+
+/**
+ * Example variables argument for a GraphQL operation
+ */
+function generateExampleVariables(endpoint, schemas) {
+  const variablesSchema = endpoint.requestBody?.schema;
+  if (!variablesSchema) {
+    return 'new Dictionary<string, object?>()';
+  }
+  const schema = { ref: variablesSchema.ref };
+  return toCsExample(schema, getTypedExample(schema, schemas), schemas);
+}
+
+/**
+ * Example arguments for a REST method: its required values, in signature order
+ */
+function generateExampleArguments(endpoint, schemas) {
+  return orderMethodFields(getMethodFields(endpoint, schemas))
+    .filter(field => field.required)
+    .map(field => toCsExample(field.schema, getTypedExample(field.schema, schemas), schemas))
+    .join(', ');
+}
+
+/**
+ * Expression building an example value of a schema: scalars and enum members
+ * are literals, everything else is read from the JSON value
+ */
+function toCsExample(schema, value, schemas) {
+  const type = toCsType(schema, schemas).replace(/\?$/, '');
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  const model = schema.ref && schemas[schema.ref];
+  if (model && isCsEnum(model) && typeof value === 'string') {
+    const member = getEnumMembers(model, toCsTypeName(schema.ref)).find(entry => entry.value === value);
+    if (member) {
+      return `${type}.${member.member}`;
+    }
+  }
+  if (type === 'string' && typeof value === 'string') {
+    return toCsString(value);
+  }
+  if ((type === 'long' || type === 'double') && typeof value === 'number') {
+    return String(value);
+  }
+  if (type === 'bool' && typeof value === 'boolean') {
+    return String(value);
+  }
+  return `JsonSerializer.Deserialize<${type}>(${toCsString(JSON.stringify(value))}, ApiClient.JsonOptions)!`;
+}
+
+/**
+ * A path value as FormatValue writes it
+ */
+function formatPathValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Percent-encode a path value the way Uri.EscapeDataString does
+ */
+function toCsEscaped(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Generate authentication handler tests
+ */
+function generateAuthHandlerTests(securitySchemes) {
+  const schemeTests = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const credential = scheme.type === 'basic' ? 'user:secret' : 'secret';
+    const keyName = scheme.name || name;
+    let expectation;
+    if (scheme.type === 'basic') {
+      expectation = `Assert.Equal("Basic " + Convert.ToBase64String(Encoding.UTF8.GetBytes("user:secret")), auth.Headers["Authorization"]);`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'query') {
+      expectation = `Assert.Equal("secret", auth.QueryParams[${toCsString(keyName)}]);`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+      expectation = `Assert.Equal(${toCsString(`${keyName}=secret`)}, auth.Headers["Cookie"]);`;
+    } else if (scheme.type === 'apiKey') {
+      expectation = `Assert.Equal("secret", auth.Headers[${toCsString(keyName)}]);`;
+    } else {
+      expectation = `Assert.Equal("Bearer secret", auth.Headers["Authorization"]);`;
+    }
+
+    return `    [Fact]
+    public async Task Applies${toCsPascalCase(name)}Scheme()
+    {
+        var handler = new AuthHandler(new ApiConfig { Credentials = { [${toCsString(name)}] = "${credential}" } });
+        var auth = await handler.AuthenticateAsync(Security(${toCsString(name)}));
+        ${expectation}
+    }`;
+  });
+  const source = schemeTests.join('\n');
+
+  return `using System.Net;
+${/Encoding\./.test(source) ? 'using System.Text;\n' : ''}using ${CS_NAMESPACE}.Auth;
+using ${CS_NAMESPACE}.Config;
+using Xunit;
+
+namespace ${CS_NAMESPACE}.Tests.Auth;
+
+/// <summary>
+/// Tests for the authentication handler and the delegating handler that applies it
+/// </summary>
+public class AuthHandlerTests
+{
+    [Fact]
+    public async Task DoesNotAuthenticateEndpointsWithoutSecurityRequirements()
+    {
+        var auth = await new AuthHandler(new ApiConfig()).AuthenticateAsync(Array.Empty<Dictionary<string, string[]>>());
+        Assert.Empty(auth.Headers);
+        Assert.Empty(auth.QueryParams);
+    }
+
+    [Fact]
+    public async Task AllowsAnonymousAccessWhenAuthenticationIsOptional()
+    {
+        var auth = await new AuthHandler(new ApiConfig()).AuthenticateAsync(new[] { Requirement("undeclaredScheme"), Requirement() });
+        Assert.Empty(auth.Headers);
+        Assert.Empty(auth.QueryParams);
+    }
+
+    [Fact]
+    public async Task RejectsRequestsWhenNoRequirementCanBeSatisfied()
+    {
+        var error = await Assert.ThrowsAsync<InvalidOperationException>(
+            () => new AuthHandler(new ApiConfig()).AuthenticateAsync(Security("undeclaredScheme")));
+        Assert.StartsWith("Missing credentials", error.Message);
+    }
+${schemeTests.map(test => `\n${test}\n`).join('')}
+    [Fact]
+    public async Task RetriesOnceWithAFreshTokenAfter401()
+    {
+        var endpoint = new MockHttpMessageHandler();
+        endpoint.Enqueue(HttpStatusCode.Unauthorized, "{}");
+        endpoint.Enqueue(HttpStatusCode.OK, "{\\"success\\":true}");
+        using var client = new HttpClient(new AuthDelegatingHandler(new StubAuthHandler(invalidates: true)) { InnerHandler = endpoint });
+
+        using var response = await client.SendAsync(CreateRequest());
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.Equal(2, endpoint.Requests.Count);
+        Assert.Equal("Bearer fresh", endpoint.Requests[1].Headers["Authorization"]);
+    }
+
+    [Fact]
+    public async Task DoesNotRetry401WithoutManagedTokens()
+    {
+        var endpoint = new MockHttpMessageHandler();
+        endpoint.Enqueue(HttpStatusCode.Unauthorized, "{}");
+        using var client = new HttpClient(new AuthDelegatingHandler(new StubAuthHandler(invalidates: false)) { InnerHandler = endpoint });
+
+        using var response = await client.SendAsync(CreateRequest());
+
+        Assert.Equal(HttpStatusCode.Unauthorized, response.StatusCode);
+        Assert.Single(endpoint.Requests);
+    }
+
+    private static Dictionary<string, string[]> Requirement(params string[] schemeNames) =>
+        schemeNames.ToDictionary(name => name, _ => Array.Empty<string>());
+
+    private static Dictionary<string, string[]>[] Security(params string[] schemeNames) => new[] { Requirement(schemeNames) };
+
+    private static HttpRequestMessage CreateRequest()
+    {
+        var request = new HttpRequestMessage(HttpMethod.Get, "https://api.example.com/");
+        request.Options.Set(AuthDelegatingHandler.SecurityOption, Security("oauth2"));
+        return request;
+    }
+
+    /// <summary>
+    /// Hands out a stale token, then a fresh one
+    /// </summary>
+    private sealed class StubAuthHandler : AuthHandler
+    {
+        private readonly Queue<string> tokens = new(new[] { "stale", "fresh" });
+        private readonly bool invalidates;
+
+        public StubAuthHandler(bool invalidates)
+            : base(new ApiConfig())
+        {
+            this.invalidates = invalidates;
+        }
+
+        public override Task<AuthResult> AuthenticateAsync(IReadOnlyList<IReadOnlyDictionary<string, string[]>> security,
+            CancellationToken cancellationToken = default)
+        {
+            var auth = new AuthResult();
+            auth.Headers["Authorization"] = $"Bearer {tokens.Dequeue()}";
+            return Task.FromResult(auth);
+        }
+
+        public override bool InvalidateTokens(IReadOnlyList<IReadOnlyDictionary<string, string[]>> security) => invalidates;
+    }
+}
+`;
+}
+
+/**
+ * Generate token manager tests, run against a mock token endpoint
+ */
+function generateTokenManagerTests() {
+  return `using System.Net;
+using System.Text;
+using ${CS_NAMESPACE}.Auth;
+using Xunit;
+
+namespace ${CS_NAMESPACE}.Tests.Auth;
+
+/// <summary>
+/// Tests for the OAuth 2.0 token manager
+/// </summary>
+public class TokenManagerTests
+{
+    private readonly MockHttpMessageHandler endpoint = new();
+    private readonly FakeTimeProvider time = new();
+
+    public TokenManagerTests()
+    {
+        endpoint.Enqueue(request => MockHttpMessageHandler.Json(HttpStatusCode.OK,
+            $"{{\\"access_token\\":\\"token-{endpoint.Requests.Count}\\",\\"token_type\\":\\"Bearer\\",\\"expires_in\\":3600,\\"refresh_token\\":\\"refresh-1\\"}}"));
+    }
+
+    [Fact]
+    public async Task FetchesATokenWithTheClientCredentialsGrant()
+    {
+        var manager = CreateManager();
+
+        Assert.Equal("token-1", await manager.GetTokenAsync(new[] { "read" }));
+        Assert.Equal(new Dictionary<string, string> { ["grant_type"] = "client_credentials", ["scope"] = "read" }, Form(0));
+        Assert.Equal("Basic " + Convert.ToBase64String(Encoding.UTF8.GetBytes("client:secret")), endpoint.Requests[0].Headers["Authorization"]);
+    }
+
+    [Fact]
+    public async Task CachesTokensUntilTheyExpire()
+    {
+        var manager = CreateManager();
+        await manager.GetTokenAsync();
+
+        Assert.Equal("token-1", await manager.GetTokenAsync());
+        Assert.Single(endpoint.Requests);
+    }
+
+    [Fact]
+    public async Task SharesOneTokenRequestBetweenConcurrentCallers()
+    {
+        endpoint.Delay = TimeSpan.FromMilliseconds(10);
+        var manager = CreateManager();
+
+        var tokens = await Task.WhenAll(Enumerable.Range(0, 5).Select(_ => manager.GetTokenAsync()));
+
+        Assert.All(tokens, token => Assert.Equal("token-1", token));
+        Assert.Single(endpoint.Requests);
+    }
+
+    [Fact]
+    public async Task RefreshesExpiredTokensWithTheRefreshToken()
+    {
+        var manager = CreateManager();
+        await manager.GetTokenAsync();
+
+        time.Advance(TimeSpan.FromSeconds(3600));
+
+        Assert.Equal("token-2", await manager.GetTokenAsync());
+        Assert.Equal(new Dictionary<string, string> { ["grant_type"] = "refresh_token", ["refresh_token"] = "refresh-1" }, Form(1));
+    }
+
+    [Fact]
+    public async Task FetchesANewTokenAfterInvalidation()
+    {
+        var manager = CreateManager();
+        await manager.GetTokenAsync();
+        manager.Invalidate();
+
+        Assert.Equal("token-2", await manager.GetTokenAsync());
+        Assert.Equal(2, endpoint.Requests.Count);
+    }
+
+    [Fact]
+    public async Task SendsClientCredentialsInTheBodyWhenConfigured()
+    {
+        var manager = CreateManager(settings => settings.ClientAuthentication = "body");
+        await manager.GetTokenAsync();
+
+        Assert.False(endpoint.Requests[0].Headers.ContainsKey("Authorization"));
+        Assert.Equal("client", Form(0)["client_id"]);
+        Assert.Equal("secret", Form(0)["client_secret"]);
+    }
+
+    [Fact]
+    public void OnlyAcquiresTokensWhenTheFlowIsConfigured()
+    {
+        Assert.True(CreateManager().CanAcquireToken());
+        Assert.False(CreateManager(settings => settings.ClientId = null).CanAcquireToken());
+    }
+
+    [Fact]
+    public async Task UsesAnAuthorizationCodeOnceAndRefreshesAfterwards()
+    {
+        var manager = CreateManager(settings =>
+        {
+            settings.ClientSecret = null;
+            settings.AuthorizationCode = "code-1";
+            settings.RedirectUri = "http://localhost/callback";
+        }, new Dictionary<string, OAuthFlow> { ["authorizationCode"] = new("/oauth/token", null) });
+        await manager.GetTokenAsync();
+        manager.Invalidate();
+
+        Assert.Equal("token-2", await manager.GetTokenAsync());
+        Assert.Equal("authorization_code", Form(0)["grant_type"]);
+        Assert.Equal("code-1", Form(0)["code"]);
+        Assert.Equal(new Dictionary<string, string>
+        {
+            ["grant_type"] = "refresh_token",
+            ["refresh_token"] = "refresh-1",
+            ["client_id"] = "client"
+        }, Form(1));
+        Assert.True(manager.CanAcquireToken());
+    }
+
+    private TokenManager CreateManager(Action<OAuthSettings>? configure = null, IReadOnlyDictionary<string, OAuthFlow>? flows = null)
+    {
+        var settings = new OAuthSettings { ClientId = "client", ClientSecret = "secret" };
+        configure?.Invoke(settings);
+        return new TokenManager(
+            flows ?? new Dictionary<string, OAuthFlow> { ["clientCredentials"] = new("/oauth/token", null) },
+            settings,
+            new HttpClient(endpoint),
+            "https://auth.example.com",
+            timeProvider: time);
+    }
+
+    /// <summary>
+    /// Form parameters of a token request
+    /// </summary>
+    private Dictionary<string, string> Form(int index) =>
+        endpoint.Requests[index].Body!
+            .Split('&')
+            .Select(pair => pair.Split('=', 2))
+            .ToDictionary(pair => Decode(pair[0]), pair => Decode(pair[1]));
+
+    private static string Decode(string value) => Uri.UnescapeDataString(value.Replace('+', ' '));
+
+    /// <summary>
+    /// Clock that only moves when told to
+    /// </summary>
+    private sealed class FakeTimeProvider : TimeProvider
+    {
+        private DateTimeOffset now = DateTimeOffset.UtcNow;
+
+        public override DateTimeOffset GetUtcNow() => now;
+
+        public void Advance(TimeSpan delta) => now += delta;
+    }
+}
+`;
+}
+
+/**
+ * Generate request handler tests
+ */
+function generateRequestHandlerTests() {
+  return `using System.Net;
+using ${CS_NAMESPACE}.Config;
+using ${CS_NAMESPACE}.Utils;
+using Xunit;
+
+namespace ${CS_NAMESPACE}.Tests.Utils;
+
+/// <summary>
+/// Tests for the retrying request handler
+/// </summary>
+public class RequestHandlerTests
+{
+    private readonly MockHttpMessageHandler endpoint = new();
+
+    [Fact]
+    public async Task RetriesServerErrors()
+    {
+        endpoint.Enqueue(HttpStatusCode.ServiceUnavailable, "{}");
+        endpoint.Enqueue(HttpStatusCode.OK, "{\\"success\\":true}");
+
+        using var response = await CreateClient(maxRetries: 3).GetAsync("https://api.example.com/");
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.Equal(2, endpoint.Requests.Count);
+    }
+
+    [Fact]
+    public async Task RetriesRateLimitedRequests()
+    {
+        endpoint.Enqueue(HttpStatusCode.TooManyRequests, "{}");
+        endpoint.Enqueue(HttpStatusCode.OK, "{}");
+
+        using var response = await CreateClient(maxRetries: 3).GetAsync("https://api.example.com/");
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.Equal(2, endpoint.Requests.Count);
+    }
+
+    [Fact]
+    public async Task DoesNotRetryClientErrors()
+    {
+        endpoint.Enqueue(HttpStatusCode.NotFound, "{}");
+
+        using var response = await CreateClient(maxRetries: 3).GetAsync("https://api.example.com/");
+
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+        Assert.Single(endpoint.Requests);
+    }
+
+    [Fact]
+    public async Task GivesUpAfterMaxRetries()
+    {
+        endpoint.Enqueue(HttpStatusCode.InternalServerError, "{}");
+
+        using var response = await CreateClient(maxRetries: 3).GetAsync("https://api.example.com/");
+
+        Assert.Equal(HttpStatusCode.InternalServerError, response.StatusCode);
+        Assert.Equal(3, endpoint.Requests.Count);
+    }
+
+    [Fact]
+    public void BacksOffExponentiallyUpToTenSeconds()
+    {
+        var handler = new RequestHandler(new ApiConfig());
+
+        Assert.Equal(TimeSpan.FromSeconds(1), handler.GetDelay(1));
+        Assert.Equal(TimeSpan.FromSeconds(4), handler.GetDelay(3));
+        Assert.Equal(TimeSpan.FromSeconds(10), handler.GetDelay(6));
+    }
+
+    private HttpClient CreateClient(int maxRetries) =>
+        new(new ImmediateRequestHandler(new ApiConfig { MaxRetries = maxRetries }) { InnerHandler = endpoint });
+
+    /// <summary>
+    /// Retries without waiting
+    /// </summary>
+    private sealed class ImmediateRequestHandler : RequestHandler
+    {
+        public ImmediateRequestHandler(ApiConfig config)
+            : base(config)
+        {
+        }
+
+        public override TimeSpan GetDelay(int attempt) => TimeSpan.Zero;
+    }
+}
+`;
+}
+
+/**
+ * Generate example usage
+ */
+function generateExampleUsage(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+
+  const calls = endpoints.slice(0, 2).map(endpoint => {
+    const name = toCsMethodName(endpoint.operationId);
+    const args = endpoint.graphql ? generateExampleVariables(endpoint, schemas) : generateExampleArguments(endpoint, schemas);
+    const local = `${toCamelCase(endpoint.operationId)}Result`;
+    return `// Example: ${endpoint.method} ${endpoint.path}
+try
+{
+    Console.WriteLine("\\n📡 Testing ${name}...");
+    var ${local} = await client.${name}(${args});
+    Console.WriteLine($"✅ ${name} result: {JsonSerializer.Serialize(${local}, ApiClient.JsonOptions)}");
+}
+catch (Exception error) when (error is ApiException or ${endpoint.graphql ? 'GraphQLException or ' : ''}HttpRequestException or InvalidOperationException)
+{
+    Console.WriteLine($"❌ ${name} failed: {error.Message}");
+}`;
+  });
+  const source = calls.join('\n');
+
+  return `// Example usage of ${title} API Client
+using System.Text.Json;
+using ${CS_NAMESPACE};
+using ${CS_NAMESPACE}.Config;
+using ${CS_NAMESPACE}.Utils;
+using Microsoft.Extensions.Configuration;${/\bModels\./.test(source) ? `\nusing Models = ${CS_NAMESPACE}.Models;` : ''}
+
+try
+{
+    // Settings come from the "Api" section of appsettings.json, then API_* environment variables
+    var configuration = new ConfigurationBuilder()
+        .SetBasePath(AppContext.BaseDirectory)
+        .AddJsonFile("appsettings.json", optional: true)
+        .Build();
+    var config = ApiConfig.FromConfiguration(configuration.GetSection("Api"));
+
+    // Initialize the API client
+    using var client = new ApiClient(config);
+    Console.WriteLine(${toCsString(`🚀 ${title} API Client initialized`)});
+
+    // Test connection
+    var isConnected = await client.TestConnectionAsync();
+    Console.WriteLine($"🔗 Connection test: {(isConnected ? "✅ Success" : "❌ Failed")}");
+${calls.map(call => `\n${call.replace(/^/gm, '    ')}\n`).join('')}
+    Console.WriteLine("\\n🎉 Example completed successfully!");
+}
+catch (Exception error)
+{
+    Console.WriteLine($"💥 Example failed: {error.Message}");
+    Environment.Exit(1);
+}
+`;
+}
+
+/**
+ * Generate appsettings.json for the example
+ */
+function generateAppSettings(securitySchemes) {
+  const schemeEntries = Object.entries(securitySchemes);
+  const credentials = schemeEntries.map(([name, scheme]) =>
+    `      // ${name}: ${scheme.description || `${scheme.type} authentication`} (${describeCredential(scheme)})\n      ${JSON.stringify(name)}: ""`);
+  const oauthSchemes = schemeEntries.filter(([, scheme]) => scheme.type === 'oauth2').map(([name, scheme]) =>
+    `      ${JSON.stringify(name)}: {
+${getOAuthSettings(scheme).map(setting => `        // ${setting.description}\n        ${JSON.stringify(toCsPascalCase(setting.key))}: ""`).join(',\n')}
+      }`);
+
+  return `{
+  // ${schemeEntries.length === 0 ? 'No authentication required' : `Authentication: ${schemeEntries.map(([name]) => name).join(', ')}`}
+  "Api": {
+    "BaseUrl": "https://api.example.com",
+    "Timeout": 30000,
+    "MaxRetries": 3${credentials.length > 0 ? `,
+    "Credentials": {
+${credentials.join(',\n')}
+    }` : ''}${oauthSchemes.length > 0 ? `,
+    // Or let the client fetch and refresh tokens itself
+    "OAuth2": {
+${oauthSchemes.join(',\n')}
+    }` : ''}
+  }
+}
+`;
+}
+
+/**
+ * C# type name for a registry model, avoiding the names the sources use
+ */
+function toCsTypeName(name) {
+  const identifier = String(name).replace(/[^A-Za-z0-9_]/g, '_').replace(/^(?=[0-9])/, '_');
+  return CS_RESERVED_TYPES.includes(identifier) || CS_KEYWORDS.includes(identifier) ? `${identifier}Model` : identifier;
+}
+
+/**
+ * PascalCase identifier, e.g. for properties and enum members
+ */
+function toCsPascalCase(name) {
+  const camel = toCamelCase(name);
+  return camel.charAt(0).toUpperCase() + camel.slice(1);
+}
+
+/**
+ * camelCase identifier for a parameter, escaping keywords
+ */
+function toCsIdentifier(name) {
+  const identifier = toCamelCase(name);
+  return CS_KEYWORDS.includes(identifier) ? `@${identifier}` : identifier;
+}
+
+/**
+ * Method name for an operation, avoiding the client's own members
+ */
+function toCsMethodName(operationId) {
+  const name = `${toCsPascalCase(operationId)}Async`;
+  return CLIENT_MEMBERS.includes(name) ? `${toCsPascalCase(operationId)}OperationAsync` : name;
+}
+
+/**
+ * Render text as a C# string literal
+ */
+function toCsString(text) {
+  return JSON.stringify(String(text)).replace(/[\u0085\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Render text as a verbatim C# string literal, keeping its line breaks
+ */
+function toCsVerbatimString(text) {
+  return `@"${String(text).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render strings as a C# string array
+ */
+function toCsStringArray(values) {
+  return values.length === 0 ? 'Array.Empty<string>()' : `new[] { ${values.map(toCsString).join(', ')} }`;
+}
+
+/**
+ * XML doc summary for a declaration
+ */
+function toCsDocSummary(text, indent) {
+  return `${indent}/// <summary>\n${indent}/// ${escapeXmlLine(text)}\n${indent}/// </summary>`;
+}
+
+/**
+ * Escape text for XML
+ */
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text for a one-line XML doc entry
+ */
+function escapeXmlLine(text) {
+  return escapeXml(text).replace(/\s*\n\s*/g, ' ');
+}
+
+module.exports = { generateCSharpCode };
\ No newline at end of file
@@ -0,0 +1,562 @@
+/**
+ * Generator Utilities
+ * Helpers shared by the language generators for reading the parsed data model
+ */
+
+/**
+ * OAuth 2.0 flows a generated token manager can complete without user interaction,
+ * in order of preference
+ */
+const TOKEN_FLOWS = ['clientCredentials', 'password', 'authorizationCode'];
+
+/**
+ * OAuth 2.0 client settings read by the generated token managers, with the
+ * suffix of the environment variable each one is loaded from
+ */
+const OAUTH_SETTINGS = [
+  { key: 'clientId', env: 'CLIENT_ID', description: 'OAuth 2.0 client ID' },
+  { key: 'clientSecret', env: 'CLIENT_SECRET', description: 'OAuth 2.0 client secret' },
+  { key: 'username', env: 'USERNAME', description: 'resource owner username', flow: 'password' },
+  { key: 'password', env: 'PASSWORD', description: 'resource owner password', flow: 'password' },
+  { key: 'refreshToken', env: 'REFRESH_TOKEN', description: 'refresh token', flow: 'authorizationCode' },
+  { key: 'authorizationCode', env: 'AUTHORIZATION_CODE', description: 'one-time authorization code', flow: 'authorizationCode' },
+  { key: 'redirectUri', env: 'REDIRECT_URI', description: 'redirect URI used to obtain the code', flow: 'authorizationCode' },
+  { key: 'tokenUrl', env: 'TOKEN_URL', description: 'token endpoint override' }
+];
+
+/**
+ * The google/api annotation protos that service definitions import for HTTP
+ * bindings. protoc only bundles google/protobuf, so generated projects ship
+ * these (field numbers match googleapis) next to the service's own protos.
+ */
+const GOOGLE_API_PROTOS = {
+  'google/api/annotations.proto': `syntax = "proto3";
+
+package google.api;
+
+import "google/api/http.proto";
+import "google/protobuf/descriptor.proto";
+
+option go_package = "google.golang.org/genproto/googleapis/api/annotations;annotations";
+option java_multiple_files = true;
+option java_outer_classname = "AnnotationsProto";
+option java_package = "com.google.api";
+
+extend google.protobuf.MethodOptions {
+  HttpRule http = 72295728;
+}
+`,
+  'google/api/http.proto': `syntax = "proto3";
+
+package google.api;
+
+option go_package = "google.golang.org/genproto/googleapis/api/annotations;annotations";
+option java_multiple_files = true;
+option java_outer_classname = "HttpProto";
+option java_package = "com.google.api";
+
+message Http {
+  repeated HttpRule rules = 1;
+  bool fully_decode_reserved_expansion = 2;
+}
+
+message HttpRule {
+  string selector = 1;
+  oneof pattern {
+    string get = 2;
+    string put = 3;
+    string post = 4;
+    string delete = 5;
+    string patch = 6;
+    CustomHttpPattern custom = 8;
+  }
+  string body = 7;
+  string response_body = 12;
+  repeated HttpRule additional_bindings = 11;
+}
+
+message CustomHttpPattern {
+  string kind = 1;
+  string path = 2;
+}
+`,
+  'google/api/field_behavior.proto': `syntax = "proto3";
+
+package google.api;
+
+import "google/protobuf/descriptor.proto";
+
+option go_package = "google.golang.org/genproto/googleapis/api/annotations;annotations";
+option java_multiple_files = true;
+option java_outer_classname = "FieldBehaviorProto";
+option java_package = "com.google.api";
+
+extend google.protobuf.FieldOptions {
+  repeated google.api.FieldBehavior field_behavior = 1052 [packed = false];
+}
+
+enum FieldBehavior {
+  FIELD_BEHAVIOR_UNSPECIFIED = 0;
+  OPTIONAL = 1;
+  REQUIRED = 2;
+  OUTPUT_ONLY = 3;
+  INPUT_ONLY = 4;
+  IMMUTABLE = 5;
+  UNORDERED_LIST = 6;
+  NON_EMPTY_DEFAULT = 7;
+  IDENTIFIER = 8;
+}
+`
+};
+
+/**
+ * Get the declared security schemes, keyed by scheme name.
+ * Falls back to the single `authMethod` for parsed data that predates named schemes.
+ * @param {Object} parsedData - Parsed API data
+ * @returns {Object} Security schemes by name
+ */
+function getSecuritySchemes(parsedData) {
+  if (parsedData.securitySchemes) {
+    return parsedData.securitySchemes;
+  }
+
+  const authMethod = parsedData.authMethod || { type: 'none' };
+  return authMethod.type === 'none' ? {} : { [`${authMethod.type}Auth`]: authMethod };
+}
+
+/**
+ * Get the security requirements that apply to an endpoint.
+ * Requirements are alternatives (any one may be satisfied); the schemes inside a
+ * requirement must all be applied together. Alternatives that reference unknown
+ * schemes are dropped, an empty requirement means authentication is optional.
+ * @param {Object} endpoint - Parsed endpoint
+ * @param {Object} parsedData - Parsed API data
+ * @returns {Array<Object>} Security requirements, e.g. [{ apiKeyAuth: [] }, { oauth: ['read'] }]
+ */
+function getEndpointSecurity(endpoint, parsedData) {
+  const schemes = getSecuritySchemes(parsedData);
+  const requirements = endpoint.security ||
+    parsedData.security ||
+    Object.keys(schemes).map(name => ({ [name]: [] }));
+
+  return requirements.filter(requirement =>
+    requirement && typeof requirement === 'object' &&
+    Object.keys(requirement).every(name => schemes[name])
+  );
+}
+
+/**
+ * Environment variable holding the credential for a named security scheme
+ * @param {string} schemeName - Security scheme name
+ * @returns {string} Environment variable name, e.g. API_CREDENTIAL_API_KEY_AUTH
+ */
+function toCredentialEnvName(schemeName) {
+  return `API_CREDENTIAL_${toSnakeCase(schemeName).toUpperCase()}`;
+}
+
+/**
+ * Environment variable holding an OAuth 2.0 client setting for a named scheme
+ * @param {string} schemeName - Security scheme name
+ * @param {Object} setting - Entry from OAUTH_SETTINGS
+ * @returns {string} Environment variable name, e.g. API_CREDENTIAL_OAUTH_CLIENT_ID
+ */
+function toOAuthEnvName(schemeName, setting) {
+  return `${toCredentialEnvName(schemeName)}_${setting.env}`;
+}
+
+/**
+ * Get the token endpoints of the flows a token manager can use
+ * @param {Object} scheme - OAuth 2.0 security scheme
+ * @returns {Object} Flows by name, e.g. { clientCredentials: { tokenUrl, refreshUrl } }
+ */
+function getTokenFlows(scheme) {
+  const flows = {};
+  for (const flowName of TOKEN_FLOWS) {
+    const flow = scheme.flows?.[flowName];
+    if (flow?.tokenUrl) {
+      flows[flowName] = { tokenUrl: flow.tokenUrl, refreshUrl: flow.refreshUrl || flow.tokenUrl };
+    }
+  }
+  return flows;
+}
+
+/**
+ * Get the OAuth 2.0 client settings relevant to a scheme's flows, for .env and properties templates
+ * @param {Object} scheme - OAuth 2.0 security scheme
+ * @returns {Array<Object>} Entries from OAUTH_SETTINGS
+ */
+function getOAuthSettings(scheme) {
+  const flowNames = Object.keys(getTokenFlows(scheme));
+  return OAUTH_SETTINGS.filter(setting =>
+    flowNames.length === 0 ? setting.key === 'tokenUrl' || !setting.flow : !setting.flow || flowNames.includes(setting.flow)
+  );
+}
+
+/**
+ * Follow a registry reference to the model it names
+ * @param {Object} node - Normalized schema node
+ * @param {Object} schemas - Registry models by name
+ * @returns {Object} The referenced model, or the node itself
+ */
+function resolveSchemaRef(node, schemas = {}) {
+  return node?.ref ? schemas[node.ref] || {} : node || {};
+}
+
+/**
+ * Get the variables of a GraphQL operation, required ones first so they can
+ * precede optional parameters in generated signatures
+ * @param {Object} endpoint - Parsed endpoint with a `graphql` descriptor
+ * @returns {Array<Object>} Variables: { name, type, required, schema }
+ */
+function getGraphqlVariables(endpoint) {
+  const variables = endpoint.graphql?.variables || [];
+  return [...variables.filter(variable => variable.required), ...variables.filter(variable => !variable.required)];
+}
+
+/**
+ * Placeholder value for a schema, used in generated examples and tests
+ * @param {Object} node - Normalized schema node
+ * @param {Object} schemas - Registry models by name
+ * @param {number} depth - Levels of object properties and array items to fill in
+ * @returns {*} Example value
+ */
+function getExampleValue(node, schemas = {}, depth = 0) {
+  const schema = resolveSchemaRef(node, schemas);
+  if (schema.example !== undefined) return schema.example;
+  if (schema.enum) return schema.enum[0];
+  if (depth > 0 && (schema.oneOf || schema.anyOf)) {
+    return getExampleValue((schema.oneOf || schema.anyOf)[0], schemas, depth);
+  }
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return 1;
+    case 'boolean':
+      return true;
+    case 'array':
+      return depth > 0 ? [getExampleValue(schema.items, schemas, depth - 1)] : [];
+    case 'object': {
+      const example = {};
+      if (depth > 0) {
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+          example[name] = getExampleValue(property, schemas, depth - 1);
+        }
+      }
+      return example;
+    }
+    default:
+      return 'example';
+  }
+}
+
+/**
+ * Placeholder value that also satisfies the generated types: enums use their
+ * first value, unions their first variant with its discriminator value, and
+ * objects fill in only their required properties
+ * @param {Object} node - Normalized schema node
+ * @param {Object} schemas - Registry models by name
+ * @param {number} depth - Nesting level, to stop on recursive models
+ * @returns {*} Example value
+ */
+function getTypedExample(node, schemas = {}, depth = 0) {
+  const schema = resolveSchemaRef(node, schemas);
+  if (schema.enum) return schema.enum[0];
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (variants) {
+    const example = getTypedExample(variants[0], schemas, depth);
+    const values = getDiscriminatorValues(schema, variants[0]);
+    return values ? { ...example, [schema.discriminator.propertyName]: values[0] } : example;
+  }
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return 1;
+    case 'boolean':
+      return true;
+    case 'string':
+      return 'example';
+    case 'array':
+      return [];
+    case 'object': {
+      const example = {};
+      if (depth < 5) {
+        for (const name of schema.required || []) {
+          example[name] = getTypedExample(schema.properties[name], schemas, depth + 1);
+        }
+      }
+      return example;
+    }
+    default:
+      return 'example';
+  }
+}
+
+/**
+ * Discriminator values that select a union variant: its mapping entries, or
+ * the model name when the mapping leaves it out
+ * @param {Object} node - oneOf/anyOf schema node
+ * @param {Object} variant - One of its variants
+ * @returns {Array<string>|null} Values, or null without a discriminator or for inline variants
+ */
+function getDiscriminatorValues(node, variant) {
+  if (!node.discriminator?.propertyName || !variant.ref) return null;
+  const mapped = Object.entries(node.discriminator.mapping || {})
+    .filter(([, ref]) => ref === variant.ref)
+    .map(([value]) => value);
+  return mapped.length > 0 ? mapped : [variant.ref];
+}
+
+/**
+ * Names of the registry models that schema nodes refer to, including models
+ * nested inside those, so generators can emit just the models they use
+ * @param {Array<Object>} nodes - Normalized schema nodes
+ * @param {Object} schemas - Registry models by name
+ * @returns {Array<string>} Model names in the order they are first referenced
+ */
+function collectModelNames(nodes, schemas = {}) {
+  const names = [];
+
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (node.ref) {
+      if (!names.includes(node.ref) && schemas[node.ref]) {
+        names.push(node.ref);
+        visit(schemas[node.ref]);
+      }
+      return;
+    }
+    Object.values(node.properties || {}).forEach(visit);
+    visit(node.items);
+    visit(node.additionalProperties);
+    [...(node.oneOf || []), ...(node.anyOf || [])].forEach(visit);
+    (node.extends || []).forEach(ref => visit({ ref }));
+  };
+
+  nodes.forEach(visit);
+  return names;
+}
+
+/**
+ * Schema of the body an endpoint method sends, as a plain schema node
+ * @param {Object} endpoint - Parsed endpoint
+ * @returns {Object|null} Normalized schema node, or null when the method sends no body
+ */
+function getRequestSchema(endpoint) {
+  const { requestBody, method } = endpoint;
+  if (!requestBody?.schema || method === 'GET' || method === 'DELETE') {
+    return null;
+  }
+  return toSchemaNode(requestBody.schema);
+}
+
+/**
+ * Schema of the JSON body of an endpoint's first successful response that has one
+ * @param {Object} endpoint - Parsed endpoint
+ * @returns {Object|null} Normalized schema node, or null when no 2xx response has a JSON body
+ */
+function getResponseSchema(endpoint) {
+  const codes = Object.keys(endpoint.responses || {})
+    .filter(code => /^2(\d\d|xx)$/i.test(code))
+    .sort();
+
+  for (const code of codes) {
+    const response = endpoint.responses[code];
+    if (response?.schema && isJsonContentType(response.mediaType)) {
+      return toSchemaNode(response.schema);
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop what describe() copied from the model next to a `ref`, and the example
+ */
+function toSchemaNode(described) {
+  if (described.ref) {
+    return described.nullable ? { ref: described.ref, nullable: true } : { ref: described.ref };
+  }
+  const { properties, required, example, ...node } = described;
+  return node.type === 'object' ? { ...node, properties, required } : node;
+}
+
+/**
+ * Whether messages or bodies of a content type are JSON encoded
+ * @param {string} contentType - Media type, e.g. application/cloudevents+json
+ * @returns {boolean} True for JSON media types (and when none is declared)
+ */
+function isJsonContentType(contentType) {
+  return !contentType || /[/+]json\b/i.test(contentType);
+}
+
+/**
+ * Example payload of a message endpoint: the documented example, or one built from its schema
+ * @param {Object} endpoint - Parsed endpoint with a `messaging` descriptor
+ * @param {Object} schemas - Registry models by name
+ * @returns {*} Example payload; a string for messages that are not JSON
+ */
+function getMessageExample(endpoint, schemas = {}) {
+  const { messaging } = endpoint;
+  if (!isJsonContentType(messaging.contentType)) return 'example';
+
+  const documented = messaging.messages[0]?.example;
+  return documented !== undefined ? documented : getExampleValue(messaging.payload, schemas, 3);
+}
+
+/**
+ * Example value of a channel parameter
+ * @param {Object} param - Parsed channel parameter
+ * @returns {string} Example value
+ */
+function getChannelParameterExample(param) {
+  return String(param.example ?? param.enum?.[0] ?? `test-${param.name}`);
+}
+
+/**
+ * Channel address with every parameter filled in with its example value
+ * @param {Object} endpoint - Parsed endpoint with a `messaging` descriptor
+ * @returns {string} Address
+ */
+function getExampleAddress(endpoint) {
+  return endpoint.parameters.reduce(
+    (address, param) => address.split(`{${param.name}}`).join(getChannelParameterExample(param)),
+    endpoint.messaging.address
+  );
+}
+
+/**
+ * Proto sources to ship with gRPC stubs, keyed by import path: the parsed
+ * files plus the google/api protos they import (and their own dependencies)
+ * @param {Object} parsedData - Parsed API data with `protoFiles`
+ * @param {Object} options - Options
+ * @param {boolean} options.includeGoogleApi - Whether to add the google/api protos
+ * @returns {Object} Proto source by import path
+ */
+function getProtoSources(parsedData, { includeGoogleApi = true } = {}) {
+  const sources = {};
+  const pending = [];
+
+  for (const file of parsedData.protoFiles || []) {
+    sources[file.name] = file.content;
+    pending.push(...file.imports);
+  }
+
+  while (includeGoogleApi && pending.length > 0) {
+    const importPath = pending.shift();
+    if (GOOGLE_API_PROTOS[importPath] && !sources[importPath]) {
+      sources[importPath] = GOOGLE_API_PROTOS[importPath];
+      pending.push(...Array.from(GOOGLE_API_PROTOS[importPath].matchAll(/^import "([^"]+)";/gm), match => match[1]));
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * gRPC target (host:port) for a base URL; plain http and local hosts are
+ * dialled without TLS
+ * @param {string} baseUrl - Base URL the proto was uploaded with, if any
+ * @returns {{target: string, insecure: boolean}} Target and transport security
+ */
+function getGrpcTarget(baseUrl) {
+  // A bare host:port is how gRPC targets are usually written; treat it like https
+  const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(baseUrl || '');
+  let url;
+  try {
+    url = new URL(hasScheme ? baseUrl : `https://${baseUrl}`);
+  } catch (error) {
+    url = null;
+  }
+  if (!baseUrl || !url?.hostname) {
+    return { target: 'localhost:50051', insecure: true };
+  }
+
+  const insecure = url.protocol === 'http:' || ['localhost', '127.0.0.1'].includes(url.hostname);
+  return { target: `${url.hostname}:${url.port || (url.protocol === 'http:' ? 80 : 443)}`, insecure };
+}
+
+/**
+ * gRPC endpoints grouped by service, in declaration order
+ * @param {Array<Object>} grpcEndpoints - Parsed endpoints with a `grpc` descriptor
+ * @returns {Array<{name: string, fullName: string, package: string, file: string, endpoints: Array<Object>}>} Services
+ */
+function getGrpcServices(grpcEndpoints) {
+  const services = new Map();
+
+  for (const endpoint of grpcEndpoints) {
+    const { file, package: packageName, service } = endpoint.grpc;
+    const fullName = packageName ? `${packageName}.${service}` : service;
+    if (!services.has(fullName)) {
+      services.set(fullName, { name: service, fullName, package: packageName, file, endpoints: [] });
+    }
+    services.get(fullName).endpoints.push(endpoint);
+  }
+
+  return Array.from(services.values());
+}
+
+/**
+ * Convert an identifier to camelCase
+ */
+function toCamelCase(value) {
+  const camel = String(value)
+    .replace(/[^a-zA-Z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''))
+    .replace(/^[A-Z]/, first => first.toLowerCase());
+  return /^[0-9]/.test(camel) ? `_${camel}` : camel || 'value';
+}
+
+/**
+ * Convert an identifier to snake_case
+ */
+function toSnakeCase(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Describe the credential a scheme needs, for .env and properties templates
+ */
+function describeCredential(scheme) {
+  switch (scheme.type) {
+    case 'basic':
+      return 'username:password';
+    case 'apiKey':
+      return `${scheme.name || 'API key'} ${scheme.in || 'header'} value`;
+    case 'oauth2':
+      return 'OAuth 2.0 access token';
+    default:
+      return 'bearer token';
+  }
+}
+
+module.exports = {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  toCredentialEnvName,
+  toOAuthEnvName,
+  getTokenFlows,
+  getOAuthSettings,
+  resolveSchemaRef,
+  getGraphqlVariables,
+  getExampleValue,
+  getTypedExample,
+  getDiscriminatorValues,
+  collectModelNames,
+  getRequestSchema,
+  getResponseSchema,
+  isJsonContentType,
+  getMessageExample,
+  getChannelParameterExample,
+  getExampleAddress,
+  getProtoSources,
+  getGrpcTarget,
+  getGrpcServices,
+  toCamelCase,
+  toSnakeCase,
+  describeCredential
+};
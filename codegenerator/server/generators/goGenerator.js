@@ -1,3 +1,82 @@
+const {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  toCredentialEnvName,
+  toOAuthEnvName,
+  getTokenFlows,
+  getOAuthSettings,
+  resolveSchemaRef,
+  getGraphqlVariables,
+  getExampleValue,
+  getRequestSchema,
+  getResponseSchema,
+  isJsonContentType,
+  getMessageExample,
+  getChannelParameterExample,
+  getExampleAddress,
+  getGrpcTarget,
+  getGrpcServices,
+  getProtoSources,
+  toCamelCase,
+  describeCredential
+} = require('./generatorUtils');
+
+/**
+ * Go types passed by pointer when an optional GraphQL variable may be omitted
+ */
+const GO_SCALAR_TYPES = ['string', 'int', 'int64', 'float64', 'bool'];
+
+/**
+ * Go keywords that cannot be used as parameter names
+ */
+const GO_KEYWORDS = [
+  'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough',
+  'for', 'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range',
+  'return', 'select', 'struct', 'switch', 'type', 'var'
+];
+
+/**
+ * Names an endpoint method declares or imports itself, so parameters with
+ * these names get a suffix
+ */
+const GO_ENDPOINT_LOCALS = [
+  'c', 'url', 'queryParams', 'requestBody', 'encoded', 'resp', 'result', 'err', 'body',
+  'fmt', 'json', 'strings'
+];
+
+/**
+ * Type names the generated package declares itself; models with these names get a suffix
+ */
+const GO_RESERVED_TYPES = [
+  'ApiClient', 'ApiError', 'ApiResponse', 'AuthHandler', 'AuthResult', 'Config', 'GraphQLError',
+  'GraphQLErrorEntry', 'OAuthFlow', 'RequestHandler', 'SecurityRequirement', 'SecurityScheme',
+  'TokenManager', 'Broker', 'BrokerHandler', 'BrokerMessage', 'EventClient', 'InMemoryBroker',
+  'GrpcClient', 'GrpcOptions'
+];
+
+/**
+ * Package name and import path of the well-known protobuf types in Go
+ */
+const GO_WELL_KNOWN_PACKAGES = {
+  Any: ['anypb', 'google.golang.org/protobuf/types/known/anypb'],
+  Duration: ['durationpb', 'google.golang.org/protobuf/types/known/durationpb'],
+  Empty: ['emptypb', 'google.golang.org/protobuf/types/known/emptypb'],
+  FieldMask: ['fieldmaskpb', 'google.golang.org/protobuf/types/known/fieldmaskpb'],
+  Struct: ['structpb', 'google.golang.org/protobuf/types/known/structpb'],
+  Value: ['structpb', 'google.golang.org/protobuf/types/known/structpb'],
+  ListValue: ['structpb', 'google.golang.org/protobuf/types/known/structpb'],
+  Timestamp: ['timestamppb', 'google.golang.org/protobuf/types/known/timestamppb'],
+  BoolValue: ['wrapperspb', 'google.golang.org/protobuf/types/known/wrapperspb'],
+  BytesValue: ['wrapperspb', 'google.golang.org/protobuf/types/known/wrapperspb'],
+  DoubleValue: ['wrapperspb', 'google.golang.org/protobuf/types/known/wrapperspb'],
+  FloatValue: ['wrapperspb', 'google.golang.org/protobuf/types/known/wrapperspb'],
+  Int32Value: ['wrapperspb', 'google.golang.org/protobuf/types/known/wrapperspb'],
+  Int64Value: ['wrapperspb', 'google.golang.org/protobuf/types/known/wrapperspb'],
+  StringValue: ['wrapperspb', 'google.golang.org/protobuf/types/known/wrapperspb'],
+  UInt32Value: ['wrapperspb', 'google.golang.org/protobuf/types/known/wrapperspb'],
+  UInt64Value: ['wrapperspb', 'google.golang.org/protobuf/types/known/wrapperspb']
+};
+
 /**
  * Generate Go integration code
  * @param {Object} parsedData - Parsed API data
@@ -6,17 +85,52 @@
  */
 async function generateGoCode(parsedData, fileName) {
   const { baseUrl, authMethod, endpoints, title } = parsedData;
+  const securitySchemes = getSecuritySchemes(parsedData);
+  const hasGraphql = endpoints.some(endpoint => endpoint.graphql);
+  
+  // Message channels and gRPC services get their own clients; the HTTP client only sees request/response endpoints
+  const messagingEndpoints = endpoints.filter(endpoint => endpoint.messaging);
+  const grpcEndpoints = endpoints.filter(endpoint => endpoint.grpc);
+  const httpData = { ...parsedData, endpoints: endpoints.filter(endpoint => !endpoint.messaging && !endpoint.grpc) };
+  
+  // A struct per object model, used by request/response bodies and message payloads
+  const schemas = parsedData.schemas || {};
+  const modelNames = Object.keys(schemas).filter(name => isGoStruct({ ref: name }, schemas));
   
   const generatedCode = {};
   
   // Go module
-  generatedCode['go.mod'] = generateGoMod(title);
+  generatedCode['go.mod'] = generateGoMod(title, grpcEndpoints.length > 0);
   
   // Main API client
-  generatedCode['client.go'] = generateApiClient(parsedData);
+  generatedCode['client.go'] = generateApiClient(httpData);
+  
+  // GraphQL transport and errors
+  if (hasGraphql) {
+    generatedCode['graphql.go'] = generateGraphqlSupport();
+    generatedCode['graphql_test.go'] = generateGraphqlTests();
+  }
+  
+  // Event client and in-process broker
+  if (messagingEndpoints.length > 0) {
+    generatedCode['events.go'] = generateEventClient(parsedData, messagingEndpoints);
+    generatedCode['events_test.go'] = generateEventClientTests(parsedData, messagingEndpoints);
+  }
+  
+  // gRPC client over the protoc-generated stubs, with the protos to generate them from
+  if (grpcEndpoints.length > 0) {
+    generatedCode['grpc_client.go'] = generateGrpcClient(parsedData, grpcEndpoints);
+    generatedCode['grpc_client_test.go'] = generateGrpcClientTests(parsedData, grpcEndpoints);
+    for (const [importPath, source] of Object.entries(getProtoSources(parsedData))) {
+      generatedCode[`proto/${importPath}`] = source;
+    }
+  }
   
   // Authentication handler
-  generatedCode['auth.go'] = generateAuthHandler(authMethod);
+  generatedCode['auth.go'] = generateAuthHandler(securitySchemes);
+  
+  // OAuth 2.0 token manager
+  generatedCode['token.go'] = generateTokenManager();
   
   // Request handler
   generatedCode['request.go'] = generateRequestHandler();
@@ -27,17 +141,18 @@ async function generateGoCode(parsedData, fileName) {
   // Configuration
   generatedCode['config.go'] = generateConfig();
   
-  // Response models
-  generatedCode['models.go'] = generateModels();
+  // Response and model structs
+  generatedCode['models.go'] = generateModels(modelNames, schemas);
   
   // Test files
-  generatedCode['client_test.go'] = generateTests(parsedData);
+  generatedCode['client_test.go'] = generateTests(httpData);
+  generatedCode['token_test.go'] = generateTokenManagerTests();
   
   // Example usage
-  generatedCode['example/main.go'] = generateExampleUsage(parsedData);
+  generatedCode['example/main.go'] = generateExampleUsage(httpData);
   
   // Environment template
-  generatedCode['.env.example'] = generateEnvExample(authMethod);
+  generatedCode['.env.example'] = generateEnvExample(securitySchemes, grpcEndpoints.length > 0 ? getGrpcTarget(parsedData.baseUrl) : null);
   
   return generatedCode;
 }
@@ -45,13 +160,15 @@ async function generateGoCode(parsedData, fileName) {
 /**
  * Generate go.mod
  */
-function generateGoMod(title) {
-  return `module ${title.toLowerCase().replace(/[^a-z0-9]/g, '-')}-integration
+function generateGoMod(title, hasGrpc) {
+  return `module ${toGoModuleName(title)}
 
-go 1.19
+go ${hasGrpc ? '1.21' : '1.19'}
 
 require (
-	github.com/joho/godotenv v1.4.0
+	github.com/joho/godotenv v1.4.0${hasGrpc ? `
+	google.golang.org/grpc v1.64.0
+	google.golang.org/protobuf v1.34.1` : ''}
 )
 
 require (
@@ -60,23 +177,51 @@ require (
 )`;
 }
 
+/**
+ * Module path of the generated project
+ */
+function toGoModuleName(title) {
+  return `${title.toLowerCase().replace(/[^a-z0-9]/g, '-')}-integration`;
+}
+
 /**
  * Generate main API client
  */
 function generateApiClient(parsedData) {
   const { baseUrl, authMethod, endpoints, title } = parsedData;
+  const methods = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlMethod(endpoint, parsedData.schemas)
+    : generateEndpointMethod(endpoint, parsedData.schemas || {}));
+  
+  // Only import what the generated methods use; Go rejects unused imports
+  const imports = ['net/http', 'time'];
+  if (endpoints.some(hasRequestBody)) {
+    imports.push('encoding/json', 'fmt');
+  } else {
+    if (endpoints.some(endpoint => endpoint.graphql) || methods.some(source => source.includes('json.RawMessage'))) {
+      imports.push('encoding/json');
+    }
+    if (methods.some(source => source.includes('fmt.Sprint('))) {
+      imports.push('fmt');
+    }
+  }
+  if (endpoints.some(endpoint => endpoint.parameters.some(p => p.in === 'path'))) {
+    imports.push('strings');
+  }
+  const graphqlEndpoints = endpoints.filter(endpoint => endpoint.graphql);
   
   return `package main
 
 import (
-	"bytes"
-	"encoding/json"
-	"fmt"
-	"io"
-	"net/http"
-	"time"
+${imports.sort().map(name => `\t"${name}"`).join('\n')}
 )
 
+var defaultSecurity = ${toGoSecurity(getEndpointSecurity({}, parsedData))}
+
+${endpoints.map(endpoint => `var ${toSecurityVarName(endpoint.operationId)} = ${toGoSecurity(getEndpointSecurity(endpoint, parsedData))}`).join('\n')}
+${graphqlEndpoints.length > 0 ? `
+${graphqlEndpoints.map(endpoint => `const ${toDocumentConstName(endpoint.operationId)} = ${toGoStringLiteral(endpoint.graphql.document)}`).join('\n\n')}
+` : ''}
 // ApiClient represents the ${title} API client
 type ApiClient struct {
 	config       *Config
@@ -91,23 +236,51 @@ func NewApiClient(config *Config) *ApiClient {
 		config = NewConfig()
 	}
 
+	httpClient := &http.Client{
+		Timeout: time.Duration(config.Timeout) * time.Millisecond,
+	}
+
 	client := &ApiClient{
 		config:       config,
-		authHandler:  NewAuthHandler(config),
+		authHandler:  NewAuthHandler(config, httpClient),
 		requestHandler: NewRequestHandler(config),
-		httpClient: &http.Client{
-			Timeout: time.Duration(config.Timeout) * time.Millisecond,
-		},
+		httpClient:   httpClient,
 	}
 
 	return client
 }
 
-${endpoints.map(endpoint => generateEndpointMethod(endpoint)).join('\n\n')}
+${methods.join('\n\n')}
+
+// sendRequest sends an authenticated request. A 401 response invalidates any
+// OAuth 2.0 token that was used and the request is retried once with a freshly
+// acquired token.
+func (c *ApiClient) sendRequest(method, url string, body []byte, security []SecurityRequirement) (*ApiResponse, error) {
+	auth, err := c.authHandler.Authenticate(security)
+	if err != nil {
+		return nil, err
+	}
+
+	resp, err := c.requestHandler.MakeRequest(c.httpClient, method, auth.AppendQuery(url), body, auth.Headers)
+	apiErr, ok := err.(*ApiError)
+	if !ok || apiErr.StatusCode != http.StatusUnauthorized || !c.authHandler.InvalidateTokens(security) {
+		return resp, err
+	}
+
+	auth, err = c.authHandler.Authenticate(security)
+	if err != nil {
+		return nil, err
+	}
+	return c.requestHandler.MakeRequest(c.httpClient, method, auth.AppendQuery(url), body, auth.Headers)
+}
 
 // TestConnection tests the connection to the API
 func (c *ApiClient) TestConnection() bool {
-	resp, err := c.requestHandler.MakeRequest(c.httpClient, "GET", "/", nil, c.authHandler.GetAuthHeaders())
+	headers, err := c.authHandler.GetAuthHeaders(defaultSecurity)
+	if err != nil {
+		return false
+	}
+	resp, err := c.requestHandler.MakeRequest(c.httpClient, "GET", "/", nil, headers)
 	if err != nil {
 		return false
 	}
@@ -123,27 +296,27 @@ func (c *ApiClient) GetConfig() *Config {
 /**
  * Generate endpoint method
  */
-function generateEndpointMethod(endpoint) {
-  const { method, path, operationId, parameters, requestBody, summary, description } = endpoint;
+function generateEndpointMethod(endpoint, schemas) {
+  const { method, path, operationId, parameters, summary, description } = endpoint;
   
   const params = parameters.filter(p => p.in === 'path');
   const queryParams = parameters.filter(p => p.in === 'query');
-  const hasBody = requestBody && method !== 'GET' && method !== 'DELETE';
+  const hasBody = hasRequestBody(endpoint);
+  const bodyType = hasBody ? toGoBodyType(getRequestSchema(endpoint) || {}, schemas) : null;
+  const responseSchema = getResponseSchema(endpoint);
+  const resultType = responseSchema ? toGoBodyType(responseSchema, schemas) : null;
   
-  let methodSignature = `// ${operationId} ${summary || description || `${method} ${path}`}
+  // Methods with a JSON response decode it and return the raw response alongside
+  const methodSignature = `// ${operationId} ${summary || description || `${method} ${path}`}
 // ${description ? description : ''}
-func (c *ApiClient) ${operationId.charAt(0).toUpperCase() + operationId.slice(1)}()`;
-  
-  if (params.length > 0 || queryParams.length > 0 || hasBody) {
-    methodSignature += `(${generateMethodParameters(params, queryParams, hasBody)})`;
-  }
-  
-  methodSignature += ` (*ApiResponse, error) {`;
+func (c *ApiClient) ${toExportedName(operationId)}(${generateMethodParameters(params, queryParams, bodyType, schemas)}) ${resultType ? `(${resultType}, *ApiResponse, error)` : '(*ApiResponse, error)'} {`;
   
   // Build URL with path parameters
   let urlBuilding = `	url := "${path}"`;
   params.forEach(param => {
-    urlBuilding += `\n	url = strings.ReplaceAll(url, "{${param.name}}", ${param.name})`;
+    const name = toGoEndpointParamName(param);
+    const value = toGoParamType(param, schemas) === 'string' ? name : `fmt.Sprint(${name})`;
+    urlBuilding += `\n	url = strings.ReplaceAll(url, ${JSON.stringify(`{${param.name}}`)}, ${value})`;
   });
   
   // Build query parameters
@@ -151,160 +324,1731 @@ func (c *ApiClient) ${operationId.charAt(0).toUpperCase() + operationId.slice(1)
   if (queryParams.length > 0) {
     queryBuilding = `\n	queryParams := make(map[string]string)`;
     queryParams.forEach(param => {
-      queryBuilding += `\n	if ${param.name} != "" {`;
-      queryBuilding += `\n		queryParams["${param.name}"] = ${param.name}`;
-      queryBuilding += `\n	}`;
+      const name = toGoEndpointParamName(param);
+      const key = JSON.stringify(param.name);
+      const type = toGoParamType(param, schemas);
+      if (type === 'string') {
+        queryBuilding += `\n	if ${name} != "" {`;
+        queryBuilding += `\n		queryParams[${key}] = ${name}`;
+        queryBuilding += `\n	}`;
+      } else if (param.required) {
+        queryBuilding += `\n	queryParams[${key}] = fmt.Sprint(${name})`;
+      } else {
+        queryBuilding += `\n	if ${name} != nil {`;
+        queryBuilding += `\n		queryParams[${key}] = fmt.Sprint(*${name})`;
+        queryBuilding += `\n	}`;
+      }
     });
     queryBuilding += `\n	if len(queryParams) > 0 {`;
     queryBuilding += `\n		url += "?" + buildQueryString(queryParams)`;
     queryBuilding += `\n	}`;
   }
   
-  // Build request body
+  // Build request body; values that cannot be nil are always sent
   let bodyBuilding = '';
   if (hasBody) {
+    const nillable = isGoNillable(bodyType);
+    const indent = nillable ? '\t\t' : '\t';
     bodyBuilding = `\n	var requestBody []byte`;
-    bodyBuilding += `\n	var err error`;
-    bodyBuilding += `\n	if body != nil {`;
-    bodyBuilding += `\n		requestBody, err = json.Marshal(body)`;
-    bodyBuilding += `\n		if err != nil {`;
-    bodyBuilding += `\n			return nil, fmt.Errorf("failed to marshal request body: %w", err)`;
-    bodyBuilding += `\n		}`;
-    bodyBuilding += `\n	}`;
+    if (nillable) bodyBuilding += `\n	if body != nil {`;
+    bodyBuilding += `\n${indent}encoded, err := json.Marshal(body)`;
+    bodyBuilding += `\n${indent}if err != nil {`;
+    bodyBuilding += `\n${indent}	return ${resultType ? `${toGoZeroValue(resultType)}, nil` : 'nil'}, fmt.Errorf("failed to marshal request body: %w", err)`;
+    bodyBuilding += `\n${indent}}`;
+    bodyBuilding += `\n${indent}requestBody = encoded`;
+    if (nillable) bodyBuilding += `\n	}`;
   }
   
+  const request = `c.sendRequest("${method}", url, ${hasBody ? 'requestBody' : 'nil'}, ${toSecurityVarName(operationId)})`;
+  const sending = resultType
+    ? `	resp, err := ${request}
+	var result ${resultType}
+	if err != nil {
+		return result, resp, err
+	}
+	err = resp.DecodeJSON(&result)
+	return result, resp, err`
+    : `	return ${request}`;
+  
   const methodBody = `${methodSignature}
 ${urlBuilding}${queryBuilding}${bodyBuilding}
 
-	return c.requestHandler.MakeRequest(c.httpClient, "${method}", url, requestBody, c.authHandler.GetAuthHeaders())
+${sending}
+}`;
+  
+  return methodBody;
+}
+
+/**
+ * Whether an endpoint sends a request body
+ */
+function hasRequestBody(endpoint) {
+  return Boolean(endpoint.requestBody) && !endpoint.graphql && endpoint.method !== 'GET' && endpoint.method !== 'DELETE';
+}
+
+/**
+ * Generate a typed GraphQL operation method
+ */
+function generateGraphqlMethod(endpoint, schemas) {
+  const { operationId, path, summary, description, graphql } = endpoint;
+  const variables = getGraphqlVariables(endpoint);
+  
+  const parameters = variables.map(variable => {
+    const type = toGoType(variable.schema, schemas);
+    return `${toGoIdentifier(variable.name)} ${variable.required || !GO_SCALAR_TYPES.includes(type) ? type : `*${type}`}`;
+  });
+  
+  let variableBuilding = `	variables := map[string]interface{}{}`;
+  for (const variable of variables) {
+    const name = toGoIdentifier(variable.name);
+    const type = toGoType(variable.schema, schemas);
+    if (variable.required) {
+      variableBuilding += `\n	variables["${variable.name}"] = ${name}`;
+    } else {
+      variableBuilding += `\n	if ${name} != nil {`;
+      variableBuilding += `\n		variables["${variable.name}"] = ${GO_SCALAR_TYPES.includes(type) ? `*${name}` : name}`;
+      variableBuilding += `\n	}`;
+    }
+  }
+  
+  return `// ${toExportedName(operationId)} runs the ${summary}
+${description ? `// ${description}\n` : ''}func (c *ApiClient) ${toExportedName(operationId)}(${parameters.join(', ')}) (json.RawMessage, error) {
+${variableBuilding}
+
+	return c.executeGraphql("${path}", ${toDocumentConstName(operationId)}, ${JSON.stringify(graphql.operationName || '')}, variables, ${toSecurityVarName(operationId)})
+}`;
+}
+
+/**
+ * Go type for a schema node; objects are passed as maps
+ */
+function toGoType(node, schemas) {
+  const schema = resolveSchemaRef(node, schemas);
+  if (schema.enum && (!schema.type || schema.type === 'string')) return 'string';
+  
+  switch (schema.type) {
+    case 'integer':
+      return schema.format === 'int64' ? 'int64' : 'int';
+    case 'number':
+      return 'float64';
+    case 'boolean':
+      return 'bool';
+    case 'string':
+      return 'string';
+    case 'array':
+      return `[]${toGoType(schema.items || {}, schemas)}`;
+    case 'object':
+      return 'map[string]interface{}';
+    default:
+      return 'interface{}';
+  }
+}
+
+/**
+ * Render an example value as a Go literal of the given type
+ */
+function toGoLiteral(value, type) {
+  if (type.startsWith('[]') || type.startsWith('map[')) {
+    return `${type}{}`;
+  }
+  if (type === 'interface{}') {
+    return 'nil';
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Go identifier for a GraphQL variable, avoiding keywords
+ */
+function toGoIdentifier(name) {
+  return GO_KEYWORDS.includes(name) ? `${name}Value` : name;
+}
+
+/**
+ * Name of the package-level constant holding an operation document
+ */
+function toDocumentConstName(operationId) {
+  return `document${toExportedName(operationId)}`;
+}
+
+/**
+ * Render text as a Go string literal, raw when possible
+ */
+function toGoStringLiteral(text) {
+  return text.includes('`') ? JSON.stringify(text) : `\`${text}\``;
+}
+
+/**
+ * Capitalize an operation ID so the generated method is exported
+ */
+function toExportedName(operationId) {
+  return operationId.charAt(0).toUpperCase() + operationId.slice(1);
+}
+
+/**
+ * Name of the package-level security requirements variable for an operation
+ */
+function toSecurityVarName(operationId) {
+  return `security${toExportedName(operationId)}`;
+}
+
+/**
+ * Render security requirements as a Go []SecurityRequirement literal
+ */
+function toGoSecurity(security) {
+  const requirements = security.map(requirement => `{${Object.entries(requirement)
+    .map(([name, scopes]) => `${JSON.stringify(name)}: {${scopes.map(scope => JSON.stringify(scope)).join(', ')}}`)
+    .join(', ')}}`);
+  return `[]SecurityRequirement{${requirements.join(', ')}}`;
+}
+
+/**
+ * Go type of a request or response body; structs are passed by pointer
+ */
+function toGoBodyType(node, schemas) {
+  const type = toGoFieldType(node, schemas);
+  return isGoStruct(node, schemas) ? `*${type}` : type;
+}
+
+/**
+ * Whether a Go type has nil as a value
+ */
+function isGoNillable(type) {
+  return /^(\*|\[\]|map\[)/.test(type) || type === 'interface{}' || type === 'json.RawMessage';
+}
+
+/**
+ * Zero value of a Go type, as an expression
+ */
+function toGoZeroValue(type) {
+  if (isGoNillable(type)) return 'nil';
+  if (type === 'string') return '""';
+  if (type === 'bool') return 'false';
+  return '0';
+}
+
+/**
+ * Go type of a path or query parameter; only scalars are typed, anything
+ * else is passed already formatted as a string
+ */
+function toGoParamType(param, schemas) {
+  const type = toGoType(param.schema || { type: param.type, format: param.format, enum: param.enum }, schemas || {});
+  return GO_SCALAR_TYPES.includes(type) ? type : 'string';
+}
+
+/**
+ * Generate method parameters
+ */
+function generateMethodParameters(params, queryParams, bodyType, schemas) {
+  const parameters = [];
+  
+  params.forEach(param => {
+    parameters.push(`${toGoEndpointParamName(param)} ${toGoParamType(param, schemas)}`);
+  });
+  
+  // Optional strings keep "" for unset; other optional scalars are pointers
+  queryParams.forEach(param => {
+    const type = toGoParamType(param, schemas);
+    parameters.push(`${toGoEndpointParamName(param)} ${param.required || type === 'string' ? type : `*${type}`}`);
+  });
+  
+  if (bodyType) {
+    parameters.push(`body ${bodyType}`);
+  }
+  
+  return parameters.join(', ');
+}
+
+/**
+ * Generate the GraphQL transport: request encoding and error decoding
+ */
+function generateGraphqlSupport() {
+  return `package main
+
+import (
+	"encoding/json"
+	"fmt"
+	"strings"
+)
+
+// GraphQLErrorEntry is one entry of the errors list in a GraphQL response
+type GraphQLErrorEntry struct {
+	Message    string                 \`json:"message"\`
+	Path       []interface{}          \`json:"path,omitempty"\`
+	Extensions map[string]interface{} \`json:"extensions,omitempty"\`
+}
+
+// GraphQLError is returned when a GraphQL response carries errors, which
+// servers report with a 200 status. Data holds any partial result.
+type GraphQLError struct {
+	Errors []GraphQLErrorEntry
+	Data   json.RawMessage
+}
+
+// Error implements the error interface
+func (e *GraphQLError) Error() string {
+	messages := make([]string, len(e.Errors))
+	for i, entry := range e.Errors {
+		messages[i] = entry.Message
+	}
+	return "GraphQL errors: " + strings.Join(messages, "; ")
+}
+
+type graphqlRequest struct {
+	Query         string                 \`json:"query"\`
+	OperationName string                 \`json:"operationName,omitempty"\`
+	Variables     map[string]interface{} \`json:"variables"\`
+}
+
+type graphqlResponse struct {
+	Data   json.RawMessage     \`json:"data"\`
+	Errors []GraphQLErrorEntry \`json:"errors"\`
+}
+
+// executeGraphql sends a GraphQL operation and returns the data of its response
+func (c *ApiClient) executeGraphql(path, query, operationName string, variables map[string]interface{}, security []SecurityRequirement) (json.RawMessage, error) {
+	body, err := json.Marshal(graphqlRequest{Query: query, OperationName: operationName, Variables: variables})
+	if err != nil {
+		return nil, fmt.Errorf("failed to marshal GraphQL request: %w", err)
+	}
+
+	resp, err := c.sendRequest("POST", path, body, security)
+	if err != nil {
+		return nil, err
+	}
+
+	var result graphqlResponse
+	if err := json.Unmarshal([]byte(resp.Body), &result); err != nil {
+		return nil, fmt.Errorf("failed to decode GraphQL response: %w", err)
+	}
+	if len(result.Errors) > 0 {
+		return nil, &GraphQLError{Errors: result.Errors, Data: result.Data}
+	}
+	return result.Data, nil
+}`;
+}
+
+/**
+ * Generate GraphQL transport tests, run against a local mock GraphQL endpoint
+ */
+function generateGraphqlTests() {
+  return `package main
+
+import (
+	"encoding/json"
+	"errors"
+	"net/http"
+	"net/http/httptest"
+	"testing"
+)
+
+func newGraphqlTestClient(t *testing.T, handler http.HandlerFunc) *ApiClient {
+	server := httptest.NewServer(handler)
+	t.Cleanup(server.Close)
+
+	config := NewConfig()
+	config.BaseURL = server.URL
+	config.MaxRetries = 1
+	return NewApiClient(config)
+}
+
+func TestExecuteGraphqlSendsOperation(t *testing.T) {
+	var received graphqlRequest
+	client := newGraphqlTestClient(t, func(w http.ResponseWriter, r *http.Request) {
+		if r.Method != "POST" || r.URL.Path != "/graphql" {
+			t.Errorf("unexpected request %s %s", r.Method, r.URL.Path)
+		}
+		if err := json.NewDecoder(r.Body).Decode(&received); err != nil {
+			t.Errorf("failed to decode request: %v", err)
+		}
+		w.Header().Set("Content-Type", "application/json")
+		w.Write([]byte(\`{"data":{"ok":true}}\`))
+	})
+
+	data, err := client.executeGraphql("/graphql", "query Ping { ping }", "Ping", map[string]interface{}{"id": "1"}, nil)
+	if err != nil {
+		t.Fatalf("unexpected error: %v", err)
+	}
+	if string(data) != \`{"ok":true}\` {
+		t.Errorf("unexpected data: %s", data)
+	}
+	if received.Query != "query Ping { ping }" || received.OperationName != "Ping" || received.Variables["id"] != "1" {
+		t.Errorf("unexpected request body: %+v", received)
+	}
+}
+
+func TestExecuteGraphqlReturnsErrors(t *testing.T) {
+	client := newGraphqlTestClient(t, func(w http.ResponseWriter, r *http.Request) {
+		w.Header().Set("Content-Type", "application/json")
+		w.Write([]byte(\`{"data":{"partial":true},"errors":[{"message":"Not authorized","path":["user"]}]}\`))
+	})
+
+	_, err := client.executeGraphql("/graphql", "query Ping { ping }", "", map[string]interface{}{}, nil)
+	var graphqlErr *GraphQLError
+	if !errors.As(err, &graphqlErr) {
+		t.Fatalf("expected GraphQLError, got %v", err)
+	}
+	if graphqlErr.Errors[0].Message != "Not authorized" || string(graphqlErr.Data) != \`{"partial":true}\` {
+		t.Errorf("unexpected error contents: %+v", graphqlErr)
+	}
+}`;
+}
+
+/**
+ * Generate the event client: broker interface, in-process broker and a typed
+ * publisher or subscriber per channel operation
+ */
+function generateEventClient(parsedData, messagingEndpoints) {
+  const { title, schemas = {} } = parsedData;
+  const usesJson = messagingEndpoints.some(endpoint => isJsonContentType(endpoint.messaging.contentType));
+  const imports = ['fmt', 'regexp', 'strings', 'sync'];
+  if (usesJson) {
+    imports.push('encoding/json');
+  }
+  
+  return `package main
+
+import (
+${imports.sort().map(name => `\t"${name}"`).join('\n')}
+)
+
+// BrokerMessage is a message travelling through a broker
+type BrokerMessage struct {
+	Address string
+	Headers map[string]string
+	Payload []byte
+}
+
+// BrokerHandler handles a message delivered by a broker
+type BrokerHandler func(message BrokerMessage) error
+
+// Broker publishes and subscribes to channel addresses. Implement it on top of
+// your Kafka, AMQP, MQTT or WebSocket client, or use InMemoryBroker in tests.
+// Subscribe returns a function that removes the subscription.
+type Broker interface {
+	Publish(address string, message BrokerMessage) error
+	Subscribe(address string, handler BrokerHandler) (func(), error)
+}
+
+// EventClient publishes and subscribes to the ${title} channels
+type EventClient struct {
+	broker Broker
+}
+
+// NewEventClient creates an event client on top of a broker
+func NewEventClient(broker Broker) *EventClient {
+	return &EventClient{broker: broker}
+}
+
+${messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishMethod(endpoint, schemas)
+    : generateSubscribeMethod(endpoint, schemas)).join('\n\n')}
+
+// publish sends an encoded payload to a channel; every parameter must be set
+func (c *EventClient) publish(channel, contentType string, payload []byte, parameters, headers map[string]string) error {
+	for name, value := range parameters {
+		if value == "" {
+			return fmt.Errorf("missing channel parameter %q for %s", name, channel)
+		}
+	}
+
+	messageHeaders := map[string]string{"content-type": contentType}
+	for name, value := range headers {
+		messageHeaders[name] = value
+	}
+
+	address := resolveAddress(channel, parameters)
+	return c.broker.Publish(address, BrokerMessage{Address: address, Headers: messageHeaders, Payload: payload})
+}
+
+// InMemoryBroker delivers messages between publishers and subscribers in the
+// same process, so the event client can be tested without a running broker.
+// Subscriptions that keep a channel parameter as a {placeholder} match any value.
+type InMemoryBroker struct {
+	mu            sync.Mutex
+	subscriptions []*inMemorySubscription
+	Published     []BrokerMessage
+}
+
+type inMemorySubscription struct {
+	pattern *regexp.Regexp
+	handler BrokerHandler
+}
+
+// NewInMemoryBroker creates an empty in-process broker
+func NewInMemoryBroker() *InMemoryBroker {
+	return &InMemoryBroker{}
+}
+
+// Publish delivers a message to every matching subscription and returns the first handler error
+func (b *InMemoryBroker) Publish(address string, message BrokerMessage) error {
+	message.Address = address
+
+	b.mu.Lock()
+	b.Published = append(b.Published, message)
+	var handlers []BrokerHandler
+	for _, subscription := range b.subscriptions {
+		if subscription.pattern.MatchString(address) {
+			handlers = append(handlers, subscription.handler)
+		}
+	}
+	b.mu.Unlock()
+
+	for _, handler := range handlers {
+		if err := handler(message); err != nil {
+			return err
+		}
+	}
+	return nil
+}
+
+// Subscribe registers a handler for messages published to an address
+func (b *InMemoryBroker) Subscribe(address string, handler BrokerHandler) (func(), error) {
+	subscription := &inMemorySubscription{pattern: addressPattern(address), handler: handler}
+
+	b.mu.Lock()
+	b.subscriptions = append(b.subscriptions, subscription)
+	b.mu.Unlock()
+
+	return func() {
+		b.mu.Lock()
+		defer b.mu.Unlock()
+		for i, existing := range b.subscriptions {
+			if existing == subscription {
+				b.subscriptions = append(b.subscriptions[:i], b.subscriptions[i+1:]...)
+				return
+			}
+		}
+	}, nil
+}
+
+var placeholderPattern = regexp.MustCompile(\`\\{[^}]+\\}\`)
+
+// resolveAddress fills channel parameters into an address, keeping the
+// placeholders of empty ones
+func resolveAddress(channel string, parameters map[string]string) string {
+	return placeholderPattern.ReplaceAllStringFunc(channel, func(placeholder string) string {
+		if value := parameters[placeholder[1:len(placeholder)-1]]; value != "" {
+			return value
+		}
+		return placeholder
+	})
+}
+
+// addressPattern matches an address; {placeholders} match one path segment
+func addressPattern(address string) *regexp.Regexp {
+	parts := placeholderPattern.Split(address, -1)
+	for i, part := range parts {
+		parts[i] = regexp.QuoteMeta(part)
+	}
+	return regexp.MustCompile("^" + strings.Join(parts, "[^/]+") + "$")
+}`;
+}
+
+/**
+ * Generate a method that publishes a message to a channel
+ */
+function generatePublishMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const payloadType = toGoPayloadType(messaging, schemas, 'interface{}');
+  const params = [`payload ${payloadType}`, ...parameters.map(param => `${toGoParamName(param)} string`), 'headers map[string]string'];
+  
+  const encoding = isJson
+    ? `	body, err := json.Marshal(payload)
+	if err != nil {
+		return fmt.Errorf("failed to encode ${messaging.address} message: %w", err)
+	}
+	return c.publish(${JSON.stringify(messaging.address)}, ${JSON.stringify(messaging.contentType)}, body, ${toGoParameterMap(parameters)}, headers)`
+    : `	return c.publish(${JSON.stringify(messaging.address)}, ${JSON.stringify(messaging.contentType)}, payload, ${toGoParameterMap(parameters)}, headers)`;
+  
+  return `// ${toExportedName(operationId)} ${summary || `publishes to ${messaging.address}`}
+${description ? `// ${description}\n` : ''}// Channel: ${messaging.address}
+func (c *EventClient) ${toExportedName(operationId)}(${params.join(', ')}) error {
+${encoding}
+}`;
+}
+
+/**
+ * Generate a method that subscribes a handler to a channel
+ */
+function generateSubscribeMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const payloadType = toGoPayloadType(messaging, schemas, 'json.RawMessage');
+  const handlerType = `func(payload ${payloadType}, message BrokerMessage) error`;
+  
+  const delivery = isJson
+    ? `		var payload ${payloadType}
+		if err := json.Unmarshal(message.Payload, &payload); err != nil {
+			return fmt.Errorf("failed to decode ${messaging.address} message: %w", err)
+		}
+		return handler(payload, message)`
+    : `		return handler(message.Payload, message)`;
+  
+  return `// ${toExportedName(operationId)} ${summary || `subscribes to ${messaging.address}`}
+${description ? `// ${description}\n` : ''}// Channel: ${messaging.address}${parameters.length > 0 ? '. Empty parameters match any value.' : ''}
+func (c *EventClient) ${toExportedName(operationId)}(${[...parameters.map(param => `${toGoParamName(param)} string`), `handler ${handlerType}`].join(', ')}) (func(), error) {
+	address := resolveAddress(${JSON.stringify(messaging.address)}, ${toGoParameterMap(parameters)})
+	return c.broker.Subscribe(address, func(message BrokerMessage) error {
+${delivery}
+	})
+}`;
+}
+
+/**
+ * Go type of a message payload; unions fall back to the given type
+ */
+function toGoPayloadType(messaging, schemas, unionType) {
+  if (!isJsonContentType(messaging.contentType)) return '[]byte';
+  if (messaging.payload.oneOf) return unionType;
+  return toGoFieldType(messaging.payload, schemas);
+}
+
+/**
+ * Render channel parameters as a Go map[string]string literal
+ */
+function toGoParameterMap(parameters) {
+  return `map[string]string{${parameters.map(param => `${JSON.stringify(param.name)}: ${toGoParamName(param)}`).join(', ')}}`;
+}
+
+/**
+ * Go parameter name for a channel parameter
+ */
+function toGoParamName(param) {
+  return toGoIdentifier(toCamelCase(param.name));
+}
+
+/**
+ * Go parameter name for a path or query parameter of an endpoint method
+ */
+function toGoEndpointParamName(param) {
+  const name = toGoParamName(param);
+  return GO_ENDPOINT_LOCALS.includes(name) ? `${name}Value` : name;
+}
+
+/**
+ * Generate the struct for a model
+ */
+function generateModelStruct(name, schemas) {
+  const schema = schemas[name];
+  const required = schema.required || [];
+  const fieldNames = new Set();
+  
+  const fields = Object.entries(schema.properties || {}).map(([propName, propSchema]) => {
+    let fieldName = toExportedName(toCamelCase(propName));
+    for (let suffix = 2; fieldNames.has(fieldName); suffix++) {
+      fieldName = `${toExportedName(toCamelCase(propName))}${suffix}`;
+    }
+    fieldNames.add(fieldName);
+    
+    const isRequired = required.includes(propName);
+    let type = toGoFieldType(propSchema, schemas);
+    if (!isRequired && isGoStruct(propSchema, schemas)) {
+      type = `*${type}`;
+    }
+    return { fieldName, type, tag: `json:"${propName}${isRequired ? '' : ',omitempty'}"`, description: propSchema.description };
+  });
+  
+  const nameWidth = Math.max(0, ...fields.map(field => field.fieldName.length));
+  const typeWidth = Math.max(0, ...fields.map(field => field.type.length));
+  
+  return `// ${toGoTypeName(name)} ${schema.description || `is the ${name} model`}
+type ${toGoTypeName(name)} struct {
+${fields.map(field => `${field.description ? `\t// ${field.description}\n` : ''}\t${field.fieldName.padEnd(nameWidth)} ${field.type.padEnd(typeWidth)} \`${field.tag}\``).join('\n')}
+}`;
+}
+
+/**
+ * Whether a schema node is generated as a Go struct
+ */
+function isGoStruct(node, schemas) {
+  const schema = resolveSchemaRef(node, schemas);
+  return Boolean(node.ref) && schema.type === 'object' && !schema.oneOf && !schema.anyOf &&
+    Object.keys(schema.properties || {}).length > 0;
+}
+
+/**
+ * Go type for a model field; object models become structs
+ */
+function toGoFieldType(node, schemas) {
+  if (isGoStruct(node, schemas)) {
+    return toGoTypeName(node.ref);
+  }
+  
+  const schema = resolveSchemaRef(node, schemas);
+  if (schema.oneOf || schema.anyOf) return 'json.RawMessage';
+  
+  switch (schema.type) {
+    case 'integer':
+      return schema.format === 'int64' ? 'int64' : 'int';
+    case 'number':
+      return 'float64';
+    case 'boolean':
+      return 'bool';
+    case 'string':
+      return 'string';
+    case 'array':
+      return `[]${toGoFieldType(schema.items || {}, schemas)}`;
+    case 'object':
+      return typeof schema.additionalProperties === 'object' && Object.keys(schema.properties || {}).length === 0
+        ? `map[string]${toGoFieldType(schema.additionalProperties, schemas)}`
+        : 'map[string]interface{}';
+    default:
+      return 'interface{}';
+  }
+}
+
+/**
+ * Go type name for a registry model, avoiding the client's own types
+ */
+function toGoTypeName(name) {
+  return GO_RESERVED_TYPES.includes(name) ? `${name}Model` : name;
+}
+
+/**
+ * Generate the gRPC client wrapping the protoc-gen-go-grpc stubs for RPCs without an HTTP binding
+ */
+function generateGrpcClient(parsedData, grpcEndpoints) {
+  const { title, baseUrl } = parsedData;
+  const services = getGrpcServices(grpcEndpoints);
+  const { target, insecure } = getGrpcTarget(baseUrl);
+  const modulePath = toGoModuleName(title);
+  const files = Array.from(new Set(services.map(service => service.file)));
+  const mappings = files.map(file => `M${file}=${modulePath}/pb`);
+  const hasUnary = grpcEndpoints.some(endpoint => !endpoint.grpc.requestStream && !endpoint.grpc.responseStream);
+  const fields = [
+    ['conn', '*grpc.ClientConn', 'conn'],
+    ['metadata', 'map[string]string', 'options.Metadata'],
+    ['timeout', 'time.Duration', 'timeout'],
+    ...services.map(service => [toGoServiceField(service), `pb.${toGoCamelCase(service.name)}Client`, `pb.New${toGoCamelCase(service.name)}Client(conn)`])
+  ];
+  const fieldWidth = Math.max(...fields.map(([name]) => name.length));
+  
+  const imports = ['context', 'crypto/tls', 'os', 'time'];
+  const externalImports = [
+    'google.golang.org/grpc',
+    'google.golang.org/grpc/credentials',
+    'google.golang.org/grpc/credentials/insecure',
+    'google.golang.org/grpc/metadata',
+    ...getGoWellKnownImports(grpcEndpoints, true)
+  ];
+  
+  return `package main
+
+// Regenerate the message types and stubs in ./pb after changing the protos
+// (needs protoc-gen-go and protoc-gen-go-grpc), then run go mod tidy:
+//go:generate protoc -I proto --go_out=pb --go_opt=paths=source_relative ${mappings.map(mapping => `--go_opt=${mapping}`).join(' ')} --go-grpc_out=pb --go-grpc_opt=paths=source_relative ${mappings.map(mapping => `--go-grpc_opt=${mapping}`).join(' ')} ${files.join(' ')}
+
+import (
+${imports.sort().map(name => `\t"${name}"`).join('\n')}
+
+${externalImports.sort().map(name => `\t"${name}"`).join('\n')}
+
+	"${modulePath}/pb"
+)
+
+// GrpcOptions configures a GrpcClient. Empty fields fall back to the
+// GRPC_TARGET, GRPC_INSECURE and GRPC_TIMEOUT environment variables.
+type GrpcOptions struct {
+	Target      string
+	DialOptions []grpc.DialOption
+	Metadata    map[string]string
+	Timeout     time.Duration
+}
+
+// GrpcClient calls the ${title} RPCs that have no HTTP binding
+type GrpcClient struct {
+${fields.map(([name, type]) => `\t${name.padEnd(fieldWidth)} ${type}`).join('\n')}
+}
+
+// NewGrpcClient connects to the gRPC server (default ${target}${insecure ? ', without TLS' : ', over TLS'})
+func NewGrpcClient(options *GrpcOptions) (*GrpcClient, error) {
+	if options == nil {
+		options = &GrpcOptions{}
+	}
+
+	target := options.Target
+	if target == "" {
+		target = getEnv("GRPC_TARGET", "${target}")
+	}
+
+	dialOptions := options.DialOptions
+	if len(dialOptions) == 0 {
+		useInsecure := ${insecure}
+		if value := os.Getenv("GRPC_INSECURE"); value != "" {
+			useInsecure = value == "true"
+		}
+		transport := insecure.NewCredentials()
+		if !useInsecure {
+			transport = credentials.NewTLS(&tls.Config{MinVersion: tls.VersionTLS12})
+		}
+		dialOptions = []grpc.DialOption{grpc.WithTransportCredentials(transport)}
+	}
+
+	timeout := options.Timeout
+	if timeout <= 0 {
+		timeout = time.Duration(getEnvAsInt("GRPC_TIMEOUT", 30000)) * time.Millisecond
+	}
+
+	conn, err := grpc.NewClient(target, dialOptions...)
+	if err != nil {
+		return nil, err
+	}
+
+	return &GrpcClient{
+${fields.map(([name, , value]) => `\t\t${`${name}:`.padEnd(fieldWidth + 1)} ${value},`).join('\n')}
+	}, nil
+}
+
+${grpcEndpoints.map(generateGrpcMethod).join('\n\n')}
+
+// Close closes the connection
+func (c *GrpcClient) Close() error {
+	return c.conn.Close()
+}
+
+// withMetadata attaches the configured metadata, e.g. authorization, to a call
+func (c *GrpcClient) withMetadata(ctx context.Context) context.Context {
+	for key, value := range c.metadata {
+		ctx = metadata.AppendToOutgoingContext(ctx, key, value)
+	}
+	return ctx
+}${hasUnary ? `
+
+// callContext adds the metadata and the default deadline to a unary call
+func (c *GrpcClient) callContext(ctx context.Context) (context.Context, context.CancelFunc) {
+	ctx = c.withMetadata(ctx)
+	if _, ok := ctx.Deadline(); ok {
+		return context.WithCancel(ctx)
+	}
+	return context.WithTimeout(ctx, c.timeout)
+}` : ''}`;
+}
+
+/**
+ * Generate a GrpcClient method for one RPC, shaped by its streaming mode.
+ * Streaming calls get no default deadline; the caller's context controls them.
+ */
+function generateGrpcMethod(endpoint) {
+  const { operationId, description, grpc: rpc } = endpoint;
+  const methodName = toExportedName(operationId);
+  const stubCall = `c.${toGoServiceField({ name: rpc.service })}.${toGoCamelCase(rpc.method)}`;
+  const streamType = `pb.${toGoCamelCase(rpc.service)}_${toGoCamelCase(rpc.method)}Client`;
+  const requestType = toGoMessageType(rpc.requestType);
+  const responseType = toGoMessageType(rpc.responseType);
+  const requestName = requestType.slice(1);
+  const responseName = responseType.slice(1);
+  const comment = `// ${methodName} calls ${rpc.service}.${rpc.method}${description ? `\n// ${description.replace(/\n/g, '\n// ')}` : ''}`;
+  
+  if (rpc.requestStream) {
+    return `${comment}
+// Send ${requestName} messages on the returned stream, then ${rpc.responseStream ? `call CloseSend and Recv ${responseName} messages until io.EOF` : `call CloseAndRecv for the ${responseName}`}
+func (c *GrpcClient) ${methodName}(ctx context.Context) (${streamType}, error) {
+	return ${stubCall}(c.withMetadata(ctx))
+}`;
+  }
+  
+  if (rpc.responseStream) {
+    return `${comment}
+// Recv ${responseName} messages from the returned stream until io.EOF
+func (c *GrpcClient) ${methodName}(ctx context.Context, request ${requestType}) (${streamType}, error) {
+	return ${stubCall}(c.withMetadata(ctx), request)
+}`;
+  }
+  
+  return `${comment}
+func (c *GrpcClient) ${methodName}(ctx context.Context, request ${requestType}) (${responseType}, error) {
+	ctx, cancel := c.callContext(ctx)
+	defer cancel()
+	return ${stubCall}(ctx, request)
+}`;
+}
+
+/**
+ * Generate GrpcClient tests against fake servers over an in-memory connection
+ */
+function generateGrpcClientTests(parsedData, grpcEndpoints) {
+  const services = getGrpcServices(grpcEndpoints);
+  const modulePath = toGoModuleName(parsedData.title);
+  const source = grpcEndpoints.map(generateGrpcTest).join('\n\n');
+  const fieldWidth = Math.max(...services.map(service => toGoServiceField(service).length));
+  const imports = ['context', 'net', 'testing'];
+  if (grpcEndpoints.some(endpoint => endpoint.grpc.requestStream || endpoint.grpc.responseStream)) imports.push('io');
+  
+  return `package main
+
+import (
+${imports.sort().map(name => `\t"${name}"`).join('\n')}
+
+${[
+    'google.golang.org/grpc',
+    'google.golang.org/grpc/credentials/insecure',
+    'google.golang.org/grpc/metadata',
+    'google.golang.org/grpc/test/bufconn',
+    ...getGoWellKnownImports(grpcEndpoints)
+  ].sort().map(name => `\t"${name}"`).join('\n')}
+
+	"${modulePath}/pb"
+)
+
+${services.map(generateGrpcFakeServer).join('\n\n')}
+
+// testGrpcServers holds the fake servers behind a test client
+type testGrpcServers struct {
+${services.map(service => `\t${toGoServiceField(service).padEnd(fieldWidth)} *fake${toGoCamelCase(service.name)}Server`).join('\n')}
+}
+
+// newTestGrpcClient starts the fake servers on an in-memory listener and connects a client to them
+func newTestGrpcClient(t *testing.T) (*GrpcClient, *testGrpcServers) {
+	listener := bufconn.Listen(1024 * 1024)
+	server := grpc.NewServer()
+	servers := &testGrpcServers{
+${services.map(service => `\t\t${`${toGoServiceField(service)}:`.padEnd(fieldWidth + 1)} &fake${toGoCamelCase(service.name)}Server{},`).join('\n')}
+	}
+${services.map(service => `	pb.Register${toGoCamelCase(service.name)}Server(server, servers.${toGoServiceField(service)})`).join('\n')}
+	go server.Serve(listener)
+	t.Cleanup(server.Stop)
+
+	client, err := NewGrpcClient(&GrpcOptions{
+		Target: "passthrough:///bufnet",
+		DialOptions: []grpc.DialOption{
+			grpc.WithContextDialer(func(ctx context.Context, _ string) (net.Conn, error) {
+				return listener.DialContext(ctx)
+			}),
+			grpc.WithTransportCredentials(insecure.NewCredentials()),
+		},
+		Metadata: map[string]string{"authorization": "Bearer test-token"},
+	})
+	if err != nil {
+		t.Fatal(err)
+	}
+	t.Cleanup(func() { client.Close() })
+
+	return client, servers
+}
+
+${source}`;
+}
+
+/**
+ * Generate a fake server: unary and client-streaming RPCs answer with an empty
+ * message, server streams send one, and bidirectional streams answer each message
+ */
+function generateGrpcFakeServer(service) {
+  const serviceName = toGoCamelCase(service.name);
+  const methods = service.endpoints.map(endpoint => {
+    const { grpc: rpc } = endpoint;
+    const method = toGoCamelCase(rpc.method);
+    const requestType = toGoMessageType(rpc.requestType);
+    const responseLiteral = toGoMessageType(rpc.responseType).replace(/^\*/, '&') + '{}';
+    const streamType = `pb.${serviceName}_${method}Server`;
+    
+    if (rpc.requestStream && rpc.responseStream) {
+      return `func (s *fake${serviceName}Server) ${method}(stream ${streamType}) error {
+	for {
+		if _, err := stream.Recv(); err == io.EOF {
+			return nil
+		} else if err != nil {
+			return err
+		}
+		if err := stream.Send(${responseLiteral}); err != nil {
+			return err
+		}
+	}
+}`;
+    }
+    if (rpc.requestStream) {
+      return `func (s *fake${serviceName}Server) ${method}(stream ${streamType}) error {
+	for {
+		if _, err := stream.Recv(); err == io.EOF {
+			return stream.SendAndClose(${responseLiteral})
+		} else if err != nil {
+			return err
+		}
+		s.received++
+	}
+}`;
+    }
+    if (rpc.responseStream) {
+      return `func (s *fake${serviceName}Server) ${method}(request ${requestType}, stream ${streamType}) error {
+	s.metadata, _ = metadata.FromIncomingContext(stream.Context())
+	return stream.Send(${responseLiteral})
+}`;
+    }
+    return `func (s *fake${serviceName}Server) ${method}(ctx context.Context, request ${requestType}) (${toGoMessageType(rpc.responseType)}, error) {
+	s.metadata, _ = metadata.FromIncomingContext(ctx)
+	return ${responseLiteral}, nil
+}`;
+  });
+  
+  return `// fake${serviceName}Server answers the RPCs without HTTP bindings; the rest are unimplemented
+type fake${serviceName}Server struct {
+	pb.Unimplemented${serviceName}Server
+	metadata metadata.MD
+	received int
+}
+
+${methods.join('\n\n')}`;
+}
+
+/**
+ * Generate the test for one RPC
+ */
+function generateGrpcTest(endpoint) {
+  const { operationId, grpc: rpc } = endpoint;
+  const methodName = toExportedName(operationId);
+  const field = toGoServiceField({ name: rpc.service });
+  const requestLiteral = toGoMessageType(rpc.requestType).replace(/^\*/, '&') + '{}';
+  
+  if (rpc.requestStream && rpc.responseStream) {
+    return `func TestGrpc${methodName}(t *testing.T) {
+	client, _ := newTestGrpcClient(t)
+
+	stream, err := client.${methodName}(context.Background())
+	if err != nil {
+		t.Fatal(err)
+	}
+	if err := stream.Send(${requestLiteral}); err != nil {
+		t.Fatal(err)
+	}
+	if _, err := stream.Recv(); err != nil {
+		t.Fatalf("Expected a response message, got %v", err)
+	}
+	if err := stream.CloseSend(); err != nil {
+		t.Fatal(err)
+	}
+	if _, err := stream.Recv(); err != io.EOF {
+		t.Errorf("Expected the stream to end, got %v", err)
+	}
+}`;
+  }
+  
+  if (rpc.requestStream) {
+    return `func TestGrpc${methodName}(t *testing.T) {
+	client, servers := newTestGrpcClient(t)
+
+	stream, err := client.${methodName}(context.Background())
+	if err != nil {
+		t.Fatal(err)
+	}
+	for i := 0; i < 2; i++ {
+		if err := stream.Send(${requestLiteral}); err != nil {
+			t.Fatal(err)
+		}
+	}
+	if _, err := stream.CloseAndRecv(); err != nil {
+		t.Fatal(err)
+	}
+	if servers.${field}.received != 2 {
+		t.Errorf("Expected 2 messages, server received %d", servers.${field}.received)
+	}
+}`;
+  }
+  
+  const metadataCheck = `	if got := servers.${field}.metadata.Get("authorization"); len(got) != 1 || got[0] != "Bearer test-token" {
+		t.Errorf("Expected authorization metadata, got %v", got)
+	}`;
+  
+  if (rpc.responseStream) {
+    return `func TestGrpc${methodName}(t *testing.T) {
+	client, servers := newTestGrpcClient(t)
+
+	stream, err := client.${methodName}(context.Background(), ${requestLiteral})
+	if err != nil {
+		t.Fatal(err)
+	}
+	if _, err := stream.Recv(); err != nil {
+		t.Fatalf("Expected a response message, got %v", err)
+	}
+	if _, err := stream.Recv(); err != io.EOF {
+		t.Errorf("Expected the stream to end, got %v", err)
+	}
+${metadataCheck}
+}`;
+  }
+  
+  return `func TestGrpc${methodName}(t *testing.T) {
+	client, servers := newTestGrpcClient(t)
+
+	response, err := client.${methodName}(context.Background(), ${requestLiteral})
+	if err != nil {
+		t.Fatal(err)
+	}
+	if response == nil {
+		t.Error("Expected a response message")
+	}
+${metadataCheck}
+}`;
+}
+
+/**
+ * Go type of an RPC message: a pointer to the protoc-gen-go struct, or to the
+ * well-known type from google.golang.org/protobuf
+ */
+function toGoMessageType(type) {
+  if (type.wellKnown) {
+    const [packageName] = GO_WELL_KNOWN_PACKAGES[type.name] || [];
+    if (packageName) return `*${packageName}.${type.name}`;
+  }
+  return `*pb.${toGoCamelCase(type.path.join('.'))}`;
+}
+
+/**
+ * Import paths of the well-known types the RPCs use. GrpcClient method
+ * signatures only name the request of server streams and neither message of
+ * client streams, so those are left out when `signaturesOnly` is set.
+ */
+function getGoWellKnownImports(grpcEndpoints, signaturesOnly = false) {
+  const imports = new Set();
+  for (const { grpc: rpc } of grpcEndpoints) {
+    const types = !signaturesOnly || (!rpc.requestStream && !rpc.responseStream)
+      ? [rpc.requestType, rpc.responseType]
+      : rpc.requestStream ? [] : [rpc.requestType];
+    for (const type of types) {
+      if (type.wellKnown && GO_WELL_KNOWN_PACKAGES[type.name]) {
+        imports.add(GO_WELL_KNOWN_PACKAGES[type.name][1]);
+      }
+    }
+  }
+  return Array.from(imports);
+}
+
+/**
+ * GrpcClient field holding a service's stub, e.g. userService
+ */
+function toGoServiceField(service) {
+  const name = toGoCamelCase(service.name);
+  return `${name.charAt(0).toLowerCase()}${name.slice(1)}`;
+}
+
+/**
+ * Go identifier protoc-gen-go derives from a proto name: underscores before
+ * lowercase letters are dropped and nested names are joined with "_"
+ */
+function toGoCamelCase(name) {
+  let result = '';
+  for (let i = 0; i < name.length; i++) {
+    const char = name[i];
+    const next = name[i + 1] || '';
+    if (char === '.' && /[a-z]/.test(next)) continue;
+    if (char === '.') {
+      result += '_';
+    } else if (char === '_' && (i === 0 || name[i - 1] === '.')) {
+      result += 'X';
+    } else if (char === '_' && /[a-z]/.test(next)) {
+      continue;
+    } else if (/[0-9]/.test(char)) {
+      result += char;
+    } else {
+      result += char.toUpperCase();
+      while (/[a-z]/.test(name[i + 1] || '')) {
+        result += name[++i];
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Generate authentication handler
+ */
+function generateAuthHandler(securitySchemes) {
+  const schemeEntries = Object.entries(securitySchemes).map(([name, scheme]) =>
+    `	${JSON.stringify(name)}: {Type: "${scheme.type}", Name: ${JSON.stringify(scheme.name || 'Authorization')}, In: "${scheme.in || 'header'}", EnvVar: "${toCredentialEnvName(name)}"${toGoFlows(scheme)}},`
+  );
+  
+  return `package main
+
+import (
+	"encoding/base64"
+	"fmt"
+	"net/http"
+	"net/url"
+	"os"
+	"sort"
+	"strings"
+	"sync"
+)
+
+// SecurityScheme describes how a credential is sent with a request
+type SecurityScheme struct {
+	Type   string
+	Name   string
+	In     string
+	EnvVar string
+	Flows  map[string]OAuthFlow
+}
+
+// oauthSettings maps OAuth 2.0 client settings to the suffix of the
+// environment variable each one is loaded from
+var oauthSettings = map[string]string{
+	"clientId":          "CLIENT_ID",
+	"clientSecret":      "CLIENT_SECRET",
+	"username":          "USERNAME",
+	"password":          "PASSWORD",
+	"refreshToken":      "REFRESH_TOKEN",
+	"authorizationCode": "AUTHORIZATION_CODE",
+	"redirectUri":       "REDIRECT_URI",
+	"tokenUrl":          "TOKEN_URL",
+}
+
+// SecurityRequirement maps scheme names to required scopes; all schemes in a requirement apply together
+type SecurityRequirement map[string][]string
+
+// AuthResult holds the headers and query parameters produced by authentication
+type AuthResult struct {
+	Headers map[string]string
+	Query   map[string]string
+}
+
+// AppendQuery adds the authentication query parameters to a request URL
+func (r *AuthResult) AppendQuery(target string) string {
+	if len(r.Query) == 0 {
+		return target
+	}
+	values := url.Values{}
+	for key, value := range r.Query {
+		values.Set(key, value)
+	}
+	separator := "?"
+	if strings.Contains(target, "?") {
+		separator = "&"
+	}
+	return target + separator + values.Encode()
+}
+
+// securitySchemes lists the security schemes declared by the API
+var securitySchemes = map[string]SecurityScheme{
+${schemeEntries.join('\n')}
+}
+
+// AuthHandler handles authentication for API requests
+type AuthHandler struct {
+	config        *Config
+	httpClient    *http.Client
+	tokenManagers map[string]*TokenManager
+	mu            sync.Mutex
+}
+
+// NewAuthHandler creates a new authentication handler. The HTTP client is used
+// to call OAuth 2.0 token endpoints.
+func NewAuthHandler(config *Config, httpClient *http.Client) *AuthHandler {
+	return &AuthHandler{
+		config:        config,
+		httpClient:    httpClient,
+		tokenManagers: map[string]*TokenManager{},
+	}
+}
+
+// Authenticate resolves authentication for a request. Requirements are
+// alternatives: the first one whose credentials are all configured is applied.
+// An empty requirement makes authentication optional.
+func (a *AuthHandler) Authenticate(security []SecurityRequirement) (*AuthResult, error) {
+	result := &AuthResult{Headers: map[string]string{}, Query: map[string]string{}}
+	if len(security) == 0 {
+		return result, nil
+	}
+
+	if requirement := a.selectRequirement(security); requirement != nil {
+		for _, schemeName := range sortedSchemeNames(requirement) {
+			if err := a.applyScheme(schemeName, requirement[schemeName], result); err != nil {
+				return nil, err
+			}
+		}
+		return result, nil
+	}
+
+	for _, requirement := range security {
+		if len(requirement) == 0 {
+			return result, nil
+		}
+	}
+
+	options := make([]string, 0, len(security))
+	for _, requirement := range security {
+		options = append(options, strings.Join(sortedSchemeNames(requirement), " + "))
+	}
+	return nil, fmt.Errorf("missing credentials: this endpoint requires %s", strings.Join(options, " or "))
+}
+
+// GetAuthHeaders returns authentication headers for the given security requirements
+func (a *AuthHandler) GetAuthHeaders(security []SecurityRequirement) (map[string]string, error) {
+	result, err := a.Authenticate(security)
+	if err != nil {
+		return nil, err
+	}
+	return result.Headers, nil
+}
+
+// InvalidateTokens drops the cached OAuth 2.0 tokens used for a request, e.g.
+// after a 401 response. It reports whether a managed token was invalidated and
+// the request can be retried.
+func (a *AuthHandler) InvalidateTokens(security []SecurityRequirement) bool {
+	requirement := a.selectRequirement(security)
+	if requirement == nil {
+		return false
+	}
+
+	invalidated := false
+	for schemeName, scopes := range requirement {
+		if a.usesTokenManager(schemeName) {
+			a.getTokenManager(schemeName).Invalidate(scopes)
+			invalidated = true
+		}
+	}
+	return invalidated
+}
+
+// selectRequirement picks the first non-empty requirement whose schemes are all configured
+func (a *AuthHandler) selectRequirement(security []SecurityRequirement) SecurityRequirement {
+	for _, requirement := range security {
+		if len(requirement) == 0 {
+			continue
+		}
+		satisfied := true
+		for schemeName := range requirement {
+			if !a.isConfigured(schemeName) {
+				satisfied = false
+				break
+			}
+		}
+		if satisfied {
+			return requirement
+		}
+	}
+	return nil
+}
+
+// isConfigured checks whether a scheme has a credential or can obtain one
+func (a *AuthHandler) isConfigured(schemeName string) bool {
+	return a.getCredential(schemeName) != "" || a.usesTokenManager(schemeName)
+}
+
+// usesTokenManager checks whether a scheme's token is obtained from the token
+// endpoint rather than configured
+func (a *AuthHandler) usesTokenManager(schemeName string) bool {
+	scheme, ok := securitySchemes[schemeName]
+	return ok && scheme.Type == "oauth2" && a.getCredential(schemeName) == "" &&
+		a.getTokenManager(schemeName).CanAcquireToken()
+}
+
+// getTokenManager returns the token manager of an OAuth 2.0 scheme, creating it on first use
+func (a *AuthHandler) getTokenManager(schemeName string) *TokenManager {
+	a.mu.Lock()
+	defer a.mu.Unlock()
+
+	if manager, ok := a.tokenManagers[schemeName]; ok {
+		return manager
+	}
+
+	scheme := securitySchemes[schemeName]
+	settings := map[string]string{}
+	for key, suffix := range oauthSettings {
+		if value := os.Getenv(scheme.EnvVar + "_" + suffix); value != "" {
+			settings[key] = value
+		}
+	}
+	for key, value := range a.config.OAuth2[schemeName] {
+		settings[key] = value
+	}
+
+	manager := NewTokenManager(scheme.Flows, settings, a.config.BaseURL, a.httpClient)
+	a.tokenManagers[schemeName] = manager
+	return manager
+}
+
+// getCredential looks up the configured credential for a security scheme.
+// Per-scheme credentials take precedence over the generic settings.
+func (a *AuthHandler) getCredential(schemeName string) string {
+	scheme, ok := securitySchemes[schemeName]
+	if !ok {
+		return ""
+	}
+
+	if credential := a.config.Credentials[schemeName]; credential != "" {
+		return credential
+	}
+	if credential := os.Getenv(scheme.EnvVar); credential != "" {
+		return credential
+	}
+
+	switch scheme.Type {
+	case "bearer":
+		if a.config.BearerToken != "" {
+			return a.config.BearerToken
+		}
+		return a.config.ApiKey
+	case "apiKey":
+		return a.config.ApiKey
+	case "basic":
+		if a.config.Username == "" || a.config.Password == "" {
+			return ""
+		}
+		return a.config.Username + ":" + a.config.Password
+	case "oauth2":
+		return a.config.AccessToken
+	default:
+		return ""
+	}
+}
+
+// applyScheme adds a single security scheme to the request being built
+func (a *AuthHandler) applyScheme(schemeName string, scopes []string, result *AuthResult) error {
+	scheme := securitySchemes[schemeName]
+	credential := a.getCredential(schemeName)
+
+	switch scheme.Type {
+	case "bearer":
+		result.Headers["Authorization"] = "Bearer " + credential
+	case "oauth2":
+		if credential == "" {
+			token, err := a.getTokenManager(schemeName).GetToken(scopes)
+			if err != nil {
+				return err
+			}
+			credential = token
+		}
+		result.Headers["Authorization"] = "Bearer " + credential
+	case "basic":
+		result.Headers["Authorization"] = "Basic " + base64.StdEncoding.EncodeToString([]byte(credential))
+	case "apiKey":
+		switch scheme.In {
+		case "query":
+			result.Query[scheme.Name] = credential
+		case "cookie":
+			cookie := scheme.Name + "=" + credential
+			if existing, ok := result.Headers["Cookie"]; ok {
+				cookie = existing + "; " + cookie
+			}
+			result.Headers["Cookie"] = cookie
+		default:
+			result.Headers[scheme.Name] = credential
+		}
+	}
+	return nil
+}
+
+// sortedSchemeNames returns the scheme names of a requirement in a stable order
+func sortedSchemeNames(requirement SecurityRequirement) []string {
+	names := make([]string, 0, len(requirement))
+	for name := range requirement {
+		names = append(names, name)
+	}
+	sort.Strings(names)
+	return names
 }`;
-  
-  return methodBody;
 }
 
 /**
- * Generate method parameters
+ * Render the token endpoints of an OAuth 2.0 scheme as a SecurityScheme field
  */
-function generateMethodParameters(params, queryParams, hasBody) {
-  const parameters = [];
-  
-  params.forEach(param => {
-    parameters.push(`${param.name} string`);
-  });
-  
-  queryParams.forEach(param => {
-    parameters.push(`${param.name} string`);
-  });
-  
-  if (hasBody) {
-    parameters.push('body interface{}');
-  }
-  
-  return parameters.join(', ');
+function toGoFlows(scheme) {
+  const flows = Object.entries(getTokenFlows(scheme)).map(([flowName, flow]) =>
+    `${JSON.stringify(flowName)}: {TokenURL: ${JSON.stringify(flow.tokenUrl)}, RefreshURL: ${JSON.stringify(flow.refreshUrl)}}`
+  );
+  return flows.length > 0 ? `, Flows: map[string]OAuthFlow{${flows.join(', ')}}` : '';
 }
 
 /**
- * Generate authentication handler
+ * Generate OAuth 2.0 token manager
  */
-function generateAuthHandler(authMethod) {
+function generateTokenManager() {
   return `package main
 
 import (
-	"encoding/base64"
+	"encoding/json"
 	"fmt"
+	"io"
+	"math"
+	"net/http"
+	"net/url"
+	"sort"
+	"strings"
+	"sync"
+	"time"
 )
 
-// AuthHandler handles authentication for API requests
-type AuthHandler struct {
-	config *Config
+// tokenFlows lists the OAuth 2.0 flows that can obtain tokens without user
+// interaction, in order of preference
+var tokenFlows = []string{"authorizationCode", "password", "clientCredentials"}
+
+// OAuthFlow holds the token endpoints of an OAuth 2.0 flow
+type OAuthFlow struct {
+	TokenURL   string
+	RefreshURL string
 }
 
-// NewAuthHandler creates a new authentication handler
-func NewAuthHandler(config *Config) *AuthHandler {
-	return &AuthHandler{
-		config: config,
-	}
+// oauthToken is a cached access token
+type oauthToken struct {
+	accessToken  string
+	refreshToken string
+	expiresAt    time.Time
 }
 
-// GetAuthHeaders returns authentication headers based on configured auth method
-func (a *AuthHandler) GetAuthHeaders() map[string]string {
-	headers := make(map[string]string)
+// valid reports whether the token can still be used; a zero expiry never expires
+func (t *oauthToken) valid() bool {
+	return t.accessToken != "" && (t.expiresAt.IsZero() || time.Now().Before(t.expiresAt))
+}
 
-	switch a.config.AuthType {
-	case "bearer":
-		return a.getBearerHeaders()
-	case "apiKey":
-		return a.getApiKeyHeaders()
-	case "basic":
-		return a.getBasicHeaders()
-	case "oauth2":
-		return a.getOAuth2Headers()
-	default:
-		return headers
+// tokenResponse is the body returned by a token endpoint
+type tokenResponse struct {
+	AccessToken  string      \`json:"access_token"\`
+	RefreshToken string      \`json:"refresh_token"\`
+	ExpiresIn    json.Number \`json:"expires_in"\`
+}
+
+// TokenManager fetches OAuth 2.0 access tokens from the token endpoint, caches
+// them until they expire and refreshes them with the refresh token. Concurrent
+// callers wait for a single token request.
+type TokenManager struct {
+	flows                 map[string]OAuthFlow
+	settings              map[string]string
+	baseURL               string
+	httpClient            *http.Client
+	tokens                map[string]*oauthToken
+	refreshToken          string
+	authorizationCodeUsed bool
+	mu                    sync.Mutex
+}
+
+// NewTokenManager creates a token manager for the flows of a security scheme.
+// Settings hold the client configuration (clientId, clientSecret, username,
+// password, refreshToken, ...); relative token endpoints resolve against baseURL.
+func NewTokenManager(flows map[string]OAuthFlow, settings map[string]string, baseURL string, httpClient *http.Client) *TokenManager {
+	if httpClient == nil {
+		httpClient = http.DefaultClient
 	}
+	return &TokenManager{
+		flows:        flows,
+		settings:     settings,
+		baseURL:      baseURL,
+		httpClient:   httpClient,
+		tokens:       map[string]*oauthToken{},
+		refreshToken: settings["refreshToken"],
+	}
+}
+
+// CanAcquireToken reports whether enough settings are configured to obtain a token
+func (m *TokenManager) CanAcquireToken() bool {
+	m.mu.Lock()
+	defer m.mu.Unlock()
+	return m.tokenURL() != "" && (m.refreshToken != "" || m.hasGrantCredentials(m.flow()))
 }
 
-// getBearerHeaders returns Bearer token headers
-func (a *AuthHandler) getBearerHeaders() map[string]string {
-	headers := make(map[string]string)
-	token := a.config.ApiKey
-	if token == "" {
-		token = a.config.BearerToken
+// GetToken returns a valid access token for the given scopes, fetching or
+// refreshing it when needed
+func (m *TokenManager) GetToken(scopes []string) (string, error) {
+	// The lock is held for the whole fetch so concurrent callers reuse its result
+	m.mu.Lock()
+	defer m.mu.Unlock()
+
+	key := tokenCacheKey(scopes)
+	cached := m.tokens[key]
+	if cached != nil && cached.valid() {
+		return cached.accessToken, nil
 	}
 
-	if token == "" {
-		panic("Bearer token is required but not provided")
+	token, err := m.fetchToken(cached, scopes)
+	if err != nil {
+		return "", err
 	}
+	m.tokens[key] = token
+	if token.refreshToken != "" {
+		m.refreshToken = token.refreshToken
+	}
+	return token.accessToken, nil
+}
 
-	headers["Authorization"] = "Bearer " + token
-	return headers
+// Invalidate discards the cached access token, keeping the refresh token for the next fetch
+func (m *TokenManager) Invalidate(scopes []string) {
+	m.mu.Lock()
+	defer m.mu.Unlock()
+
+	if cached, ok := m.tokens[tokenCacheKey(scopes)]; ok {
+		cached.accessToken = ""
+	}
 }
 
-// getApiKeyHeaders returns API Key headers
-func (a *AuthHandler) getApiKeyHeaders() map[string]string {
-	headers := make(map[string]string)
-	apiKey := a.config.ApiKey
+// fetchToken obtains a new token, preferring the refresh token over a new grant
+func (m *TokenManager) fetchToken(cached *oauthToken, scopes []string) (*oauthToken, error) {
+	refreshToken := m.refreshToken
+	if cached != nil && cached.refreshToken != "" {
+		refreshToken = cached.refreshToken
+	}
+
+	if refreshToken != "" {
+		params := url.Values{"grant_type": {"refresh_token"}, "refresh_token": {refreshToken}}
+		token, err := m.requestToken(m.refreshURL(), params, scopes, refreshToken)
+		if err == nil {
+			return token, nil
+		}
+		// An expired or revoked refresh token falls back to a new grant when possible
+		if !m.hasGrantCredentials(m.flow()) {
+			return nil, err
+		}
+	}
+
+	params, err := m.grantParams()
+	if err != nil {
+		return nil, err
+	}
+	return m.requestToken(m.tokenURL(), params, scopes, "")
+}
 
-	if apiKey == "" {
-		panic("API Key is required but not provided")
+// flow returns the name of the flow used to obtain tokens
+func (m *TokenManager) flow() string {
+	if flow := m.settings["flow"]; flow != "" {
+		return flow
 	}
 
-	headerName := a.config.AuthHeaderName
-	if headerName == "" {
-		headerName = "X-API-Key"
+	var available []string
+	for _, name := range tokenFlows {
+		if _, ok := m.flows[name]; ok {
+			available = append(available, name)
+		}
+	}
+	for _, name := range available {
+		if m.hasGrantCredentials(name) {
+			return name
+		}
 	}
+	if len(available) > 0 {
+		return available[0]
+	}
+	if m.settings["tokenUrl"] != "" {
+		return "clientCredentials"
+	}
+	return ""
+}
 
-	headers[headerName] = apiKey
-	return headers
+func (m *TokenManager) tokenURL() string {
+	if tokenURL := m.settings["tokenUrl"]; tokenURL != "" {
+		return tokenURL
+	}
+	return m.flows[m.flow()].TokenURL
 }
 
-// getBasicHeaders returns Basic authentication headers
-func (a *AuthHandler) getBasicHeaders() map[string]string {
-	headers := make(map[string]string)
-	username := a.config.Username
-	password := a.config.Password
+func (m *TokenManager) refreshURL() string {
+	if refreshURL := m.settings["refreshUrl"]; refreshURL != "" {
+		return refreshURL
+	}
+	if refreshURL := m.flows[m.flow()].RefreshURL; refreshURL != "" {
+		return refreshURL
+	}
+	return m.tokenURL()
+}
 
-	if username == "" || password == "" {
-		panic("Username and password are required for Basic authentication")
+// hasGrantCredentials checks whether the grant for a flow can be performed with the configured settings
+func (m *TokenManager) hasGrantCredentials(flow string) bool {
+	switch flow {
+	case "clientCredentials":
+		return m.settings["clientId"] != ""
+	case "password":
+		return m.settings["username"] != "" && m.settings["password"] != ""
+	case "authorizationCode":
+		return m.settings["authorizationCode"] != "" && !m.authorizationCodeUsed
+	default:
+		return false
 	}
+}
 
-	credentials := username + ":" + password
-	encodedCredentials := base64.StdEncoding.EncodeToString([]byte(credentials))
-	headers["Authorization"] = "Basic " + encodedCredentials
-	return headers
+// grantParams builds the token request parameters for the selected flow
+func (m *TokenManager) grantParams() (url.Values, error) {
+	switch flow := m.flow(); flow {
+	case "clientCredentials":
+		return url.Values{"grant_type": {"client_credentials"}}, nil
+	case "password":
+		return url.Values{
+			"grant_type": {"password"},
+			"username":   {m.settings["username"]},
+			"password":   {m.settings["password"]},
+		}, nil
+	case "authorizationCode":
+		if !m.hasGrantCredentials(flow) {
+			return nil, fmt.Errorf("OAuth 2.0 authorization code flow needs a refresh token or an unused authorization code")
+		}
+		// Authorization codes are single-use; later tokens come from the refresh token
+		m.authorizationCodeUsed = true
+		params := url.Values{"grant_type": {"authorization_code"}, "code": {m.settings["authorizationCode"]}}
+		if redirectURI := m.settings["redirectUri"]; redirectURI != "" {
+			params.Set("redirect_uri", redirectURI)
+		}
+		return params, nil
+	default:
+		return nil, fmt.Errorf("OAuth 2.0 flow %q cannot obtain tokens automatically; configure an access token instead", flow)
+	}
 }
 
-// getOAuth2Headers returns OAuth2 headers
-func (a *AuthHandler) getOAuth2Headers() map[string]string {
-	headers := make(map[string]string)
-	accessToken := a.config.AccessToken
+// requestToken calls the token endpoint. The previous refresh token is kept
+// when the response does not issue a new one.
+func (m *TokenManager) requestToken(endpoint string, params url.Values, scopes []string, previousRefreshToken string) (*oauthToken, error) {
+	if len(scopes) > 0 {
+		params.Set("scope", strings.Join(scopes, " "))
+	}
+
+	clientID, clientSecret := m.settings["clientId"], m.settings["clientSecret"]
+	basicAuth := clientID != "" && clientSecret != "" && m.settings["clientAuthentication"] != "body"
+	if !basicAuth && clientID != "" {
+		params.Set("client_id", clientID)
+		if clientSecret != "" {
+			params.Set("client_secret", clientSecret)
+		}
+	}
+
+	if !strings.HasPrefix(endpoint, "http://") && !strings.HasPrefix(endpoint, "https://") {
+		endpoint = strings.TrimRight(m.baseURL, "/") + "/" + strings.TrimLeft(endpoint, "/")
+	}
+
+	req, err := http.NewRequest("POST", endpoint, strings.NewReader(params.Encode()))
+	if err != nil {
+		return nil, fmt.Errorf("failed to create token request: %w", err)
+	}
+	req.Header.Set("Content-Type", "application/x-www-form-urlencoded")
+	req.Header.Set("Accept", "application/json")
+	if basicAuth {
+		req.SetBasicAuth(url.QueryEscape(clientID), url.QueryEscape(clientSecret))
+	}
+
+	resp, err := m.httpClient.Do(req)
+	if err != nil {
+		return nil, fmt.Errorf("token request failed: %w", err)
+	}
+	defer resp.Body.Close()
+
+	body, err := io.ReadAll(resp.Body)
+	if err != nil {
+		return nil, fmt.Errorf("failed to read token response: %w", err)
+	}
+	if !isSuccessStatus(resp.StatusCode) {
+		return nil, &ApiError{StatusCode: resp.StatusCode, Message: resp.Status, Body: string(body)}
+	}
+
+	var data tokenResponse
+	if err := json.Unmarshal(body, &data); err != nil {
+		return nil, fmt.Errorf("failed to decode token response: %w", err)
+	}
+	if data.AccessToken == "" {
+		return nil, fmt.Errorf("token endpoint response did not include an access_token")
+	}
 
-	if accessToken == "" {
-		panic("OAuth2 access token is required but not provided")
+	token := &oauthToken{accessToken: data.AccessToken, refreshToken: data.RefreshToken}
+	if token.refreshToken == "" {
+		token.refreshToken = previousRefreshToken
 	}
+	// Leave a safety margin so tokens are not used right as they expire
+	if seconds, err := data.ExpiresIn.Float64(); err == nil && seconds > 0 {
+		lifetime := seconds - math.Min(30, seconds/2)
+		token.expiresAt = time.Now().Add(time.Duration(lifetime * float64(time.Second)))
+	}
+	return token, nil
+}
 
-	headers["Authorization"] = "Bearer " + accessToken
-	return headers
+// tokenCacheKey identifies cached tokens by their sorted scopes
+func tokenCacheKey(scopes []string) string {
+	sorted := append([]string(nil), scopes...)
+	sort.Strings(sorted)
+	return strings.Join(sorted, " ")
 }`;
 }
 
@@ -338,6 +2082,9 @@ func NewRequestHandler(config *Config) *RequestHandler {
 // MakeRequest makes an HTTP request with retry logic
 func (r *RequestHandler) MakeRequest(client *http.Client, method, url string, body []byte, headers map[string]string) (*ApiResponse, error) {
 	maxRetries := r.config.MaxRetries
+	if maxRetries < 1 {
+		maxRetries = 1
+	}
 	var lastError error
 
 	for attempt := 1; attempt <= maxRetries; attempt++ {
@@ -491,13 +2238,13 @@ type Config struct {
 	BaseURL        string
 	Timeout        int
 	MaxRetries     int
-	AuthType       string
+	Credentials    map[string]string
+	OAuth2         map[string]map[string]string
 	ApiKey         string
 	BearerToken    string
 	Username       string
 	Password       string
 	AccessToken    string
-	AuthHeaderName string
 }
 
 // NewConfig creates a new configuration instance
@@ -509,13 +2256,13 @@ func NewConfig() *Config {
 		BaseURL:        getEnv("API_BASE_URL", ""),
 		Timeout:        getEnvAsInt("API_TIMEOUT", 30000),
 		MaxRetries:     getEnvAsInt("API_MAX_RETRIES", 3),
-		AuthType:       getEnv("API_AUTH_TYPE", "none"),
+		Credentials:    map[string]string{},
+		OAuth2:         map[string]map[string]string{},
 		ApiKey:         getEnv("API_KEY", ""),
 		BearerToken:    getEnv("API_BEARER_TOKEN", ""),
 		Username:       getEnv("API_USERNAME", ""),
 		Password:       getEnv("API_PASSWORD", ""),
 		AccessToken:    getEnv("API_ACCESS_TOKEN", ""),
-		AuthHeaderName: getEnv("API_AUTH_HEADER_NAME", ""),
 	}
 
 	// Set defaults
@@ -525,9 +2272,6 @@ func NewConfig() *Config {
 	if config.MaxRetries <= 0 {
 		config.MaxRetries = 3
 	}
-	if config.AuthType == "" {
-		config.AuthType = "none"
-	}
 
 	return config
 }
@@ -552,9 +2296,9 @@ func getEnvAsInt(key string, defaultValue int) int {
 }
 
 /**
- * Generate models
+ * Generate the response type and the model structs
  */
-function generateModels() {
+function generateModels(modelNames, schemas) {
   return `package main
 
 import (
@@ -576,11 +2320,19 @@ func (r *ApiResponse) GetJsonBody() (map[string]interface{}, error) {
 	return result, err
 }
 
+// DecodeJSON unmarshals the response body into target; an empty body leaves it unchanged
+func (r *ApiResponse) DecodeJSON(target interface{}) error {
+	if r == nil || len(r.Body) == 0 {
+		return nil
+	}
+	return json.Unmarshal([]byte(r.Body), target)
+}
+
 // String implements the Stringer interface
 func (r *ApiResponse) String() string {
-	return fmt.Sprintf("ApiResponse{StatusCode=%d, StatusMessage=\"%s\", Body=\"%s\"}", 
+	return fmt.Sprintf("ApiResponse{StatusCode=%d, StatusMessage=%q, Body=%q}",
 		r.StatusCode, r.StatusMessage, r.Body)
-}`;
+}${modelNames.map(name => `\n\n${generateModelStruct(name, schemas)}`).join('')}`;
 }
 
 /**
@@ -606,8 +2358,8 @@ func TestNewApiClient(t *testing.T) {
 		t.Error("Expected config to be set")
 	}
 
-	if config.AuthType != "none" {
-		t.Errorf("Expected auth type to be 'none', got '%s'", config.AuthType)
+	if config.Credentials == nil {
+		t.Error("Expected credentials to be initialized")
 	}
 }
 
@@ -656,6 +2408,347 @@ function generateEndpointTest(endpoint) {
 }`;
 }
 
+/**
+ * Generate event client tests, run against the in-process broker
+ */
+function generateEventClientTests(parsedData, messagingEndpoints) {
+  const { schemas = {} } = parsedData;
+  const tests = messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishTest(endpoint, schemas)
+    : generateSubscribeTest(endpoint, schemas));
+  const source = tests.join('\n\n');
+  
+  const imports = ['testing'];
+  if (source.includes('json.')) imports.push('encoding/json');
+  if (source.includes('reflect.')) imports.push('reflect');
+  
+  return `package main
+
+import (
+${imports.sort().map(name => `\t"${name}"`).join('\n')}
+)
+
+${source}`;
+}
+
+/**
+ * Generate the test for a publishing method
+ */
+function generatePublishTest(endpoint, schemas) {
+  const { operationId, parameters, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const payloadType = toGoPayloadType(messaging, schemas, 'interface{}');
+  const address = getExampleAddress(endpoint);
+  const exampleArguments = ['payload', ...parameters.map(param => JSON.stringify(getChannelParameterExample(param))), 'nil'];
+  
+  const payloadSetup = isJson
+    ? `	var payload ${payloadType}
+	if err := json.Unmarshal([]byte(${toGoStringLiteral(JSON.stringify(getMessageExample(endpoint, schemas)))}), &payload); err != nil {
+		t.Fatal(err)
+	}`
+    : `	payload := []byte("example")`;
+  
+  const payloadCheck = isJson
+    ? `	var decoded ${payloadType}
+	if err := json.Unmarshal(delivered[0].Payload, &decoded); err != nil {
+		t.Fatal(err)
+	}
+	if !reflect.DeepEqual(decoded, payload) {
+		t.Errorf("Expected payload %+v, got %+v", payload, decoded)
+	}`
+    : `	if string(delivered[0].Payload) != string(payload) {
+		t.Errorf("Expected payload %q, got %q", payload, delivered[0].Payload)
+	}`;
+  
+  return `func Test${toExportedName(operationId)}(t *testing.T) {
+	broker := NewInMemoryBroker()
+	client := NewEventClient(broker)
+${payloadSetup}
+
+	var delivered []BrokerMessage
+	if _, err := broker.Subscribe(${JSON.stringify(address)}, func(message BrokerMessage) error {
+		delivered = append(delivered, message)
+		return nil
+	}); err != nil {
+		t.Fatal(err)
+	}
+
+	if err := client.${toExportedName(operationId)}(${exampleArguments.join(', ')}); err != nil {
+		t.Fatal(err)
+	}
+	if len(delivered) != 1 || delivered[0].Address != ${JSON.stringify(address)} {
+		t.Fatalf("Expected one message on ${address}, got %+v", delivered)
+	}
+	if delivered[0].Headers["content-type"] != ${JSON.stringify(messaging.contentType)} {
+		t.Errorf("Expected content type ${messaging.contentType}, got %s", delivered[0].Headers["content-type"])
+	}
+${payloadCheck}${parameters.length > 0 ? `
+
+	if err := client.${toExportedName(operationId)}(${['payload', ...parameters.map(() => '""'), 'nil'].join(', ')}); err == nil {
+		t.Error("Expected an error for a missing channel parameter")
+	}` : ''}
+}`;
+}
+
+/**
+ * Generate the test for a subscribing method
+ */
+function generateSubscribeTest(endpoint, schemas) {
+  const { operationId, parameters, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const payloadType = toGoPayloadType(messaging, schemas, 'json.RawMessage');
+  const address = getExampleAddress(endpoint);
+  const body = isJson ? toGoStringLiteral(JSON.stringify(getMessageExample(endpoint, schemas))) : '"example"';
+  const message = `BrokerMessage{Headers: map[string]string{"content-type": ${JSON.stringify(messaging.contentType)}}, Payload: body}`;
+  
+  const expectation = isJson && payloadType !== 'json.RawMessage'
+    ? `	var expected ${payloadType}
+	if err := json.Unmarshal(body, &expected); err != nil {
+		t.Fatal(err)
+	}
+	if len(received) != 1 || !reflect.DeepEqual(received[0], expected) {
+		t.Fatalf("Expected %+v to be delivered, got %+v", expected, received)
+	}`
+    : `	if len(received) != 1 || string(received[0]) != string(body) {
+		t.Fatalf("Expected %s to be delivered, got %s", body, received)
+	}`;
+  
+  return `func Test${toExportedName(operationId)}(t *testing.T) {
+	broker := NewInMemoryBroker()
+	client := NewEventClient(broker)
+	body := []byte(${body})
+
+	var received []${payloadType}
+	unsubscribe, err := client.${toExportedName(operationId)}(${[...parameters.map(() => '""'), `func(payload ${payloadType}, message BrokerMessage) error {
+		received = append(received, payload)
+		return nil
+	}`].join(', ')})
+	if err != nil {
+		t.Fatal(err)
+	}
+
+	if err := broker.Publish(${JSON.stringify(address)}, ${message}); err != nil {
+		t.Fatal(err)
+	}
+${expectation}
+
+	unsubscribe()
+	if err := broker.Publish(${JSON.stringify(address)}, ${message}); err != nil {
+		t.Fatal(err)
+	}
+	if len(received) != 1 {
+		t.Error("Expected no delivery after unsubscribing")
+	}
+}`;
+}
+
+/**
+ * Generate OAuth 2.0 token manager tests, run against a local mock token endpoint
+ */
+function generateTokenManagerTests() {
+  return `package main
+
+import (
+	"encoding/json"
+	"fmt"
+	"net/http"
+	"net/http/httptest"
+	"net/url"
+	"sync"
+	"testing"
+	"time"
+)
+
+// mockTokenEndpoint records token requests and answers them with numbered tokens
+type mockTokenEndpoint struct {
+	server    *httptest.Server
+	mu        sync.Mutex
+	requests  []url.Values
+	expiresIn int
+	refresh   string
+}
+
+func newMockTokenEndpoint(t *testing.T) *mockTokenEndpoint {
+	endpoint := &mockTokenEndpoint{expiresIn: 3600, refresh: "refresh-1"}
+	endpoint.server = httptest.NewServer(http.HandlerFunc(func(w http.ResponseWriter, r *http.Request) {
+		r.ParseForm()
+		if clientID, _, ok := r.BasicAuth(); ok {
+			r.PostForm.Set("basic_client_id", clientID)
+		}
+
+		endpoint.mu.Lock()
+		endpoint.requests = append(endpoint.requests, r.PostForm)
+		count := len(endpoint.requests)
+		endpoint.mu.Unlock()
+
+		// Slow responses give concurrent callers a chance to overlap
+		time.Sleep(20 * time.Millisecond)
+		w.Header().Set("Content-Type", "application/json")
+		json.NewEncoder(w).Encode(map[string]interface{}{
+			"access_token":  fmt.Sprintf("token-%d", count),
+			"token_type":    "Bearer",
+			"expires_in":    endpoint.expiresIn,
+			"refresh_token": endpoint.refresh,
+		})
+	}))
+	t.Cleanup(endpoint.server.Close)
+	return endpoint
+}
+
+func (e *mockTokenEndpoint) requestCount() int {
+	e.mu.Lock()
+	defer e.mu.Unlock()
+	return len(e.requests)
+}
+
+func (e *mockTokenEndpoint) request(index int) url.Values {
+	e.mu.Lock()
+	defer e.mu.Unlock()
+	return e.requests[index]
+}
+
+func newTestTokenManager(endpoint *mockTokenEndpoint, flow string, settings map[string]string) *TokenManager {
+	flows := map[string]OAuthFlow{flow: {TokenURL: "/oauth/token", RefreshURL: "/oauth/token"}}
+	return NewTokenManager(flows, settings, endpoint.server.URL, endpoint.server.Client())
+}
+
+func TestTokenManagerClientCredentials(t *testing.T) {
+	endpoint := newMockTokenEndpoint(t)
+	manager := newTestTokenManager(endpoint, "clientCredentials", map[string]string{"clientId": "client", "clientSecret": "secret"})
+
+	if !manager.CanAcquireToken() {
+		t.Fatal("Expected client credentials to be enough to acquire a token")
+	}
+	token, err := manager.GetToken([]string{"write", "read"})
+	if err != nil {
+		t.Fatalf("Expected token, got error: %v", err)
+	}
+	if token != "token-1" {
+		t.Errorf("Expected token-1, got %s", token)
+	}
+
+	request := endpoint.request(0)
+	if request.Get("grant_type") != "client_credentials" {
+		t.Errorf("Expected client_credentials grant, got %s", request.Get("grant_type"))
+	}
+	if request.Get("scope") != "write read" {
+		t.Errorf("Expected requested scopes, got %s", request.Get("scope"))
+	}
+	if request.Get("basic_client_id") != "client" {
+		t.Error("Expected client credentials to be sent with HTTP Basic authentication")
+	}
+}
+
+func TestTokenManagerCachesTokens(t *testing.T) {
+	endpoint := newMockTokenEndpoint(t)
+	manager := newTestTokenManager(endpoint, "clientCredentials", map[string]string{"clientId": "client"})
+
+	first, _ := manager.GetToken([]string{"read", "write"})
+	second, _ := manager.GetToken([]string{"write", "read"})
+
+	if first != second {
+		t.Errorf("Expected cached token, got %s and %s", first, second)
+	}
+	if endpoint.requestCount() != 1 {
+		t.Errorf("Expected 1 token request, got %d", endpoint.requestCount())
+	}
+	if endpoint.request(0).Get("client_id") != "client" {
+		t.Error("Expected client ID in the request body when there is no client secret")
+	}
+}
+
+func TestTokenManagerSerializesConcurrentRequests(t *testing.T) {
+	endpoint := newMockTokenEndpoint(t)
+	manager := newTestTokenManager(endpoint, "clientCredentials", map[string]string{"clientId": "client"})
+
+	var wg sync.WaitGroup
+	tokens := make([]string, 10)
+	for i := range tokens {
+		wg.Add(1)
+		go func(i int) {
+			defer wg.Done()
+			tokens[i], _ = manager.GetToken(nil)
+		}(i)
+	}
+	wg.Wait()
+
+	for _, token := range tokens {
+		if token != "token-1" {
+			t.Errorf("Expected every caller to get token-1, got %s", token)
+		}
+	}
+	if endpoint.requestCount() != 1 {
+		t.Errorf("Expected 1 token request, got %d", endpoint.requestCount())
+	}
+}
+
+func TestTokenManagerRefreshesAfterInvalidate(t *testing.T) {
+	endpoint := newMockTokenEndpoint(t)
+	manager := newTestTokenManager(endpoint, "clientCredentials", map[string]string{"clientId": "client"})
+
+	manager.GetToken(nil)
+	manager.Invalidate(nil)
+	token, err := manager.GetToken(nil)
+	if err != nil {
+		t.Fatalf("Expected refreshed token, got error: %v", err)
+	}
+
+	if token != "token-2" {
+		t.Errorf("Expected token-2, got %s", token)
+	}
+	request := endpoint.request(1)
+	if request.Get("grant_type") != "refresh_token" || request.Get("refresh_token") != "refresh-1" {
+		t.Errorf("Expected refresh token grant, got %v", request)
+	}
+}
+
+func TestTokenManagerRefreshesExpiredTokens(t *testing.T) {
+	endpoint := newMockTokenEndpoint(t)
+	endpoint.expiresIn = 1
+	manager := newTestTokenManager(endpoint, "clientCredentials", map[string]string{"clientId": "client"})
+
+	manager.GetToken(nil)
+	time.Sleep(600 * time.Millisecond)
+	token, _ := manager.GetToken(nil)
+
+	if token != "token-2" {
+		t.Errorf("Expected expired token to be replaced, got %s", token)
+	}
+}
+
+func TestTokenManagerUsesAuthorizationCodeOnce(t *testing.T) {
+	endpoint := newMockTokenEndpoint(t)
+	manager := newTestTokenManager(endpoint, "authorizationCode", map[string]string{
+		"clientId":          "client",
+		"authorizationCode": "code-1",
+		"redirectUri":       "http://localhost/callback",
+	})
+
+	manager.GetToken(nil)
+	manager.Invalidate(nil)
+	manager.GetToken(nil)
+
+	if endpoint.request(0).Get("grant_type") != "authorization_code" || endpoint.request(0).Get("code") != "code-1" {
+		t.Errorf("Expected authorization code grant, got %v", endpoint.request(0))
+	}
+	if endpoint.request(1).Get("grant_type") != "refresh_token" {
+		t.Errorf("Expected later tokens to use the refresh token, got %v", endpoint.request(1))
+	}
+	if !manager.CanAcquireToken() {
+		t.Error("Expected the issued refresh token to keep the manager usable")
+	}
+}
+
+func TestTokenManagerWithoutCredentials(t *testing.T) {
+	endpoint := newMockTokenEndpoint(t)
+	manager := newTestTokenManager(endpoint, "password", map[string]string{"clientId": "client"})
+
+	if manager.CanAcquireToken() {
+		t.Error("Expected password flow to need a username and password")
+	}
+}`;
+}
+
 /**
  * Generate example usage
  */
@@ -666,7 +2759,6 @@ function generateExampleUsage(parsedData) {
 
 import (
 	"fmt"
-	"log"
 )
 
 func main() {
@@ -687,60 +2779,81 @@ func main() {
 
 ${endpoints.slice(0, 2).map(endpoint => `	// Example: ${endpoint.method} ${endpoint.path}
 	fmt.Println("\\n📡 Testing ${endpoint.operationId}...")
-	${endpoint.operationId}Result, err := client.${endpoint.operationId.charAt(0).toUpperCase() + operationId.slice(1)}()
+	${endpoint.operationId}Result, ${isTypedExample(endpoint) ? '_, ' : ''}err := client.${toExportedName(endpoint.operationId)}(${generateExampleArguments(endpoint, parsedData.schemas)})
 	if err != nil {
 		fmt.Printf("❌ ${endpoint.operationId} failed: %v\\n", err)
 	} else {
-		fmt.Printf("✅ ${endpoint.operationId} result: %s\\n", ${endpoint.operationId}Result)
+		fmt.Printf("✅ ${endpoint.operationId} result: ${isTypedExample(endpoint) ? '%+v' : '%s'}\\n", ${endpoint.operationId}Result)
 	}`).join('\n\n')}
 
 	fmt.Println("\\n🎉 Example completed successfully!")
 }`;
 }
 
+/**
+ * Placeholder arguments for calling an endpoint method in the example
+ */
+function generateExampleArguments(endpoint, schemas) {
+  if (endpoint.graphql) {
+    return getGraphqlVariables(endpoint).map(variable => variable.required
+      ? toGoLiteral(getExampleValue(variable.schema, schemas), toGoType(variable.schema, schemas))
+      : 'nil').join(', ');
+  }
+  
+  const args = endpoint.parameters
+    .filter(p => p.in === 'path' || p.in === 'query')
+    .sort((a, b) => (a.in === 'path' ? 0 : 1) - (b.in === 'path' ? 0 : 1))
+    .map(param => {
+      const type = toGoParamType(param, schemas);
+      if (type === 'string') return '""';
+      return param.in === 'path' || param.required ? toGoZeroValue(type) : 'nil';
+    });
+  if (hasRequestBody(endpoint)) {
+    args.push(toGoZeroValue(toGoBodyType(getRequestSchema(endpoint) || {}, schemas || {})));
+  }
+  return args.join(', ');
+}
+
+/**
+ * Whether an example call returns a decoded result next to the raw response
+ */
+function isTypedExample(endpoint) {
+  return !endpoint.graphql && Boolean(getResponseSchema(endpoint));
+}
+
 /**
  * Generate environment example
  */
-function generateEnvExample(authMethod) {
-  let envContent = `# ${authMethod.type === 'none' ? 'No authentication required' : `${authMethod.type.toUpperCase()} Authentication`}
+function generateEnvExample(securitySchemes, grpcTarget) {
+  const schemeEntries = Object.entries(securitySchemes);
+  
+  let envContent = `# ${schemeEntries.length === 0 ? 'No authentication required' : `Authentication: ${schemeEntries.map(([name]) => name).join(', ')}`}
 
 # API Configuration
 API_BASE_URL=https://api.example.com
 API_TIMEOUT=30000
 API_MAX_RETRIES=3
-
 `;
 
-  switch (authMethod.type) {
-    case 'bearer':
-      envContent += `# Bearer Token Authentication
-API_AUTH_TYPE=bearer
-API_BEARER_TOKEN=your-bearer-token-here
-`;
-      break;
-      
-    case 'apiKey':
-      envContent += `# API Key Authentication
-API_AUTH_TYPE=apiKey
-API_KEY=your-api-key-here
-API_AUTH_HEADER_NAME=X-API-Key
+  if (grpcTarget) {
+    envContent += `
+# gRPC Configuration
+GRPC_TARGET=${grpcTarget.target}
+GRPC_INSECURE=${grpcTarget.insecure}
+GRPC_TIMEOUT=30000
 `;
-      break;
-      
-    case 'basic':
-      envContent += `# Basic Authentication
-API_AUTH_TYPE=basic
-API_USERNAME=your-username
-API_PASSWORD=your-password
+  }
+
+  for (const [name, scheme] of schemeEntries) {
+    envContent += `
+# ${name}: ${scheme.description || `${scheme.type} authentication`} (${describeCredential(scheme)})
+${toCredentialEnvName(name)}=
 `;
-      break;
-      
-    case 'oauth2':
-      envContent += `# OAuth 2.0 Authentication
-API_AUTH_TYPE=oauth2
-API_ACCESS_TOKEN=your-access-token-here
+    if (scheme.type === 'oauth2') {
+      envContent += `# Or let the client fetch and refresh tokens itself:
+${getOAuthSettings(scheme).map(setting => `# ${setting.description}\n${toOAuthEnvName(name, setting)}=`).join('\n')}
 `;
-      break;
+    }
   }
 
   return envContent;
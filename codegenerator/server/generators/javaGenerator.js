@@ -1,3 +1,63 @@
+const {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  getTokenFlows,
+  getOAuthSettings,
+  resolveSchemaRef,
+  getGraphqlVariables,
+  getExampleValue,
+  getRequestSchema,
+  getResponseSchema,
+  isJsonContentType,
+  getMessageExample,
+  getChannelParameterExample,
+  getExampleAddress,
+  getGrpcTarget,
+  getGrpcServices,
+  getProtoSources,
+  toCamelCase,
+  describeCredential
+} = require('./generatorUtils');
+
+/**
+ * Java keywords that cannot be used as parameter names
+ */
+const JAVA_KEYWORDS = [
+  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+  'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float',
+  'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native',
+  'new', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp',
+  'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'void',
+  'volatile', 'while', 'true', 'false', 'null', 'var'
+];
+
+/**
+ * Names an endpoint method declares or uses itself, so parameters with these
+ * names get a suffix
+ */
+const JAVA_ENDPOINT_LOCALS = ['url', 'queryString', 'requestBody', 'response', 'body', 'objectMapper'];
+
+/**
+ * Class names the generated client already uses; models with these names get a suffix
+ */
+const JAVA_RESERVED_TYPES = [
+  'ApiClient', 'ApiResponse', 'Config', 'EventClient', 'Broker', 'BrokerMessage', 'EventHandler', 'MessageHandler',
+  'InMemoryBroker', 'JsonNode', 'TypeReference', 'Object', 'String', 'Integer', 'Long', 'Double',
+  'Boolean', 'List', 'Map'
+];
+
+/**
+ * Simple names GrpcClient and its test import or declare; proto classes with
+ * these names are referenced by their fully qualified name instead
+ */
+const JAVA_GRPC_CLASS_NAMES = [
+  'GrpcClient', 'GrpcClientTest', 'Collector', 'ClientInterceptor', 'ManagedChannel', 'ManagedChannelBuilder',
+  'Metadata', 'MetadataUtils', 'StreamObserver', 'Server', 'ServerCall', 'ServerCallHandler', 'ServerInterceptor',
+  'ServerInterceptors', 'InProcessChannelBuilder', 'InProcessServerBuilder', 'AfterEach', 'BeforeEach', 'Test',
+  'Iterator', 'List', 'ArrayList', 'Map', 'TimeUnit', 'CompletableFuture', 'AtomicInteger', 'AtomicReference',
+  'Properties', 'IOException', 'InputStream', 'Object', 'String', 'Override', 'Exception', 'Throwable'
+];
+
 /**
  * Generate Java integration code
  * @param {Object} parsedData - Parsed API data
@@ -6,23 +66,61 @@
  */
 async function generateJavaCode(parsedData, fileName) {
   const { baseUrl, authMethod, endpoints, title } = parsedData;
+  const securitySchemes = getSecuritySchemes(parsedData);
+  const hasGraphql = endpoints.some(endpoint => endpoint.graphql);
+  
+  // Message channels and gRPC services get their own clients; the HTTP client only sees request/response endpoints
+  const messagingEndpoints = endpoints.filter(endpoint => endpoint.messaging);
+  const grpcEndpoints = endpoints.filter(endpoint => endpoint.grpc);
+  const httpData = { ...parsedData, endpoints: endpoints.filter(endpoint => !endpoint.messaging && !endpoint.grpc) };
   
   const generatedCode = {};
   
   // Maven pom.xml
-  generatedCode['pom.xml'] = generatePomXml(title);
+  generatedCode['pom.xml'] = generatePomXml(title, grpcEndpoints.length > 0);
   
   // Main API client
-  generatedCode['src/main/java/com/example/ApiClient.java'] = generateApiClient(parsedData);
+  generatedCode['src/main/java/com/example/ApiClient.java'] = generateApiClient(httpData);
+  
+  // A model class per object model, used by request/response bodies and message payloads
+  const schemas = parsedData.schemas || {};
+  for (const name of Object.keys(schemas).filter(name => isJavaModel({ ref: name }, schemas))) {
+    generatedCode[`src/main/java/com/example/models/${toJavaTypeName(name)}.java`] = generateModel(name, schemas);
+  }
+  
+  // Event client and broker abstraction
+  if (messagingEndpoints.length > 0) {
+    generatedCode['src/main/java/com/example/EventClient.java'] = generateEventClient(parsedData, messagingEndpoints);
+    generatedCode['src/main/java/com/example/messaging/Broker.java'] = generateBroker();
+    generatedCode['src/main/java/com/example/messaging/BrokerMessage.java'] = generateBrokerMessage();
+    generatedCode['src/main/java/com/example/messaging/MessageHandler.java'] = generateMessageHandler();
+    generatedCode['src/main/java/com/example/messaging/EventHandler.java'] = generateEventHandler();
+    generatedCode['src/main/java/com/example/messaging/InMemoryBroker.java'] = generateInMemoryBroker();
+    generatedCode['src/test/java/com/example/EventClientTest.java'] = generateEventClientTests(parsedData, messagingEndpoints);
+  }
+  
+  // gRPC client; the protobuf plugin generates the stubs from src/main/proto, and
+  // the google/api protos come from the proto-google-common-protos dependency
+  if (grpcEndpoints.length > 0) {
+    generatedCode['src/main/java/com/example/GrpcClient.java'] = generateGrpcClient(parsedData, grpcEndpoints);
+    generatedCode['src/test/java/com/example/GrpcClientTest.java'] = generateGrpcClientTests(parsedData, grpcEndpoints);
+    for (const [importPath, source] of Object.entries(getProtoSources(parsedData, { includeGoogleApi: false }))) {
+      generatedCode[`src/main/proto/${importPath}`] = source;
+    }
+  }
   
   // Authentication handler
-  generatedCode['src/main/java/com/example/auth/AuthHandler.java'] = generateAuthHandler(authMethod);
+  generatedCode['src/main/java/com/example/auth/AuthHandler.java'] = generateAuthHandler(securitySchemes);
+  generatedCode['src/main/java/com/example/auth/TokenManager.java'] = generateTokenManager();
   
   // Request handler
   generatedCode['src/main/java/com/example/utils/RequestHandler.java'] = generateRequestHandler();
   
   // Error handler
   generatedCode['src/main/java/com/example/utils/ErrorHandler.java'] = generateErrorHandler();
+  if (hasGraphql) {
+    generatedCode['src/main/java/com/example/utils/GraphQLException.java'] = generateGraphqlException();
+  }
   
   // Configuration
   generatedCode['src/main/java/com/example/config/Config.java'] = generateConfig();
@@ -31,13 +129,14 @@ async function generateJavaCode(parsedData, fileName) {
   generatedCode['src/main/java/com/example/models/ApiResponse.java'] = generateApiResponse();
   
   // Test files
-  generatedCode['src/test/java/com/example/ApiClientTest.java'] = generateTests(parsedData);
+  generatedCode['src/test/java/com/example/ApiClientTest.java'] = generateTests(httpData);
+  generatedCode['src/test/java/com/example/auth/TokenManagerTest.java'] = generateTokenManagerTests();
   
   // Example usage
-  generatedCode['src/main/java/com/example/ExampleUsage.java'] = generateExampleUsage(parsedData);
+  generatedCode['src/main/java/com/example/ExampleUsage.java'] = generateExampleUsage(httpData);
   
   // Application properties
-  generatedCode['src/main/resources/application.properties'] = generateApplicationProperties(authMethod);
+  generatedCode['src/main/resources/application.properties'] = generateApplicationProperties(securitySchemes, grpcEndpoints.length > 0 ? getGrpcTarget(parsedData.baseUrl) : null);
   
   return generatedCode;
 }
@@ -45,7 +144,7 @@ async function generateJavaCode(parsedData, fileName) {
 /**
  * Generate Maven pom.xml
  */
-function generatePomXml(title) {
+function generatePomXml(title, hasGrpc) {
   return `<?xml version="1.0" encoding="UTF-8"?>
 <project xmlns="http://maven.apache.org/POM/4.0.0"
          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
@@ -64,7 +163,9 @@ function generatePomXml(title) {
     <properties>
         <maven.compiler.source>11</maven.compiler.source>
         <maven.compiler.target>11</maven.compiler.target>
-        <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>
+        <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>${hasGrpc ? `
+        <grpc.version>1.64.0</grpc.version>
+        <protobuf.version>3.25.3</protobuf.version>` : ''}
     </properties>
 
     <dependencies>
@@ -102,10 +203,57 @@ function generatePomXml(title) {
             <artifactId>mockito-core</artifactId>
             <version>4.2.0</version>
             <scope>test</scope>
+        </dependency>${hasGrpc ? `
+
+        <!-- gRPC -->
+        <dependency>
+            <groupId>io.grpc</groupId>
+            <artifactId>grpc-netty-shaded</artifactId>
+            <version>\${grpc.version}</version>
+        </dependency>
+
+        <dependency>
+            <groupId>io.grpc</groupId>
+            <artifactId>grpc-protobuf</artifactId>
+            <version>\${grpc.version}</version>
+        </dependency>
+
+        <dependency>
+            <groupId>io.grpc</groupId>
+            <artifactId>grpc-stub</artifactId>
+            <version>\${grpc.version}</version>
+        </dependency>
+
+        <dependency>
+            <groupId>com.google.api.grpc</groupId>
+            <artifactId>proto-google-common-protos</artifactId>
+            <version>2.29.0</version>
+        </dependency>
+
+        <dependency>
+            <groupId>org.apache.tomcat</groupId>
+            <artifactId>annotations-api</artifactId>
+            <version>6.0.53</version>
+            <scope>provided</scope>
         </dependency>
+
+        <dependency>
+            <groupId>io.grpc</groupId>
+            <artifactId>grpc-inprocess</artifactId>
+            <version>\${grpc.version}</version>
+            <scope>test</scope>
+        </dependency>` : ''}
     </dependencies>
 
-    <build>
+    <build>${hasGrpc ? `
+        <extensions>
+            <extension>
+                <groupId>kr.motd.maven</groupId>
+                <artifactId>os-maven-plugin</artifactId>
+                <version>1.7.1</version>
+            </extension>
+        </extensions>
+` : ''}
         <plugins>
             <plugin>
                 <groupId>org.apache.maven.plugins</groupId>
@@ -121,7 +269,27 @@ function generatePomXml(title) {
                 <groupId>org.apache.maven.plugins</groupId>
                 <artifactId>maven-surefire-plugin</artifactId>
                 <version>2.22.2</version>
-            </plugin>
+            </plugin>${hasGrpc ? `
+
+            <!-- Generates the message classes and gRPC stubs from src/main/proto -->
+            <plugin>
+                <groupId>org.xolstice.maven.plugins</groupId>
+                <artifactId>protobuf-maven-plugin</artifactId>
+                <version>0.6.1</version>
+                <configuration>
+                    <protocArtifact>com.google.protobuf:protoc:\${protobuf.version}:exe:\${os.detected.classifier}</protocArtifact>
+                    <pluginId>grpc-java</pluginId>
+                    <pluginArtifact>io.grpc:protoc-gen-grpc-java:\${grpc.version}:exe:\${os.detected.classifier}</pluginArtifact>
+                </configuration>
+                <executions>
+                    <execution>
+                        <goals>
+                            <goal>compile</goal>
+                            <goal>compile-custom</goal>
+                        </goals>
+                    </execution>
+                </executions>
+            </plugin>` : ''}
         </plugins>
     </build>
 </project>`;
@@ -132,16 +300,28 @@ function generatePomXml(title) {
  */
 function generateApiClient(parsedData) {
   const { baseUrl, authMethod, endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoints = endpoints.filter(endpoint => endpoint.graphql);
+  const hasGraphql = graphqlEndpoints.length > 0;
+  const hasTypedResults = endpoints.some(endpoint => !endpoint.graphql && getResponseSchema(endpoint));
+  const methods = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlMethod(endpoint, parsedData.schemas)
+    : generateEndpointMethod(endpoint, schemas)).join('\n\n');
+  
+  const modelImports = getModelImports(methods, schemas).sort().map(name => `\nimport ${name};`).join('');
   
   return `package com.example;
 
 import com.example.auth.AuthHandler;
 import com.example.config.Config;
-import com.example.models.ApiResponse;
+import com.example.models.ApiResponse;${modelImports}
 import com.example.utils.RequestHandler;
 import com.example.utils.ErrorHandler;
+import com.example.utils.ErrorHandler.ApiException;${hasGraphql ? '\nimport com.example.utils.GraphQLException;' : ''}${hasTypedResults ? '\nimport com.fasterxml.jackson.core.type.TypeReference;' : ''}${hasGraphql || methods.includes('JsonNode') ? '\nimport com.fasterxml.jackson.databind.JsonNode;' : ''}
 import com.fasterxml.jackson.databind.ObjectMapper;
-import okhttp3.OkHttpClient;
+import okhttp3.OkHttpClient;${hasGraphql ? '\nimport java.util.HashMap;' : ''}
+import java.util.List;
+import java.util.Map;
 import java.util.concurrent.TimeUnit;
 
 /**
@@ -149,6 +329,8 @@ import java.util.concurrent.TimeUnit;
  * Auto-generated integration client for ${title}
  */
 public class ApiClient {
+${endpoints.map(endpoint => generateSecurityConstant(endpoint, getEndpointSecurity(endpoint, parsedData))).join('\n')}${graphqlEndpoints.map(endpoint => `\n\n${generateDocumentConstant(endpoint)}`).join('')}
+
     private final Config config;
     private final AuthHandler authHandler;
     private final RequestHandler requestHandler;
@@ -162,7 +344,6 @@ public class ApiClient {
 
     public ApiClient(Config config) {
         this.config = config;
-        this.authHandler = new AuthHandler(config);
         this.requestHandler = new RequestHandler(config);
         this.errorHandler = new ErrorHandler();
         this.objectMapper = new ObjectMapper();
@@ -172,10 +353,36 @@ public class ApiClient {
             .readTimeout(config.getTimeout(), TimeUnit.MILLISECONDS)
             .writeTimeout(config.getTimeout(), TimeUnit.MILLISECONDS)
             .build();
+        this.authHandler = new AuthHandler(config, httpClient);
     }
 
-${endpoints.map(endpoint => generateEndpointMethod(endpoint)).join('\n\n')}
+${methods}
 
+    /**
+     * Send an authenticated request.
+     * A 401 response invalidates any OAuth 2.0 token that was used and the
+     * request is retried once with a freshly acquired token.
+     * @param method HTTP method
+     * @param url Request URL
+     * @param body Request body, or null
+     * @param security Security requirements of the endpoint
+     * @return ApiResponse API response
+     * @throws Exception if request fails
+     */
+    private ApiResponse sendRequest(String method, String url, String body,
+                                    List<Map<String, List<String>>> security) throws Exception {
+        AuthHandler.AuthResult auth = authHandler.authenticate(security);
+        try {
+            return requestHandler.makeRequest(httpClient, method, auth.applyQueryParams(url), body, auth.getHeaders());
+        } catch (ApiException e) {
+            if (e.getStatusCode() != 401 || !authHandler.invalidateTokens(security)) {
+                throw e;
+            }
+            AuthHandler.AuthResult refreshed = authHandler.authenticate(security);
+            return requestHandler.makeRequest(httpClient, method, refreshed.applyQueryParams(url), body, refreshed.getHeaders());
+        }
+    }
+${hasTypedResults ? generateReadBody() : ''}${hasGraphql ? generateExecuteGraphql() : ''}
     /**
      * Test connection to the API
      * @return boolean Connection status
@@ -212,29 +419,35 @@ ${endpoints.map(endpoint => generateEndpointMethod(endpoint)).join('\n\n')}
 /**
  * Generate endpoint method
  */
-function generateEndpointMethod(endpoint) {
+function generateEndpointMethod(endpoint, schemas) {
   const { method, path, operationId, parameters, requestBody, summary, description } = endpoint;
   
   const params = parameters.filter(p => p.in === 'path');
   const queryParams = parameters.filter(p => p.in === 'query');
   const hasBody = requestBody && method !== 'GET' && method !== 'DELETE';
+  const bodyType = hasBody ? toJavaModelType(getRequestSchema(endpoint) || {}, schemas) : null;
+  const responseSchema = getResponseSchema(endpoint);
+  const resultType = responseSchema ? toJavaModelType(responseSchema, schemas) : null;
   
+  // Methods with a JSON response return the decoded body instead of the raw response
   let methodSignature = `    /**
      * ${summary || description || `${method} ${path}`}
      * ${description ? `\n     * ${description}` : ''}
-     * @return ApiResponse API response
+     * @return ${resultType ? `${resultType} Response body, or null when the response has none` : 'ApiResponse API response'}
      * @throws Exception if request fails
      */
-    public ApiResponse ${operationId}() throws Exception {`;
+    public ${resultType || 'ApiResponse'} ${operationId}() throws Exception {`;
   
   if (params.length > 0 || queryParams.length > 0 || hasBody) {
-    methodSignature = methodSignature.replace('()', `(${generateMethodParameters(params, queryParams, hasBody)})`);
+    methodSignature = methodSignature.replace('()', `(${generateMethodParameters(params, queryParams, bodyType, schemas)})`);
   }
   
   // Build URL with path parameters
   let urlBuilding = `        String url = "${path}";`;
   params.forEach(param => {
-    urlBuilding += `\n        url = url.replace("{${param.name}}", ${param.name});`;
+    const name = toJavaEndpointParamName(param);
+    const value = toJavaParamType(param, schemas) === 'String' ? name : `String.valueOf(${name})`;
+    urlBuilding += `\n        url = url.replace(${JSON.stringify(`{${param.name}}`)}, ${value});`;
   });
   
   // Build query parameters
@@ -242,12 +455,13 @@ function generateEndpointMethod(endpoint) {
   if (queryParams.length > 0) {
     queryBuilding = `\n        StringBuilder queryString = new StringBuilder();`;
     queryParams.forEach((param, index) => {
+      const name = toJavaEndpointParamName(param);
       if (index === 0) {
-        queryBuilding += `\n        if (${param.name} != null) {`;
+        queryBuilding += `\n        if (${name} != null) {`;
       } else {
-        queryBuilding += `\n        } else if (${param.name} != null) {`;
+        queryBuilding += `\n        } else if (${name} != null) {`;
       }
-      queryBuilding += `\n            queryString.append("${param.name}=").append(${param.name});`;
+      queryBuilding += `\n            queryString.append(${JSON.stringify(`${param.name}=`)}).append(${name});`;
     });
     queryBuilding += `\n        }`;
     queryBuilding += `\n        if (queryString.length() > 0) {`;
@@ -264,31 +478,219 @@ function generateEndpointMethod(endpoint) {
     bodyBuilding += `\n        }`;
   }
   
+  const request = `sendRequest("${method}", url, ${hasBody ? 'requestBody' : 'null'}, ${toSecurityConstantName(operationId)})`;
+  const sending = resultType
+    ? `        ApiResponse response = ${request};
+        return readBody(response, new TypeReference<${resultType}>() {});`
+    : `        return ${request};`;
+  
   const methodBody = `${methodSignature}
 ${urlBuilding}${queryBuilding}${bodyBuilding}
 
-        return requestHandler.makeRequest(httpClient, "${method}", url, requestBody, authHandler.getAuthHeaders());
+${sending}
     }`;
   
   return methodBody;
 }
 
+/**
+ * Generate the helper that decodes typed response bodies
+ */
+function generateReadBody() {
+  return `
+    /**
+     * Decode the JSON body of a response
+     * @param response API response
+     * @param type Type to decode into
+     * @return Decoded body, or null when the response has none
+     * @throws Exception if the body cannot be decoded
+     */
+    private <T> T readBody(ApiResponse response, TypeReference<T> type) throws Exception {
+        String body = response.getBody();
+        if (body == null || body.isBlank()) {
+            return null;
+        }
+        return objectMapper.readValue(body, type);
+    }
+`;
+}
+
+/**
+ * Generate a typed GraphQL operation method
+ */
+function generateGraphqlMethod(endpoint, schemas) {
+  const { operationId, path, summary, description, graphql } = endpoint;
+  const variables = getGraphqlVariables(endpoint);
+  
+  let variableBuilding = `        Map<String, Object> variables = new HashMap<>();`;
+  for (const variable of variables) {
+    const name = toJavaIdentifier(variable.name);
+    if (variable.required) {
+      variableBuilding += `\n        variables.put("${variable.name}", ${name});`;
+    } else {
+      variableBuilding += `\n        if (${name} != null) {`;
+      variableBuilding += `\n            variables.put("${variable.name}", ${name});`;
+      variableBuilding += `\n        }`;
+    }
+  }
+  
+  return `    /**
+     * ${summary}${description ? `\n     * ${description}` : ''}
+${variables.map(variable => `     * @param ${toJavaIdentifier(variable.name)} ${variable.type}${variable.required ? '' : ' (optional, may be null)'}`).join('\n')}${variables.length > 0 ? '\n' : ''}     * @return JsonNode The data of the operation result
+     * @throws GraphQLException if the response carries GraphQL errors
+     * @throws Exception if request fails
+     */
+    public JsonNode ${operationId}(${variables.map(variable => `${toJavaType(variable.schema, schemas)} ${toJavaIdentifier(variable.name)}`).join(', ')}) throws Exception {
+${variableBuilding}
+
+        return executeGraphql("${path}", ${toDocumentConstantName(operationId)}, ${graphql.operationName ? `"${graphql.operationName}"` : 'null'}, variables, ${toSecurityConstantName(operationId)});
+    }`;
+}
+
+/**
+ * Generate the ApiClient method that sends GraphQL operations
+ */
+function generateExecuteGraphql() {
+  return `
+    /**
+     * Execute a GraphQL operation and return the data of its response
+     * @param path GraphQL endpoint path
+     * @param document Operation document
+     * @param operationName Operation to run from the document, or null
+     * @param variables Operation variables
+     * @param security Security requirements of the operation
+     * @return JsonNode The data of the operation result
+     * @throws GraphQLException if the response carries GraphQL errors
+     * @throws Exception if request fails
+     */
+    private JsonNode executeGraphql(String path, String document, String operationName,
+                                    Map<String, Object> variables,
+                                    List<Map<String, List<String>>> security) throws Exception {
+        Map<String, Object> payload = new HashMap<>();
+        payload.put("query", document);
+        payload.put("variables", variables);
+        if (operationName != null) {
+            payload.put("operationName", operationName);
+        }
+
+        ApiResponse response = sendRequest("POST", path, objectMapper.writeValueAsString(payload), security);
+        JsonNode result = objectMapper.readTree(response.getBody());
+        JsonNode errors = result.path("errors");
+        if (errors.isArray() && errors.size() > 0) {
+            throw new GraphQLException(errors, result.path("data"));
+        }
+        return result.path("data");
+    }
+`;
+}
+
+/**
+ * Generate the constant holding an operation document
+ */
+function generateDocumentConstant(endpoint) {
+  const lines = endpoint.graphql.document.split('\n');
+  const literals = lines.map((line, index) => JSON.stringify(index < lines.length - 1 ? `${line}\n` : line));
+  return `    private static final String ${toDocumentConstantName(endpoint.operationId)} =
+        ${literals.join(' +\n        ')};`;
+}
+
+/**
+ * Name of the constant holding an operation document
+ */
+function toDocumentConstantName(operationId) {
+  return toSecurityConstantName(operationId).replace(/^SECURITY_/, 'DOCUMENT_');
+}
+
+/**
+ * Java type for a schema node; objects are passed as maps
+ */
+function toJavaType(node, schemas) {
+  const schema = resolveSchemaRef(node, schemas);
+  if (schema.enum && (!schema.type || schema.type === 'string')) return 'String';
+  
+  switch (schema.type) {
+    case 'integer':
+      return schema.format === 'int64' ? 'Long' : 'Integer';
+    case 'number':
+      return 'Double';
+    case 'boolean':
+      return 'Boolean';
+    case 'string':
+      return 'String';
+    case 'array':
+      return `List<${toJavaType(schema.items || {}, schemas)}>`;
+    case 'object':
+      return 'Map<String, Object>';
+    default:
+      return 'Object';
+  }
+}
+
+/**
+ * Java type of a path or query parameter; scalars use their boxed type so an
+ * omitted value stays null, anything else is passed already formatted
+ */
+function toJavaParamType(param, schemas) {
+  const type = toJavaType(param.schema || { type: param.type, format: param.format, enum: param.enum }, schemas || {});
+  return ['String', 'Integer', 'Long', 'Double', 'Boolean'].includes(type) ? type : 'String';
+}
+
+/**
+ * Render an example value as a Java expression of the given type
+ */
+function toJavaLiteral(value, type) {
+  if (type.startsWith('List<')) return 'List.of()';
+  if (type.startsWith('Map<')) return 'Map.of()';
+  if (type === 'Long') return `${value}L`;
+  if (type === 'Double') return `${value}.0`;
+  if (type === 'Object') return 'null';
+  return JSON.stringify(value);
+}
+
+/**
+ * Java identifier for a GraphQL variable, avoiding keywords
+ */
+function toJavaIdentifier(name) {
+  return JAVA_KEYWORDS.includes(name) ? `${name}Value` : name;
+}
+
+/**
+ * Generate the security requirements constant for an endpoint
+ */
+function generateSecurityConstant(endpoint, security) {
+  const requirements = security.map(requirement => {
+    const entries = Object.entries(requirement).map(([name, scopes]) =>
+      `"${name}", List.of(${(scopes || []).map(scope => `"${scope}"`).join(', ')})`
+    );
+    return `Map.of(${entries.join(', ')})`;
+  });
+  
+  return `    private static final List<Map<String, List<String>>> ${toSecurityConstantName(endpoint.operationId)} = List.of(${requirements.join(', ')});`;
+}
+
+/**
+ * Name of the security requirements constant for an operation
+ */
+function toSecurityConstantName(operationId) {
+  return `SECURITY_${operationId.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^a-zA-Z0-9]+/g, '_').toUpperCase()}`;
+}
+
 /**
  * Generate method parameters
  */
-function generateMethodParameters(params, queryParams, hasBody) {
+function generateMethodParameters(params, queryParams, bodyType, schemas) {
   const parameters = [];
   
   params.forEach(param => {
-    parameters.push(`String ${param.name}`);
+    parameters.push(`${toJavaParamType(param, schemas)} ${toJavaEndpointParamName(param)}`);
   });
   
   queryParams.forEach(param => {
-    parameters.push(`String ${param.name}`);
+    parameters.push(`${toJavaParamType(param, schemas)} ${toJavaEndpointParamName(param)}`);
   });
   
-  if (hasBody) {
-    parameters.push('Object body');
+  if (bodyType) {
+    parameters.push(`${bodyType} body`);
   }
   
   return parameters.join(', ');
@@ -297,156 +699,620 @@ function generateMethodParameters(params, queryParams, hasBody) {
 /**
  * Generate authentication handler
  */
-function generateAuthHandler(authMethod) {
+function generateAuthHandler(securitySchemes) {
+  const schemeRegistrations = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const flows = Object.entries(scheme.type === 'oauth2' ? getTokenFlows(scheme) : {}).map(([flowName, flow]) =>
+      `"${flowName}", new TokenManager.Flow("${flow.tokenUrl}", "${flow.refreshUrl}")`
+    );
+    return `        SECURITY_SCHEMES.put("${name}", new SecurityScheme("${scheme.type}", "${scheme.name || 'Authorization'}", "${scheme.in || 'header'}", Map.of(${flows.join(', ')})));`;
+  });
+  
   return `package com.example.auth;
 
 import com.example.config.Config;
+import okhttp3.OkHttpClient;
+import java.io.IOException;
+import java.net.URLEncoder;
+import java.nio.charset.StandardCharsets;
+import java.util.Base64;
 import java.util.HashMap;
+import java.util.LinkedHashMap;
+import java.util.List;
 import java.util.Map;
-import java.util.Base64;
+import java.util.concurrent.ConcurrentHashMap;
+import java.util.stream.Collectors;
 
 /**
  * Authentication Handler
- * Handles different types of authentication for API requests
+ * Applies the security schemes required by each endpoint
  */
 public class AuthHandler {
+    private static final Map<String, SecurityScheme> SECURITY_SCHEMES = new HashMap<>();
+
+    static {
+${schemeRegistrations.join('\n')}
+    }
+
     private final Config config;
+    private final OkHttpClient httpClient;
+    private final Map<String, TokenManager> tokenManagers = new ConcurrentHashMap<>();
 
     public AuthHandler(Config config) {
+        this(config, new OkHttpClient());
+    }
+
+    public AuthHandler(Config config, OkHttpClient httpClient) {
         this.config = config;
+        this.httpClient = httpClient;
+    }
+
+    /**
+     * Resolve authentication for a request.
+     * Requirements are alternatives: the first one whose credentials are all
+     * configured is applied. An empty requirement makes authentication optional.
+     * @param security Security requirements, mapping scheme names to scopes
+     * @return AuthResult Headers and query parameters to add to the request
+     * @throws IOException if an OAuth 2.0 token cannot be obtained
+     */
+    public AuthResult authenticate(List<Map<String, List<String>>> security) throws IOException {
+        AuthResult result = new AuthResult();
+        if (security == null || security.isEmpty()) {
+            return result;
+        }
+
+        Map<String, List<String>> requirement = selectRequirement(security);
+        if (requirement != null) {
+            for (Map.Entry<String, List<String>> entry : requirement.entrySet()) {
+                applyScheme(entry.getKey(), entry.getValue(), result);
+            }
+            return result;
+        }
+
+        if (security.stream().anyMatch(Map::isEmpty)) {
+            return result;
+        }
+
+        String options = security.stream()
+            .map(req -> String.join(" + ", req.keySet()))
+            .collect(Collectors.joining(" or "));
+        throw new RuntimeException("Missing credentials: this endpoint requires " + options);
     }
 
     /**
-     * Get authentication headers based on configured auth method
+     * Get authentication headers for the given security requirements
+     * @param security Security requirements
      * @return Map<String, String> Authentication headers
+     * @throws IOException if an OAuth 2.0 token cannot be obtained
      */
-    public Map<String, String> getAuthHeaders() {
-        String authType = config.getAuthType();
-        
-        switch (authType) {
+    public Map<String, String> getAuthHeaders(List<Map<String, List<String>>> security) throws IOException {
+        return authenticate(security).getHeaders();
+    }
+
+    /**
+     * Drop the cached OAuth 2.0 tokens used for a request, e.g. after a 401 response
+     * @param security Security requirements of the request
+     * @return boolean True if a managed token was invalidated and the request can be retried
+     */
+    public boolean invalidateTokens(List<Map<String, List<String>>> security) {
+        Map<String, List<String>> requirement = security == null ? null : selectRequirement(security);
+        if (requirement == null) {
+            return false;
+        }
+
+        boolean invalidated = false;
+        for (Map.Entry<String, List<String>> entry : requirement.entrySet()) {
+            if (usesTokenManager(entry.getKey())) {
+                getTokenManager(entry.getKey()).invalidate(entry.getValue());
+                invalidated = true;
+            }
+        }
+        return invalidated;
+    }
+
+    /**
+     * Pick the first non-empty requirement whose schemes are all configured
+     */
+    private Map<String, List<String>> selectRequirement(List<Map<String, List<String>>> security) {
+        for (Map<String, List<String>> requirement : security) {
+            if (!requirement.isEmpty() && requirement.keySet().stream().allMatch(this::isConfigured)) {
+                return requirement;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a scheme has a credential or can obtain one
+     */
+    private boolean isConfigured(String schemeName) {
+        return getCredential(schemeName) != null || usesTokenManager(schemeName);
+    }
+
+    /**
+     * Check whether a scheme's token is obtained from the token endpoint rather than configured
+     */
+    private boolean usesTokenManager(String schemeName) {
+        SecurityScheme scheme = SECURITY_SCHEMES.get(schemeName);
+        return scheme != null && "oauth2".equals(scheme.type) && getCredential(schemeName) == null
+            && getTokenManager(schemeName).canAcquireToken();
+    }
+
+    /**
+     * Get the token manager of an OAuth 2.0 scheme, creating it on first use
+     */
+    private TokenManager getTokenManager(String schemeName) {
+        return tokenManagers.computeIfAbsent(schemeName, name -> new TokenManager(
+            SECURITY_SCHEMES.get(name).flows,
+            config.getOAuthSettings(name),
+            config.getBaseUrl(),
+            httpClient
+        ));
+    }
+
+    /**
+     * Look up the configured credential for a security scheme.
+     * Per-scheme credentials take precedence over the generic settings.
+     * @param schemeName Security scheme name
+     * @return String Credential value, or null if not configured
+     */
+    private String getCredential(String schemeName) {
+        SecurityScheme scheme = SECURITY_SCHEMES.get(schemeName);
+        if (scheme == null) {
+            return null;
+        }
+
+        String explicit = config.getCredential(schemeName);
+        if (explicit != null && !explicit.isEmpty()) {
+            return explicit;
+        }
+
+        switch (scheme.type) {
             case "bearer":
-                return getBearerHeaders();
+                return firstNonEmpty(config.getBearerToken(), config.getApiKey());
             case "apiKey":
-                return getApiKeyHeaders();
+                return firstNonEmpty(config.getApiKey());
             case "basic":
-                return getBasicHeaders();
+                String username = config.getUsername();
+                String password = config.getPassword();
+                if (username == null || password == null || username.isEmpty() || password.isEmpty()) {
+                    return null;
+                }
+                return username + ":" + password;
             case "oauth2":
-                return getOAuth2Headers();
+                return firstNonEmpty(config.getAccessToken());
             default:
-                return new HashMap<>();
+                return null;
         }
     }
 
     /**
-     * Get Bearer token headers
-     * @return Map<String, String> Bearer token headers
+     * Apply a single security scheme to the request being built
      */
-    private Map<String, String> getBearerHeaders() {
-        Map<String, String> headers = new HashMap<>();
-        String token = config.getApiKey() != null ? config.getApiKey() : config.getBearerToken();
-        
-        if (token == null || token.isEmpty()) {
-            throw new RuntimeException("Bearer token is required but not provided");
+    private void applyScheme(String schemeName, List<String> scopes, AuthResult result) throws IOException {
+        SecurityScheme scheme = SECURITY_SCHEMES.get(schemeName);
+        String credential = getCredential(schemeName);
+
+        switch (scheme.type) {
+            case "bearer":
+                result.headers.put("Authorization", "Bearer " + credential);
+                break;
+            case "oauth2":
+                String token = credential != null ? credential : getTokenManager(schemeName).getToken(scopes);
+                result.headers.put("Authorization", "Bearer " + token);
+                break;
+            case "basic":
+                String encoded = Base64.getEncoder().encodeToString(credential.getBytes(StandardCharsets.UTF_8));
+                result.headers.put("Authorization", "Basic " + encoded);
+                break;
+            case "apiKey":
+                if ("query".equals(scheme.location)) {
+                    result.queryParams.put(scheme.name, credential);
+                } else if ("cookie".equals(scheme.location)) {
+                    String cookie = scheme.name + "=" + credential;
+                    result.headers.merge("Cookie", cookie, (existing, added) -> existing + "; " + added);
+                } else {
+                    result.headers.put(scheme.name, credential);
+                }
+                break;
+            default:
+                break;
         }
-        
-        headers.put("Authorization", "Bearer " + token);
-        return headers;
     }
 
-    /**
-     * Get API Key headers
-     * @return Map<String, String> API Key headers
-     */
-    private Map<String, String> getApiKeyHeaders() {
-        Map<String, String> headers = new HashMap<>();
-        String apiKey = config.getApiKey();
-        
-        if (apiKey == null || apiKey.isEmpty()) {
-            throw new RuntimeException("API Key is required but not provided");
+    private static String firstNonEmpty(String... values) {
+        for (String value : values) {
+            if (value != null && !value.isEmpty()) {
+                return value;
+            }
         }
-        
-        String headerName = config.getAuthHeaderName() != null ? config.getAuthHeaderName() : "X-API-Key";
-        headers.put(headerName, apiKey);
-        return headers;
+        return null;
     }
 
     /**
-     * Get Basic authentication headers
-     * @return Map<String, String> Basic auth headers
+     * Security scheme declared by the API
      */
-    private Map<String, String> getBasicHeaders() {
-        Map<String, String> headers = new HashMap<>();
-        String username = config.getUsername();
-        String password = config.getPassword();
-        
-        if (username == null || password == null || username.isEmpty() || password.isEmpty()) {
-            throw new RuntimeException("Username and password are required for Basic authentication");
+    private static class SecurityScheme {
+        private final String type;
+        private final String name;
+        private final String location;
+        private final Map<String, TokenManager.Flow> flows;
+
+        SecurityScheme(String type, String name, String location, Map<String, TokenManager.Flow> flows) {
+            this.type = type;
+            this.name = name;
+            this.location = location;
+            this.flows = flows;
         }
-        
-        String credentials = username + ":" + password;
-        String encodedCredentials = Base64.getEncoder().encodeToString(credentials.getBytes());
-        headers.put("Authorization", "Basic " + encodedCredentials);
-        return headers;
     }
 
     /**
-     * Get OAuth2 headers
-     * @return Map<String, String> OAuth2 headers
+     * Headers and query parameters produced by authentication
      */
-    private Map<String, String> getOAuth2Headers() {
-        Map<String, String> headers = new HashMap<>();
-        String accessToken = config.getAccessToken();
-        
-        if (accessToken == null || accessToken.isEmpty()) {
-            throw new RuntimeException("OAuth2 access token is required but not provided");
+    public static class AuthResult {
+        private final Map<String, String> headers = new HashMap<>();
+        private final Map<String, String> queryParams = new LinkedHashMap<>();
+
+        public Map<String, String> getHeaders() {
+            return headers;
+        }
+
+        public Map<String, String> getQueryParams() {
+            return queryParams;
+        }
+
+        /**
+         * Append authentication query parameters to a URL
+         * @param url Request URL
+         * @return String URL including authentication query parameters
+         */
+        public String applyQueryParams(String url) {
+            if (queryParams.isEmpty()) {
+                return url;
+            }
+            String query = queryParams.entrySet().stream()
+                .map(entry -> URLEncoder.encode(entry.getKey(), StandardCharsets.UTF_8) + "="
+                    + URLEncoder.encode(entry.getValue(), StandardCharsets.UTF_8))
+                .collect(Collectors.joining("&"));
+            return url + (url.contains("?") ? "&" : "?") + query;
         }
-        
-        headers.put("Authorization", "Bearer " + accessToken);
-        return headers;
     }
 }`;
 }
 
 /**
- * Generate request handler
+ * Generate OAuth 2.0 token manager
  */
-function generateRequestHandler() {
-  return `package com.example.utils;
+function generateTokenManager() {
+  return `package com.example.auth;
 
-import com.example.config.Config;
-import com.example.models.ApiResponse;
-import okhttp3.*;
+import com.fasterxml.jackson.databind.JsonNode;
+import com.fasterxml.jackson.databind.ObjectMapper;
+import okhttp3.FormBody;
+import okhttp3.OkHttpClient;
+import okhttp3.Request;
+import okhttp3.Response;
 import java.io.IOException;
+import java.net.URLEncoder;
+import java.nio.charset.StandardCharsets;
+import java.util.ArrayList;
+import java.util.Base64;
+import java.util.Collections;
+import java.util.List;
 import java.util.Map;
-import java.util.concurrent.TimeUnit;
+import java.util.concurrent.ConcurrentHashMap;
 
 /**
- * Request Handler
- * Handles HTTP requests with retry logic and proper error handling
+ * OAuth 2.0 Token Manager
+ * Fetches access tokens from the token endpoint, caches them until they expire,
+ * refreshes them with the refresh token and lets only one thread fetch a token
+ * at a time while the others wait for its result.
  */
-public class RequestHandler {
-    private final Config config;
+public class TokenManager {
+    /**
+     * OAuth 2.0 flows that can obtain tokens without user interaction, in order of preference
+     */
+    private static final List<String> TOKEN_FLOWS = List.of("authorizationCode", "password", "clientCredentials");
 
-    public RequestHandler(Config config) {
-        this.config = config;
+    private final Map<String, Flow> flows;
+    private final Map<String, String> settings;
+    private final String baseUrl;
+    private final OkHttpClient httpClient;
+    private final ObjectMapper objectMapper = new ObjectMapper();
+    private final Map<String, Token> tokens = new ConcurrentHashMap<>();
+    private boolean authorizationCodeUsed;
+    // Most recent refresh token, so a used authorization code can still be refreshed
+    private volatile String refreshToken;
+
+    /**
+     * @param flows OAuth 2.0 flows declared by the security scheme
+     * @param settings Client settings (clientId, clientSecret, username, password, refreshToken, ...)
+     * @param baseUrl API base URL, used to resolve relative token endpoints
+     * @param httpClient HTTP client used to call the token endpoint
+     */
+    public TokenManager(Map<String, Flow> flows, Map<String, String> settings, String baseUrl, OkHttpClient httpClient) {
+        this.flows = flows;
+        this.settings = settings;
+        this.baseUrl = baseUrl == null ? "" : baseUrl;
+        this.httpClient = httpClient;
+        this.refreshToken = setting("refreshToken");
     }
 
     /**
-     * Make HTTP request with retry logic
-     * @param client OkHttpClient instance
-     * @param method HTTP method
-     * @param url Request URL
-     * @param body Request body
-     * @param headers Request headers
-     * @return ApiResponse Response data
-     * @throws Exception if request fails
+     * Check whether enough settings are configured to obtain a token
+     * @return boolean True if getToken() can succeed
      */
-    public ApiResponse makeRequest(OkHttpClient client, String method, String url, 
-                                 String body, Map<String, String> headers) throws Exception {
-        int maxRetries = config.getMaxRetries();
-        Exception lastException = null;
+    public boolean canAcquireToken() {
+        return getTokenUrl() != null && (refreshToken != null || hasGrantCredentials(getFlow()));
+    }
 
-        for (int attempt = 1; attempt <= maxRetries; attempt++) {
+    /**
+     * Get a valid access token for the given scopes, fetching or refreshing it when needed
+     * @param scopes Scopes to request
+     * @return String Access token
+     * @throws IOException if the token endpoint cannot be reached or rejects the request
+     */
+    public String getToken(List<String> scopes) throws IOException {
+        String key = cacheKey(scopes);
+        Token cached = tokens.get(key);
+        if (cached != null && cached.isValid()) {
+            return cached.accessToken;
+        }
+
+        // Only one thread fetches; the others find its token once they get the lock
+        synchronized (this) {
+            cached = tokens.get(key);
+            if (cached != null && cached.isValid()) {
+                return cached.accessToken;
+            }
+            Token token = fetchToken(cached, scopes);
+            tokens.put(key, token);
+            if (token.refreshToken != null) {
+                refreshToken = token.refreshToken;
+            }
+            return token.accessToken;
+        }
+    }
+
+    /**
+     * Discard the cached access token, keeping the refresh token for the next fetch
+     * @param scopes Scopes the token was requested for
+     */
+    public void invalidate(List<String> scopes) {
+        Token cached = tokens.get(cacheKey(scopes));
+        if (cached != null) {
+            cached.accessToken = null;
+        }
+    }
+
+    /**
+     * Obtain a new token, preferring the refresh token over a new grant
+     */
+    private Token fetchToken(Token cached, List<String> scopes) throws IOException {
+        String refreshToken = cached != null && cached.refreshToken != null ? cached.refreshToken : this.refreshToken;
+
+        if (refreshToken != null) {
+            try {
+                return requestToken(getRefreshUrl(), Map.of("grant_type", "refresh_token", "refresh_token", refreshToken), scopes, refreshToken);
+            } catch (IOException e) {
+                // An expired or revoked refresh token falls back to a new grant when possible
+                if (!hasGrantCredentials(getFlow())) {
+                    throw e;
+                }
+            }
+        }
+
+        return requestToken(getTokenUrl(), getGrantParams(), scopes, null);
+    }
+
+    /**
+     * Name of the flow used to obtain tokens
+     */
+    private String getFlow() {
+        if (setting("flow") != null) {
+            return setting("flow");
+        }
+        String firstAvailable = null;
+        for (String flow : TOKEN_FLOWS) {
+            if (flows.containsKey(flow)) {
+                if (hasGrantCredentials(flow)) {
+                    return flow;
+                }
+                if (firstAvailable == null) {
+                    firstAvailable = flow;
+                }
+            }
+        }
+        if (firstAvailable != null) {
+            return firstAvailable;
+        }
+        return setting("tokenUrl") != null ? "clientCredentials" : null;
+    }
+
+    private String getTokenUrl() {
+        Flow flow = flows.get(getFlow());
+        return setting("tokenUrl") != null ? setting("tokenUrl") : flow != null ? flow.tokenUrl : null;
+    }
+
+    private String getRefreshUrl() {
+        Flow flow = flows.get(getFlow());
+        if (setting("refreshUrl") != null) {
+            return setting("refreshUrl");
+        }
+        return flow != null && flow.refreshUrl != null ? flow.refreshUrl : getTokenUrl();
+    }
+
+    /**
+     * Check whether the grant for a flow can be performed with the configured settings
+     */
+    private boolean hasGrantCredentials(String flow) {
+        if (flow == null) {
+            return false;
+        }
+        switch (flow) {
+            case "clientCredentials":
+                return setting("clientId") != null;
+            case "password":
+                return setting("username") != null && setting("password") != null;
+            case "authorizationCode":
+                return setting("authorizationCode") != null && !authorizationCodeUsed;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Build the token request parameters for the selected flow
+     */
+    private Map<String, String> getGrantParams() {
+        String flow = getFlow();
+        switch (flow == null ? "" : flow) {
+            case "clientCredentials":
+                return Map.of("grant_type", "client_credentials");
+            case "password":
+                return Map.of("grant_type", "password", "username", setting("username"), "password", setting("password"));
+            case "authorizationCode":
+                if (!hasGrantCredentials("authorizationCode")) {
+                    throw new IllegalStateException("OAuth 2.0 authorization code flow needs a refresh token or an unused authorization code");
+                }
+                // Authorization codes are single-use; later tokens come from the refresh token
+                authorizationCodeUsed = true;
+                return setting("redirectUri") != null
+                    ? Map.of("grant_type", "authorization_code", "code", setting("authorizationCode"), "redirect_uri", setting("redirectUri"))
+                    : Map.of("grant_type", "authorization_code", "code", setting("authorizationCode"));
+            default:
+                throw new IllegalStateException("OAuth 2.0 flow \\"" + flow + "\\" cannot obtain tokens automatically; configure an access token instead");
+        }
+    }
+
+    /**
+     * Call the token endpoint
+     */
+    private Token requestToken(String url, Map<String, String> params, List<String> scopes, String previousRefreshToken) throws IOException {
+        FormBody.Builder form = new FormBody.Builder();
+        params.forEach(form::add);
+        if (scopes != null && !scopes.isEmpty()) {
+            form.add("scope", String.join(" ", scopes));
+        }
+
+        Request.Builder request = new Request.Builder()
+            .url(url.startsWith("http://") || url.startsWith("https://") ? url : baseUrl + url)
+            .header("Accept", "application/json");
+
+        String clientId = setting("clientId");
+        String clientSecret = setting("clientSecret");
+        if (clientId != null && clientSecret != null && !"body".equals(setting("clientAuthentication"))) {
+            String credentials = URLEncoder.encode(clientId, StandardCharsets.UTF_8) + ":" + URLEncoder.encode(clientSecret, StandardCharsets.UTF_8);
+            request.header("Authorization", "Basic " + Base64.getEncoder().encodeToString(credentials.getBytes(StandardCharsets.UTF_8)));
+        } else if (clientId != null) {
+            form.add("client_id", clientId);
+            if (clientSecret != null) {
+                form.add("client_secret", clientSecret);
+            }
+        }
+
+        try (Response response = httpClient.newCall(request.post(form.build()).build()).execute()) {
+            String body = response.body() != null ? response.body().string() : "";
+            if (!response.isSuccessful()) {
+                throw new IOException("Token request failed with status " + response.code() + ": " + body);
+            }
+
+            JsonNode json = objectMapper.readTree(body);
+            if (!json.hasNonNull("access_token")) {
+                throw new IOException("Token endpoint response did not include an access_token");
+            }
+
+            Token token = new Token();
+            token.accessToken = json.get("access_token").asText();
+            token.refreshToken = json.hasNonNull("refresh_token") ? json.get("refresh_token").asText() : previousRefreshToken;
+            long expiresIn = json.path("expires_in").asLong(0);
+            // Leave a safety margin so tokens are not used right as they expire
+            token.expiresAt = expiresIn > 0
+                ? System.currentTimeMillis() + expiresIn * 1000 - Math.min(30000, expiresIn * 500)
+                : Long.MAX_VALUE;
+            return token;
+        }
+    }
+
+    private String setting(String key) {
+        String value = settings.get(key);
+        return value == null || value.isEmpty() ? null : value;
+    }
+
+    private static String cacheKey(List<String> scopes) {
+        List<String> sorted = new ArrayList<>(scopes == null ? Collections.emptyList() : scopes);
+        Collections.sort(sorted);
+        return String.join(" ", sorted);
+    }
+
+    /**
+     * Token endpoints of an OAuth 2.0 flow
+     */
+    public static class Flow {
+        private final String tokenUrl;
+        private final String refreshUrl;
+
+        public Flow(String tokenUrl, String refreshUrl) {
+            this.tokenUrl = tokenUrl;
+            this.refreshUrl = refreshUrl;
+        }
+    }
+
+    /**
+     * Cached token state
+     */
+    private static class Token {
+        private volatile String accessToken;
+        private String refreshToken;
+        private long expiresAt;
+
+        boolean isValid() {
+            return accessToken != null && System.currentTimeMillis() < expiresAt;
+        }
+    }
+}`;
+}
+
+/**
+ * Generate request handler
+ */
+function generateRequestHandler() {
+  return `package com.example.utils;
+
+import com.example.config.Config;
+import com.example.models.ApiResponse;
+import com.example.utils.ErrorHandler.ApiException;
+import okhttp3.*;
+import java.io.IOException;
+import java.util.Map;
+import java.util.concurrent.TimeUnit;
+
+/**
+ * Request Handler
+ * Handles HTTP requests with retry logic and proper error handling
+ */
+public class RequestHandler {
+    private final Config config;
+
+    public RequestHandler(Config config) {
+        this.config = config;
+    }
+
+    /**
+     * Make HTTP request with retry logic
+     * @param client OkHttpClient instance
+     * @param method HTTP method
+     * @param url Request URL
+     * @param body Request body
+     * @param headers Request headers
+     * @return ApiResponse Response data
+     * @throws Exception if request fails
+     */
+    public ApiResponse makeRequest(OkHttpClient client, String method, String url, 
+                                 String body, Map<String, String> headers) throws Exception {
+        int maxRetries = config.getMaxRetries();
+        Exception lastException = null;
+
+        for (int attempt = 1; attempt <= maxRetries; attempt++) {
             try {
                 return executeRequest(client, method, url, body, headers);
             } catch (Exception e) {
@@ -472,98 +1338,1055 @@ public class RequestHandler {
             }
         }
 
-        throw lastException;
+        throw lastException;
+    }
+
+    /**
+     * Execute single HTTP request
+     * @param client OkHttpClient instance
+     * @param method HTTP method
+     * @param url Request URL
+     * @param body Request body
+     * @param headers Request headers
+     * @return ApiResponse Response data
+     * @throws Exception if request fails
+     */
+    private ApiResponse executeRequest(OkHttpClient client, String method, String url, 
+                                     String body, Map<String, String> headers) throws Exception {
+        Request.Builder requestBuilder = new Request.Builder()
+            .url(config.getBaseUrl() + url);
+
+        // Add headers
+        if (headers != null) {
+            for (Map.Entry<String, String> entry : headers.entrySet()) {
+                requestBuilder.addHeader(entry.getKey(), entry.getValue());
+            }
+        }
+
+        // Add request body
+        if (body != null && !method.equals("GET") && !method.equals("DELETE")) {
+            RequestBody requestBody = RequestBody.create(body, MediaType.get("application/json"));
+            requestBuilder.method(method, requestBody);
+        } else {
+            requestBuilder.method(method, null);
+        }
+
+        Request request = requestBuilder.build();
+
+        try (Response response = client.newCall(request).execute()) {
+            String responseBody = response.body() != null ? response.body().string() : "";
+            
+            if (!response.isSuccessful()) {
+                throw new ApiException(response.code(), response.message(), responseBody);
+            }
+            
+            return new ApiResponse(response.code(), response.message(), responseBody);
+        } catch (IOException e) {
+            throw new RuntimeException("Request failed: " + e.getMessage(), e);
+        }
+    }
+}`;
+}
+
+/**
+ * Generate error handler
+ */
+function generateErrorHandler() {
+  return `package com.example.utils;
+
+/**
+ * Error Handler
+ * Handles and formats API errors consistently
+ */
+public class ErrorHandler {
+    
+    /**
+     * Custom API Exception
+     */
+    public static class ApiException extends RuntimeException {
+        private final int statusCode;
+        private final String responseBody;
+
+        public ApiException(int statusCode, String message, String responseBody) {
+            super(message);
+            this.statusCode = statusCode;
+            this.responseBody = responseBody;
+        }
+
+        public int getStatusCode() {
+            return statusCode;
+        }
+
+        public String getResponseBody() {
+            return responseBody;
+        }
+
+        @Override
+        public String toString() {
+            return String.format("ApiException{statusCode=%d, message='%s', responseBody='%s'}", 
+                               statusCode, getMessage(), responseBody);
+        }
+    }
+}`;
+}
+
+/**
+ * Generate the exception raised for GraphQL errors
+ */
+function generateGraphqlException() {
+  return `package com.example.utils;
+
+import com.fasterxml.jackson.databind.JsonNode;
+
+/**
+ * GraphQL Exception
+ * Raised when a GraphQL response carries errors, which servers report with a
+ * 200 status. Any partial data returned alongside them is kept.
+ */
+public class GraphQLException extends RuntimeException {
+    private final JsonNode errors;
+    private final JsonNode data;
+
+    public GraphQLException(JsonNode errors, JsonNode data) {
+        super(buildMessage(errors));
+        this.errors = errors;
+        this.data = data;
+    }
+
+    public JsonNode getErrors() {
+        return errors;
+    }
+
+    public JsonNode getData() {
+        return data;
+    }
+
+    private static String buildMessage(JsonNode errors) {
+        StringBuilder message = new StringBuilder("GraphQL errors: ");
+        for (int i = 0; i < errors.size(); i++) {
+            if (i > 0) {
+                message.append("; ");
+            }
+            message.append(errors.get(i).path("message").asText());
+        }
+        return message.toString();
+    }
+}`;
+}
+
+/**
+ * Generate the event client with a typed publisher or subscriber per channel operation
+ */
+function generateEventClient(parsedData, messagingEndpoints) {
+  const { title, schemas = {} } = parsedData;
+  const methods = messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishMethod(endpoint, schemas)
+    : generateSubscribeMethod(endpoint, schemas)).join('\n\n');
+  const usesJson = messagingEndpoints.some(endpoint => isJsonContentType(endpoint.messaging.contentType));
+  
+  const imports = [
+    'com.example.messaging.Broker',
+    'com.example.messaging.BrokerMessage',
+    'com.example.messaging.EventHandler',
+    ...getModelImports(methods, schemas),
+    'com.fasterxml.jackson.databind.ObjectMapper',
+    'java.util.HashMap',
+    'java.util.Map',
+    'java.util.regex.Matcher',
+    'java.util.regex.Pattern'
+  ];
+  if (usesJson) imports.push('com.fasterxml.jackson.core.type.TypeReference');
+  if (methods.includes('JsonNode')) imports.push('com.fasterxml.jackson.databind.JsonNode');
+  if (methods.includes('List<')) imports.push('java.util.List');
+  
+  return `package com.example;
+
+${sortJavaImports(imports).map(name => `import ${name};`).join('\n')}
+
+/**
+ * ${title} Event Client
+ * Publishes and subscribes to the ${title} channels through a {@link Broker}.
+ * Implement Broker on top of your Kafka, AMQP, MQTT or WebSocket client, or use
+ * InMemoryBroker in tests.
+ */
+public class EventClient {
+    private static final Pattern PLACEHOLDER = Pattern.compile("\\\\{([^}]+)\\\\}");
+
+    private final Broker broker;
+    private final ObjectMapper objectMapper;
+
+    public EventClient(Broker broker) {
+        this.broker = broker;
+        this.objectMapper = new ObjectMapper();
+    }
+
+${methods}
+
+    /**
+     * Send an encoded payload to a channel; every channel parameter must be set
+     * @throws IllegalArgumentException if a channel parameter is missing
+     */
+    private void publish(String channel, String contentType, byte[] payload,
+                         Map<String, String> parameters, Map<String, String> headers) throws Exception {
+        for (Map.Entry<String, String> parameter : parameters.entrySet()) {
+            if (parameter.getValue() == null || parameter.getValue().isEmpty()) {
+                throw new IllegalArgumentException("Missing channel parameter \\"" + parameter.getKey() + "\\" for " + channel);
+            }
+        }
+
+        Map<String, String> messageHeaders = new HashMap<>();
+        messageHeaders.put("content-type", contentType);
+        if (headers != null) {
+            messageHeaders.putAll(headers);
+        }
+
+        String address = resolveAddress(channel, parameters);
+        broker.publish(address, new BrokerMessage(address, messageHeaders, payload));
+    }
+${usesJson ? `
+    /**
+     * Subscribe a handler that receives decoded JSON payloads
+     */
+    private <T> Runnable subscribe(String channel, Map<String, String> parameters, TypeReference<T> type,
+                                   EventHandler<T> handler) throws Exception {
+        return broker.subscribe(resolveAddress(channel, parameters),
+            message -> handler.handle(objectMapper.readValue(message.getPayload(), type), message));
+    }
+` : ''}
+    /**
+     * Fill channel parameters into an address, keeping the placeholders of missing ones
+     */
+    private static String resolveAddress(String channel, Map<String, String> parameters) {
+        Matcher matcher = PLACEHOLDER.matcher(channel);
+        StringBuilder address = new StringBuilder();
+        while (matcher.find()) {
+            String value = parameters.get(matcher.group(1));
+            String replacement = value == null || value.isEmpty() ? matcher.group() : value;
+            matcher.appendReplacement(address, Matcher.quoteReplacement(replacement));
+        }
+        matcher.appendTail(address);
+        return address.toString();
+    }
+}`;
+}
+
+/**
+ * Generate a method that publishes a message to a channel
+ */
+function generatePublishMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const payloadType = toJavaPayloadType(messaging, schemas);
+  const params = [`${payloadType} payload`, ...parameters.map(param => `String ${toJavaParamName(param)}`), 'Map<String, String> headers'];
+  const encoded = isJsonContentType(messaging.contentType) ? 'objectMapper.writeValueAsBytes(payload)' : 'payload';
+  
+  return `    /**
+     * ${summary || `Publish to ${messaging.address}`}${description ? `\n     * ${description}` : ''}
+     * Channel: ${messaging.address}
+     * @param payload Message payload
+${parameters.map(param => `     * @param ${toJavaParamName(param)} Channel parameter ${param.name}${param.description ? `: ${param.description}` : ''}`).join('\n')}${parameters.length > 0 ? '\n' : ''}     * @param headers Additional message headers, or null
+     * @throws IllegalArgumentException if a channel parameter is missing
+     * @throws Exception if the message cannot be encoded or published
+     */
+    public void ${toJavaIdentifier(operationId)}(${params.join(', ')}) throws Exception {
+${generateParameterMap(parameters)}
+        publish(${JSON.stringify(messaging.address)}, ${JSON.stringify(messaging.contentType)}, ${encoded}, parameters, headers);
+    }`;
+}
+
+/**
+ * Generate a method that subscribes a handler to a channel
+ */
+function generateSubscribeMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const payloadType = toJavaPayloadType(messaging, schemas);
+  const params = [...parameters.map(param => `String ${toJavaParamName(param)}`), `EventHandler<${payloadType}> handler`];
+  
+  const subscription = isJsonContentType(messaging.contentType)
+    ? `        return subscribe(${JSON.stringify(messaging.address)}, parameters, new TypeReference<${payloadType}>() {}, handler);`
+    : `        return broker.subscribe(resolveAddress(${JSON.stringify(messaging.address)}, parameters),
+            message -> handler.handle(message.getPayload(), message));`;
+  
+  return `    /**
+     * ${summary || `Subscribe to ${messaging.address}`}${description ? `\n     * ${description}` : ''}
+     * Channel: ${messaging.address}
+${parameters.map(param => `     * @param ${toJavaParamName(param)} Channel parameter ${param.name}, or null to match any value`).join('\n')}${parameters.length > 0 ? '\n' : ''}     * @param handler Receives each decoded payload with its message
+     * @return Runnable Removes the subscription
+     * @throws Exception if the subscription cannot be created
+     */
+    public Runnable ${toJavaIdentifier(operationId)}(${params.join(', ')}) throws Exception {
+${generateParameterMap(parameters)}
+${subscription}
+    }`;
+}
+
+/**
+ * Generate the map of channel parameters passed to publish and subscribe.
+ * A HashMap is used because subscribers may leave parameters null.
+ */
+function generateParameterMap(parameters) {
+  if (parameters.length === 0) {
+    return '        Map<String, String> parameters = Map.of();';
+  }
+  return [
+    '        Map<String, String> parameters = new HashMap<>();',
+    ...parameters.map(param => `        parameters.put(${JSON.stringify(param.name)}, ${toJavaParamName(param)});`)
+  ].join('\n');
+}
+
+/**
+ * Java type of a message payload; unions are kept as JSON trees
+ */
+function toJavaPayloadType(messaging, schemas) {
+  if (!isJsonContentType(messaging.contentType)) return 'byte[]';
+  if (messaging.payload.oneOf) return 'JsonNode';
+  return toJavaModelType(messaging.payload, schemas);
+}
+
+/**
+ * Java parameter name for a channel parameter
+ */
+function toJavaParamName(param) {
+  return toJavaIdentifier(toCamelCase(param.name));
+}
+
+/**
+ * Java parameter name for a path or query parameter of an endpoint method
+ */
+function toJavaEndpointParamName(param) {
+  const name = toJavaParamName(param);
+  return JAVA_ENDPOINT_LOCALS.includes(name) ? `${name}Value` : name;
+}
+
+/**
+ * Whether a schema node is generated as a model class
+ */
+function isJavaModel(node, schemas) {
+  const schema = resolveSchemaRef(node, schemas);
+  return Boolean(node.ref) && schema.type === 'object' && !schema.oneOf && !schema.anyOf &&
+    Object.keys(schema.properties || {}).length > 0;
+}
+
+/**
+ * Java type for a payload or model field; object models become classes
+ */
+function toJavaModelType(node, schemas) {
+  if (isJavaModel(node, schemas)) {
+    return toJavaTypeName(node.ref);
+  }
+  
+  const schema = resolveSchemaRef(node, schemas);
+  if (schema.oneOf || schema.anyOf) return 'JsonNode';
+  
+  switch (schema.type) {
+    case 'array':
+      return `List<${toJavaModelType(schema.items || {}, schemas)}>`;
+    case 'object':
+      return typeof schema.additionalProperties === 'object' && Object.keys(schema.properties || {}).length === 0
+        ? `Map<String, ${toJavaModelType(schema.additionalProperties, schemas)}>`
+        : 'Map<String, Object>';
+    default:
+      return toJavaType(schema, schemas);
+  }
+}
+
+/**
+ * Java class name for a registry model, avoiding the client's own classes
+ */
+function toJavaTypeName(name) {
+  return JAVA_RESERVED_TYPES.includes(name) ? `${name}Model` : name;
+}
+
+/**
+ * Imports of the model classes that a source fragment refers to
+ */
+function getModelImports(source, schemas) {
+  return Object.keys(schemas)
+    .filter(name => isJavaModel({ ref: name }, schemas))
+    .map(toJavaTypeName)
+    .filter(name => new RegExp(`\\b${name}\\b`).test(source))
+    .map(name => `com.example.models.${name}`);
+}
+
+/**
+ * Order imports the way IDEs do: project and library packages, then java.*
+ */
+function sortJavaImports(imports) {
+  const unique = [...new Set(imports)];
+  return [
+    ...unique.filter(name => !name.startsWith('java.')).sort(),
+    ...unique.filter(name => name.startsWith('java.')).sort()
+  ];
+}
+
+/**
+ * Generate the model class for an object schema
+ */
+function generateModel(name, schemas) {
+  const schema = schemas[name];
+  const className = toJavaTypeName(name);
+  const fieldNames = new Set();
+  
+  const fields = Object.entries(schema.properties || {}).map(([propName, propSchema]) => {
+    let fieldName = toJavaIdentifier(toCamelCase(propName));
+    for (let suffix = 2; fieldNames.has(fieldName); suffix++) {
+      fieldName = `${toJavaIdentifier(toCamelCase(propName))}${suffix}`;
+    }
+    fieldNames.add(fieldName);
+    
+    return {
+      propName,
+      fieldName,
+      accessor: fieldName.charAt(0).toUpperCase() + fieldName.slice(1),
+      type: toJavaModelType(propSchema, schemas),
+      description: propSchema.description
+    };
+  });
+  
+  const types = fields.map(field => field.type).join(' ');
+  const imports = [
+    'com.fasterxml.jackson.annotation.JsonIgnoreProperties',
+    'com.fasterxml.jackson.annotation.JsonInclude',
+    'com.fasterxml.jackson.annotation.JsonProperty'
+  ];
+  if (types.includes('JsonNode')) imports.push('com.fasterxml.jackson.databind.JsonNode');
+  if (types.includes('List<')) imports.push('java.util.List');
+  if (types.includes('Map<')) imports.push('java.util.Map');
+  
+  return `package com.example.models;
+
+${sortJavaImports(imports).map(name => `import ${name};`).join('\n')}
+
+/**
+ * ${className} Model
+ * ${schema.description || `Model for ${name}`}
+ */
+@JsonIgnoreProperties(ignoreUnknown = true)
+@JsonInclude(JsonInclude.Include.NON_NULL)
+public class ${className} {
+${fields.map(field => `${field.description ? `    /** ${field.description} */\n` : ''}    @JsonProperty(${JSON.stringify(field.propName)})
+    private ${field.type} ${field.fieldName};`).join('\n\n')}
+${fields.map(field => `
+    public ${field.type} get${field.accessor}() {
+        return ${field.fieldName};
+    }
+
+    public void set${field.accessor}(${field.type} ${field.fieldName}) {
+        this.${field.fieldName} = ${field.fieldName};
+    }`).join('\n')}
+}`;
+}
+
+/**
+ * Generate the broker interface the event client publishes through
+ */
+function generateBroker() {
+  return `package com.example.messaging;
+
+/**
+ * Message Broker
+ * Publishes and subscribes to channel addresses. Implement it on top of your
+ * Kafka, AMQP, MQTT or WebSocket client, or use InMemoryBroker in tests.
+ */
+public interface Broker {
+
+    /**
+     * Publish a message to an address
+     * @param address Resolved channel address
+     * @param message Message to publish
+     * @throws Exception if the message cannot be published
+     */
+    void publish(String address, BrokerMessage message) throws Exception;
+
+    /**
+     * Subscribe a handler to an address; {placeholders} in the address match any value
+     * @param address Channel address
+     * @param handler Receives each message
+     * @return Runnable Removes the subscription
+     * @throws Exception if the subscription cannot be created
+     */
+    Runnable subscribe(String address, MessageHandler handler) throws Exception;
+}`;
+}
+
+/**
+ * Generate the message exchanged with a broker
+ */
+function generateBrokerMessage() {
+  return `package com.example.messaging;
+
+import java.util.Collections;
+import java.util.HashMap;
+import java.util.Map;
+
+/**
+ * Broker Message
+ * A message travelling through a broker: its address, headers and encoded payload
+ */
+public class BrokerMessage {
+    private final String address;
+    private final Map<String, String> headers;
+    private final byte[] payload;
+
+    public BrokerMessage(String address, Map<String, String> headers, byte[] payload) {
+        this.address = address;
+        this.headers = Collections.unmodifiableMap(new HashMap<>(headers));
+        this.payload = payload;
+    }
+
+    public String getAddress() {
+        return address;
+    }
+
+    public Map<String, String> getHeaders() {
+        return headers;
+    }
+
+    public byte[] getPayload() {
+        return payload;
+    }
+
+    @Override
+    public String toString() {
+        return String.format("BrokerMessage{address='%s', headers=%s, payload=%d bytes}",
+                           address, headers, payload == null ? 0 : payload.length);
+    }
+}`;
+}
+
+/**
+ * Generate the handler interface for raw broker messages
+ */
+function generateMessageHandler() {
+  return `package com.example.messaging;
+
+/**
+ * Handles a message delivered by a broker
+ */
+@FunctionalInterface
+public interface MessageHandler {
+    void handle(BrokerMessage message) throws Exception;
+}`;
+}
+
+/**
+ * Generate the handler interface for decoded event payloads
+ */
+function generateEventHandler() {
+  return `package com.example.messaging;
+
+/**
+ * Handles a decoded event payload together with the message that carried it
+ * @param <T> Payload type
+ */
+@FunctionalInterface
+public interface EventHandler<T> {
+    void handle(T payload, BrokerMessage message) throws Exception;
+}`;
+}
+
+/**
+ * Generate the in-process broker used by the event client tests
+ */
+function generateInMemoryBroker() {
+  return `package com.example.messaging;
+
+import java.util.ArrayList;
+import java.util.List;
+import java.util.concurrent.CopyOnWriteArrayList;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
+
+/**
+ * In-Memory Broker
+ * Delivers messages between publishers and subscribers in the same process, so
+ * the event client can be tested without a running broker. Subscriptions that
+ * keep a channel parameter as a {placeholder} match any value.
+ */
+public class InMemoryBroker implements Broker {
+    private static final Pattern PLACEHOLDER = Pattern.compile("\\\\{[^}]+\\\\}");
+
+    private final List<Subscription> subscriptions = new CopyOnWriteArrayList<>();
+    private final List<BrokerMessage> published = new CopyOnWriteArrayList<>();
+
+    @Override
+    public void publish(String address, BrokerMessage message) throws Exception {
+        BrokerMessage delivered = new BrokerMessage(address, message.getHeaders(), message.getPayload());
+        published.add(delivered);
+
+        for (Subscription subscription : subscriptions) {
+            if (subscription.pattern.matcher(address).matches()) {
+                subscription.handler.handle(delivered);
+            }
+        }
+    }
+
+    @Override
+    public Runnable subscribe(String address, MessageHandler handler) {
+        Subscription subscription = new Subscription(addressPattern(address), handler);
+        subscriptions.add(subscription);
+        return () -> subscriptions.remove(subscription);
+    }
+
+    /**
+     * Messages published so far, in order
+     * @return List of published messages
+     */
+    public List<BrokerMessage> getPublished() {
+        return new ArrayList<>(published);
+    }
+
+    /**
+     * Pattern matching an address; {placeholders} match one path segment
+     */
+    private static Pattern addressPattern(String address) {
+        Matcher matcher = PLACEHOLDER.matcher(address);
+        StringBuilder pattern = new StringBuilder("^");
+        int last = 0;
+        while (matcher.find()) {
+            pattern.append(Pattern.quote(address.substring(last, matcher.start()))).append("[^/]+");
+            last = matcher.end();
+        }
+        pattern.append(Pattern.quote(address.substring(last))).append("$");
+        return Pattern.compile(pattern.toString());
+    }
+
+    private static final class Subscription {
+        private final Pattern pattern;
+        private final MessageHandler handler;
+
+        private Subscription(Pattern pattern, MessageHandler handler) {
+            this.pattern = pattern;
+            this.handler = handler;
+        }
+    }
+}`;
+}
+
+/**
+ * Generate the gRPC client wrapping the protoc-generated stubs for RPCs without an HTTP binding
+ */
+function generateGrpcClient(parsedData, grpcEndpoints) {
+  const { title, baseUrl, protoFiles = [] } = parsedData;
+  const services = getGrpcServices(grpcEndpoints);
+  const { target, insecure } = getGrpcTarget(baseUrl);
+  const classes = createJavaGrpcClasses(protoFiles);
+  const methods = grpcEndpoints.map(endpoint => generateGrpcMethod(endpoint, classes)).join('\n\n');
+  const accessors = services.map(service => generateGrpcStubAccessors(service, classes)).join('');
+  const hasStreaming = grpcEndpoints.some(endpoint => endpoint.grpc.requestStream);
+  
+  const imports = [
+    ...classes.imports(),
+    'io.grpc.ClientInterceptor',
+    'io.grpc.ManagedChannel',
+    'io.grpc.ManagedChannelBuilder',
+    'io.grpc.Metadata',
+    'io.grpc.stub.MetadataUtils',
+    'java.io.IOException',
+    'java.io.InputStream',
+    'java.util.Map',
+    'java.util.Properties',
+    'java.util.concurrent.TimeUnit'
+  ];
+  if (hasStreaming) imports.push('io.grpc.stub.StreamObserver');
+  if (methods.includes('Iterator<')) imports.push('java.util.Iterator');
+  
+  return `package com.example;
+
+${sortJavaImports(imports).map(name => `import ${name};`).join('\n')}
+
+/**
+ * ${title} gRPC Client
+ * Calls the RPCs without an HTTP binding through the stubs protoc generates
+ * from src/main/proto. The default constructor connects to grpc.target from
+ * application.properties (default ${target}, ${insecure ? 'without TLS unless grpc.insecure=false' : 'over TLS unless grpc.insecure=true'}).
+ * Blocking calls fail with {@link io.grpc.StatusRuntimeException}.
+ */
+public class GrpcClient implements AutoCloseable {
+    private final ManagedChannel channel;
+    private final ClientInterceptor metadataInterceptor;
+    private final long timeoutMillis;
+
+    /**
+     * Connect using the grpc.* settings in application.properties
+     */
+    public GrpcClient() {
+        this(loadProperties());
+    }
+
+    private GrpcClient(Properties props) {
+        this(createChannel(props), Map.of(), Long.parseLong(props.getProperty("grpc.timeout", "30000")));
     }
 
     /**
-     * Execute single HTTP request
-     * @param client OkHttpClient instance
-     * @param method HTTP method
-     * @param url Request URL
-     * @param body Request body
-     * @param headers Request headers
-     * @return ApiResponse Response data
-     * @throws Exception if request fails
+     * Use an existing channel
+     * @param channel Channel to the server; closed by {@link #close()}
+     * @param metadata Metadata sent with every call, e.g. authorization
+     * @param timeoutMillis Deadline of blocking calls in milliseconds
      */
-    private ApiResponse executeRequest(OkHttpClient client, String method, String url, 
-                                     String body, Map<String, String> headers) throws Exception {
-        Request.Builder requestBuilder = new Request.Builder()
-            .url(config.getBaseUrl() + url);
+    public GrpcClient(ManagedChannel channel, Map<String, String> metadata, long timeoutMillis) {
+        Metadata headers = new Metadata();
+        metadata.forEach((key, value) -> headers.put(Metadata.Key.of(key, Metadata.ASCII_STRING_MARSHALLER), value));
 
-        // Add headers
-        if (headers != null) {
-            for (Map.Entry<String, String> entry : headers.entrySet()) {
-                requestBuilder.addHeader(entry.getKey(), entry.getValue());
-            }
-        }
+        this.channel = channel;
+        this.metadataInterceptor = MetadataUtils.newAttachHeadersInterceptor(headers);
+        this.timeoutMillis = timeoutMillis;
+    }
 
-        // Add request body
-        if (body != null && !method.equals("GET") && !method.equals("DELETE")) {
-            RequestBody requestBody = RequestBody.create(body, MediaType.get("application/json"));
-            requestBuilder.method(method, requestBody);
+${methods}
+
+    @Override
+    public void close() throws InterruptedException {
+        channel.shutdown().awaitTermination(5, TimeUnit.SECONDS);
+    }
+${accessors}
+    private static ManagedChannel createChannel(Properties props) {
+        ManagedChannelBuilder<?> builder = ManagedChannelBuilder.forTarget(props.getProperty("grpc.target", "${target}"));
+        if (Boolean.parseBoolean(props.getProperty("grpc.insecure", "${insecure}"))) {
+            builder.usePlaintext();
         } else {
-            requestBuilder.method(method, null);
+            builder.useTransportSecurity();
         }
+        return builder.build();
+    }
 
-        Request request = requestBuilder.build();
-
-        try (Response response = client.newCall(request).execute()) {
-            String responseBody = response.body() != null ? response.body().string() : "";
-            
-            if (!response.isSuccessful()) {
-                throw new ApiException(response.code(), response.message(), responseBody);
+    private static Properties loadProperties() {
+        Properties props = new Properties();
+        try (InputStream input = GrpcClient.class.getClassLoader().getResourceAsStream("application.properties")) {
+            if (input != null) {
+                props.load(input);
             }
-            
-            return new ApiResponse(response.code(), response.message(), responseBody);
         } catch (IOException e) {
-            throw new RuntimeException("Request failed: " + e.getMessage(), e);
+            // Use defaults if properties file not found
         }
+        return props;
     }
 }`;
 }
 
 /**
- * Generate error handler
+ * Generate the private accessors that build a service's stubs with metadata (and a deadline for blocking calls)
  */
-function generateErrorHandler() {
-  return `package com.example.utils;
+function generateGrpcStubAccessors(service, classes) {
+  const grpcClass = classes.grpcClass(service);
+  const accessorBase = toJavaIdentifier(toGrpcJavaMethodName(service.name));
+  const usesBlocking = service.endpoints.some(endpoint => !endpoint.grpc.requestStream);
+  const usesAsync = service.endpoints.some(endpoint => endpoint.grpc.requestStream);
+  
+  return `${usesBlocking ? `
+    private ${grpcClass}.${service.name}BlockingStub ${accessorBase}Blocking() {
+        return ${grpcClass}.newBlockingStub(channel)
+            .withInterceptors(metadataInterceptor)
+            .withDeadlineAfter(timeoutMillis, TimeUnit.MILLISECONDS);
+    }
+` : ''}${usesAsync ? `
+    private ${grpcClass}.${service.name}Stub ${accessorBase}Async() {
+        return ${grpcClass}.newStub(channel).withInterceptors(metadataInterceptor);
+    }
+` : ''}`;
+}
 
 /**
- * Error Handler
- * Handles and formats API errors consistently
+ * Generate a GrpcClient method for one RPC: blocking for unary calls and
+ * server streams, observer-based for client and bidirectional streams
  */
-public class ErrorHandler {
-    
-    /**
-     * Custom API Exception
+function generateGrpcMethod(endpoint, classes) {
+  const { operationId, summary, description, grpc: rpc } = endpoint;
+  const method = toJavaIdentifier(operationId);
+  const stubMethod = toGrpcJavaMethodName(rpc.method);
+  const accessorBase = toJavaIdentifier(toGrpcJavaMethodName(rpc.service));
+  const requestType = classes.reference(rpc.requestType);
+  const responseType = classes.reference(rpc.responseType);
+  const header = `    /**
+     * ${summary || `${rpc.service}.${rpc.method}`}${description && description !== summary ? `\n     * ${description}` : ''}
+     * RPC: ${endpoint.path}`;
+  
+  if (rpc.requestStream) {
+    return `${header}
+     * @param responseObserver Receives the ${responseType} ${rpc.responseStream ? 'messages' : 'response'}
+     * @return Observer to send ${requestType} messages to; call onCompleted when done
      */
-    public static class ApiException extends RuntimeException {
-        private final int statusCode;
-        private final String responseBody;
+    public StreamObserver<${requestType}> ${method}(StreamObserver<${responseType}> responseObserver) {
+        return ${accessorBase}Async().${stubMethod}(responseObserver);
+    }`;
+  }
+  
+  if (rpc.responseStream) {
+    return `${header}
+     * @return The ${responseType} messages, read as the server sends them
+     */
+    public Iterator<${responseType}> ${method}(${requestType} request) {
+        return ${accessorBase}Blocking().${stubMethod}(request);
+    }`;
+  }
+  
+  return `${header}
+     */
+    public ${responseType} ${method}(${requestType} request) {
+        return ${accessorBase}Blocking().${stubMethod}(request);
+    }`;
+}
 
-        public ApiException(int statusCode, String message, String responseBody) {
-            super(message);
-            this.statusCode = statusCode;
-            this.responseBody = responseBody;
-        }
+/**
+ * Generate GrpcClient tests against fake services on an in-process server
+ */
+function generateGrpcClientTests(parsedData, grpcEndpoints) {
+  const classes = createJavaGrpcClasses(parsedData.protoFiles || []);
+  const services = getGrpcServices(grpcEndpoints);
+  const fakes = services.map(service => generateGrpcFakeService(service, classes)).join('\n\n');
+  const tests = grpcEndpoints.map(endpoint => generateGrpcTest(endpoint, classes)).join('\n\n');
+  const hasStreaming = grpcEndpoints.some(endpoint => endpoint.grpc.requestStream);
+  
+  const imports = [
+    ...classes.imports(),
+    'io.grpc.ManagedChannel',
+    'io.grpc.Metadata',
+    'io.grpc.Server',
+    'io.grpc.ServerCall',
+    'io.grpc.ServerCallHandler',
+    'io.grpc.ServerInterceptor',
+    'io.grpc.ServerInterceptors',
+    'io.grpc.inprocess.InProcessChannelBuilder',
+    'io.grpc.inprocess.InProcessServerBuilder',
+    'io.grpc.stub.StreamObserver',
+    'org.junit.jupiter.api.AfterEach',
+    'org.junit.jupiter.api.BeforeEach',
+    'org.junit.jupiter.api.Test',
+    'java.util.Map',
+    'java.util.concurrent.atomic.AtomicReference'
+  ];
+  if (tests.includes('Iterator<')) imports.push('java.util.Iterator');
+  if (hasStreaming) {
+    imports.push('java.util.ArrayList', 'java.util.List', 'java.util.concurrent.CompletableFuture', 'java.util.concurrent.TimeUnit', 'java.util.concurrent.atomic.AtomicInteger');
+  }
+  
+  return `package com.example;
 
-        public int getStatusCode() {
-            return statusCode;
+${sortJavaImports(imports).map(name => `import ${name};`).join('\n')}
+import static org.junit.jupiter.api.Assertions.*;
+
+class GrpcClientTest {
+
+    private final AtomicReference<Metadata> receivedHeaders = new AtomicReference<>();${hasStreaming ? `
+    private final AtomicInteger receivedMessages = new AtomicInteger();` : ''}
+    private Server server;
+    private GrpcClient client;
+
+    @BeforeEach
+    void setUp() throws Exception {
+        String name = InProcessServerBuilder.generateName();
+        ServerInterceptor captureHeaders = new ServerInterceptor() {
+            @Override
+            public <ReqT, RespT> ServerCall.Listener<ReqT> interceptCall(ServerCall<ReqT, RespT> call, Metadata headers,
+                                                                         ServerCallHandler<ReqT, RespT> next) {
+                receivedHeaders.set(headers);
+                return next.startCall(call, headers);
+            }
+        };
+        server = InProcessServerBuilder.forName(name)
+            .directExecutor()
+${services.map(service => `            .addService(ServerInterceptors.intercept(new Fake${service.name}(), captureHeaders))`).join('\n')}
+            .build()
+            .start();
+
+        ManagedChannel channel = InProcessChannelBuilder.forName(name).directExecutor().build();
+        client = new GrpcClient(channel, Map.of("authorization", "Bearer test-token"), 5000);
+    }
+
+    @AfterEach
+    void tearDown() throws Exception {
+        client.close();
+        server.shutdownNow();
+    }
+
+${tests}
+
+    private void assertAuthorizationSent() {
+        Metadata.Key<String> authorization = Metadata.Key.of("authorization", Metadata.ASCII_STRING_MARSHALLER);
+        assertEquals("Bearer test-token", receivedHeaders.get().get(authorization));
+    }
+${hasStreaming ? `
+    /**
+     * Collects streamed responses; {@code done} completes when the server finishes
+     */
+    private static class Collector<T> implements StreamObserver<T> {
+        final List<T> messages = new ArrayList<>();
+        final CompletableFuture<List<T>> done = new CompletableFuture<>();
+
+        @Override
+        public void onNext(T message) {
+            messages.add(message);
         }
 
-        public String getResponseBody() {
-            return responseBody;
+        @Override
+        public void onError(Throwable error) {
+            done.completeExceptionally(error);
         }
 
         @Override
-        public String toString() {
-            return String.format("ApiException{statusCode=%d, message='%s', responseBody='%s'}", 
-                               statusCode, getMessage(), responseBody);
+        public void onCompleted() {
+            done.complete(messages);
         }
     }
+` : ''}
+${fakes}
 }`;
 }
 
+/**
+ * Generate a fake service: unary and client-streaming RPCs answer with the
+ * default message, server streams send one, and bidirectional streams answer
+ * each message. RPCs with HTTP bindings stay unimplemented.
+ */
+function generateGrpcFakeService(service, classes) {
+  const methods = service.endpoints.map(endpoint => {
+    const { grpc: rpc } = endpoint;
+    const stubMethod = toGrpcJavaMethodName(rpc.method);
+    const requestType = classes.reference(rpc.requestType);
+    const responseType = classes.reference(rpc.responseType);
+    
+    if (rpc.requestStream) {
+      return `        @Override
+        public StreamObserver<${requestType}> ${stubMethod}(StreamObserver<${responseType}> responseObserver) {
+            return new StreamObserver<>() {
+                @Override
+                public void onNext(${requestType} message) {
+                    receivedMessages.incrementAndGet();${rpc.responseStream ? `
+                    responseObserver.onNext(${responseType}.getDefaultInstance());` : ''}
+                }
+
+                @Override
+                public void onError(Throwable error) {
+                }
+
+                @Override
+                public void onCompleted() {${rpc.responseStream ? '' : `
+                    responseObserver.onNext(${responseType}.getDefaultInstance());`}
+                    responseObserver.onCompleted();
+                }
+            };
+        }`;
+    }
+    
+    return `        @Override
+        public void ${stubMethod}(${requestType} request, StreamObserver<${responseType}> responseObserver) {
+            responseObserver.onNext(${responseType}.getDefaultInstance());
+            responseObserver.onCompleted();
+        }`;
+  });
+  
+  return `    private class Fake${service.name} extends ${classes.grpcClass(service)}.${service.name}ImplBase {
+${methods.join('\n\n')}
+    }`;
+}
+
+/**
+ * Generate the test for one RPC
+ */
+function generateGrpcTest(endpoint, classes) {
+  const { operationId, grpc: rpc } = endpoint;
+  const method = toJavaIdentifier(operationId);
+  const testName = `test${method.charAt(0).toUpperCase()}${method.slice(1)}`;
+  const requestType = classes.reference(rpc.requestType);
+  const responseType = classes.reference(rpc.responseType);
+  
+  if (rpc.requestStream) {
+    return `    @Test
+    void ${testName}() throws Exception {
+        Collector<${responseType}> responses = new Collector<>();
+        StreamObserver<${requestType}> requests = client.${method}(responses);
+        requests.onNext(${requestType}.getDefaultInstance());
+        requests.onNext(${requestType}.getDefaultInstance());
+        requests.onCompleted();
+
+        assertEquals(${rpc.responseStream ? 2 : 1}, responses.done.get(5, TimeUnit.SECONDS).size());
+        assertEquals(2, receivedMessages.get());
+        assertAuthorizationSent();
+    }`;
+  }
+  
+  if (rpc.responseStream) {
+    return `    @Test
+    void ${testName}() {
+        Iterator<${responseType}> responses = client.${method}(${requestType}.getDefaultInstance());
+
+        assertTrue(responses.hasNext());
+        assertNotNull(responses.next());
+        assertFalse(responses.hasNext());
+        assertAuthorizationSent();
+    }`;
+  }
+  
+  return `    @Test
+    void ${testName}() {
+        ${responseType} response = client.${method}(${requestType}.getDefaultInstance());
+
+        assertNotNull(response);
+        assertAuthorizationSent();
+    }`;
+}
+
+/**
+ * Java class names protoc generates for the parsed proto files. Messages live
+ * in java_package (or the proto package), either as top-level classes
+ * (java_multiple_files) or nested in the file's outer class. Classes are
+ * imported by their outermost name and referenced relative to it, unless that
+ * name is taken, in which case they are fully qualified.
+ * @returns {{reference: Function, grpcClass: Function, imports: Function}} Class reference builders and the imports they used
+ */
+function createJavaGrpcClasses(protoFiles) {
+  const bound = new Map(JAVA_GRPC_CLASS_NAMES.map(name => [name, null]));
+  
+  const use = (javaPackage, segments) => {
+    const qualified = `${javaPackage ? `${javaPackage}.` : ''}${segments[0]}`;
+    if (!bound.has(segments[0])) {
+      bound.set(segments[0], qualified);
+    }
+    return bound.get(segments[0]) === qualified || !javaPackage
+      ? segments.join('.')
+      : `${javaPackage}.${segments.join('.')}`;
+  };
+  
+  const findFile = packageName => protoFiles.find(file => file.package === packageName) || protoFiles[0] || { options: {} };
+  const toJavaPackage = file => file.options?.java_package || file.package;
+  
+  const reference = type => {
+    if (type.wellKnown) {
+      return use('com.google.protobuf', [type.name]);
+    }
+    const file = findFile(type.fullName.slice(0, Math.max(0, type.fullName.length - type.path.join('.').length - 1)));
+    return use(toJavaPackage(file), file.options?.java_multiple_files ? type.path : [toJavaOuterClassName(file), ...type.path]);
+  };
+  
+  const grpcClass = service => use(toJavaPackage(findFile(service.package)), [`${service.name}Grpc`]);
+  
+  const imports = () => Array.from(bound.values()).filter(Boolean);
+  
+  return { reference, grpcClass, imports };
+}
+
+/**
+ * Outer class protoc wraps a file's messages in: java_outer_classname, or the
+ * file name in CamelCase with an OuterClass suffix when a type already has that name
+ */
+function toJavaOuterClassName(file) {
+  if (file.options?.java_outer_classname) return file.options.java_outer_classname;
+  
+  const baseName = file.name.replace(/^.*\//, '').replace(/\.proto$/, '');
+  const name = baseName
+    .replace(/[^a-zA-Z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''))
+    .replace(/[0-9]([a-z])/g, match => match.toUpperCase())
+    .replace(/^[a-z]/, letter => letter.toUpperCase());
+  return file.topLevelNames.includes(name) ? `${name}OuterClass` : name;
+}
+
+/**
+ * Method name grpc-java gives an RPC on stubs and service bases, e.g. GetUser -> getUser
+ */
+function toGrpcJavaMethodName(name) {
+  const camel = name.replace(/_([a-z0-9])/g, (match, next) => next.toUpperCase());
+  return `${camel.charAt(0).toLowerCase()}${camel.slice(1)}`;
+}
+
 /**
  * Generate configuration
  */
@@ -572,6 +2395,8 @@ function generateConfig() {
 
 import java.io.IOException;
 import java.io.InputStream;
+import java.util.HashMap;
+import java.util.Map;
 import java.util.Properties;
 
 /**
@@ -582,13 +2407,13 @@ public class Config {
     private String baseUrl;
     private int timeout;
     private int maxRetries;
-    private String authType;
+    private final Map<String, String> credentials = new HashMap<>();
+    private final Map<String, Map<String, String>> oauth2 = new HashMap<>();
     private String apiKey;
     private String bearerToken;
     private String username;
     private String password;
     private String accessToken;
-    private String authHeaderName;
 
     public Config() {
         loadProperties();
@@ -607,13 +2432,19 @@ public class Config {
                 this.baseUrl = props.getProperty("api.baseUrl", "");
                 this.timeout = Integer.parseInt(props.getProperty("api.timeout", "30000"));
                 this.maxRetries = Integer.parseInt(props.getProperty("api.maxRetries", "3"));
-                this.authType = props.getProperty("api.authType", "none");
+                for (String key : props.stringPropertyNames()) {
+                    if (key.startsWith("api.credentials.")) {
+                        credentials.put(key.substring("api.credentials.".length()), props.getProperty(key));
+                    } else if (key.startsWith("api.oauth2.") && key.indexOf('.', "api.oauth2.".length()) > 0) {
+                        String[] parts = key.substring("api.oauth2.".length()).split("\\\\.", 2);
+                        setOAuthSetting(parts[0], parts[1], props.getProperty(key));
+                    }
+                }
                 this.apiKey = props.getProperty("api.apiKey");
                 this.bearerToken = props.getProperty("api.bearerToken");
                 this.username = props.getProperty("api.username");
                 this.password = props.getProperty("api.password");
                 this.accessToken = props.getProperty("api.accessToken");
-                this.authHeaderName = props.getProperty("api.authHeaderName");
             }
         } catch (IOException e) {
             // Use defaults if properties file not found
@@ -626,32 +2457,31 @@ public class Config {
     private void setDefaults() {
         if (this.timeout <= 0) this.timeout = 30000;
         if (this.maxRetries <= 0) this.maxRetries = 3;
-        if (this.authType == null) this.authType = "none";
     }
 
     // Getters
     public String getBaseUrl() { return baseUrl; }
     public int getTimeout() { return timeout; }
     public int getMaxRetries() { return maxRetries; }
-    public String getAuthType() { return authType; }
+    public String getCredential(String schemeName) { return credentials.get(schemeName); }
+    public Map<String, String> getOAuthSettings(String schemeName) { return oauth2.getOrDefault(schemeName, new HashMap<>()); }
     public String getApiKey() { return apiKey; }
     public String getBearerToken() { return bearerToken; }
     public String getUsername() { return username; }
     public String getPassword() { return password; }
     public String getAccessToken() { return accessToken; }
-    public String getAuthHeaderName() { return authHeaderName; }
 
     // Setters
     public void setBaseUrl(String baseUrl) { this.baseUrl = baseUrl; }
     public void setTimeout(int timeout) { this.timeout = timeout; }
     public void setMaxRetries(int maxRetries) { this.maxRetries = maxRetries; }
-    public void setAuthType(String authType) { this.authType = authType; }
+    public void setCredential(String schemeName, String credential) { credentials.put(schemeName, credential); }
+    public void setOAuthSetting(String schemeName, String key, String value) { oauth2.computeIfAbsent(schemeName, name -> new HashMap<>()).put(key, value); }
     public void setApiKey(String apiKey) { this.apiKey = apiKey; }
     public void setBearerToken(String bearerToken) { this.bearerToken = bearerToken; }
     public void setUsername(String username) { this.username = username; }
     public void setPassword(String password) { this.password = password; }
     public void setAccessToken(String accessToken) { this.accessToken = accessToken; }
-    public void setAuthHeaderName(String authHeaderName) { this.authHeaderName = authHeaderName; }
 }`;
 }
 
@@ -727,7 +2557,7 @@ class ApiClientTest {
     void testConfiguration() {
         Config config = apiClient.getConfig();
         assertNotNull(config);
-        assertEquals("none", config.getAuthType());
+        assertTrue(config.getMaxRetries() > 0);
     }
 
 ${endpoints.map(endpoint => generateEndpointTest(endpoint)).join('\n\n')}
@@ -759,6 +2589,246 @@ function generateEndpointTest(endpoint) {
     }`;
 }
 
+/**
+ * Generate event client tests, run against the in-process broker
+ */
+function generateEventClientTests(parsedData, messagingEndpoints) {
+  const { schemas = {} } = parsedData;
+  const tests = messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishTest(endpoint, schemas)
+    : generateSubscribeTest(endpoint, schemas)).join('\n\n');
+  
+  const imports = [
+    'com.example.messaging.BrokerMessage',
+    'com.example.messaging.InMemoryBroker',
+    ...getModelImports(tests, schemas),
+    'com.fasterxml.jackson.databind.ObjectMapper',
+    'org.junit.jupiter.api.BeforeEach',
+    'org.junit.jupiter.api.Test',
+    'java.nio.charset.StandardCharsets',
+    'java.util.List',
+    'java.util.Map'
+  ];
+  if (tests.includes('TypeReference')) imports.push('com.fasterxml.jackson.core.type.TypeReference');
+  if (tests.includes('JsonNode')) imports.push('com.fasterxml.jackson.databind.JsonNode');
+  if (tests.includes('new ArrayList')) imports.push('java.util.ArrayList');
+  
+  return `package com.example;
+
+${sortJavaImports(imports).map(name => `import ${name};`).join('\n')}
+import static org.junit.jupiter.api.Assertions.*;
+
+class EventClientTest {
+
+    private final ObjectMapper objectMapper = new ObjectMapper();
+    private InMemoryBroker broker;
+    private EventClient client;
+
+    @BeforeEach
+    void setUp() {
+        broker = new InMemoryBroker();
+        client = new EventClient(broker);
+    }
+
+${tests}
+}`;
+}
+
+/**
+ * Generate the test for a publishing method
+ */
+function generatePublishTest(endpoint, schemas) {
+  const { operationId, parameters, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const payloadType = toJavaPayloadType(messaging, schemas);
+  const address = getExampleAddress(endpoint);
+  const method = toJavaIdentifier(operationId);
+  const exampleArguments = ['payload', ...parameters.map(param => JSON.stringify(getChannelParameterExample(param))), 'Map.of()'];
+  
+  const payloadSetup = isJson
+    ? `        ${payloadType} payload = objectMapper.readValue(${JSON.stringify(JSON.stringify(getMessageExample(endpoint, schemas)))},
+            new TypeReference<${payloadType}>() {});`
+    : '        byte[] payload = "example".getBytes(StandardCharsets.UTF_8);';
+  
+  const payloadCheck = isJson
+    ? `        JsonNode expected = objectMapper.valueToTree(payload);
+        assertEquals(expected, objectMapper.readTree(published.get(0).getPayload()));`
+    : '        assertArrayEquals(payload, published.get(0).getPayload());';
+  
+  return `    @Test
+    void test${method.charAt(0).toUpperCase() + method.slice(1)}() throws Exception {
+${payloadSetup}
+
+        client.${method}(${exampleArguments.join(', ')});
+
+        List<BrokerMessage> published = broker.getPublished();
+        assertEquals(1, published.size());
+        assertEquals(${JSON.stringify(address)}, published.get(0).getAddress());
+        assertEquals(${JSON.stringify(messaging.contentType)}, published.get(0).getHeaders().get("content-type"));
+${payloadCheck}${parameters.length > 0 ? `
+
+        assertThrows(IllegalArgumentException.class,
+            () -> client.${method}(${['payload', ...parameters.map(() => 'null'), 'Map.of()'].join(', ')}));` : ''}
+    }`;
+}
+
+/**
+ * Generate the test for a subscribing method
+ */
+function generateSubscribeTest(endpoint, schemas) {
+  const { operationId, parameters, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const payloadType = toJavaPayloadType(messaging, schemas);
+  const address = getExampleAddress(endpoint);
+  const method = toJavaIdentifier(operationId);
+  const body = isJson ? JSON.stringify(JSON.stringify(getMessageExample(endpoint, schemas))) : '"example"';
+  
+  const expectation = isJson
+    ? `        JsonNode expected = objectMapper.valueToTree(objectMapper.readValue(body, new TypeReference<${payloadType}>() {}));
+        JsonNode actual = objectMapper.valueToTree(received.get(0));
+        assertEquals(expected, actual);`
+    : '        assertArrayEquals(body, received.get(0));';
+  
+  return `    @Test
+    void test${method.charAt(0).toUpperCase() + method.slice(1)}() throws Exception {
+        byte[] body = ${body}.getBytes(StandardCharsets.UTF_8);
+        BrokerMessage message = new BrokerMessage(${JSON.stringify(address)},
+            Map.of("content-type", ${JSON.stringify(messaging.contentType)}), body);
+
+        List<${payloadType}> received = new ArrayList<>();
+        Runnable unsubscribe = client.${method}(${[...parameters.map(() => 'null'), '(payload, delivered) -> received.add(payload)'].join(', ')});
+
+        broker.publish(message.getAddress(), message);
+        assertEquals(1, received.size());
+${expectation}
+
+        unsubscribe.run();
+        broker.publish(message.getAddress(), message);
+        assertEquals(1, received.size(), "Expected no delivery after unsubscribing");
+    }`;
+}
+
+/**
+ * Generate token manager tests, run against a local mock token endpoint
+ */
+function generateTokenManagerTests() {
+  return `package com.example.auth;
+
+import com.sun.net.httpserver.HttpServer;
+import okhttp3.OkHttpClient;
+import org.junit.jupiter.api.AfterEach;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import java.io.OutputStream;
+import java.net.InetSocketAddress;
+import java.nio.charset.StandardCharsets;
+import java.util.ArrayList;
+import java.util.Collections;
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
+import java.util.concurrent.Callable;
+import java.util.concurrent.ExecutorService;
+import java.util.concurrent.Executors;
+import java.util.concurrent.Future;
+import static org.junit.jupiter.api.Assertions.*;
+
+class TokenManagerTest {
+    private HttpServer server;
+    private String baseUrl;
+    private final List<String> requests = Collections.synchronizedList(new ArrayList<>());
+
+    @BeforeEach
+    void startTokenEndpoint() throws Exception {
+        // Mock token endpoint recording every grant it receives
+        server = HttpServer.create(new InetSocketAddress("127.0.0.1", 0), 0);
+        server.createContext("/oauth/token", exchange -> {
+            String body = new String(exchange.getRequestBody().readAllBytes(), StandardCharsets.UTF_8);
+            requests.add(body);
+            String response = "{\\"access_token\\":\\"token-" + requests.size() + "\\",\\"expires_in\\":3600,\\"refresh_token\\":\\"refresh-1\\"}";
+            exchange.getResponseHeaders().add("Content-Type", "application/json");
+            exchange.sendResponseHeaders(200, response.length());
+            try (OutputStream output = exchange.getResponseBody()) {
+                output.write(response.getBytes(StandardCharsets.UTF_8));
+            }
+        });
+        server.setExecutor(Executors.newFixedThreadPool(4));
+        server.start();
+        baseUrl = "http://127.0.0.1:" + server.getAddress().getPort();
+    }
+
+    @AfterEach
+    void stopTokenEndpoint() {
+        server.stop(0);
+    }
+
+    private TokenManager createManager() {
+        Map<String, String> settings = new HashMap<>();
+        settings.put("clientId", "client");
+        settings.put("clientSecret", "secret");
+        return new TokenManager(
+            Map.of("clientCredentials", new TokenManager.Flow("/oauth/token", "/oauth/token")),
+            settings,
+            baseUrl,
+            new OkHttpClient()
+        );
+    }
+
+    @Test
+    void fetchesTokenWithClientCredentialsGrant() throws Exception {
+        TokenManager manager = createManager();
+        assertEquals("token-1", manager.getToken(List.of("read")));
+        assertTrue(requests.get(0).contains("grant_type=client_credentials"));
+        assertTrue(requests.get(0).contains("scope=read"));
+    }
+
+    @Test
+    void cachesTokensUntilTheyExpire() throws Exception {
+        TokenManager manager = createManager();
+        manager.getToken(List.of());
+        assertEquals("token-1", manager.getToken(List.of()));
+        assertEquals(1, requests.size());
+    }
+
+    @Test
+    void sharesOneTokenRequestBetweenConcurrentCallers() throws Exception {
+        TokenManager manager = createManager();
+        ExecutorService executor = Executors.newFixedThreadPool(5);
+        List<Callable<String>> callers = new ArrayList<>();
+        for (int i = 0; i < 5; i++) {
+            callers.add(() -> manager.getToken(List.of()));
+        }
+        for (Future<String> result : executor.invokeAll(callers)) {
+            assertEquals("token-1", result.get());
+        }
+        executor.shutdown();
+        assertEquals(1, requests.size());
+    }
+
+    @Test
+    void usesRefreshTokenAfterInvalidation() throws Exception {
+        TokenManager manager = createManager();
+        manager.getToken(List.of());
+        manager.invalidate(List.of());
+        assertEquals("token-2", manager.getToken(List.of()));
+        assertTrue(requests.get(1).contains("grant_type=refresh_token"));
+        assertTrue(requests.get(1).contains("refresh_token=refresh-1"));
+    }
+
+    @Test
+    void onlyAcquiresTokensWhenTheFlowIsConfigured() {
+        assertTrue(createManager().canAcquireToken());
+        TokenManager unconfigured = new TokenManager(
+            Map.of("clientCredentials", new TokenManager.Flow("/oauth/token", "/oauth/token")),
+            new HashMap<>(),
+            baseUrl,
+            new OkHttpClient()
+        );
+        assertFalse(unconfigured.canAcquireToken());
+    }
+}`;
+}
+
 /**
  * Generate example usage
  */
@@ -766,9 +2836,7 @@ function generateExampleUsage(parsedData) {
   const { endpoints, title } = parsedData;
   
   return `package com.example;
-
-import com.example.models.ApiResponse;
-
+${endpoints.some(endpoint => endpoint.graphql) ? '\nimport java.util.List;\nimport java.util.Map;\n' : ''}
 /**
  * Example usage of ${title} API Client
  */
@@ -793,7 +2861,7 @@ public class ExampleUsage {
 ${endpoints.slice(0, 2).map(endpoint => `            // Example: ${endpoint.method} ${endpoint.path}
             try {
                 System.out.println("\\n📡 Testing ${endpoint.operationId}...");
-                ApiResponse ${endpoint.operationId}Result = client.${endpoint.operationId}();
+                var ${endpoint.operationId}Result = client.${endpoint.operationId}(${generateExampleArguments(endpoint, parsedData.schemas)});
                 System.out.println("✅ ${endpoint.operationId} result: " + ${endpoint.operationId}Result);
             } catch (Exception e) {
                 System.err.println("❌ ${endpoint.operationId} failed: " + e.getMessage());
@@ -813,49 +2881,57 @@ ${endpoints.slice(0, 2).map(endpoint => `            // Example: ${endpoint.meth
 }`;
 }
 
+/**
+ * Placeholder arguments for calling an endpoint method in the example
+ */
+function generateExampleArguments(endpoint, schemas) {
+  if (endpoint.graphql) {
+    return getGraphqlVariables(endpoint).map(variable => variable.required
+      ? toJavaLiteral(getExampleValue(variable.schema, schemas), toJavaType(variable.schema, schemas))
+      : 'null').join(', ');
+  }
+  
+  const { method, parameters, requestBody } = endpoint;
+  const args = parameters.filter(p => p.in === 'path' || p.in === 'query').map(() => 'null');
+  if (requestBody && method !== 'GET' && method !== 'DELETE') {
+    args.push('null');
+  }
+  return args.join(', ');
+}
+
 /**
  * Generate application properties
  */
-function generateApplicationProperties(authMethod) {
-  let properties = `# ${authMethod.type === 'none' ? 'No authentication required' : `${authMethod.type.toUpperCase()} Authentication`}
+function generateApplicationProperties(securitySchemes, grpcTarget) {
+  const schemeEntries = Object.entries(securitySchemes);
+  
+  let properties = `# ${schemeEntries.length === 0 ? 'No authentication required' : `Authentication: ${schemeEntries.map(([name]) => name).join(', ')}`}
 
 # API Configuration
 api.baseUrl=https://api.example.com
 api.timeout=30000
 api.maxRetries=3
-
 `;
 
-  switch (authMethod.type) {
-    case 'bearer':
-      properties += `# Bearer Token Authentication
-api.authType=bearer
-api.bearerToken=your-bearer-token-here
+  if (grpcTarget) {
+    properties += `
+# gRPC Configuration
+grpc.target=${grpcTarget.target}
+grpc.insecure=${grpcTarget.insecure}
+grpc.timeout=30000
 `;
-      break;
-      
-    case 'apiKey':
-      properties += `# API Key Authentication
-api.authType=apiKey
-api.apiKey=your-api-key-here
-api.authHeaderName=X-API-Key
-`;
-      break;
-      
-    case 'basic':
-      properties += `# Basic Authentication
-api.authType=basic
-api.username=your-username
-api.password=your-password
+  }
+
+  for (const [name, scheme] of schemeEntries) {
+    properties += `
+# ${name}: ${scheme.description || `${scheme.type} authentication`} (${describeCredential(scheme)})
+api.credentials.${name}=
 `;
-      break;
-      
-    case 'oauth2':
-      properties += `# OAuth 2.0 Authentication
-api.authType=oauth2
-api.accessToken=your-access-token-here
+    if (scheme.type === 'oauth2') {
+      properties += `# Or let the client fetch and refresh tokens itself:
+${getOAuthSettings(scheme).map(setting => `# ${setting.description}\napi.oauth2.${name}.${setting.key}=`).join('\n')}
 `;
-      break;
+    }
   }
 
   return properties;
@@ -0,0 +1,2385 @@
+const {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  toCredentialEnvName,
+  toOAuthEnvName,
+  getTokenFlows,
+  getOAuthSettings,
+  getTypedExample,
+  getDiscriminatorValues,
+  getRequestSchema,
+  getResponseSchema,
+  toCamelCase,
+  toSnakeCase,
+  describeCredential
+} = require('./generatorUtils');
+
+/**
+ * Package of the generated sources, as in the Java client
+ */
+const KT_PACKAGE = 'com.example';
+const MAIN_DIR = 'src/main/kotlin/com/example';
+const TEST_DIR = 'src/test/kotlin/com/example';
+
+/**
+ * Kotlin hard keywords, which need backticks as identifiers
+ */
+const KT_KEYWORDS = [
+  'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is', 'null',
+  'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof', 'val', 'var',
+  'when', 'while'
+];
+
+/**
+ * Type names the generated sources use unqualified; models with these names get a suffix
+ */
+const KT_RESERVED_TYPES = [
+  'ApiClient', 'ApiException', 'ApiResponse', 'AuthHandler', 'AuthResult', 'Config', 'ErrorHandler',
+  'GraphQLException', 'OAuthFlow', 'OAuthSettings', 'RequestHandler', 'SecurityRequirement', 'SecurityScheme',
+  'TokenManager',
+  'Any', 'Boolean', 'Double', 'Exception', 'Int', 'List', 'Long', 'Map', 'Nothing', 'Pair', 'Result', 'String',
+  'Unit',
+  'Call', 'Callback', 'HttpUrl', 'IOException', 'OkHttpClient', 'Request', 'Response',
+  'Decoder', 'Encoder', 'Json', 'JsonArray', 'JsonDecoder', 'JsonElement', 'JsonEncoder', 'JsonNull', 'JsonObject',
+  'JsonPrimitive', 'KSerializer', 'SerialDescriptor', 'SerialName', 'Serializable', 'SerializationException'
+];
+
+/**
+ * ApiClient members that operation methods must not replace
+ */
+const CLIENT_MEMBERS = ['addQuery', 'config', 'endpointUrl', 'executeGraphql', 'pathValue', 'readBody', 'readResponse', 'send', 'testConnection'];
+
+/**
+ * Generate Kotlin integration code
+ * @param {Object} parsedData - Parsed API data
+ * @param {string} fileName - Original file name
+ * @returns {Object} Generated code files
+ */
+async function generateKotlinCode(parsedData, fileName) {
+  const { title, endpoints } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const securitySchemes = getSecuritySchemes(parsedData);
+
+  // The client only covers request/response endpoints; message channels and gRPC
+  // services are reported by diagnoseUnsupportedEndpoints in codeGenerator.js
+  const httpData = { ...parsedData, endpoints: endpoints.filter(endpoint => !endpoint.messaging && !endpoint.grpc) };
+  const hasGraphql = httpData.endpoints.some(endpoint => endpoint.graphql);
+
+  const generatedCode = {};
+
+  // Gradle build
+  generatedCode['settings.gradle.kts'] = generateSettingsGradle(title);
+  generatedCode['build.gradle.kts'] = generateBuildGradle();
+
+  // Main API client
+  generatedCode[`${MAIN_DIR}/ApiClient.kt`] = generateApiClient(httpData);
+
+  // A data class, enum or sealed union per model, used by request and response bodies
+  for (const name of Object.keys(schemas).filter(name => isKtModel(schemas[name], schemas))) {
+    generatedCode[`${MAIN_DIR}/models/${toKtTypeName(name, schemas)}.kt`] = generateModel(name, schemas);
+  }
+  generatedCode[`${MAIN_DIR}/models/ApiResponse.kt`] = generateApiResponse();
+
+  // Authentication
+  generatedCode[`${MAIN_DIR}/auth/AuthHandler.kt`] = generateAuthHandler(securitySchemes);
+  generatedCode[`${MAIN_DIR}/auth/TokenManager.kt`] = generateTokenManager();
+
+  // Retries and errors
+  generatedCode[`${MAIN_DIR}/utils/RequestHandler.kt`] = generateRequestHandler();
+  generatedCode[`${MAIN_DIR}/utils/Calls.kt`] = generateCalls();
+  generatedCode[`${MAIN_DIR}/utils/ErrorHandler.kt`] = generateErrorHandler();
+  if (hasGraphql) {
+    generatedCode[`${MAIN_DIR}/utils/GraphQLException.kt`] = generateGraphqlException();
+  }
+
+  // Configuration
+  generatedCode[`${MAIN_DIR}/config/Config.kt`] = generateConfig();
+
+  // Test files
+  generatedCode[`${TEST_DIR}/ApiClientTest.kt`] = generateClientTests(httpData, securitySchemes);
+  generatedCode[`${TEST_DIR}/auth/AuthHandlerTest.kt`] = generateAuthHandlerTests(securitySchemes);
+  generatedCode[`${TEST_DIR}/auth/TokenManagerTest.kt`] = generateTokenManagerTests();
+  generatedCode[`${TEST_DIR}/utils/RequestHandlerTest.kt`] = generateRequestHandlerTests();
+
+  // Example usage
+  generatedCode[`${MAIN_DIR}/ExampleUsage.kt`] = generateExampleUsage(httpData);
+
+  // Environment configuration
+  generatedCode['.env.example'] = generateEnvExample(securitySchemes);
+
+  return generatedCode;
+}
+
+/**
+ * Generate settings.gradle.kts
+ */
+function generateSettingsGradle(title) {
+  const projectName = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'api';
+
+  return `rootProject.name = "${projectName}-integration"
+`;
+}
+
+/**
+ * Generate build.gradle.kts
+ */
+function generateBuildGradle() {
+  return `plugins {
+    kotlin("jvm") version "2.0.21"
+    kotlin("plugin.serialization") version "2.0.21"
+    application
+}
+
+group = "${KT_PACKAGE}"
+version = "1.0.0"
+
+repositories {
+    mavenCentral()
+}
+
+dependencies {
+    implementation("com.squareup.okhttp3:okhttp:4.12.0")
+    implementation("org.jetbrains.kotlinx:kotlinx-coroutines-core:1.9.0")
+    implementation("org.jetbrains.kotlinx:kotlinx-serialization-json:1.7.3")
+
+    testImplementation(kotlin("test"))
+    testImplementation("org.jetbrains.kotlinx:kotlinx-coroutines-test:1.9.0")
+    testImplementation("com.squareup.okhttp3:mockwebserver:4.12.0")
+}
+
+kotlin {
+    jvmToolchain(17)
+}
+
+application {
+    mainClass.set("${KT_PACKAGE}.ExampleUsageKt")
+}
+
+tasks.test {
+    useJUnitPlatform()
+}
+`;
+}
+
+/**
+ * Generate the API client
+ */
+function generateApiClient(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoints = endpoints.filter(endpoint => endpoint.graphql);
+
+  const constants = endpoints.map(endpoint =>
+    toKtSecurityConstant(endpoint.operationId, getEndpointSecurity(endpoint, parsedData)));
+  const documents = graphqlEndpoints.map(endpoint =>
+    `        private const val ${toKtConstName(endpoint.operationId)}_DOCUMENT = ${toKtString(endpoint.graphql.document)}`);
+  const methods = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlMethod(endpoint, schemas)
+    : generateEndpointMethod(endpoint, schemas));
+
+  return `package ${KT_PACKAGE}
+
+import ${KT_PACKAGE}.auth.AuthHandler
+import ${KT_PACKAGE}.auth.SecurityRequirement
+import ${KT_PACKAGE}.config.Config
+import ${KT_PACKAGE}.models.*
+import ${KT_PACKAGE}.utils.ApiException
+import ${KT_PACKAGE}.utils.ErrorHandler
+${graphqlEndpoints.length > 0 ? `import ${KT_PACKAGE}.utils.GraphQLException\n` : ''}import ${KT_PACKAGE}.utils.RequestHandler
+import ${KT_PACKAGE}.utils.await
+import kotlinx.coroutines.CancellationException
+import kotlinx.serialization.decodeFromString
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.*
+import okhttp3.HttpUrl
+import okhttp3.HttpUrl.Companion.toHttpUrl
+import okhttp3.MediaType.Companion.toMediaType
+import okhttp3.OkHttpClient
+import okhttp3.Request
+import okhttp3.RequestBody.Companion.toRequestBody
+import okhttp3.Response
+import java.io.IOException
+import java.util.concurrent.TimeUnit
+
+/**
+ * ${escapeKDoc(title)} API client
+ *
+ * Requests are authenticated with each endpoint's security requirements and
+ * retried on transient failures. A 401 response invalidates any OAuth 2.0
+ * token that was used and the request is sent once more with a fresh token.
+ */
+class ApiClient(
+    val config: Config,
+    httpClient: OkHttpClient = OkHttpClient(),
+    authHandler: AuthHandler? = null,
+) {
+    private val http: OkHttpClient = httpClient.newBuilder()
+        .callTimeout(config.timeoutMillis, TimeUnit.MILLISECONDS)
+        .addInterceptor(RequestHandler(config.maxRetries))
+        .build()
+    private val baseUrl: HttpUrl = config.baseUrl.toHttpUrl()
+    private val authHandler: AuthHandler = authHandler ?: AuthHandler(config, httpClient)
+
+${methods.join('\n\n')}
+
+    /**
+     * Test connection to the API
+     */
+    suspend fun testConnection(): Boolean = try {
+        http.newCall(Request.Builder().url(baseUrl).build()).await().use { it.isSuccessful }
+    } catch (error: IOException) {
+        false
+    }
+
+    /**
+     * Build a URL from the base URL and path segments, percent-encoding each segment
+     */
+    fun endpointUrl(vararg segments: String): HttpUrl.Builder {
+        val builder = baseUrl.newBuilder()
+        segments.forEach { builder.addPathSegment(it) }
+        return builder
+    }
+
+    /**
+     * Send an authenticated request and throw an [ApiException] for error statuses
+     */
+    suspend fun send(method: String, url: HttpUrl, body: JsonElement?, security: List<SecurityRequirement>): Response {
+        var auth = authHandler.authenticate(security)
+        var retried = false
+        while (true) {
+            val target = url.newBuilder()
+            auth.queryParams.forEach { (name, value) -> target.addQueryParameter(name, value) }
+            val request = Request.Builder()
+                .url(target.build())
+                .header("User-Agent", USER_AGENT)
+                .header("Accept", "application/json")
+            auth.headers.forEach { (name, value) -> request.header(name, value) }
+            val requestBody = body?.let { json.encodeToString(it).toRequestBody(JSON_MEDIA_TYPE) }
+                ?: if (method in BODY_METHODS) ByteArray(0).toRequestBody(null) else null
+            request.method(method, requestBody)
+
+            val response = try {
+                http.newCall(request.build()).await()
+            } catch (error: CancellationException) {
+                throw error
+            } catch (error: IOException) {
+                throw ApiException("Request failed: \${error.message}", cause = error)
+            }
+            if (response.code == 401 && !retried && authHandler.invalidateTokens(security)) {
+                response.close()
+                retried = true
+                auth = authHandler.authenticate(security)
+                continue
+            }
+            return ErrorHandler.check(response)
+        }
+    }
+${graphqlEndpoints.length > 0 ? generateExecuteGraphql() : ''}
+    /**
+     * Read a JSON response body; an empty body reads as null
+     */
+    private inline fun <reified T> readBody(response: Response): T = response.use {
+        val body = it.body?.string().orEmpty()
+        json.decodeFromString<T>(body.ifBlank { "null" })
+    }
+
+    /**
+     * Read the status and body of a response without a declared JSON body
+     */
+    private fun readResponse(response: Response): ApiResponse = response.use {
+        ApiResponse(it.code, it.body?.string().orEmpty())
+    }
+
+    /**
+     * Format a path parameter value the way it is written in JSON, without quotes
+     */
+    private inline fun <reified T> pathValue(value: T): String = when (val element = json.encodeToJsonElement(value)) {
+        is JsonPrimitive -> element.content
+        else -> element.toString()
+    }
+
+    /**
+     * Append a query parameter; null values are left out and lists repeat the parameter
+     */
+    private inline fun <reified T> HttpUrl.Builder.addQuery(name: String, value: T): HttpUrl.Builder {
+        val items = when (val element = json.encodeToJsonElement(value)) {
+            is JsonNull -> emptyList<JsonElement>()
+            is JsonArray -> element
+            else -> listOf(element)
+        }
+        items.forEach { item -> addQueryParameter(name, if (item is JsonPrimitive) item.content else item.toString()) }
+        return this
+    }
+
+    companion object {
+        /**
+         * JSON settings of the request and response bodies
+         */
+        val json = Json { ignoreUnknownKeys = true }
+
+        private const val USER_AGENT = ${toKtString(`${title.replace(/[^\x20-\x7e]/g, '')}-Integration/1.0.0`)}
+        private val JSON_MEDIA_TYPE = "application/json; charset=utf-8".toMediaType()
+        private val BODY_METHODS = setOf("POST", "PUT", "PATCH")
+
+        // Security requirements per operation; requirements are alternatives
+${constants.join('\n')}
+${documents.length > 0 ? `\n        // GraphQL operation documents\n${documents.join('\n')}\n` : ''}    }
+}
+`;
+}
+
+/**
+ * Declaration of an operation's security requirements
+ */
+function toKtSecurityConstant(operationId, security) {
+  const requirements = security.map(requirement => {
+    const entries = Object.entries(requirement);
+    if (entries.length === 0) {
+      return 'emptyMap()';
+    }
+    return `mapOf(${entries.map(([scheme, scopes]) => `${toKtString(scheme)} to ${toKtStringList(scopes || [])}`).join(', ')})`;
+  });
+  return `        private val ${toKtConstName(operationId)}_SECURITY: List<SecurityRequirement> = ${requirements.length > 0 ? `listOf(${requirements.join(', ')})` : 'emptyList()'}`;
+}
+
+/**
+ * Generate endpoint method
+ */
+function generateEndpointMethod(endpoint, schemas) {
+  const { method, path, operationId, summary, description } = endpoint;
+  const responseSchema = getResponseSchema(endpoint);
+  const resultType = responseSchema ? toKtType(responseSchema, schemas) : 'ApiResponse';
+  const fields = getMethodFields(endpoint, schemas);
+  const ordered = orderMethodFields(fields);
+
+  const queryFields = fields.filter(field => field.in === 'query');
+  const bodyField = fields.find(field => field.in === 'body');
+  const segments = toKtPathSegments(path, fields.filter(field => field.in === 'path'));
+  let body = 'null';
+  if (bodyField) {
+    body = bodyField.required ? `json.encodeToJsonElement(${bodyField.local})` : `${bodyField.local}?.let { json.encodeToJsonElement(it) }`;
+  }
+
+  const lines = [
+    `val url = endpointUrl(${segments.join(', ')})`,
+    ...queryFields.map(field => `    .addQuery(${toKtString(field.key)}, ${field.local})`),
+    '    .build()',
+    `val response = send(${toKtString(String(method).toUpperCase())}, url, ${body}, ${toKtConstName(operationId)}_SECURITY)`,
+    responseSchema ? 'return readBody(response)' : 'return readResponse(response)'
+  ];
+  const docs = [summary || description || `${method} ${path}`];
+  if (description && summary) {
+    docs.push('', description);
+  }
+  const params = ordered.filter(field => field.description).map(field => `@param ${field.local.replace(/`/g, '')} ${field.description}`);
+  if (params.length > 0) {
+    docs.push('', ...params);
+  }
+
+  return `${toKDoc(docs.join('\n'), '    ')}
+    suspend fun ${toKtMethodName(operationId)}(${formatKtParameters(ordered.map(toKtParameter))}): ${resultType} {
+${lines.map(line => `        ${line}`).join('\n')}
+    }`;
+}
+
+/**
+ * Path, query and body values an endpoint method takes, with the parameter each is read from
+ */
+function getMethodFields(endpoint, schemas) {
+  const { parameters, requestBody } = endpoint;
+  const bodySchema = getRequestSchema(endpoint);
+  const locals = new Set(['url', 'response']);
+  const toLocal = key => {
+    const base = toKtIdentifier(key);
+    let local = base;
+    for (let suffix = 2; locals.has(local); suffix++) {
+      local = toKtIdentifier(`${key}${suffix}`);
+    }
+    locals.add(local);
+    return local;
+  };
+
+  const fields = [
+    ...parameters.filter(p => p.in === 'path').map(p => ({ ...p, required: true })),
+    ...parameters.filter(p => p.in === 'query')
+  ].map(p => ({
+    key: p.name,
+    in: p.in,
+    schema: p.schema || { type: p.type },
+    type: toKtType(p.schema || { type: p.type }, schemas),
+    required: Boolean(p.required),
+    description: p.description
+  }));
+  if (bodySchema) {
+    fields.push({ key: 'body', in: 'body', schema: bodySchema, type: toKtType(bodySchema, schemas), required: Boolean(requestBody.required), description: 'Request body' });
+  }
+  return fields.map(field => ({ ...field, local: toLocal(field.key) }));
+}
+
+/**
+ * Signature order of method fields: path values, then the other required
+ * values, then the optional ones, which default to null
+ */
+function orderMethodFields(fields) {
+  const pathFields = fields.filter(field => field.in === 'path');
+  const others = [...fields.filter(field => field.in === 'body'), ...fields.filter(field => field.in === 'query')];
+  return [...pathFields, ...others.filter(field => field.required), ...others.filter(field => !field.required)];
+}
+
+/**
+ * Parameter declaration for a method field
+ */
+function toKtParameter(field) {
+  return field.required ? `${field.local}: ${field.type}` : `${field.local}: ${toKtNullable(field.type)} = null`;
+}
+
+/**
+ * Lay out a method's parameters: on one line when short, otherwise one per line
+ */
+function formatKtParameters(parameters) {
+  const oneLine = parameters.join(', ');
+  if (oneLine.length <= 70) {
+    return oneLine;
+  }
+  return `\n${parameters.map(entry => `        ${entry},`).join('\n')}\n    `;
+}
+
+/**
+ * Path segment expressions for endpointUrl, with the path parameters formatted into them
+ */
+function toKtPathSegments(path, pathFields) {
+  const locals = Object.fromEntries(pathFields.map(field => [field.key, field.local]));
+
+  return path.split('/').filter(Boolean).map(segment => {
+    const parts = segment.split(/(\{[^}]+\})/).filter(Boolean);
+    const params = parts.map(part => /^\{([^}]+)\}$/.exec(part)).map(match => match && locals[match[1]]);
+    if (parts.length === 1 && params[0]) {
+      return `pathValue(${params[0]})`;
+    }
+    if (!params.some(Boolean)) {
+      return toKtString(segment);
+    }
+    return `"${parts.map((part, index) => params[index] ? `\${pathValue(${params[index]})}` : escapeKtString(part)).join('')}"`;
+  });
+}
+
+/**
+ * Generate a typed GraphQL operation method
+ */
+function generateGraphqlMethod(endpoint, schemas) {
+  const { operationId, path, summary, description, requestBody, responses, graphql } = endpoint;
+  const variablesType = requestBody?.schema ? toKtType({ ref: requestBody.schema.ref }, schemas) : 'JsonObject';
+  const resultType = responses['200']?.schema ? toKtType({ ref: responses['200'].schema.ref }, schemas) : 'JsonElement';
+  const variablesParameter = requestBody?.required ? `variables: ${variablesType}` : `variables: ${toKtNullable(variablesType)} = null`;
+  const constName = toKtConstName(operationId);
+  const segments = path.split('/').filter(Boolean).map(toKtString);
+  const args = [
+    `endpointUrl(${segments.join(', ')}).build()`,
+    `${constName}_DOCUMENT`,
+    graphql.operationName ? toKtString(graphql.operationName) : 'null',
+    'json.encodeToJsonElement(variables)',
+    `${constName}_SECURITY`
+  ];
+  const docs = [summary || `${graphql.operationType} ${graphql.operationName || operationId}`];
+  if (description) {
+    docs.push('', description);
+  }
+
+  return `${toKDoc(docs.join('\n'), '    ')}
+    suspend fun ${toKtMethodName(operationId)}(${variablesParameter}): ${resultType} = executeGraphql(
+${args.map(arg => `        ${arg},`).join('\n')}
+    )`;
+}
+
+/**
+ * Generate the GraphQL request helper
+ */
+function generateExecuteGraphql() {
+  return `
+    /**
+     * POST a GraphQL operation and read the data it returned
+     *
+     * Errors in the response, which servers report with a 200 status, throw a
+     * [GraphQLException] that keeps any partial data.
+     */
+    private suspend inline fun <reified T> executeGraphql(
+        url: HttpUrl,
+        document: String,
+        operationName: String?,
+        variables: JsonElement,
+        security: List<SecurityRequirement>,
+    ): T {
+        val payload = buildJsonObject {
+            put("query", document)
+            put("variables", if (variables is JsonNull) JsonObject(emptyMap()) else variables)
+            if (operationName != null) {
+                put("operationName", operationName)
+            }
+        }
+
+        val result = readBody<JsonObject>(send("POST", url, payload, security))
+        val data = result["data"]?.takeUnless { it is JsonNull }
+        val errors = result["errors"] as? JsonArray
+        if (!errors.isNullOrEmpty()) {
+            throw GraphQLException(errors, data)
+        }
+        return json.decodeFromJsonElement<T>(data ?: JsonNull)
+    }
+`;
+}
+
+/**
+ * Unique Kotlin type names for the models, in registry order
+ */
+const typeNameCache = new WeakMap();
+function getKtTypeNames(schemas) {
+  if (!typeNameCache.has(schemas)) {
+    const used = new Set();
+    const names = {};
+    for (const name of Object.keys(schemas)) {
+      const camel = toCamelCase(name);
+      let base = camel.charAt(0).toUpperCase() + camel.slice(1);
+      if (KT_RESERVED_TYPES.includes(base)) {
+        base = `${base}Model`;
+      }
+      let typeName = base;
+      for (let suffix = 2; used.has(typeName); suffix++) {
+        typeName = `${base}${suffix}`;
+      }
+      used.add(typeName);
+      names[name] = typeName;
+    }
+    typeNameCache.set(schemas, names);
+  }
+  return typeNameCache.get(schemas);
+}
+
+/**
+ * Kotlin type name for a registry model
+ */
+function toKtTypeName(name, schemas) {
+  return getKtTypeNames(schemas)[name];
+}
+
+/**
+ * Whether a model is declared as its own type rather than inlined
+ */
+function isKtModel(schema, schemas) {
+  return isKtDataClass(schema) || isKtEnum(schema) || isKtUnion(schema, schemas);
+}
+
+/**
+ * Whether a model is an object with properties, declared as a data class
+ */
+function isKtDataClass(schema) {
+  return schema.type === 'object' && !schema.oneOf && !schema.anyOf && Object.keys(schema.properties || {}).length > 0;
+}
+
+/**
+ * Whether a model is a string enumeration, declared as an enum class
+ */
+function isKtEnum(schema) {
+  const values = (schema.enum || []).filter(value => value !== null);
+  return !schema.oneOf && !schema.anyOf && values.length > 0 && values.every(value => typeof value === 'string');
+}
+
+/**
+ * Whether a model is a oneOf/anyOf of distinct types, declared as a sealed interface
+ */
+function isKtUnion(schema, schemas) {
+  const variants = schema.oneOf || schema.anyOf;
+  return Boolean(variants) && getUnionTypes(variants, schemas).length > 1;
+}
+
+/**
+ * Distinct Kotlin types of union variants
+ */
+function getUnionTypes(variants, schemas, seen = []) {
+  return [...new Set(variants.map(variant => toKtType(variant, schemas, seen).replace(/\?$/, '')))];
+}
+
+/**
+ * Kotlin type for a schema node
+ * @param {Object} node - Normalized schema node
+ * @param {Object} schemas - Registry models by name
+ * @param {Array<string>} seen - Aliases being expanded, to stop at cycles
+ */
+function toKtType(node, schemas, seen = []) {
+  if (!node) return 'JsonElement';
+
+  let type;
+  if (node.ref) {
+    const schema = schemas[node.ref];
+    if (!schema || seen.includes(node.ref)) {
+      type = 'JsonElement';
+    } else if (isKtModel(schema, schemas)) {
+      type = toKtTypeName(node.ref, schemas);
+      if (schema.nullable || (schema.enum || []).includes(null)) {
+        type = toKtNullable(type);
+      }
+    } else {
+      // Other models are aliases, written out where they are used
+      type = toKtType(schema, schemas, [...seen, node.ref]);
+    }
+  } else if (node.oneOf || node.anyOf) {
+    const types = getUnionTypes(node.oneOf || node.anyOf, schemas, seen);
+    type = types.length === 1 ? types[0] : 'JsonElement';
+  } else if (node.enum) {
+    const values = node.enum.filter(value => value !== null);
+    if (values.length > 0 && values.every(value => typeof value === 'string')) {
+      type = 'String';
+    } else if (values.length > 0 && values.every(value => Number.isInteger(value))) {
+      type = 'Long';
+    } else if (values.length > 0 && values.every(value => typeof value === 'number')) {
+      type = 'Double';
+    } else if (values.length > 0 && values.every(value => typeof value === 'boolean')) {
+      type = 'Boolean';
+    } else {
+      type = 'JsonElement';
+    }
+    if (values.length < node.enum.length) {
+      type = toKtNullable(type);
+    }
+  } else {
+    switch (node.type) {
+      case 'integer':
+        type = 'Long';
+        break;
+      case 'number':
+        type = 'Double';
+        break;
+      case 'boolean':
+        type = 'Boolean';
+        break;
+      case 'string':
+        type = 'String';
+        break;
+      case 'array':
+        type = `List<${toKtType(node.items || {}, schemas, seen)}>`;
+        break;
+      case 'object':
+        type = Object.keys(node.properties || {}).length === 0
+          ? `Map<String, ${typeof node.additionalProperties === 'object' ? toKtType(node.additionalProperties, schemas, seen) : 'JsonElement'}>`
+          : 'JsonObject';
+        break;
+      default:
+        type = 'JsonElement';
+    }
+  }
+  return node.nullable ? toKtNullable(type) : type;
+}
+
+/**
+ * Make a type nullable
+ */
+function toKtNullable(type) {
+  return type.endsWith('?') ? type : `${type}?`;
+}
+
+/**
+ * Generate the source file of a model
+ */
+function generateModel(name, schemas) {
+  const schema = schemas[name];
+  let declaration;
+  if (isKtDataClass(schema)) {
+    declaration = generateDataClassModel(name, schemas);
+  } else if (isKtEnum(schema)) {
+    declaration = generateEnumModel(name, schemas);
+  } else {
+    declaration = generateUnionModel(name, schemas);
+  }
+
+  const imports = [
+    /@SerialName/.test(declaration) && 'kotlinx.serialization.SerialName',
+    /@Serializable/.test(declaration) && 'kotlinx.serialization.Serializable',
+    ...(isKtUnion(schema, schemas)
+      ? [
+          'kotlinx.serialization.KSerializer',
+          'kotlinx.serialization.SerializationException',
+          'kotlinx.serialization.descriptors.SerialDescriptor',
+          'kotlinx.serialization.encoding.Decoder',
+          'kotlinx.serialization.encoding.Encoder'
+        ]
+      : []),
+    /\bJson[A-Z]|\bjson\./.test(declaration) && 'kotlinx.serialization.json.*'
+  ].filter(Boolean).sort();
+
+  return `package ${KT_PACKAGE}.models
+
+${imports.map(entry => `import ${entry}`).join('\n')}
+
+${declaration}`;
+}
+
+/**
+ * Generate a data class for an object model
+ */
+function generateDataClassModel(name, schemas) {
+  const schema = schemas[name];
+  const typeName = toKtTypeName(name, schemas);
+  const required = schema.required || [];
+  const usedNames = new Set();
+
+  const properties = Object.entries(schema.properties).map(([propName, propSchema]) => {
+    const base = toCamelCase(propName);
+    let propertyName = base;
+    for (let suffix = 2; usedNames.has(propertyName); suffix++) {
+      propertyName = `${base}${suffix}`;
+    }
+    usedNames.add(propertyName);
+
+    const isRequired = required.includes(propName);
+    const type = toKtType(propSchema, schemas);
+    const docs = propSchema.description ? `${toKDoc(propSchema.description, '    ')}\n` : '';
+    const serialName = propertyName !== propName ? `@SerialName(${toKtString(propName)}) ` : '';
+    return `${docs}    ${serialName}val ${escapeKtIdentifier(propertyName)}: ${isRequired ? type : `${toKtNullable(type)} = null`},`;
+  });
+
+  return `${toKDoc(schema.description || `${name} model`, '')}
+@Serializable
+data class ${typeName}(
+${properties.join('\n')}
+)
+`;
+}
+
+/**
+ * Enum constants for the values of a string enumeration
+ */
+function getEnumConstants(schema) {
+  const usedNames = new Set();
+  return schema.enum.filter(value => value !== null).map(value => {
+    const snake = toSnakeCase(value).toUpperCase() || 'VALUE';
+    const base = /^[0-9]/.test(snake) ? `_${snake}` : snake;
+    let constant = base;
+    for (let suffix = 2; usedNames.has(constant); suffix++) {
+      constant = `${base}_${suffix}`;
+    }
+    usedNames.add(constant);
+    return { value, constant };
+  });
+}
+
+/**
+ * Generate an enum class for a string enumeration
+ */
+function generateEnumModel(name, schemas) {
+  const schema = schemas[name];
+
+  return `${toKDoc(schema.description || `${name} values`, '')}
+@Serializable
+enum class ${toKtTypeName(name, schemas)} {
+${getEnumConstants(schema).map(({ value, constant }) => `    @SerialName(${toKtString(value)})\n    ${constant},`).join('\n')}
+}
+`;
+}
+
+/**
+ * Generate a sealed interface holding one of the variants of a oneOf/anyOf
+ * model, with a serializer that picks the variant
+ */
+function generateUnionModel(name, schemas) {
+  const schema = schemas[name];
+  const typeName = toKtTypeName(name, schemas);
+  const variantNodes = schema.oneOf || schema.anyOf;
+  const usedNames = new Set();
+  const variants = [];
+  for (const node of variantNodes) {
+    const type = toKtType(node, schemas, [name]).replace(/\?$/, '');
+    if (variants.some(variant => variant.type === type)) continue;
+
+    const base = `${type.split(/[^A-Za-z0-9]+/).filter(Boolean).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}Value`;
+    let className = base;
+    for (let suffix = 2; usedNames.has(className); suffix++) {
+      className = `${base}${suffix}`;
+    }
+    usedNames.add(className);
+    variants.push({ type, className });
+  }
+
+  // A discriminator names the variant directly; otherwise variants are tried in order
+  const cases = [];
+  const propertyName = schema.discriminator?.propertyName;
+  if (propertyName) {
+    for (const node of variantNodes) {
+      const type = toKtType(node, schemas, [name]).replace(/\?$/, '');
+      const variant = variants.find(entry => entry.type === type);
+      for (const value of getDiscriminatorValues(schema, node) || []) {
+        if (!cases.some(entry => entry.value === String(value))) {
+          cases.push({ value: String(value), variant });
+        }
+      }
+    }
+  }
+  const dispatch = cases.length > 0 ? `        when (((element as? JsonObject)?.get(${toKtString(propertyName)}) as? JsonPrimitive)?.contentOrNull) {
+${cases.map(({ value, variant }) => `            ${toKtString(value)} -> return ${typeName}.${variant.className}(input.json.decodeFromJsonElement<${variant.type}>(element))`).join('\n')}
+        }
+` : '';
+
+  return `${toKDoc(schema.description || `${name}: one of ${variants.map(variant => variant.type).join(', ')}`, '')}
+@Serializable(with = ${typeName}Serializer::class)
+sealed interface ${typeName} {
+${variants.map(({ type, className }) => `    data class ${className}(val value: ${type}) : ${typeName}`).join('\n')}
+}
+
+/**
+ * Writes the value of a ${typeName} variant and reads back the variant the JSON matches
+ */
+object ${typeName}Serializer : KSerializer<${typeName}> {
+    override val descriptor: SerialDescriptor = JsonElement.serializer().descriptor
+
+    override fun serialize(encoder: Encoder, value: ${typeName}) {
+        val output = encoder as? JsonEncoder ?: throw SerializationException("${typeName} can only be written as JSON")
+        val element = when (value) {
+${variants.map(({ type, className }) => `            is ${typeName}.${className} -> output.json.encodeToJsonElement<${type}>(value.value)`).join('\n')}
+        }
+        output.encodeJsonElement(element)
+    }
+
+    override fun deserialize(decoder: Decoder): ${typeName} {
+        val input = decoder as? JsonDecoder ?: throw SerializationException("${typeName} can only be read from JSON")
+        val element = input.decodeJsonElement()
+${dispatch}${variants.map(({ type, className }) => `        runCatching { input.json.decodeFromJsonElement<${type}>(element) }.onSuccess { return ${typeName}.${className}(it) }`).join('\n')}
+        throw SerializationException("value does not match any ${typeName} variant")
+    }
+}
+`;
+}
+
+/**
+ * Generate the response model of operations without a JSON body
+ */
+function generateApiResponse() {
+  return `package ${KT_PACKAGE}.models
+
+import kotlinx.serialization.Serializable
+
+/**
+ * Response of an operation that declares no JSON body
+ *
+ * @property statusCode HTTP status code
+ * @property body Response body as text
+ */
+@Serializable
+data class ApiResponse(
+    val statusCode: Int,
+    val body: String,
+)
+`;
+}
+
+/**
+ * Generate authentication handler
+ */
+function generateAuthHandler(securitySchemes) {
+  const schemes = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const args = [
+      `type = ${toKtString(scheme.type)}`,
+      scheme.name && `name = ${toKtString(scheme.name)}`,
+      scheme.in && scheme.in !== 'header' && `location = ${toKtString(scheme.in)}`,
+      `envVar = ${toKtString(toCredentialEnvName(name))}`
+    ].filter(Boolean);
+    const flows = scheme.type === 'oauth2' ? Object.entries(getTokenFlows(scheme)) : [];
+    if (flows.length > 0) {
+      args.push(`flows = mapOf(\n${flows.map(([flowName, flow]) => `            ${toKtString(flowName)} to OAuthFlow(${toKtString(flow.tokenUrl)}${flow.refreshUrl ? `, ${toKtString(flow.refreshUrl)}` : ''}),`).join('\n')}\n        )`);
+    }
+    return `    ${toKtString(name)} to SecurityScheme(\n${args.map(arg => `        ${arg},`).join('\n')}\n    ),`;
+  });
+
+  return `package ${KT_PACKAGE}.auth
+
+import ${KT_PACKAGE}.config.Config
+import okhttp3.OkHttpClient
+import java.util.Base64
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Security requirement: scheme names with the scopes each needs
+ */
+typealias SecurityRequirement = Map<String, List<String>>
+
+/**
+ * Security scheme declared by the API
+ *
+ * @property type apiKey, bearer, basic or oauth2
+ * @property name Header, query parameter or cookie name of an API key
+ * @property location Where an API key is sent: header, query or cookie
+ * @property envVar Environment variable holding the scheme's credential
+ * @property flows OAuth 2.0 flows that can obtain tokens
+ */
+data class SecurityScheme(
+    val type: String,
+    val name: String? = null,
+    val location: String = "header",
+    val envVar: String,
+    val flows: Map<String, OAuthFlow> = emptyMap(),
+)
+
+/**
+ * Headers and query parameters that authenticate a request
+ */
+data class AuthResult(
+    val headers: Map<String, String> = emptyMap(),
+    val queryParams: Map<String, String> = emptyMap(),
+)
+
+/**
+ * Security schemes declared by the API
+ */
+val SECURITY_SCHEMES: Map<String, SecurityScheme> = ${schemes.length > 0 ? `mapOf(\n${schemes.join('\n')}\n)` : 'emptyMap()'}
+
+/**
+ * Authentication handler
+ *
+ * Applies the security schemes required by each endpoint.
+ */
+class AuthHandler(
+    private val config: Config,
+    private val httpClient: OkHttpClient = OkHttpClient(),
+    private val schemes: Map<String, SecurityScheme> = SECURITY_SCHEMES,
+    private val environment: (String) -> String? = System::getenv,
+) {
+    private val tokenManagers = ConcurrentHashMap<String, TokenManager>()
+
+    /**
+     * Resolve authentication for a request
+     *
+     * Requirements are alternatives: the first one whose credentials are all
+     * configured is applied. An empty requirement makes authentication optional.
+     */
+    suspend fun authenticate(security: List<SecurityRequirement>): AuthResult {
+        val requirement = resolveRequirement(security) ?: return AuthResult()
+
+        val headers = mutableMapOf<String, String>()
+        val queryParams = mutableMapOf<String, String>()
+        for ((schemeName, scopes) in requirement) {
+            val scheme = schemes[schemeName] ?: continue
+            val credential = credential(schemeName)
+                ?: if (scheme.type == "oauth2") tokenManager(schemeName).getToken(scopes) else ""
+            applyScheme(schemeName, scheme, credential, headers, queryParams)
+        }
+        return AuthResult(headers, queryParams)
+    }
+
+    /**
+     * Drop the cached OAuth 2.0 tokens used for a request, e.g. after a 401 response
+     *
+     * @return true if a managed token was invalidated and the request can be retried
+     */
+    fun invalidateTokens(security: List<SecurityRequirement>): Boolean {
+        val requirement = selectRequirement(security) ?: return false
+
+        var invalidated = false
+        for ((schemeName, scopes) in requirement) {
+            if (usesTokenManager(schemeName)) {
+                tokenManager(schemeName).invalidate(scopes)
+                invalidated = true
+            }
+        }
+        return invalidated
+    }
+
+    /**
+     * Pick the first non-empty requirement whose schemes are all configured
+     */
+    fun selectRequirement(security: List<SecurityRequirement>): SecurityRequirement? =
+        security.firstOrNull { requirement -> requirement.isNotEmpty() && requirement.keys.all { isConfigured(it) } }
+
+    /**
+     * Check whether a scheme has a credential or can obtain one
+     */
+    fun isConfigured(schemeName: String): Boolean = credential(schemeName) != null || usesTokenManager(schemeName)
+
+    /**
+     * Check whether a scheme's token is obtained from the token endpoint rather than configured
+     */
+    fun usesTokenManager(schemeName: String): Boolean =
+        schemes[schemeName]?.type == "oauth2" && credential(schemeName) == null && tokenManager(schemeName).canAcquireToken()
+
+    /**
+     * Get the token manager of an OAuth 2.0 scheme, creating it on first use
+     */
+    fun tokenManager(schemeName: String): TokenManager = tokenManagers.getOrPut(schemeName) {
+        val scheme = schemes[schemeName]
+        val fromEnv = scheme?.let { OAuthSettings.fromEnv(it.envVar, environment) } ?: OAuthSettings()
+        val settings = config.oauth2[schemeName]?.let { fromEnv.mergedWith(it) } ?: fromEnv
+        TokenManager(scheme?.flows.orEmpty(), settings, httpClient, config.baseUrl, config.timeoutMillis)
+    }
+
+    /**
+     * Look up the configured credential for a security scheme
+     *
+     * Per-scheme credentials take precedence over the generic settings.
+     */
+    fun credential(schemeName: String): String? {
+        val scheme = schemes[schemeName] ?: return null
+        config.credentials[schemeName]?.takeIf { it.isNotEmpty() }?.let { return it }
+        environment(scheme.envVar)?.takeIf { it.isNotEmpty() }?.let { return it }
+
+        val fallback = when (scheme.type) {
+            "bearer" -> config.bearerToken ?: config.apiKey
+            "apiKey" -> config.apiKey
+            "basic" -> if (config.username != null && config.password != null) "\${config.username}:\${config.password}" else null
+            "oauth2" -> config.accessToken
+            else -> null
+        }
+        return fallback?.takeIf { it.isNotEmpty() }
+    }
+
+    private fun resolveRequirement(security: List<SecurityRequirement>): SecurityRequirement? {
+        if (security.isEmpty()) {
+            return null
+        }
+
+        val requirement = selectRequirement(security)
+        if (requirement == null && security.all { it.isNotEmpty() }) {
+            val options = security.joinToString(" or ") { it.keys.joinToString(" + ") }
+            error("Missing credentials: this endpoint requires $options")
+        }
+        return requirement
+    }
+
+    /**
+     * Apply a single security scheme to the outgoing request
+     */
+    private fun applyScheme(
+        schemeName: String,
+        scheme: SecurityScheme,
+        credential: String,
+        headers: MutableMap<String, String>,
+        queryParams: MutableMap<String, String>,
+    ) {
+        when (scheme.type) {
+            "bearer", "oauth2" -> headers["Authorization"] = "Bearer $credential"
+            "basic" -> headers["Authorization"] = "Basic \${Base64.getEncoder().encodeToString(credential.toByteArray())}"
+            "apiKey" -> {
+                val keyName = scheme.name ?: schemeName
+                when (scheme.location) {
+                    "query" -> queryParams[keyName] = credential
+                    "cookie" -> {
+                        val cookie = "$keyName=$credential"
+                        headers["Cookie"] = headers["Cookie"]?.let { "$it; $cookie" } ?: cookie
+                    }
+                    else -> headers[keyName] = credential
+                }
+            }
+        }
+    }
+}
+`;
+}
+
+/**
+ * Generate the OAuth 2.0 token manager
+ */
+function generateTokenManager() {
+  return `package ${KT_PACKAGE}.auth
+
+import ${KT_PACKAGE}.utils.ApiException
+import ${KT_PACKAGE}.utils.ErrorHandler
+import ${KT_PACKAGE}.utils.await
+import kotlinx.coroutines.CancellationException
+import kotlinx.coroutines.sync.Mutex
+import kotlinx.coroutines.sync.withLock
+import kotlinx.serialization.json.*
+import okhttp3.Credentials
+import okhttp3.FormBody
+import okhttp3.OkHttpClient
+import okhttp3.Request
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.TimeUnit
+
+/**
+ * Token endpoints of an OAuth 2.0 flow
+ *
+ * @property tokenUrl Token endpoint, absolute or relative to the API base URL
+ * @property refreshUrl Refresh endpoint, when it differs from the token endpoint
+ */
+data class OAuthFlow(
+    val tokenUrl: String,
+    val refreshUrl: String? = null,
+)
+
+/**
+ * OAuth 2.0 client settings of a security scheme
+ *
+ * @property flow Flow to use instead of the first one the settings allow
+ * @property clientAuthentication "body" sends the client credentials in the form body instead of a Basic header
+ */
+data class OAuthSettings(
+    val flow: String? = null,
+    val clientId: String? = null,
+    val clientSecret: String? = null,
+    val clientAuthentication: String? = null,
+    val username: String? = null,
+    val password: String? = null,
+    val refreshToken: String? = null,
+    val authorizationCode: String? = null,
+    val redirectUri: String? = null,
+    val tokenUrl: String? = null,
+    val refreshUrl: String? = null,
+) {
+    /**
+     * Combine these settings with overrides, which win where they are set
+     */
+    fun mergedWith(overrides: OAuthSettings): OAuthSettings = OAuthSettings(
+        flow = overrides.flow ?: flow,
+        clientId = overrides.clientId ?: clientId,
+        clientSecret = overrides.clientSecret ?: clientSecret,
+        clientAuthentication = overrides.clientAuthentication ?: clientAuthentication,
+        username = overrides.username ?: username,
+        password = overrides.password ?: password,
+        refreshToken = overrides.refreshToken ?: refreshToken,
+        authorizationCode = overrides.authorizationCode ?: authorizationCode,
+        redirectUri = overrides.redirectUri ?: redirectUri,
+        tokenUrl = overrides.tokenUrl ?: tokenUrl,
+        refreshUrl = overrides.refreshUrl ?: refreshUrl,
+    )
+
+    companion object {
+        /**
+         * Read the settings from the environment variables of a scheme, e.g. API_CREDENTIAL_OAUTH_CLIENT_ID
+         */
+        fun fromEnv(envVar: String, environment: (String) -> String? = System::getenv): OAuthSettings {
+            fun read(suffix: String) = environment("\${envVar}_$suffix")?.takeIf { it.isNotEmpty() }
+            return OAuthSettings(
+                clientId = read("CLIENT_ID"),
+                clientSecret = read("CLIENT_SECRET"),
+                username = read("USERNAME"),
+                password = read("PASSWORD"),
+                refreshToken = read("REFRESH_TOKEN"),
+                authorizationCode = read("AUTHORIZATION_CODE"),
+                redirectUri = read("REDIRECT_URI"),
+                tokenUrl = read("TOKEN_URL"),
+            )
+        }
+    }
+}
+
+/**
+ * OAuth 2.0 token manager
+ *
+ * Fetches access tokens from the token endpoint, caches them until they
+ * expire, refreshes them with the refresh token and shares a single token
+ * request between concurrent callers.
+ */
+class TokenManager(
+    private val flows: Map<String, OAuthFlow>,
+    private val settings: OAuthSettings,
+    httpClient: OkHttpClient = OkHttpClient(),
+    private val baseUrl: String = "",
+    timeoutMillis: Long = 30_000,
+    private val clock: () -> Long = System::currentTimeMillis,
+) {
+    private data class TokenEntry(val accessToken: String?, val refreshToken: String?, val expiresAt: Long?)
+
+    private val http = httpClient.newBuilder().callTimeout(timeoutMillis, TimeUnit.MILLISECONDS).build()
+    private val tokens = ConcurrentHashMap<String, TokenEntry>()
+    private val mutex = Mutex()
+
+    // Most recent refresh token, so a used authorization code can still be refreshed
+    @Volatile
+    private var refreshToken: String? = settings.refreshToken?.takeIf { it.isNotEmpty() }
+
+    @Volatile
+    private var authorizationCodeUsed = false
+
+    /**
+     * Name of the flow used to obtain tokens
+     */
+    val flow: String?
+        get() {
+            settings.flow?.takeIf { it.isNotEmpty() }?.let { return it }
+            val available = TOKEN_FLOWS.filter { it in flows }
+            return available.firstOrNull { hasGrantCredentials(it) }
+                ?: available.firstOrNull()
+                ?: settings.tokenUrl?.let { "clientCredentials" }
+        }
+
+    /**
+     * Token endpoint of the flow
+     */
+    val tokenUrl: String?
+        get() = settings.tokenUrl ?: flow?.let { flows[it] }?.tokenUrl
+
+    /**
+     * Endpoint that refresh tokens are exchanged at
+     */
+    val refreshUrl: String?
+        get() = settings.refreshUrl ?: flow?.let { flows[it] }?.refreshUrl ?: tokenUrl
+
+    /**
+     * Check whether enough settings are configured to obtain a token
+     */
+    fun canAcquireToken(): Boolean = tokenUrl != null && (refreshToken != null || hasGrantCredentials(flow))
+
+    /**
+     * Get a valid access token for the given scopes, fetching or refreshing it when needed
+     */
+    suspend fun getToken(scopes: List<String> = emptyList()): String {
+        val key = cacheKey(scopes)
+        cached(key)?.let { return it }
+
+        return mutex.withLock {
+            cached(key) ?: fetchToken(key, scopes)
+        }
+    }
+
+    /**
+     * Discard the cached access token, keeping the refresh token for the next fetch
+     */
+    fun invalidate(scopes: List<String> = emptyList()) {
+        tokens.computeIfPresent(cacheKey(scopes)) { _, entry -> entry.copy(accessToken = null) }
+    }
+
+    /**
+     * Obtain a new token, preferring the refresh token over a new grant
+     */
+    private suspend fun fetchToken(key: String, scopes: List<String>): String {
+        val refresh = tokens[key]?.refreshToken ?: refreshToken
+        val grant = flow?.takeIf { hasGrantCredentials(it) }
+
+        var token: JsonObject? = null
+        if (refresh != null) {
+            try {
+                token = requestToken(refreshUrl, listOf("grant_type" to "refresh_token", "refresh_token" to refresh), scopes)
+            } catch (error: CancellationException) {
+                throw error
+            } catch (error: Exception) {
+                // An expired or revoked refresh token falls back to a new grant when possible
+                if (grant == null) throw error
+            }
+        }
+        val response = token ?: requestToken(tokenUrl, useGrant(grant), scopes)
+
+        val accessToken = response.string("access_token").orEmpty()
+        val newRefreshToken = response.string("refresh_token")?.takeIf { it.isNotEmpty() }
+        if (newRefreshToken != null) {
+            refreshToken = newRefreshToken
+        }
+        tokens[key] = TokenEntry(accessToken, newRefreshToken ?: refresh, expiry(response["expires_in"]))
+        return accessToken
+    }
+
+    private fun cached(key: String): String? {
+        val entry = tokens[key] ?: return null
+        val expiresAt = entry.expiresAt
+        return if (expiresAt != null && clock() >= expiresAt) null else entry.accessToken
+    }
+
+    /**
+     * Check whether the grant for a flow can be performed with the configured settings
+     */
+    private fun hasGrantCredentials(flow: String?): Boolean = when (flow) {
+        "clientCredentials" -> !settings.clientId.isNullOrEmpty()
+        "password" -> !settings.username.isNullOrEmpty() && !settings.password.isNullOrEmpty()
+        "authorizationCode" -> !settings.authorizationCode.isNullOrEmpty() && !authorizationCodeUsed
+        else -> false
+    }
+
+    /**
+     * Build the token request parameters for a flow
+     */
+    private fun useGrant(flow: String?): List<Pair<String, String>> = when (flow) {
+        "clientCredentials" -> listOf("grant_type" to "client_credentials")
+        "password" -> listOf(
+            "grant_type" to "password",
+            "username" to settings.username.orEmpty(),
+            "password" to settings.password.orEmpty(),
+        )
+        "authorizationCode" -> {
+            // Authorization codes are single-use; later tokens come from the refresh token
+            authorizationCodeUsed = true
+            listOfNotNull(
+                "grant_type" to "authorization_code",
+                "code" to settings.authorizationCode.orEmpty(),
+                settings.redirectUri?.takeIf { it.isNotEmpty() }?.let { "redirect_uri" to it },
+            )
+        }
+        else -> throw ApiException(
+            if (this.flow == "authorizationCode") {
+                "OAuth 2.0 token request failed: authorization code flow needs a refresh token or an unused authorization code"
+            } else {
+                "OAuth 2.0 token request failed: flow \${this.flow} cannot obtain tokens automatically; configure an access token instead"
+            }
+        )
+    }
+
+    /**
+     * Send a token endpoint request
+     */
+    private suspend fun requestToken(url: String?, params: List<Pair<String, String>>, scopes: List<String>): JsonObject {
+        val target = url ?: throw ApiException("OAuth 2.0 token request failed: token URL is not configured")
+
+        val form = FormBody.Builder()
+        params.forEach { (name, value) -> form.add(name, value) }
+        if (scopes.isNotEmpty()) {
+            form.add("scope", scopes.joinToString(" "))
+        }
+
+        val request = Request.Builder().url(resolveUrl(target)).header("Accept", "application/json")
+        val clientId = settings.clientId
+        val clientSecret = settings.clientSecret?.takeIf { it.isNotEmpty() }
+        if (clientId != null && clientSecret != null && settings.clientAuthentication != "body") {
+            request.header("Authorization", Credentials.basic(clientId, clientSecret))
+        } else if (clientId != null) {
+            form.add("client_id", clientId)
+            clientSecret?.let { form.add("client_secret", it) }
+        }
+
+        val response = ErrorHandler.check(http.newCall(request.post(form.build()).build()).await())
+        val token = response.use { Json.parseToJsonElement(it.body?.string().orEmpty()) } as? JsonObject
+        if (token == null || token.string("access_token").isNullOrEmpty()) {
+            throw ApiException("OAuth 2.0 token request failed: token endpoint response did not include an access_token")
+        }
+        return token
+    }
+
+    private fun resolveUrl(url: String): String {
+        if (baseUrl.isEmpty() || "://" in url) {
+            return url
+        }
+        return "\${baseUrl.trimEnd('/')}/\${url.trimStart('/')}"
+    }
+
+    /**
+     * Compute when a token should be treated as expired, leaving a safety margin
+     */
+    private fun expiry(expiresIn: JsonElement?): Long? {
+        val seconds = (expiresIn as? JsonPrimitive)?.doubleOrNull ?: return null
+        if (seconds <= 0) {
+            return null
+        }
+        return clock() + ((seconds - minOf(30.0, seconds / 2)) * 1000).toLong()
+    }
+
+    private fun JsonObject.string(name: String): String? = (this[name] as? JsonPrimitive)?.contentOrNull
+
+    private fun cacheKey(scopes: List<String>): String = scopes.sorted().joinToString(" ")
+
+    private companion object {
+        // OAuth 2.0 flows that can obtain tokens without user interaction, in order of preference
+        val TOKEN_FLOWS = listOf("authorizationCode", "password", "clientCredentials")
+    }
+}
+`;
+}
+
+/**
+ * Generate the retrying request handler
+ */
+function generateRequestHandler() {
+  return `package ${KT_PACKAGE}.utils
+
+import okhttp3.Interceptor
+import okhttp3.Response
+import java.io.IOException
+
+/**
+ * Request handler
+ *
+ * Retries failed requests: network errors, 5xx responses and 429 responses
+ * are retried with exponential backoff.
+ */
+class RequestHandler(
+    private val maxRetries: Int = 3,
+    private val baseDelayMillis: Long = 1000,
+) : Interceptor {
+    override fun intercept(chain: Interceptor.Chain): Response {
+        val maxAttempts = maxOf(maxRetries, 1)
+        var attempt = 1
+        while (true) {
+            val response = try {
+                chain.proceed(chain.request())
+            } catch (error: IOException) {
+                if (attempt >= maxAttempts || chain.call().isCanceled()) throw error
+                null
+            }
+            if (response != null && (attempt >= maxAttempts || !shouldRetry(response.code))) {
+                return response
+            }
+
+            response?.close()
+            Thread.sleep(delayMillis(attempt))
+            attempt++
+        }
+    }
+
+    /**
+     * Server errors and 429 (rate limit) are worth retrying; other client errors are not
+     */
+    fun shouldRetry(statusCode: Int): Boolean = statusCode >= 500 || statusCode == 429
+
+    /**
+     * Delay before the next attempt: exponential backoff capped at 10 seconds
+     */
+    fun delayMillis(attempt: Int): Long = minOf(baseDelayMillis shl minOf(attempt - 1, 20), MAX_DELAY_MILLIS)
+
+    private companion object {
+        const val MAX_DELAY_MILLIS = 10_000L
+    }
+}
+`;
+}
+
+/**
+ * Generate the coroutine bridge for OkHttp calls
+ */
+function generateCalls() {
+  return `package ${KT_PACKAGE}.utils
+
+import kotlinx.coroutines.suspendCancellableCoroutine
+import okhttp3.Call
+import okhttp3.Callback
+import okhttp3.Response
+import java.io.IOException
+import kotlin.coroutines.resume
+import kotlin.coroutines.resumeWithException
+
+/**
+ * Execute the call without blocking, cancelling it if the coroutine is cancelled
+ */
+suspend fun Call.await(): Response = suspendCancellableCoroutine { continuation ->
+    continuation.invokeOnCancellation { cancel() }
+    enqueue(object : Callback {
+        override fun onResponse(call: Call, response: Response) {
+            continuation.resume(response)
+        }
+
+        override fun onFailure(call: Call, e: IOException) {
+            continuation.resumeWithException(e)
+        }
+    })
+}
+`;
+}
+
+/**
+ * Generate error handler
+ */
+function generateErrorHandler() {
+  return `package ${KT_PACKAGE}.utils
+
+import okhttp3.Response
+
+/**
+ * Error returned by the API, or a request that could not be completed
+ *
+ * @property statusCode HTTP status code, if the API answered
+ * @property responseBody Response body, if any
+ */
+open class ApiException(
+    message: String,
+    val statusCode: Int? = null,
+    val responseBody: String? = null,
+    cause: Throwable? = null,
+) : Exception(message, cause)
+
+/**
+ * Error handler
+ *
+ * Turns error responses into [ApiException]s.
+ */
+object ErrorHandler {
+    /**
+     * Return the response if it has a success status, otherwise close it and throw an [ApiException]
+     */
+    fun check(response: Response): Response {
+        if (response.isSuccessful) {
+            return response
+        }
+
+        val body = response.use { it.body?.string() }?.takeIf { it.isNotEmpty() }
+        val message = response.message.ifEmpty { "HTTP \${response.code}" }
+        throw ApiException("HTTP \${response.code}: $message", response.code, body)
+    }
+}
+`;
+}
+
+/**
+ * Generate the GraphQL error
+ */
+function generateGraphqlException() {
+  return `package ${KT_PACKAGE}.utils
+
+import kotlinx.serialization.json.JsonArray
+import kotlinx.serialization.json.JsonElement
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.contentOrNull
+
+/**
+ * GraphQL Exception
+ *
+ * Thrown when a GraphQL response carries errors, which servers report with a
+ * 200 status. Any partial data returned alongside them is kept.
+ *
+ * @property errors The response's errors array
+ * @property partialData Data returned alongside the errors, if any
+ */
+class GraphQLException(
+    val errors: JsonArray,
+    val partialData: JsonElement?,
+) : Exception(buildMessage(errors)) {
+    private companion object {
+        fun buildMessage(errors: JsonArray): String {
+            val messages = errors
+                .map { error -> ((error as? JsonObject)?.get("message") as? JsonPrimitive)?.contentOrNull ?: error.toString() }
+                .filter { it.isNotEmpty() }
+            return if (messages.isNotEmpty()) messages.joinToString("; ") else "GraphQL request failed"
+        }
+    }
+}
+`;
+}
+
+/**
+ * Generate configuration
+ */
+function generateConfig() {
+  return `package ${KT_PACKAGE}.config
+
+import ${KT_PACKAGE}.auth.OAuthSettings
+
+/**
+ * Configuration manager
+ *
+ * Manages API client configuration with environment variable support.
+ *
+ * @property credentials Credentials keyed by security scheme name
+ * @property oauth2 OAuth 2.0 client settings keyed by security scheme name
+ */
+data class Config(
+    val baseUrl: String = "",
+    val timeoutMillis: Long = 30_000,
+    val maxRetries: Int = 3,
+    val credentials: Map<String, String> = emptyMap(),
+    val oauth2: Map<String, OAuthSettings> = emptyMap(),
+    val apiKey: String? = null,
+    val bearerToken: String? = null,
+    val username: String? = null,
+    val password: String? = null,
+    val accessToken: String? = null,
+) {
+    companion object {
+        /**
+         * Read the configuration from API_* environment variables
+         */
+        fun fromEnv(environment: (String) -> String? = System::getenv): Config {
+            fun read(name: String) = environment(name)?.takeIf { it.isNotEmpty() }
+            val defaults = Config()
+            return Config(
+                baseUrl = read("API_BASE_URL") ?: defaults.baseUrl,
+                timeoutMillis = read("API_TIMEOUT")?.toLongOrNull() ?: defaults.timeoutMillis,
+                maxRetries = read("API_MAX_RETRIES")?.toIntOrNull() ?: defaults.maxRetries,
+                apiKey = read("API_KEY"),
+                bearerToken = read("API_BEARER_TOKEN"),
+                username = read("API_USERNAME"),
+                password = read("API_PASSWORD"),
+                accessToken = read("API_ACCESS_TOKEN"),
+            )
+        }
+    }
+}
+`;
+}
+
+/**
+ * Generate API client tests
+ */
+function generateClientTests(parsedData, securitySchemes) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoint = endpoints.find(endpoint => endpoint.graphql);
+  const restEndpoint = endpoints.find(endpoint => !endpoint.graphql);
+  const testNames = new Set();
+  const toTestName = name => {
+    let testName = name;
+    for (let suffix = 2; testNames.has(testName); suffix++) {
+      testName = `${name}${suffix}`;
+    }
+    testNames.add(testName);
+    return testName;
+  };
+
+  const tests = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlTest(endpoint, schemas, toTestName(`${toKtMethodName(endpoint.operationId)} posts the ${endpoint.graphql.operationType}`))
+    : generateEndpointTest(endpoint, schemas, toTestName(`${toKtMethodName(endpoint.operationId)} sends ${endpoint.method.toUpperCase()} request`)));
+  if (restEndpoint) {
+    tests.push(generateErrorStatusTest(restEndpoint, schemas));
+  }
+  if (graphqlEndpoint) {
+    tests.push(generateGraphqlErrorTest(graphqlEndpoint, schemas));
+  }
+  const source = tests.join('\n');
+
+  // Every scheme gets a credential, so requests pass through the auth handler
+  const credentials = Object.entries(securitySchemes).map(([name, scheme]) =>
+    `${toKtString(name)} to ${toKtString(scheme.type === 'basic' ? 'user:secret' : 'test-credential')}`);
+
+  return `package ${KT_PACKAGE}
+
+import ${KT_PACKAGE}.auth.AuthHandler
+import ${KT_PACKAGE}.auth.OAuthFlow
+import ${KT_PACKAGE}.auth.OAuthSettings
+import ${KT_PACKAGE}.auth.SecurityScheme
+import ${KT_PACKAGE}.config.Config
+import ${KT_PACKAGE}.models.*
+import ${KT_PACKAGE}.utils.ApiException
+${graphqlEndpoint ? `import ${KT_PACKAGE}.utils.GraphQLException\n` : ''}import kotlinx.coroutines.test.runTest
+import kotlinx.serialization.decodeFromString
+import kotlinx.serialization.json.*
+import okhttp3.OkHttpClient
+import okhttp3.mockwebserver.Dispatcher
+import okhttp3.mockwebserver.MockResponse
+import okhttp3.mockwebserver.MockWebServer
+import okhttp3.mockwebserver.RecordedRequest
+import java.util.concurrent.atomic.AtomicInteger
+import kotlin.test.AfterTest
+import kotlin.test.BeforeTest
+import kotlin.test.Test
+import kotlin.test.assertEquals
+import kotlin.test.assertFailsWith
+import kotlin.test.assertTrue
+
+/**
+ * Tests for the ${escapeKDoc(title)} API client
+ */
+class ApiClientTest {
+    private val server = MockWebServer()
+    private lateinit var client: ApiClient
+
+    @BeforeTest
+    fun setUp() {
+        server.start()
+        val config = Config(
+            baseUrl = server.url("/").toString(),${credentials.length > 0 ? `
+            credentials = mapOf(${credentials.join(', ')}),` : ''}
+            apiKey = "test-api-key",
+            maxRetries = 1,
+        )
+        client = ApiClient(config)
+    }
+
+    @AfterTest
+    fun tearDown() {
+        server.shutdown()
+    }
+
+    @Test
+    fun configuration() {
+        assertEquals(server.url("/").toString(), client.config.baseUrl)
+        assertEquals("test-api-key", client.config.apiKey)
+    }
+${tests.map(test => `\n${test}\n`).join('')}
+    @Test
+    fun \`send retries once with a fresh token after 401\`() = runTest {
+        val count = AtomicInteger()
+        server.dispatcher = object : Dispatcher() {
+            override fun dispatch(request: RecordedRequest): MockResponse {
+                val index = count.getAndIncrement()
+                return when {
+                    request.path == "/oauth/token" -> MockResponse().setBody("{\\"access_token\\":\\"token-$index\\",\\"expires_in\\":3600}")
+                    index == 1 -> MockResponse().setResponseCode(401)
+                    else -> MockResponse().setBody("{\\"success\\":true}")
+                }
+            }
+        }
+        val config = Config(
+            baseUrl = server.url("/").toString(),
+            maxRetries = 1,
+            oauth2 = mapOf("oauth" to OAuthSettings(clientId = "client")),
+        )
+        val schemes = mapOf(
+            "oauth" to SecurityScheme(
+                type = "oauth2",
+                envVar = "API_CREDENTIAL_TEST_OAUTH",
+                flows = mapOf("clientCredentials" to OAuthFlow("/oauth/token")),
+            ),
+        )
+        val http = OkHttpClient()
+        val oauthClient = ApiClient(config, http, AuthHandler(config, http, schemes) { null })
+
+        val response = oauthClient.send("GET", oauthClient.endpointUrl("resource").build(), null, listOf(mapOf("oauth" to emptyList())))
+        response.close()
+
+        assertEquals(200, response.code)
+        val requests = List(server.requestCount) { server.takeRequest() }.filter { it.path == "/resource" }
+        assertEquals(listOf("Bearer token-0", "Bearer token-2"), requests.map { it.getHeader("Authorization") })
+    }
+
+    @Test
+    fun \`send does not retry 401 without managed tokens\`() = runTest {
+        server.enqueue(MockResponse().setResponseCode(401))
+
+        val error = assertFailsWith<ApiException> {
+            client.send("GET", client.endpointUrl("resource").build(), null, emptyList())
+        }
+
+        assertEquals(401, error.statusCode)
+        assertEquals(1, server.requestCount)
+    }
+}
+`;
+}
+
+/**
+ * Generate endpoint test
+ */
+function generateEndpointTest(endpoint, schemas, testName) {
+  const { method, path, operationId } = endpoint;
+  const responseSchema = getResponseSchema(endpoint);
+  const fields = orderMethodFields(getMethodFields(endpoint, schemas)).filter(field => field.required);
+
+  // Path parameters get recognizable values so the expected URL can be checked
+  const values = {};
+  for (const field of fields) {
+    values[field.key] = field.in === 'path' && field.type === 'String' ? `test-${field.key}` : getTypedExample(field.schema, schemas);
+  }
+  const expectedSegments = endpoint.parameters
+    .filter(p => p.in === 'path')
+    .reduce((url, p) => url.replace(`{${p.name}}`, () => `\u0000${formatPathValue(values[p.name], fields.find(field => field.key === p.name))}\u0001`), path)
+    .split('/')
+    .filter(Boolean)
+    .map(segment => toKtString(segment.replace(/[\u0000\u0001]/g, '')));
+
+  const response = responseSchema ? getTypedExample(responseSchema, schemas) : { success: true };
+  const assertion = responseSchema
+    ? `assertEquals(ApiClient.json.decodeFromString<${toKtType(responseSchema, schemas)}>(response), result)`
+    : 'assertEquals(200, result.statusCode)';
+
+  return `    @Test
+    fun \`${testName}\`() = runTest {
+        val response = ${toKtString(JSON.stringify(response))}
+        server.enqueue(MockResponse().setBody(response))
+
+        val result = client.${toKtMethodName(operationId)}(${fields.map(field => toKtExample(field.schema, values[field.key], schemas)).join(', ')})
+
+        val request = server.takeRequest()
+        assertEquals(${toKtString(method.toUpperCase())}, request.method)
+        assertEquals(${toKtSegmentList(expectedSegments)}, request.requestUrl!!.pathSegments)
+        ${assertion}
+    }`;
+}
+
+/**
+ * Expected path segments of a request URL; OkHttp reports the root path as one empty segment
+ */
+function toKtSegmentList(segments) {
+  return `listOf(${segments.length > 0 ? segments.join(', ') : '""'})`;
+}
+
+/**
+ * Generate the test for error statuses
+ */
+function generateErrorStatusTest(endpoint, schemas) {
+  const args = orderMethodFields(getMethodFields(endpoint, schemas))
+    .filter(field => field.required)
+    .map(field => toKtExample(field.schema, getTypedExample(field.schema, schemas), schemas));
+
+  return `    @Test
+    fun \`throws ApiException for error statuses\`() = runTest {
+        server.enqueue(MockResponse().setResponseCode(404).setBody("{\\"error\\":\\"Not found\\"}"))
+
+        val error = assertFailsWith<ApiException> {
+            client.${toKtMethodName(endpoint.operationId)}(${args.join(', ')})
+        }
+
+        assertEquals(404, error.statusCode)
+        assertEquals("{\\"error\\":\\"Not found\\"}", error.responseBody)
+    }`;
+}
+
+/**
+ * Generate a GraphQL operation test
+ */
+function generateGraphqlTest(endpoint, schemas, testName) {
+  const { operationId, path, graphql, responses } = endpoint;
+  const resultSchema = responses['200']?.schema ? { ref: responses['200'].schema.ref } : null;
+  const data = resultSchema ? getTypedExample(resultSchema, schemas) : { success: true };
+
+  return `    @Test
+    fun \`${testName}\`() = runTest {
+        val data = ${toKtString(JSON.stringify(data))}
+        server.enqueue(MockResponse().setBody("{\\"data\\":$data}"))
+
+        val result = client.${toKtMethodName(operationId)}(${generateExampleVariables(endpoint, schemas)})
+
+        val request = server.takeRequest()
+        assertEquals("POST", request.method)
+        assertEquals(${toKtSegmentList(path.split('/').filter(Boolean).map(toKtString))}, request.requestUrl!!.pathSegments)
+        val query = Json.parseToJsonElement(request.body.readUtf8()).jsonObject["query"]!!.jsonPrimitive.content
+        assertTrue(${toKtString(graphql.operationType)} in query)
+        assertEquals(ApiClient.json.decodeFromString<${resultSchema ? toKtType(resultSchema, schemas) : 'JsonElement'}>(data), result)
+    }`;
+}
+
+/**
+ * Generate the test for GraphQL errors reported in a 200 response
+ */
+function generateGraphqlErrorTest(endpoint, schemas) {
+  return `    @Test
+    fun \`throws GraphQLException for GraphQL errors\`() = runTest {
+        server.enqueue(MockResponse().setBody("{\\"data\\":{\\"partial\\":true},\\"errors\\":[{\\"message\\":\\"Not authorized\\"}]}"))
+
+        val error = assertFailsWith<GraphQLException> {
+            client.${toKtMethodName(endpoint.operationId)}(${generateExampleVariables(endpoint, schemas)})
+        }
+
+        assertEquals("Not authorized", error.message)
+        assertEquals(buildJsonObject { put("partial", true) }, error.partialData)
+    }`;
+}
+
+/**
+ * Example variables argument for a GraphQL operation
+ */
+function generateExampleVariables(endpoint, schemas) {
+  const variablesSchema = endpoint.requestBody?.schema;
+  if (!variablesSchema) {
+    return '';
+  }
+  const schema = { ref: variablesSchema.ref };
+  return toKtExample(schema, getTypedExample(schema, schemas), schemas);
+}
+
+/**
+ * Expression building an example value of a schema: scalars and enum constants
+ * are literals, everything else is read from the JSON value
+ */
+function toKtExample(schema, value, schemas) {
+  const type = toKtType(schema, schemas).replace(/\?$/, '');
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  const model = schema.ref && schemas[schema.ref];
+  if (model && isKtEnum(model) && typeof value === 'string') {
+    const constant = getEnumConstants(model).find(entry => entry.value === value);
+    if (constant) {
+      return `${type}.${constant.constant}`;
+    }
+  }
+  if (type === 'String' && typeof value === 'string') {
+    return toKtString(value);
+  }
+  if (type === 'Long' && Number.isInteger(value)) {
+    return `${value}L`;
+  }
+  if (type === 'Double' && typeof value === 'number') {
+    return Number.isInteger(value) ? `${value}.0` : String(value);
+  }
+  if (type === 'Boolean' && typeof value === 'boolean') {
+    return String(value);
+  }
+  return `ApiClient.json.decodeFromString<${type}>(${toKtString(JSON.stringify(value))})`;
+}
+
+/**
+ * A path value as pathValue writes it; kotlinx.serialization keeps the fraction of Double values
+ */
+function formatPathValue(value, field) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return field.type.replace(/\?$/, '') === 'Double' && Number.isInteger(value) ? `${value}.0` : JSON.stringify(value);
+}
+
+/**
+ * Generate authentication handler tests
+ */
+function generateAuthHandlerTests(securitySchemes) {
+  const schemeTests = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const credential = scheme.type === 'basic' ? 'user:secret' : 'secret';
+    const keyName = scheme.name || name;
+    let expectation;
+    if (scheme.type === 'basic') {
+      expectation = 'assertEquals("Basic ${Base64.getEncoder().encodeToString("user:secret".toByteArray())}", auth.headers["Authorization"])';
+    } else if (scheme.type === 'apiKey' && scheme.in === 'query') {
+      expectation = `assertEquals("secret", auth.queryParams[${toKtString(keyName)}])`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+      expectation = `assertEquals(${toKtString(`${keyName}=secret`)}, auth.headers["Cookie"])`;
+    } else if (scheme.type === 'apiKey') {
+      expectation = `assertEquals("secret", auth.headers[${toKtString(keyName)}])`;
+    } else {
+      expectation = 'assertEquals("Bearer secret", auth.headers["Authorization"])';
+    }
+
+    return `    @Test
+    fun \`applies the ${escapeKtTestName(name)} scheme\`() = runTest {
+        val auth = handler(Config(credentials = mapOf(${toKtString(name)} to "${credential}")))
+            .authenticate(listOf(mapOf(${toKtString(name)} to emptyList())))
+
+        ${expectation}
+    }`;
+  });
+  const [firstName] = Object.entries(securitySchemes).find(([, scheme]) => scheme.type !== 'basic') || [];
+  if (firstName) {
+    schemeTests.push(`    @Test
+    fun \`reads credentials from the environment\`() {
+        val environment = mapOf(${toKtString(toCredentialEnvName(firstName))} to "from-env")
+        val handler = AuthHandler(Config(), OkHttpClient(), environment = environment::get)
+
+        assertEquals("from-env", handler.credential(${toKtString(firstName)}))
+        assertTrue(handler.isConfigured(${toKtString(firstName)}))
+    }`);
+  }
+  const source = schemeTests.join('\n');
+
+  return `package ${KT_PACKAGE}.auth
+
+import ${KT_PACKAGE}.config.Config
+import kotlinx.coroutines.test.runTest
+import okhttp3.OkHttpClient
+${/Base64/.test(source) ? 'import java.util.Base64\n' : ''}import kotlin.test.Test
+import kotlin.test.assertEquals
+import kotlin.test.assertFailsWith
+import kotlin.test.assertTrue
+
+/**
+ * Tests for the authentication handler
+ */
+class AuthHandlerTest {
+    // Credentials only come from the config, never from the machine's environment
+    private fun handler(config: Config = Config()) = AuthHandler(config, OkHttpClient(), environment = { null })
+
+    @Test
+    fun \`does not authenticate endpoints without security requirements\`() = runTest {
+        val auth = handler().authenticate(emptyList())
+
+        assertTrue(auth.headers.isEmpty())
+        assertTrue(auth.queryParams.isEmpty())
+    }
+
+    @Test
+    fun \`allows anonymous access when authentication is optional\`() = runTest {
+        val auth = handler().authenticate(listOf(mapOf("undeclaredScheme" to emptyList()), emptyMap()))
+
+        assertTrue(auth.headers.isEmpty())
+        assertTrue(auth.queryParams.isEmpty())
+    }
+
+    @Test
+    fun \`rejects requests when no requirement can be satisfied\`() = runTest {
+        val error = assertFailsWith<IllegalStateException> {
+            handler().authenticate(listOf(mapOf("undeclaredScheme" to emptyList())))
+        }
+
+        assertTrue(error.message!!.startsWith("Missing credentials"))
+    }
+${schemeTests.map(test => `\n${test}\n`).join('')}}
+`;
+}
+
+/**
+ * Generate token manager tests, run against a mock token endpoint
+ */
+function generateTokenManagerTests() {
+  return `package ${KT_PACKAGE}.auth
+
+import kotlinx.coroutines.async
+import kotlinx.coroutines.awaitAll
+import kotlinx.coroutines.test.runTest
+import okhttp3.Credentials
+import okhttp3.HttpUrl.Companion.toHttpUrl
+import okhttp3.OkHttpClient
+import okhttp3.mockwebserver.Dispatcher
+import okhttp3.mockwebserver.MockResponse
+import okhttp3.mockwebserver.MockWebServer
+import okhttp3.mockwebserver.RecordedRequest
+import java.util.concurrent.TimeUnit
+import java.util.concurrent.atomic.AtomicInteger
+import kotlin.test.AfterTest
+import kotlin.test.BeforeTest
+import kotlin.test.Test
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+import kotlin.test.assertNull
+import kotlin.test.assertTrue
+
+/**
+ * Tests for the OAuth 2.0 token manager
+ */
+class TokenManagerTest {
+    private val server = MockWebServer()
+    private val clientCredentials = mapOf("clientCredentials" to OAuthFlow("/oauth/token"))
+    private val authorizationCode = mapOf("authorizationCode" to OAuthFlow("/oauth/token"))
+    private val clientSettings = OAuthSettings(clientId = "client", clientSecret = "secret")
+    private var now = 0L
+
+    @BeforeTest
+    fun setUp() {
+        val count = AtomicInteger()
+        server.dispatcher = object : Dispatcher() {
+            override fun dispatch(request: RecordedRequest): MockResponse = MockResponse().setBody(
+                "{\\"access_token\\":\\"token-\${count.incrementAndGet()}\\",\\"token_type\\":\\"Bearer\\",\\"expires_in\\":3600,\\"refresh_token\\":\\"refresh-1\\"}"
+            )
+        }
+        server.start()
+    }
+
+    @AfterTest
+    fun tearDown() {
+        server.shutdown()
+    }
+
+    private fun manager(flows: Map<String, OAuthFlow>, settings: OAuthSettings) =
+        TokenManager(flows, settings, OkHttpClient(), server.url("/").toString(), 5_000) { now }
+
+    private fun RecordedRequest.form(): Map<String, String> {
+        val url = "http://localhost/?\${body.readUtf8()}".toHttpUrl()
+        return url.queryParameterNames.associateWith { url.queryParameter(it).orEmpty() }
+    }
+
+    @Test
+    fun \`fetches a token with the client credentials grant\`() = runTest {
+        val manager = manager(clientCredentials, clientSettings)
+
+        assertEquals("token-1", manager.getToken(listOf("read")))
+        val request = server.takeRequest()
+        assertEquals(mapOf("grant_type" to "client_credentials", "scope" to "read"), request.form())
+        assertEquals(Credentials.basic("client", "secret"), request.getHeader("Authorization"))
+    }
+
+    @Test
+    fun \`caches tokens until they expire\`() = runTest {
+        val manager = manager(clientCredentials, clientSettings)
+        manager.getToken()
+
+        assertEquals("token-1", manager.getToken())
+        assertEquals(1, server.requestCount)
+    }
+
+    @Test
+    fun \`shares one token request between concurrent callers\`() = runTest {
+        server.dispatcher = object : Dispatcher() {
+            override fun dispatch(request: RecordedRequest): MockResponse =
+                MockResponse().setBody("{\\"access_token\\":\\"token-1\\",\\"expires_in\\":3600}").setBodyDelay(10, TimeUnit.MILLISECONDS)
+        }
+        val manager = manager(clientCredentials, clientSettings)
+
+        val tokens = List(5) { async { manager.getToken() } }.awaitAll()
+
+        assertEquals(List(5) { "token-1" }, tokens)
+        assertEquals(1, server.requestCount)
+    }
+
+    @Test
+    fun \`refreshes expired tokens with the refresh token\`() = runTest {
+        val manager = manager(clientCredentials, clientSettings)
+        manager.getToken()
+
+        now += 3_600_000
+
+        assertEquals("token-2", manager.getToken())
+        server.takeRequest()
+        assertEquals(mapOf("grant_type" to "refresh_token", "refresh_token" to "refresh-1"), server.takeRequest().form())
+    }
+
+    @Test
+    fun \`fetches a new token after invalidation\`() = runTest {
+        val manager = manager(clientCredentials, clientSettings)
+        manager.getToken()
+        manager.invalidate()
+
+        assertEquals("token-2", manager.getToken())
+        assertEquals(2, server.requestCount)
+    }
+
+    @Test
+    fun \`sends client credentials in the body when configured\`() = runTest {
+        val manager = manager(clientCredentials, clientSettings.copy(clientAuthentication = "body"))
+        manager.getToken()
+
+        val request = server.takeRequest()
+        val form = request.form()
+        assertNull(request.getHeader("Authorization"))
+        assertEquals("client", form["client_id"])
+        assertEquals("secret", form["client_secret"])
+    }
+
+    @Test
+    fun \`only acquires tokens when the flow is configured\`() {
+        assertTrue(manager(clientCredentials, clientSettings).canAcquireToken())
+        assertFalse(manager(clientCredentials, clientSettings.copy(clientId = null)).canAcquireToken())
+    }
+
+    @Test
+    fun \`uses an authorization code once and refreshes afterwards\`() = runTest {
+        val settings = OAuthSettings(clientId = "client", authorizationCode = "code-1", redirectUri = "http://localhost/callback")
+        val manager = manager(authorizationCode, settings)
+        manager.getToken()
+        manager.invalidate()
+
+        assertEquals("token-2", manager.getToken())
+        val first = server.takeRequest().form()
+        assertEquals("authorization_code", first["grant_type"])
+        assertEquals("code-1", first["code"])
+        assertEquals(
+            mapOf("grant_type" to "refresh_token", "refresh_token" to "refresh-1", "client_id" to "client"),
+            server.takeRequest().form(),
+        )
+        assertTrue(manager.canAcquireToken())
+    }
+}
+`;
+}
+
+/**
+ * Generate request handler tests
+ */
+function generateRequestHandlerTests() {
+  return `package ${KT_PACKAGE}.utils
+
+import okhttp3.OkHttpClient
+import okhttp3.Request
+import okhttp3.mockwebserver.MockResponse
+import okhttp3.mockwebserver.MockWebServer
+import kotlin.test.AfterTest
+import kotlin.test.BeforeTest
+import kotlin.test.Test
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+import kotlin.test.assertTrue
+
+/**
+ * Tests for the retrying request handler
+ */
+class RequestHandlerTest {
+    private val server = MockWebServer()
+
+    @BeforeTest
+    fun setUp() {
+        server.start()
+    }
+
+    @AfterTest
+    fun tearDown() {
+        server.shutdown()
+    }
+
+    private fun send(maxRetries: Int): Int {
+        val http = OkHttpClient.Builder().addInterceptor(RequestHandler(maxRetries, baseDelayMillis = 0)).build()
+        return http.newCall(Request.Builder().url(server.url("/")).build()).execute().use { it.code }
+    }
+
+    @Test
+    fun \`retries server errors\`() {
+        server.enqueue(MockResponse().setResponseCode(503))
+        server.enqueue(MockResponse().setBody("{\\"success\\":true}"))
+
+        assertEquals(200, send(3))
+        assertEquals(2, server.requestCount)
+    }
+
+    @Test
+    fun \`retries rate limited requests\`() {
+        server.enqueue(MockResponse().setResponseCode(429))
+        server.enqueue(MockResponse().setBody("{}"))
+
+        assertEquals(200, send(3))
+        assertEquals(2, server.requestCount)
+    }
+
+    @Test
+    fun \`does not retry client errors\`() {
+        server.enqueue(MockResponse().setResponseCode(404))
+
+        assertEquals(404, send(3))
+        assertEquals(1, server.requestCount)
+    }
+
+    @Test
+    fun \`gives up after max retries\`() {
+        repeat(3) { server.enqueue(MockResponse().setResponseCode(500)) }
+
+        assertEquals(500, send(3))
+        assertEquals(3, server.requestCount)
+    }
+
+    @Test
+    fun \`retries only server errors and rate limits\`() {
+        val handler = RequestHandler()
+        assertTrue(handler.shouldRetry(503))
+        assertTrue(handler.shouldRetry(429))
+        assertFalse(handler.shouldRetry(404))
+    }
+
+    @Test
+    fun \`backs off exponentially up to ten seconds\`() {
+        val handler = RequestHandler()
+        assertEquals(1_000L, handler.delayMillis(1))
+        assertEquals(4_000L, handler.delayMillis(3))
+        assertEquals(10_000L, handler.delayMillis(6))
+    }
+}
+`;
+}
+
+/**
+ * Generate example usage
+ */
+function generateExampleUsage(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+
+  const calls = endpoints.slice(0, 2).map(endpoint => {
+    const name = toKtMethodName(endpoint.operationId);
+    const args = endpoint.graphql
+      ? generateExampleVariables(endpoint, schemas)
+      : orderMethodFields(getMethodFields(endpoint, schemas))
+        .filter(field => field.required)
+        .map(field => toKtExample(field.schema, getTypedExample(field.schema, schemas), schemas))
+        .join(', ');
+    return `    // Example: ${endpoint.method} ${endpoint.path}
+    println("\\n📡 Testing ${name}...")
+    try {
+        val result = client.${name}(${args})
+        println("✅ ${name} result: $result")
+    } catch (error: Exception) {
+        println("❌ ${name} failed: \${error.message}")
+    }`;
+  });
+  const source = calls.join('\n');
+
+  return `package ${KT_PACKAGE}
+
+import ${KT_PACKAGE}.config.Config
+${/decodeFromString<|[A-Z]\w*\.[A-Z_0-9]+\b/.test(source) ? `import ${KT_PACKAGE}.models.*\n` : ''}import kotlinx.coroutines.runBlocking
+${/decodeFromString/.test(source) ? 'import kotlinx.serialization.decodeFromString\n' : ''}
+/**
+ * Example usage of ${escapeKDoc(title)} API Client
+ */
+fun main() = runBlocking {
+    // Initialize the API client
+    val client = ApiClient(Config.fromEnv())
+    println(${toKtString(`🚀 ${title} API Client initialized`)})
+
+    // Test connection
+    val connected = client.testConnection()
+    println("🔗 Connection test: \${if (connected) "✅ Success" else "❌ Failed"}")
+${calls.map(call => `\n${call}\n`).join('')}
+    println("\\n🎉 Example completed successfully!")
+}
+`;
+}
+
+/**
+ * Generate .env.example
+ */
+function generateEnvExample(securitySchemes) {
+  const schemeEntries = Object.entries(securitySchemes);
+
+  let envContent = `# ${schemeEntries.length === 0 ? 'No authentication required' : `Authentication: ${schemeEntries.map(([name]) => name).join(', ')}`}
+
+# API Configuration
+API_BASE_URL=https://api.example.com
+API_TIMEOUT=30000
+API_MAX_RETRIES=3
+`;
+
+  for (const [name, scheme] of schemeEntries) {
+    envContent += `
+# ${name}: ${scheme.description || `${scheme.type} authentication`} (${describeCredential(scheme)})
+${toCredentialEnvName(name)}=
+`;
+    if (scheme.type === 'oauth2') {
+      envContent += `# Or let the client fetch and refresh tokens itself:
+${getOAuthSettings(scheme).map(setting => `# ${setting.description}\n${toOAuthEnvName(name, setting)}=`).join('\n')}
+`;
+    }
+  }
+
+  return envContent;
+}
+
+/**
+ * camelCase identifier for a parameter or local value
+ */
+function toKtIdentifier(name) {
+  return escapeKtIdentifier(toCamelCase(name));
+}
+
+/**
+ * Wrap a keyword in backticks so it can name a parameter or property
+ */
+function escapeKtIdentifier(name) {
+  return KT_KEYWORDS.includes(name) ? `\`${name}\`` : name;
+}
+
+/**
+ * SCREAMING_SNAKE_CASE name for an operation's constants
+ */
+function toKtConstName(operationId) {
+  const snake = (toSnakeCase(operationId) || 'operation').toUpperCase();
+  return /^[0-9]/.test(snake) ? `_${snake}` : snake;
+}
+
+/**
+ * Method name for an operation, avoiding keywords and the client's own members
+ */
+function toKtMethodName(operationId) {
+  const name = toCamelCase(operationId);
+  return KT_KEYWORDS.includes(name) || CLIENT_MEMBERS.includes(name) ? `${name}Operation` : name;
+}
+
+/**
+ * Escape text for a Kotlin string literal, including template dollars
+ */
+function escapeKtString(text) {
+  return Array.from(String(text)).map(char => {
+    switch (char) {
+      case '\\': return '\\\\';
+      case '"': return '\\"';
+      case '$': return '\\$';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      case '\b': return '\\b';
+      default: {
+        const code = char.codePointAt(0);
+        return code < 0x20 || code === 0x7f ? `\\u${code.toString(16).padStart(4, '0')}` : char;
+      }
+    }
+  }).join('');
+}
+
+/**
+ * Render text as a Kotlin string literal
+ */
+function toKtString(text) {
+  return `"${escapeKtString(text)}"`;
+}
+
+/**
+ * Render strings as a Kotlin list
+ */
+function toKtStringList(values) {
+  return values.length > 0 ? `listOf(${values.map(toKtString).join(', ')})` : 'emptyList()';
+}
+
+/**
+ * Text for a backticked test name, which cannot hold some characters on the JVM
+ */
+function escapeKtTestName(text) {
+  return String(text).replace(/[`.;:/\\[\]<>\r\n]/g, ' ').trim() || 'unnamed';
+}
+
+/**
+ * Keep text from closing a KDoc comment
+ */
+function escapeKDoc(text) {
+  return String(text).replace(/\*\//g, '*&#47;');
+}
+
+/**
+ * KDoc comment block
+ */
+function toKDoc(text, indent) {
+  const lines = escapeKDoc(text).split(/\r?\n/).map(line => line.trim());
+  return `${indent}/**\n${lines.map(line => `${indent} *${line ? ` ${line}` : ''}`).join('\n')}\n${indent} */`;
+}
+
+module.exports = { generateKotlinCode };
\ No newline at end of file
@@ -1,3 +1,42 @@
+const {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  toCredentialEnvName,
+  toOAuthEnvName,
+  getTokenFlows,
+  getOAuthSettings,
+  getExampleValue,
+  isJsonContentType,
+  getMessageExample,
+  getChannelParameterExample,
+  getExampleAddress,
+  getGrpcTarget,
+  getGrpcServices,
+  getProtoSources,
+  collectModelNames,
+  getRequestSchema,
+  getResponseSchema,
+  toSnakeCase,
+  toCamelCase,
+  describeCredential
+} = require('./generatorUtils');
+
+/**
+ * JavaScript reserved words, which cannot name parameters or locals
+ */
+const JS_KEYWORDS = [
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+  'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected',
+  'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var',
+  'void', 'while', 'with', 'yield', 'await'
+];
+
+/**
+ * Locals of the generated endpoint methods, which parameters must not shadow
+ */
+const METHOD_LOCALS = ['options', 'requestOptions', 'url', 'queryParams', 'auth', 'config', 'body'];
+
 /**
  * Generate Node.js integration code
  * @param {Object} parsedData - Parsed API data
@@ -6,17 +45,47 @@
  */
 async function generateNodeCode(parsedData, fileName) {
   const { baseUrl, authMethod, endpoints, title } = parsedData;
+  const securitySchemes = getSecuritySchemes(parsedData);
+  const hasGraphql = endpoints.some(endpoint => endpoint.graphql);
+  
+  // Message channels and gRPC services get their own clients; the HTTP client only sees request/response endpoints
+  const messagingEndpoints = endpoints.filter(endpoint => endpoint.messaging);
+  const grpcEndpoints = endpoints.filter(endpoint => endpoint.grpc);
+  const httpData = { ...parsedData, endpoints: endpoints.filter(endpoint => !endpoint.messaging && !endpoint.grpc) };
   
   const generatedCode = {};
   
   // Package.json
-  generatedCode['package.json'] = generatePackageJson(title);
+  generatedCode['package.json'] = generatePackageJson(title, grpcEndpoints.length > 0);
   
   // Main API client
-  generatedCode['src/ApiClient.js'] = generateApiClient(parsedData);
+  generatedCode['src/ApiClient.js'] = generateApiClient(httpData);
+  
+  // Model, operation and payload types
+  generatedCode['src/types.js'] = generateTypes(parsedData.schemas || {});
+  
+  // GraphQL errors
+  if (hasGraphql) {
+    generatedCode['src/utils/GraphQLError.js'] = generateGraphqlError();
+  }
+  
+  // Event client and in-process broker
+  if (messagingEndpoints.length > 0) {
+    generatedCode['src/EventClient.js'] = generateEventClient(parsedData, messagingEndpoints);
+    generatedCode['src/messaging/InMemoryBroker.js'] = generateInMemoryBroker();
+  }
+  
+  // gRPC client and the protos it loads at runtime
+  if (grpcEndpoints.length > 0) {
+    generatedCode['src/GrpcClient.js'] = generateGrpcClient(parsedData, grpcEndpoints);
+    for (const [importPath, source] of Object.entries(getProtoSources(parsedData))) {
+      generatedCode[`protos/${importPath}`] = source;
+    }
+  }
   
   // Authentication handler
-  generatedCode['src/auth/AuthHandler.js'] = generateAuthHandler(authMethod);
+  generatedCode['src/auth/AuthHandler.js'] = generateAuthHandler(securitySchemes);
+  generatedCode['src/auth/TokenManager.js'] = generateTokenManager();
   
   // Request handler
   generatedCode['src/utils/RequestHandler.js'] = generateRequestHandler();
@@ -28,13 +97,27 @@ async function generateNodeCode(parsedData, fileName) {
   generatedCode['src/config/Config.js'] = generateConfig();
   
   // Test files
-  generatedCode['tests/ApiClient.test.js'] = generateTests(parsedData);
+  generatedCode['tests/ApiClient.test.js'] = generateTests(httpData);
+  generatedCode['tests/AuthHandler.test.js'] = generateAuthHandlerTests(securitySchemes);
+  generatedCode['tests/TokenManager.test.js'] = generateTokenManagerTests();
+  if (messagingEndpoints.length > 0) {
+    generatedCode['tests/EventClient.test.js'] = generateEventClientTests(parsedData, messagingEndpoints);
+  }
+  if (grpcEndpoints.length > 0) {
+    generatedCode['tests/GrpcClient.test.js'] = generateGrpcClientTests(parsedData, grpcEndpoints);
+  }
   
   // Example usage
-  generatedCode['examples/basic-usage.js'] = generateExampleUsage(parsedData);
+  generatedCode['examples/basic-usage.js'] = generateExampleUsage(httpData);
+  if (messagingEndpoints.length > 0) {
+    generatedCode['examples/event-usage.js'] = generateEventUsage(parsedData, messagingEndpoints);
+  }
+  if (grpcEndpoints.length > 0) {
+    generatedCode['examples/grpc-usage.js'] = generateGrpcUsage(parsedData, grpcEndpoints);
+  }
   
   // Environment template
-  generatedCode['.env.example'] = generateEnvExample(authMethod);
+  generatedCode['.env.example'] = generateEnvExample(securitySchemes, grpcEndpoints.length > 0 ? getGrpcTarget(parsedData.baseUrl) : null);
   
   return generatedCode;
 }
@@ -42,7 +125,7 @@ async function generateNodeCode(parsedData, fileName) {
 /**
  * Generate package.json
  */
-function generatePackageJson(title) {
+function generatePackageJson(title, hasGrpc) {
   return `{
   "name": "${title.toLowerCase().replace(/[^a-z0-9]/g, '-')}-integration",
   "version": "1.0.0",
@@ -55,7 +138,9 @@ function generatePackageJson(title) {
   },
   "dependencies": {
     "axios": "^1.6.0",
-    "dotenv": "^16.3.1"
+    "dotenv": "^16.3.1"${hasGrpc ? `,
+    "@grpc/grpc-js": "^1.10.0",
+    "@grpc/proto-loader": "^0.7.10"` : ''}
   },
   "devDependencies": {
     "jest": "^29.7.0"
@@ -68,13 +153,19 @@ function generatePackageJson(title) {
  */
 function generateApiClient(parsedData) {
   const { baseUrl, authMethod, endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoints = endpoints.filter(endpoint => endpoint.graphql);
+  const methods = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlMethod(endpoint, getEndpointSecurity(endpoint, parsedData))
+    : generateEndpointMethod(endpoint, getEndpointSecurity(endpoint, parsedData), schemas));
+  const typeImports = generateTypeImports(getTypeNames(endpoints, methods.join('\n'), schemas));
   
   return `const axios = require('axios');
 const AuthHandler = require('./auth/AuthHandler');
 const RequestHandler = require('./utils/RequestHandler');
 const ErrorHandler = require('./utils/ErrorHandler');
 const Config = require('./config/Config');
-
+${graphqlEndpoints.length > 0 ? generateGraphqlPreamble(graphqlEndpoints, typeImports) : typeImports && `\n${typeImports}\n`}
 /**
  * ${title} API Client
  * Auto-generated integration client for ${title}
@@ -82,8 +173,6 @@ const Config = require('./config/Config');
 class ApiClient {
   constructor(config = {}) {
     this.config = new Config(config);
-    this.authHandler = new AuthHandler(this.config);
-    this.requestHandler = new RequestHandler(this.config);
     this.errorHandler = new ErrorHandler();
     
     // Initialize axios instance
@@ -95,10 +184,37 @@ class ApiClient {
         'User-Agent': '${title}-Integration/1.0.0'
       }
     });
+    
+    this.authHandler = new AuthHandler(this.config, axios);
+    this.requestHandler = new RequestHandler(this.config, this.client);
   }
 
-${endpoints.map(endpoint => generateEndpointMethod(endpoint)).join('\n\n')}
+${methods.join('\n\n')}
 
+  /**
+   * Send an authenticated request.
+   * A 401 response invalidates any OAuth 2.0 token that was used and the
+   * request is retried once with a freshly acquired token.
+   * @param {Array<Object>} security - Security requirements of the endpoint
+   * @param {Function} buildConfig - Builds the axios request config from the resolved auth
+   * @returns {Promise<Object>} Response data
+   */
+  async sendRequest(security, buildConfig) {
+    const auth = await this.authHandler.getAuth(security);
+    
+    try {
+      return await this.requestHandler.makeRequest(buildConfig(auth));
+    } catch (error) {
+      const unauthorized = error.response && error.response.status === 401;
+      if (!unauthorized || !this.authHandler.invalidateTokens(security)) {
+        throw error;
+      }
+      
+      const refreshedAuth = await this.authHandler.getAuth(security);
+      return this.requestHandler.makeRequest(buildConfig(refreshedAuth));
+    }
+  }
+${graphqlEndpoints.length > 0 ? generateExecuteGraphql() : ''}
   /**
    * Test connection to the API
    * @returns {Promise<boolean>} Connection status
@@ -119,34 +235,46 @@ module.exports = ApiClient;`;
 /**
  * Generate endpoint method
  */
-function generateEndpointMethod(endpoint) {
-  const { method, path, operationId, parameters, requestBody, summary, description } = endpoint;
+function generateEndpointMethod(endpoint, security, schemas) {
+  const { method, path, operationId, parameters, summary, description } = endpoint;
   
   const params = parameters.filter(p => p.in === 'path');
   const queryParams = parameters.filter(p => p.in === 'query');
-  const hasBody = requestBody && method !== 'GET' && method !== 'DELETE';
+  const bodySchema = getRequestSchema(endpoint);
+  const responseSchema = getResponseSchema(endpoint);
+  const hasBody = Boolean(bodySchema);
+  
+  // Options keep the parameter names; the locals they are read into are identifiers
+  const optionNames = [...params, ...queryParams].map(p => {
+    const local = toJsParamName(p);
+    return local === p.name ? local : `${isJsIdentifier(p.name) ? p.name : toJsLiteral(p.name)}: ${local}`;
+  });
+  if (hasBody) optionNames.push('body');
+  
+  // Path parameters are required, so the options are too when there are any
+  const optionDocs = [
+    ...params.map(p => `   * @param {${toJsDocType(p.schema || { type: p.type }, schemas)}} ${toJsMember('options', p.name)}${p.description ? ` - ${p.description}` : ''}`),
+    ...queryParams.map(p => `   * @param {${toJsDocType(p.schema || { type: p.type }, schemas)}} [${toJsMember('options', p.name)}]${p.description ? ` - ${p.description}` : ''}`),
+    ...(hasBody ? [`   * @param {${toJsDocType(bodySchema, schemas)}} ${endpoint.requestBody.required ? 'options.body' : '[options.body]'} - Request body`] : [])
+  ];
   
   let methodSignature = `  /**
    * ${summary || description || `${method} ${path}`}
-   * @param {Object} options - Request options
-   * @returns {Promise<Object>} API response
+   * @param {Object} ${params.length > 0 ? 'options' : '[options]'} - Request options, passed on to axios
+${optionDocs.map(line => `${line}\n`).join('')}   * @returns {Promise<${responseSchema ? toJsDocType(responseSchema, schemas) : 'Object'}>} API response
    */
   async ${operationId}(options = {}) {`;
   
-  if (params.length > 0) {
-    methodSignature += `\n    const { ${params.map(p => p.name).join(', ')}, ...restOptions } = options;`;
-  }
-  
-  if (queryParams.length > 0) {
-    methodSignature += `\n    const { ${queryParams.map(p => p.name).join(', ')}, ...requestOptions } = restOptions || options;`;
-  } else if (params.length > 0) {
-    methodSignature += `\n    const requestOptions = restOptions;`;
+  if (optionNames.length > 0) {
+    methodSignature += `\n    const { ${optionNames.join(', ')}, ...requestOptions } = options;`;
+  } else {
+    methodSignature += `\n    const requestOptions = options;`;
   }
   
   // Build URL with path parameters
   let urlBuilding = `    let url = '${path}';`;
   params.forEach(param => {
-    urlBuilding += `\n    url = url.replace('{${param.name}}', ${param.name});`;
+    urlBuilding += `\n    url = url.replace(${toJsLiteral(`{${param.name}}`)}, ${toJsParamName(param)});`;
   });
   
   // Build query parameters
@@ -154,223 +282,1149 @@ function generateEndpointMethod(endpoint) {
   if (queryParams.length > 0) {
     queryBuilding = `\n    const queryParams = {};`;
     queryParams.forEach(param => {
-      queryBuilding += `\n    if (${param.name} !== undefined) queryParams.${param.name} = ${param.name};`;
+      const local = toJsParamName(param);
+      queryBuilding += `\n    if (${local} !== undefined) ${toJsMember('queryParams', param.name)} = ${local};`;
     });
   }
   
-  // Build request config
-  let requestConfig = `\n    const config = {
-      method: '${method}',
-      url,
-      ${queryParams.length > 0 ? 'params: queryParams,' : ''}
-      ...requestOptions
-    };`;
+  // Build request config from the auth resolved for this endpoint's security requirements
+  let requestConfig = `\n      const config = {
+        method: '${method}',
+        url,
+        ...requestOptions,
+        params: { ${queryParams.length > 0 ? '...queryParams, ' : ''}...auth.params, ...requestOptions.params },
+        headers: { ...auth.headers, ...requestOptions.headers }
+      };`;
   
   if (hasBody) {
-    requestConfig += `\n    
-    if (options.body) {
-      config.data = options.body;
-    }`;
+    requestConfig += `\n      if (body !== undefined) {
+        config.data = body;
+      }`;
   }
   
   const methodBody = `${methodSignature}
-${urlBuilding}${queryBuilding}${requestConfig}
+${urlBuilding}${queryBuilding}
 
-    return this.requestHandler.makeRequest(config);
+    return this.sendRequest(${JSON.stringify(security)}, auth => {${requestConfig}
+      return config;
+    });
   }`;
   
   return methodBody;
 }
 
 /**
- * Generate authentication handler
- */
-function generateAuthHandler(authMethod) {
-  return `/**
- * Authentication Handler
- * Handles different types of authentication for API requests
+ * Names of the models the client's JSDoc refers to: GraphQL variable and
+ * result types, then the models in the other method signatures
  */
-class AuthHandler {
-  constructor(config) {
-    this.config = config;
+function getTypeNames(endpoints, methodSource, schemas) {
+  const typeNames = new Set();
+  for (const endpoint of endpoints.filter(endpoint => endpoint.graphql)) {
+    if (endpoint.requestBody?.schema?.ref) typeNames.add(endpoint.requestBody.schema.ref);
+    if (endpoint.responses['200']?.schema?.ref) typeNames.add(endpoint.responses['200'].schema.ref);
   }
+  
+  const signatureTypes = (methodSource.match(/@(?:param|returns) \{[^}]+\}/g) || []).join(' ');
+  Object.keys(schemas)
+    .filter(name => new RegExp(`\\b${name}\\b`).test(signatureTypes))
+    .forEach(name => typeNames.add(name));
+  return Array.from(typeNames);
+}
+
+/**
+ * Import models from types.js as typedef aliases
+ */
+function generateTypeImports(typeNames) {
+  return typeNames.map(name => `/** @typedef {import('./types').${name}} ${name} */`).join('\n');
+}
+
+/**
+ * Generate the GraphQL imports, type aliases and operation documents
+ */
+function generateGraphqlPreamble(graphqlEndpoints, typeImports) {
+  return `const GraphQLError = require('./utils/GraphQLError');
+
+${typeImports}
+
+${graphqlEndpoints.map(endpoint => `const ${toDocumentConstantName(endpoint.operationId)} = \`${escapeTemplateLiteral(endpoint.graphql.document)}\`;`).join('\n\n')}
+`;
+}
+
+/**
+ * Generate a typed GraphQL operation method
+ */
+function generateGraphqlMethod(endpoint, security) {
+  const { operationId, path, summary, description, requestBody, responses, graphql } = endpoint;
+  const variablesType = requestBody?.schema?.ref || 'Object';
+  const resultType = responses['200']?.schema?.ref || 'Object';
+  
+  return `  /**
+   * ${summary}${description ? `\n   * ${description}` : ''}
+   * @param {${variablesType}} ${requestBody?.required ? 'variables' : '[variables]'} - Operation variables
+   * @param {Object} [requestOptions] - Additional axios request options
+   * @returns {Promise<${resultType}>} Operation result
+   */
+  async ${operationId}(variables = {}, requestOptions = {}) {
+    return this.executeGraphql(${JSON.stringify(security)}, '${path}', ${toDocumentConstantName(operationId)}, ${JSON.stringify(graphql.operationName)}, variables, requestOptions);
+  }`;
+}
 
+/**
+ * Generate the ApiClient method that sends GraphQL operations
+ */
+function generateExecuteGraphql() {
+  return `
   /**
-   * Get authentication headers based on configured auth method
-   * @returns {Promise<Object>} Authentication headers
+   * Execute a GraphQL operation and return the \`data\` of its response
+   * @param {Array<Object>} security - Security requirements of the operation
+   * @param {string} path - GraphQL endpoint path
+   * @param {string} query - Operation document
+   * @param {?string} operationName - Operation to run from the document
+   * @param {Object} variables - Operation variables
+   * @param {Object} requestOptions - Additional axios request options
+   * @returns {Promise<Object>} Operation result
+   * @throws {GraphQLError} If the response carries GraphQL errors
    */
-  async getAuthHeaders() {
-    const authType = this.config.authType;
+  async executeGraphql(security, path, query, operationName, variables, requestOptions = {}) {
+    const payload = { query, variables: variables || {} };
+    if (operationName) {
+      payload.operationName = operationName;
+    }
     
-    switch (authType) {
-      case 'bearer':
-        return this.getBearerHeaders();
-      case 'apiKey':
-        return this.getApiKeyHeaders();
-      case 'basic':
-        return this.getBasicHeaders();
-      case 'oauth2':
-        return this.getOAuth2Headers();
+    const response = await this.sendRequest(security, auth => ({
+      method: 'POST',
+      url: path,
+      ...requestOptions,
+      params: { ...auth.params, ...requestOptions.params },
+      headers: { ...auth.headers, ...requestOptions.headers },
+      data: payload
+    }));
+    
+    if (response && Array.isArray(response.errors) && response.errors.length > 0) {
+      throw new GraphQLError(response.errors, response.data);
+    }
+    return response ? response.data : null;
+  }
+`;
+}
+
+/**
+ * Name of the module-level constant holding an operation document
+ */
+function toDocumentConstantName(operationId) {
+  return `${toSnakeCase(operationId).toUpperCase()}_DOCUMENT`;
+}
+
+/**
+ * Escape text for use inside a template literal
+ */
+function escapeTemplateLiteral(text) {
+  return text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+}
+
+/**
+ * Generate JSDoc typedefs for the registry models
+ */
+function generateTypes(schemas) {
+  const typedefs = Object.entries(schemas).map(([name, schema]) => {
+    if (schema.type === 'object' && !schema.oneOf && !schema.anyOf) {
+      const required = schema.required || [];
+      const properties = Object.entries(schema.properties || {}).map(([propName, propSchema]) => {
+        const propType = toJsDocType(propSchema, schemas);
+        const label = required.includes(propName) ? propName : `[${propName}]`;
+        return ` * @property {${propType}} ${label}${propSchema.description ? ` - ${propSchema.description}` : ''}`;
+      });
+      return `/**${schema.description ? `\n * ${schema.description}` : ''}
+ * @typedef {Object} ${name}
+${properties.join('\n')}
+ */`;
+    }
+    return `/**${schema.description ? `\n * ${schema.description}` : ''}
+ * @typedef {${toJsDocType(schema, schemas)}} ${name}
+ */`;
+  });
+  
+  return `/**
+ * Operation and model types
+ * Auto-generated JSDoc typedefs; import them with \`import('./types').Name\`
+ */
+
+${typedefs.join('\n\n')}
+
+module.exports = {};`;
+}
+
+/**
+ * JSDoc type expression for a schema node
+ */
+function toJsDocType(node, schemas) {
+  if (node.ref) {
+    return node.nullable ? `?${node.ref}` : node.ref;
+  }
+  
+  let type;
+  if (node.oneOf || node.anyOf) {
+    type = `(${(node.oneOf || node.anyOf).map(variant => toJsDocType(variant, schemas)).join('|')})`;
+  } else if (node.enum) {
+    type = `(${node.enum.map(value => JSON.stringify(value).replace(/"/g, "'")).join('|')})`;
+  } else {
+    switch (node.type) {
+      case 'integer':
+      case 'number':
+        type = 'number';
+        break;
+      case 'boolean':
+      case 'string':
+        type = node.type;
+        break;
+      case 'array':
+        type = `Array<${toJsDocType(node.items || {}, schemas)}>`;
+        break;
+      case 'object':
+        type = 'Object';
+        break;
       default:
-        return {};
+        type = '*';
     }
   }
+  return node.nullable && type !== '*' ? `?${type}` : type;
+}
+
+/**
+ * Generate the error thrown when a GraphQL response carries errors
+ */
+function generateGraphqlError() {
+  return `/**
+ * GraphQL Error
+ * Raised when a GraphQL response carries errors, which servers report with
+ * a 200 status. Any partial data returned alongside them is kept.
+ */
+class GraphQLError extends Error {
+  constructor(errors, data) {
+    super(errors.map(error => error.message).join('; '));
+    this.name = 'GraphQLError';
+    this.errors = errors;
+    this.data = data === undefined ? null : data;
+  }
+}
 
+module.exports = GraphQLError;`;
+}
+
+/**
+ * Generate the event client with a typed publisher or subscriber per channel operation
+ */
+function generateEventClient(parsedData, messagingEndpoints) {
+  const { title, schemas = {} } = parsedData;
+  const typeNames = new Set();
+  for (const endpoint of messagingEndpoints) {
+    const { payload } = endpoint.messaging;
+    [payload, ...(payload.oneOf || [])].forEach(node => node.ref && typeNames.add(node.ref));
+  }
+  
+  return `${Array.from(typeNames, name => `/** @typedef {import('./types').${name}} ${name} */`).join('\n')}${typeNames.size > 0 ? '\n\n' : ''}/**
+ * ${title} Event Client
+ * Typed publishers and subscribers for the ${title} channels. Messages travel
+ * through a broker adapter with \`publish(address, message)\` and
+ * \`subscribe(address, handler)\` methods: wrap your Kafka, AMQP, MQTT or
+ * WebSocket client in one, or use InMemoryBroker in tests.
+ */
+class EventClient {
   /**
-   * Get Bearer token headers
-   * @returns {Object} Bearer token headers
+   * @param {Object} broker - Broker adapter
    */
-  getBearerHeaders() {
-    const token = this.config.apiKey || this.config.bearerToken;
-    if (!token) {
-      throw new Error('Bearer token is required but not provided');
+  constructor(broker) {
+    if (!broker || typeof broker.publish !== 'function' || typeof broker.subscribe !== 'function') {
+      throw new Error('EventClient requires a broker with publish and subscribe methods');
     }
-    return {
-      'Authorization': \`Bearer \${token}\`
-    };
+    this.broker = broker;
   }
 
+${messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishMethod(endpoint, schemas)
+    : generateSubscribeMethod(endpoint, schemas)).join('\n\n')}
+
   /**
-   * Get API Key headers
-   * @returns {Object} API Key headers
+   * Encode a payload and publish it to a channel
+   * @param {string} channel - Channel address, with {parameter} placeholders
+   * @param {string} contentType - Message content type
+   * @param {*} payload - Message payload
+   * @param {Object} parameters - Channel parameter values
+   * @param {Object<string, string>} headers - Message headers
+   * @returns {Promise<void>}
    */
-  getApiKeyHeaders() {
-    const apiKey = this.config.apiKey;
-    if (!apiKey) {
-      throw new Error('API Key is required but not provided');
-    }
-    
-    const headerName = this.config.authHeaderName || 'X-API-Key';
-    return {
-      [headerName]: apiKey
-    };
+  async publish(channel, contentType, payload, parameters, headers) {
+    const address = resolveAddress(channel, parameters, true);
+    await this.broker.publish(address, {
+      headers: { 'content-type': contentType, ...headers },
+      payload: isJson(contentType) ? JSON.stringify(payload) : payload
+    });
   }
 
   /**
-   * Get Basic authentication headers
-   * @returns {Object} Basic auth headers
+   * Subscribe to a channel and decode the payload of each delivered message
+   * @param {string} channel - Channel address, with {parameter} placeholders
+   * @param {string} contentType - Message content type
+   * @param {Object} parameters - Channel parameter values to match; omitted ones match any value
+   * @param {Function} handler - Called with the decoded payload and the raw message
+   * @returns {Promise<Function>} Unsubscribes the handler
    */
-  getBasicHeaders() {
-    const username = this.config.username;
-    const password = this.config.password;
-    
-    if (!username || !password) {
-      throw new Error('Username and password are required for Basic authentication');
+  async subscribe(channel, contentType, parameters, handler) {
+    const address = resolveAddress(channel, parameters, false);
+    return this.broker.subscribe(address, async message => {
+      const payload = isJson(contentType) && (typeof message.payload === 'string' || Buffer.isBuffer(message.payload))
+        ? JSON.parse(message.payload.toString())
+        : message.payload;
+      await handler(payload, message);
+    });
+  }
+}
+
+/**
+ * Fill channel parameters into an address
+ * @param {string} channel - Channel address, with {parameter} placeholders
+ * @param {Object} parameters - Channel parameter values
+ * @param {boolean} requireAll - Reject missing parameters instead of keeping their placeholder
+ * @returns {string} Address
+ */
+function resolveAddress(channel, parameters = {}, requireAll) {
+  return channel.replace(/\\{([^}]+)\\}/g, (placeholder, name) => {
+    const value = parameters[name];
+    if (value === undefined || value === null) {
+      if (requireAll) {
+        throw new Error(\`Missing channel parameter "\${name}" for \${channel}\`);
+      }
+      return placeholder;
     }
+    return String(value);
+  });
+}
+
+function isJson(contentType) {
+  return /[/+]json\\b/i.test(contentType);
+}
+
+module.exports = EventClient;`;
+}
+
+/**
+ * Generate a method that publishes a message to a channel
+ */
+function generatePublishMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const payloadType = isJsonContentType(messaging.contentType) ? toJsDocType(messaging.payload, schemas) : '(string|Buffer)';
+  
+  return `  /**
+   * ${summary || `Publish to ${messaging.address}`}${description ? `\n   * ${description}` : ''}
+   * Channel: ${messaging.address}
+   * @param {${payloadType}} payload - Message payload
+   * @param {Object} ${parameters.length > 0 ? 'parameters' : '[parameters]'} - Channel parameters${parameters.length > 0 ? `: ${parameters.map(param => param.name).join(', ')}` : ''}
+   * @param {Object<string, string>} [headers] - Message headers
+   * @returns {Promise<void>}
+   */
+  async ${operationId}(payload, parameters = {}, headers = {}) {
+    await this.publish('${messaging.address}', '${messaging.contentType}', payload, parameters, headers);
+  }`;
+}
+
+/**
+ * Generate a method that subscribes a handler to a channel
+ */
+function generateSubscribeMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const payloadType = isJsonContentType(messaging.contentType) ? toJsDocType(messaging.payload, schemas) : '(string|Buffer)';
+  
+  return `  /**
+   * ${summary || `Subscribe to ${messaging.address}`}${description ? `\n   * ${description}` : ''}
+   * Channel: ${messaging.address}
+   * @param {function(${payloadType}, Object): (void|Promise<void>)} handler - Called with the payload and the raw message
+   * @param {Object} [parameters] - Channel parameters to match${parameters.length > 0 ? ` (${parameters.map(param => param.name).join(', ')})` : ''}; omitted ones match any value
+   * @returns {Promise<Function>} Unsubscribes the handler
+   */
+  async ${operationId}(handler, parameters = {}) {
+    return this.subscribe('${messaging.address}', '${messaging.contentType}', parameters, handler);
+  }`;
+}
+
+/**
+ * Generate the in-process broker used by tests and examples
+ */
+function generateInMemoryBroker() {
+  return `/**
+ * In-Memory Broker
+ * Delivers messages between publishers and subscribers in the same process.
+ * It implements the broker adapter interface EventClient uses, so generated
+ * publishers and subscribers can be tested without a running broker.
+ * Subscriptions that leave a channel parameter as a {placeholder} match any value.
+ */
+class InMemoryBroker {
+  constructor() {
+    this.subscriptions = [];
+    this.published = [];
+  }
+
+  /**
+   * Deliver a message to every matching subscription
+   * @param {string} address - Channel address
+   * @param {{headers: Object<string, string>, payload: *}} message - Message to deliver
+   * @returns {Promise<void>} Resolves once every handler has finished
+   */
+  async publish(address, message) {
+    const delivered = { address, headers: { ...message.headers }, payload: message.payload };
+    this.published.push(delivered);
     
-    const credentials = Buffer.from(\`\${username}:\${password}\`).toString('base64');
-    return {
-      'Authorization': \`Basic \${credentials}\`
-    };
+    const handlers = this.subscriptions
+      .filter(subscription => subscription.pattern.test(address))
+      .map(subscription => subscription.handler);
+    await Promise.all(handlers.map(handler => handler(delivered)));
   }
 
   /**
-   * Get OAuth2 headers
-   * @returns {Object} OAuth2 headers
+   * Register a handler for messages published to an address
+   * @param {string} address - Channel address, optionally with {parameter} wildcards
+   * @param {Function} handler - Called with each delivered message
+   * @returns {Promise<Function>} Removes the subscription
    */
-  getOAuth2Headers() {
-    const accessToken = this.config.accessToken;
-    if (!accessToken) {
-      throw new Error('OAuth2 access token is required but not provided');
-    }
-    return {
-      'Authorization': \`Bearer \${accessToken}\`
+  async subscribe(address, handler) {
+    const subscription = { pattern: toAddressPattern(address), handler };
+    this.subscriptions.push(subscription);
+    
+    return async () => {
+      this.subscriptions = this.subscriptions.filter(existing => existing !== subscription);
     };
   }
 }
 
-module.exports = AuthHandler;`;
+/**
+ * Build a pattern matching an address; {parameter} placeholders match one segment
+ */
+function toAddressPattern(address) {
+  const source = address
+    .split(/(\\{[^}]+\\})/)
+    .map(part => /^\\{[^}]+\\}$/.test(part) ? '[^/]+' : part.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&'))
+    .join('');
+  return new RegExp(\`^\${source}$\`);
+}
+
+module.exports = InMemoryBroker;`;
 }
 
 /**
- * Generate request handler
+ * Generate the gRPC client with a method per RPC that has no HTTP binding
  */
-function generateRequestHandler() {
-  return `/**
- * Request Handler
- * Handles HTTP requests with retry logic and proper error handling
+function generateGrpcClient(parsedData, grpcEndpoints) {
+  const { title, baseUrl, schemas = {} } = parsedData;
+  const services = getGrpcServices(grpcEndpoints);
+  const { target, insecure } = getGrpcTarget(baseUrl);
+  const typeNames = collectModelNames(grpcEndpoints.flatMap(endpoint => [endpoint.requestBody.schema, endpoint.responses['200'].schema]), schemas);
+  
+  return `const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+${typeNames.length > 0 ? `\n${typeNames.map(name => `/** @typedef {import('./types').${name}} ${name} */`).join('\n')}\n` : ''}
+const PROTO_DIR = path.join(__dirname, '..', 'protos');
+
+/**
+ * Loader options matching the generated JSDoc types: 64-bit integers and
+ * bytes as strings, enums by name, and unset fields filled with defaults
  */
-class RequestHandler {
-  constructor(config) {
-    this.config = config;
-  }
+const LOADER_OPTIONS = {
+  longs: String,
+  enums: String,
+  bytes: String,
+  defaults: true,
+  oneofs: true,
+  includeDirs: [PROTO_DIR]
+};
 
+/**
+ * ${title} gRPC Client
+ * Stubs for the RPCs without an HTTP binding, loaded from the bundled .proto
+ * files at runtime. Connects to GRPC_TARGET (default ${target})${insecure ? ' without TLS' : ' over TLS'};
+ * set GRPC_INSECURE=${insecure ? 'false to use TLS' : 'true for plaintext connections'}.
+ */
+class GrpcClient {
   /**
-   * Make HTTP request with retry logic
-   * @param {Object} config - Axios request config
-   * @returns {Promise<Object>} Response data
+   * @param {Object} [options] - Client options
+   * @param {string} [options.target] - host:port of the server
+   * @param {grpc.ChannelCredentials} [options.credentials] - Channel credentials
+   * @param {Object<string, string>} [options.metadata] - Metadata sent with every call, e.g. authorization
+   * @param {number} [options.timeout] - Deadline per call in milliseconds
    */
-  async makeRequest(config) {
-    const maxRetries = this.config.maxRetries || 3;
-    let lastError;
+  constructor(options = {}) {
+    const definition = protoLoader.loadSync([${Array.from(new Set(services.map(service => `'${service.file}'`))).join(', ')}], LOADER_OPTIONS);
+    const loaded = grpc.loadPackageDefinition(definition);
+    const target = options.target || process.env.GRPC_TARGET || '${target}';
+    const insecure = process.env.GRPC_INSECURE ? process.env.GRPC_INSECURE === 'true' : ${insecure};
+    const credentials = options.credentials || (insecure ? grpc.credentials.createInsecure() : grpc.credentials.createSsl());
+    
+    this.metadata = options.metadata || {};
+    this.timeout = options.timeout || parseInt(process.env.GRPC_TIMEOUT) || 30000;
+    this.stubs = {
+${services.map(service => `      ${service.name}: new (lookupService(loaded, '${service.fullName}'))(target, credentials)`).join(',\n')}
+    };
+  }
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const response = await this.config.client(config);
-        return response.data;
-      } catch (error) {
-        lastError = error;
-        
-        // Don't retry on client errors (4xx) except 429 (rate limit)
-        if (error.response && error.response.status >= 400 && error.response.status < 500 && error.response.status !== 429) {
-          throw error;
-        }
-        
-        // Don't retry on server errors (5xx) if it's the last attempt
-        if (attempt === maxRetries) {
-          throw error;
-        }
-        
-        // Wait before retrying (exponential backoff)
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-        await this.sleep(delay);
-      }
-    }
+${grpcEndpoints.map(endpoint => generateGrpcMethod(endpoint, schemas)).join('\n\n')}
 
-    throw lastError;
+  /**
+   * Close every channel
+   */
+  close() {
+    Object.values(this.stubs).forEach(stub => stub.close());
   }
 
   /**
-   * Sleep for specified milliseconds
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise<void>}
+   * Metadata and call options for one call
+   * @param {Object} options - Per-call options: metadata and timeout
+   * @returns {Array} Metadata and call options
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  callArguments(options = {}) {
+    const metadata = new grpc.Metadata();
+    for (const [key, value] of Object.entries({ ...this.metadata, ...options.metadata })) {
+      metadata.set(key, value);
+    }
+    return [metadata, { deadline: Date.now() + (options.timeout || this.timeout) }];
   }
 }
 
-module.exports = RequestHandler;`;
+/**
+ * Find a service constructor in a loaded package definition
+ * @param {Object} loaded - Result of grpc.loadPackageDefinition
+ * @param {string} fullName - Fully qualified service name
+ * @returns {Function} Client constructor
+ */
+function lookupService(loaded, fullName) {
+  const Service = fullName.split('.').reduce((scope, name) => scope && scope[name], loaded);
+  if (typeof Service !== 'function') {
+    throw new Error(\`Service \${fullName} not found in the bundled protos\`);
+  }
+  return Service;
+}
+
+module.exports = GrpcClient;`;
 }
 
 /**
- * Generate error handler
- */
-function generateErrorHandler() {
-  return `/**
- * Error Handler
- * Handles and formats API errors consistently
+ * Generate a method for one RPC, shaped by its streaming mode
  */
-class ErrorHandler {
-  /**
-   * Handle API errors and throw formatted exceptions
-   * @param {Error} error - Axios error
-   * @throws {ApiError} Formatted API error
+function generateGrpcMethod(endpoint, schemas) {
+  const { operationId, summary, description, grpc: rpc } = endpoint;
+  const requestType = toJsDocType(endpoint.requestBody.schema, schemas);
+  const responseType = toJsDocType(endpoint.responses['200'].schema, schemas);
+  const stub = `this.stubs.${rpc.service}.${rpc.method}`;
+  const header = `  /**
+   * ${summary || `${rpc.service}.${rpc.method}`}${description && description !== summary ? `\n   * ${description}` : ''}
+   * RPC: ${endpoint.path}`;
+  
+  if (rpc.requestStream && rpc.responseStream) {
+    return `${header}
+   * @param {Object} [options] - Per-call metadata and timeout
+   * @returns {grpc.ClientDuplexStream} Write ${requestType} messages; read ${responseType} messages from the 'data' event
    */
-  handleError(error) {
-    if (error.response) {
-      // Server responded with error status
-      const { status, statusText, data } = error.response;
-      throw new ApiError(
-        status,
-        statusText,
-        data,
-        error.request,
-        error.config
-      );
-    } else if (error.request) {
-      // Request was made but no response received
-      throw new ApiError(
+  ${operationId}(options = {}) {
+    return ${stub}(...this.callArguments(options));
+  }`;
+  }
+  
+  if (rpc.requestStream) {
+    return `${header}
+   * @param {Object} [options] - Per-call metadata and timeout
+   * @returns {{call: grpc.ClientWritableStream, response: Promise<${responseType}>}} Write ${requestType} messages to \`call\`, then end it
+   */
+  ${operationId}(options = {}) {
+    let call;
+    const response = new Promise((resolve, reject) => {
+      call = ${stub}(...this.callArguments(options), (error, message) => (error ? reject(error) : resolve(message)));
+    });
+    return { call, response };
+  }`;
+  }
+  
+  if (rpc.responseStream) {
+    return `${header}
+   * @param {${requestType}} request - Request message
+   * @param {Object} [options] - Per-call metadata and timeout
+   * @returns {grpc.ClientReadableStream} Emits ${responseType} messages as 'data' events
+   */
+  ${operationId}(request = {}, options = {}) {
+    return ${stub}(request, ...this.callArguments(options));
+  }`;
+  }
+  
+  return `${header}
+   * @param {${requestType}} request - Request message
+   * @param {Object} [options] - Per-call metadata and timeout
+   * @returns {Promise<${responseType}>} Response message
+   */
+  ${operationId}(request = {}, options = {}) {
+    return new Promise((resolve, reject) => {
+      ${stub}(request, ...this.callArguments(options), (error, response) => (error ? reject(error) : resolve(response)));
+    });
+  }`;
+}
+
+/**
+ * Generate authentication handler
+ */
+function generateAuthHandler(securitySchemes) {
+  const schemes = {};
+  for (const [name, scheme] of Object.entries(securitySchemes)) {
+    schemes[name] = {
+      type: scheme.type,
+      name: scheme.name,
+      in: scheme.in || 'header',
+      envVar: toCredentialEnvName(name)
+    };
+    if (scheme.type === 'oauth2') {
+      schemes[name].flows = getTokenFlows(scheme);
+    }
+  }
+  
+  return `const TokenManager = require('./TokenManager');
+
+/**
+ * Security schemes declared by the API, keyed by scheme name
+ */
+const SECURITY_SCHEMES = ${JSON.stringify(schemes, null, 2)};
+
+/**
+ * OAuth 2.0 client settings and the environment variable suffix each is read from
+ */
+const OAUTH_SETTINGS = {
+  clientId: 'CLIENT_ID',
+  clientSecret: 'CLIENT_SECRET',
+  username: 'USERNAME',
+  password: 'PASSWORD',
+  refreshToken: 'REFRESH_TOKEN',
+  authorizationCode: 'AUTHORIZATION_CODE',
+  redirectUri: 'REDIRECT_URI',
+  tokenUrl: 'TOKEN_URL'
+};
+
+/**
+ * Authentication Handler
+ * Applies the security schemes required by each endpoint
+ */
+class AuthHandler {
+  constructor(config, httpClient) {
+    this.config = config;
+    this.httpClient = httpClient;
+    this.tokenManagers = {};
+  }
+
+  /**
+   * Resolve authentication for a request.
+   * Requirements are alternatives: the first one whose credentials are all
+   * configured is applied. An empty requirement makes authentication optional.
+   * @param {Array<Object>} security - Security requirements, e.g. [{ apiKeyAuth: [] }]
+   * @returns {Promise<{headers: Object, params: Object}>} Auth headers and query parameters
+   */
+  async getAuth(security = []) {
+    const auth = { headers: {}, params: {} };
+    if (security.length === 0) {
+      return auth;
+    }
+
+    const requirement = this.selectRequirement(security);
+    if (!requirement) {
+      if (security.some(req => Object.keys(req).length === 0)) {
+        return auth;
+      }
+      const options = security.map(req => Object.keys(req).join(' + ')).join(' or ');
+      throw new Error(\`Missing credentials: this endpoint requires \${options}\`);
+    }
+
+    for (const schemeName of Object.keys(requirement)) {
+      await this.applyScheme(schemeName, requirement[schemeName], auth);
+    }
+    return auth;
+  }
+
+  /**
+   * Get authentication headers for the given security requirements
+   * @param {Array<Object>} security - Security requirements
+   * @returns {Promise<Object>} Authentication headers
+   */
+  async getAuthHeaders(security = []) {
+    const auth = await this.getAuth(security);
+    return auth.headers;
+  }
+
+  /**
+   * Drop the cached OAuth 2.0 tokens used for a request, e.g. after a 401 response
+   * @param {Array<Object>} security - Security requirements of the request
+   * @returns {boolean} True if a managed token was invalidated and the request can be retried
+   */
+  invalidateTokens(security = []) {
+    const requirement = this.selectRequirement(security);
+    if (!requirement) {
+      return false;
+    }
+
+    let invalidated = false;
+    for (const [schemeName, scopes] of Object.entries(requirement)) {
+      if (this.usesTokenManager(schemeName)) {
+        this.getTokenManager(schemeName).invalidate(scopes);
+        invalidated = true;
+      }
+    }
+    return invalidated;
+  }
+
+  /**
+   * Pick the first non-empty requirement whose schemes are all configured
+   */
+  selectRequirement(security) {
+    return security.find(req =>
+      Object.keys(req).length > 0 && Object.keys(req).every(name => this.isConfigured(name))
+    );
+  }
+
+  /**
+   * Check whether a scheme has a credential or can obtain one
+   */
+  isConfigured(schemeName) {
+    return Boolean(this.getCredential(schemeName)) || this.usesTokenManager(schemeName);
+  }
+
+  /**
+   * Check whether a scheme's token is obtained from the token endpoint rather than configured
+   */
+  usesTokenManager(schemeName) {
+    const scheme = SECURITY_SCHEMES[schemeName];
+    return Boolean(scheme) && scheme.type === 'oauth2' && !this.getCredential(schemeName) &&
+      this.getTokenManager(schemeName).canAcquireToken();
+  }
+
+  /**
+   * Get the token manager of an OAuth 2.0 scheme, creating it on first use
+   * @param {string} schemeName - Security scheme name
+   * @returns {TokenManager} Token manager shared by all requests using the scheme
+   */
+  getTokenManager(schemeName) {
+    if (!this.tokenManagers[schemeName]) {
+      const scheme = SECURITY_SCHEMES[schemeName];
+      const settings = {};
+      for (const [key, suffix] of Object.entries(OAUTH_SETTINGS)) {
+        const value = process.env[\`\${scheme.envVar}_\${suffix}\`];
+        if (value) settings[key] = value;
+      }
+      Object.assign(settings, this.config.oauth2[schemeName]);
+
+      this.tokenManagers[schemeName] = new TokenManager(scheme, settings, {
+        baseUrl: this.config.baseUrl,
+        timeout: this.config.timeout,
+        httpClient: this.httpClient
+      });
+    }
+    return this.tokenManagers[schemeName];
+  }
+
+  /**
+   * Look up the configured credential for a security scheme.
+   * Per-scheme credentials take precedence over the generic settings.
+   * @param {string} schemeName - Security scheme name
+   * @returns {string|undefined} Credential value
+   */
+  getCredential(schemeName) {
+    const scheme = SECURITY_SCHEMES[schemeName];
+    if (!scheme) {
+      return undefined;
+    }
+
+    const explicit = this.config.credentials[schemeName] || process.env[scheme.envVar];
+    if (explicit) {
+      return explicit;
+    }
+
+    switch (scheme.type) {
+      case 'bearer':
+        return this.config.bearerToken || this.config.apiKey;
+      case 'apiKey':
+        return this.config.apiKey;
+      case 'basic':
+        return this.config.username && this.config.password
+          ? \`\${this.config.username}:\${this.config.password}\`
+          : undefined;
+      case 'oauth2':
+        return this.config.accessToken;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Apply a single security scheme to the outgoing request
+   * @param {string} schemeName - Security scheme name
+   * @param {Array<string>} scopes - Scopes required by the endpoint
+   * @param {Object} auth - Headers and query parameters being built
+   */
+  async applyScheme(schemeName, scopes, auth) {
+    const scheme = SECURITY_SCHEMES[schemeName];
+    const credential = this.getCredential(schemeName);
+
+    switch (scheme.type) {
+      case 'bearer':
+        auth.headers['Authorization'] = \`Bearer \${credential}\`;
+        break;
+      case 'oauth2': {
+        const token = credential || await this.getTokenManager(schemeName).getToken(scopes);
+        auth.headers['Authorization'] = \`Bearer \${token}\`;
+        break;
+      }
+      case 'basic':
+        auth.headers['Authorization'] = \`Basic \${Buffer.from(credential).toString('base64')}\`;
+        break;
+      case 'apiKey':
+        if (scheme.in === 'query') {
+          auth.params[scheme.name] = credential;
+        } else if (scheme.in === 'cookie') {
+          auth.headers['Cookie'] = [auth.headers['Cookie'], \`\${scheme.name}=\${credential}\`].filter(Boolean).join('; ');
+        } else {
+          auth.headers[scheme.name] = credential;
+        }
+        break;
+    }
+  }
+}
+
+module.exports = AuthHandler;
+module.exports.SECURITY_SCHEMES = SECURITY_SCHEMES;`;
+}
+
+/**
+ * Generate OAuth 2.0 token manager
+ */
+function generateTokenManager() {
+  return `const axios = require('axios');
+
+/**
+ * OAuth 2.0 flows that can obtain tokens without user interaction, in order of preference
+ */
+const TOKEN_FLOWS = ['authorizationCode', 'password', 'clientCredentials'];
+
+/**
+ * OAuth 2.0 Token Manager
+ * Fetches access tokens from the token endpoint, caches them until they expire,
+ * refreshes them with the refresh token and shares a single in-flight request
+ * between concurrent callers.
+ */
+class TokenManager {
+  /**
+   * @param {Object} scheme - Security scheme with its OAuth 2.0 flows
+   * @param {Object} settings - Client settings (clientId, clientSecret, username, password, refreshToken, ...)
+   * @param {Object} options - Token endpoint options (baseUrl, timeout, httpClient)
+   */
+  constructor(scheme, settings = {}, options = {}) {
+    this.scheme = scheme;
+    this.settings = settings;
+    this.baseUrl = options.baseUrl || '';
+    this.timeout = options.timeout || 30000;
+    this.httpClient = options.httpClient || axios;
+    this.tokens = new Map();
+    this.pending = new Map();
+    this.authorizationCodeUsed = false;
+    // Most recent refresh token, so a used authorization code can still be refreshed
+    this.refreshToken = settings.refreshToken;
+  }
+
+  /**
+   * Name of the flow used to obtain tokens
+   */
+  get flow() {
+    if (this.settings.flow) {
+      return this.settings.flow;
+    }
+
+    const flows = this.scheme.flows || {};
+    const available = TOKEN_FLOWS.filter(name => flows[name]);
+    const usable = available.find(name => this.hasGrantCredentials(name));
+    return usable || available[0] || (this.settings.tokenUrl ? 'clientCredentials' : undefined);
+  }
+
+  get tokenUrl() {
+    const flow = (this.scheme.flows || {})[this.flow];
+    return this.settings.tokenUrl || (flow && flow.tokenUrl);
+  }
+
+  get refreshUrl() {
+    const flow = (this.scheme.flows || {})[this.flow];
+    return this.settings.refreshUrl || (flow && flow.refreshUrl) || this.tokenUrl;
+  }
+
+  /**
+   * Check whether enough settings are configured to obtain a token
+   * @returns {boolean} True if getToken() can succeed
+   */
+  canAcquireToken() {
+    return Boolean(this.tokenUrl) && Boolean(this.refreshToken || this.hasGrantCredentials(this.flow));
+  }
+
+  /**
+   * Get a valid access token for the given scopes, fetching or refreshing it when needed
+   * @param {Array<string>} scopes - Scopes to request
+   * @returns {Promise<string>} Access token
+   */
+  async getToken(scopes = []) {
+    const key = this.cacheKey(scopes);
+    const cached = this.tokens.get(key);
+    if (cached && cached.accessToken && !this.isExpired(cached)) {
+      return cached.accessToken;
+    }
+
+    // Concurrent callers wait for the same token request
+    if (!this.pending.has(key)) {
+      const request = this.fetchToken(key, scopes).finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+    return this.pending.get(key);
+  }
+
+  /**
+   * Discard the cached access token, keeping the refresh token for the next fetch
+   * @param {Array<string>} scopes - Scopes the token was requested for
+   */
+  invalidate(scopes = []) {
+    const cached = this.tokens.get(this.cacheKey(scopes));
+    if (cached) {
+      cached.accessToken = undefined;
+    }
+  }
+
+  /**
+   * Obtain a new token, preferring the refresh token over a new grant
+   */
+  async fetchToken(key, scopes) {
+    const cached = this.tokens.get(key) || {};
+    const refreshToken = cached.refreshToken || this.refreshToken;
+    let token;
+
+    if (refreshToken) {
+      try {
+        token = await this.requestToken(this.refreshUrl, {
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken
+        }, scopes);
+      } catch (error) {
+        // An expired or revoked refresh token falls back to a new grant when possible
+        if (!this.hasGrantCredentials(this.flow)) {
+          throw error;
+        }
+      }
+    }
+
+    if (!token) {
+      token = await this.requestToken(this.tokenUrl, this.getGrantParams(), scopes);
+    }
+
+    const entry = {
+      accessToken: token.access_token,
+      refreshToken: token.refresh_token || refreshToken,
+      expiresAt: this.getExpiry(token.expires_in)
+    };
+    this.tokens.set(key, entry);
+    if (token.refresh_token) {
+      this.refreshToken = token.refresh_token;
+    }
+    return entry.accessToken;
+  }
+
+  /**
+   * Check whether the grant for a flow can be performed with the configured settings
+   */
+  hasGrantCredentials(flow) {
+    switch (flow) {
+      case 'clientCredentials':
+        return Boolean(this.settings.clientId);
+      case 'password':
+        return Boolean(this.settings.username && this.settings.password);
+      case 'authorizationCode':
+        return Boolean(this.settings.authorizationCode) && !this.authorizationCodeUsed;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Build the token request parameters for the selected flow
+   */
+  getGrantParams() {
+    switch (this.flow) {
+      case 'clientCredentials':
+        return { grant_type: 'client_credentials' };
+      case 'password':
+        return { grant_type: 'password', username: this.settings.username, password: this.settings.password };
+      case 'authorizationCode':
+        if (!this.hasGrantCredentials('authorizationCode')) {
+          throw new Error('OAuth 2.0 authorization code flow needs a refresh token or an unused authorization code');
+        }
+        // Authorization codes are single-use; later tokens come from the refresh token
+        this.authorizationCodeUsed = true;
+        return {
+          grant_type: 'authorization_code',
+          code: this.settings.authorizationCode,
+          ...(this.settings.redirectUri && { redirect_uri: this.settings.redirectUri })
+        };
+      default:
+        throw new Error(\`OAuth 2.0 flow "\${this.flow}" cannot obtain tokens automatically; configure an access token instead\`);
+    }
+  }
+
+  /**
+   * Call the token endpoint
+   * @param {string} url - Token endpoint URL, absolute or relative to the API base URL
+   * @param {Object} params - Grant parameters
+   * @param {Array<string>} scopes - Scopes to request
+   * @returns {Promise<Object>} Token response
+   */
+  async requestToken(url, params, scopes) {
+    const form = new URLSearchParams(params);
+    if (scopes.length > 0) {
+      form.set('scope', scopes.join(' '));
+    }
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+    const { clientId, clientSecret } = this.settings;
+    if (clientId && clientSecret && this.settings.clientAuthentication !== 'body') {
+      const credentials = \`\${encodeURIComponent(clientId)}:\${encodeURIComponent(clientSecret)}\`;
+      headers['Authorization'] = \`Basic \${Buffer.from(credentials).toString('base64')}\`;
+    } else if (clientId) {
+      form.set('client_id', clientId);
+      if (clientSecret) form.set('client_secret', clientSecret);
+    }
+
+    const response = await this.httpClient({
+      method: 'POST',
+      url,
+      baseURL: this.baseUrl || undefined,
+      timeout: this.timeout,
+      headers,
+      data: form.toString()
+    });
+
+    if (!response.data || !response.data.access_token) {
+      throw new Error('Token endpoint response did not include an access_token');
+    }
+    return response.data;
+  }
+
+  /**
+   * Compute when a token should be treated as expired, leaving a safety margin
+   */
+  getExpiry(expiresIn) {
+    const seconds = Number(expiresIn);
+    if (!seconds) {
+      return null;
+    }
+    return Date.now() + seconds * 1000 - Math.min(30000, seconds * 500);
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && Date.now() >= entry.expiresAt;
+  }
+
+  cacheKey(scopes) {
+    return [...scopes].sort().join(' ');
+  }
+}
+
+module.exports = TokenManager;`;
+}
+
+/**
+ * Generate request handler
+ */
+function generateRequestHandler() {
+  return `/**
+ * Request Handler
+ * Handles HTTP requests with retry logic and proper error handling
+ */
+class RequestHandler {
+  constructor(config, client) {
+    this.config = config;
+    this.client = client;
+  }
+
+  /**
+   * Make HTTP request with retry logic
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} Response data
+   */
+  async makeRequest(config) {
+    const maxRetries = this.config.maxRetries || 3;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const response = await this.client(config);
+        return response.data;
+      } catch (error) {
+        lastError = error;
+        
+        // Don't retry on client errors (4xx) except 429 (rate limit)
+        if (error.response && error.response.status >= 400 && error.response.status < 500 && error.response.status !== 429) {
+          throw error;
+        }
+        
+        // Don't retry on server errors (5xx) if it's the last attempt
+        if (attempt === maxRetries) {
+          throw error;
+        }
+        
+        // Wait before retrying (exponential backoff)
+        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+        await this.sleep(delay);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Sleep for specified milliseconds
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RequestHandler;`;
+}
+
+/**
+ * Generate error handler
+ */
+function generateErrorHandler() {
+  return `/**
+ * Error Handler
+ * Handles and formats API errors consistently
+ */
+class ErrorHandler {
+  /**
+   * Handle API errors and throw formatted exceptions
+   * @param {Error} error - Axios error
+   * @throws {ApiError} Formatted API error
+   */
+  handleError(error) {
+    if (error.response) {
+      // Server responded with error status
+      const { status, statusText, data } = error.response;
+      throw new ApiError(
+        status,
+        statusText,
+        data,
+        error.request,
+        error.config
+      );
+    } else if (error.request) {
+      // Request was made but no response received
+      throw new ApiError(
         0,
         'No response received',
         null,
@@ -391,119 +1445,659 @@ class ErrorHandler {
 }
 
 /**
- * Custom API Error class
+ * Custom API Error class
+ */
+class ApiError extends Error {
+  constructor(status, message, data, request, config) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.request = request;
+    this.config = config;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+module.exports = ErrorHandler;
+module.exports.ApiError = ApiError;`;
+}
+
+/**
+ * Generate configuration
+ */
+function generateConfig() {
+  return `require('dotenv').config();
+
+/**
+ * Configuration Manager
+ * Manages API client configuration with environment variable support
+ */
+class Config {
+  constructor(config = {}) {
+    this.config = {
+      baseUrl: config.baseUrl || process.env.API_BASE_URL || '',
+      timeout: config.timeout || parseInt(process.env.API_TIMEOUT) || 30000,
+      maxRetries: config.maxRetries || parseInt(process.env.API_MAX_RETRIES) || 3,
+      
+      // Authentication
+      credentials: config.credentials || {},
+      oauth2: config.oauth2 || {},
+      apiKey: config.apiKey || process.env.API_KEY,
+      bearerToken: config.bearerToken || process.env.API_BEARER_TOKEN,
+      username: config.username || process.env.API_USERNAME,
+      password: config.password || process.env.API_PASSWORD,
+      accessToken: config.accessToken || process.env.API_ACCESS_TOKEN
+    };
+  }
+
+  // Getters for common properties
+  get baseUrl() { return this.config.baseUrl; }
+  get timeout() { return this.config.timeout; }
+  get maxRetries() { return this.config.maxRetries; }
+  get credentials() { return this.config.credentials; }
+  get oauth2() { return this.config.oauth2; }
+  get apiKey() { return this.config.apiKey; }
+  get bearerToken() { return this.config.bearerToken; }
+  get username() { return this.config.username; }
+  get password() { return this.config.password; }
+  get accessToken() { return this.config.accessToken; }
+}
+
+module.exports = Config;`;
+}
+
+/**
+ * Generate test files
+ */
+function generateTests(parsedData) {
+  const { endpoints, title } = parsedData;
+  
+  return `const ApiClient = require('../src/ApiClient');
+
+describe('${title} API Client', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new ApiClient({
+      baseUrl: 'https://api.example.com',
+      apiKey: 'test-api-key'
+    });
+  });
+
+  describe('Configuration', () => {
+    test('should initialize with correct configuration', () => {
+      expect(client.config.baseUrl).toBe('https://api.example.com');
+      expect(client.config.apiKey).toBe('test-api-key');
+    });
+  });
+
+${endpoints.map(endpoint => endpoint.graphql ? generateGraphqlTest(endpoint) : generateEndpointTest(endpoint)).join('\n\n')}
+${endpoints.some(endpoint => endpoint.graphql) ? generateGraphqlErrorTest(endpoints.find(endpoint => endpoint.graphql)) : ''}
+  describe('sendRequest', () => {
+    test('should retry once with a fresh token after a 401 response', async () => {
+      const unauthorized = Object.assign(new Error('Unauthorized'), { response: { status: 401 } });
+      client.authHandler.getAuth = jest.fn()
+        .mockResolvedValueOnce({ headers: { Authorization: 'Bearer stale' }, params: {} })
+        .mockResolvedValueOnce({ headers: { Authorization: 'Bearer fresh' }, params: {} });
+      client.authHandler.invalidateTokens = jest.fn().mockReturnValue(true);
+      client.requestHandler.makeRequest = jest.fn()
+        .mockRejectedValueOnce(unauthorized)
+        .mockResolvedValueOnce({ success: true });
+      
+      const result = await client.sendRequest([{ oauth2: [] }], auth => ({ url: '/', headers: auth.headers }));
+      
+      expect(result).toEqual({ success: true });
+      expect(client.requestHandler.makeRequest).toHaveBeenLastCalledWith({ url: '/', headers: { Authorization: 'Bearer fresh' } });
+    });
+
+    test('should not retry a 401 response without managed tokens', async () => {
+      const unauthorized = Object.assign(new Error('Unauthorized'), { response: { status: 401 } });
+      client.authHandler.getAuth = jest.fn().mockResolvedValue({ headers: {}, params: {} });
+      client.authHandler.invalidateTokens = jest.fn().mockReturnValue(false);
+      client.requestHandler.makeRequest = jest.fn().mockRejectedValue(unauthorized);
+      
+      await expect(client.sendRequest([], () => ({ url: '/' }))).rejects.toThrow('Unauthorized');
+      expect(client.requestHandler.makeRequest).toHaveBeenCalledTimes(1);
+    });
+  });
+});`;
+}
+
+/**
+ * Local an endpoint parameter is read into: its own name when that is an
+ * identifier, clear of reserved words and the method's locals
+ */
+function toJsParamName(param) {
+  const name = isJsIdentifier(param.name) ? param.name : toCamelCase(param.name);
+  return JS_KEYWORDS.includes(name) || METHOD_LOCALS.includes(name) ? `${name}Value` : name;
+}
+
+/**
+ * Whether a name can be written as a bare identifier
+ */
+function isJsIdentifier(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+/**
+ * Property access, bracketed when the name is not an identifier
+ */
+function toJsMember(object, name) {
+  return isJsIdentifier(name) ? `${object}.${name}` : `${object}[${toJsLiteral(name)}]`;
+}
+
+/**
+ * Single-quoted JavaScript string literal
+ */
+function toJsLiteral(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Generate endpoint test
+ */
+function generateEndpointTest(endpoint) {
+  const { method, path, operationId, parameters } = endpoint;
+  
+  const pathParams = parameters.filter(p => p.in === 'path');
+  const args = pathParams.length > 0
+    ? `{ ${pathParams.map(p => `${isJsIdentifier(p.name) ? p.name : toJsLiteral(p.name)}: ${toJsLiteral(`test-${p.name}`)}`).join(', ')} }`
+    : '';
+  const expectedUrl = pathParams.reduce((url, p) => url.replace(`{${p.name}}`, `test-${p.name}`), path);
+  
+  return `  describe('${operationId}', () => {
+    test('should make ${method} request to ${path}', async () => {
+      const mockResponse = { data: { success: true } };
+      client.authHandler.getAuth = jest.fn().mockResolvedValue({ headers: {}, params: {} });
+      client.requestHandler.makeRequest = jest.fn().mockResolvedValue(mockResponse);
+      
+      const result = await client.${operationId}(${args});
+      
+      expect(client.requestHandler.makeRequest).toHaveBeenCalledWith(
+        expect.objectContaining({
+          method: '${method}',
+          url: '${expectedUrl}'
+        })
+      );
+      expect(result).toEqual(mockResponse);
+    });
+  });`;
+}
+
+/**
+ * Generate a GraphQL operation test
+ */
+function generateGraphqlTest(endpoint) {
+  const { operationId, path, graphql } = endpoint;
+  
+  return `  describe('${operationId}', () => {
+    test('should POST the ${graphql.operationName || operationId} ${graphql.operationType} to ${path}', async () => {
+      client.authHandler.getAuth = jest.fn().mockResolvedValue({ headers: {}, params: {} });
+      client.requestHandler.makeRequest = jest.fn().mockResolvedValue({ data: { success: true } });
+      
+      const result = await client.${operationId}({});
+      
+      expect(client.requestHandler.makeRequest).toHaveBeenCalledWith(
+        expect.objectContaining({
+          method: 'POST',
+          url: '${path}',
+          data: expect.objectContaining({ query: expect.stringContaining('${graphql.operationType}') })
+        })
+      );
+      expect(result).toEqual({ success: true });
+    });
+  });`;
+}
+
+/**
+ * Generate the test for GraphQL errors reported in a 200 response
  */
-class ApiError extends Error {
-  constructor(status, message, data, request, config) {
-    super(message);
-    this.name = 'ApiError';
-    this.status = status;
-    this.data = data;
-    this.request = request;
-    this.config = config;
-    this.timestamp = new Date().toISOString();
-  }
+function generateGraphqlErrorTest(endpoint) {
+  return `
+  describe('executeGraphql', () => {
+    test('should throw GraphQL errors with the partial data', async () => {
+      client.authHandler.getAuth = jest.fn().mockResolvedValue({ headers: {}, params: {} });
+      client.requestHandler.makeRequest = jest.fn().mockResolvedValue({
+        data: { partial: true },
+        errors: [{ message: 'Not authorized' }]
+      });
+      
+      await expect(client.${endpoint.operationId}({})).rejects.toMatchObject({
+        name: 'GraphQLError',
+        message: 'Not authorized',
+        data: { partial: true }
+      });
+    });
+  });
+`;
 }
 
-module.exports = ErrorHandler;
-module.exports.ApiError = ApiError;`;
+/**
+ * Example variables object for a GraphQL operation
+ */
+function generateExampleVariables(endpoint, schemas) {
+  const variables = endpoint.graphql.variables.filter(variable => variable.required);
+  if (variables.length === 0) return '{}';
+  return `{ ${variables.map(variable => `${variable.name}: ${JSON.stringify(getExampleValue(variable.schema, schemas))}`).join(', ')} }`;
 }
 
 /**
- * Generate configuration
+ * Generate event client tests, run against the in-process broker
  */
-function generateConfig() {
-  return `require('dotenv').config();
+function generateEventClientTests(parsedData, messagingEndpoints) {
+  const { title, schemas = {} } = parsedData;
+  
+  return `const EventClient = require('../src/EventClient');
+const InMemoryBroker = require('../src/messaging/InMemoryBroker');
+
+describe('${title} Event Client', () => {
+  let broker;
+  let client;
+
+  beforeEach(() => {
+    broker = new InMemoryBroker();
+    client = new EventClient(broker);
+  });
+
+  test('should require a broker adapter', () => {
+    expect(() => new EventClient()).toThrow('publish and subscribe');
+  });
+
+${messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishTest(endpoint, schemas)
+    : generateSubscribeTest(endpoint, schemas)).join('\n\n')}
+});`;
+}
 
 /**
- * Configuration Manager
- * Manages API client configuration with environment variable support
+ * Generate the test for a publishing method
  */
-class Config {
-  constructor(config = {}) {
-    this.config = {
-      baseUrl: config.baseUrl || process.env.API_BASE_URL || '',
-      timeout: config.timeout || parseInt(process.env.API_TIMEOUT) || 30000,
-      maxRetries: config.maxRetries || parseInt(process.env.API_MAX_RETRIES) || 3,
+function generatePublishTest(endpoint, schemas) {
+  const { operationId, parameters, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const address = getExampleAddress(endpoint);
+  
+  return `  describe('${operationId}', () => {
+    test('should publish to ${messaging.address}', async () => {
+      const payload = ${JSON.stringify(getMessageExample(endpoint, schemas))};
+      const received = jest.fn();
+      await broker.subscribe('${address}', received);
       
-      // Authentication
-      authType: config.authType || process.env.API_AUTH_TYPE || 'none',
-      apiKey: config.apiKey || process.env.API_KEY,
-      bearerToken: config.bearerToken || process.env.API_BEARER_TOKEN,
-      username: config.username || process.env.API_USERNAME,
-      password: config.password || process.env.API_PASSWORD,
-      accessToken: config.accessToken || process.env.API_ACCESS_TOKEN,
-      authHeaderName: config.authHeaderName || process.env.API_AUTH_HEADER_NAME
-    };
-  }
+      await client.${operationId}(payload, ${generateExampleParameters(parameters)});
+      
+      expect(received).toHaveBeenCalledWith(expect.objectContaining({
+        address: '${address}',
+        headers: expect.objectContaining({ 'content-type': '${messaging.contentType}' }),
+        payload: ${isJson ? 'JSON.stringify(payload)' : 'payload'}
+      }));
+    });${parameters.length > 0 ? `
 
-  // Getters for common properties
-  get baseUrl() { return this.config.baseUrl; }
-  get timeout() { return this.config.timeout; }
-  get maxRetries() { return this.config.maxRetries; }
-  get authType() { return this.config.authType; }
-  get apiKey() { return this.config.apiKey; }
-  get bearerToken() { return this.config.bearerToken; }
-  get username() { return this.config.username; }
-  get password() { return this.config.password; }
-  get accessToken() { return this.config.accessToken; }
-  get authHeaderName() { return this.config.authHeaderName; }
+    test('should reject a missing channel parameter', async () => {
+      await expect(client.${operationId}(${JSON.stringify(getMessageExample(endpoint, schemas))})).rejects.toThrow('Missing channel parameter "${parameters[0].name}"');
+    });` : ''}
+  });`;
 }
 
-module.exports = Config;`;
+/**
+ * Generate the tests for a subscribing method
+ */
+function generateSubscribeTest(endpoint, schemas) {
+  const { operationId, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const address = getExampleAddress(endpoint);
+  const message = `{
+        headers: { 'content-type': '${messaging.contentType}' },
+        payload: ${isJson ? 'JSON.stringify(payload)' : 'payload'}
+      }`;
+  
+  return `  describe('${operationId}', () => {
+    test('should deliver ${messaging.address} messages', async () => {
+      const payload = ${JSON.stringify(getMessageExample(endpoint, schemas))};
+      const handler = jest.fn();
+      await client.${operationId}(handler);
+      
+      await broker.publish('${address}', ${message});
+      
+      expect(handler).toHaveBeenCalledWith(payload, expect.objectContaining({ address: '${address}' }));
+    });
+
+    test('should stop delivering after unsubscribing', async () => {
+      const payload = ${JSON.stringify(getMessageExample(endpoint, schemas))};
+      const handler = jest.fn();
+      const unsubscribe = await client.${operationId}(handler);
+      
+      await unsubscribe();
+      await broker.publish('${address}', ${message});
+      
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });`;
 }
 
 /**
- * Generate test files
+ * Generate gRPC client tests, run against an in-process server built from the same protos
  */
-function generateTests(parsedData) {
-  const { endpoints, title } = parsedData;
+function generateGrpcClientTests(parsedData, grpcEndpoints) {
+  const { title } = parsedData;
+  const services = getGrpcServices(grpcEndpoints);
+  const unary = grpcEndpoints.find(endpoint => !endpoint.grpc.requestStream && !endpoint.grpc.responseStream);
   
-  return `const ApiClient = require('../src/ApiClient');
+  return `const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const GrpcClient = require('../src/GrpcClient');
 
-describe('${title} API Client', () => {
+const definition = protoLoader.loadSync([${Array.from(new Set(services.map(service => `'${service.file}'`))).join(', ')}], {
+  longs: String,
+  enums: String,
+  bytes: String,
+  defaults: true,
+  oneofs: true,
+  includeDirs: [path.join(__dirname, '..', 'protos')]
+});
+const loaded = grpc.loadPackageDefinition(definition);
+
+/**
+ * Fake implementation: unary and client-streaming RPCs answer with an empty
+ * message, server streams send one, and bidirectional streams echo
+ */
+const received = [];
+let failure = null;
+
+const implementation = {
+  unary: (call, callback) => {
+    received.push({ request: call.request, metadata: call.metadata });
+    callback(failure, failure ? undefined : {});
+  },
+  serverStream: call => {
+    received.push({ request: call.request, metadata: call.metadata });
+    call.write({});
+    call.end();
+  },
+  clientStream: (call, callback) => {
+    call.on('data', message => received.push({ request: message, metadata: call.metadata }));
+    call.on('end', () => callback(null, {}));
+  },
+  bidiStream: call => {
+    call.on('data', message => call.write(message));
+    call.on('end', () => call.end());
+  }
+};
+
+function collect(stream) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    stream.on('data', message => messages.push(message));
+    stream.on('end', () => resolve(messages));
+    stream.on('error', reject);
+  });
+}
+
+describe('${title} gRPC Client', () => {
+  let server;
   let client;
 
-  beforeEach(() => {
-    client = new ApiClient({
-      baseUrl: 'https://api.example.com',
-      apiKey: 'test-api-key'
+  beforeAll(async () => {
+    server = new grpc.Server();
+${services.map(service => `    server.addService(loaded${service.fullName.split('.').map(name => `.${name}`).join('')}.service, {
+${service.endpoints.map(endpoint => `      ${endpoint.grpc.method}: implementation.${getStreamingKind(endpoint.grpc)}`).join(',\n')}
+    });`).join('\n')}
+    const port = await new Promise((resolve, reject) => {
+      server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (error, boundPort) => (error ? reject(error) : resolve(boundPort)));
+    });
+    client = new GrpcClient({
+      target: \`127.0.0.1:\${port}\`,
+      credentials: grpc.credentials.createInsecure(),
+      metadata: { authorization: 'Bearer test-token' }
     });
   });
 
-  describe('Configuration', () => {
-    test('should initialize with correct configuration', () => {
-      expect(client.config.baseUrl).toBe('https://api.example.com');
-      expect(client.config.apiKey).toBe('test-api-key');
-    });
+  afterAll(() => {
+    client.close();
+    server.forceShutdown();
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    failure = null;
   });
 
-${endpoints.map(endpoint => generateEndpointTest(endpoint)).join('\n\n')}
+${grpcEndpoints.map(generateGrpcTest).join('\n\n')}${unary ? `
+
+  test('should reject with the server status', async () => {
+    failure = { code: grpc.status.NOT_FOUND, details: 'not found' };
+    
+    await expect(client.${unary.operationId}({})).rejects.toMatchObject({ code: grpc.status.NOT_FOUND });
+  });` : ''}
 });`;
 }
 
 /**
- * Generate endpoint test
+ * Generate the test for one RPC
  */
-function generateEndpointTest(endpoint) {
-  const { method, path, operationId } = endpoint;
+function generateGrpcTest(endpoint) {
+  const { operationId, grpc: rpc } = endpoint;
   
-  return `  describe('${operationId}', () => {
-    test('should make ${method} request to ${path}', async () => {
-      const mockResponse = { data: { success: true } };
-      client.requestHandler.makeRequest = jest.fn().mockResolvedValue(mockResponse);
-      
-      const result = await client.${operationId}();
-      
-      expect(client.requestHandler.makeRequest).toHaveBeenCalledWith(
-        expect.objectContaining({
-          method: '${method}',
-          url: '${path}'
-        })
-      );
-      expect(result).toEqual(mockResponse);
-    });
+  switch (getStreamingKind(rpc)) {
+    case 'bidiStream':
+      return `  test('${operationId} should exchange messages', async () => {
+    const call = client.${operationId}();
+    const messages = collect(call);
+    call.write({});
+    call.end();
+    
+    expect(await messages).toHaveLength(1);
+  });`;
+    case 'clientStream':
+      return `  test('${operationId} should stream requests and resolve the response', async () => {
+    const { call, response } = client.${operationId}();
+    call.write({});
+    call.write({});
+    call.end();
+    
+    expect(await response).toEqual(expect.any(Object));
+    expect(received).toHaveLength(2);
+  });`;
+    case 'serverStream':
+      return `  test('${operationId} should stream responses', async () => {
+    const messages = await collect(client.${operationId}({}));
+    
+    expect(messages).toHaveLength(1);
+    expect(received[0].metadata.get('authorization')).toEqual(['Bearer test-token']);
+  });`;
+    default:
+      return `  test('${operationId} should resolve the response', async () => {
+    const response = await client.${operationId}({});
+    
+    expect(response).toEqual(expect.any(Object));
+    expect(received[0].metadata.get('authorization')).toEqual(['Bearer test-token']);
+  });`;
+  }
+}
+
+/**
+ * Name of the fake server implementation for an RPC's streaming mode
+ */
+function getStreamingKind(rpc) {
+  if (rpc.requestStream && rpc.responseStream) return 'bidiStream';
+  if (rpc.requestStream) return 'clientStream';
+  if (rpc.responseStream) return 'serverStream';
+  return 'unary';
+}
+
+/**
+ * Channel parameters object for generated tests and examples
+ */
+function generateExampleParameters(parameters) {
+  if (parameters.length === 0) return '{}';
+  return `{ ${parameters.map(param => `${/^[A-Za-z_$][\w$]*$/.test(param.name) ? param.name : `'${param.name}'`}: '${getChannelParameterExample(param)}'`).join(', ')} }`;
+}
+
+/**
+ * Generate authentication handler tests
+ */
+function generateAuthHandlerTests(securitySchemes) {
+  const schemeTests = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const credential = scheme.type === 'basic' ? 'user:secret' : 'secret';
+    let expectation;
+    if (scheme.type === 'basic') {
+      expectation = `expect(auth.headers['Authorization']).toBe('Basic ' + Buffer.from('user:secret').toString('base64'));`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'query') {
+      expectation = `expect(auth.params['${scheme.name}']).toBe('secret');`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+      expectation = `expect(auth.headers['Cookie']).toBe('${scheme.name}=secret');`;
+    } else if (scheme.type === 'apiKey') {
+      expectation = `expect(auth.headers['${scheme.name}']).toBe('secret');`;
+    } else {
+      expectation = `expect(auth.headers['Authorization']).toBe('Bearer secret');`;
+    }
+    
+    return `  test('should apply the ${name} scheme', async () => {
+    const handler = new AuthHandler(new Config({ credentials: { '${name}': '${credential}' } }));
+    const auth = await handler.getAuth([{ '${name}': [] }]);
+    ${expectation}
   });`;
+  });
+  
+  return `const AuthHandler = require('../src/auth/AuthHandler');
+const Config = require('../src/config/Config');
+
+describe('AuthHandler', () => {
+  test('should not authenticate endpoints without security requirements', async () => {
+    const handler = new AuthHandler(new Config());
+    await expect(handler.getAuth([])).resolves.toEqual({ headers: {}, params: {} });
+  });
+
+  test('should allow anonymous access when authentication is optional', async () => {
+    const handler = new AuthHandler(new Config());
+    await expect(handler.getAuth([{ undeclaredScheme: [] }, {}])).resolves.toEqual({ headers: {}, params: {} });
+  });
+
+  test('should reject requests when no requirement can be satisfied', async () => {
+    const handler = new AuthHandler(new Config());
+    await expect(handler.getAuth([{ undeclaredScheme: [] }])).rejects.toThrow('Missing credentials');
+  });
+${schemeTests.length > 0 ? `\n${schemeTests.join('\n\n')}\n` : ''}});`;
+}
+
+/**
+ * Generate token manager tests, run against a local mock token endpoint
+ */
+function generateTokenManagerTests() {
+  return `const http = require('http');
+const TokenManager = require('../src/auth/TokenManager');
+
+describe('TokenManager', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let tokenResponse;
+
+  beforeAll(done => {
+    // Mock token endpoint recording every grant it receives
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ params: Object.fromEntries(new URLSearchParams(body)), authorization: req.headers.authorization });
+        setTimeout(() => {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ access_token: \`token-\${requests.length}\`, ...tokenResponse }));
+        }, 10);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = \`http://127.0.0.1:\${server.address().port}\`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    tokenResponse = { token_type: 'Bearer', expires_in: 3600, refresh_token: 'refresh-1' };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createManager = (settings = {}) => new TokenManager(
+    { type: 'oauth2', flows: { clientCredentials: { tokenUrl: '/oauth/token' } } },
+    { clientId: 'client', clientSecret: 'secret', ...settings },
+    { baseUrl }
+  );
+
+  test('should fetch a token with the client credentials grant', async () => {
+    const manager = createManager();
+    await expect(manager.getToken(['read'])).resolves.toBe('token-1');
+    expect(requests[0].params).toEqual({ grant_type: 'client_credentials', scope: 'read' });
+    expect(requests[0].authorization).toBe('Basic ' + Buffer.from('client:secret').toString('base64'));
+  });
+
+  test('should cache tokens until they expire', async () => {
+    const manager = createManager();
+    await manager.getToken();
+    await expect(manager.getToken()).resolves.toBe('token-1');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should share one token request between concurrent callers', async () => {
+    const manager = createManager();
+    const tokens = await Promise.all([1, 2, 3, 4, 5].map(() => manager.getToken()));
+    expect(new Set(tokens)).toEqual(new Set(['token-1']));
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should refresh expired tokens with the refresh token', async () => {
+    const manager = createManager();
+    await manager.getToken();
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 3600 * 1000);
+    await expect(manager.getToken()).resolves.toBe('token-2');
+    expect(requests[1].params).toEqual({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+  });
+
+  test('should fetch a new token after invalidation', async () => {
+    const manager = createManager();
+    await manager.getToken();
+    manager.invalidate();
+    await expect(manager.getToken()).resolves.toBe('token-2');
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should send client credentials in the body when configured', async () => {
+    const manager = createManager({ clientAuthentication: 'body' });
+    await manager.getToken();
+    expect(requests[0].authorization).toBeUndefined();
+    expect(requests[0].params).toMatchObject({ client_id: 'client', client_secret: 'secret' });
+  });
+
+  test('should only acquire tokens when the flow is configured', () => {
+    expect(createManager().canAcquireToken()).toBe(true);
+    expect(createManager({ clientId: undefined }).canAcquireToken()).toBe(false);
+  });
+
+  test('should use an authorization code once and refresh afterwards', async () => {
+    const manager = new TokenManager(
+      { type: 'oauth2', flows: { authorizationCode: { tokenUrl: '/oauth/token' } } },
+      { clientId: 'client', authorizationCode: 'code-1', redirectUri: 'http://localhost/callback' },
+      { baseUrl }
+    );
+    await manager.getToken();
+    manager.invalidate();
+    await expect(manager.getToken()).resolves.toBe('token-2');
+
+    expect(requests[0].params).toMatchObject({ grant_type: 'authorization_code', code: 'code-1' });
+    expect(requests[1].params).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+    expect(manager.canAcquireToken()).toBe(true);
+  });
+});`;
 }
 
 /**
@@ -536,7 +2130,7 @@ async function main() {
 ${endpoints.slice(0, 2).map(endpoint => `    // Example: ${endpoint.method} ${endpoint.path}
     try {
       console.log('\\n📡 Testing ${endpoint.operationId}...');
-      const ${endpoint.operationId}Result = await client.${endpoint.operationId}();
+      const ${endpoint.operationId}Result = await client.${endpoint.operationId}(${endpoint.graphql ? generateExampleVariables(endpoint, parsedData.schemas) : ''});
       console.log('✅ ${endpoint.operationId} result:', JSON.stringify(${endpoint.operationId}Result, null, 2));
     } catch (error) {
       console.error('❌ ${endpoint.operationId} failed:', error.message);
@@ -558,49 +2152,154 @@ if (require.main === module) {
 module.exports = { main };`;
 }
 
+/**
+ * Generate event client example usage
+ */
+function generateEventUsage(parsedData, messagingEndpoints) {
+  const { title, schemas = {} } = parsedData;
+  const subscribers = messagingEndpoints.filter(endpoint => endpoint.messaging.action === 'subscribe').slice(0, 2);
+  const publishers = messagingEndpoints.filter(endpoint => endpoint.messaging.action === 'publish').slice(0, 2);
+  
+  return `const EventClient = require('../src/EventClient');
+const InMemoryBroker = require('../src/messaging/InMemoryBroker');
+
+/**
+ * Example usage of ${title} Event Client
+ * Replace InMemoryBroker with an adapter around your broker client; it only
+ * needs publish(address, message) and subscribe(address, handler) methods.
+ */
+async function main() {
+  try {
+    const client = new EventClient(new InMemoryBroker());
+
+    console.log('🚀 ${title} Event Client initialized');
+${subscribers.map(endpoint => `
+    // Example: ${endpoint.method} ${endpoint.path}
+    await client.${endpoint.operationId}((payload, message) => {
+      console.log('📨 ${endpoint.operationId} received on', message.address, JSON.stringify(payload, null, 2));
+    });`).join('\n')}
+${publishers.map(endpoint => `
+    // Example: ${endpoint.method} ${endpoint.path}
+    await client.${endpoint.operationId}(${JSON.stringify(getMessageExample(endpoint, schemas))}, ${generateExampleParameters(endpoint.parameters)});
+    console.log('✅ ${endpoint.operationId} published');`).join('\n')}
+
+    console.log('\\n🎉 Example completed successfully!');
+
+  } catch (error) {
+    console.error('💥 Example failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the example
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };`;
+}
+
+/**
+ * Generate example usage of the gRPC client
+ */
+function generateGrpcUsage(parsedData, grpcEndpoints) {
+  const { title } = parsedData;
+  const examples = grpcEndpoints.slice(0, 3);
+  
+  return `const GrpcClient = require('../src/GrpcClient');
+
+/**
+ * Example usage of ${title} gRPC Client
+ * Set GRPC_TARGET to your server's host:port before running.
+ */
+async function main() {
+  const client = new GrpcClient();
+  
+  try {
+    console.log('🚀 ${title} gRPC Client initialized');
+${examples.map(endpoint => `
+    // Example: ${endpoint.grpc.service}.${endpoint.grpc.method}
+${generateGrpcUsageCall(endpoint)}`).join('\n')}
+
+    console.log('\\n🎉 Example completed successfully!');
+
+  } catch (error) {
+    console.error('💥 Example failed:', error.details || error.message);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+// Run the example
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };`;
+}
+
+/**
+ * Example call for one RPC, shaped by its streaming mode
+ */
+function generateGrpcUsageCall(endpoint) {
+  const { operationId } = endpoint;
+  
+  switch (getStreamingKind(endpoint.grpc)) {
+    case 'bidiStream':
+      return `    const ${operationId}Call = client.${operationId}();
+    ${operationId}Call.on('data', message => console.log('📨 ${operationId}:', JSON.stringify(message, null, 2)));
+    ${operationId}Call.write({});
+    ${operationId}Call.end();
+    await new Promise((resolve, reject) => ${operationId}Call.on('end', resolve).on('error', reject));`;
+    case 'clientStream':
+      return `    const ${operationId}Upload = client.${operationId}();
+    ${operationId}Upload.call.write({});
+    ${operationId}Upload.call.end();
+    console.log('✅ ${operationId}:', JSON.stringify(await ${operationId}Upload.response, null, 2));`;
+    case 'serverStream':
+      return `    for await (const message of client.${operationId}({})) {
+      console.log('📨 ${operationId}:', JSON.stringify(message, null, 2));
+    }`;
+    default:
+      return `    const ${operationId}Response = await client.${operationId}({});
+    console.log('✅ ${operationId}:', JSON.stringify(${operationId}Response, null, 2));`;
+  }
+}
+
 /**
  * Generate environment example
  */
-function generateEnvExample(authMethod) {
-  let envContent = `# ${authMethod.type === 'none' ? 'No authentication required' : `${authMethod.type.toUpperCase()} Authentication`}
+function generateEnvExample(securitySchemes, grpcTarget) {
+  const schemeEntries = Object.entries(securitySchemes);
+  
+  let envContent = `# ${schemeEntries.length === 0 ? 'No authentication required' : `Authentication: ${schemeEntries.map(([name]) => name).join(', ')}`}
 
 # API Configuration
 API_BASE_URL=https://api.example.com
 API_TIMEOUT=30000
 API_MAX_RETRIES=3
-
 `;
 
-  switch (authMethod.type) {
-    case 'bearer':
-      envContent += `# Bearer Token Authentication
-API_AUTH_TYPE=bearer
-API_BEARER_TOKEN=your-bearer-token-here
-`;
-      break;
-      
-    case 'apiKey':
-      envContent += `# API Key Authentication
-API_AUTH_TYPE=apiKey
-API_KEY=your-api-key-here
-API_AUTH_HEADER_NAME=X-API-Key
+  if (grpcTarget) {
+    envContent += `
+# gRPC Configuration
+GRPC_TARGET=${grpcTarget.target}
+GRPC_INSECURE=${grpcTarget.insecure}
+GRPC_TIMEOUT=30000
 `;
-      break;
-      
-    case 'basic':
-      envContent += `# Basic Authentication
-API_AUTH_TYPE=basic
-API_USERNAME=your-username
-API_PASSWORD=your-password
+  }
+
+  for (const [name, scheme] of schemeEntries) {
+    envContent += `
+# ${name}: ${scheme.description || `${scheme.type} authentication`} (${describeCredential(scheme)})
+${toCredentialEnvName(name)}=
 `;
-      break;
-      
-    case 'oauth2':
-      envContent += `# OAuth 2.0 Authentication
-API_AUTH_TYPE=oauth2
-API_ACCESS_TOKEN=your-access-token-here
+    if (scheme.type === 'oauth2') {
+      envContent += `# Or let the client fetch and refresh tokens itself:
+${getOAuthSettings(scheme).map(setting => `# ${setting.description}\n${toOAuthEnvName(name, setting)}=`).join('\n')}
 `;
-      break;
+    }
   }
 
   return envContent;
@@ -1,3 +1,62 @@
+const {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  toCredentialEnvName,
+  toOAuthEnvName,
+  getTokenFlows,
+  getOAuthSettings,
+  resolveSchemaRef,
+  getGraphqlVariables,
+  getExampleValue,
+  isJsonContentType,
+  getRequestSchema,
+  getResponseSchema,
+  getMessageExample,
+  getChannelParameterExample,
+  getExampleAddress,
+  getGrpcTarget,
+  getGrpcServices,
+  getProtoSources,
+  toCamelCase,
+  describeCredential
+} = require('./generatorUtils');
+
+/**
+ * Reserved words and class names of the generated client; models with these names get a suffix
+ */
+const PHP_RESERVED_TYPES = [
+  'apiclient', 'apiresponse', 'config', 'eventclient', 'array', 'bool', 'callable', 'class', 'default', 'enum',
+  'false', 'float', 'function', 'int', 'interface', 'iterable', 'list', 'match', 'mixed', 'null',
+  'object', 'parent', 'self', 'static', 'string', 'trait', 'true', 'void'
+];
+
+/**
+ * Variables an endpoint method declares itself, so parameters with these
+ * names get a suffix
+ */
+const PHP_ENDPOINT_LOCALS = ['this', 'url', 'queryParams', 'requestBody', 'body', 'response', 'data'];
+
+/**
+ * Names protoc's PHP generator treats as reserved; classes and namespace
+ * segments with these names get a PB prefix (GPB for google.protobuf)
+ */
+const PHP_PROTO_RESERVED_NAMES = [
+  'abstract', 'and', 'array', 'as', 'bool', 'break', 'callable', 'case', 'catch', 'class', 'clone', 'const',
+  'continue', 'declare', 'default', 'die', 'do', 'echo', 'else', 'elseif', 'empty', 'enddeclare', 'endfor',
+  'endforeach', 'endif', 'endswitch', 'endwhile', 'eval', 'exit', 'extends', 'false', 'final', 'finally',
+  'float', 'fn', 'for', 'foreach', 'function', 'global', 'goto', 'if', 'implements', 'include',
+  'include_once', 'instanceof', 'insteadof', 'int', 'interface', 'isset', 'iterable', 'list', 'match',
+  'namespace', 'new', 'null', 'object', 'or', 'parent', 'print', 'private', 'protected', 'public',
+  'readonly', 'require', 'require_once', 'return', 'self', 'static', 'string', 'switch', 'throw', 'trait',
+  'true', 'try', 'unset', 'use', 'var', 'void', 'while', 'xor'
+];
+
+/**
+ * Class names GrpcClient and its test import or declare; proto classes with
+ * these names are referenced by their fully qualified name instead
+ */
+const PHP_GRPC_CLASS_NAMES = ['GrpcClient', 'GrpcException', 'ChannelCredentials', 'GrpcClientTest', 'TestCase', 'FakeStub', 'FakeCall'];
+
 /**
  * Generate PHP integration code
  * @param {Object} parsedData - Parsed API data
@@ -6,23 +65,60 @@
  */
 async function generatePhpCode(parsedData, fileName) {
   const { baseUrl, authMethod, endpoints, title } = parsedData;
+  const securitySchemes = getSecuritySchemes(parsedData);
+  const hasGraphql = endpoints.some(endpoint => endpoint.graphql);
+  
+  // Message channels and gRPC services get their own clients; the HTTP client only sees request/response endpoints
+  const messagingEndpoints = endpoints.filter(endpoint => endpoint.messaging);
+  const grpcEndpoints = endpoints.filter(endpoint => endpoint.grpc);
+  const httpData = { ...parsedData, endpoints: endpoints.filter(endpoint => !endpoint.messaging && !endpoint.grpc) };
   
   const generatedCode = {};
   
   // Composer.json
-  generatedCode['composer.json'] = generateComposerJson(title);
+  generatedCode['composer.json'] = generateComposerJson(title, grpcEndpoints.length > 0 ? parsedData.protoFiles : null);
   
   // Main API client
-  generatedCode['src/ApiClient.php'] = generateApiClient(parsedData);
+  generatedCode['src/ApiClient.php'] = generateApiClient(httpData);
+  
+  // A model class per object model, used by request/response bodies and message payloads
+  const schemas = parsedData.schemas || {};
+  for (const name of Object.keys(schemas).filter(name => isPhpModel({ ref: name }, schemas))) {
+    generatedCode[`src/Models/${toPhpTypeName(name)}.php`] = generateModel(name, schemas);
+  }
+  
+  // Event client and broker abstraction
+  if (messagingEndpoints.length > 0) {
+    generatedCode['src/EventClient.php'] = generateEventClient(parsedData, messagingEndpoints);
+    generatedCode['src/Messaging/BrokerInterface.php'] = generateBrokerInterface();
+    generatedCode['src/Messaging/BrokerMessage.php'] = generateBrokerMessage();
+    generatedCode['src/Messaging/InMemoryBroker.php'] = generateInMemoryBroker();
+    generatedCode['tests/EventClientTest.php'] = generateEventClientTests(parsedData, messagingEndpoints);
+  }
+  
+  // gRPC client; composer generate builds the message classes and stubs from proto/
+  if (grpcEndpoints.length > 0) {
+    generatedCode['src/GrpcClient.php'] = generateGrpcClient(parsedData, grpcEndpoints);
+    generatedCode['src/Utils/GrpcException.php'] = generateGrpcException();
+    generatedCode['tests/GrpcClientTest.php'] = generateGrpcClientTests(parsedData, grpcEndpoints);
+    for (const [importPath, source] of Object.entries(getProtoSources(parsedData))) {
+      generatedCode[`proto/${importPath}`] = source;
+    }
+  }
   
   // Authentication handler
-  generatedCode['src/Auth/AuthHandler.php'] = generateAuthHandler(authMethod);
+  generatedCode['src/Auth/AuthHandler.php'] = generateAuthHandler(securitySchemes);
+  generatedCode['src/Auth/TokenManager.php'] = generateTokenManager();
   
   // Request handler
   generatedCode['src/Utils/RequestHandler.php'] = generateRequestHandler();
   
   // Error handler
   generatedCode['src/Utils/ErrorHandler.php'] = generateErrorHandler();
+  generatedCode['src/Utils/ApiException.php'] = generateApiException();
+  if (hasGraphql) {
+    generatedCode['src/Utils/GraphQLException.php'] = generateGraphqlException();
+  }
   
   // Configuration
   generatedCode['src/Config/Config.php'] = generateConfig();
@@ -31,13 +127,15 @@ async function generatePhpCode(parsedData, fileName) {
   generatedCode['src/Models/ApiResponse.php'] = generateApiResponse();
   
   // Test files
-  generatedCode['tests/ApiClientTest.php'] = generateTests(parsedData);
+  generatedCode['tests/ApiClientTest.php'] = generateTests(httpData);
+  generatedCode['tests/Auth/TokenManagerTest.php'] = generateTokenManagerTests();
+  generatedCode['tests/Fixtures/token-endpoint.php'] = generateTokenEndpointFixture();
   
   // Example usage
-  generatedCode['examples/basic-usage.php'] = generateExampleUsage(parsedData);
+  generatedCode['examples/basic-usage.php'] = generateExampleUsage(httpData);
   
   // Environment template
-  generatedCode['.env.example'] = generateEnvExample(authMethod);
+  generatedCode['.env.example'] = generateEnvExample(securitySchemes, grpcEndpoints.length > 0 ? getGrpcTarget(parsedData.baseUrl) : null);
   
   return generatedCode;
 }
@@ -45,7 +143,7 @@ async function generatePhpCode(parsedData, fileName) {
 /**
  * Generate composer.json
  */
-function generateComposerJson(title) {
+function generateComposerJson(title, protoFiles) {
   return `{
     "name": "example/${title.toLowerCase().replace(/[^a-z0-9]/g, '-')}-integration",
     "description": "Auto-generated integration client for ${title}",
@@ -58,9 +156,13 @@ function generateComposerJson(title) {
         }
     ],
     "require": {
-        "php": ">=7.4",
+        "php": ">=8.0",
         "guzzlehttp/guzzle": "^7.0",
-        "vlucas/phpdotenv": "^5.0"
+        "vlucas/phpdotenv": "^5.0"${protoFiles ? `,
+        "ext-grpc": "*",
+        "grpc/grpc": "^1.57",
+        "google/protobuf": "^3.25",
+        "google/common-protos": "^4.0"` : ''}
     },
     "require-dev": {
         "phpunit/phpunit": "^9.0",
@@ -68,7 +170,8 @@ function generateComposerJson(title) {
     },
     "autoload": {
         "psr-4": {
-            "Example\\\\": "src/"
+            "Example\\\\": "src/"${protoFiles ? `,
+            "": "generated/"` : ''}
         }
     },
     "autoload-dev": {
@@ -76,7 +179,8 @@ function generateComposerJson(title) {
             "Tests\\\\": "tests/"
         }
     },
-    "scripts": {
+    "scripts": {${protoFiles ? `
+        "generate": "protoc -I proto --php_out=generated --grpc_out=generated --plugin=protoc-gen-grpc=$(which grpc_php_plugin) ${protoFiles.map(file => file.name).join(' ')}",` : ''}
         "test": "phpunit",
         "test:coverage": "phpunit --coverage-html coverage"
     }
@@ -88,6 +192,11 @@ function generateComposerJson(title) {
  */
 function generateApiClient(parsedData) {
   const { baseUrl, authMethod, endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoints = endpoints.filter(endpoint => endpoint.graphql);
+  const methods = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlMethod(endpoint, parsedData.schemas)
+    : generateEndpointMethod(endpoint, schemas)).join('\n\n');
   
   return `<?php
 
@@ -95,9 +204,10 @@ namespace Example;
 
 use Example\\Auth\\AuthHandler;
 use Example\\Config\\Config;
-use Example\\Models\\ApiResponse;
+use Example\\Models\\ApiResponse;${getModelImports(methods, schemas).map(name => `\nuse ${name};`).join('')}
 use Example\\Utils\\RequestHandler;
 use Example\\Utils\\ErrorHandler;
+use Example\\Utils\\ApiException;${graphqlEndpoints.length > 0 ? '\nuse Example\\Utils\\GraphQLException;' : ''}
 use GuzzleHttp\\Client;
 use GuzzleHttp\\Exception\\GuzzleException;
 
@@ -107,6 +217,9 @@ use GuzzleHttp\\Exception\\GuzzleException;
  */
 class ApiClient
 {
+${endpoints.map(endpoint => generateSecurityConstant(endpoint, getEndpointSecurity(endpoint, parsedData))).join('\n')}
+    private const DEFAULT_SECURITY = ${toPhpArray(getEndpointSecurity({}, parsedData))};${graphqlEndpoints.map(endpoint => `\n\n    private const ${toDocumentConstantName(endpoint.operationId)} = ${toPhpArray(endpoint.graphql.document)};`).join('')}
+
     private Config $config;
     private AuthHandler $authHandler;
     private RequestHandler $requestHandler;
@@ -116,7 +229,6 @@ class ApiClient
     public function __construct(array $config = [])
     {
         $this->config = new Config($config);
-        $this->authHandler = new AuthHandler($this->config);
         $this->requestHandler = new RequestHandler($this->config);
         $this->errorHandler = new ErrorHandler();
         
@@ -128,11 +240,49 @@ class ApiClient
                 'User-Agent' => '${title}-Integration/1.0.0'
             ]
         ]);
+        $this->authHandler = new AuthHandler($this->config, $this->httpClient);
     }
 
-${endpoints.map(endpoint => generateEndpointMethod(endpoint)).join('\n\n')}
+${methods}
 
     /**
+     * Send an authenticated request.
+     * A 401 response invalidates any OAuth 2.0 token that was used and the
+     * request is retried once with a freshly acquired token.
+     * @param string $method HTTP method
+     * @param string $url Request URL
+     * @param string|null $body Request body
+     * @param array $security Security requirements of the endpoint
+     * @return ApiResponse API response
+     * @throws \\Exception if request fails
+     */
+    private function sendRequest(string $method, string $url, ?string $body, array $security): ApiResponse
+    {
+        $auth = $this->authHandler->authenticate($security);
+        try {
+            return $this->requestHandler->makeRequest(
+                $this->httpClient,
+                $method,
+                AuthHandler::appendQuery($url, $auth['query']),
+                $body,
+                $auth['headers']
+            );
+        } catch (ApiException $e) {
+            if ($e->getStatusCode() !== 401 || !$this->authHandler->invalidateTokens($security)) {
+                throw $e;
+            }
+            $auth = $this->authHandler->authenticate($security);
+            return $this->requestHandler->makeRequest(
+                $this->httpClient,
+                $method,
+                AuthHandler::appendQuery($url, $auth['query']),
+                $body,
+                $auth['headers']
+            );
+        }
+    }
+
+${graphqlEndpoints.length > 0 ? generateExecuteGraphql() : ''}    /**
      * Test connection to the API
      * @return bool Connection status
      */
@@ -144,7 +294,7 @@ ${endpoints.map(endpoint => generateEndpointMethod(endpoint)).join('\n\n')}
                 'GET',
                 '/',
                 null,
-                $this->authHandler->getAuthHeaders()
+                $this->authHandler->getAuthHeaders(self::DEFAULT_SECURITY)
             );
             return $response->getStatusCode() === 200;
         } catch (\\Exception $e) {
@@ -166,31 +316,29 @@ ${endpoints.map(endpoint => generateEndpointMethod(endpoint)).join('\n\n')}
 /**
  * Generate endpoint method
  */
-function generateEndpointMethod(endpoint) {
+function generateEndpointMethod(endpoint, schemas) {
   const { method, path, operationId, parameters, requestBody, summary, description } = endpoint;
   
   const params = parameters.filter(p => p.in === 'path');
   const queryParams = parameters.filter(p => p.in === 'query');
   const hasBody = requestBody && method !== 'GET' && method !== 'DELETE';
+  const bodyType = hasBody ? toPhpModelType(getRequestSchema(endpoint) || {}, schemas) : null;
+  const responseSchema = getResponseSchema(endpoint);
+  const resultType = responseSchema ? toPhpModelType(responseSchema, schemas) : null;
   
+  // Methods with a JSON response return the decoded body, hydrated into models, instead of the raw response
   let methodSignature = `    /**
      * ${summary || description || `${method} ${path}`}
      * ${description ? `\n     * ${description}` : ''}
-     * @return ApiResponse API response
+     * @return ${resultType ? `${resultType.doc}${resultType.doc === 'mixed' ? '' : '|null'} Response body, or null when the response has none` : 'ApiResponse API response'}
      * @throws \\Exception if request fails
      */
-    public function ${operationId}()`;
-  
-  if (params.length > 0 || queryParams.length > 0 || hasBody) {
-    methodSignature += `(${generateMethodParameters(params, queryParams, hasBody)})`;
-  }
-  
-  methodSignature += `: ApiResponse`;
+    public function ${operationId}(${generateMethodParameters(params, queryParams, bodyType)}): ${resultType ? (resultType.hint ? `?${resultType.hint}` : 'mixed') : 'ApiResponse'}`;
   
   // Build URL with path parameters
   let urlBuilding = `        $url = '${path}';`;
   params.forEach(param => {
-    urlBuilding += `\n        $url = str_replace('{${param.name}}', $${param.name}, $url);`;
+    urlBuilding += `\n        $url = str_replace(${toPhpArray(`{${param.name}}`)}, $${toPhpEndpointParamName(param)}, $url);`;
   });
   
   // Build query parameters
@@ -198,8 +346,9 @@ function generateEndpointMethod(endpoint) {
   if (queryParams.length > 0) {
     queryBuilding = `\n        $queryParams = [];`;
     queryParams.forEach(param => {
-      queryBuilding += `\n        if ($${param.name} !== null) {`;
-      queryBuilding += `\n            $queryParams['${param.name}'] = $${param.name};`;
+      const name = toPhpEndpointParamName(param);
+      queryBuilding += `\n        if ($${name} !== null) {`;
+      queryBuilding += `\n            $queryParams[${toPhpArray(param.name)}] = $${name};`;
       queryBuilding += `\n        }`;
     });
     queryBuilding += `\n        if (!empty($queryParams)) {`;
@@ -216,38 +365,176 @@ function generateEndpointMethod(endpoint) {
     bodyBuilding += `\n        }`;
   }
   
+  const request = `$this->sendRequest('${method}', $url, ${hasBody ? '$requestBody' : 'null'}, self::${toSecurityConstantName(operationId)})`;
+  let sending = `        return ${request};`;
+  if (resultType) {
+    const hydrated = toPhpHydration(responseSchema, schemas, '$data');
+    sending = `        $response = ${request};
+${hydrated === '$data'
+    ? `        return json_decode($response->getBody(), true);`
+    : `        $data = json_decode($response->getBody(), true);
+        return $data === null ? null : ${hydrated};`}`;
+  }
+  
   const methodBody = `${methodSignature}
     {
 ${urlBuilding}${queryBuilding}${bodyBuilding}
 
-        return $this->requestHandler->makeRequest(
-            $this->httpClient,
-            '${method}',
-            $url,
-            $requestBody,
-            $this->authHandler->getAuthHeaders()
-        );
+${sending}
     }`;
   
   return methodBody;
 }
 
+/**
+ * Generate a typed GraphQL operation method
+ */
+function generateGraphqlMethod(endpoint, schemas) {
+  const { operationId, path, summary, description, graphql } = endpoint;
+  const variables = getGraphqlVariables(endpoint);
+  
+  const parameters = variables.map(variable => {
+    const type = toPhpType(variable.schema, schemas);
+    const hint = type === 'mixed' ? '' : `${variable.required ? '' : '?'}${type} `;
+    return variable.required ? `${hint}$${variable.name}` : `${hint}$${variable.name} = null`;
+  });
+  
+  let variableBuilding = `        $variables = [];`;
+  for (const variable of variables) {
+    if (variable.required) {
+      variableBuilding += `\n        $variables['${variable.name}'] = $${variable.name};`;
+    } else {
+      variableBuilding += `\n        if ($${variable.name} !== null) {`;
+      variableBuilding += `\n            $variables['${variable.name}'] = $${variable.name};`;
+      variableBuilding += `\n        }`;
+    }
+  }
+  
+  return `    /**
+     * ${summary}${description ? `\n     * ${description}` : ''}
+${variables.map(variable => `     * @param ${toPhpType(variable.schema, schemas)}${variable.required ? '' : '|null'} $${variable.name} ${variable.type}`).join('\n')}${variables.length > 0 ? '\n' : ''}     * @return array The data of the operation result
+     * @throws GraphQLException if the response carries GraphQL errors
+     * @throws \\Exception if request fails
+     */
+    public function ${operationId}(${parameters.join(', ')}): array
+    {
+${variableBuilding}
+
+        return $this->executeGraphql('${path}', self::${toDocumentConstantName(operationId)}, ${graphql.operationName ? `'${graphql.operationName}'` : 'null'}, $variables, self::${toSecurityConstantName(operationId)});
+    }`;
+}
+
+/**
+ * Generate the ApiClient method that sends GraphQL operations
+ */
+function generateExecuteGraphql() {
+  return `    /**
+     * Execute a GraphQL operation and return the data of its response
+     * @param string $path GraphQL endpoint path
+     * @param string $document Operation document
+     * @param string|null $operationName Operation to run from the document
+     * @param array $variables Operation variables
+     * @param array $security Security requirements of the operation
+     * @return array The data of the operation result
+     * @throws GraphQLException if the response carries GraphQL errors
+     * @throws \\Exception if request fails
+     */
+    private function executeGraphql(string $path, string $document, ?string $operationName, array $variables, array $security): array
+    {
+        $payload = ['query' => $document, 'variables' => (object) $variables];
+        if ($operationName !== null) {
+            $payload['operationName'] = $operationName;
+        }
+
+        $response = $this->sendRequest('POST', $path, json_encode($payload), $security);
+        $result = json_decode($response->getBody(), true) ?? [];
+        if (!empty($result['errors'])) {
+            throw new GraphQLException($result['errors'], $result['data'] ?? null);
+        }
+        return $result['data'] ?? [];
+    }
+
+`;
+}
+
+/**
+ * Name of the class constant holding an operation document
+ */
+function toDocumentConstantName(operationId) {
+  return toSecurityConstantName(operationId).replace(/^SECURITY_/, 'DOCUMENT_');
+}
+
+/**
+ * PHP type for a schema node; objects and lists are arrays, and `mixed` is
+ * documented only since callers make hints nullable and `?mixed` is invalid
+ */
+function toPhpType(node, schemas) {
+  const schema = resolveSchemaRef(node, schemas);
+  if (schema.enum && (!schema.type || schema.type === 'string')) return 'string';
+  
+  switch (schema.type) {
+    case 'integer':
+      return 'int';
+    case 'number':
+      return 'float';
+    case 'boolean':
+      return 'bool';
+    case 'string':
+      return 'string';
+    case 'array':
+    case 'object':
+      return 'array';
+    default:
+      return 'mixed';
+  }
+}
+
+/**
+ * Generate the security requirements constant for an endpoint
+ */
+function generateSecurityConstant(endpoint, security) {
+  return `    private const ${toSecurityConstantName(endpoint.operationId)} = ${toPhpArray(security)};`;
+}
+
+/**
+ * Name of the security requirements constant for an operation
+ */
+function toSecurityConstantName(operationId) {
+  return `SECURITY_${operationId.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^a-zA-Z0-9]+/g, '_').toUpperCase()}`;
+}
+
+/**
+ * Render a JSON-compatible value as a PHP array literal
+ */
+function toPhpArray(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toPhpArray).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `[${Object.entries(value).map(([key, item]) => `'${key}' => ${toPhpArray(item)}`).join(', ')}]`;
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  return value === null || value === undefined ? 'null' : String(value);
+}
+
 /**
  * Generate method parameters
  */
-function generateMethodParameters(params, queryParams, hasBody) {
+function generateMethodParameters(params, queryParams, bodyType) {
   const parameters = [];
   
   params.forEach(param => {
-    parameters.push(`?string $${param.name} = null`);
+    parameters.push(`?string $${toPhpEndpointParamName(param)} = null`);
   });
   
   queryParams.forEach(param => {
-    parameters.push(`?string $${param.name} = null`);
+    parameters.push(`?string $${toPhpEndpointParamName(param)} = null`);
   });
   
-  if (hasBody) {
-    parameters.push('?array $body = null');
+  if (bodyType) {
+    parameters.push(`${bodyType.hint ? `?${bodyType.hint} ` : ''}$body = null`);
   }
   
   return parameters.join(', ');
@@ -256,289 +543,1689 @@ function generateMethodParameters(params, queryParams, hasBody) {
 /**
  * Generate authentication handler
  */
-function generateAuthHandler(authMethod) {
+function generateAuthHandler(securitySchemes) {
+  const schemes = {};
+  for (const [name, scheme] of Object.entries(securitySchemes)) {
+    schemes[name] = {
+      type: scheme.type,
+      name: scheme.name || 'Authorization',
+      in: scheme.in || 'header',
+      envVar: toCredentialEnvName(name)
+    };
+    if (scheme.type === 'oauth2') {
+      schemes[name].flows = getTokenFlows(scheme);
+    }
+  }
+  
   return `<?php
 
 namespace Example\\Auth;
 
 use Example\\Config\\Config;
+use GuzzleHttp\\Client;
 
 /**
  * Authentication Handler
- * Handles different types of authentication for API requests
+ * Applies the security schemes required by each endpoint
  */
 class AuthHandler
 {
+    /**
+     * Security schemes declared by the API, keyed by scheme name
+     */
+    private const SECURITY_SCHEMES = ${toPhpArray(schemes)};
+
+    /**
+     * OAuth 2.0 client settings and the environment variable suffix each is read from
+     */
+    private const OAUTH_SETTINGS = [
+        'clientId' => 'CLIENT_ID',
+        'clientSecret' => 'CLIENT_SECRET',
+        'username' => 'USERNAME',
+        'password' => 'PASSWORD',
+        'refreshToken' => 'REFRESH_TOKEN',
+        'authorizationCode' => 'AUTHORIZATION_CODE',
+        'redirectUri' => 'REDIRECT_URI',
+        'tokenUrl' => 'TOKEN_URL',
+        'cacheFile' => 'TOKEN_CACHE_FILE'
+    ];
+
     private Config $config;
+    private Client $httpClient;
+    private array $tokenManagers = [];
 
-    public function __construct(Config $config)
+    public function __construct(Config $config, ?Client $httpClient = null)
     {
         $this->config = $config;
+        $this->httpClient = $httpClient ?? new Client(['base_uri' => $config->getBaseUrl()]);
+    }
+
+    /**
+     * Resolve authentication for a request.
+     * Requirements are alternatives: the first one whose credentials are all
+     * configured is applied. An empty requirement makes authentication optional.
+     * @param array $security Security requirements, mapping scheme names to scopes
+     * @return array ['headers' => array, 'query' => array]
+     */
+    public function authenticate(array $security): array
+    {
+        $auth = ['headers' => [], 'query' => []];
+        if (empty($security)) {
+            return $auth;
+        }
+
+        $requirement = $this->selectRequirement($security);
+        if ($requirement !== null) {
+            foreach ($requirement as $schemeName => $scopes) {
+                $this->applyScheme($schemeName, $scopes, $auth);
+            }
+            return $auth;
+        }
+
+        foreach ($security as $requirement) {
+            if (empty($requirement)) {
+                return $auth;
+            }
+        }
+
+        $options = implode(' or ', array_map(fn ($requirement) => implode(' + ', array_keys($requirement)), $security));
+        throw new \\RuntimeException('Missing credentials: this endpoint requires ' . $options);
     }
 
     /**
-     * Get authentication headers based on configured auth method
+     * Get authentication headers for the given security requirements
+     * @param array $security Security requirements
      * @return array Authentication headers
      */
-    public function getAuthHeaders(): array
+    public function getAuthHeaders(array $security = []): array
     {
-        $authType = $this->config->getAuthType();
-        
-        switch ($authType) {
-            case 'bearer':
-                return $this->getBearerHeaders();
-            case 'apiKey':
-                return $this->getApiKeyHeaders();
-            case 'basic':
-                return $this->getBasicHeaders();
-            case 'oauth2':
-                return $this->getOAuth2Headers();
-            default:
-                return [];
+        return $this->authenticate($security)['headers'];
+    }
+
+    /**
+     * Drop the cached OAuth 2.0 tokens used for a request, e.g. after a 401 response
+     * @param array $security Security requirements of the request
+     * @return bool True if a managed token was invalidated and the request can be retried
+     */
+    public function invalidateTokens(array $security): bool
+    {
+        $requirement = $this->selectRequirement($security);
+        if ($requirement === null) {
+            return false;
+        }
+
+        $invalidated = false;
+        foreach ($requirement as $schemeName => $scopes) {
+            if ($this->usesTokenManager($schemeName)) {
+                $this->getTokenManager($schemeName)->invalidate($scopes);
+                $invalidated = true;
+            }
         }
+        return $invalidated;
     }
 
     /**
-     * Get Bearer token headers
-     * @return array Bearer token headers
+     * Append authentication query parameters to a URL
+     * @param string $url Request URL
+     * @param array $query Query parameters produced by authenticate()
+     * @return string URL including the query parameters
      */
-    private function getBearerHeaders(): array
+    public static function appendQuery(string $url, array $query): string
     {
-        $token = $this->config->getApiKey() ?: $this->config->getBearerToken();
-        
-        if (empty($token)) {
-            throw new \\RuntimeException('Bearer token is required but not provided');
+        if (empty($query)) {
+            return $url;
         }
-        
-        return [
-            'Authorization' => 'Bearer ' . $token
-        ];
+        return $url . (strpos($url, '?') === false ? '?' : '&') . http_build_query($query);
     }
 
     /**
-     * Get API Key headers
-     * @return array API Key headers
+     * Pick the first non-empty requirement whose schemes are all configured
      */
-    private function getApiKeyHeaders(): array
+    private function selectRequirement(array $security): ?array
     {
-        $apiKey = $this->config->getApiKey();
-        
-        if (empty($apiKey)) {
-            throw new \\RuntimeException('API Key is required but not provided');
+        foreach ($security as $requirement) {
+            if (empty($requirement)) {
+                continue;
+            }
+            $satisfied = true;
+            foreach (array_keys($requirement) as $schemeName) {
+                if (!$this->isConfigured($schemeName)) {
+                    $satisfied = false;
+                    break;
+                }
+            }
+            if ($satisfied) {
+                return $requirement;
+            }
         }
-        
-        $headerName = $this->config->getAuthHeaderName() ?: 'X-API-Key';
-        return [
-            $headerName => $apiKey
-        ];
+        return null;
     }
 
     /**
-     * Get Basic authentication headers
-     * @return array Basic auth headers
+     * Check whether a scheme has a credential or can obtain one
      */
-    private function getBasicHeaders(): array
+    private function isConfigured(string $schemeName): bool
     {
-        $username = $this->config->getUsername();
-        $password = $this->config->getPassword();
-        
-        if (empty($username) || empty($password)) {
-            throw new \\RuntimeException('Username and password are required for Basic authentication');
+        return $this->getCredential($schemeName) !== null || $this->usesTokenManager($schemeName);
+    }
+
+    /**
+     * Check whether a scheme's token is obtained from the token endpoint rather than configured
+     */
+    private function usesTokenManager(string $schemeName): bool
+    {
+        $scheme = self::SECURITY_SCHEMES[$schemeName] ?? null;
+        return $scheme !== null && $scheme['type'] === 'oauth2' && $this->getCredential($schemeName) === null
+            && $this->getTokenManager($schemeName)->canAcquireToken();
+    }
+
+    /**
+     * Get the token manager of an OAuth 2.0 scheme, creating it on first use
+     */
+    private function getTokenManager(string $schemeName): TokenManager
+    {
+        if (!isset($this->tokenManagers[$schemeName])) {
+            $scheme = self::SECURITY_SCHEMES[$schemeName];
+            $settings = [];
+            foreach (self::OAUTH_SETTINGS as $key => $suffix) {
+                $value = $_ENV[$scheme['envVar'] . '_' . $suffix] ?? null;
+                if (!empty($value)) {
+                    $settings[$key] = $value;
+                }
+            }
+            $settings = array_merge($settings, $this->config->getOAuthSettings($schemeName));
+
+            $this->tokenManagers[$schemeName] = new TokenManager($scheme['flows'] ?? [], $settings, $this->httpClient);
         }
-        
-        $credentials = base64_encode($username . ':' . $password);
-        return [
-            'Authorization' => 'Basic ' . $credentials
-        ];
+        return $this->tokenManagers[$schemeName];
     }
 
     /**
-     * Get OAuth2 headers
-     * @return array OAuth2 headers
+     * Look up the configured credential for a security scheme.
+     * Per-scheme credentials take precedence over the generic settings.
+     * @param string $schemeName Security scheme name
+     * @return string|null Credential value
      */
-    private function getOAuth2Headers(): array
+    private function getCredential(string $schemeName): ?string
     {
-        $accessToken = $this->config->getAccessToken();
-        
-        if (empty($accessToken)) {
-            throw new \\RuntimeException('OAuth2 access token is required but not provided');
+        $scheme = self::SECURITY_SCHEMES[$schemeName] ?? null;
+        if ($scheme === null) {
+            return null;
+        }
+
+        $explicit = $this->config->getCredential($schemeName) ?: ($_ENV[$scheme['envVar']] ?? null);
+        if (!empty($explicit)) {
+            return $explicit;
+        }
+
+        switch ($scheme['type']) {
+            case 'bearer':
+                return $this->config->getBearerToken() ?: ($this->config->getApiKey() ?: null);
+            case 'apiKey':
+                return $this->config->getApiKey() ?: null;
+            case 'basic':
+                $username = $this->config->getUsername();
+                $password = $this->config->getPassword();
+                return (empty($username) || empty($password)) ? null : $username . ':' . $password;
+            case 'oauth2':
+                return $this->config->getAccessToken() ?: null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Apply a single security scheme to the request being built
+     */
+    private function applyScheme(string $schemeName, array $scopes, array &$auth): void
+    {
+        $scheme = self::SECURITY_SCHEMES[$schemeName];
+        $credential = $this->getCredential($schemeName);
+
+        switch ($scheme['type']) {
+            case 'bearer':
+                $auth['headers']['Authorization'] = 'Bearer ' . $credential;
+                break;
+            case 'oauth2':
+                $token = $credential ?? $this->getTokenManager($schemeName)->getToken($scopes);
+                $auth['headers']['Authorization'] = 'Bearer ' . $token;
+                break;
+            case 'basic':
+                $auth['headers']['Authorization'] = 'Basic ' . base64_encode($credential);
+                break;
+            case 'apiKey':
+                if ($scheme['in'] === 'query') {
+                    $auth['query'][$scheme['name']] = $credential;
+                } elseif ($scheme['in'] === 'cookie') {
+                    $cookie = $scheme['name'] . '=' . $credential;
+                    $auth['headers']['Cookie'] = isset($auth['headers']['Cookie'])
+                        ? $auth['headers']['Cookie'] . '; ' . $cookie
+                        : $cookie;
+                } else {
+                    $auth['headers'][$scheme['name']] = $credential;
+                }
+                break;
         }
-        
-        return [
-            'Authorization' => 'Bearer ' . $accessToken
-        ];
     }
 }`;
 }
 
 /**
- * Generate request handler
+ * Generate OAuth 2.0 token manager
  */
-function generateRequestHandler() {
+function generateTokenManager() {
   return `<?php
 
-namespace Example\\Utils;
+namespace Example\\Auth;
 
-use Example\\Config\\Config;
-use Example\\Models\\ApiResponse;
 use GuzzleHttp\\Client;
-use GuzzleHttp\\Exception\\GuzzleException;
 
 /**
- * Request Handler
- * Handles HTTP requests with retry logic and proper error handling
+ * OAuth 2.0 Token Manager
+ * Fetches access tokens from the token endpoint, caches them until they expire
+ * and refreshes them with the refresh token. Requests within a PHP process run
+ * one at a time; when a cache file is configured, tokens are shared between
+ * processes and a file lock makes them refresh one after another.
  */
-class RequestHandler
+class TokenManager
 {
-    private Config $config;
+    /**
+     * OAuth 2.0 flows that can obtain tokens without user interaction, in order of preference
+     */
+    private const TOKEN_FLOWS = ['authorizationCode', 'password', 'clientCredentials'];
+
+    private array $flows;
+    private array $settings;
+    private Client $httpClient;
+    private array $tokens = [];
+    private bool $authorizationCodeUsed = false;
+    // Most recent refresh token, so a used authorization code can still be refreshed
+    private ?string $refreshToken;
+
+    /**
+     * @param array $flows OAuth 2.0 flows declared by the security scheme
+     * @param array $settings Client settings (clientId, clientSecret, username, password, refreshToken, cacheFile, ...)
+     * @param Client $httpClient HTTP client whose base URI resolves relative token endpoints
+     */
+    public function __construct(array $flows, array $settings, Client $httpClient)
+    {
+        $this->flows = $flows;
+        $this->settings = $settings;
+        $this->httpClient = $httpClient;
+        $this->refreshToken = $this->setting('refreshToken');
+    }
+
+    /**
+     * Check whether enough settings are configured to obtain a token
+     * @return bool True if getToken() can succeed
+     */
+    public function canAcquireToken(): bool
+    {
+        return $this->getTokenUrl() !== null
+            && ($this->refreshToken !== null || $this->hasGrantCredentials($this->getFlow()));
+    }
+
+    /**
+     * Get a valid access token for the given scopes, fetching or refreshing it when needed
+     * @param array $scopes Scopes to request
+     * @return string Access token
+     * @throws \\RuntimeException if the token endpoint rejects the request
+     */
+    public function getToken(array $scopes = []): string
+    {
+        $key = self::cacheKey($scopes);
+        if (isset($this->tokens[$key]) && self::isValid($this->tokens[$key])) {
+            return $this->tokens[$key]['accessToken'];
+        }
+
+        $cacheFile = $this->setting('cacheFile');
+        if ($cacheFile === null) {
+            $this->tokens[$key] = $this->fetchToken($this->tokens[$key] ?? null, $scopes);
+            return $this->tokens[$key]['accessToken'];
+        }
+
+        return $this->withCacheLock($cacheFile, function () use ($cacheFile, $key, $scopes) {
+            // Another process may have refreshed the token while we waited for the lock
+            $this->tokens = array_merge($this->tokens, $this->readCache($cacheFile));
+            if (!isset($this->tokens[$key]) || !self::isValid($this->tokens[$key])) {
+                $this->tokens[$key] = $this->fetchToken($this->tokens[$key] ?? null, $scopes);
+                file_put_contents($cacheFile, json_encode($this->tokens));
+            }
+            return $this->tokens[$key]['accessToken'];
+        });
+    }
+
+    /**
+     * Discard the cached access token, keeping the refresh token for the next fetch
+     * @param array $scopes Scopes the token was requested for
+     */
+    public function invalidate(array $scopes = []): void
+    {
+        $key = self::cacheKey($scopes);
+        if (isset($this->tokens[$key])) {
+            $this->tokens[$key]['accessToken'] = null;
+        }
+
+        $cacheFile = $this->setting('cacheFile');
+        if ($cacheFile !== null) {
+            $this->withCacheLock($cacheFile, function () use ($cacheFile, $key) {
+                $cached = $this->readCache($cacheFile);
+                if (isset($cached[$key])) {
+                    $cached[$key]['accessToken'] = null;
+                    file_put_contents($cacheFile, json_encode($cached));
+                }
+            });
+        }
+    }
+
+    /**
+     * Obtain a new token, preferring the refresh token over a new grant
+     */
+    private function fetchToken(?array $cached, array $scopes): array
+    {
+        $refreshToken = $cached['refreshToken'] ?? $this->refreshToken;
+
+        if ($refreshToken !== null) {
+            try {
+                return $this->requestToken(
+                    $this->getRefreshUrl(),
+                    ['grant_type' => 'refresh_token', 'refresh_token' => $refreshToken],
+                    $scopes,
+                    $refreshToken
+                );
+            } catch (\\RuntimeException $e) {
+                // An expired or revoked refresh token falls back to a new grant when possible
+                if (!$this->hasGrantCredentials($this->getFlow())) {
+                    throw $e;
+                }
+            }
+        }
+
+        return $this->requestToken($this->getTokenUrl(), $this->getGrantParams(), $scopes, null);
+    }
+
+    /**
+     * Name of the flow used to obtain tokens
+     */
+    private function getFlow(): ?string
+    {
+        if ($this->setting('flow') !== null) {
+            return $this->setting('flow');
+        }
+
+        $available = array_values(array_filter(self::TOKEN_FLOWS, fn ($flow) => isset($this->flows[$flow])));
+        foreach ($available as $flow) {
+            if ($this->hasGrantCredentials($flow)) {
+                return $flow;
+            }
+        }
+        return $available[0] ?? ($this->setting('tokenUrl') !== null ? 'clientCredentials' : null);
+    }
+
+    private function getTokenUrl(): ?string
+    {
+        return $this->setting('tokenUrl') ?? ($this->flows[$this->getFlow()]['tokenUrl'] ?? null);
+    }
+
+    private function getRefreshUrl(): ?string
+    {
+        return $this->setting('refreshUrl') ?? ($this->flows[$this->getFlow()]['refreshUrl'] ?? $this->getTokenUrl());
+    }
+
+    /**
+     * Check whether the grant for a flow can be performed with the configured settings
+     */
+    private function hasGrantCredentials(?string $flow): bool
+    {
+        switch ($flow) {
+            case 'clientCredentials':
+                return $this->setting('clientId') !== null;
+            case 'password':
+                return $this->setting('username') !== null && $this->setting('password') !== null;
+            case 'authorizationCode':
+                return $this->setting('authorizationCode') !== null && !$this->authorizationCodeUsed;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Build the token request parameters for the selected flow
+     */
+    private function getGrantParams(): array
+    {
+        $flow = $this->getFlow();
+        switch ($flow) {
+            case 'clientCredentials':
+                return ['grant_type' => 'client_credentials'];
+            case 'password':
+                return ['grant_type' => 'password', 'username' => $this->setting('username'), 'password' => $this->setting('password')];
+            case 'authorizationCode':
+                if (!$this->hasGrantCredentials('authorizationCode')) {
+                    throw new \\RuntimeException('OAuth 2.0 authorization code flow needs a refresh token or an unused authorization code');
+                }
+                // Authorization codes are single-use; later tokens come from the refresh token
+                $this->authorizationCodeUsed = true;
+                return array_filter([
+                    'grant_type' => 'authorization_code',
+                    'code' => $this->setting('authorizationCode'),
+                    'redirect_uri' => $this->setting('redirectUri')
+                ]);
+            default:
+                throw new \\RuntimeException('OAuth 2.0 flow "' . $flow . '" cannot obtain tokens automatically; configure an access token instead');
+        }
+    }
+
+    /**
+     * Call the token endpoint
+     */
+    private function requestToken(string $url, array $params, array $scopes, ?string $previousRefreshToken): array
+    {
+        if (!empty($scopes)) {
+            $params['scope'] = implode(' ', $scopes);
+        }
+
+        $headers = [
+            'Content-Type' => 'application/x-www-form-urlencoded',
+            'Accept' => 'application/json'
+        ];
+        $clientId = $this->setting('clientId');
+        $clientSecret = $this->setting('clientSecret');
+        if ($clientId !== null && $clientSecret !== null && $this->setting('clientAuthentication') !== 'body') {
+            $headers['Authorization'] = 'Basic ' . base64_encode(urlencode($clientId) . ':' . urlencode($clientSecret));
+        } elseif ($clientId !== null) {
+            $params['client_id'] = $clientId;
+            if ($clientSecret !== null) {
+                $params['client_secret'] = $clientSecret;
+            }
+        }
+
+        try {
+            $response = $this->httpClient->request('POST', $url, [
+                'headers' => $headers,
+                'body' => http_build_query($params)
+            ]);
+        } catch (\\GuzzleHttp\\Exception\\GuzzleException $e) {
+            throw new \\RuntimeException('Token request failed: ' . $e->getMessage(), 0, $e);
+        }
+
+        $data = json_decode((string) $response->getBody(), true);
+        if (!is_array($data) || empty($data['access_token'])) {
+            throw new \\RuntimeException('Token endpoint response did not include an access_token');
+        }
+
+        if (!empty($data['refresh_token'])) {
+            $this->refreshToken = $data['refresh_token'];
+        }
+
+        $expiresIn = (int) ($data['expires_in'] ?? 0);
+        return [
+            'accessToken' => $data['access_token'],
+            'refreshToken' => $data['refresh_token'] ?? $previousRefreshToken,
+            // Leave a safety margin so tokens are not used right as they expire
+            'expiresAt' => $expiresIn > 0 ? time() + $expiresIn - min(30, intdiv($expiresIn, 2)) : null
+        ];
+    }
+
+    /**
+     * Run a callback while holding an exclusive lock on the token cache
+     */
+    private function withCacheLock(string $cacheFile, callable $callback)
+    {
+        $lock = fopen($cacheFile . '.lock', 'c');
+        if ($lock === false) {
+            throw new \\RuntimeException('Cannot open token cache lock ' . $cacheFile . '.lock');
+        }
+
+        flock($lock, LOCK_EX);
+        try {
+            return $callback();
+        } finally {
+            flock($lock, LOCK_UN);
+            fclose($lock);
+        }
+    }
+
+    private function readCache(string $cacheFile): array
+    {
+        if (!is_file($cacheFile)) {
+            return [];
+        }
+        $cached = json_decode((string) file_get_contents($cacheFile), true);
+        return is_array($cached) ? $cached : [];
+    }
+
+    private function setting(string $key): ?string
+    {
+        $value = $this->settings[$key] ?? null;
+        return ($value === null || $value === '') ? null : (string) $value;
+    }
+
+    private static function isValid(array $token): bool
+    {
+        return !empty($token['accessToken']) && ($token['expiresAt'] === null || time() < $token['expiresAt']);
+    }
+
+    private static function cacheKey(array $scopes): string
+    {
+        sort($scopes);
+        return implode(' ', $scopes);
+    }
+}`;
+}
+
+/**
+ * Generate request handler
+ */
+function generateRequestHandler() {
+  return `<?php
+
+namespace Example\\Utils;
+
+use Example\\Config\\Config;
+use Example\\Models\\ApiResponse;
+use GuzzleHttp\\Client;
+use GuzzleHttp\\Exception\\GuzzleException;
+use GuzzleHttp\\Exception\\RequestException;
+
+/**
+ * Request Handler
+ * Handles HTTP requests with retry logic and proper error handling
+ */
+class RequestHandler
+{
+    private Config $config;
+
+    public function __construct(Config $config)
+    {
+        $this->config = $config;
+    }
+
+    /**
+     * Make HTTP request with retry logic
+     * @param Client $client Guzzle HTTP client
+     * @param string $method HTTP method
+     * @param string $url Request URL
+     * @param string|null $body Request body
+     * @param array $headers Request headers
+     * @return ApiResponse Response data
+     * @throws \\Exception if request fails
+     */
+    public function makeRequest(Client $client, string $method, string $url, 
+                              ?string $body, array $headers): ApiResponse
+    {
+        $maxRetries = $this->config->getMaxRetries();
+        $lastException = null;
+
+        for ($attempt = 1; $attempt <= $maxRetries; $attempt++) {
+            try {
+                return $this->executeRequest($client, $method, $url, $body, $headers);
+            } catch (\\Exception $e) {
+                $lastException = $e;
+                
+                // Don't retry on client errors (4xx) except 429 (rate limit)
+                if ($e instanceof ApiException) {
+                    $apiException = $e;
+                    if ($apiException->getStatusCode() >= 400 && $apiException->getStatusCode() < 500 
+                        && $apiException->getStatusCode() !== 429) {
+                        throw $e;
+                    }
+                }
+                
+                // Don't retry on server errors (5xx) if it's the last attempt
+                if ($attempt === $maxRetries) {
+                    throw $e;
+                }
+                
+                // Wait before retrying (exponential backoff)
+                $delay = min(1000 * pow(2, $attempt - 1), 10000);
+                usleep($delay * 1000);
+            }
+        }
+
+        throw $lastException;
+    }
+
+    /**
+     * Execute single HTTP request
+     * @param Client $client Guzzle HTTP client
+     * @param string $method HTTP method
+     * @param string $url Request URL
+     * @param string|null $body Request body
+     * @param array $headers Request headers
+     * @return ApiResponse Response data
+     * @throws \\Exception if request fails
+     */
+    private function executeRequest(Client $client, string $method, string $url, 
+                                  ?string $body, array $headers): ApiResponse
+    {
+        $options = [
+            'headers' => array_merge([
+                'Content-Type' => 'application/json'
+            ], $headers)
+        ];
+
+        if ($body !== null && !in_array($method, ['GET', 'DELETE'])) {
+            $options['body'] = $body;
+        }
+
+        try {
+            $response = $client->request($method, $url, $options);
+            $responseBody = $response->getBody()->getContents();
+            
+            return new ApiResponse(
+                $response->getStatusCode(),
+                $response->getReasonPhrase(),
+                $responseBody
+            );
+        } catch (RequestException $e) {
+            if ($e->hasResponse()) {
+                $response = $e->getResponse();
+                throw new ApiException(
+                    $response->getStatusCode(),
+                    $response->getReasonPhrase(),
+                    $response->getBody()->getContents()
+                );
+            }
+            throw new \\RuntimeException('Request failed: ' . $e->getMessage(), 0, $e);
+        } catch (GuzzleException $e) {
+            throw new \\RuntimeException('Request failed: ' . $e->getMessage(), 0, $e);
+        }
+    }
+}`;
+}
+
+/**
+ * Generate error handler
+ */
+function generateErrorHandler() {
+  return `<?php
+
+namespace Example\\Utils;
+
+/**
+ * Error Handler
+ * Handles and formats API errors consistently
+ */
+class ErrorHandler
+{
+    /**
+     * Format an exception for logging
+     * @param \\Throwable $e Exception raised by a request
+     * @return string Readable description
+     */
+    public function format(\\Throwable $e): string
+    {
+        return $e instanceof ApiException ? (string) $e : get_class($e) . ': ' . $e->getMessage();
+    }
+}`;
+}
+
+/**
+ * Generate API exception
+ */
+function generateApiException() {
+  return `<?php
+
+namespace Example\\Utils;
+
+/**
+ * Custom API Exception
+ * Raised when the API responds with an error status
+ */
+class ApiException extends \\RuntimeException
+{
+    private int $statusCode;
+    private string $responseBody;
+
+    public function __construct(int $statusCode, string $message, string $responseBody)
+    {
+        parent::__construct($message);
+        $this->statusCode = $statusCode;
+        $this->responseBody = $responseBody;
+    }
+
+    public function getStatusCode(): int
+    {
+        return $this->statusCode;
+    }
+
+    public function getResponseBody(): string
+    {
+        return $this->responseBody;
+    }
+
+    public function __toString(): string
+    {
+        return sprintf(
+            'ApiException{statusCode=%d, message="%s", responseBody="%s"}',
+            $this->statusCode,
+            $this->getMessage(),
+            $this->responseBody
+        );
+    }
+}`;
+}
+
+/**
+ * Generate the exception raised for GraphQL errors
+ */
+function generateGraphqlException() {
+  return `<?php
+
+namespace Example\\Utils;
+
+/**
+ * GraphQL Exception
+ * Raised when a GraphQL response carries errors, which servers report with a
+ * 200 status. Any partial data returned alongside them is kept.
+ */
+class GraphQLException extends \\RuntimeException
+{
+    private array $errors;
+    private ?array $data;
+
+    public function __construct(array $errors, ?array $data = null)
+    {
+        parent::__construct('GraphQL errors: ' . implode('; ', array_map(
+            fn($error) => $error['message'] ?? 'Unknown error',
+            $errors
+        )));
+        $this->errors = $errors;
+        $this->data = $data;
+    }
+
+    public function getErrors(): array
+    {
+        return $this->errors;
+    }
+
+    public function getData(): ?array
+    {
+        return $this->data;
+    }
+}`;
+}
+
+/**
+ * Generate the event client with a typed publisher or subscriber per channel operation
+ */
+function generateEventClient(parsedData, messagingEndpoints) {
+  const { title, schemas = {} } = parsedData;
+  const methods = messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishMethod(endpoint, schemas)
+    : generateSubscribeMethod(endpoint, schemas)).join('\n\n');
+  const usesJson = messagingEndpoints.some(endpoint => isJsonContentType(endpoint.messaging.contentType));
+  
+  return `<?php
+
+namespace Example;
+
+use Example\\Messaging\\BrokerInterface;
+use Example\\Messaging\\BrokerMessage;${getModelImports(methods, schemas).map(name => `\nuse ${name};`).join('')}
+
+/**
+ * ${title} Event Client
+ * Publishes and subscribes to the ${title} channels through a broker.
+ * Implement BrokerInterface on top of your Kafka, AMQP, MQTT or WebSocket
+ * client, or use InMemoryBroker in tests.
+ */
+class EventClient
+{
+    private BrokerInterface $broker;
+
+    public function __construct(BrokerInterface $broker)
+    {
+        $this->broker = $broker;
+    }
+
+${methods}
+
+    /**
+     * Send an encoded payload to a channel; every channel parameter must be set
+     * @throws \\InvalidArgumentException if a channel parameter is missing
+     */
+    private function publish(string $channel, string $contentType, string $payload, array $parameters, array $headers): void
+    {
+        foreach ($parameters as $name => $value) {
+            if ($value === null || $value === '') {
+                throw new \\InvalidArgumentException(sprintf('Missing channel parameter "%s" for %s', $name, $channel));
+            }
+        }
+
+        $address = $this->resolveAddress($channel, $parameters);
+        $this->broker->publish($address, new BrokerMessage($address, array_merge(['content-type' => $contentType], $headers), $payload));
+    }
+${usesJson ? `
+    /**
+     * Decode the JSON payload of a message
+     * @return mixed
+     * @throws \\JsonException if the payload is not valid JSON
+     */
+    private function decode(BrokerMessage $message)
+    {
+        return json_decode($message->getPayload(), true, 512, JSON_THROW_ON_ERROR);
+    }
+` : ''}
+    /**
+     * Fill channel parameters into an address, keeping the placeholders of missing ones
+     */
+    private function resolveAddress(string $channel, array $parameters): string
+    {
+        return preg_replace_callback('/\\{([^}]+)\\}/', function (array $match) use ($parameters): string {
+            $value = (string) ($parameters[$match[1]] ?? '');
+            return $value !== '' ? $value : $match[0];
+        }, $channel);
+    }
+}`;
+}
+
+/**
+ * Generate a method that publishes a message to a channel
+ */
+function generatePublishMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const payloadType = toPhpPayloadType(messaging, schemas);
+  const params = [
+    `${payloadType.hint ? `${payloadType.hint} ` : ''}$payload`,
+    ...parameters.map(param => `?string $${toPhpParamName(param)}`),
+    'array $headers = []'
+  ];
+  const encoded = isJsonContentType(messaging.contentType) ? 'json_encode($payload, JSON_THROW_ON_ERROR)' : '$payload';
+  
+  return `    /**
+     * ${summary || `Publish to ${messaging.address}`}${description ? `\n     * ${description}` : ''}
+     * Channel: ${messaging.address}
+     * @param ${payloadType.doc} $payload Message payload
+${parameters.map(param => `     * @param string $${toPhpParamName(param)} Channel parameter ${param.name}${param.description ? `: ${param.description}` : ''}`).join('\n')}${parameters.length > 0 ? '\n' : ''}     * @param array $headers Additional message headers
+     * @throws \\InvalidArgumentException if a channel parameter is missing
+     * @throws \\JsonException if the payload cannot be encoded
+     */
+    public function ${operationId}(${params.join(', ')}): void
+    {
+        $this->publish(${toPhpArray(messaging.address)}, ${toPhpArray(messaging.contentType)}, ${encoded}, ${toPhpParameterArray(parameters)}, $headers);
+    }`;
+}
+
+/**
+ * Generate a method that subscribes a handler to a channel
+ */
+function generateSubscribeMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const payloadType = toPhpPayloadType(messaging, schemas);
+  const params = [...parameters.map(param => `?string $${toPhpParamName(param)}`), 'callable $handler'];
+  
+  return `    /**
+     * ${summary || `Subscribe to ${messaging.address}`}${description ? `\n     * ${description}` : ''}
+     * Channel: ${messaging.address}
+${parameters.map(param => `     * @param string|null $${toPhpParamName(param)} Channel parameter ${param.name}, or null to match any value`).join('\n')}${parameters.length > 0 ? '\n' : ''}     * @param callable $handler Receives each ${payloadType.doc} payload and its BrokerMessage
+     * @return callable Removes the subscription
+     */
+    public function ${operationId}(${params.join(', ')}): callable
+    {
+        $address = $this->resolveAddress(${toPhpArray(messaging.address)}, ${toPhpParameterArray(parameters)});
+        return $this->broker->subscribe($address, function (BrokerMessage $message) use ($handler): void {
+            $handler(${toPhpPayloadExpression(messaging, schemas, isJsonContentType(messaging.contentType) ? '$this->decode($message)' : '$message->getPayload()')}, $message);
+        });
+    }`;
+}
+
+/**
+ * Render channel parameters as a PHP array literal of name => variable
+ */
+function toPhpParameterArray(parameters) {
+  return `[${parameters.map(param => `${toPhpArray(param.name)} => $${toPhpParamName(param)}`).join(', ')}]`;
+}
+
+/**
+ * PHP variable name for a channel parameter
+ */
+function toPhpParamName(param) {
+  return toCamelCase(param.name);
+}
+
+/**
+ * PHP variable name for a path or query parameter of an endpoint method
+ */
+function toPhpEndpointParamName(param) {
+  const name = toPhpParamName(param);
+  return PHP_ENDPOINT_LOCALS.includes(name) ? `${name}Value` : name;
+}
+
+/**
+ * Type hint and documented type of a message payload; unions stay decoded arrays
+ */
+function toPhpPayloadType(messaging, schemas) {
+  if (!isJsonContentType(messaging.contentType)) return { hint: 'string', doc: 'string' };
+  if (messaging.payload.oneOf) return { hint: '', doc: 'mixed' };
+  return toPhpModelType(messaging.payload, schemas);
+}
+
+/**
+ * Expression turning decoded JSON into the payload type
+ */
+function toPhpPayloadExpression(messaging, schemas, decoded) {
+  if (!isJsonContentType(messaging.contentType) || messaging.payload.oneOf) return decoded;
+  return toPhpHydration(messaging.payload, schemas, decoded);
+}
+
+/**
+ * Expression building a model (or list of models) from a decoded array
+ */
+function toPhpHydration(node, schemas, value) {
+  if (isPhpModel(node, schemas)) {
+    return `${toPhpTypeName(node.ref)}::fromArray(${value})`;
+  }
+  const schema = resolveSchemaRef(node, schemas);
+  if (schema.type === 'array' && schema.items && isPhpModel(schema.items, schemas)) {
+    return `array_map([${toPhpTypeName(schema.items.ref)}::class, 'fromArray'], ${value})`;
+  }
+  return value;
+}
+
+/**
+ * Whether a schema node is generated as a model class
+ */
+function isPhpModel(node, schemas) {
+  const schema = resolveSchemaRef(node, schemas);
+  return Boolean(node.ref) && schema.type === 'object' && !schema.oneOf && !schema.anyOf &&
+    Object.keys(schema.properties || {}).length > 0;
+}
+
+/**
+ * Type hint and documented type for a payload or model property
+ */
+function toPhpModelType(node, schemas) {
+  if (isPhpModel(node, schemas)) {
+    const name = toPhpTypeName(node.ref);
+    return { hint: name, doc: name };
+  }
+  
+  const schema = resolveSchemaRef(node, schemas);
+  if (schema.oneOf || schema.anyOf) return { hint: '', doc: 'mixed' };
+  if (schema.type === 'array' && schema.items && isPhpModel(schema.items, schemas)) {
+    return { hint: 'array', doc: `${toPhpTypeName(schema.items.ref)}[]` };
+  }
+  
+  const type = toPhpType(schema, schemas);
+  return type === 'mixed' ? { hint: '', doc: 'mixed' } : { hint: type, doc: type };
+}
+
+/**
+ * PHP class name for a registry model, avoiding reserved words and the client's own classes
+ */
+function toPhpTypeName(name) {
+  return PHP_RESERVED_TYPES.includes(name.toLowerCase()) ? `${name}Model` : name;
+}
+
+/**
+ * Imports of the model classes that a source fragment refers to
+ */
+function getModelImports(source, schemas) {
+  return Object.keys(schemas)
+    .filter(name => isPhpModel({ ref: name }, schemas))
+    .map(toPhpTypeName)
+    .filter(name => new RegExp(`\\b${name}\\b`).test(source))
+    .sort()
+    .map(name => `Example\\Models\\${name}`);
+}
+
+/**
+ * Generate the model class for an object schema
+ */
+function generateModel(name, schemas) {
+  const schema = schemas[name];
+  const className = toPhpTypeName(name);
+  const propertyNames = new Set();
+  
+  const properties = Object.entries(schema.properties || {}).map(([key, propSchema]) => {
+    let property = toCamelCase(key);
+    for (let suffix = 2; propertyNames.has(property); suffix++) {
+      property = `${toCamelCase(key)}${suffix}`;
+    }
+    propertyNames.add(property);
+    
+    const type = toPhpModelType(propSchema, schemas);
+    const itemsRef = resolveSchemaRef(propSchema, schemas).items?.ref;
+    let serialized = `$this->${property}`;
+    if (isPhpModel(propSchema, schemas)) {
+      serialized = `$this->${property} !== null ? $this->${property}->toArray() : null`;
+    } else if (type.doc.endsWith('[]') && itemsRef) {
+      serialized = `$this->${property} !== null ? array_map(fn (${toPhpTypeName(itemsRef)} $item): array => $item->toArray(), $this->${property}) : null`;
+    }
+    
+    const hydrated = toPhpHydration(propSchema, schemas, `$data[${toPhpArray(key)}]`);
+    return {
+      key,
+      property,
+      type,
+      description: propSchema.description,
+      hydration: hydrated === `$data[${toPhpArray(key)}]`
+        ? `$data[${toPhpArray(key)}] ?? null`
+        : `isset($data[${toPhpArray(key)}]) ? ${hydrated} : null`,
+      serialized
+    };
+  });
+  
+  return `<?php
+
+namespace Example\\Models;
+
+/**
+ * ${className} Model
+ * ${schema.description || `Model for ${name}`}
+ */
+class ${className} implements \\JsonSerializable
+{
+${properties.map(prop => `    /** @var ${prop.type.doc}|null${prop.description ? ` ${prop.description}` : ''} */
+    public ${prop.type.hint ? `?${prop.type.hint} ` : ''}$${prop.property} = null;`).join('\n\n')}
+
+    /**
+     * Build the model from a decoded JSON object
+     */
+    public static function fromArray(array $data): self
+    {
+        $model = new self();
+${properties.map(prop => `        $model->${prop.property} = ${prop.hydration};`).join('\n')}
+        return $model;
+    }
+
+    /**
+     * Convert the model to an array, leaving out unset properties
+     */
+    public function toArray(): array
+    {
+        return array_filter([
+${properties.map(prop => `            ${toPhpArray(prop.key)} => ${prop.serialized},`).join('\n')}
+        ], fn ($value): bool => $value !== null);
+    }
+
+    public function jsonSerialize(): array
+    {
+        return $this->toArray();
+    }
+}`;
+}
+
+/**
+ * Generate the broker interface the event client publishes through
+ */
+function generateBrokerInterface() {
+  return `<?php
+
+namespace Example\\Messaging;
+
+/**
+ * Message Broker
+ * Publishes and subscribes to channel addresses. Implement it on top of your
+ * Kafka, AMQP, MQTT or WebSocket client, or use InMemoryBroker in tests.
+ */
+interface BrokerInterface
+{
+    /**
+     * Publish a message to an address
+     * @param string $address Resolved channel address
+     * @param BrokerMessage $message Message to publish
+     */
+    public function publish(string $address, BrokerMessage $message): void;
+
+    /**
+     * Subscribe a handler to an address; {placeholders} in the address match any value
+     * @param string $address Channel address
+     * @param callable $handler Receives each BrokerMessage
+     * @return callable Removes the subscription
+     */
+    public function subscribe(string $address, callable $handler): callable;
+}`;
+}
+
+/**
+ * Generate the message exchanged with a broker
+ */
+function generateBrokerMessage() {
+  return `<?php
+
+namespace Example\\Messaging;
+
+/**
+ * Broker Message
+ * A message travelling through a broker: its address, headers and encoded payload
+ */
+class BrokerMessage
+{
+    private string $address;
+    private array $headers;
+    private string $payload;
+
+    public function __construct(string $address, array $headers, string $payload)
+    {
+        $this->address = $address;
+        $this->headers = $headers;
+        $this->payload = $payload;
+    }
+
+    public function getAddress(): string
+    {
+        return $this->address;
+    }
+
+    public function getHeaders(): array
+    {
+        return $this->headers;
+    }
+
+    public function getPayload(): string
+    {
+        return $this->payload;
+    }
+}`;
+}
+
+/**
+ * Generate the in-process broker used by the event client tests
+ */
+function generateInMemoryBroker() {
+  return `<?php
+
+namespace Example\\Messaging;
+
+/**
+ * In-Memory Broker
+ * Delivers messages between publishers and subscribers in the same process, so
+ * the event client can be tested without a running broker. Subscriptions that
+ * keep a channel parameter as a {placeholder} match any value.
+ */
+class InMemoryBroker implements BrokerInterface
+{
+    private array $subscriptions = [];
+    private int $nextSubscriptionId = 0;
+
+    /** @var BrokerMessage[] */
+    private array $published = [];
+
+    public function publish(string $address, BrokerMessage $message): void
+    {
+        $delivered = new BrokerMessage($address, $message->getHeaders(), $message->getPayload());
+        $this->published[] = $delivered;
+
+        foreach ($this->subscriptions as $subscription) {
+            if (preg_match($subscription['pattern'], $address)) {
+                ($subscription['handler'])($delivered);
+            }
+        }
+    }
+
+    public function subscribe(string $address, callable $handler): callable
+    {
+        $id = $this->nextSubscriptionId++;
+        $this->subscriptions[$id] = ['pattern' => self::addressPattern($address), 'handler' => $handler];
+
+        return function () use ($id): void {
+            unset($this->subscriptions[$id]);
+        };
+    }
+
+    /**
+     * Messages published so far, in order
+     * @return BrokerMessage[]
+     */
+    public function getPublished(): array
+    {
+        return $this->published;
+    }
+
+    /**
+     * Pattern matching an address; {placeholders} match one path segment
+     */
+    private static function addressPattern(string $address): string
+    {
+        $parts = preg_split('/\\{[^}]+\\}/', $address);
+        return '#^' . implode('[^/]+', array_map(fn (string $part): string => preg_quote($part, '#'), $parts)) . '$#';
+    }
+}`;
+}
+
+/**
+ * Generate the gRPC client wrapping the grpc_php_plugin stubs for RPCs without an HTTP binding
+ */
+function generateGrpcClient(parsedData, grpcEndpoints) {
+  const { title, baseUrl, protoFiles = [] } = parsedData;
+  const services = getGrpcServices(grpcEndpoints);
+  const { target, insecure } = getGrpcTarget(baseUrl);
+  const classes = createPhpGrpcClasses(protoFiles);
+  const methods = grpcEndpoints.map(endpoint => generateGrpcMethod(endpoint, classes)).join('\n\n');
+  const properties = services.map(service => `    /** @var ${classes.serviceClient(service)} */
+    private $${toPhpServiceProperty(service)};`).join('\n');
+  const hasUnary = grpcEndpoints.some(endpoint => !endpoint.grpc.requestStream && !endpoint.grpc.responseStream);
+  
+  return `<?php
+
+namespace Example;
+
+use Example\\Utils\\GrpcException;
+${classes.imports().sort().map(name => `use ${name};`).join('\n')}
+use Grpc\\ChannelCredentials;
+
+/**
+ * ${title} gRPC Client
+ * Calls the RPCs without an HTTP binding through the stubs generated into
+ * generated/ (composer generate). Connects to GRPC_TARGET (default ${target})${insecure ? ' without TLS' : ' over TLS'};
+ * set GRPC_INSECURE=${insecure ? 'false to use TLS' : 'true for plaintext connections'}.
+ */
+class GrpcClient
+{
+    private const STATUS_OK = 0;
+
+${properties}
+    private array $metadata;
+    private int $timeout;
+
+    /**
+     * @param array $config Options: target, insecure, timeout (milliseconds), metadata sent
+     *                      with every call (e.g. ['authorization' => ['Bearer ...']]), and
+     *                      stubs keyed by service name to use instead of connecting
+     */
+    public function __construct(array $config = [])
+    {
+        $stubs = $config['stubs'] ?? [];
+${services.map(service => `        $this->${toPhpServiceProperty(service)} = $stubs['${service.name}'] ?? new ${classes.serviceClient(service)}(self::target($config), self::channelOptions($config));`).join('\n')}
+        $this->metadata = $config['metadata'] ?? [];
+        $this->timeout = (int) ($config['timeout'] ?? $_ENV['GRPC_TIMEOUT'] ?? 30000);
+    }
+
+${methods}
+
+    /**
+     * Close every channel
+     */
+    public function close(): void
+    {
+${services.map(service => `        $this->${toPhpServiceProperty(service)}->close();`).join('\n')}
+    }
+${hasUnary ? `
+    /**
+     * Call options for unary calls: the deadline, in microseconds
+     */
+    private function callOptions(): array
+    {
+        return ['timeout' => $this->timeout * 1000];
+    }
+` : ''}
+    /**
+     * @throws GrpcException if the call ended with an error status
+     */
+    private function checkStatus($status): void
+    {
+        if ($status->code !== self::STATUS_OK) {
+            throw new GrpcException($status->details, $status->code, (array) ($status->metadata ?? []));
+        }
+    }
+
+    private static function target(array $config): string
+    {
+        return $config['target'] ?? $_ENV['GRPC_TARGET'] ?? '${target}';
+    }
+
+    private static function channelOptions(array $config): array
+    {
+        $insecure = filter_var($config['insecure'] ?? $_ENV['GRPC_INSECURE'] ?? ${insecure ? "'true'" : "'false'"}, FILTER_VALIDATE_BOOLEAN);
+        return ['credentials' => $insecure ? ChannelCredentials::createInsecure() : ChannelCredentials::createSsl()];
+    }
+}`;
+}
+
+/**
+ * Generate a GrpcClient method for one RPC, shaped by its streaming mode
+ */
+function generateGrpcMethod(endpoint, classes) {
+  const { operationId, summary, description, grpc: rpc } = endpoint;
+  const stub = `$this->${toPhpServiceProperty({ name: rpc.service })}->${rpc.method}`;
+  const requestType = classes.reference(rpc.requestType);
+  const responseType = classes.reference(rpc.responseType);
+  const header = `    /**
+     * ${summary || `${rpc.service}.${rpc.method}`}${description && description !== summary ? `\n     * ${description}` : ''}
+     * RPC: ${endpoint.path}`;
+  
+  if (rpc.requestStream && rpc.responseStream) {
+    return `${header}
+     * Write ${requestType} messages to the call, then writesDone(); read() returns
+     * ${responseType} messages until it returns null, and getStatus() the final status.
+     * @return \\Grpc\\BidiStreamingCall
+     */
+    public function ${operationId}()
+    {
+        return ${stub}($this->metadata);
+    }`;
+  }
+  
+  if (rpc.requestStream) {
+    return `${header}
+     * @param iterable<${requestType}> $messages
+     * @throws GrpcException if the call fails
+     */
+    public function ${operationId}(iterable $messages): ${responseType}
+    {
+        $call = ${stub}($this->metadata);
+        foreach ($messages as $message) {
+            $call->write($message);
+        }
+        [$response, $status] = $call->wait();
+        $this->checkStatus($status);
+        return $response;
+    }`;
+  }
+  
+  if (rpc.responseStream) {
+    return `${header}
+     * @return \\Generator<${responseType}> Messages as the server sends them
+     * @throws GrpcException if the stream ends with an error
+     */
+    public function ${operationId}(${requestType} $request): \\Generator
+    {
+        $call = ${stub}($request, $this->metadata);
+        yield from $call->responses();
+        $this->checkStatus($call->getStatus());
+    }`;
+  }
+  
+  return `${header}
+     * @throws GrpcException if the call fails
+     */
+    public function ${operationId}(${requestType} $request): ${responseType}
+    {
+        [$response, $status] = ${stub}($request, $this->metadata, $this->callOptions())->wait();
+        $this->checkStatus($status);
+        return $response;
+    }`;
+}
+
+/**
+ * Generate the exception for calls that end with an error status
+ */
+function generateGrpcException() {
+  return `<?php
+
+namespace Example\\Utils;
+
+/**
+ * gRPC Exception
+ * Raised when a call ends with a status other than OK. The exception code is
+ * the gRPC status code (e.g. 5 for NOT_FOUND).
+ */
+class GrpcException extends \\RuntimeException
+{
+    private array $metadata;
+
+    public function __construct(string $details, int $code, array $metadata = [])
+    {
+        parent::__construct($details !== '' ? $details : sprintf('gRPC call failed with status %d', $code), $code);
+        $this->metadata = $metadata;
+    }
+
+    public function getMetadata(): array
+    {
+        return $this->metadata;
+    }
+}`;
+}
+
+/**
+ * Generate GrpcClient tests against fake stubs that record calls
+ */
+function generateGrpcClientTests(parsedData, grpcEndpoints) {
+  const classes = createPhpGrpcClasses(parsedData.protoFiles || []);
+  const services = getGrpcServices(grpcEndpoints);
+  const unary = grpcEndpoints.find(endpoint => !endpoint.grpc.requestStream && !endpoint.grpc.responseStream);
+  const tests = grpcEndpoints.map(endpoint => generateGrpcTest(endpoint, classes)).join('\n\n');
+  const stubs = services.map(service => `            '${service.name}' => new FakeStub([
+${service.endpoints.map(endpoint => `                '${endpoint.grpc.method}' => [${classes.reference(endpoint.grpc.responseType)}::class, ${endpoint.grpc.requestStream}],`).join('\n')}
+            ]),`).join('\n');
+  const errorTest = unary ? `
+
+    public function testFailedCallThrows(): void
+    {
+        $this->stubs['${unary.grpc.service}']->status = (object) ['code' => 5, 'details' => 'not found', 'metadata' => []];
+
+        $this->expectException(GrpcException::class);
+        $this->expectExceptionCode(5);
+        $this->client->${unary.operationId}(new ${classes.reference(unary.grpc.requestType)}());
+    }` : '';
+  
+  return `<?php
+
+namespace Tests;
+
+use Example\\GrpcClient;
+use Example\\Utils\\GrpcException;
+${classes.imports().sort().map(name => `use ${name};`).join('\n')}
+use PHPUnit\\Framework\\TestCase;
+
+/**
+ * Runs GrpcClient against fake stubs, so the tests need the generated message
+ * classes (composer generate) but not the grpc extension
+ */
+class GrpcClientTest extends TestCase
+{
+    private array $stubs;
+    private GrpcClient $client;
+
+    protected function setUp(): void
+    {
+        $this->stubs = [
+${stubs}
+        ];
+        $this->client = new GrpcClient([
+            'metadata' => ['authorization' => ['Bearer test-token']],
+            'stubs' => $this->stubs,
+        ]);
+    }
+
+${tests}${errorTest}
+
+    private function assertAuthorizationSent(array $call): void
+    {
+        $this->assertSame(['Bearer test-token'], $call['metadata']['authorization'] ?? null);
+    }
+}
+
+/**
+ * Stands in for a generated stub: records each call and answers with the default response message
+ */
+class FakeStub
+{
+    public array $calls = [];
+    public object $status;
+    private array $rpcs;
+
+    /**
+     * @param array $rpcs Response class and whether the client streams requests, by RPC name
+     */
+    public function __construct(array $rpcs)
+    {
+        $this->rpcs = $rpcs;
+        $this->status = (object) ['code' => 0, 'details' => '', 'metadata' => []];
+    }
+
+    public function __call(string $method, array $arguments): FakeCall
+    {
+        [$responseClass, $clientStreaming] = $this->rpcs[$method];
+        $call = new FakeCall(new $responseClass(), $this->status);
+        $this->calls[] = [
+            'method' => $method,
+            'request' => $clientStreaming ? null : $arguments[0],
+            'metadata' => $clientStreaming ? ($arguments[0] ?? []) : ($arguments[1] ?? []),
+            'call' => $call,
+        ];
+        return $call;
+    }
+
+    public function close(): void
+    {
+    }
+}
+
+/**
+ * Stands in for the unary and streaming call objects of the grpc extension
+ */
+class FakeCall
+{
+    public array $written = [];
+    private $response;
+    private object $status;
 
-    public function __construct(Config $config)
+    public function __construct($response, object $status)
     {
-        $this->config = $config;
+        $this->response = $response;
+        $this->status = $status;
     }
 
-    /**
-     * Make HTTP request with retry logic
-     * @param Client $client Guzzle HTTP client
-     * @param string $method HTTP method
-     * @param string $url Request URL
-     * @param string|null $body Request body
-     * @param array $headers Request headers
-     * @return ApiResponse Response data
-     * @throws \\Exception if request fails
-     */
-    public function makeRequest(Client $client, string $method, string $url, 
-                              ?string $body, array $headers): ApiResponse
+    public function write($message): void
     {
-        $maxRetries = $this->config->getMaxRetries();
-        $lastException = null;
+        $this->written[] = $message;
+    }
 
-        for ($attempt = 1; $attempt <= $maxRetries; $attempt++) {
-            try {
-                return $this->executeRequest($client, $method, $url, $body, $headers);
-            } catch (\\Exception $e) {
-                $lastException = $e;
-                
-                // Don't retry on client errors (4xx) except 429 (rate limit)
-                if ($e instanceof ApiException) {
-                    $apiException = $e;
-                    if ($apiException->getStatusCode() >= 400 && $apiException->getStatusCode() < 500 
-                        && $apiException->getStatusCode() !== 429) {
-                        throw $e;
-                    }
-                }
-                
-                // Don't retry on server errors (5xx) if it's the last attempt
-                if ($attempt === $maxRetries) {
-                    throw $e;
-                }
-                
-                // Wait before retrying (exponential backoff)
-                $delay = min(1000 * pow(2, $attempt - 1), 10000);
-                usleep($delay * 1000);
-            }
-        }
+    public function writesDone(): void
+    {
+    }
 
-        throw $lastException;
+    public function read()
+    {
+        return array_shift($this->written) !== null ? $this->response : null;
     }
 
-    /**
-     * Execute single HTTP request
-     * @param Client $client Guzzle HTTP client
-     * @param string $method HTTP method
-     * @param string $url Request URL
-     * @param string|null $body Request body
-     * @param array $headers Request headers
-     * @return ApiResponse Response data
-     * @throws \\Exception if request fails
-     */
-    private function executeRequest(Client $client, string $method, string $url, 
-                                  ?string $body, array $headers): ApiResponse
+    public function responses(): \\Generator
     {
-        $options = [
-            'headers' => array_merge([
-                'Content-Type' => 'application/json'
-            ], $headers)
-        ];
+        yield $this->response;
+    }
 
-        if ($body !== null && !in_array($method, ['GET', 'DELETE'])) {
-            $options['body'] = $body;
-        }
+    public function wait(): array
+    {
+        return [$this->response, $this->status];
+    }
 
-        try {
-            $response = $client->request($method, $url, $options);
-            $responseBody = $response->getBody()->getContents();
-            
-            return new ApiResponse(
-                $response->getStatusCode(),
-                $response->getReasonPhrase(),
-                $responseBody
-            );
-        } catch (GuzzleException $e) {
-            if ($e->hasResponse()) {
-                $response = $e->getResponse();
-                throw new ApiException(
-                    $response->getStatusCode(),
-                    $response->getReasonPhrase(),
-                    $response->getBody()->getContents()
-                );
-            }
-            throw new \\RuntimeException('Request failed: ' . $e->getMessage(), 0, $e);
-        }
+    public function getStatus(): object
+    {
+        return $this->status;
     }
 }`;
 }
 
 /**
- * Generate error handler
+ * Generate the test for one RPC
  */
-function generateErrorHandler() {
-  return `<?php
+function generateGrpcTest(endpoint, classes) {
+  const { operationId, grpc: rpc } = endpoint;
+  const testName = `test${operationId.charAt(0).toUpperCase()}${operationId.slice(1)}`;
+  const requestType = classes.reference(rpc.requestType);
+  const responseType = classes.reference(rpc.responseType);
+  const calls = `$this->stubs['${rpc.service}']->calls`;
+  
+  if (rpc.requestStream && rpc.responseStream) {
+    return `    public function ${testName}(): void
+    {
+        $call = $this->client->${operationId}();
+        $call->write(new ${requestType}());
+        $call->writesDone();
+
+        $this->assertInstanceOf(${responseType}::class, $call->read());
+        $this->assertNull($call->read());
+        $this->assertSame(0, $call->getStatus()->code);
+        $this->assertAuthorizationSent(${calls}[0]);
+    }`;
+  }
+  
+  if (rpc.requestStream) {
+    return `    public function ${testName}(): void
+    {
+        $response = $this->client->${operationId}([new ${requestType}(), new ${requestType}()]);
 
-namespace Example\\Utils;
+        $this->assertInstanceOf(${responseType}::class, $response);
+        $this->assertCount(2, ${calls}[0]['call']->written);
+        $this->assertAuthorizationSent(${calls}[0]);
+    }`;
+  }
+  
+  if (rpc.responseStream) {
+    return `    public function ${testName}(): void
+    {
+        $request = new ${requestType}();
+        $responses = iterator_to_array($this->client->${operationId}($request), false);
 
-/**
- * Error Handler
- * Handles and formats API errors consistently
- */
-class ErrorHandler
-{
-    /**
-     * Custom API Exception
-     */
-    public static class ApiException extends \\RuntimeException
+        $this->assertCount(1, $responses);
+        $this->assertInstanceOf(${responseType}::class, $responses[0]);
+        $this->assertSame($request, ${calls}[0]['request']);
+        $this->assertAuthorizationSent(${calls}[0]);
+    }`;
+  }
+  
+  return `    public function ${testName}(): void
     {
-        private int $statusCode;
-        private string $responseBody;
+        $request = new ${requestType}();
+        $response = $this->client->${operationId}($request);
 
-        public function __construct(int $statusCode, string $message, string $responseBody)
-        {
-            parent::__construct($message);
-            $this->statusCode = $statusCode;
-            $this->responseBody = $responseBody;
-        }
+        $this->assertInstanceOf(${responseType}::class, $response);
+        $this->assertSame($request, ${calls}[0]['request']);
+        $this->assertAuthorizationSent(${calls}[0]);
+    }`;
+}
 
-        public function getStatusCode(): int
-        {
-            return $this->statusCode;
-        }
+/**
+ * PHP class names protoc generates for the parsed proto files: php_namespace
+ * (or the package in StudlyCase) and nested messages as sub-namespaces
+ * (User\Address). Reserved words get a PB prefix (GPB for well-known types).
+ * Classes are imported by their outermost name unless it is taken, in which
+ * case they are fully qualified.
+ * @returns {{reference: Function, serviceClient: Function, imports: Function}} Class reference builders and the imports they used
+ */
+function createPhpGrpcClasses(protoFiles) {
+  const bound = new Map(PHP_GRPC_CLASS_NAMES.map(name => [name.toLowerCase(), null]));
+  
+  const use = (namespace, segments) => {
+    const qualified = `${namespace ? `${namespace}\\` : ''}${segments[0]}`;
+    const key = segments[0].toLowerCase();
+    if (!bound.has(key)) {
+      bound.set(key, qualified);
+    }
+    return bound.get(key) === qualified ? segments.join('\\') : `\\${namespace ? `${namespace}\\` : ''}${segments.join('\\')}`;
+  };
+  
+  const findFile = packageName => protoFiles.find(file => file.package === packageName) || protoFiles[0] || { options: {} };
+  const toNamespace = file => file.options?.php_namespace
+    || (file.package || '').split('.').filter(Boolean)
+      .map(segment => toPhpProtoClassName(segment.replace(/_([a-z0-9])/g, (match, next) => next.toUpperCase()), file.package))
+      .join('\\');
+  
+  const reference = type => {
+    if (type.wellKnown) {
+      return use('Google\\Protobuf', [toPhpProtoClassName(type.name, 'google.protobuf')]);
+    }
+    const packageName = type.fullName.slice(0, Math.max(0, type.fullName.length - type.path.join('.').length - 1));
+    const file = findFile(packageName);
+    const prefix = file.options?.php_class_prefix || '';
+    return use(toNamespace(file), type.path.map((name, index) => toPhpProtoClassName(index === 0 ? `${prefix}${name}` : name, packageName)));
+  };
+  
+  const serviceClient = service => use(toNamespace(findFile(service.package)), [`${service.name}Client`]);
+  
+  const imports = () => Array.from(bound.values()).filter(Boolean);
+  
+  return { reference, serviceClient, imports };
+}
 
-        public function getResponseBody(): string
-        {
-            return $this->responseBody;
-        }
+/**
+ * Class or namespace segment protoc uses for a proto name
+ */
+function toPhpProtoClassName(name, packageName) {
+  const studly = `${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  if (!PHP_PROTO_RESERVED_NAMES.includes(name.toLowerCase())) return studly;
+  return `${packageName === 'google.protobuf' ? 'GPB' : 'PB'}${studly}`;
+}
 
-        public function __toString(): string
-        {
-            return sprintf(
-                'ApiException{statusCode=%d, message="%s", responseBody="%s"}',
-                $this->statusCode,
-                $this->getMessage(),
-                $this->responseBody
-            );
-        }
-    }
-}`;
+/**
+ * GrpcClient property holding a service's stub, e.g. userService
+ */
+function toPhpServiceProperty(service) {
+  return toCamelCase(service.name);
 }
 
 /**
@@ -560,13 +2247,13 @@ class Config
     private string $baseUrl;
     private int $timeout;
     private int $maxRetries;
-    private string $authType;
+    private array $credentials;
+    private array $oauth2;
     private ?string $apiKey;
     private ?string $bearerToken;
     private ?string $username;
     private ?string $password;
     private ?string $accessToken;
-    private ?string $authHeaderName;
 
     public function __construct(array $config = [])
     {
@@ -594,13 +2281,13 @@ class Config
         $this->baseUrl = $config['baseUrl'] ?? $_ENV['API_BASE_URL'] ?? '';
         $this->timeout = (int) ($config['timeout'] ?? $_ENV['API_TIMEOUT'] ?? 30000);
         $this->maxRetries = (int) ($config['maxRetries'] ?? $_ENV['API_MAX_RETRIES'] ?? 3);
-        $this->authType = $config['authType'] ?? $_ENV['API_AUTH_TYPE'] ?? 'none';
+        $this->credentials = $config['credentials'] ?? [];
+        $this->oauth2 = $config['oauth2'] ?? [];
         $this->apiKey = $config['apiKey'] ?? $_ENV['API_KEY'] ?? null;
         $this->bearerToken = $config['bearerToken'] ?? $_ENV['API_BEARER_TOKEN'] ?? null;
         $this->username = $config['username'] ?? $_ENV['API_USERNAME'] ?? null;
         $this->password = $config['password'] ?? $_ENV['API_PASSWORD'] ?? null;
         $this->accessToken = $config['accessToken'] ?? $_ENV['API_ACCESS_TOKEN'] ?? null;
-        $this->authHeaderName = $config['authHeaderName'] ?? $_ENV['API_AUTH_HEADER_NAME'] ?? null;
     }
 
     /**
@@ -610,32 +2297,31 @@ class Config
     {
         if ($this->timeout <= 0) $this->timeout = 30000;
         if ($this->maxRetries <= 0) $this->maxRetries = 3;
-        if (empty($this->authType)) $this->authType = 'none';
     }
 
     // Getters
     public function getBaseUrl(): string { return $this->baseUrl; }
     public function getTimeout(): int { return $this->timeout; }
     public function getMaxRetries(): int { return $this->maxRetries; }
-    public function getAuthType(): string { return $this->authType; }
+    public function getCredential(string $schemeName): ?string { return $this->credentials[$schemeName] ?? null; }
+    public function getOAuthSettings(string $schemeName): array { return $this->oauth2[$schemeName] ?? []; }
     public function getApiKey(): ?string { return $this->apiKey; }
     public function getBearerToken(): ?string { return $this->bearerToken; }
     public function getUsername(): ?string { return $this->username; }
     public function getPassword(): ?string { return $this->password; }
     public function getAccessToken(): ?string { return $this->accessToken; }
-    public function getAuthHeaderName(): ?string { return $this->authHeaderName; }
 
     // Setters
     public function setBaseUrl(string $baseUrl): void { $this->baseUrl = $baseUrl; }
     public function setTimeout(int $timeout): void { $this->timeout = $timeout; }
     public function setMaxRetries(int $maxRetries): void { $this->maxRetries = $maxRetries; }
-    public function setAuthType(string $authType): void { $this->authType = $authType; }
+    public function setCredential(string $schemeName, ?string $credential): void { $this->credentials[$schemeName] = $credential; }
+    public function setOAuthSettings(string $schemeName, array $settings): void { $this->oauth2[$schemeName] = $settings; }
     public function setApiKey(?string $apiKey): void { $this->apiKey = $apiKey; }
     public function setBearerToken(?string $bearerToken): void { $this->bearerToken = $bearerToken; }
     public function setUsername(?string $username): void { $this->username = $username; }
     public function setPassword(?string $password): void { $this->password = $password; }
     public function setAccessToken(?string $accessToken): void { $this->accessToken = $accessToken; }
-    public function setAuthHeaderName(?string $authHeaderName): void { $this->authHeaderName = $authHeaderName; }
 }`;
 }
 
@@ -730,7 +2416,7 @@ class ApiClientTest extends TestCase
     {
         $config = $this->apiClient->getConfig();
         $this->assertInstanceOf(Config::class, $config);
-        $this->assertEquals('none', $config->getAuthType());
+        $this->assertGreaterThan(0, $config->getMaxRetries());
     }
 
 ${endpoints.map(endpoint => generateEndpointTest(endpoint)).join('\n\n')}
@@ -761,6 +2447,257 @@ function generateEndpointTest(endpoint) {
     }`;
 }
 
+/**
+ * Generate event client tests, run against the in-process broker
+ */
+function generateEventClientTests(parsedData, messagingEndpoints) {
+  const { schemas = {} } = parsedData;
+  const tests = messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishTest(endpoint, schemas)
+    : generateSubscribeTest(endpoint, schemas)).join('\n\n');
+  
+  return `<?php
+
+namespace Tests;
+
+use Example\\EventClient;
+use Example\\Messaging\\BrokerMessage;
+use Example\\Messaging\\InMemoryBroker;${getModelImports(tests, schemas).map(name => `\nuse ${name};`).join('')}
+use PHPUnit\\Framework\\TestCase;
+
+class EventClientTest extends TestCase
+{
+    private InMemoryBroker $broker;
+    private EventClient $client;
+
+    protected function setUp(): void
+    {
+        $this->broker = new InMemoryBroker();
+        $this->client = new EventClient($this->broker);
+    }
+
+${tests}
+}`;
+}
+
+/**
+ * Generate the test for a publishing method
+ */
+function generatePublishTest(endpoint, schemas) {
+  const { operationId, parameters, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const address = getExampleAddress(endpoint);
+  const exampleArguments = ['$payload', ...parameters.map(param => toPhpArray(getChannelParameterExample(param)))];
+  
+  const payloadSetup = isJson
+    ? `        $payload = ${toPhpPayloadExpression(messaging, schemas, `json_decode(${toPhpArray(JSON.stringify(getMessageExample(endpoint, schemas)))}, true)`)};`
+    : `        $payload = 'example';`;
+  
+  const payloadCheck = isJson
+    ? '        $this->assertEquals(json_decode(json_encode($payload), true), json_decode($published[0]->getPayload(), true));'
+    : '        $this->assertSame($payload, $published[0]->getPayload());';
+  
+  return `    public function test${operationId.charAt(0).toUpperCase() + operationId.slice(1)}()
+    {
+${payloadSetup}
+
+        $this->client->${operationId}(${exampleArguments.join(', ')});
+
+        $published = $this->broker->getPublished();
+        $this->assertCount(1, $published);
+        $this->assertSame(${toPhpArray(address)}, $published[0]->getAddress());
+        $this->assertSame(${toPhpArray(messaging.contentType)}, $published[0]->getHeaders()['content-type']);
+${payloadCheck}${parameters.length > 0 ? `
+
+        $this->expectException(\\InvalidArgumentException::class);
+        $this->client->${operationId}(${['$payload', ...parameters.map(() => 'null')].join(', ')});` : ''}
+    }`;
+}
+
+/**
+ * Generate the test for a subscribing method
+ */
+function generateSubscribeTest(endpoint, schemas) {
+  const { operationId, parameters, messaging } = endpoint;
+  const isJson = isJsonContentType(messaging.contentType);
+  const address = getExampleAddress(endpoint);
+  const body = isJson ? toPhpArray(JSON.stringify(getMessageExample(endpoint, schemas))) : `'example'`;
+  
+  const expectation = isJson
+    ? `        $this->assertEquals(${toPhpPayloadExpression(messaging, schemas, 'json_decode($body, true)')}, $received[0]);`
+    : '        $this->assertSame($body, $received[0]);';
+  
+  return `    public function test${operationId.charAt(0).toUpperCase() + operationId.slice(1)}()
+    {
+        $body = ${body};
+        $message = new BrokerMessage(${toPhpArray(address)}, ['content-type' => ${toPhpArray(messaging.contentType)}], $body);
+
+        $received = [];
+        $unsubscribe = $this->client->${operationId}(${[...parameters.map(() => 'null'), `function ($payload, BrokerMessage $delivered) use (&$received): void {
+            $received[] = $payload;
+        }`].join(', ')});
+
+        $this->broker->publish($message->getAddress(), $message);
+        $this->assertCount(1, $received);
+${expectation}
+
+        $unsubscribe();
+        $this->broker->publish($message->getAddress(), $message);
+        $this->assertCount(1, $received, 'Expected no delivery after unsubscribing');
+    }`;
+}
+
+/**
+ * Generate token manager tests, run against a local mock token endpoint
+ */
+function generateTokenManagerTests() {
+  return `<?php
+
+namespace Tests\\Auth;
+
+use Example\\Auth\\TokenManager;
+use GuzzleHttp\\Client;
+use PHPUnit\\Framework\\TestCase;
+
+class TokenManagerTest extends TestCase
+{
+    private static $server;
+    private static string $baseUrl;
+    private static string $log;
+
+    public static function setUpBeforeClass(): void
+    {
+        // Serve the mock token endpoint with PHP's built-in web server
+        $socket = stream_socket_server('tcp://127.0.0.1:0');
+        $port = (int) substr(strrchr(stream_socket_get_name($socket, false), ':'), 1);
+        fclose($socket);
+
+        self::$log = tempnam(sys_get_temp_dir(), 'token-endpoint');
+        self::$baseUrl = 'http://127.0.0.1:' . $port;
+        self::$server = proc_open(
+            [PHP_BINARY, '-S', '127.0.0.1:' . $port, __DIR__ . '/../Fixtures/token-endpoint.php'],
+            [1 => ['file', '/dev/null', 'w'], 2 => ['file', '/dev/null', 'w']],
+            $pipes,
+            null,
+            ['TOKEN_ENDPOINT_LOG' => self::$log]
+        );
+
+        for ($attempt = 0; $attempt < 50; $attempt++) {
+            $connection = @fsockopen('127.0.0.1', $port);
+            if ($connection !== false) {
+                fclose($connection);
+                return;
+            }
+            usleep(100000);
+        }
+        self::fail('Mock token endpoint did not start');
+    }
+
+    public static function tearDownAfterClass(): void
+    {
+        proc_terminate(self::$server);
+        proc_close(self::$server);
+        unlink(self::$log);
+    }
+
+    protected function setUp(): void
+    {
+        file_put_contents(self::$log, '');
+    }
+
+    private function createManager(array $settings = []): TokenManager
+    {
+        return new TokenManager(
+            ['clientCredentials' => ['tokenUrl' => '/oauth/token', 'refreshUrl' => '/oauth/token']],
+            array_merge(['clientId' => 'client', 'clientSecret' => 'secret'], $settings),
+            new Client(['base_uri' => self::$baseUrl])
+        );
+    }
+
+    private function requests(): array
+    {
+        $lines = array_filter(explode("\\n", file_get_contents(self::$log)));
+        return array_map(fn ($line) => json_decode($line, true), array_values($lines));
+    }
+
+    public function testFetchesTokenWithClientCredentialsGrant()
+    {
+        $manager = $this->createManager();
+        $this->assertEquals('token-1', $manager->getToken(['read']));
+
+        $request = $this->requests()[0];
+        $this->assertEquals(['grant_type' => 'client_credentials', 'scope' => 'read'], $request['params']);
+        $this->assertEquals('Basic ' . base64_encode('client:secret'), $request['authorization']);
+    }
+
+    public function testCachesTokensUntilTheyExpire()
+    {
+        $manager = $this->createManager();
+        $manager->getToken();
+        $this->assertEquals('token-1', $manager->getToken());
+        $this->assertCount(1, $this->requests());
+    }
+
+    public function testUsesRefreshTokenAfterInvalidation()
+    {
+        $manager = $this->createManager();
+        $manager->getToken();
+        $manager->invalidate();
+
+        $this->assertEquals('token-2', $manager->getToken());
+        $this->assertEquals(['grant_type' => 'refresh_token', 'refresh_token' => 'refresh-1'], $this->requests()[1]['params']);
+    }
+
+    public function testSharesTokensThroughTheCacheFile()
+    {
+        $cacheFile = tempnam(sys_get_temp_dir(), 'token-cache');
+        unlink($cacheFile);
+
+        $first = $this->createManager(['cacheFile' => $cacheFile]);
+        $second = $this->createManager(['cacheFile' => $cacheFile]);
+        $this->assertEquals('token-1', $first->getToken());
+        $this->assertEquals('token-1', $second->getToken());
+        $this->assertCount(1, $this->requests());
+
+        unlink($cacheFile);
+        unlink($cacheFile . '.lock');
+    }
+
+    public function testOnlyAcquiresTokensWhenTheFlowIsConfigured()
+    {
+        $this->assertTrue($this->createManager()->canAcquireToken());
+        $this->assertFalse($this->createManager(['clientId' => null])->canAcquireToken());
+    }
+}`;
+}
+
+/**
+ * Generate the mock token endpoint used by the token manager tests
+ */
+function generateTokenEndpointFixture() {
+  return `<?php
+
+// Mock OAuth 2.0 token endpoint for TokenManagerTest, served with "php -S".
+// Every request is appended to the log file named by TOKEN_ENDPOINT_LOG.
+$log = getenv('TOKEN_ENDPOINT_LOG');
+parse_str(file_get_contents('php://input'), $params);
+
+file_put_contents($log, json_encode([
+    'params' => $params,
+    'authorization' => $_SERVER['HTTP_AUTHORIZATION'] ?? null
+]) . "\\n", FILE_APPEND | LOCK_EX);
+$count = count(array_filter(explode("\\n", file_get_contents($log))));
+
+header('Content-Type: application/json');
+echo json_encode([
+    'access_token' => 'token-' . $count,
+    'token_type' => 'Bearer',
+    'expires_in' => 3600,
+    'refresh_token' => 'refresh-1'
+]);
+`;
+}
+
 /**
  * Generate example usage
  */
@@ -797,8 +2734,8 @@ function main()
 ${endpoints.slice(0, 2).map(endpoint => `        // Example: ${endpoint.method} ${endpoint.path}
         try {
             echo "\\n📡 Testing ${endpoint.operationId}...\\n";
-            $${endpoint.operationId}Result = $client->${endpoint.operationId}();
-            echo "✅ ${endpoint.operationId} result: " . $${endpoint.operationId}Result . "\\n";
+            $${endpoint.operationId}Result = $client->${endpoint.operationId}(${endpoint.graphql ? generateExampleArguments(endpoint, parsedData.schemas) : ''});
+            echo "✅ ${endpoint.operationId} result: " . ${endpoint.graphql || getResponseSchema(endpoint) ? `json_encode($${endpoint.operationId}Result)` : `$${endpoint.operationId}Result`} . "\\n";
         } catch (Exception $e) {
             echo "❌ ${endpoint.operationId} failed: " . $e->getMessage() . "\\n";
         }`).join('\n\n')}
@@ -817,49 +2754,49 @@ if (php_sapi_name() === 'cli') {
 }`;
 }
 
+/**
+ * Placeholder arguments for calling a GraphQL operation method in the example
+ */
+function generateExampleArguments(endpoint, schemas) {
+  return getGraphqlVariables(endpoint)
+    .filter(variable => variable.required)
+    .map(variable => toPhpArray(getExampleValue(variable.schema, schemas)))
+    .join(', ');
+}
+
 /**
  * Generate environment example
  */
-function generateEnvExample(authMethod) {
-  let envContent = `# ${authMethod.type === 'none' ? 'No authentication required' : `${authMethod.type.toUpperCase()} Authentication`}
+function generateEnvExample(securitySchemes, grpcTarget) {
+  const schemeEntries = Object.entries(securitySchemes);
+  
+  let envContent = `# ${schemeEntries.length === 0 ? 'No authentication required' : `Authentication: ${schemeEntries.map(([name]) => name).join(', ')}`}
 
 # API Configuration
 API_BASE_URL=https://api.example.com
 API_TIMEOUT=30000
 API_MAX_RETRIES=3
-
 `;
 
-  switch (authMethod.type) {
-    case 'bearer':
-      envContent += `# Bearer Token Authentication
-API_AUTH_TYPE=bearer
-API_BEARER_TOKEN=your-bearer-token-here
+  if (grpcTarget) {
+    envContent += `
+# gRPC Configuration
+GRPC_TARGET=${grpcTarget.target}
+GRPC_INSECURE=${grpcTarget.insecure}
+GRPC_TIMEOUT=30000
 `;
-      break;
-      
-    case 'apiKey':
-      envContent += `# API Key Authentication
-API_AUTH_TYPE=apiKey
-API_KEY=your-api-key-here
-API_AUTH_HEADER_NAME=X-API-Key
-`;
-      break;
-      
-    case 'basic':
-      envContent += `# Basic Authentication
-API_AUTH_TYPE=basic
-API_USERNAME=your-username
-API_PASSWORD=your-password
+  }
+
+  for (const [name, scheme] of schemeEntries) {
+    envContent += `
+# ${name}: ${scheme.description || `${scheme.type} authentication`} (${describeCredential(scheme)})
+${toCredentialEnvName(name)}=
 `;
-      break;
-      
-    case 'oauth2':
-      envContent += `# OAuth 2.0 Authentication
-API_AUTH_TYPE=oauth2
-API_ACCESS_TOKEN=your-access-token-here
+    if (scheme.type === 'oauth2') {
+      envContent += `# Or let the client fetch and refresh tokens itself:
+${getOAuthSettings(scheme).map(setting => `# ${setting.description}\n${toOAuthEnvName(name, setting)}=`).join('\n')}
 `;
-      break;
+    }
   }
 
   return envContent;
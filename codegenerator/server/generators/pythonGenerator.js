@@ -0,0 +1,2123 @@
+const {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  toCredentialEnvName,
+  toOAuthEnvName,
+  getTokenFlows,
+  getOAuthSettings,
+  getTypedExample,
+  getDiscriminatorValues,
+  getRequestSchema,
+  getResponseSchema,
+  toSnakeCase,
+  describeCredential
+} = require('./generatorUtils');
+
+/**
+ * Import name of the generated package
+ */
+const PACKAGE_NAME = 'api_client';
+
+/**
+ * Python keywords and soft keywords, which cannot name parameters or fields
+ */
+const PY_KEYWORDS = [
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+  'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+  'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+];
+
+/**
+ * Names used by the generated modules; models with these names get a suffix
+ */
+const PY_RESERVED_TYPES = [
+  'bool', 'bytes', 'dict', 'float', 'int', 'list', 'object', 'set', 'str', 'tuple', 'type',
+  'Annotated', 'Any', 'BaseModel', 'ConfigDict', 'Dict', 'Discriminator', 'Field', 'List', 'Literal',
+  'Optional', 'Tag', 'TypeAdapter', 'Union',
+  'ApiClient', 'ApiError', 'AsyncApiClient', 'AuthHandler', 'AuthResult', 'Config', 'GraphQLError',
+  'RequestHandler', 'RequestOptions', 'TokenManager'
+];
+
+/**
+ * BaseModel attributes that fields must not shadow
+ */
+const PY_MODEL_ATTRIBUTES = [
+  'construct', 'copy', 'dict', 'from_orm', 'json', 'parse_file', 'parse_obj', 'parse_raw', 'schema',
+  'schema_json', 'update_forward_refs', 'validate'
+];
+
+/**
+ * Helper emitted into models.py when a union is tagged by a discriminator property
+ */
+const DISCRIMINATED_BY = `def discriminated_by(property_name: str, mapping: Dict[str, str]) -> Discriminator:
+    """Pick the union variant named by a discriminator property
+
+    Args:
+        property_name: JSON name of the discriminator property
+        mapping: Discriminator values mapped to variant class names
+
+    Returns:
+        Discriminator for a tagged union
+    """
+    def tag(value: Any) -> Optional[str]:
+        if isinstance(value, BaseModel):
+            return type(value).__name__
+        if isinstance(value, dict):
+            return mapping.get(str(value.get(property_name)))
+        return None
+
+    return Discriminator(tag)`;
+
+/**
+ * Attributes of the generated clients that operation methods must not replace
+ */
+const CLIENT_MEMBERS = ['auth_handler', 'close', 'config', 'http_client', 'request_handler', 'test_connection'];
+
+/**
+ * Generate Python integration code
+ * @param {Object} parsedData - Parsed API data
+ * @param {string} fileName - Original file name
+ * @returns {Object} Generated code files
+ */
+async function generatePythonCode(parsedData, fileName) {
+  const { title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const securitySchemes = getSecuritySchemes(parsedData);
+
+  // The clients only cover request/response endpoints; message channels and gRPC
+  // services are reported by diagnoseUnsupportedEndpoints in codeGenerator.js
+  const httpData = { ...parsedData, endpoints: parsedData.endpoints.filter(endpoint => !endpoint.messaging && !endpoint.grpc) };
+
+  const generatedCode = {};
+
+  // Project metadata
+  generatedCode['pyproject.toml'] = generatePyproject(title);
+
+  // Package
+  generatedCode[`${PACKAGE_NAME}/__init__.py`] = generatePackageInit(title, schemas);
+  generatedCode[`${PACKAGE_NAME}/py.typed`] = '';
+
+  // Sync and async API clients
+  generatedCode[`${PACKAGE_NAME}/client.py`] = generateApiClient(httpData, false);
+  generatedCode[`${PACKAGE_NAME}/async_client.py`] = generateApiClient(httpData, true);
+
+  // Models
+  generatedCode[`${PACKAGE_NAME}/models.py`] = generateModels(schemas);
+
+  // Authentication
+  generatedCode[`${PACKAGE_NAME}/auth/__init__.py`] = `from .auth_handler import AuthHandler, AuthResult, SECURITY_SCHEMES
+from .token_manager import TokenManager
+
+__all__ = ['AuthHandler', 'AuthResult', 'SECURITY_SCHEMES', 'TokenManager']
+`;
+  generatedCode[`${PACKAGE_NAME}/auth/auth_handler.py`] = generateAuthHandler(securitySchemes);
+  generatedCode[`${PACKAGE_NAME}/auth/token_manager.py`] = generateTokenManager();
+
+  // Requests, retries and errors
+  generatedCode[`${PACKAGE_NAME}/utils/__init__.py`] = `from .errors import ApiError, GraphQLError
+from .request_handler import RequestHandler, RequestOptions
+
+__all__ = ['ApiError', 'GraphQLError', 'RequestHandler', 'RequestOptions']
+`;
+  generatedCode[`${PACKAGE_NAME}/utils/request_handler.py`] = generateRequestHandler();
+  generatedCode[`${PACKAGE_NAME}/utils/errors.py`] = generateErrors();
+
+  // Configuration
+  generatedCode[`${PACKAGE_NAME}/config.py`] = generateConfig();
+
+  // Test files
+  generatedCode['tests/__init__.py'] = '';
+  generatedCode['tests/test_client.py'] = generateClientTests(httpData, false);
+  generatedCode['tests/test_async_client.py'] = generateClientTests(httpData, true);
+  generatedCode['tests/test_auth_handler.py'] = generateAuthHandlerTests(securitySchemes);
+  generatedCode['tests/test_token_manager.py'] = generateTokenManagerTests();
+
+  // Example usage
+  generatedCode['examples/basic_usage.py'] = generateExampleUsage(httpData, false);
+  generatedCode['examples/async_usage.py'] = generateExampleUsage(httpData, true);
+
+  // Environment template
+  generatedCode['.env.example'] = generateEnvExample(securitySchemes);
+
+  return generatedCode;
+}
+
+/**
+ * Generate pyproject.toml
+ */
+function generatePyproject(title) {
+  return `[build-system]
+requires = ["setuptools>=68"]
+build-backend = "setuptools.build_meta"
+
+[project]
+name = "${title.toLowerCase().replace(/[^a-z0-9]/g, '-')}-integration"
+version = "1.0.0"
+description = "Auto-generated integration client for ${title.replace(/["\\]/g, '')}"
+requires-python = ">=3.9"
+dependencies = [
+    "httpx>=0.27",
+    "pydantic>=2.6",
+    "python-dotenv>=1.0"
+]
+
+[project.optional-dependencies]
+test = ["pytest>=8.0"]
+
+[tool.setuptools.packages.find]
+include = ["${PACKAGE_NAME}*"]
+
+[tool.setuptools.package-data]
+${PACKAGE_NAME} = ["py.typed"]
+
+[tool.pytest.ini_options]
+testpaths = ["tests"]
+pythonpath = ["."]
+`;
+}
+
+/**
+ * Generate the package entry point
+ */
+function generatePackageInit(title, schemas) {
+  const modelNames = Object.keys(schemas).map(toPyTypeName);
+
+  return `"""${title} integration client
+
+Auto-generated sync and async clients for ${title}.
+"""
+from .async_client import AsyncApiClient
+from .client import ApiClient
+from .config import Config
+from .models import *  # noqa: F401,F403
+from .utils import ApiError, GraphQLError, RequestOptions
+
+__all__ = [${['ApiClient', 'AsyncApiClient', 'Config', 'ApiError', 'GraphQLError', 'RequestOptions', ...modelNames].map(name => `'${name}'`).join(', ')}]
+`;
+}
+
+/**
+ * Generate a sync or async API client
+ */
+function generateApiClient(parsedData, isAsync) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoints = endpoints.filter(endpoint => endpoint.graphql);
+  const className = isAsync ? 'AsyncApiClient' : 'ApiClient';
+  const httpClass = isAsync ? 'httpx.AsyncClient' : 'httpx.Client';
+  const awaitPrefix = isAsync ? 'await ' : '';
+  const def = isAsync ? 'async def' : 'def';
+
+  const methods = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlMethod(endpoint, getEndpointSecurity(endpoint, parsedData), schemas, isAsync)
+    : generateEndpointMethod(endpoint, getEndpointSecurity(endpoint, parsedData), schemas, isAsync));
+  const source = methods.join('\n');
+
+  return `"""${title} ${isAsync ? 'async ' : ''}API client"""
+${getTypingImport(source, ['Any', 'Dict', 'List', 'Optional'])}${/\bquote\(/.test(source) ? '\nfrom urllib.parse import quote' : ''}
+
+import httpx
+
+from .auth import AuthHandler
+from .config import Config${getModelImports(source, schemas)}
+from .utils import ApiError${graphqlEndpoints.length > 0 ? ', GraphQLError' : ''}, RequestHandler, RequestOptions
+from .utils.request_handler import build_request, parse_response
+${graphqlEndpoints.map(endpoint => `\n${toDocumentConstantName(endpoint.operationId)} = """${escapePyString(endpoint.graphql.document)}"""\n`).join('')}
+
+class ${className}:
+    """${title} ${isAsync ? 'async ' : ''}API client
+
+    Auto-generated integration client for ${title}. ${isAsync
+    ? 'Every operation is a coroutine; use\n    the client as an async context manager or call ``aclose()`` when done.'
+    : 'Use the client as a context\n    manager or call ``close()`` when done.'}
+    """
+
+    def __init__(self, config: Optional[Config] = None, *, http_client: Optional[${httpClass}] = None, **options: Any) -> None:
+        """Create the client
+
+        Args:
+            config: Client configuration; built from \`\`options\`\` and the environment when omitted
+            http_client: HTTP client to send requests with
+            **options: Config options, e.g. base_url, api_key, timeout
+        """
+        self.config = config or Config(**options)
+        self.http_client = http_client or ${httpClass}(
+            base_url=self.config.base_url,
+            timeout=self.config.timeout,
+            headers={
+                'Content-Type': 'application/json',
+                'User-Agent': '${title.replace(/[\\']/g, '')}-Integration/1.0.0',
+            },
+        )
+        self.auth_handler = AuthHandler(self.config)
+        self.request_handler = RequestHandler(self.config)
+
+    ${isAsync ? `async def __aenter__(self) -> '${className}':
+        return self
+
+    async def __aexit__(self, *exc_info: Any) -> None:
+        await self.aclose()
+
+    async def aclose(self) -> None:
+        """Close the underlying HTTP client"""
+        await self.http_client.aclose()` : `def __enter__(self) -> '${className}':
+        return self
+
+    def __exit__(self, *exc_info: Any) -> None:
+        self.close()
+
+    def close(self) -> None:
+        """Close the underlying HTTP client"""
+        self.http_client.close()`}
+
+${methods.join('\n\n')}
+
+    ${def} send_request(self, security: List[Dict[str, List[str]]], method: str, path: str, *,
+            query: Optional[Dict[str, Any]] = None, body: Any = None,
+            request_options: Optional[RequestOptions] = None) -> Any:
+        """Send an authenticated request
+
+        A 401 response invalidates any OAuth 2.0 token that was used and the
+        request is retried once with a freshly acquired token.
+
+        Args:
+            security: Security requirements of the endpoint
+            method: HTTP method
+            path: Path relative to the base URL
+            query: Query parameters; None values are left out
+            body: JSON request body
+            request_options: Extra headers, query parameters or timeout
+
+        Returns:
+            Decoded response body
+        """
+        auth = ${awaitPrefix}self.auth_handler.get_auth${isAsync ? '_async' : ''}(security)
+        try:
+            return ${awaitPrefix}self.request_handler.send${isAsync ? '_async' : ''}(
+                self.http_client, build_request(method, path, auth, query, body, request_options))
+        except ApiError as error:
+            if error.status != 401 or not self.auth_handler.invalidate_tokens(security):
+                raise
+
+        refreshed_auth = ${awaitPrefix}self.auth_handler.get_auth${isAsync ? '_async' : ''}(security)
+        return ${awaitPrefix}self.request_handler.send${isAsync ? '_async' : ''}(
+            self.http_client, build_request(method, path, refreshed_auth, query, body, request_options))
+${graphqlEndpoints.length > 0 ? generateExecuteGraphql(isAsync) : ''}
+    ${def} test_connection(self) -> bool:
+        """Test connection to the API
+
+        Returns:
+            True if the API answered
+        """
+        try:
+            ${awaitPrefix}self.http_client.get('/')
+            return True
+        except httpx.HTTPError:
+            return False
+
+`;
+}
+
+/**
+ * Generate endpoint method
+ */
+function generateEndpointMethod(endpoint, security, schemas, isAsync) {
+  const { method, path, operationId, summary, description } = endpoint;
+  const responseSchema = getResponseSchema(endpoint);
+  const resultType = responseSchema ? toPyType(responseSchema, schemas) : 'Any';
+  const fields = getMethodFields(endpoint, schemas);
+
+  const pathFields = fields.filter(field => field.in === 'path');
+  const queryFields = fields.filter(field => field.in === 'query');
+  const bodyField = fields.find(field => field.in === 'body');
+
+  // Path parameters and the body are positional; query parameters are keyword-only
+  const positional = [...pathFields, ...(bodyField ? [bodyField] : [])];
+  const parameters = [
+    ...positional.map(toPyParameter),
+    '*',
+    ...queryFields.filter(field => field.required).map(toPyParameter),
+    ...queryFields.filter(field => !field.required).map(toPyParameter),
+    'request_options: Optional[RequestOptions] = None'
+  ];
+
+  const args = [
+    toPyLiteral(security),
+    `'${method}'`,
+    toPyPath(path, pathFields)
+  ];
+  if (queryFields.length > 0) {
+    args.push(`query={${queryFields.map(field => `${toPyLiteral(field.key)}: ${field.local}`).join(', ')}}`);
+  }
+  if (bodyField) {
+    args.push(`body=${bodyField.local}`);
+  }
+  args.push('request_options=request_options');
+
+  const call = `${isAsync ? 'await ' : ''}self.send_request(${args.join(', ')})`;
+
+  return `    ${isAsync ? 'async def' : 'def'} ${toPyMethodName(operationId)}(${formatPyParameters(parameters)}) -> ${resultType}:
+        """${escapePyDocstring(summary || description || `${method} ${path}`)}${description && summary ? `\n\n        ${escapePyDocstring(description)}` : ''}
+
+        Args:
+${[...[...positional, ...queryFields].map(field => `            ${field.local}: ${escapePyDocstring(field.description || (field.in === 'body' ? 'Request body' : `${field.in === 'path' ? 'Path' : 'Query'} parameter ${field.key}`))}`),
+    '            request_options: Extra headers, query parameters or timeout'].join('\n')}
+
+        Returns:
+            ${responseSchema ? 'Response body' : 'Decoded response'}
+        """
+        ${responseSchema ? `data = ${call}\n        return parse_response(${resultType}, data)` : `return ${call}`}`;
+}
+
+/**
+ * Path, query and body values an endpoint method takes, with the parameter each is read from
+ */
+function getMethodFields(endpoint, schemas) {
+  const { parameters, requestBody } = endpoint;
+  const bodySchema = getRequestSchema(endpoint);
+  const locals = new Set(['self', 'request_options']);
+  const toLocal = key => {
+    const base = toPyIdentifier(key);
+    let local = base;
+    for (let suffix = 2; locals.has(local); suffix++) {
+      local = `${base}_${suffix}`;
+    }
+    locals.add(local);
+    return local;
+  };
+
+  const fields = [
+    ...parameters.filter(p => p.in === 'path').map(p => ({ ...p, required: true })),
+    ...parameters.filter(p => p.in === 'query')
+  ].map(p => ({
+    key: p.name,
+    in: p.in,
+    schema: p.schema || { type: p.type },
+    type: toPyType(p.schema || { type: p.type }, schemas),
+    required: Boolean(p.required),
+    description: p.description
+  }));
+  if (bodySchema) {
+    fields.push({ key: 'body', in: 'body', schema: bodySchema, type: toPyType(bodySchema, schemas), required: Boolean(requestBody.required), description: 'Request body' });
+  }
+  return fields.map(field => ({ ...field, local: toLocal(field.key) }));
+}
+
+/**
+ * Signature entry for a method field
+ */
+function toPyParameter(field) {
+  if (field.required) {
+    return `${field.local}: ${field.type}`;
+  }
+  return `${field.local}: ${toPyOptional(field.type)} = None`;
+}
+
+/**
+ * Lay out a method's parameters: on one line when short, otherwise one per line
+ */
+function formatPyParameters(parameters) {
+  const oneLine = ['self', ...parameters].join(', ');
+  if (oneLine.length <= 70) {
+    return oneLine;
+  }
+  return `\n${['self', ...parameters].map(entry => `        ${entry},`).join('\n')}\n    `;
+}
+
+/**
+ * Path expression with the path parameters quoted into it
+ */
+function toPyPath(path, pathFields) {
+  if (pathFields.length === 0) {
+    return toPyLiteral(path);
+  }
+
+  const locals = Object.fromEntries(pathFields.map(field => [field.key, field.local]));
+  const source = path
+    .split(/(\{[^}]+\})/)
+    .map(part => {
+      const match = /^\{([^}]+)\}$/.exec(part);
+      if (match && locals[match[1]]) {
+        return `{quote(str(${locals[match[1]]}), safe='')}`;
+      }
+      return part.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\{/g, '{{').replace(/\}/g, '}}');
+    })
+    .join('');
+  return `f"${source}"`;
+}
+
+/**
+ * Generate a typed GraphQL operation method
+ */
+function generateGraphqlMethod(endpoint, security, schemas, isAsync) {
+  const { operationId, path, summary, description, requestBody, responses, graphql } = endpoint;
+  const variablesType = requestBody?.schema ? toPyType({ ref: requestBody.schema.ref }, schemas) : 'Dict[str, Any]';
+  const resultType = responses['200']?.schema ? toPyType({ ref: responses['200'].schema.ref }, schemas) : 'Any';
+  const variablesParameter = requestBody?.required ? `variables: ${variablesType}` : `variables: Optional[${variablesType}] = None`;
+
+  return `    ${isAsync ? 'async def' : 'def'} ${toPyMethodName(operationId)}(${formatPyParameters([variablesParameter, '*', 'request_options: Optional[RequestOptions] = None'])}) -> ${resultType}:
+        """${escapePyDocstring(summary)}${description ? `\n\n        ${escapePyDocstring(description)}` : ''}
+
+        Args:
+            variables: Operation variables
+            request_options: Extra headers, query parameters or timeout
+
+        Returns:
+            Operation result
+        """
+        data = ${isAsync ? 'await ' : ''}self.execute_graphql(${toPyLiteral(security)}, ${toPyLiteral(path)}, ${toDocumentConstantName(operationId)}, ${graphql.operationName ? toPyLiteral(graphql.operationName) : 'None'}, variables, request_options)
+        return parse_response(${resultType}, data)`;
+}
+
+/**
+ * Generate the client method that sends GraphQL operations
+ */
+function generateExecuteGraphql(isAsync) {
+  return `
+    ${isAsync ? 'async def' : 'def'} execute_graphql(self, security: List[Dict[str, List[str]]], path: str, query: str,
+            operation_name: Optional[str], variables: Any,
+            request_options: Optional[RequestOptions] = None) -> Any:
+        """Execute a GraphQL operation and return the \`\`data\`\` of its response
+
+        Args:
+            security: Security requirements of the operation
+            path: GraphQL endpoint path
+            query: Operation document
+            operation_name: Operation to run from the document
+            variables: Operation variables
+            request_options: Extra headers, query parameters or timeout
+
+        Returns:
+            Operation result
+
+        Raises:
+            GraphQLError: If the response carries GraphQL errors
+        """
+        payload: Dict[str, Any] = {'query': query, 'variables': variables if variables is not None else {}}
+        if operation_name:
+            payload['operationName'] = operation_name
+
+        response = ${isAsync ? 'await ' : ''}self.send_request(security, 'POST', path, body=payload, request_options=request_options)
+        if isinstance(response, dict) and response.get('errors'):
+            raise GraphQLError(response['errors'], response.get('data'))
+        return response.get('data') if isinstance(response, dict) else None
+`;
+}
+
+/**
+ * Name of the module-level constant holding an operation document
+ */
+function toDocumentConstantName(operationId) {
+  return `${toSnakeCase(operationId).toUpperCase()}_DOCUMENT`;
+}
+
+/**
+ * Import the typing names a source fragment uses, plus those always needed
+ */
+function getTypingImport(source, always) {
+  const names = new Set(always);
+  for (const name of ['Annotated', 'Any', 'Dict', 'List', 'Literal', 'Optional', 'Union']) {
+    if (new RegExp(`\\b${name}\\[`).test(source) || (name === 'Any' && /\bAny\b/.test(source))) {
+      names.add(name);
+    }
+  }
+  return names.size > 0 ? `from typing import ${[...names].sort().join(', ')}` : '';
+}
+
+/**
+ * Import the models a source fragment refers to
+ */
+function getModelImports(source, schemas, from = '.models') {
+  // Docstrings and string literals can mention model names without using them
+  const code = source
+    .replace(/"""[\s\S]*?"""/g, '')
+    .replace(/'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"/g, '');
+  const names = Object.keys(schemas)
+    .map(toPyTypeName)
+    .filter(name => new RegExp(`(?<![\\w.])${name}(?!\\w)`).test(code));
+  return names.length > 0 ? `\nfrom ${from} import ${names.join(', ')}` : '';
+}
+
+/**
+ * Generate pydantic models for the registry models
+ */
+function generateModels(schemas) {
+  const classNames = Object.keys(schemas).filter(name => isPyClass(schemas[name]));
+  const aliasNames = orderAliases(Object.keys(schemas).filter(name => !isPyClass(schemas[name])), schemas);
+
+  const classes = classNames.map(name => generateModelClass(name, schemas));
+  const aliases = aliasNames.map(name => {
+    const schema = schemas[name];
+    const docs = schema.description ? `\n"""${escapePyDocstring(schema.description)}"""` : '';
+    return `${toPyTypeName(name)} = ${toPyType(schema, schemas, true)}${docs}`;
+  });
+  const source = [...classes, ...aliases].join('\n');
+  const usesDiscriminator = /discriminated_by\(/.test(source);
+  const allNames = [...classNames, ...aliasNames].map(toPyTypeName);
+  const pydanticNames = [
+    ...(classes.length > 0 || usesDiscriminator ? ['BaseModel'] : []),
+    ...(classes.length > 0 ? ['ConfigDict'] : []),
+    ...(usesDiscriminator ? ['Discriminator'] : []),
+    ...(/\bField\(/.test(source) ? ['Field'] : []),
+    ...(usesDiscriminator ? ['Tag'] : [])
+  ];
+  const typingImport = getTypingImport(source, usesDiscriminator ? ['Any', 'Dict', 'Optional'] : []);
+  const imports = [
+    ...(typingImport ? [typingImport] : []),
+    ...(pydanticNames.length > 0 ? [`from pydantic import ${pydanticNames.join(', ')}`] : [])
+  ];
+  const blocks = [
+    ...(usesDiscriminator ? [DISCRIMINATED_BY] : []),
+    ...classes,
+    ...(aliases.length > 0 ? [aliases.join('\n\n')] : []),
+    ...(classNames.length > 0 ? [classNames.map(name => `${toPyTypeName(name)}.model_rebuild()`).join('\n')] : [])
+  ];
+
+  return `"""Operation and model types
+
+Auto-generated pydantic models. Object models are classes that read and write
+the JSON property names, enums are Literal types and oneOf schemas with a
+discriminator are tagged unions that pick their variant from the
+discriminator property.
+"""
+from __future__ import annotations
+${imports.map(line => `\n${line}\n`).join('')}
+__all__ = [${allNames.map(name => `'${name}'`).join(', ')}]
+${blocks.map(block => `\n\n${block}\n`).join('')}`;
+}
+
+/**
+ * Generate a pydantic class for an object model
+ */
+function generateModelClass(name, schemas) {
+  const schema = schemas[name];
+  const required = schema.required || [];
+  const usedNames = new Set();
+  const fields = Object.entries(schema.properties).map(([propName, propSchema]) => {
+    const base = toPyFieldName(propName);
+    let fieldName = base;
+    for (let suffix = 2; usedNames.has(fieldName); suffix++) {
+      fieldName = `${base}_${suffix}`;
+    }
+    usedNames.add(fieldName);
+
+    const isRequired = required.includes(propName);
+    const type = toPyType(propSchema, schemas);
+    const fieldArgs = [
+      ...(isRequired ? [] : ['default=None']),
+      ...(fieldName !== propName ? [`alias=${toPyLiteral(propName)}`] : []),
+      ...(propSchema.description ? [`description=${toPyLiteral(propSchema.description)}`] : [])
+    ];
+    const annotation = isRequired ? type : toPyOptional(type);
+    if (fieldArgs.length === 0 || (fieldArgs.length === 1 && !isRequired)) {
+      return `    ${fieldName}: ${annotation}${isRequired ? '' : ' = None'}`;
+    }
+    return `    ${fieldName}: ${annotation} = Field(${fieldArgs.join(', ')})`;
+  });
+
+  const config = ['populate_by_name=True', 'protected_namespaces=()', ...(schema.additionalProperties ? ["extra='allow'"] : [])];
+  return `class ${toPyTypeName(name)}(BaseModel):
+    """${escapePyDocstring(schema.description || `${name} model`)}"""
+
+    model_config = ConfigDict(${config.join(', ')})
+
+${fields.join('\n')}`;
+}
+
+/**
+ * Order type aliases so each is defined after the aliases it refers to
+ */
+function orderAliases(names, schemas) {
+  const ordered = [];
+  const visiting = new Set();
+  const visit = name => {
+    if (ordered.includes(name) || visiting.has(name)) return;
+    visiting.add(name);
+    for (const ref of getDirectRefs(schemas[name])) {
+      if (names.includes(ref)) visit(ref);
+    }
+    ordered.push(name);
+  };
+  names.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Models a schema node refers to without going through another model
+ */
+function getDirectRefs(node) {
+  if (!node || typeof node !== 'object') return [];
+  if (node.ref) return [node.ref];
+  return [
+    ...Object.values(node.properties || {}),
+    node.items,
+    typeof node.additionalProperties === 'object' ? node.additionalProperties : null,
+    ...(node.oneOf || []),
+    ...(node.anyOf || [])
+  ].flatMap(getDirectRefs);
+}
+
+/**
+ * Whether a model is declared as a class rather than a type alias
+ */
+function isPyClass(schema) {
+  return schema.type === 'object' && !schema.oneOf && !schema.anyOf && !schema.nullable &&
+    Object.keys(schema.properties || {}).length > 0;
+}
+
+/**
+ * Python type expression for a schema node
+ * @param {Object} node - Normalized schema node
+ * @param {Object} schemas - Registry models by name
+ * @param {boolean} discriminate - Tag discriminated unions, which needs the models module's helper
+ */
+function toPyType(node, schemas, discriminate = false) {
+  if (!node) return 'Any';
+
+  let type;
+  if (node.ref) {
+    type = schemas[node.ref] ? toPyTypeName(node.ref) : 'Any';
+  } else if (node.oneOf || node.anyOf) {
+    type = toPyUnion(node, schemas, discriminate);
+  } else if (node.enum) {
+    const values = node.enum.filter(value => value !== null);
+    type = values.length > 0 ? `Literal[${values.map(value => toPyLiteral(value)).join(', ')}]` : 'Any';
+    if (values.length < node.enum.length) {
+      type = toPyOptional(type);
+    }
+  } else {
+    switch (node.type) {
+      case 'integer':
+        type = 'int';
+        break;
+      case 'number':
+        type = 'float';
+        break;
+      case 'boolean':
+        type = 'bool';
+        break;
+      case 'string':
+        type = 'str';
+        break;
+      case 'array':
+        type = `List[${toPyType(node.items || {}, schemas, discriminate)}]`;
+        break;
+      case 'object':
+        type = `Dict[str, ${Object.keys(node.properties || {}).length === 0 && typeof node.additionalProperties === 'object'
+          ? toPyType(node.additionalProperties, schemas, discriminate)
+          : 'Any'}]`;
+        break;
+      default:
+        type = 'Any';
+    }
+  }
+  return node.nullable ? toPyOptional(type) : type;
+}
+
+/**
+ * Union of the variants of a oneOf/anyOf node. In the models module, a union
+ * whose variants are all classes and that has a discriminator is tagged so
+ * validation picks the variant the discriminator names.
+ */
+function toPyUnion(node, schemas, discriminate) {
+  const variants = node.oneOf || node.anyOf;
+  const types = [...new Set(variants.map(variant => toPyType(variant, schemas, discriminate)))];
+  if (types.length === 1) {
+    return types[0];
+  }
+
+  const tagged = discriminate && node.discriminator?.propertyName &&
+    variants.every(variant => variant.ref && schemas[variant.ref] && isPyClass(schemas[variant.ref]));
+  if (!tagged) {
+    return `Union[${types.join(', ')}]`;
+  }
+
+  const mapping = {};
+  for (const variant of variants) {
+    for (const value of getDiscriminatorValues(node, variant)) {
+      mapping[value] = toPyTypeName(variant.ref);
+    }
+  }
+  const taggedVariants = variants.map(variant => `Annotated[${toPyTypeName(variant.ref)}, Tag(${toPyLiteral(toPyTypeName(variant.ref))})]`);
+  return `Annotated[Union[${taggedVariants.join(', ')}], discriminated_by(${toPyLiteral(node.discriminator.propertyName)}, ${toPyLiteral(mapping)})]`;
+}
+
+/**
+ * Make a type expression accept None
+ */
+function toPyOptional(type) {
+  return type === 'Any' || type.startsWith('Optional[') ? type : `Optional[${type}]`;
+}
+
+/**
+ * Python class name for a registry model, avoiding the names the modules use
+ */
+function toPyTypeName(name) {
+  const identifier = String(name).replace(/[^A-Za-z0-9_]/g, '_').replace(/^(?=[0-9])/, '_');
+  return PY_RESERVED_TYPES.includes(identifier) || PY_KEYWORDS.includes(identifier) ? `${identifier}Model` : identifier;
+}
+
+/**
+ * snake_case identifier for a parameter, avoiding keywords
+ */
+function toPyIdentifier(name) {
+  const snake = toSnakeCase(name) || 'value';
+  const identifier = /^[0-9]/.test(snake) ? `param_${snake}` : snake;
+  return PY_KEYWORDS.includes(identifier) ? `${identifier}_` : identifier;
+}
+
+/**
+ * snake_case field name for a model property, avoiding keywords and BaseModel attributes
+ */
+function toPyFieldName(name) {
+  const snake = toSnakeCase(name) || 'value';
+  const identifier = /^[0-9]/.test(snake) ? `field_${snake}` : snake;
+  return PY_KEYWORDS.includes(identifier) || PY_MODEL_ATTRIBUTES.includes(identifier) ? `${identifier}_` : identifier;
+}
+
+/**
+ * snake_case method name for an operation, avoiding keywords and the clients' own members
+ */
+function toPyMethodName(operationId) {
+  const name = toPyIdentifier(operationId);
+  return CLIENT_MEMBERS.includes(name) || name === 'send_request' || name === 'execute_graphql' ? `${name}_` : name;
+}
+
+/**
+ * Render a JSON-compatible value as a Python literal
+ */
+function toPyLiteral(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toPyLiteral).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value).map(([key, item]) => `${toPyLiteral(key)}: ${toPyLiteral(item)}`).join(', ')}}`;
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}'`;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'True' : 'False';
+  }
+  return value === null || value === undefined ? 'None' : JSON.stringify(value);
+}
+
+/**
+ * Escape text for a triple-quoted string
+ */
+function escapePyString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Escape text for a one-line docstring entry
+ */
+function escapePyDocstring(text) {
+  return escapePyString(String(text)).replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Generate authentication handler
+ */
+function generateAuthHandler(securitySchemes) {
+  const schemes = {};
+  for (const [name, scheme] of Object.entries(securitySchemes)) {
+    schemes[name] = {
+      type: scheme.type,
+      name: scheme.name,
+      in: scheme.in || 'header',
+      env_var: toCredentialEnvName(name)
+    };
+    if (scheme.type === 'oauth2') {
+      schemes[name].flows = Object.fromEntries(Object.entries(getTokenFlows(scheme)).map(([flowName, flow]) => [flowName, {
+        token_url: flow.tokenUrl,
+        ...(flow.refreshUrl && { refresh_url: flow.refreshUrl })
+      }]));
+    }
+  }
+
+  return `"""Authentication handler"""
+import base64
+import os
+from dataclasses import dataclass, field
+from typing import Any, Dict, List, Optional
+
+from ..config import Config
+from .token_manager import TokenManager
+
+# Security schemes declared by the API, keyed by scheme name
+SECURITY_SCHEMES: Dict[str, Dict[str, Any]] = ${toPyDict(schemes, '')}
+
+# OAuth 2.0 client settings and the environment variable suffix each is read from
+OAUTH_SETTINGS = {
+    'client_id': 'CLIENT_ID',
+    'client_secret': 'CLIENT_SECRET',
+    'username': 'USERNAME',
+    'password': 'PASSWORD',
+    'refresh_token': 'REFRESH_TOKEN',
+    'authorization_code': 'AUTHORIZATION_CODE',
+    'redirect_uri': 'REDIRECT_URI',
+    'token_url': 'TOKEN_URL',
+}
+
+
+@dataclass
+class AuthResult:
+    """Headers and query parameters that authenticate a request"""
+
+    headers: Dict[str, str] = field(default_factory=dict)
+    params: Dict[str, str] = field(default_factory=dict)
+
+
+class AuthHandler:
+    """Authentication handler
+
+    Applies the security schemes required by each endpoint.
+    """
+
+    def __init__(self, config: Config) -> None:
+        self.config = config
+        self.token_managers: Dict[str, TokenManager] = {}
+
+    def get_auth(self, security: Optional[List[Dict[str, List[str]]]] = None) -> AuthResult:
+        """Resolve authentication for a request
+
+        Requirements are alternatives: the first one whose credentials are all
+        configured is applied. An empty requirement makes authentication optional.
+
+        Args:
+            security: Security requirements, e.g. [{'apiKeyAuth': []}]
+
+        Returns:
+            Auth headers and query parameters
+        """
+        auth = AuthResult()
+        requirement = self._resolve_requirement(security or [])
+        for scheme_name, scopes in (requirement or {}).items():
+            token = None
+            if not self.get_credential(scheme_name) and SECURITY_SCHEMES[scheme_name]['type'] == 'oauth2':
+                token = self.get_token_manager(scheme_name).get_token(scopes)
+            self._apply_scheme(scheme_name, token, auth)
+        return auth
+
+    async def get_auth_async(self, security: Optional[List[Dict[str, List[str]]]] = None) -> AuthResult:
+        """Resolve authentication for a request without blocking the event loop
+
+        Args:
+            security: Security requirements, e.g. [{'apiKeyAuth': []}]
+
+        Returns:
+            Auth headers and query parameters
+        """
+        auth = AuthResult()
+        requirement = self._resolve_requirement(security or [])
+        for scheme_name, scopes in (requirement or {}).items():
+            token = None
+            if not self.get_credential(scheme_name) and SECURITY_SCHEMES[scheme_name]['type'] == 'oauth2':
+                token = await self.get_token_manager(scheme_name).get_token_async(scopes)
+            self._apply_scheme(scheme_name, token, auth)
+        return auth
+
+    def invalidate_tokens(self, security: Optional[List[Dict[str, List[str]]]] = None) -> bool:
+        """Drop the cached OAuth 2.0 tokens used for a request, e.g. after a 401 response
+
+        Args:
+            security: Security requirements of the request
+
+        Returns:
+            True if a managed token was invalidated and the request can be retried
+        """
+        requirement = self.select_requirement(security or [])
+        if not requirement:
+            return False
+
+        invalidated = False
+        for scheme_name, scopes in requirement.items():
+            if self.uses_token_manager(scheme_name):
+                self.get_token_manager(scheme_name).invalidate(scopes)
+                invalidated = True
+        return invalidated
+
+    def select_requirement(self, security: List[Dict[str, List[str]]]) -> Optional[Dict[str, List[str]]]:
+        """Pick the first non-empty requirement whose schemes are all configured"""
+        for requirement in security:
+            if requirement and all(self.is_configured(name) for name in requirement):
+                return requirement
+        return None
+
+    def is_configured(self, scheme_name: str) -> bool:
+        """Check whether a scheme has a credential or can obtain one"""
+        return bool(self.get_credential(scheme_name)) or self.uses_token_manager(scheme_name)
+
+    def uses_token_manager(self, scheme_name: str) -> bool:
+        """Check whether a scheme's token is obtained from the token endpoint rather than configured"""
+        scheme = SECURITY_SCHEMES.get(scheme_name)
+        return (scheme is not None and scheme['type'] == 'oauth2' and not self.get_credential(scheme_name)
+                and self.get_token_manager(scheme_name).can_acquire_token())
+
+    def get_token_manager(self, scheme_name: str) -> TokenManager:
+        """Get the token manager of an OAuth 2.0 scheme, creating it on first use
+
+        Args:
+            scheme_name: Security scheme name
+
+        Returns:
+            Token manager shared by all requests using the scheme
+        """
+        if scheme_name not in self.token_managers:
+            scheme = SECURITY_SCHEMES[scheme_name]
+            settings: Dict[str, Any] = {}
+            for key, suffix in OAUTH_SETTINGS.items():
+                value = os.environ.get(f"{scheme['env_var']}_{suffix}")
+                if value:
+                    settings[key] = value
+            settings.update(self.config.oauth2.get(scheme_name, {}))
+
+            self.token_managers[scheme_name] = TokenManager(
+                scheme, settings, base_url=self.config.base_url, timeout=self.config.timeout)
+        return self.token_managers[scheme_name]
+
+    def get_credential(self, scheme_name: str) -> Optional[str]:
+        """Look up the configured credential for a security scheme
+
+        Per-scheme credentials take precedence over the generic settings.
+
+        Args:
+            scheme_name: Security scheme name
+
+        Returns:
+            Credential value
+        """
+        scheme = SECURITY_SCHEMES.get(scheme_name)
+        if scheme is None:
+            return None
+
+        explicit = self.config.credentials.get(scheme_name) or os.environ.get(scheme['env_var'])
+        if explicit:
+            return explicit
+
+        if scheme['type'] == 'bearer':
+            return self.config.bearer_token or self.config.api_key
+        if scheme['type'] == 'apiKey':
+            return self.config.api_key
+        if scheme['type'] == 'basic':
+            if self.config.username and self.config.password:
+                return f'{self.config.username}:{self.config.password}'
+            return None
+        if scheme['type'] == 'oauth2':
+            return self.config.access_token
+        return None
+
+    def _resolve_requirement(self, security: List[Dict[str, List[str]]]) -> Optional[Dict[str, List[str]]]:
+        if not security:
+            return None
+
+        requirement = self.select_requirement(security)
+        if requirement is None and not any(not req for req in security):
+            options = ' or '.join(' + '.join(req) for req in security)
+            raise ValueError(f'Missing credentials: this endpoint requires {options}')
+        return requirement
+
+    def _apply_scheme(self, scheme_name: str, token: Optional[str], auth: AuthResult) -> None:
+        """Apply a single security scheme to the outgoing request
+
+        Args:
+            scheme_name: Security scheme name
+            token: Access token obtained from the token manager, for OAuth 2.0 schemes
+            auth: Headers and query parameters being built
+        """
+        scheme = SECURITY_SCHEMES[scheme_name]
+        credential = self.get_credential(scheme_name) or ''
+
+        if scheme['type'] in ('bearer', 'oauth2'):
+            auth.headers['Authorization'] = f'Bearer {credential or token}'
+        elif scheme['type'] == 'basic':
+            auth.headers['Authorization'] = 'Basic ' + base64.b64encode(credential.encode()).decode()
+        elif scheme['type'] == 'apiKey':
+            key_name = scheme.get('name') or scheme_name
+            if scheme['in'] == 'query':
+                auth.params[key_name] = credential
+            elif scheme['in'] == 'cookie':
+                cookies = [auth.headers.get('Cookie'), f'{key_name}={credential}']
+                auth.headers['Cookie'] = '; '.join(cookie for cookie in cookies if cookie)
+            else:
+                auth.headers[key_name] = credential
+`;
+}
+
+/**
+ * Render a dict as a Python literal with one entry per line
+ */
+function toPyDict(value, indent) {
+  const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+  if (entries.length === 0) {
+    return '{}';
+  }
+  const inner = `${indent}    `;
+  return `{\n${entries.map(([key, item]) => `${inner}${toPyLiteral(key)}: ${item && typeof item === 'object' && !Array.isArray(item)
+    ? toPyDict(item, inner)
+    : toPyLiteral(item)},`).join('\n')}\n${indent}}`;
+}
+
+/**
+ * Generate OAuth 2.0 token manager
+ */
+function generateTokenManager() {
+  return `"""OAuth 2.0 token manager"""
+import asyncio
+import threading
+import time
+from dataclasses import dataclass
+from typing import Any, Dict, List, Optional
+
+import httpx
+
+# OAuth 2.0 flows that can obtain tokens without user interaction, in order of preference
+TOKEN_FLOWS = ['authorizationCode', 'password', 'clientCredentials']
+
+
+@dataclass
+class TokenEntry:
+    access_token: Optional[str]
+    refresh_token: Optional[str]
+    expires_at: Optional[float]
+
+
+class TokenManager:
+    """OAuth 2.0 token manager
+
+    Fetches access tokens from the token endpoint, caches them until they expire,
+    refreshes them with the refresh token and shares a single token request
+    between concurrent callers.
+    """
+
+    def __init__(self, scheme: Dict[str, Any], settings: Optional[Dict[str, Any]] = None, *,
+                 base_url: str = '', timeout: float = 30.0,
+                 http_client: Optional[httpx.Client] = None,
+                 async_http_client: Optional[httpx.AsyncClient] = None) -> None:
+        """Create the token manager
+
+        Args:
+            scheme: Security scheme with its OAuth 2.0 flows
+            settings: Client settings (client_id, client_secret, username, password, refresh_token, ...);
+                client_authentication='body' sends the client credentials in the form body
+            base_url: Base URL that relative token URLs are resolved against
+            timeout: Token request timeout in seconds
+            http_client: HTTP client for token requests made by get_token()
+            async_http_client: HTTP client for token requests made by get_token_async()
+        """
+        self.scheme = scheme
+        self.settings = settings or {}
+        self.base_url = base_url
+        self.timeout = timeout
+        self.http_client = http_client
+        self.async_http_client = async_http_client
+        self._tokens: Dict[str, TokenEntry] = {}
+        self._lock = threading.Lock()
+        self._pending: Dict[str, 'asyncio.Task[str]'] = {}
+        self._authorization_code_used = False
+        # Most recent refresh token, so a used authorization code can still be refreshed
+        self._refresh_token: Optional[str] = self.settings.get('refresh_token')
+
+    @property
+    def flow(self) -> Optional[str]:
+        """Name of the flow used to obtain tokens"""
+        if self.settings.get('flow'):
+            return str(self.settings['flow'])
+
+        flows = self.scheme.get('flows') or {}
+        available = [name for name in TOKEN_FLOWS if name in flows]
+        usable = [name for name in available if self._has_grant_credentials(name)]
+        if usable:
+            return usable[0]
+        if available:
+            return available[0]
+        return 'clientCredentials' if self.settings.get('token_url') else None
+
+    @property
+    def token_url(self) -> Optional[str]:
+        flow = (self.scheme.get('flows') or {}).get(self.flow or '') or {}
+        return self.settings.get('token_url') or flow.get('token_url')
+
+    @property
+    def refresh_url(self) -> Optional[str]:
+        flow = (self.scheme.get('flows') or {}).get(self.flow or '') or {}
+        return self.settings.get('refresh_url') or flow.get('refresh_url') or self.token_url
+
+    def can_acquire_token(self) -> bool:
+        """Check whether enough settings are configured to obtain a token
+
+        Returns:
+            True if get_token() can succeed
+        """
+        return bool(self.token_url) and bool(self._refresh_token or self._has_grant_credentials(self.flow))
+
+    def get_token(self, scopes: Optional[List[str]] = None) -> str:
+        """Get a valid access token for the given scopes, fetching or refreshing it when needed
+
+        Args:
+            scopes: Scopes to request
+
+        Returns:
+            Access token
+        """
+        scopes = scopes or []
+        key = self._cache_key(scopes)
+        # Concurrent callers wait for the same token request
+        with self._lock:
+            cached = self._get_cached(key)
+            if cached:
+                return cached
+            refresh_token, grant = self._prepare_fetch(key)
+            token = None
+            if refresh_token:
+                try:
+                    token = self._request_token(self.refresh_url, self._refresh_params(refresh_token), scopes)
+                except (httpx.HTTPError, ValueError):
+                    # An expired or revoked refresh token falls back to a new grant when possible
+                    if grant is None:
+                        raise
+            if token is None:
+                token = self._request_token(self.token_url, self._use_grant(grant), scopes)
+            return self._store(key, token, refresh_token)
+
+    async def get_token_async(self, scopes: Optional[List[str]] = None) -> str:
+        """Get a valid access token for the given scopes without blocking the event loop
+
+        Args:
+            scopes: Scopes to request
+
+        Returns:
+            Access token
+        """
+        scopes = scopes or []
+        key = self._cache_key(scopes)
+        cached = self._get_cached(key)
+        if cached:
+            return cached
+
+        # Concurrent callers wait for the same token request
+        task = self._pending.get(key)
+        if task is None:
+            task = asyncio.ensure_future(self._fetch_token_async(key, scopes))
+            self._pending[key] = task
+            task.add_done_callback(lambda _: self._pending.pop(key, None))
+        return await asyncio.shield(task)
+
+    def invalidate(self, scopes: Optional[List[str]] = None) -> None:
+        """Discard the cached access token, keeping the refresh token for the next fetch
+
+        Args:
+            scopes: Scopes the token was requested for
+        """
+        cached = self._tokens.get(self._cache_key(scopes or []))
+        if cached:
+            cached.access_token = None
+
+    async def _fetch_token_async(self, key: str, scopes: List[str]) -> str:
+        """Obtain a new token, preferring the refresh token over a new grant"""
+        refresh_token, grant = self._prepare_fetch(key)
+        token = None
+        if refresh_token:
+            try:
+                token = await self._request_token_async(self.refresh_url, self._refresh_params(refresh_token), scopes)
+            except (httpx.HTTPError, ValueError):
+                # An expired or revoked refresh token falls back to a new grant when possible
+                if grant is None:
+                    raise
+        if token is None:
+            token = await self._request_token_async(self.token_url, self._use_grant(grant), scopes)
+        return self._store(key, token, refresh_token)
+
+    def _get_cached(self, key: str) -> Optional[str]:
+        cached = self._tokens.get(key)
+        if cached and cached.access_token and not self._is_expired(cached):
+            return cached.access_token
+        return None
+
+    def _prepare_fetch(self, key: str) -> 'tuple[Optional[str], Optional[str]]':
+        """Pick the refresh token to try and the grant flow to fall back to"""
+        cached = self._tokens.get(key)
+        refresh_token = (cached.refresh_token if cached else None) or self._refresh_token
+        grant = self.flow if self._has_grant_credentials(self.flow) else None
+        return refresh_token, grant
+
+    def _store(self, key: str, token: Dict[str, Any], refresh_token: Optional[str]) -> str:
+        access_token = str(token['access_token'])
+        self._tokens[key] = TokenEntry(
+            access_token=access_token,
+            refresh_token=token.get('refresh_token') or refresh_token,
+            expires_at=self._get_expiry(token.get('expires_in')),
+        )
+        if token.get('refresh_token'):
+            self._refresh_token = token['refresh_token']
+        return access_token
+
+    def _has_grant_credentials(self, flow: Optional[str]) -> bool:
+        """Check whether the grant for a flow can be performed with the configured settings"""
+        if flow == 'clientCredentials':
+            return bool(self.settings.get('client_id'))
+        if flow == 'password':
+            return bool(self.settings.get('username') and self.settings.get('password'))
+        if flow == 'authorizationCode':
+            return bool(self.settings.get('authorization_code')) and not self._authorization_code_used
+        return False
+
+    def _refresh_params(self, refresh_token: str) -> Dict[str, str]:
+        return {'grant_type': 'refresh_token', 'refresh_token': refresh_token}
+
+    def _use_grant(self, flow: Optional[str]) -> Dict[str, str]:
+        """Build the token request parameters for a flow"""
+        if flow == 'clientCredentials':
+            return {'grant_type': 'client_credentials'}
+        if flow == 'password':
+            return {'grant_type': 'password', 'username': self.settings['username'], 'password': self.settings['password']}
+        if flow == 'authorizationCode':
+            # Authorization codes are single-use; later tokens come from the refresh token
+            self._authorization_code_used = True
+            params = {'grant_type': 'authorization_code', 'code': self.settings['authorization_code']}
+            if self.settings.get('redirect_uri'):
+                params['redirect_uri'] = self.settings['redirect_uri']
+            return params
+        if self.flow == 'authorizationCode':
+            raise ValueError('OAuth 2.0 authorization code flow needs a refresh token or an unused authorization code')
+        raise ValueError(f'OAuth 2.0 flow "{self.flow}" cannot obtain tokens automatically; configure an access token instead')
+
+    def _build_token_request(self, url: Optional[str], params: Dict[str, str], scopes: List[str]) -> Dict[str, Any]:
+        """Build the token endpoint request
+
+        Args:
+            url: Token endpoint URL, absolute or relative to the API base URL
+            params: Grant parameters
+            scopes: Scopes to request
+
+        Returns:
+            Keyword arguments for httpx
+        """
+        form = dict(params)
+        if scopes:
+            form['scope'] = ' '.join(scopes)
+
+        headers = {'Accept': 'application/json'}
+        auth = None
+        client_id = self.settings.get('client_id')
+        client_secret = self.settings.get('client_secret')
+        if client_id and client_secret and self.settings.get('client_authentication') != 'body':
+            auth = httpx.BasicAuth(client_id, client_secret)
+        elif client_id:
+            form['client_id'] = client_id
+            if client_secret:
+                form['client_secret'] = client_secret
+
+        if not url:
+            raise ValueError('OAuth 2.0 token URL is not configured')
+        if self.base_url and '://' not in url:
+            url = self.base_url.rstrip('/') + '/' + url.lstrip('/')
+        return {'url': url, 'data': form, 'headers': headers, 'auth': auth, 'timeout': self.timeout}
+
+    def _request_token(self, url: Optional[str], params: Dict[str, str], scopes: List[str]) -> Dict[str, Any]:
+        request = self._build_token_request(url, params, scopes)
+        if self.http_client is not None:
+            response = self.http_client.post(**request)
+        else:
+            with httpx.Client() as client:
+                response = client.post(**request)
+        return self._read_token(response)
+
+    async def _request_token_async(self, url: Optional[str], params: Dict[str, str], scopes: List[str]) -> Dict[str, Any]:
+        request = self._build_token_request(url, params, scopes)
+        if self.async_http_client is not None:
+            response = await self.async_http_client.post(**request)
+        else:
+            async with httpx.AsyncClient() as client:
+                response = await client.post(**request)
+        return self._read_token(response)
+
+    def _read_token(self, response: httpx.Response) -> Dict[str, Any]:
+        response.raise_for_status()
+        token = response.json()
+        if not isinstance(token, dict) or not token.get('access_token'):
+            raise ValueError('Token endpoint response did not include an access_token')
+        return token
+
+    def _get_expiry(self, expires_in: Any) -> Optional[float]:
+        """Compute when a token should be treated as expired, leaving a safety margin"""
+        try:
+            seconds = float(expires_in)
+        except (TypeError, ValueError):
+            return None
+        if not seconds:
+            return None
+        return time.time() + seconds - min(30.0, seconds / 2)
+
+    def _is_expired(self, entry: TokenEntry) -> bool:
+        return entry.expires_at is not None and time.time() >= entry.expires_at
+
+    def _cache_key(self, scopes: List[str]) -> str:
+        return ' '.join(sorted(scopes))
+`;
+}
+
+/**
+ * Generate request handler
+ */
+function generateRequestHandler() {
+  return `"""Request handling with retries"""
+import asyncio
+import time
+from typing import Any, Dict, Optional, TypedDict
+
+import httpx
+from pydantic import TypeAdapter
+from pydantic_core import to_jsonable_python
+
+from ..auth import AuthResult
+from ..config import Config
+from .errors import ApiError
+
+
+class RequestOptions(TypedDict, total=False):
+    """Per-request overrides"""
+
+    headers: Dict[str, str]
+    params: Dict[str, Any]
+    timeout: float
+
+
+def build_request(method: str, path: str, auth: AuthResult, query: Optional[Dict[str, Any]] = None,
+                  body: Any = None, request_options: Optional[RequestOptions] = None) -> Dict[str, Any]:
+    """Build the keyword arguments of an httpx request
+
+    Args:
+        method: HTTP method
+        path: Path relative to the base URL
+        auth: Auth headers and query parameters
+        query: Query parameters; None values are left out
+        body: JSON request body; models are sent with their JSON property names
+        request_options: Extra headers, query parameters or timeout
+
+    Returns:
+        Keyword arguments for httpx.Client.request
+    """
+    options = request_options or {}
+    params = {key: value for key, value in (query or {}).items() if value is not None}
+    params.update(auth.params)
+    params.update(options.get('params') or {})
+
+    request: Dict[str, Any] = {
+        'method': method,
+        'url': path,
+        'params': to_jsonable_python(params),
+        'headers': {**auth.headers, **(options.get('headers') or {})},
+    }
+    if body is not None:
+        request['json'] = to_jsonable_python(body, by_alias=True, exclude_none=True)
+    if 'timeout' in options:
+        request['timeout'] = options['timeout']
+    return request
+
+
+def parse_response(response_type: Any, data: Any) -> Any:
+    """Validate a decoded response body against its declared type
+
+    Args:
+        response_type: Declared response type
+        data: Decoded response body
+
+    Returns:
+        Typed response
+    """
+    if response_type is Any:
+        return data
+    return TypeAdapter(response_type).validate_python(data)
+
+
+class RequestHandler:
+    """Request handler
+
+    Sends HTTP requests with retry logic and proper error handling.
+    """
+
+    def __init__(self, config: Config) -> None:
+        self.config = config
+
+    def send(self, http_client: httpx.Client, request: Dict[str, Any]) -> Any:
+        """Send a request, retrying transport errors, 5xx and 429 responses
+
+        Args:
+            http_client: HTTP client to send the request with
+            request: Keyword arguments for httpx.Client.request
+
+        Returns:
+            Decoded response body
+
+        Raises:
+            ApiError: If the API answered with an error status
+        """
+        max_retries = self.config.max_retries or 3
+        attempt = 1
+        while True:
+            try:
+                return self.read_response(http_client.request(**request))
+            except (httpx.TransportError, ApiError) as error:
+                if not self.should_retry(error) or attempt >= max_retries:
+                    raise
+            time.sleep(self.get_delay(attempt))
+            attempt += 1
+
+    async def send_async(self, http_client: httpx.AsyncClient, request: Dict[str, Any]) -> Any:
+        """Send a request without blocking the event loop
+
+        Args:
+            http_client: HTTP client to send the request with
+            request: Keyword arguments for httpx.AsyncClient.request
+
+        Returns:
+            Decoded response body
+
+        Raises:
+            ApiError: If the API answered with an error status
+        """
+        max_retries = self.config.max_retries or 3
+        attempt = 1
+        while True:
+            try:
+                return self.read_response(await http_client.request(**request))
+            except (httpx.TransportError, ApiError) as error:
+                if not self.should_retry(error) or attempt >= max_retries:
+                    raise
+            await asyncio.sleep(self.get_delay(attempt))
+            attempt += 1
+
+    def read_response(self, response: httpx.Response) -> Any:
+        """Decode a response body, raising ApiError for error statuses"""
+        if response.is_error:
+            raise ApiError.from_response(response)
+        if not response.content:
+            return None
+        if 'json' in response.headers.get('content-type', ''):
+            return response.json()
+        return response.text
+
+    def should_retry(self, error: Exception) -> bool:
+        """Retry transport errors and server errors; don't retry 4xx except 429 (rate limit)"""
+        if isinstance(error, ApiError):
+            return error.status >= 500 or error.status == 429
+        return True
+
+    def get_delay(self, attempt: int) -> float:
+        """Seconds to wait before the next attempt (exponential backoff)"""
+        return min(2.0 ** (attempt - 1), 10.0)
+`;
+}
+
+/**
+ * Generate error classes
+ */
+function generateErrors() {
+  return `"""API errors"""
+from datetime import datetime, timezone
+from typing import Any, List, Optional
+
+import httpx
+
+
+class ApiError(Exception):
+    """Error response from the API"""
+
+    def __init__(self, status: int, message: str, data: Any = None,
+                 response: Optional[httpx.Response] = None) -> None:
+        super().__init__(message)
+        self.status = status
+        self.message = message
+        self.data = data
+        self.response = response
+        self.timestamp = datetime.now(timezone.utc).isoformat()
+
+    @classmethod
+    def from_response(cls, response: httpx.Response) -> 'ApiError':
+        """Build the error for a response with an error status
+
+        Args:
+            response: HTTP response
+
+        Returns:
+            API error carrying the status and decoded body
+        """
+        try:
+            data: Any = response.json()
+        except ValueError:
+            data = response.text or None
+        return cls(response.status_code, response.reason_phrase or f'HTTP {response.status_code}', data, response)
+
+
+class GraphQLError(Exception):
+    """GraphQL response that carries errors"""
+
+    def __init__(self, errors: List[Any], data: Any = None) -> None:
+        messages = [error.get('message') if isinstance(error, dict) else str(error) for error in errors]
+        super().__init__('; '.join(message for message in messages if message) or 'GraphQL request failed')
+        self.errors = errors
+        self.data = data
+`;
+}
+
+/**
+ * Generate configuration
+ */
+function generateConfig() {
+  return `"""Client configuration"""
+import os
+from typing import Any, Dict, Optional
+
+from dotenv import load_dotenv
+
+load_dotenv()
+
+
+def _env_number(name: str) -> Optional[float]:
+    try:
+        return float(os.environ[name])
+    except (KeyError, ValueError):
+        return None
+
+
+class Config:
+    """Configuration manager
+
+    Manages API client configuration with environment variable support.
+    """
+
+    def __init__(self, *, base_url: Optional[str] = None, timeout: Optional[float] = None,
+                 max_retries: Optional[int] = None, credentials: Optional[Dict[str, str]] = None,
+                 oauth2: Optional[Dict[str, Dict[str, Any]]] = None, api_key: Optional[str] = None,
+                 bearer_token: Optional[str] = None, username: Optional[str] = None,
+                 password: Optional[str] = None, access_token: Optional[str] = None) -> None:
+        """Create the configuration; unset values are read from the environment
+
+        Args:
+            base_url: API base URL
+            timeout: Request timeout in seconds (API_TIMEOUT is in milliseconds)
+            max_retries: Attempts per request
+            credentials: Credentials keyed by security scheme name
+            oauth2: OAuth 2.0 client settings keyed by security scheme name
+            api_key: API key
+            bearer_token: Bearer token
+            username: Basic auth username
+            password: Basic auth password
+            access_token: OAuth 2.0 access token
+        """
+        env_timeout = _env_number('API_TIMEOUT')
+        env_retries = _env_number('API_MAX_RETRIES')
+
+        self.base_url: str = base_url or os.environ.get('API_BASE_URL', '')
+        self.timeout: float = timeout or (env_timeout / 1000 if env_timeout else 30.0)
+        self.max_retries: int = max_retries or (int(env_retries) if env_retries else 3)
+
+        # Authentication
+        self.credentials: Dict[str, str] = credentials or {}
+        self.oauth2: Dict[str, Dict[str, Any]] = oauth2 or {}
+        self.api_key: Optional[str] = api_key or os.environ.get('API_KEY')
+        self.bearer_token: Optional[str] = bearer_token or os.environ.get('API_BEARER_TOKEN')
+        self.username: Optional[str] = username or os.environ.get('API_USERNAME')
+        self.password: Optional[str] = password or os.environ.get('API_PASSWORD')
+        self.access_token: Optional[str] = access_token or os.environ.get('API_ACCESS_TOKEN')
+`;
+}
+
+/**
+ * Generate tests for the sync or async client
+ */
+function generateClientTests(parsedData, isAsync) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const className = isAsync ? 'AsyncApiClient' : 'ApiClient';
+  const graphqlEndpoint = endpoints.find(endpoint => endpoint.graphql);
+  const testNames = new Set();
+  const toTestName = operationId => {
+    const base = `test_${toPyMethodName(operationId).replace(/_$/, '')}`;
+    let name = base;
+    for (let suffix = 2; testNames.has(name); suffix++) {
+      name = `${base}_${suffix}`;
+    }
+    testNames.add(name);
+    return name;
+  };
+
+  const tests = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlTest(endpoint, schemas, isAsync, toTestName(endpoint.operationId))
+    : generateEndpointTest(endpoint, schemas, isAsync, toTestName(endpoint.operationId)));
+  if (graphqlEndpoint) {
+    tests.push(generateGraphqlErrorTest(graphqlEndpoint, schemas, isAsync));
+  }
+  const source = tests.join('\n');
+  const typingImport = getTypingImport(source, []);
+  const marker = isAsync ? '@pytest.mark.anyio\n' : '';
+  const def = isAsync ? 'async def' : 'def';
+  const awaitPrefix = isAsync ? 'await ' : '';
+
+  return `"""Tests for the ${title} ${isAsync ? 'async ' : ''}API client"""
+${typingImport ? `${typingImport}\n\n` : ''}import pytest${/TypeAdapter\(/.test(source) ? '\nfrom pydantic import TypeAdapter' : ''}
+
+from ${PACKAGE_NAME} import ${className}, ApiError${graphqlEndpoint ? ', GraphQLError' : ''}
+from ${PACKAGE_NAME}.auth import AuthResult${getModelImports(source, schemas, `${PACKAGE_NAME}.models`)}
+${isAsync ? `
+
+@pytest.fixture
+def anyio_backend():
+    return 'asyncio'
+` : ''}
+
+@pytest.fixture
+${def} client(monkeypatch):
+    ${isAsync ? 'async with' : 'with'} ${className}(base_url='https://api.example.com', api_key='test-api-key') as client:
+        ${isAsync ? `async def get_auth(security):
+            return AuthResult()
+
+        monkeypatch.setattr(client.auth_handler, 'get_auth_async', get_auth)` : `monkeypatch.setattr(client.auth_handler, 'get_auth', lambda security: AuthResult())`}
+        yield client
+
+
+def mock_send(monkeypatch, client, *responses):
+    """Record requests instead of sending them and answer with the given responses in turn"""
+    requests = []
+
+    ${def} send(http_client, request):
+        requests.append(request)
+        response = responses[min(len(requests), len(responses)) - 1]
+        if isinstance(response, Exception):
+            raise response
+        return response
+
+    monkeypatch.setattr(client.request_handler, 'send${isAsync ? '_async' : ''}', send)
+    return requests
+
+
+${marker}${def} test_configuration(client):
+    assert client.config.base_url == 'https://api.example.com'
+    assert client.config.api_key == 'test-api-key'
+
+${tests.map(test => `\n${test}\n`).join('\n')}
+
+${marker}${def} test_send_request_retries_once_after_401(client, monkeypatch):
+    auths = iter([AuthResult(headers={'Authorization': 'Bearer stale'}), AuthResult(headers={'Authorization': 'Bearer fresh'})])
+
+    ${isAsync ? `async def get_auth(security):
+        return next(auths)
+
+    monkeypatch.setattr(client.auth_handler, 'get_auth_async', get_auth)` : `monkeypatch.setattr(client.auth_handler, 'get_auth', lambda security: next(auths))`}
+    monkeypatch.setattr(client.auth_handler, 'invalidate_tokens', lambda security: True)
+    requests = mock_send(monkeypatch, client, ApiError(401, 'Unauthorized'), {'success': True})
+
+    result = ${awaitPrefix}client.send_request([{'oauth2': []}], 'GET', '/')
+
+    assert result == {'success': True}
+    assert len(requests) == 2
+    assert requests[-1]['headers'] == {'Authorization': 'Bearer fresh'}
+
+
+${marker}${def} test_send_request_does_not_retry_401_without_managed_tokens(client, monkeypatch):
+    monkeypatch.setattr(client.auth_handler, 'invalidate_tokens', lambda security: False)
+    requests = mock_send(monkeypatch, client, ApiError(401, 'Unauthorized'))
+
+    with pytest.raises(ApiError, match='Unauthorized'):
+        ${awaitPrefix}client.send_request([], 'GET', '/')
+    assert len(requests) == 1
+`;
+}
+
+/**
+ * Generate endpoint test
+ */
+function generateEndpointTest(endpoint, schemas, isAsync, testName) {
+  const { method, path, operationId } = endpoint;
+  const responseSchema = getResponseSchema(endpoint);
+  const required = getMethodFields(endpoint, schemas).filter(field => field.required);
+
+  // Path parameters get recognizable values so the expected URL can be checked
+  const values = {};
+  for (const field of required) {
+    values[field.key] = field.in === 'path' && field.type === 'str' ? `test-${field.key}` : getTypedExample(field.schema, schemas);
+  }
+  const expectedUrl = endpoint.parameters
+    .filter(p => p.in === 'path')
+    .reduce((url, p) => url.replace(`{${p.name}}`, toPyQuoted(String(values[p.name]))), path);
+
+  const response = responseSchema ? getTypedExample(responseSchema, schemas) : { success: true };
+  const expected = responseSchema ? toPyValidated(responseSchema, 'response', schemas) : 'response';
+
+  return `${isAsync ? '@pytest.mark.anyio\nasync def' : 'def'} ${testName}(client, monkeypatch):
+    """${toPyMethodName(operationId)} should make a ${method} request to ${escapePyDocstring(path)}"""
+    response = ${toPyLiteral(response)}
+    requests = mock_send(monkeypatch, client, response)
+
+    result = ${isAsync ? 'await ' : ''}client.${toPyMethodName(operationId)}(${toPyArguments(required, values, schemas)})
+
+    assert requests[0]['method'] == '${method}'
+    assert requests[0]['url'] == ${toPyLiteral(expectedUrl)}
+    assert result == ${expected}`;
+}
+
+/**
+ * Generate a GraphQL operation test
+ */
+function generateGraphqlTest(endpoint, schemas, isAsync, testName) {
+  const { operationId, path, graphql, responses } = endpoint;
+  const resultSchema = responses['200']?.schema ? { ref: responses['200'].schema.ref } : null;
+  const data = resultSchema ? getTypedExample(resultSchema, schemas) : { success: true };
+
+  return `${isAsync ? '@pytest.mark.anyio\nasync def' : 'def'} ${testName}(client, monkeypatch):
+    """${toPyMethodName(operationId)} should POST the ${graphql.operationName || operationId} ${graphql.operationType} to ${escapePyDocstring(path)}"""
+    data = ${toPyLiteral(data)}
+    requests = mock_send(monkeypatch, client, {'data': data})
+
+    result = ${isAsync ? 'await ' : ''}client.${toPyMethodName(operationId)}(${generateExampleVariables(endpoint, schemas)})
+
+    assert requests[0]['method'] == 'POST'
+    assert requests[0]['url'] == ${toPyLiteral(path)}
+    assert '${graphql.operationType}' in requests[0]['json']['query']
+    assert result == ${resultSchema ? toPyValidated(resultSchema, 'data', schemas) : 'data'}`;
+}
+
+/**
+ * Generate the test for GraphQL errors reported in a 200 response
+ */
+function generateGraphqlErrorTest(endpoint, schemas, isAsync) {
+  return `${isAsync ? '@pytest.mark.anyio\nasync def' : 'def'} test_execute_graphql_raises_graphql_errors(client, monkeypatch):
+    mock_send(monkeypatch, client, {'data': {'partial': True}, 'errors': [{'message': 'Not authorized'}]})
+
+    with pytest.raises(GraphQLError, match='Not authorized') as error:
+        ${isAsync ? 'await ' : ''}client.${toPyMethodName(endpoint.operationId)}(${generateExampleVariables(endpoint, schemas)})
+    assert error.value.data == {'partial': True}`;
+}
+
+/**
+ * Example variables argument for a GraphQL operation
+ */
+function generateExampleVariables(endpoint, schemas) {
+  const variablesSchema = endpoint.requestBody?.schema;
+  if (!variablesSchema) {
+    return '{}';
+  }
+  const schema = { ref: variablesSchema.ref };
+  return toPyExample(schema, getTypedExample(schema, schemas), schemas);
+}
+
+/**
+ * Example arguments for a REST method: its required values, or none
+ */
+function generateExampleArguments(endpoint, schemas) {
+  const required = getMethodFields(endpoint, schemas).filter(field => field.required);
+  const values = Object.fromEntries(required.map(field => [field.key, getTypedExample(field.schema, schemas)]));
+  return toPyArguments(required, values, schemas);
+}
+
+/**
+ * Call arguments for the required fields of a method: path values and the body
+ * positionally, query values by keyword
+ */
+function toPyArguments(fields, values, schemas) {
+  const positional = fields.filter(field => field.in !== 'query')
+    .map(field => toPyExample(field.schema, values[field.key], schemas));
+  const keywords = fields.filter(field => field.in === 'query')
+    .map(field => `${field.local}=${toPyExample(field.schema, values[field.key], schemas)}`);
+  return [...positional, ...keywords].join(', ');
+}
+
+/**
+ * Expression building an example value of a schema: class models are
+ * validated from the JSON value, everything else is a literal
+ */
+function toPyExample(schema, value, schemas) {
+  if (schema.ref && schemas[schema.ref] && isPyClass(schemas[schema.ref])) {
+    return `${toPyTypeName(schema.ref)}.model_validate(${toPyLiteral(value)})`;
+  }
+  if (getDirectRefs(schema).some(ref => schemas[ref])) {
+    return `TypeAdapter(${toPyType(schema, schemas)}).validate_python(${toPyLiteral(value)})`;
+  }
+  return toPyLiteral(value);
+}
+
+/**
+ * Expression validating a decoded value against a schema's type
+ */
+function toPyValidated(schema, expression, schemas) {
+  if (schema.ref && schemas[schema.ref] && isPyClass(schemas[schema.ref])) {
+    return `${toPyTypeName(schema.ref)}.model_validate(${expression})`;
+  }
+  return `TypeAdapter(${toPyType(schema, schemas)}).validate_python(${expression})`;
+}
+
+/**
+ * Percent-encode a path value the way urllib.parse.quote(value, safe='') does
+ */
+function toPyQuoted(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Generate authentication handler tests
+ */
+function generateAuthHandlerTests(securitySchemes) {
+  const schemeTests = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const credential = scheme.type === 'basic' ? 'user:secret' : 'secret';
+    const keyName = scheme.name || name;
+    let expectation;
+    if (scheme.type === 'basic') {
+      expectation = `assert auth.headers['Authorization'] == 'Basic ' + base64.b64encode(b'user:secret').decode()`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'query') {
+      expectation = `assert auth.params[${toPyLiteral(keyName)}] == 'secret'`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+      expectation = `assert auth.headers['Cookie'] == ${toPyLiteral(`${scheme.name}=secret`)}`;
+    } else if (scheme.type === 'apiKey') {
+      expectation = `assert auth.headers[${toPyLiteral(keyName)}] == 'secret'`;
+    } else {
+      expectation = `assert auth.headers['Authorization'] == 'Bearer secret'`;
+    }
+
+    return `def test_applies_${toPyIdentifier(name).replace(/_$/, '')}_scheme():
+    handler = AuthHandler(Config(credentials={${toPyLiteral(name)}: '${credential}'}))
+    auth = handler.get_auth([{${toPyLiteral(name)}: []}])
+    ${expectation}`;
+  });
+  const source = schemeTests.join('\n');
+
+  return `"""Tests for the authentication handler"""
+${/base64\./.test(source) ? 'import base64\n\n' : ''}import pytest
+
+from ${PACKAGE_NAME}.auth import AuthHandler, AuthResult
+from ${PACKAGE_NAME}.config import Config
+
+
+def test_does_not_authenticate_endpoints_without_security_requirements():
+    handler = AuthHandler(Config())
+    assert handler.get_auth([]) == AuthResult()
+
+
+def test_allows_anonymous_access_when_authentication_is_optional():
+    handler = AuthHandler(Config())
+    assert handler.get_auth([{'undeclaredScheme': []}, {}]) == AuthResult()
+
+
+def test_rejects_requests_when_no_requirement_can_be_satisfied():
+    handler = AuthHandler(Config())
+    with pytest.raises(ValueError, match='Missing credentials'):
+        handler.get_auth([{'undeclaredScheme': []}])
+${schemeTests.map(test => `\n\n${test}\n`).join('')}`;
+}
+
+/**
+ * Generate token manager tests, run against a mock token endpoint
+ */
+function generateTokenManagerTests() {
+  return `"""Tests for the OAuth 2.0 token manager"""
+import asyncio
+import base64
+import time
+from urllib.parse import parse_qsl
+
+import httpx
+import pytest
+
+from ${PACKAGE_NAME}.auth import TokenManager
+
+
+class TokenEndpoint:
+    """Mock token endpoint recording every grant it receives"""
+
+    def __init__(self):
+        self.requests = []
+        self.token_response = {'token_type': 'Bearer', 'expires_in': 3600, 'refresh_token': 'refresh-1'}
+
+    def handle(self, request):
+        self.requests.append({
+            'params': dict(parse_qsl(request.content.decode())),
+            'authorization': request.headers.get('Authorization'),
+        })
+        return httpx.Response(200, json={'access_token': f'token-{len(self.requests)}', **self.token_response})
+
+    async def handle_async(self, request):
+        await asyncio.sleep(0.01)
+        return self.handle(request)
+
+
+@pytest.fixture
+def anyio_backend():
+    return 'asyncio'
+
+
+@pytest.fixture
+def endpoint():
+    return TokenEndpoint()
+
+
+def create_manager(endpoint, flows=None, **settings):
+    return TokenManager(
+        {'flows': flows or {'clientCredentials': {'token_url': '/oauth/token'}}},
+        {'client_id': 'client', 'client_secret': 'secret', **settings},
+        base_url='https://auth.example.com',
+        http_client=httpx.Client(transport=httpx.MockTransport(endpoint.handle)),
+        async_http_client=httpx.AsyncClient(transport=httpx.MockTransport(endpoint.handle_async)),
+    )
+
+
+def test_fetches_a_token_with_the_client_credentials_grant(endpoint):
+    manager = create_manager(endpoint)
+    assert manager.get_token(['read']) == 'token-1'
+    assert endpoint.requests[0]['params'] == {'grant_type': 'client_credentials', 'scope': 'read'}
+    assert endpoint.requests[0]['authorization'] == 'Basic ' + base64.b64encode(b'client:secret').decode()
+
+
+def test_caches_tokens_until_they_expire(endpoint):
+    manager = create_manager(endpoint)
+    manager.get_token()
+    assert manager.get_token() == 'token-1'
+    assert len(endpoint.requests) == 1
+
+
+@pytest.mark.anyio
+async def test_shares_one_token_request_between_concurrent_callers(endpoint):
+    manager = create_manager(endpoint)
+    tokens = await asyncio.gather(*(manager.get_token_async() for _ in range(5)))
+    assert set(tokens) == {'token-1'}
+    assert len(endpoint.requests) == 1
+
+
+def test_refreshes_expired_tokens_with_the_refresh_token(endpoint, monkeypatch):
+    manager = create_manager(endpoint)
+    manager.get_token()
+
+    now = time.time()
+    monkeypatch.setattr(time, 'time', lambda: now + 3600)
+    assert manager.get_token() == 'token-2'
+    assert endpoint.requests[1]['params'] == {'grant_type': 'refresh_token', 'refresh_token': 'refresh-1'}
+
+
+def test_fetches_a_new_token_after_invalidation(endpoint):
+    manager = create_manager(endpoint)
+    manager.get_token()
+    manager.invalidate()
+    assert manager.get_token() == 'token-2'
+    assert len(endpoint.requests) == 2
+
+
+def test_sends_client_credentials_in_the_body_when_configured(endpoint):
+    manager = create_manager(endpoint, client_authentication='body')
+    manager.get_token()
+    assert endpoint.requests[0]['authorization'] is None
+    assert endpoint.requests[0]['params']['client_id'] == 'client'
+    assert endpoint.requests[0]['params']['client_secret'] == 'secret'
+
+
+def test_only_acquires_tokens_when_the_flow_is_configured(endpoint):
+    assert create_manager(endpoint).can_acquire_token()
+    assert not create_manager(endpoint, client_id=None).can_acquire_token()
+
+
+def test_uses_an_authorization_code_once_and_refreshes_afterwards(endpoint):
+    manager = create_manager(
+        endpoint,
+        flows={'authorizationCode': {'token_url': '/oauth/token'}},
+        client_secret=None,
+        authorization_code='code-1',
+        redirect_uri='http://localhost/callback',
+    )
+    manager.get_token()
+    manager.invalidate()
+    assert manager.get_token() == 'token-2'
+
+    assert endpoint.requests[0]['params']['grant_type'] == 'authorization_code'
+    assert endpoint.requests[0]['params']['code'] == 'code-1'
+    assert endpoint.requests[1]['params'] == {'grant_type': 'refresh_token', 'refresh_token': 'refresh-1', 'client_id': 'client'}
+    assert manager.can_acquire_token()
+`;
+}
+
+/**
+ * Generate example usage
+ */
+function generateExampleUsage(parsedData, isAsync) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const awaitPrefix = isAsync ? 'await ' : '';
+
+  const calls = endpoints.slice(0, 2).map(endpoint => {
+    const name = toPyMethodName(endpoint.operationId);
+    const args = endpoint.graphql ? generateExampleVariables(endpoint, schemas) : generateExampleArguments(endpoint, schemas);
+    return `        # Example: ${endpoint.method} ${endpoint.path}
+        try:
+            print('\\n📡 Testing ${name}...')
+            ${name.replace(/_$/, '')}_result = ${awaitPrefix}client.${name}(${args})
+            print('✅ ${name} result:', ${name.replace(/_$/, '')}_result)
+        except (ApiError, GraphQLError, httpx.HTTPError, ValueError) as error:
+            print('❌ ${name} failed:', error)`;
+  });
+  const source = calls.join('\n');
+
+  return `"""Example usage of ${title} ${isAsync ? 'async ' : ''}API client"""
+${isAsync ? 'import asyncio\n' : ''}import os
+import sys
+
+import httpx
+from dotenv import load_dotenv${/TypeAdapter\(/.test(source) ? '\nfrom pydantic import TypeAdapter' : ''}
+
+from ${PACKAGE_NAME} import ${isAsync ? 'AsyncApiClient' : 'ApiClient'}, ApiError, GraphQLError${getModelImports(source, schemas, `${PACKAGE_NAME}.models`)}
+
+load_dotenv()
+
+
+${isAsync ? 'async def' : 'def'} main() -> None:
+    # Initialize the API client
+    ${isAsync ? 'async with' : 'with'} ${isAsync ? 'AsyncApiClient' : 'ApiClient'}(
+        base_url=os.environ.get('API_BASE_URL', 'https://api.example.com'),
+        api_key=os.environ.get('API_KEY'),
+        timeout=30.0,
+    ) as client:
+        print('🚀 ${title.replace(/[\\']/g, '')} API Client initialized')
+
+        # Test connection
+        is_connected = ${awaitPrefix}client.test_connection()
+        print('🔗 Connection test:', '✅ Success' if is_connected else '❌ Failed')
+${calls.map(call => `\n${call}\n`).join('')}
+        print('\\n🎉 Example completed successfully!')
+
+
+if __name__ == '__main__':
+    try:
+        ${isAsync ? 'asyncio.run(main())' : 'main()'}
+    except Exception as error:
+        print('💥 Example failed:', error)
+        sys.exit(1)
+`;
+}
+
+/**
+ * Generate environment template
+ */
+function generateEnvExample(securitySchemes) {
+  const schemeEntries = Object.entries(securitySchemes);
+
+  let envContent = `# ${schemeEntries.length === 0 ? 'No authentication required' : `Authentication: ${schemeEntries.map(([name]) => name).join(', ')}`}
+
+# API Configuration
+API_BASE_URL=https://api.example.com
+API_TIMEOUT=30000
+API_MAX_RETRIES=3
+`;
+
+  for (const [name, scheme] of schemeEntries) {
+    envContent += `
+# ${name}: ${scheme.description || `${scheme.type} authentication`} (${describeCredential(scheme)})
+${toCredentialEnvName(name)}=
+`;
+    if (scheme.type === 'oauth2') {
+      envContent += `# Or let the client fetch and refresh tokens itself:
+${getOAuthSettings(scheme).map(setting => `# ${setting.description}\n${toOAuthEnvName(name, setting)}=`).join('\n')}
+`;
+    }
+  }
+
+  return envContent;
+}
+
+module.exports = { generatePythonCode };
\ No newline at end of file
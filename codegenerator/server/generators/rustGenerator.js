@@ -0,0 +1,2756 @@
+const {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  toCredentialEnvName,
+  toOAuthEnvName,
+  getTokenFlows,
+  getOAuthSettings,
+  getTypedExample,
+  getDiscriminatorValues,
+  getRequestSchema,
+  getResponseSchema,
+  toCamelCase,
+  toSnakeCase,
+  describeCredential
+} = require('./generatorUtils');
+
+/**
+ * Library crate name the tests and examples import
+ */
+const CRATE_NAME = 'api_integration';
+
+/**
+ * Rust keywords, which get a trailing underscore as identifiers
+ */
+const RUST_KEYWORDS = [
+  'abstract', 'as', 'async', 'await', 'become', 'box', 'break', 'const', 'continue', 'crate', 'do', 'dyn', 'else',
+  'enum', 'extern', 'false', 'final', 'fn', 'for', 'gen', 'if', 'impl', 'in', 'let', 'loop', 'macro', 'match', 'mod',
+  'move', 'mut', 'override', 'priv', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct', 'super', 'trait',
+  'true', 'try', 'type', 'typeof', 'unsafe', 'unsized', 'use', 'virtual', 'where', 'while', 'yield'
+];
+
+/**
+ * Type names models.rs uses unqualified; models with these names get a suffix
+ */
+const RUST_RESERVED_TYPES = [
+  'ApiResponse', 'Box', 'Deserialize', 'Deserializer', 'HashMap', 'Option', 'Result', 'Self', 'Serialize', 'String',
+  'Value', 'Vec'
+];
+
+/**
+ * ApiClient methods that operation methods must not replace
+ */
+const CLIENT_MEMBERS = [
+  'config', 'endpoint_url', 'execute_graphql', 'from_env', 'new', 'send_request', 'test_connection',
+  'with_auth_handler', 'with_http_client'
+];
+
+/**
+ * reqwest::Method constants for the standard methods
+ */
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS', 'TRACE', 'CONNECT'];
+
+/**
+ * Generate Rust integration code
+ * @param {Object} parsedData - Parsed API data
+ * @param {string} fileName - Original file name
+ * @returns {Object} Generated code files
+ */
+async function generateRustCode(parsedData, fileName) {
+  const { title, endpoints } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const securitySchemes = getSecuritySchemes(parsedData);
+
+  // The client only covers request/response endpoints; message channels and gRPC
+  // services are reported by diagnoseUnsupportedEndpoints in codeGenerator.js
+  const httpData = { ...parsedData, endpoints: endpoints.filter(endpoint => !endpoint.messaging && !endpoint.grpc) };
+  const hasGraphql = httpData.endpoints.some(endpoint => endpoint.graphql);
+
+  const generatedCode = {};
+
+  // Crate manifest and root module
+  generatedCode['Cargo.toml'] = generateCargoToml(title);
+  generatedCode['src/lib.rs'] = generateLib(title);
+
+  // Main API client
+  generatedCode['src/client.rs'] = generateApiClient(httpData);
+
+  // Serde structs, enums and unions for the models
+  generatedCode['src/models.rs'] = generateModels(schemas);
+
+  // Authentication
+  generatedCode['src/auth.rs'] = generateAuthHandler(securitySchemes);
+  generatedCode['src/token.rs'] = generateTokenManager();
+
+  // Retries and errors
+  generatedCode['src/request.rs'] = generateRequestHandler();
+  generatedCode['src/error.rs'] = generateErrorHandler(hasGraphql);
+
+  // Configuration
+  generatedCode['src/config.rs'] = generateConfig();
+
+  // Integration tests against a local mock server
+  generatedCode['tests/common/mod.rs'] = generateMockServer();
+  generatedCode['tests/client.rs'] = generateClientTests(httpData, securitySchemes);
+  generatedCode['tests/auth.rs'] = generateAuthHandlerTests(securitySchemes);
+  generatedCode['tests/token.rs'] = generateTokenManagerTests();
+  generatedCode['tests/request.rs'] = generateRequestHandlerTests();
+
+  // Example usage
+  generatedCode['examples/basic.rs'] = generateExampleUsage(httpData);
+
+  // Environment configuration
+  generatedCode['.env.example'] = generateEnvExample(securitySchemes);
+
+  return generatedCode;
+}
+
+/**
+ * Generate Cargo.toml
+ */
+function generateCargoToml(title) {
+  const packageName = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'api';
+
+  return `[package]
+name = "${packageName}-integration"
+version = "1.0.0"
+edition = "2021"
+description = ${toRustString(`Auto-generated integration client for ${title}`)}
+
+[lib]
+name = "${CRATE_NAME}"
+
+[dependencies]
+base64 = "0.22"
+reqwest = { version = "0.12", default-features = false, features = ["json", "rustls-tls"] }
+serde = { version = "1", features = ["derive"] }
+serde_json = "1"
+thiserror = "2"
+tokio = { version = "1", features = ["sync", "time"] }
+url = "2"
+
+[dev-dependencies]
+tokio = { version = "1", features = ["macros", "rt-multi-thread", "net", "io-util"] }
+`;
+}
+
+/**
+ * Generate the crate root
+ */
+function generateLib(title) {
+  return `//! ${title} API client
+//!
+//! Auto-generated integration client for ${title}: an async reqwest client
+//! with serde models, security scheme handling, OAuth 2.0 token management
+//! and retries.
+
+pub mod auth;
+pub mod client;
+pub mod config;
+pub mod error;
+pub mod models;
+pub mod request;
+pub mod token;
+
+pub use client::ApiClient;
+pub use config::Config;
+pub use error::ApiError;
+`;
+}
+
+/**
+ * Generate the API client
+ */
+function generateApiClient(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoints = endpoints.filter(endpoint => endpoint.graphql);
+
+  const constants = endpoints.map(endpoint =>
+    toRustSecurityConstant(endpoint.operationId, getEndpointSecurity(endpoint, parsedData)));
+  const documents = graphqlEndpoints.map(endpoint =>
+    `const ${toRustConstName(endpoint.operationId)}_DOCUMENT: &str = ${toRustRawString(endpoint.graphql.document)};`);
+  const methods = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlMethod(endpoint, schemas)
+    : generateEndpointMethod(endpoint, schemas));
+  const source = methods.join('\n');
+
+  // Helpers the methods call, left out when unused
+  const helpers = [
+    (/\bread_body\(/.test(source) || graphqlEndpoints.length > 0) && `/// Read a JSON response body; an empty body reads as null
+async fn read_body<T: serde::de::DeserializeOwned>(response: Response) -> Result<T, ApiError> {
+    let body = response.text().await?;
+    Ok(serde_json::from_str(if body.trim().is_empty() { "null" } else { &body })?)
+}
+`,
+    /\bread_response\(/.test(source) && `/// Read the status and body of a response without a declared JSON body
+async fn read_response(response: Response) -> Result<crate::models::ApiResponse, ApiError> {
+    let status = response.status().as_u16();
+    let body = response.text().await?;
+    Ok(crate::models::ApiResponse { status, body })
+}
+`,
+    /\bpath_value\(/.test(source) && `/// Format a path parameter value the way it is written in JSON, without quotes
+fn path_value<T: serde::Serialize + ?Sized>(value: &T) -> Result<String, ApiError> {
+    Ok(match serde_json::to_value(value)? {
+        Value::String(text) => text,
+        other => other.to_string(),
+    })
+}
+`,
+    /\bappend_query\(/.test(source) && `/// Append a query parameter; null values are left out and lists repeat the parameter
+fn append_query<T: serde::Serialize + ?Sized>(url: &mut Url, name: &str, value: &T) -> Result<(), ApiError> {
+    let items = match serde_json::to_value(value)? {
+        Value::Null => return Ok(()),
+        Value::Array(items) => items,
+        item => vec![item],
+    };
+    let mut pairs = url.query_pairs_mut();
+    for item in items {
+        match item {
+            Value::String(text) => pairs.append_pair(name, &text),
+            other => pairs.append_pair(name, &other.to_string()),
+        };
+    }
+    Ok(())
+}
+`
+  ].filter(Boolean);
+
+  const imports = [
+    /\bHashMap</.test(source) ? 'use std::collections::HashMap;\n' : '',
+    'use std::sync::Arc;\n\n',
+    `use reqwest::{Method, Response};\n${graphqlEndpoints.length > 0 ? 'use serde::de::DeserializeOwned;\n' : ''}`,
+    'use serde_json::Value;\nuse url::Url;\n\n',
+    'use crate::auth::{AuthHandler, SecurityRequirement};\nuse crate::config::Config;\nuse crate::error::{check_response, ApiError};\n',
+    /\bmodels::/.test(source) ? 'use crate::models;\n' : '',
+    'use crate::request::RequestHandler;\n'
+  ];
+
+  return `//! ${title} API client
+
+${imports.join('')}
+const USER_AGENT: &str = ${toRustString(`${title.replace(/[^\x20-\x7e]/g, '')}-Integration/1.0.0`)};
+
+// Security requirements per operation; requirements are alternatives
+${constants.join('\n')}
+${documents.length > 0 ? `\n// GraphQL operation documents\n${documents.join('\n')}\n` : ''}
+/// ${title} API client
+///
+/// Requests are authenticated with each endpoint's security requirements and
+/// retried on transient failures. A 401 response invalidates any OAuth 2.0
+/// token that was used and the request is sent once more with a fresh token.
+#[derive(Clone)]
+pub struct ApiClient {
+    http: reqwest::Client,
+    config: Arc<Config>,
+    base_url: Url,
+    auth_handler: Arc<AuthHandler>,
+    request_handler: RequestHandler,
+}
+
+impl ApiClient {
+    /// Create a client with its own HTTP client
+    pub fn new(config: Config) -> Result<Self, ApiError> {
+        let http = reqwest::Client::builder()
+            .timeout(config.timeout)
+            .user_agent(USER_AGENT)
+            .build()?;
+        Self::with_http_client(http, config)
+    }
+
+    /// Create a client configured from the environment
+    pub fn from_env() -> Result<Self, ApiError> {
+        Self::new(Config::from_env())
+    }
+
+    /// Create a client that sends requests with an existing HTTP client
+    pub fn with_http_client(http: reqwest::Client, config: Config) -> Result<Self, ApiError> {
+        let config = Arc::new(config);
+        let auth_handler = Arc::new(AuthHandler::new(config.clone(), http.clone()));
+        Self::with_auth_handler(http, config, auth_handler)
+    }
+
+    /// Create a client that authenticates requests with the given handler
+    pub fn with_auth_handler(
+        http: reqwest::Client,
+        config: Arc<Config>,
+        auth_handler: Arc<AuthHandler>,
+    ) -> Result<Self, ApiError> {
+        let base_url = Url::parse(&config.base_url)?;
+        let request_handler = RequestHandler::new(config.max_retries);
+        Ok(Self { http, config, base_url, auth_handler, request_handler })
+    }
+
+    /// Client configuration
+    pub fn config(&self) -> &Config {
+        &self.config
+    }
+
+${methods.join('\n\n')}
+
+    /// Test connection to the API
+    pub async fn test_connection(&self) -> bool {
+        match self.http.get(self.base_url.clone()).send().await {
+            Ok(response) => response.status().is_success(),
+            Err(_) => false,
+        }
+    }
+
+    /// Build a URL from the base URL and path segments, percent-encoding each segment
+    pub fn endpoint_url(&self, segments: &[&str]) -> Result<Url, ApiError> {
+        let mut url = self.base_url.clone();
+        url.path_segments_mut()
+            .map_err(|_| url::ParseError::RelativeUrlWithCannotBeABaseBase)?
+            .pop_if_empty()
+            .extend(segments);
+        Ok(url)
+    }
+
+    /// Send an authenticated request and fail on error statuses
+    pub async fn send_request(
+        &self,
+        method: Method,
+        url: Url,
+        body: Option<Value>,
+        security: &[SecurityRequirement<'_>],
+    ) -> Result<Response, ApiError> {
+        let mut auth = self.auth_handler.authenticate(security).await?;
+        let mut retried = false;
+        loop {
+            let mut builder = self.http.request(method.clone(), url.clone()).query(&auth.query_params);
+            for (name, value) in &auth.headers {
+                builder = builder.header(name.as_str(), value.as_str());
+            }
+            if let Some(body) = &body {
+                builder = builder.json(body);
+            }
+
+            let response = self.request_handler.execute(&self.http, builder.build()?).await?;
+            if response.status() == reqwest::StatusCode::UNAUTHORIZED && !retried && self.auth_handler.invalidate_tokens(security) {
+                retried = true;
+                auth = self.auth_handler.authenticate(security).await?;
+                continue;
+            }
+            return check_response(response).await;
+        }
+    }
+${graphqlEndpoints.length > 0 ? generateExecuteGraphql() : ''}}
+
+${helpers.join('\n')}`;
+}
+
+/**
+ * Declaration of an operation's security requirements
+ */
+function toRustSecurityConstant(operationId, security) {
+  const requirements = security.map(requirement => {
+    const entries = Object.entries(requirement);
+    return `&[${entries.map(([scheme, scopes]) => `(${toRustString(scheme)}, &[${(scopes || []).map(toRustString).join(', ')}])`).join(', ')}]`;
+  });
+  return `const ${toRustConstName(operationId)}_SECURITY: &[SecurityRequirement<'static>] = &[${requirements.join(', ')}];`;
+}
+
+/**
+ * Generate endpoint method
+ */
+function generateEndpointMethod(endpoint, schemas) {
+  const { method, path, operationId, summary, description } = endpoint;
+  const responseSchema = getResponseSchema(endpoint);
+  const resultType = responseSchema ? toRustType(responseSchema, schemas) : 'models::ApiResponse';
+  const fields = getMethodFields(endpoint, schemas);
+  const ordered = orderMethodFields(fields);
+
+  const queryFields = fields.filter(field => field.in === 'query');
+  const bodyField = fields.find(field => field.in === 'body');
+  const segments = toRustPathSegments(path, fields.filter(field => field.in === 'path'));
+  let body = 'None';
+  if (bodyField) {
+    body = /^Option</.test(toRustParameterType(bodyField))
+      ? `${bodyField.local}.map(serde_json::to_value).transpose()?`
+      : `Some(serde_json::to_value(${bodyField.local})?)`;
+  }
+
+  const lines = [
+    `let ${queryFields.length > 0 ? 'mut ' : ''}url = self.endpoint_url(&[${segments.join(', ')}])?;`,
+    ...queryFields.map(field => `append_query(&mut url, ${toRustString(field.key)}, &${field.local})?;`),
+    `let response = self.send_request(${toRustHttpMethod(method)}, url, ${body}, ${toRustConstName(operationId)}_SECURITY).await?;`,
+    responseSchema ? 'read_body(response).await' : 'read_response(response).await'
+  ];
+
+  return `${toRustDoc(summary || description || `${method} ${path}`, '    ')}${description && summary ? `\n    ///\n${toRustDoc(description, '    ')}` : ''}
+    pub async fn ${toRustMethodName(operationId)}(${formatRustParameters(ordered.map(field => `${field.local}: ${toRustParameterType(field)}`))}) -> Result<${resultType}, ApiError> {
+${lines.map(line => `        ${line}`).join('\n')}
+    }`;
+}
+
+/**
+ * Path, query and body values an endpoint method takes, with the parameter each is read from
+ */
+function getMethodFields(endpoint, schemas) {
+  const { parameters, requestBody } = endpoint;
+  const bodySchema = getRequestSchema(endpoint);
+  const locals = new Set(['self', 'url', 'response']);
+  const toLocal = key => {
+    const base = toRustIdentifier(key);
+    let local = base;
+    for (let suffix = 2; locals.has(local); suffix++) {
+      local = `${base}_${suffix}`;
+    }
+    locals.add(local);
+    return local;
+  };
+
+  const fields = [
+    ...parameters.filter(p => p.in === 'path').map(p => ({ ...p, required: true })),
+    ...parameters.filter(p => p.in === 'query')
+  ].map(p => ({
+    key: p.name,
+    copy: Boolean(p.schema?.ref && schemas[p.schema.ref] && isRustEnum(schemas[p.schema.ref])),
+    in: p.in,
+    schema: p.schema || { type: p.type },
+    type: toRustType(p.schema || { type: p.type }, schemas),
+    required: Boolean(p.required),
+    description: p.description
+  }));
+  if (bodySchema) {
+    fields.push({ key: 'body', in: 'body', schema: bodySchema, type: toRustType(bodySchema, schemas), required: Boolean(requestBody.required), description: 'Request body' });
+  }
+  return fields.map(field => ({ ...field, local: toLocal(field.key) }));
+}
+
+/**
+ * Signature order of method fields: path values, then the other required
+ * values, then the optional ones
+ */
+function orderMethodFields(fields) {
+  const pathFields = fields.filter(field => field.in === 'path');
+  const others = [...fields.filter(field => field.in === 'body'), ...fields.filter(field => field.in === 'query')];
+  return [...pathFields, ...others.filter(field => field.required), ...others.filter(field => !field.required)];
+}
+
+/**
+ * Parameter type for a method field: copyable values are taken by value,
+ * everything else is borrowed
+ */
+function toRustParameterType(field) {
+  const type = unwrapOption(field.type);
+  let borrowed;
+  if (type === 'String') {
+    borrowed = '&str';
+  } else if (/^Vec<.*>$/.test(type)) {
+    borrowed = `&[${type.slice(4, -1)}]`;
+  } else if (isRustCopy(type, field)) {
+    borrowed = type;
+  } else {
+    borrowed = `&${type}`;
+  }
+  return field.required && type === field.type ? borrowed : `Option<${borrowed}>`;
+}
+
+/**
+ * Whether a type is passed by value
+ */
+function isRustCopy(type, field) {
+  return ['i64', 'f64', 'bool'].includes(type) || Boolean(field.copy);
+}
+
+/**
+ * Lay out a method's parameters: on one line when short, otherwise one per line
+ */
+function formatRustParameters(parameters) {
+  const all = ['&self', ...parameters];
+  const oneLine = all.join(', ');
+  if (oneLine.length <= 70) {
+    return oneLine;
+  }
+  return `\n${all.map(entry => `        ${entry},`).join('\n')}\n    `;
+}
+
+/**
+ * Path segment expressions for endpoint_url, with the path parameters formatted into them
+ */
+function toRustPathSegments(path, pathFields) {
+  const locals = Object.fromEntries(pathFields.map(field => [field.key, field.local]));
+
+  return path.split('/').filter(Boolean).map(segment => {
+    const parts = segment.split(/(\{[^}]+\})/).filter(Boolean);
+    const params = parts.map(part => /^\{([^}]+)\}$/.exec(part)).map(match => match && locals[match[1]]);
+    if (parts.length === 1 && params[0]) {
+      return `&path_value(&${params[0]})?`;
+    }
+    if (!params.some(Boolean)) {
+      return toRustString(segment);
+    }
+
+    const format = parts.map((part, index) => params[index] ? '{}' : part.replace(/\{/g, '{{').replace(/\}/g, '}}')).join('');
+    const args = params.filter(Boolean).map(local => `path_value(&${local})?`);
+    return `&format!(${toRustString(format)}, ${args.join(', ')})`;
+  });
+}
+
+/**
+ * reqwest::Method expression for an HTTP method
+ */
+function toRustHttpMethod(method) {
+  const upper = String(method).toUpperCase();
+  if (HTTP_METHODS.includes(upper)) {
+    return `Method::${upper}`;
+  }
+  return `Method::from_bytes(${toRustString(upper)}.as_bytes()).expect("valid HTTP method")`;
+}
+
+/**
+ * Generate a typed GraphQL operation method
+ */
+function generateGraphqlMethod(endpoint, schemas) {
+  const { operationId, path, summary, description, requestBody, responses, graphql } = endpoint;
+  const variablesType = requestBody?.schema ? toRustType({ ref: requestBody.schema.ref }, schemas) : 'Value';
+  const resultType = responses['200']?.schema ? toRustType({ ref: responses['200'].schema.ref }, schemas) : 'Value';
+  const variablesParameter = requestBody?.required ? `&${variablesType}` : `Option<&${variablesType}>`;
+  const constName = toRustConstName(operationId);
+  const segments = path.split('/').filter(Boolean).map(toRustString);
+  const args = [
+    `self.endpoint_url(&[${segments.join(', ')}])?`,
+    `${constName}_DOCUMENT`,
+    graphql.operationName ? `Some(${toRustString(graphql.operationName)})` : 'None',
+    'serde_json::to_value(variables)?',
+    `${constName}_SECURITY`
+  ];
+
+  return `${toRustDoc(summary || `${graphql.operationType} ${graphql.operationName || operationId}`, '    ')}${description ? `\n    ///\n${toRustDoc(description, '    ')}` : ''}
+    pub async fn ${toRustMethodName(operationId)}(&self, variables: ${variablesParameter}) -> Result<${resultType}, ApiError> {
+        self.execute_graphql(
+${args.map(arg => `            ${arg},`).join('\n')}
+        )
+        .await
+    }`;
+}
+
+/**
+ * Generate the GraphQL request helper
+ */
+function generateExecuteGraphql() {
+  return `
+    /// POST a GraphQL operation and read the data it returned
+    ///
+    /// Errors in the response, which servers report with a 200 status, fail
+    /// with [\`ApiError::GraphQL\`], keeping any partial data.
+    async fn execute_graphql<T: DeserializeOwned>(
+        &self,
+        url: Url,
+        document: &str,
+        operation_name: Option<&str>,
+        variables: Value,
+        security: &[SecurityRequirement<'_>],
+    ) -> Result<T, ApiError> {
+        let variables = if variables.is_null() { Value::Object(Default::default()) } else { variables };
+        let mut payload = serde_json::json!({ "query": document, "variables": variables });
+        if let Some(operation_name) = operation_name {
+            payload["operationName"] = Value::from(operation_name);
+        }
+
+        let response = self.send_request(Method::POST, url, Some(payload), security).await?;
+        let mut result: Value = read_body(response).await?;
+        let data = result.get_mut("data").map(Value::take).filter(|data| !data.is_null());
+
+        if let Some(Value::Array(errors)) = result.get_mut("errors").map(Value::take) {
+            if !errors.is_empty() {
+                let messages: Vec<String> = errors
+                    .iter()
+                    .map(|error| match error.get("message") {
+                        Some(Value::String(message)) => message.clone(),
+                        _ => error.to_string(),
+                    })
+                    .collect();
+                return Err(ApiError::GraphQL { message: messages.join("; "), errors, data });
+            }
+        }
+        Ok(serde_json::from_value(data.unwrap_or(Value::Null))?)
+    }
+`;
+}
+
+/**
+ * Unique Rust type names for the models, in registry order
+ */
+const typeNameCache = new WeakMap();
+function getRustTypeNames(schemas) {
+  if (!typeNameCache.has(schemas)) {
+    const used = new Set();
+    const names = {};
+    for (const name of Object.keys(schemas)) {
+      const camel = toCamelCase(name);
+      let base = camel.charAt(0).toUpperCase() + camel.slice(1);
+      if (RUST_RESERVED_TYPES.includes(base) || RUST_KEYWORDS.includes(base)) {
+        base = `${base}Model`;
+      }
+      let typeName = base;
+      for (let suffix = 2; used.has(typeName); suffix++) {
+        typeName = `${base}${suffix}`;
+      }
+      used.add(typeName);
+      names[name] = typeName;
+    }
+    typeNameCache.set(schemas, names);
+  }
+  return typeNameCache.get(schemas);
+}
+
+/**
+ * Rust type name for a registry model
+ */
+function toRustTypeName(name, schemas) {
+  return getRustTypeNames(schemas)[name];
+}
+
+/**
+ * Whether a model is declared as its own type rather than inlined
+ */
+function isRustModel(schema, schemas) {
+  return isRustStruct(schema) || isRustEnum(schema) || isRustUnion(schema, schemas);
+}
+
+/**
+ * Whether a model is an object with properties, declared as a struct
+ */
+function isRustStruct(schema) {
+  return schema.type === 'object' && !schema.oneOf && !schema.anyOf && Object.keys(schema.properties || {}).length > 0;
+}
+
+/**
+ * Whether a model is a string enumeration, declared as an enum
+ */
+function isRustEnum(schema) {
+  const values = (schema.enum || []).filter(value => value !== null);
+  return !schema.oneOf && !schema.anyOf && values.length > 0 && values.every(value => typeof value === 'string');
+}
+
+/**
+ * Whether a model is a oneOf/anyOf of distinct types, declared as an enum of variants
+ */
+function isRustUnion(schema, schemas) {
+  const variants = schema.oneOf || schema.anyOf;
+  return Boolean(variants) && getUnionTypes(variants, schemas, false).length > 1;
+}
+
+/**
+ * Distinct Rust types of union variants
+ */
+function getUnionTypes(variants, schemas, qualify, seen = []) {
+  return [...new Set(variants.map(variant => unwrapOption(toRustType(variant, schemas, qualify, seen))))];
+}
+
+/**
+ * Rust type for a schema node
+ * @param {Object} node - Normalized schema node
+ * @param {Object} schemas - Registry models by name
+ * @param {boolean} qualify - Prefix model names with their module, outside models.rs
+ * @param {Array<string>} seen - Aliases being expanded, to stop at cycles
+ */
+function toRustType(node, schemas, qualify = true, seen = []) {
+  if (!node) return 'Value';
+
+  let type;
+  if (node.ref) {
+    const schema = schemas[node.ref];
+    if (!schema || seen.includes(node.ref)) {
+      type = 'Value';
+    } else if (isRustModel(schema, schemas)) {
+      type = `${qualify ? 'models::' : ''}${toRustTypeName(node.ref, schemas)}`;
+      if (schema.nullable || (schema.enum || []).includes(null)) {
+        type = toRustOption(type);
+      }
+    } else {
+      // Other models are aliases, written out where they are used
+      type = toRustType(schema, schemas, qualify, [...seen, node.ref]);
+    }
+  } else if (node.oneOf || node.anyOf) {
+    const types = getUnionTypes(node.oneOf || node.anyOf, schemas, qualify, seen);
+    type = types.length === 1 ? types[0] : 'Value';
+  } else if (node.enum) {
+    const values = node.enum.filter(value => value !== null);
+    if (values.length > 0 && values.every(value => typeof value === 'string')) {
+      type = 'String';
+    } else if (values.length > 0 && values.every(value => Number.isInteger(value))) {
+      type = 'i64';
+    } else if (values.length > 0 && values.every(value => typeof value === 'number')) {
+      type = 'f64';
+    } else if (values.length > 0 && values.every(value => typeof value === 'boolean')) {
+      type = 'bool';
+    } else {
+      type = 'Value';
+    }
+    if (values.length < node.enum.length) {
+      type = toRustOption(type);
+    }
+  } else {
+    switch (node.type) {
+      case 'integer':
+        type = 'i64';
+        break;
+      case 'number':
+        type = 'f64';
+        break;
+      case 'boolean':
+        type = 'bool';
+        break;
+      case 'string':
+        type = 'String';
+        break;
+      case 'array':
+        type = `Vec<${toRustType(node.items || {}, schemas, qualify, seen)}>`;
+        break;
+      case 'object':
+        type = Object.keys(node.properties || {}).length === 0
+          ? `HashMap<String, ${typeof node.additionalProperties === 'object' ? toRustType(node.additionalProperties, schemas, qualify, seen) : 'Value'}>`
+          : 'Value';
+        break;
+      default:
+        type = 'Value';
+    }
+  }
+  return node.nullable ? toRustOption(type) : type;
+}
+
+/**
+ * Make a type optional
+ */
+function toRustOption(type) {
+  return /^Option<.*>$/.test(type) || type === 'Value' ? type : `Option<${type}>`;
+}
+
+/**
+ * Type inside an Option
+ */
+function unwrapOption(type) {
+  return /^Option<.*>$/.test(type) ? type.slice(7, -1) : type;
+}
+
+/**
+ * Struct and union models a model holds directly, not behind a Vec or map
+ */
+function getDirectModelRefs(node, schemas, seen = []) {
+  if (!node) return [];
+  if (node.ref) {
+    const schema = schemas[node.ref];
+    if (!schema || seen.includes(node.ref)) return [];
+    if (isRustStruct(schema) || isRustUnion(schema, schemas)) return [node.ref];
+    return isRustEnum(schema) ? [] : getDirectModelRefs(schema, schemas, [...seen, node.ref]);
+  }
+  const variants = node.oneOf || node.anyOf;
+  return variants ? variants.flatMap(variant => getDirectModelRefs(variant, schemas, seen)) : [];
+}
+
+/**
+ * Whether a model holds another directly, so that holding it back needs a Box
+ */
+function reachesModel(from, target, schemas, visited = new Set()) {
+  if (from === target) return true;
+  if (visited.has(from)) return false;
+  visited.add(from);
+
+  const schema = schemas[from];
+  const children = isRustStruct(schema)
+    ? Object.values(schema.properties).flatMap(prop => getDirectModelRefs(prop, schemas))
+    : (schema.oneOf || schema.anyOf || []).flatMap(variant => getDirectModelRefs(variant, schemas));
+  return children.some(child => reachesModel(child, target, schemas, visited));
+}
+
+/**
+ * Box a field type that leads back to the model holding it
+ */
+function toRustBoxed(type, node, owner, schemas) {
+  const refs = getDirectModelRefs(node, schemas);
+  if (!refs.some(ref => reachesModel(ref, owner, schemas))) {
+    return type;
+  }
+  return /^Option<.*>$/.test(type) ? `Option<Box<${unwrapOption(type)}>>` : `Box<${type}>`;
+}
+
+/**
+ * Generate models.rs with a declaration per model
+ */
+function generateModels(schemas) {
+  const declarations = Object.keys(schemas)
+    .filter(name => isRustModel(schemas[name], schemas))
+    .map(name => {
+      const schema = schemas[name];
+      if (isRustStruct(schema)) return generateStructModel(name, schemas);
+      if (isRustEnum(schema)) return generateEnumModel(name, schemas);
+      return generateUnionModel(name, schemas);
+    });
+  const source = declarations.join('\n');
+
+  const imports = [
+    /\bHashMap</.test(source) ? 'use std::collections::HashMap;\n\n' : '',
+    `use serde::{${/\bDeserializer\b/.test(source) ? 'Deserialize, Deserializer, Serialize' : 'Deserialize, Serialize'}};\n`,
+    /\bValue\b/.test(source) ? 'use serde_json::Value;\n' : ''
+  ];
+
+  return `//! Request and response models
+
+${imports.join('')}
+/// Response of an operation that declares no JSON body
+#[derive(Debug, Clone, PartialEq, Eq, Serialize, Deserialize)]
+pub struct ApiResponse {
+    /// HTTP status code
+    pub status: u16,
+    /// Response body as text
+    pub body: String,
+}
+${declarations.map(declaration => `\n${declaration}`).join('')}`;
+}
+
+/**
+ * Generate a struct for an object model
+ */
+function generateStructModel(name, schemas) {
+  const schema = schemas[name];
+  const typeName = toRustTypeName(name, schemas);
+  const required = schema.required || [];
+  const usedNames = new Set(['additional_properties']);
+
+  const fields = Object.entries(schema.properties).map(([propName, propSchema]) => {
+    const base = toRustIdentifier(propName);
+    let fieldName = base;
+    for (let suffix = 2; usedNames.has(fieldName); suffix++) {
+      fieldName = `${base}_${suffix}`;
+    }
+    usedNames.add(fieldName);
+
+    const isRequired = required.includes(propName);
+    const type = toRustBoxed(isRequired ? toRustType(propSchema, schemas, false) : toRustOption(toRustType(propSchema, schemas, false)), propSchema, name, schemas);
+    const attributes = [];
+    if (fieldName !== propName) {
+      attributes.push(`rename = ${toRustString(propName)}`);
+    }
+    if (!isRequired) {
+      // Untyped values stay a bare Value, whose null stands in for None
+      attributes.push('default', `skip_serializing_if = "${type === 'Value' ? 'Value::is_null' : 'Option::is_none'}"`);
+    }
+    const docs = propSchema.description ? `${toRustDoc(propSchema.description, '    ')}\n` : '';
+    return `${docs}${attributes.length > 0 ? `    #[serde(${attributes.join(', ')})]\n` : ''}    pub ${fieldName}: ${type},`;
+  });
+  if (schema.additionalProperties) {
+    fields.push(`    /// Properties the model does not declare
+    #[serde(flatten)]
+    pub additional_properties: HashMap<String, Value>,`);
+  }
+
+  return `${toRustDoc(schema.description || `${name} model`, '')}
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct ${typeName} {
+${fields.join('\n')}
+}
+`;
+}
+
+/**
+ * Enum variants for the values of a string enumeration
+ */
+function getEnumVariants(schema) {
+  const usedNames = new Set();
+  return schema.enum.filter(value => value !== null).map(value => {
+    const camel = toCamelCase(value);
+    const pascal = camel.charAt(0).toUpperCase() + camel.slice(1);
+    const base = RUST_KEYWORDS.includes(pascal) ? `${pascal}_` : pascal;
+    let variant = base;
+    for (let suffix = 2; usedNames.has(variant); suffix++) {
+      variant = `${base}${suffix}`;
+    }
+    usedNames.add(variant);
+    return { value, variant };
+  });
+}
+
+/**
+ * Generate an enum for a string enumeration
+ */
+function generateEnumModel(name, schemas) {
+  const schema = schemas[name];
+
+  return `${toRustDoc(schema.description || `${name} values`, '')}
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Hash, Serialize, Deserialize)]
+pub enum ${toRustTypeName(name, schemas)} {
+${getEnumVariants(schema).map(({ value, variant }) => `    #[serde(rename = ${toRustString(value)})]\n    ${variant},`).join('\n')}
+}
+`;
+}
+
+/**
+ * Generate an enum holding one of the variants of a oneOf/anyOf model, with a
+ * Deserialize implementation that picks the variant
+ */
+function generateUnionModel(name, schemas) {
+  const schema = schemas[name];
+  const typeName = toRustTypeName(name, schemas);
+  const variantNodes = schema.oneOf || schema.anyOf;
+  const usedNames = new Set();
+  const variants = [];
+  for (const node of variantNodes) {
+    const type = unwrapOption(toRustType(node, schemas, false, [name]));
+    if (variants.some(variant => variant.type === type)) continue;
+
+    const base = type.split(/[^A-Za-z0-9]+/).filter(Boolean).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('') || 'Value';
+    let variantName = base;
+    for (let suffix = 2; usedNames.has(variantName); suffix++) {
+      variantName = `${base}${suffix}`;
+    }
+    usedNames.add(variantName);
+    variants.push({ type, node, variantName, boxed: toRustBoxed(type, node, name, schemas) });
+  }
+
+  // A discriminator names the variant directly; otherwise variants are tried in order
+  const cases = [];
+  const propertyName = schema.discriminator?.propertyName;
+  if (propertyName) {
+    for (const node of variantNodes) {
+      const type = unwrapOption(toRustType(node, schemas, false, [name]));
+      const variant = variants.find(entry => entry.type === type);
+      for (const value of getDiscriminatorValues(schema, node) || []) {
+        if (!cases.some(entry => entry.value === value)) {
+          cases.push({ value, variant });
+        }
+      }
+    }
+  }
+  const dispatch = cases.length > 0 ? `        match value.get(${toRustString(propertyName)}).and_then(Value::as_str) {
+${cases.map(({ value, variant }) => `            Some(${toRustString(String(value))}) => {
+                return serde_json::from_value(value).map(${typeName}::${variant.variantName}).map_err(serde::de::Error::custom);
+            }`).join('\n')}
+            _ => {}
+        }
+` : '';
+
+  return `${toRustDoc(schema.description || `${name}: one of ${variants.map(variant => variant.type).join(', ')}`, '')}
+#[derive(Debug, Clone, PartialEq, Serialize)]
+#[serde(untagged)]
+pub enum ${typeName} {
+${variants.map(({ variantName, boxed }) => `    ${variantName}(${boxed}),`).join('\n')}
+}
+
+impl<'de> Deserialize<'de> for ${typeName} {
+    fn deserialize<D: Deserializer<'de>>(deserializer: D) -> Result<Self, D::Error> {
+        let value = Value::deserialize(deserializer)?;
+${dispatch}${variants.map(({ variantName }) => `        if let Ok(variant) = serde_json::from_value(value.clone()) {
+            return Ok(${typeName}::${variantName}(variant));
+        }`).join('\n')}
+        Err(serde::de::Error::custom("value does not match any ${typeName} variant"))
+    }
+}
+`;
+}
+
+/**
+ * Generate authentication handler
+ */
+function generateAuthHandler(securitySchemes) {
+  const schemes = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const flows = scheme.type === 'oauth2' ? Object.entries(getTokenFlows(scheme)) : [];
+    return `    (
+        ${toRustString(name)},
+        SecurityScheme {
+            scheme_type: ${toRustString(scheme.type)},
+            name: ${scheme.name ? `Some(${toRustString(scheme.name)})` : 'None'},
+            location: ${toRustString(scheme.in || 'header')},
+            env_var: ${toRustString(toCredentialEnvName(name))},
+            flows: &[${flows.map(([flowName, flow]) => `
+                (${toRustString(flowName)}, OAuthFlow { token_url: ${toRustString(flow.tokenUrl)}, refresh_url: ${flow.refreshUrl ? `Some(${toRustString(flow.refreshUrl)})` : 'None'} }),`).join('')}${flows.length > 0 ? '\n            ' : ''}],
+        },
+    ),`;
+  });
+
+  return `//! Authentication handler
+//!
+//! Applies the security schemes required by each endpoint.
+
+use std::collections::HashMap;
+use std::sync::{Arc, Mutex};
+
+use base64::engine::general_purpose::STANDARD;
+use base64::Engine;
+
+use crate::config::Config;
+use crate::error::ApiError;
+use crate::token::{OAuthFlow, OAuthSettings, TokenManager};
+
+/// Security requirement: scheme names with the scopes each needs
+pub type SecurityRequirement<'a> = &'a [(&'a str, &'a [&'a str])];
+
+/// Security scheme declared by the API
+#[derive(Debug, Clone, Copy)]
+pub struct SecurityScheme {
+    /// apiKey, bearer, basic or oauth2
+    pub scheme_type: &'static str,
+    /// Header, query parameter or cookie name of an API key
+    pub name: Option<&'static str>,
+    /// Where an API key is sent: header, query or cookie
+    pub location: &'static str,
+    /// Environment variable holding the scheme's credential
+    pub env_var: &'static str,
+    /// OAuth 2.0 flows that can obtain tokens
+    pub flows: &'static [(&'static str, OAuthFlow)],
+}
+
+/// Security schemes declared by the API
+pub static SECURITY_SCHEMES: &[(&str, SecurityScheme)] = &[${schemes.length > 0 ? `\n${schemes.join('\n')}\n` : ''}];
+
+/// Headers and query parameters that authenticate a request
+#[derive(Debug, Clone, Default, PartialEq, Eq)]
+pub struct AuthResult {
+    /// Headers to send
+    pub headers: HashMap<String, String>,
+    /// Query parameters to send
+    pub query_params: HashMap<String, String>,
+}
+
+/// Authentication handler
+pub struct AuthHandler {
+    config: Arc<Config>,
+    http: reqwest::Client,
+    schemes: &'static [(&'static str, SecurityScheme)],
+    token_managers: Mutex<HashMap<String, Arc<TokenManager>>>,
+}
+
+impl AuthHandler {
+    /// Create the authentication handler for the API's security schemes
+    pub fn new(config: Arc<Config>, http: reqwest::Client) -> Self {
+        Self::with_schemes(config, http, SECURITY_SCHEMES)
+    }
+
+    /// Create the authentication handler for other security schemes
+    pub fn with_schemes(
+        config: Arc<Config>,
+        http: reqwest::Client,
+        schemes: &'static [(&'static str, SecurityScheme)],
+    ) -> Self {
+        Self { config, http, schemes, token_managers: Mutex::new(HashMap::new()) }
+    }
+
+    /// Resolve authentication for a request
+    ///
+    /// Requirements are alternatives: the first one whose credentials are all
+    /// configured is applied. An empty requirement makes authentication optional.
+    pub async fn authenticate(&self, security: &[SecurityRequirement<'_>]) -> Result<AuthResult, ApiError> {
+        let mut auth = AuthResult::default();
+        let Some(requirement) = self.resolve_requirement(security)? else {
+            return Ok(auth);
+        };
+
+        for (scheme_name, scopes) in requirement.iter() {
+            let Some(scheme) = self.scheme(scheme_name) else {
+                continue;
+            };
+            let credential = match self.credential(scheme_name) {
+                Some(credential) => credential,
+                None if scheme.scheme_type == "oauth2" => self.token_manager(scheme_name).get_token(scopes).await?,
+                None => String::new(),
+            };
+            Self::apply_scheme(scheme_name, scheme, &credential, &mut auth);
+        }
+        Ok(auth)
+    }
+
+    /// Drop the cached OAuth 2.0 tokens used for a request, e.g. after a 401 response
+    ///
+    /// Returns true if a managed token was invalidated and the request can be retried.
+    pub fn invalidate_tokens(&self, security: &[SecurityRequirement<'_>]) -> bool {
+        let Some(requirement) = self.select_requirement(security) else {
+            return false;
+        };
+
+        let mut invalidated = false;
+        for (scheme_name, scopes) in requirement.iter() {
+            if self.uses_token_manager(scheme_name) {
+                self.token_manager(scheme_name).invalidate(scopes);
+                invalidated = true;
+            }
+        }
+        invalidated
+    }
+
+    /// Pick the first non-empty requirement whose schemes are all configured
+    pub fn select_requirement<'a>(&self, security: &[SecurityRequirement<'a>]) -> Option<SecurityRequirement<'a>> {
+        security
+            .iter()
+            .copied()
+            .find(|requirement| !requirement.is_empty() && requirement.iter().all(|(name, _)| self.is_configured(name)))
+    }
+
+    /// Check whether a scheme has a credential or can obtain one
+    pub fn is_configured(&self, scheme_name: &str) -> bool {
+        self.credential(scheme_name).is_some() || self.uses_token_manager(scheme_name)
+    }
+
+    /// Check whether a scheme's token is obtained from the token endpoint rather than configured
+    pub fn uses_token_manager(&self, scheme_name: &str) -> bool {
+        matches!(self.scheme(scheme_name), Some(scheme) if scheme.scheme_type == "oauth2")
+            && self.credential(scheme_name).is_none()
+            && self.token_manager(scheme_name).can_acquire_token()
+    }
+
+    /// Get the token manager of an OAuth 2.0 scheme, creating it on first use
+    pub fn token_manager(&self, scheme_name: &str) -> Arc<TokenManager> {
+        let mut managers = self.token_managers.lock().unwrap();
+        managers
+            .entry(scheme_name.to_string())
+            .or_insert_with(|| {
+                let scheme = self.scheme(scheme_name);
+                let mut settings = scheme.map(|scheme| OAuthSettings::from_env(scheme.env_var)).unwrap_or_default();
+                if let Some(configured) = self.config.oauth2.get(scheme_name) {
+                    settings = settings.merged_with(configured);
+                }
+                Arc::new(TokenManager::new(
+                    scheme.map(|scheme| scheme.flows).unwrap_or(&[]),
+                    settings,
+                    self.http.clone(),
+                    self.config.base_url.clone(),
+                    self.config.timeout,
+                ))
+            })
+            .clone()
+    }
+
+    /// Look up the configured credential for a security scheme
+    ///
+    /// Per-scheme credentials take precedence over the generic settings.
+    pub fn credential(&self, scheme_name: &str) -> Option<String> {
+        let scheme = self.scheme(scheme_name)?;
+        let explicit = self
+            .config
+            .credentials
+            .get(scheme_name)
+            .cloned()
+            .filter(|value| !value.is_empty())
+            .or_else(|| std::env::var(scheme.env_var).ok().filter(|value| !value.is_empty()));
+        if explicit.is_some() {
+            return explicit;
+        }
+
+        let config = &self.config;
+        let fallback = match scheme.scheme_type {
+            "bearer" => config.bearer_token.clone().or_else(|| config.api_key.clone()),
+            "apiKey" => config.api_key.clone(),
+            "basic" => match (&config.username, &config.password) {
+                (Some(username), Some(password)) => Some(format!("{username}:{password}")),
+                _ => None,
+            },
+            "oauth2" => config.access_token.clone(),
+            _ => None,
+        };
+        fallback.filter(|value| !value.is_empty())
+    }
+
+    fn scheme(&self, scheme_name: &str) -> Option<&'static SecurityScheme> {
+        self.schemes.iter().find(|(name, _)| *name == scheme_name).map(|(_, scheme)| scheme)
+    }
+
+    fn resolve_requirement<'a>(&self, security: &[SecurityRequirement<'a>]) -> Result<Option<SecurityRequirement<'a>>, ApiError> {
+        if security.is_empty() {
+            return Ok(None);
+        }
+
+        let requirement = self.select_requirement(security);
+        if requirement.is_none() && security.iter().all(|requirement| !requirement.is_empty()) {
+            let options: Vec<String> = security
+                .iter()
+                .map(|requirement| requirement.iter().map(|(name, _)| *name).collect::<Vec<_>>().join(" + "))
+                .collect();
+            return Err(ApiError::MissingCredentials(format!(
+                "Missing credentials: this endpoint requires {}",
+                options.join(" or ")
+            )));
+        }
+        Ok(requirement)
+    }
+
+    /// Apply a single security scheme to the outgoing request
+    fn apply_scheme(scheme_name: &str, scheme: &SecurityScheme, credential: &str, auth: &mut AuthResult) {
+        match scheme.scheme_type {
+            "bearer" | "oauth2" => {
+                auth.headers.insert("Authorization".to_string(), format!("Bearer {credential}"));
+            }
+            "basic" => {
+                auth.headers.insert("Authorization".to_string(), format!("Basic {}", STANDARD.encode(credential)));
+            }
+            "apiKey" => {
+                let key_name = scheme.name.unwrap_or(scheme_name).to_string();
+                match scheme.location {
+                    "query" => {
+                        auth.query_params.insert(key_name, credential.to_string());
+                    }
+                    "cookie" => {
+                        let cookie = format!("{key_name}={credential}");
+                        auth.headers
+                            .entry("Cookie".to_string())
+                            .and_modify(|cookies| *cookies = format!("{cookies}; {cookie}"))
+                            .or_insert(cookie);
+                    }
+                    _ => {
+                        auth.headers.insert(key_name, credential.to_string());
+                    }
+                }
+            }
+            _ => {}
+        }
+    }
+}
+`;
+}
+
+/**
+ * Generate the OAuth 2.0 token manager
+ */
+function generateTokenManager() {
+  return `//! OAuth 2.0 token manager
+//!
+//! Fetches access tokens from the token endpoint, caches them until they
+//! expire, refreshes them with the refresh token and shares a single token
+//! request between concurrent callers.
+
+use std::collections::HashMap;
+use std::sync::{Arc, Mutex};
+use std::time::{Duration, Instant};
+
+use serde::Deserialize;
+use serde_json::Value;
+
+use crate::error::{check_response, ApiError};
+
+// OAuth 2.0 flows that can obtain tokens without user interaction, in order of preference
+const TOKEN_FLOWS: [&str; 3] = ["authorizationCode", "password", "clientCredentials"];
+
+/// Source of the current time, replaceable in tests
+pub type Clock = Arc<dyn Fn() -> Instant + Send + Sync>;
+
+/// Token endpoints of an OAuth 2.0 flow
+#[derive(Debug, Clone, Copy)]
+pub struct OAuthFlow {
+    /// Token endpoint, absolute or relative to the API base URL
+    pub token_url: &'static str,
+    /// Refresh endpoint, when it differs from the token endpoint
+    pub refresh_url: Option<&'static str>,
+}
+
+/// OAuth 2.0 client settings of a security scheme
+#[derive(Debug, Clone, Default, PartialEq, Eq)]
+pub struct OAuthSettings {
+    /// Flow to use instead of the first one the settings allow
+    pub flow: Option<String>,
+    /// OAuth 2.0 client ID
+    pub client_id: Option<String>,
+    /// OAuth 2.0 client secret
+    pub client_secret: Option<String>,
+    /// "body" sends the client credentials in the form body instead of a Basic header
+    pub client_authentication: Option<String>,
+    /// Resource owner username
+    pub username: Option<String>,
+    /// Resource owner password
+    pub password: Option<String>,
+    /// Refresh token
+    pub refresh_token: Option<String>,
+    /// One-time authorization code
+    pub authorization_code: Option<String>,
+    /// Redirect URI used to obtain the code
+    pub redirect_uri: Option<String>,
+    /// Token endpoint override
+    pub token_url: Option<String>,
+    /// Refresh endpoint override
+    pub refresh_url: Option<String>,
+}
+
+impl OAuthSettings {
+    /// Read the settings from the environment variables of a scheme, e.g. API_CREDENTIAL_OAUTH_CLIENT_ID
+    pub fn from_env(env_var: &str) -> Self {
+        let read = |suffix: &str| std::env::var(format!("{env_var}_{suffix}")).ok().filter(|value| !value.is_empty());
+        Self {
+            flow: None,
+            client_id: read("CLIENT_ID"),
+            client_secret: read("CLIENT_SECRET"),
+            client_authentication: None,
+            username: read("USERNAME"),
+            password: read("PASSWORD"),
+            refresh_token: read("REFRESH_TOKEN"),
+            authorization_code: read("AUTHORIZATION_CODE"),
+            redirect_uri: read("REDIRECT_URI"),
+            token_url: read("TOKEN_URL"),
+            refresh_url: None,
+        }
+    }
+
+    /// Combine these settings with overrides, which win where they are set
+    pub fn merged_with(&self, overrides: &OAuthSettings) -> Self {
+        let pick = |value: &Option<String>, fallback: &Option<String>| value.clone().or_else(|| fallback.clone());
+        Self {
+            flow: pick(&overrides.flow, &self.flow),
+            client_id: pick(&overrides.client_id, &self.client_id),
+            client_secret: pick(&overrides.client_secret, &self.client_secret),
+            client_authentication: pick(&overrides.client_authentication, &self.client_authentication),
+            username: pick(&overrides.username, &self.username),
+            password: pick(&overrides.password, &self.password),
+            refresh_token: pick(&overrides.refresh_token, &self.refresh_token),
+            authorization_code: pick(&overrides.authorization_code, &self.authorization_code),
+            redirect_uri: pick(&overrides.redirect_uri, &self.redirect_uri),
+            token_url: pick(&overrides.token_url, &self.token_url),
+            refresh_url: pick(&overrides.refresh_url, &self.refresh_url),
+        }
+    }
+}
+
+#[derive(Debug, Clone)]
+struct TokenEntry {
+    access_token: Option<String>,
+    refresh_token: Option<String>,
+    expires_at: Option<Instant>,
+}
+
+#[derive(Debug, Default)]
+struct TokenState {
+    tokens: HashMap<String, TokenEntry>,
+    // Most recent refresh token, so a used authorization code can still be refreshed
+    refresh_token: Option<String>,
+    authorization_code_used: bool,
+}
+
+#[derive(Debug, Deserialize)]
+struct TokenResponse {
+    access_token: Option<String>,
+    refresh_token: Option<String>,
+    expires_in: Option<Value>,
+}
+
+/// OAuth 2.0 token manager
+pub struct TokenManager {
+    flows: &'static [(&'static str, OAuthFlow)],
+    settings: OAuthSettings,
+    http: reqwest::Client,
+    base_url: String,
+    timeout: Duration,
+    clock: Clock,
+    state: Mutex<TokenState>,
+    // Concurrent callers wait for the same token request
+    fetch_lock: tokio::sync::Mutex<()>,
+}
+
+impl TokenManager {
+    /// Create the token manager
+    pub fn new(
+        flows: &'static [(&'static str, OAuthFlow)],
+        settings: OAuthSettings,
+        http: reqwest::Client,
+        base_url: impl Into<String>,
+        timeout: Duration,
+    ) -> Self {
+        let state = TokenState { refresh_token: settings.refresh_token.clone().filter(|token| !token.is_empty()), ..TokenState::default() };
+        Self {
+            flows,
+            settings,
+            http,
+            base_url: base_url.into(),
+            timeout,
+            clock: Arc::new(Instant::now),
+            state: Mutex::new(state),
+            fetch_lock: tokio::sync::Mutex::new(()),
+        }
+    }
+
+    /// Use another clock to check token expiry against
+    pub fn with_clock(mut self, clock: Clock) -> Self {
+        self.clock = clock;
+        self
+    }
+
+    /// Name of the flow used to obtain tokens
+    pub fn flow(&self) -> Option<&str> {
+        if let Some(flow) = self.settings.flow.as_deref().filter(|flow| !flow.is_empty()) {
+            return Some(flow);
+        }
+
+        let available: Vec<&'static str> = TOKEN_FLOWS
+            .into_iter()
+            .filter(|name| self.flows.iter().any(|(flow, _)| flow == name))
+            .collect();
+        available
+            .iter()
+            .copied()
+            .find(|flow| self.has_grant_credentials(Some(*flow)))
+            .or_else(|| available.first().copied())
+            .or_else(|| self.settings.token_url.as_ref().map(|_| "clientCredentials"))
+    }
+
+    /// Token endpoint of the flow
+    pub fn token_url(&self) -> Option<&str> {
+        self.settings.token_url.as_deref().or_else(|| self.current_flow().map(|flow| flow.token_url))
+    }
+
+    /// Endpoint that refresh tokens are exchanged at
+    pub fn refresh_url(&self) -> Option<&str> {
+        self.settings
+            .refresh_url
+            .as_deref()
+            .or_else(|| self.current_flow().and_then(|flow| flow.refresh_url))
+            .or_else(|| self.token_url())
+    }
+
+    /// Check whether enough settings are configured to obtain a token
+    pub fn can_acquire_token(&self) -> bool {
+        let has_refresh_token = self.state.lock().unwrap().refresh_token.is_some();
+        self.token_url().is_some() && (has_refresh_token || self.has_grant_credentials(self.flow()))
+    }
+
+    /// Get a valid access token for the given scopes, fetching or refreshing it when needed
+    pub async fn get_token(&self, scopes: &[&str]) -> Result<String, ApiError> {
+        let key = cache_key(scopes);
+        if let Some(token) = self.cached(&key) {
+            return Ok(token);
+        }
+
+        let _guard = self.fetch_lock.lock().await;
+        if let Some(token) = self.cached(&key) {
+            return Ok(token);
+        }
+        self.fetch_token(&key, scopes).await
+    }
+
+    /// Discard the cached access token, keeping the refresh token for the next fetch
+    pub fn invalidate(&self, scopes: &[&str]) {
+        if let Some(entry) = self.state.lock().unwrap().tokens.get_mut(&cache_key(scopes)) {
+            entry.access_token = None;
+        }
+    }
+
+    /// Obtain a new token, preferring the refresh token over a new grant
+    async fn fetch_token(&self, key: &str, scopes: &[&str]) -> Result<String, ApiError> {
+        let refresh = {
+            let state = self.state.lock().unwrap();
+            state.tokens.get(key).and_then(|entry| entry.refresh_token.clone()).or_else(|| state.refresh_token.clone())
+        };
+        let grant = self.flow().filter(|flow| self.has_grant_credentials(Some(*flow))).map(str::to_string);
+
+        let mut token = None;
+        if let Some(refresh) = &refresh {
+            let params = vec![("grant_type", "refresh_token".to_string()), ("refresh_token", refresh.clone())];
+            match self.request_token(self.refresh_url(), params, scopes).await {
+                Ok(response) => token = Some(response),
+                // An expired or revoked refresh token falls back to a new grant when possible
+                Err(_) if grant.is_some() => {}
+                Err(error) => return Err(error),
+            }
+        }
+        let token = match token {
+            Some(token) => token,
+            None => {
+                let params = self.use_grant(grant.as_deref())?;
+                self.request_token(self.token_url(), params, scopes).await?
+            }
+        };
+
+        let access_token = token.access_token.unwrap_or_default();
+        let refresh_token = token.refresh_token.filter(|token| !token.is_empty());
+        let mut state = self.state.lock().unwrap();
+        if refresh_token.is_some() {
+            state.refresh_token = refresh_token.clone();
+        }
+        state.tokens.insert(
+            key.to_string(),
+            TokenEntry {
+                access_token: Some(access_token.clone()),
+                refresh_token: refresh_token.or(refresh),
+                expires_at: self.expiry(token.expires_in.as_ref()),
+            },
+        );
+        Ok(access_token)
+    }
+
+    fn cached(&self, key: &str) -> Option<String> {
+        let state = self.state.lock().unwrap();
+        let entry = state.tokens.get(key)?;
+        match entry.expires_at {
+            Some(expires_at) if (self.clock)() >= expires_at => None,
+            _ => entry.access_token.clone(),
+        }
+    }
+
+    fn current_flow(&self) -> Option<&OAuthFlow> {
+        let flow = self.flow()?;
+        self.flows.iter().find(|(name, _)| *name == flow).map(|(_, flow)| flow)
+    }
+
+    /// Check whether the grant for a flow can be performed with the configured settings
+    fn has_grant_credentials(&self, flow: Option<&str>) -> bool {
+        let settings = &self.settings;
+        let set = |value: &Option<String>| value.as_deref().is_some_and(|value| !value.is_empty());
+        match flow {
+            Some("clientCredentials") => set(&settings.client_id),
+            Some("password") => set(&settings.username) && set(&settings.password),
+            Some("authorizationCode") => {
+                set(&settings.authorization_code) && !self.state.lock().unwrap().authorization_code_used
+            }
+            _ => false,
+        }
+    }
+
+    /// Build the token request parameters for a flow
+    fn use_grant(&self, flow: Option<&str>) -> Result<Vec<(&'static str, String)>, ApiError> {
+        let settings = &self.settings;
+        match flow {
+            Some("clientCredentials") => Ok(vec![("grant_type", "client_credentials".to_string())]),
+            Some("password") => Ok(vec![
+                ("grant_type", "password".to_string()),
+                ("username", settings.username.clone().unwrap_or_default()),
+                ("password", settings.password.clone().unwrap_or_default()),
+            ]),
+            Some("authorizationCode") => {
+                // Authorization codes are single-use; later tokens come from the refresh token
+                self.state.lock().unwrap().authorization_code_used = true;
+                let mut params = vec![
+                    ("grant_type", "authorization_code".to_string()),
+                    ("code", settings.authorization_code.clone().unwrap_or_default()),
+                ];
+                if let Some(redirect_uri) = settings.redirect_uri.clone().filter(|uri| !uri.is_empty()) {
+                    params.push(("redirect_uri", redirect_uri));
+                }
+                Ok(params)
+            }
+            _ if self.flow() == Some("authorizationCode") => Err(ApiError::Token(
+                "authorization code flow needs a refresh token or an unused authorization code".to_string(),
+            )),
+            _ => Err(ApiError::Token(format!(
+                "flow {:?} cannot obtain tokens automatically; configure an access token instead",
+                self.flow().unwrap_or_default()
+            ))),
+        }
+    }
+
+    /// Send a token endpoint request
+    async fn request_token(
+        &self,
+        url: Option<&str>,
+        mut params: Vec<(&'static str, String)>,
+        scopes: &[&str],
+    ) -> Result<TokenResponse, ApiError> {
+        let url = url.ok_or_else(|| ApiError::Token("token URL is not configured".to_string()))?;
+        if !scopes.is_empty() {
+            params.push(("scope", scopes.join(" ")));
+        }
+
+        let settings = &self.settings;
+        let mut request = self.http.post(self.resolve_url(url)).timeout(self.timeout).header("Accept", "application/json");
+        match (&settings.client_id, &settings.client_secret) {
+            (Some(client_id), Some(client_secret))
+                if !client_secret.is_empty() && settings.client_authentication.as_deref() != Some("body") =>
+            {
+                request = request.basic_auth(client_id, Some(client_secret));
+            }
+            (Some(client_id), client_secret) => {
+                params.push(("client_id", client_id.clone()));
+                if let Some(client_secret) = client_secret.clone().filter(|secret| !secret.is_empty()) {
+                    params.push(("client_secret", client_secret));
+                }
+            }
+            _ => {}
+        }
+
+        let response = check_response(request.form(&params).send().await?).await?;
+        let token: TokenResponse = response.json().await?;
+        if token.access_token.as_deref().unwrap_or_default().is_empty() {
+            return Err(ApiError::Token("token endpoint response did not include an access_token".to_string()));
+        }
+        Ok(token)
+    }
+
+    fn resolve_url(&self, url: &str) -> String {
+        if self.base_url.is_empty() || url.contains("://") {
+            return url.to_string();
+        }
+        format!("{}/{}", self.base_url.trim_end_matches('/'), url.trim_start_matches('/'))
+    }
+
+    /// Compute when a token should be treated as expired, leaving a safety margin
+    fn expiry(&self, expires_in: Option<&Value>) -> Option<Instant> {
+        let seconds = match expires_in? {
+            Value::Number(number) => number.as_f64()?,
+            Value::String(text) => text.parse().ok()?,
+            _ => return None,
+        };
+        if seconds <= 0.0 {
+            return None;
+        }
+        Some((self.clock)() + Duration::from_secs_f64(seconds - f64::min(30.0, seconds / 2.0)))
+    }
+}
+
+fn cache_key(scopes: &[&str]) -> String {
+    let mut sorted = scopes.to_vec();
+    sorted.sort_unstable();
+    sorted.join(" ")
+}
+`;
+}
+
+/**
+ * Generate the retrying request handler
+ */
+function generateRequestHandler() {
+  return `//! Request handler
+//!
+//! Retries failed requests: network errors, 5xx responses and 429 responses
+//! are retried with exponential backoff.
+
+use std::time::Duration;
+
+use reqwest::{Request, Response, StatusCode};
+
+const MAX_DELAY: Duration = Duration::from_secs(10);
+
+/// Sends requests, retrying transient failures
+#[derive(Debug, Clone)]
+pub struct RequestHandler {
+    max_retries: u32,
+    base_delay: Duration,
+}
+
+impl RequestHandler {
+    /// Create a handler that makes up to max_retries attempts per request
+    pub fn new(max_retries: u32) -> Self {
+        Self { max_retries, base_delay: Duration::from_secs(1) }
+    }
+
+    /// Use another delay before the first retry; later retries double it
+    pub fn with_base_delay(mut self, base_delay: Duration) -> Self {
+        self.base_delay = base_delay;
+        self
+    }
+
+    /// Send a request, retrying until it succeeds or the attempts run out
+    pub async fn execute(&self, http: &reqwest::Client, request: Request) -> Result<Response, reqwest::Error> {
+        let max_attempts = self.max_retries.max(1);
+        let mut request = request;
+        let mut attempt = 1;
+        loop {
+            // Streaming bodies cannot be cloned, so those requests are sent once
+            let retry = if attempt < max_attempts { request.try_clone() } else { None };
+            let result = http.execute(request).await;
+            let Some(next) = retry else {
+                return result;
+            };
+            if let Ok(response) = &result {
+                if !Self::should_retry(response.status()) {
+                    return result;
+                }
+            }
+
+            tokio::time::sleep(self.delay(attempt)).await;
+            request = next;
+            attempt += 1;
+        }
+    }
+
+    /// Server errors and 429 (rate limit) are worth retrying; other client errors are not
+    pub fn should_retry(status: StatusCode) -> bool {
+        status.is_server_error() || status == StatusCode::TOO_MANY_REQUESTS
+    }
+
+    /// Delay before the next attempt: exponential backoff capped at 10 seconds
+    pub fn delay(&self, attempt: u32) -> Duration {
+        let factor = 2u32.saturating_pow(attempt.saturating_sub(1));
+        self.base_delay.saturating_mul(factor).min(MAX_DELAY)
+    }
+}
+`;
+}
+
+/**
+ * Generate error handler
+ */
+function generateErrorHandler(hasGraphql) {
+  return `//! Error handler
+//!
+//! Errors the client returns, and the check that turns error responses into them.
+
+use reqwest::Response;
+use thiserror::Error;
+${hasGraphql ? '\nuse serde_json::Value;\n' : ''}
+/// Errors returned by the API client
+#[derive(Debug, Error)]
+pub enum ApiError {
+    /// The API answered with an error status
+    #[error("HTTP {status}: {message}")]
+    Http {
+        /// HTTP status code
+        status: u16,
+        /// Reason phrase
+        message: String,
+        /// Response body, if any
+        body: Option<String>,
+    },
+
+    /// The request could not be sent or the response could not be read
+    #[error("request failed: {0}")]
+    Request(#[from] reqwest::Error),
+
+    /// A body could not be serialized or deserialized
+    #[error("invalid JSON: {0}")]
+    Json(#[from] serde_json::Error),
+
+    /// The base URL is not valid
+    #[error("invalid URL: {0}")]
+    Url(#[from] url::ParseError),
+
+    /// No security requirement of the endpoint can be satisfied
+    #[error("{0}")]
+    MissingCredentials(String),
+
+    /// An OAuth 2.0 token could not be obtained
+    #[error("OAuth 2.0 token request failed: {0}")]
+    Token(String),
+${hasGraphql ? `
+    /// The GraphQL response carried errors, which servers report with a 200 status
+    #[error("{message}")]
+    GraphQL {
+        /// The error messages, joined
+        message: String,
+        /// The response's errors array
+        errors: Vec<Value>,
+        /// Data returned alongside the errors, if any
+        data: Option<Value>,
+    },
+` : ''}}
+
+impl ApiError {
+    /// HTTP status code of the response, if the API answered
+    pub fn status(&self) -> Option<u16> {
+        match self {
+            Self::Http { status, .. } => Some(*status),
+            Self::Request(error) => error.status().map(|status| status.as_u16()),
+            _ => None,
+        }
+    }
+}
+
+/// Return the response if it has a success status, otherwise an [\`ApiError::Http\`]
+pub async fn check_response(response: Response) -> Result<Response, ApiError> {
+    let status = response.status();
+    if status.is_success() {
+        return Ok(response);
+    }
+
+    let message = status.canonical_reason().map(str::to_string).unwrap_or_else(|| format!("HTTP {}", status.as_u16()));
+    let body = response.text().await.ok().filter(|body| !body.is_empty());
+    Err(ApiError::Http { status: status.as_u16(), message, body })
+}
+`;
+}
+
+/**
+ * Generate configuration
+ */
+function generateConfig() {
+  return `//! Configuration manager
+//!
+//! Manages API client configuration with environment variable support.
+
+use std::collections::HashMap;
+use std::time::Duration;
+
+use crate::token::OAuthSettings;
+
+/// API client configuration
+#[derive(Debug, Clone)]
+pub struct Config {
+    /// API base URL
+    pub base_url: String,
+    /// Request timeout
+    pub timeout: Duration,
+    /// Attempts per request
+    pub max_retries: u32,
+    /// Credentials keyed by security scheme name
+    pub credentials: HashMap<String, String>,
+    /// OAuth 2.0 client settings keyed by security scheme name
+    pub oauth2: HashMap<String, OAuthSettings>,
+    /// API key
+    pub api_key: Option<String>,
+    /// Bearer token
+    pub bearer_token: Option<String>,
+    /// Basic auth username
+    pub username: Option<String>,
+    /// Basic auth password
+    pub password: Option<String>,
+    /// OAuth 2.0 access token
+    pub access_token: Option<String>,
+}
+
+impl Default for Config {
+    fn default() -> Self {
+        Self {
+            base_url: String::new(),
+            timeout: Duration::from_millis(30000),
+            max_retries: 3,
+            credentials: HashMap::new(),
+            oauth2: HashMap::new(),
+            api_key: None,
+            bearer_token: None,
+            username: None,
+            password: None,
+            access_token: None,
+        }
+    }
+}
+
+impl Config {
+    /// Read the configuration from API_* environment variables
+    pub fn from_env() -> Self {
+        let defaults = Self::default();
+        Self {
+            base_url: env("API_BASE_URL").unwrap_or(defaults.base_url),
+            timeout: env("API_TIMEOUT").and_then(|value| value.parse().ok()).map(Duration::from_millis).unwrap_or(defaults.timeout),
+            max_retries: env("API_MAX_RETRIES").and_then(|value| value.parse().ok()).unwrap_or(defaults.max_retries),
+            credentials: HashMap::new(),
+            oauth2: HashMap::new(),
+            api_key: env("API_KEY"),
+            bearer_token: env("API_BEARER_TOKEN"),
+            username: env("API_USERNAME"),
+            password: env("API_PASSWORD"),
+            access_token: env("API_ACCESS_TOKEN"),
+        }
+    }
+}
+
+fn env(name: &str) -> Option<String> {
+    std::env::var(name).ok().filter(|value| !value.is_empty())
+}
+`;
+}
+
+/**
+ * Generate the mock server the integration tests send requests to
+ */
+function generateMockServer() {
+  return `//! Local HTTP server that records requests and answers with queued responses
+
+#![allow(dead_code)]
+
+use std::collections::HashMap;
+use std::sync::{Arc, Mutex};
+use std::time::Duration;
+
+use tokio::io::{AsyncReadExt, AsyncWriteExt};
+use tokio::net::{TcpListener, TcpStream};
+
+/// A request as the server received it
+#[derive(Debug, Clone)]
+pub struct RecordedRequest {
+    pub method: String,
+    pub path: String,
+    pub query: Option<String>,
+    pub headers: HashMap<String, String>,
+    pub body: String,
+}
+
+impl RecordedRequest {
+    /// Header value, looked up case-insensitively
+    pub fn header(&self, name: &str) -> Option<&str> {
+        self.headers.get(&name.to_ascii_lowercase()).map(String::as_str)
+    }
+
+    /// Body parsed as JSON
+    pub fn json(&self) -> serde_json::Value {
+        serde_json::from_str(&self.body).expect("JSON body")
+    }
+
+    /// Body parsed as form parameters
+    pub fn form(&self) -> HashMap<String, String> {
+        url::form_urlencoded::parse(self.body.as_bytes()).into_owned().collect()
+    }
+}
+
+type Responder = Arc<dyn Fn(&RecordedRequest, usize) -> (u16, String) + Send + Sync>;
+
+#[derive(Default)]
+struct State {
+    requests: Vec<RecordedRequest>,
+    responders: Vec<Responder>,
+    delay: Duration,
+}
+
+/// Server answering with the queued responses in turn, repeating the last one
+pub struct MockServer {
+    url: String,
+    state: Arc<Mutex<State>>,
+}
+
+impl MockServer {
+    pub async fn start() -> Self {
+        let listener = TcpListener::bind("127.0.0.1:0").await.expect("bind mock server");
+        let url = format!("http://{}", listener.local_addr().unwrap());
+        let state = Arc::new(Mutex::new(State::default()));
+
+        let accepted = state.clone();
+        tokio::spawn(async move {
+            while let Ok((stream, _)) = listener.accept().await {
+                tokio::spawn(handle(stream, accepted.clone()));
+            }
+        });
+        Self { url, state }
+    }
+
+    /// Base URL of the server
+    pub fn url(&self) -> &str {
+        &self.url
+    }
+
+    /// Queue a JSON response
+    pub fn enqueue(&self, status: u16, body: &str) {
+        let body = body.to_string();
+        self.respond_with(move |_, _| (status, body.clone()));
+    }
+
+    /// Queue a response built from the request and its index
+    pub fn respond_with(&self, respond: impl Fn(&RecordedRequest, usize) -> (u16, String) + Send + Sync + 'static) {
+        self.state.lock().unwrap().responders.push(Arc::new(respond));
+    }
+
+    /// How long each request takes
+    pub fn set_delay(&self, delay: Duration) {
+        self.state.lock().unwrap().delay = delay;
+    }
+
+    /// Requests received so far
+    pub fn requests(&self) -> Vec<RecordedRequest> {
+        self.state.lock().unwrap().requests.clone()
+    }
+}
+
+async fn handle(mut stream: TcpStream, state: Arc<Mutex<State>>) {
+    let mut buffer = Vec::new();
+    loop {
+        let Some(request) = read_request(&mut stream, &mut buffer).await else {
+            return;
+        };
+
+        let (index, responder, delay) = {
+            let mut state = state.lock().unwrap();
+            state.requests.push(request.clone());
+            let index = state.requests.len() - 1;
+            let responder = state.responders.get(index.min(state.responders.len().saturating_sub(1))).cloned();
+            (index, responder, state.delay)
+        };
+        if !delay.is_zero() {
+            tokio::time::sleep(delay).await;
+        }
+
+        let (status, body) = responder.map(|respond| respond(&request, index)).unwrap_or((200, "{}".to_string()));
+        let reason = reqwest::StatusCode::from_u16(status).ok().and_then(|status| status.canonical_reason()).unwrap_or("");
+        let response = format!(
+            "HTTP/1.1 {status} {reason}\\r\\nContent-Type: application/json\\r\\nContent-Length: {}\\r\\n\\r\\n{body}",
+            body.len()
+        );
+        if stream.write_all(response.as_bytes()).await.is_err() {
+            return;
+        }
+    }
+}
+
+async fn read_request(stream: &mut TcpStream, buffer: &mut Vec<u8>) -> Option<RecordedRequest> {
+    let header_end = loop {
+        if let Some(position) = buffer.windows(4).position(|window| window == b"\\r\\n\\r\\n") {
+            break position + 4;
+        }
+        let mut chunk = [0u8; 4096];
+        let read = stream.read(&mut chunk).await.ok()?;
+        if read == 0 {
+            return None;
+        }
+        buffer.extend_from_slice(&chunk[..read]);
+    };
+
+    let head = String::from_utf8_lossy(&buffer[..header_end]).to_string();
+    let mut lines = head.split("\\r\\n");
+    let mut request_line = lines.next()?.split(' ');
+    let method = request_line.next()?.to_string();
+    let target = request_line.next()?.to_string();
+    let headers: HashMap<String, String> = lines
+        .filter_map(|line| line.split_once(':'))
+        .map(|(name, value)| (name.trim().to_ascii_lowercase(), value.trim().to_string()))
+        .collect();
+
+    let length: usize = headers.get("content-length").and_then(|value| value.parse().ok()).unwrap_or(0);
+    while buffer.len() < header_end + length {
+        let mut chunk = [0u8; 4096];
+        let read = stream.read(&mut chunk).await.ok()?;
+        if read == 0 {
+            return None;
+        }
+        buffer.extend_from_slice(&chunk[..read]);
+    }
+    let body = String::from_utf8_lossy(&buffer[header_end..header_end + length]).to_string();
+    buffer.drain(..header_end + length);
+
+    let (path, query) = match target.split_once('?') {
+        Some((path, query)) => (path.to_string(), Some(query.to_string())),
+        None => (target, None),
+    };
+    Some(RecordedRequest { method, path, query, headers, body })
+}
+`;
+}
+
+/**
+ * Generate API client tests
+ */
+function generateClientTests(parsedData, securitySchemes) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoint = endpoints.find(endpoint => endpoint.graphql);
+  const restEndpoint = endpoints.find(endpoint => !endpoint.graphql);
+  const testNames = new Set();
+  const toTestName = name => {
+    let testName = name;
+    for (let suffix = 2; testNames.has(testName); suffix++) {
+      testName = `${name}_${suffix}`;
+    }
+    testNames.add(testName);
+    return testName;
+  };
+
+  const tests = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlTest(endpoint, schemas, toTestName(`${toRustMethodName(endpoint.operationId)}_posts_the_${toSnakeCase(endpoint.graphql.operationType)}`))
+    : generateEndpointTest(endpoint, schemas, toTestName(`${toRustMethodName(endpoint.operationId)}_sends_${endpoint.method.toLowerCase()}_request`)));
+  if (restEndpoint) {
+    tests.push(generateErrorStatusTest(restEndpoint, schemas));
+  }
+  if (graphqlEndpoint) {
+    tests.push(generateGraphqlErrorTest(graphqlEndpoint, schemas));
+  }
+  const source = tests.join('\n');
+  const serdeImports = [/\bjson!/.test(source) && 'json', /\bValue\b/.test(source) && 'Value'].filter(Boolean);
+
+  // Every scheme gets a credential, so requests pass through the auth handler
+  const credentials = Object.entries(securitySchemes).map(([name, scheme]) =>
+    `(${toRustString(name)}.to_string(), ${toRustString(scheme.type === 'basic' ? 'user:secret' : 'test-credential')}.to_string())`);
+
+  return `//! Tests for the ${title} API client
+
+mod common;
+
+${credentials.length > 0 || /\bHashMap</.test(source) ? 'use std::collections::HashMap;\n' : ''}use std::sync::Arc;
+
+use ${CRATE_NAME}::auth::{AuthHandler, SecurityScheme};${/\bmodels::/.test(source) ? `\nuse ${CRATE_NAME}::models;` : ''}
+use ${CRATE_NAME}::token::OAuthFlow;
+use ${CRATE_NAME}::{${/\bApiError::/.test(source) ? 'ApiClient, ApiError, Config' : 'ApiClient, Config'}};
+use common::MockServer;
+use reqwest::Method;${serdeImports.length > 0 ? `\nuse serde_json::${serdeImports.length > 1 ? `{${serdeImports.join(', ')}}` : serdeImports[0]};` : ''}
+
+async fn setup() -> (MockServer, ApiClient) {
+    let server = MockServer::start().await;
+    let config = Config {
+        base_url: server.url().to_string(),${credentials.length > 0 ? `
+        credentials: HashMap::from([${credentials.join(', ')}]),` : ''}
+        api_key: Some("test-api-key".to_string()),
+        max_retries: 1,
+        ..Config::default()
+    };
+    let client = ApiClient::new(config).unwrap();
+    (server, client)
+}
+
+#[tokio::test]
+async fn configuration() {
+    let (server, client) = setup().await;
+    assert_eq!(client.config().base_url, server.url());
+    assert_eq!(client.config().api_key.as_deref(), Some("test-api-key"));
+}
+${tests.map(test => `\n${test}\n`).join('')}
+static TEST_SCHEMES: &[(&str, SecurityScheme)] = &[(
+    "oauth",
+    SecurityScheme {
+        scheme_type: "oauth2",
+        name: None,
+        location: "header",
+        env_var: "API_CREDENTIAL_TEST_OAUTH",
+        flows: &[("clientCredentials", OAuthFlow { token_url: "/oauth/token", refresh_url: None })],
+    },
+)];
+
+#[tokio::test]
+async fn send_request_retries_once_with_a_fresh_token_after_401() {
+    let server = MockServer::start().await;
+    server.respond_with(|request, index| match request.path.as_str() {
+        "/oauth/token" => (200, format!(r#"{{"access_token":"token-{index}","expires_in":3600}}"#)),
+        _ if index == 1 => (401, "{}".to_string()),
+        _ => (200, r#"{"success":true}"#.to_string()),
+    });
+    let mut config = Config { base_url: server.url().to_string(), max_retries: 1, ..Config::default() };
+    config.oauth2.insert("oauth".to_string(), ${CRATE_NAME}::token::OAuthSettings { client_id: Some("client".to_string()), ..Default::default() });
+    let config = Arc::new(config);
+    let http = reqwest::Client::new();
+    let auth_handler = Arc::new(AuthHandler::with_schemes(config.clone(), http.clone(), TEST_SCHEMES));
+    let client = ApiClient::with_auth_handler(http, config, auth_handler).unwrap();
+
+    let url = client.endpoint_url(&["resource"]).unwrap();
+    let response = client.send_request(Method::GET, url, None, &[&[("oauth", &[])]]).await.unwrap();
+
+    assert_eq!(response.status().as_u16(), 200);
+    let requests: Vec<_> = server.requests().into_iter().filter(|request| request.path == "/resource").collect();
+    assert_eq!(requests.len(), 2);
+    assert_eq!(requests[0].header("authorization"), Some("Bearer token-0"));
+    assert_eq!(requests[1].header("authorization"), Some("Bearer token-2"));
+}
+
+#[tokio::test]
+async fn send_request_does_not_retry_401_without_managed_tokens() {
+    let (server, client) = setup().await;
+    server.enqueue(401, "{}");
+
+    let url = client.endpoint_url(&["resource"]).unwrap();
+    let error = client.send_request(Method::GET, url, None, &[]).await.unwrap_err();
+
+    assert_eq!(error.status(), Some(401));
+    assert_eq!(server.requests().len(), 1);
+}
+`;
+}
+
+/**
+ * Generate endpoint test
+ */
+function generateEndpointTest(endpoint, schemas, testName) {
+  const { method, path, operationId } = endpoint;
+  const responseSchema = getResponseSchema(endpoint);
+  const fields = orderMethodFields(getMethodFields(endpoint, schemas));
+
+  // Path parameters get recognizable values so the expected URL can be checked
+  const values = {};
+  for (const field of fields.filter(field => field.required)) {
+    values[field.key] = field.in === 'path' && field.type === 'String' ? `test-${field.key}` : getTypedExample(field.schema, schemas);
+  }
+  const expectedPath = endpoint.parameters
+    .filter(p => p.in === 'path')
+    .reduce((url, p) => url.replace(`{${p.name}}`, () => `\u0000${formatPathValue(values[p.name], fields.find(field => field.key === p.name))}\u0001`), path)
+    .split('/')
+    .filter(Boolean)
+    .map(segment => toRustEscaped(segment.replace(/[\u0000\u0001]/g, '')))
+    .join('/');
+
+  const response = responseSchema ? getTypedExample(responseSchema, schemas) : { success: true };
+  const assertion = responseSchema
+    ? `assert_eq!(result, serde_json::from_str::<${toRustType(responseSchema, schemas)}>(RESPONSE).unwrap());`
+    : 'assert_eq!(result.status, 200);';
+
+  return `#[tokio::test]
+async fn ${testName}() {
+    const RESPONSE: &str = ${toRustRawString(JSON.stringify(response))};
+    let (server, client) = setup().await;
+    server.enqueue(200, RESPONSE);
+
+    let result = client.${toRustMethodName(operationId)}(${toRustArguments(fields, values, schemas)}).await.unwrap();
+
+    let requests = server.requests();
+    assert_eq!(requests.len(), 1);
+    assert_eq!(requests[0].method, ${toRustString(method.toUpperCase())});
+    assert_eq!(requests[0].path, ${toRustString(`/${expectedPath}`)});
+    ${assertion}
+}`;
+}
+
+/**
+ * Generate the test for error statuses
+ */
+function generateErrorStatusTest(endpoint, schemas) {
+  const fields = orderMethodFields(getMethodFields(endpoint, schemas));
+  const values = {};
+  for (const field of fields.filter(field => field.required)) {
+    values[field.key] = getTypedExample(field.schema, schemas);
+  }
+
+  return `#[tokio::test]
+async fn returns_http_errors_for_error_statuses() {
+    let (server, client) = setup().await;
+    server.enqueue(404, r#"{"error":"Not found"}"#);
+
+    let error = client.${toRustMethodName(endpoint.operationId)}(${toRustArguments(fields, values, schemas)}).await.unwrap_err();
+
+    assert_eq!(error.status(), Some(404));
+    match error {
+        ApiError::Http { body, .. } => assert_eq!(body.as_deref(), Some(r#"{"error":"Not found"}"#)),
+        other => panic!("unexpected error: {other}"),
+    }
+}`;
+}
+
+/**
+ * Generate a GraphQL operation test
+ */
+function generateGraphqlTest(endpoint, schemas, testName) {
+  const { operationId, path, graphql, responses } = endpoint;
+  const resultSchema = responses['200']?.schema ? { ref: responses['200'].schema.ref } : null;
+  const data = resultSchema ? getTypedExample(resultSchema, schemas) : { success: true };
+
+  return `#[tokio::test]
+async fn ${testName}() {
+    const DATA: &str = ${toRustRawString(JSON.stringify(data))};
+    let (server, client) = setup().await;
+    server.enqueue(200, &format!(r#"{{"data":{DATA}}}"#));
+
+    let result = client.${toRustMethodName(operationId)}(${generateExampleVariables(endpoint, schemas)}).await.unwrap();
+
+    let requests = server.requests();
+    assert_eq!(requests.len(), 1);
+    assert_eq!(requests[0].method, "POST");
+    assert_eq!(requests[0].path, ${toRustString(`/${path.split('/').filter(Boolean).map(toRustEscaped).join('/')}`)});
+    assert!(requests[0].json()["query"].as_str().unwrap().contains(${toRustString(graphql.operationType)}));
+    assert_eq!(result, serde_json::from_str::<${resultSchema ? toRustType(resultSchema, schemas) : 'Value'}>(DATA).unwrap());
+}`;
+}
+
+/**
+ * Generate the test for GraphQL errors reported in a 200 response
+ */
+function generateGraphqlErrorTest(endpoint, schemas) {
+  return `#[tokio::test]
+async fn returns_graphql_errors_reported_with_200() {
+    let (server, client) = setup().await;
+    server.enqueue(200, r#"{"data":{"partial":true},"errors":[{"message":"Not authorized"}]}"#);
+
+    let error = client.${toRustMethodName(endpoint.operationId)}(${generateExampleVariables(endpoint, schemas)}).await.unwrap_err();
+
+    match error {
+        ApiError::GraphQL { message, data, .. } => {
+            assert_eq!(message, "Not authorized");
+            assert_eq!(data, Some(json!({ "partial": true })));
+        }
+        other => panic!("unexpected error: {other}"),
+    }
+}`;
+}
+
+/**
+ * Example variables argument for a GraphQL operation
+ */
+function generateExampleVariables(endpoint, schemas) {
+  const variablesSchema = endpoint.requestBody?.schema;
+  if (!variablesSchema) {
+    return 'None';
+  }
+  const schema = { ref: variablesSchema.ref };
+  const example = `&${toRustExample(schema, getTypedExample(schema, schemas), schemas)}`;
+  return endpoint.requestBody.required ? example : `Some(${example})`;
+}
+
+/**
+ * Example arguments for a REST method: its required values in signature order, None for the optional ones
+ */
+function toRustArguments(fields, values, schemas) {
+  return fields.map(field => {
+    if (!field.required) {
+      return 'None';
+    }
+    const parameterType = toRustParameterType(field);
+    const optional = /^Option<.*>$/.test(parameterType);
+    const expression = toRustExample(field.schema, values[field.key], schemas);
+    const argument = /^Option<&|^&/.test(parameterType) && !expression.startsWith('"') ? `&${expression}` : expression;
+    return optional ? `Some(${argument})` : argument;
+  }).join(', ');
+}
+
+/**
+ * Expression building an example value of a schema: scalars and enum variants
+ * are literals, everything else is read from the JSON value
+ */
+function toRustExample(schema, value, schemas) {
+  const type = unwrapOption(toRustType(schema, schemas));
+  if (value === null || value === undefined) {
+    return 'None';
+  }
+
+  const model = schema.ref && schemas[schema.ref];
+  if (model && isRustEnum(model) && typeof value === 'string') {
+    const variant = getEnumVariants(model).find(entry => entry.value === value);
+    if (variant) {
+      return `${type}::${variant.variant}`;
+    }
+  }
+  if (type === 'String' && typeof value === 'string') {
+    return toRustString(value);
+  }
+  if (type === 'i64' && Number.isInteger(value)) {
+    return String(value);
+  }
+  if (type === 'f64' && typeof value === 'number') {
+    return Number.isInteger(value) ? `${value}.0` : String(value);
+  }
+  if (type === 'bool' && typeof value === 'boolean') {
+    return String(value);
+  }
+  return `serde_json::from_str::<${type}>(${toRustRawString(JSON.stringify(value))}).unwrap()`;
+}
+
+/**
+ * A path value as path_value writes it; serde_json keeps the fraction of f64 values
+ */
+function formatPathValue(value, field) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return unwrapOption(field.type) === 'f64' && Number.isInteger(value) ? `${value}.0` : JSON.stringify(value);
+}
+
+/**
+ * Percent-encode a path segment the way the url crate does
+ */
+function toRustEscaped(segment) {
+  return Array.from(segment).map(char => {
+    if (/[\x21\x24-\x2e\x30-\x3b\x3d\x40-\x5f\x61-\x7a\x7c\x7e]/.test(char) && char !== '%') {
+      return char;
+    }
+    return Array.from(Buffer.from(char, 'utf8')).map(byte => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`).join('');
+  }).join('');
+}
+
+/**
+ * Generate authentication handler tests
+ */
+function generateAuthHandlerTests(securitySchemes) {
+  const schemeTests = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const credential = scheme.type === 'basic' ? 'user:secret' : 'secret';
+    const keyName = scheme.name || name;
+    let expectation;
+    if (scheme.type === 'basic') {
+      expectation = `assert_eq!(auth.headers["Authorization"], format!("Basic {}", STANDARD.encode("user:secret")));`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'query') {
+      expectation = `assert_eq!(auth.query_params[${toRustString(keyName)}], "secret");`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+      expectation = `assert_eq!(auth.headers["Cookie"], ${toRustString(`${keyName}=secret`)});`;
+    } else if (scheme.type === 'apiKey') {
+      expectation = `assert_eq!(auth.headers[${toRustString(keyName)}], "secret");`;
+    } else {
+      expectation = 'assert_eq!(auth.headers["Authorization"], "Bearer secret");';
+    }
+
+    return `#[tokio::test]
+async fn applies_${toRustIdentifier(name).replace(/_$/, '')}_scheme() {
+    let handler = handler(Config { credentials: HashMap::from([(${toRustString(name)}.to_string(), "${credential}".to_string())]), ..Config::default() });
+    let auth = handler.authenticate(&[&[(${toRustString(name)}, &[])]]).await.unwrap();
+    ${expectation}
+}`;
+  });
+  const source = schemeTests.join('\n');
+
+  return `//! Tests for the authentication handler
+
+use std::collections::HashMap;
+use std::sync::Arc;
+
+use ${CRATE_NAME}::auth::AuthHandler;
+use ${CRATE_NAME}::{ApiError, Config};${/STANDARD/.test(source) ? '\nuse base64::engine::general_purpose::STANDARD;\nuse base64::Engine;' : ''}
+
+fn handler(config: Config) -> AuthHandler {
+    AuthHandler::new(Arc::new(config), reqwest::Client::new())
+}
+
+#[tokio::test]
+async fn does_not_authenticate_endpoints_without_security_requirements() {
+    let auth = handler(Config::default()).authenticate(&[]).await.unwrap();
+    assert!(auth.headers.is_empty());
+    assert!(auth.query_params.is_empty());
+}
+
+#[tokio::test]
+async fn allows_anonymous_access_when_authentication_is_optional() {
+    let auth = handler(Config::default()).authenticate(&[&[("undeclaredScheme", &[])], &[]]).await.unwrap();
+    assert!(auth.headers.is_empty());
+    assert!(auth.query_params.is_empty());
+}
+
+#[tokio::test]
+async fn rejects_requests_when_no_requirement_can_be_satisfied() {
+    let error = handler(Config::default()).authenticate(&[&[("undeclaredScheme", &[])]]).await.unwrap_err();
+    assert!(matches!(error, ApiError::MissingCredentials(message) if message.starts_with("Missing credentials")));
+}
+
+#[test]
+fn credentials_fall_back_to_an_empty_map() {
+    let handler = handler(Config { credentials: HashMap::new(), ..Config::default() });
+    assert_eq!(handler.credential("undeclaredScheme"), None);
+}
+${schemeTests.map(test => `\n${test}\n`).join('')}`;
+}
+
+/**
+ * Generate token manager tests, run against a mock token endpoint
+ */
+function generateTokenManagerTests() {
+  return `//! Tests for the OAuth 2.0 token manager
+
+mod common;
+
+use std::collections::HashMap;
+use std::sync::{Arc, Mutex};
+use std::time::{Duration, Instant};
+
+use ${CRATE_NAME}::token::{Clock, OAuthFlow, OAuthSettings, TokenManager};
+use base64::engine::general_purpose::STANDARD;
+use base64::Engine;
+use common::MockServer;
+
+const CLIENT_CREDENTIALS: &[(&str, OAuthFlow)] = &[("clientCredentials", OAuthFlow { token_url: "/oauth/token", refresh_url: None })];
+const AUTHORIZATION_CODE: &[(&str, OAuthFlow)] = &[("authorizationCode", OAuthFlow { token_url: "/oauth/token", refresh_url: None })];
+
+/// Clock that only moves when told to
+struct FakeClock(Arc<Mutex<Instant>>);
+
+impl FakeClock {
+    fn new() -> Self {
+        Self(Arc::new(Mutex::new(Instant::now())))
+    }
+
+    fn clock(&self) -> Clock {
+        let now = self.0.clone();
+        Arc::new(move || *now.lock().unwrap())
+    }
+
+    fn advance(&self, delta: Duration) {
+        *self.0.lock().unwrap() += delta;
+    }
+}
+
+async fn token_server() -> MockServer {
+    let server = MockServer::start().await;
+    server.respond_with(|_, index| {
+        (200, format!(r#"{{"access_token":"token-{}","token_type":"Bearer","expires_in":3600,"refresh_token":"refresh-1"}}"#, index + 1))
+    });
+    server
+}
+
+fn manager(server: &MockServer, flows: &'static [(&'static str, OAuthFlow)], settings: OAuthSettings) -> TokenManager {
+    TokenManager::new(flows, settings, reqwest::Client::new(), server.url(), Duration::from_secs(5))
+}
+
+fn client_settings() -> OAuthSettings {
+    OAuthSettings { client_id: Some("client".to_string()), client_secret: Some("secret".to_string()), ..Default::default() }
+}
+
+fn form(pairs: &[(&str, &str)]) -> HashMap<String, String> {
+    pairs.iter().map(|(key, value)| (key.to_string(), value.to_string())).collect()
+}
+
+#[tokio::test]
+async fn fetches_a_token_with_the_client_credentials_grant() {
+    let server = token_server().await;
+    let manager = manager(&server, CLIENT_CREDENTIALS, client_settings());
+
+    assert_eq!(manager.get_token(&["read"]).await.unwrap(), "token-1");
+    let requests = server.requests();
+    assert_eq!(requests[0].form(), form(&[("grant_type", "client_credentials"), ("scope", "read")]));
+    let expected = format!("Basic {}", STANDARD.encode("client:secret"));
+    assert_eq!(requests[0].header("authorization"), Some(expected.as_str()));
+}
+
+#[tokio::test]
+async fn caches_tokens_until_they_expire() {
+    let server = token_server().await;
+    let manager = manager(&server, CLIENT_CREDENTIALS, client_settings());
+    manager.get_token(&[]).await.unwrap();
+
+    assert_eq!(manager.get_token(&[]).await.unwrap(), "token-1");
+    assert_eq!(server.requests().len(), 1);
+}
+
+#[tokio::test]
+async fn shares_one_token_request_between_concurrent_callers() {
+    let server = token_server().await;
+    server.set_delay(Duration::from_millis(10));
+    let manager = Arc::new(manager(&server, CLIENT_CREDENTIALS, client_settings()));
+
+    let handles: Vec<_> = (0..5)
+        .map(|_| {
+            let manager = manager.clone();
+            tokio::spawn(async move { manager.get_token(&[]).await.unwrap() })
+        })
+        .collect();
+    for handle in handles {
+        assert_eq!(handle.await.unwrap(), "token-1");
+    }
+    assert_eq!(server.requests().len(), 1);
+}
+
+#[tokio::test]
+async fn refreshes_expired_tokens_with_the_refresh_token() {
+    let server = token_server().await;
+    let clock = FakeClock::new();
+    let manager = manager(&server, CLIENT_CREDENTIALS, client_settings()).with_clock(clock.clock());
+    manager.get_token(&[]).await.unwrap();
+
+    clock.advance(Duration::from_secs(3600));
+
+    assert_eq!(manager.get_token(&[]).await.unwrap(), "token-2");
+    assert_eq!(server.requests()[1].form(), form(&[("grant_type", "refresh_token"), ("refresh_token", "refresh-1")]));
+}
+
+#[tokio::test]
+async fn fetches_a_new_token_after_invalidation() {
+    let server = token_server().await;
+    let manager = manager(&server, CLIENT_CREDENTIALS, client_settings());
+    manager.get_token(&[]).await.unwrap();
+    manager.invalidate(&[]);
+
+    assert_eq!(manager.get_token(&[]).await.unwrap(), "token-2");
+    assert_eq!(server.requests().len(), 2);
+}
+
+#[tokio::test]
+async fn sends_client_credentials_in_the_body_when_configured() {
+    let server = token_server().await;
+    let settings = OAuthSettings { client_authentication: Some("body".to_string()), ..client_settings() };
+    let manager = manager(&server, CLIENT_CREDENTIALS, settings);
+    manager.get_token(&[]).await.unwrap();
+
+    let request = &server.requests()[0];
+    assert_eq!(request.header("authorization"), None);
+    assert_eq!(request.form()["client_id"], "client");
+    assert_eq!(request.form()["client_secret"], "secret");
+}
+
+#[tokio::test]
+async fn only_acquires_tokens_when_the_flow_is_configured() {
+    let server = token_server().await;
+    assert!(manager(&server, CLIENT_CREDENTIALS, client_settings()).can_acquire_token());
+    let settings = OAuthSettings { client_id: None, ..client_settings() };
+    assert!(!manager(&server, CLIENT_CREDENTIALS, settings).can_acquire_token());
+}
+
+#[tokio::test]
+async fn uses_an_authorization_code_once_and_refreshes_afterwards() {
+    let server = token_server().await;
+    let settings = OAuthSettings {
+        client_id: Some("client".to_string()),
+        authorization_code: Some("code-1".to_string()),
+        redirect_uri: Some("http://localhost/callback".to_string()),
+        ..Default::default()
+    };
+    let manager = manager(&server, AUTHORIZATION_CODE, settings);
+    manager.get_token(&[]).await.unwrap();
+    manager.invalidate(&[]);
+
+    assert_eq!(manager.get_token(&[]).await.unwrap(), "token-2");
+    let requests = server.requests();
+    assert_eq!(requests[0].form()["grant_type"], "authorization_code");
+    assert_eq!(requests[0].form()["code"], "code-1");
+    assert_eq!(
+        requests[1].form(),
+        form(&[("grant_type", "refresh_token"), ("refresh_token", "refresh-1"), ("client_id", "client")])
+    );
+    assert!(manager.can_acquire_token());
+}
+`;
+}
+
+/**
+ * Generate request handler tests
+ */
+function generateRequestHandlerTests() {
+  return `//! Tests for the retrying request handler
+
+mod common;
+
+use std::time::Duration;
+
+use ${CRATE_NAME}::request::RequestHandler;
+use common::MockServer;
+
+async fn send(server: &MockServer, max_retries: u32) -> reqwest::Response {
+    let http = reqwest::Client::new();
+    let request = http.get(server.url()).build().unwrap();
+    RequestHandler::new(max_retries).with_base_delay(Duration::ZERO).execute(&http, request).await.unwrap()
+}
+
+#[tokio::test]
+async fn retries_server_errors() {
+    let server = MockServer::start().await;
+    server.enqueue(503, "{}");
+    server.enqueue(200, r#"{"success":true}"#);
+
+    assert_eq!(send(&server, 3).await.status().as_u16(), 200);
+    assert_eq!(server.requests().len(), 2);
+}
+
+#[tokio::test]
+async fn retries_rate_limited_requests() {
+    let server = MockServer::start().await;
+    server.enqueue(429, "{}");
+    server.enqueue(200, "{}");
+
+    assert_eq!(send(&server, 3).await.status().as_u16(), 200);
+    assert_eq!(server.requests().len(), 2);
+}
+
+#[tokio::test]
+async fn does_not_retry_client_errors() {
+    let server = MockServer::start().await;
+    server.enqueue(404, "{}");
+
+    assert_eq!(send(&server, 3).await.status().as_u16(), 404);
+    assert_eq!(server.requests().len(), 1);
+}
+
+#[tokio::test]
+async fn gives_up_after_max_retries() {
+    let server = MockServer::start().await;
+    server.enqueue(500, "{}");
+
+    assert_eq!(send(&server, 3).await.status().as_u16(), 500);
+    assert_eq!(server.requests().len(), 3);
+}
+
+#[test]
+fn backs_off_exponentially_up_to_ten_seconds() {
+    let handler = RequestHandler::new(3);
+    assert_eq!(handler.delay(1), Duration::from_secs(1));
+    assert_eq!(handler.delay(3), Duration::from_secs(4));
+    assert_eq!(handler.delay(6), Duration::from_secs(10));
+}
+`;
+}
+
+/**
+ * Generate example usage
+ */
+function generateExampleUsage(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+
+  const calls = endpoints.slice(0, 2).map(endpoint => {
+    const name = toRustMethodName(endpoint.operationId);
+    let args;
+    if (endpoint.graphql) {
+      args = generateExampleVariables(endpoint, schemas);
+    } else {
+      const fields = orderMethodFields(getMethodFields(endpoint, schemas));
+      const values = Object.fromEntries(fields.filter(field => field.required).map(field => [field.key, getTypedExample(field.schema, schemas)]));
+      args = toRustArguments(fields, values, schemas);
+    }
+    return `    // Example: ${endpoint.method} ${endpoint.path}
+    println!("\\n📡 Testing ${name}...");
+    match client.${name}(${args}).await {
+        Ok(result) => println!("✅ ${name} result: {}", serde_json::to_string(&result)?),
+        Err(error) => println!("❌ ${name} failed: {error}"),
+    }`;
+  });
+  const source = calls.join('\n');
+
+  return `//! Example usage of ${title} API Client
+//!
+//! Run with \`cargo run --example basic\` after setting API_BASE_URL and the
+//! credentials from .env.example.
+
+${/\bmodels::/.test(source) ? `use ${CRATE_NAME}::models;\n` : ''}use ${CRATE_NAME}::{ApiClient, Config};
+
+#[tokio::main]
+async fn main() -> Result<(), Box<dyn std::error::Error>> {
+    // Initialize the API client
+    let client = ApiClient::new(Config::from_env())?;
+    println!(${toRustString(`🚀 ${title} API Client initialized`)});
+
+    // Test connection
+    let connected = client.test_connection().await;
+    println!("🔗 Connection test: {}", if connected { "✅ Success" } else { "❌ Failed" });
+${calls.map(call => `\n${call}\n`).join('')}
+    println!("\\n🎉 Example completed successfully!");
+    Ok(())
+}
+`;
+}
+
+/**
+ * Generate .env.example
+ */
+function generateEnvExample(securitySchemes) {
+  const schemeEntries = Object.entries(securitySchemes);
+
+  let envContent = `# ${schemeEntries.length === 0 ? 'No authentication required' : `Authentication: ${schemeEntries.map(([name]) => name).join(', ')}`}
+
+# API Configuration
+API_BASE_URL=https://api.example.com
+API_TIMEOUT=30000
+API_MAX_RETRIES=3
+`;
+
+  for (const [name, scheme] of schemeEntries) {
+    envContent += `
+# ${name}: ${scheme.description || `${scheme.type} authentication`} (${describeCredential(scheme)})
+${toCredentialEnvName(name)}=
+`;
+    if (scheme.type === 'oauth2') {
+      envContent += `# Or let the client fetch and refresh tokens itself:
+${getOAuthSettings(scheme).map(setting => `# ${setting.description}\n${toOAuthEnvName(name, setting)}=`).join('\n')}
+`;
+    }
+  }
+
+  return envContent;
+}
+
+/**
+ * snake_case identifier, escaping keywords
+ */
+function toRustIdentifier(name) {
+  const snake = toSnakeCase(name) || 'value';
+  const identifier = /^[0-9]/.test(snake) ? `_${snake}` : snake;
+  return RUST_KEYWORDS.includes(identifier) ? `${identifier}_` : identifier;
+}
+
+/**
+ * SCREAMING_SNAKE_CASE name for an operation's constants
+ */
+function toRustConstName(operationId) {
+  return toRustIdentifier(operationId).replace(/_$/, '').toUpperCase();
+}
+
+/**
+ * Method name for an operation, avoiding the client's own methods
+ */
+function toRustMethodName(operationId) {
+  const name = toRustIdentifier(operationId);
+  return CLIENT_MEMBERS.includes(name) ? `${name}_operation` : name;
+}
+
+/**
+ * Render text as a Rust string literal
+ */
+function toRustString(text) {
+  const escaped = Array.from(String(text)).map(char => {
+    switch (char) {
+      case '\\': return '\\\\';
+      case '"': return '\\"';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      default: {
+        const code = char.codePointAt(0);
+        return code < 0x20 || code === 0x7f ? `\\u{${code.toString(16)}}` : char;
+      }
+    }
+  }).join('');
+  return `"${escaped}"`;
+}
+
+/**
+ * Render text as a raw Rust string literal, with enough hashes to hold it
+ */
+function toRustRawString(text) {
+  let hashes = '#';
+  while (String(text).includes(`"${hashes}`)) {
+    hashes += '#';
+  }
+  return `r${hashes}"${text}"${hashes}`;
+}
+
+/**
+ * Doc comment lines
+ */
+function toRustDoc(text, indent) {
+  return String(text).split(/\r?\n/).map(line => `${indent}///${line.trim() ? ` ${line.trim()}` : ''}`).join('\n');
+}
+
+module.exports = { generateRustCode };
\ No newline at end of file
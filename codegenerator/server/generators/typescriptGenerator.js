@@ -0,0 +1,2784 @@
+const {
+  getSecuritySchemes,
+  getEndpointSecurity,
+  toCredentialEnvName,
+  toOAuthEnvName,
+  getTokenFlows,
+  getOAuthSettings,
+  resolveSchemaRef,
+  isJsonContentType,
+  getChannelParameterExample,
+  getGrpcTarget,
+  getGrpcServices,
+  getProtoSources,
+  collectModelNames,
+  getTypedExample,
+  getDiscriminatorValues,
+  getRequestSchema,
+  getResponseSchema,
+  toCamelCase,
+  toSnakeCase,
+  describeCredential
+} = require('./generatorUtils');
+
+/**
+ * TypeScript reserved words, which cannot name parameters or locals
+ */
+const TS_KEYWORDS = [
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+  'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected',
+  'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var',
+  'void', 'while', 'with', 'yield', 'await'
+];
+
+/**
+ * Built-in types and the client's own classes; models with these names get a suffix
+ */
+const TS_RESERVED_TYPES = [
+  'any', 'bigint', 'boolean', 'never', 'number', 'object', 'string', 'symbol', 'undefined', 'unknown',
+  'Array', 'Boolean', 'Buffer', 'Date', 'Error', 'Function', 'Map', 'Number', 'Object', 'Promise',
+  'Record', 'Set', 'String', 'Symbol',
+  'ApiClient', 'ApiError', 'AuthHandler', 'AuthResult', 'Broker', 'BrokerMessage', 'CallOptions',
+  'Config', 'ConfigOptions', 'DeliveredMessage', 'ErrorHandler', 'EventClient', 'GraphQLError',
+  'GraphQLErrorEntry', 'GrpcClient', 'GrpcClientOptions', 'InMemoryBroker', 'OAuthSettings',
+  'RequestHandler', 'RequestOptions', 'SecurityRequirement', 'TokenManager'
+];
+
+/**
+ * Locals of the generated endpoint methods, which parameters must not shadow
+ */
+const METHOD_LOCALS = ['params', 'requestOptions', 'url', 'queryParams', 'auth'];
+
+/**
+ * Members of the generated clients that operation methods must not replace
+ */
+const CLIENT_MEMBERS = [
+  'authHandler', 'broker', 'callArguments', 'client', 'close', 'config', 'constructor',
+  'errorHandler', 'executeGraphql', 'metadata', 'publish', 'requestHandler', 'sendRequest',
+  'stubs', 'subscribe', 'testConnection', 'timeout'
+];
+
+/**
+ * Generate TypeScript integration code
+ * @param {Object} parsedData - Parsed API data
+ * @param {string} fileName - Original file name
+ * @returns {Object} Generated code files
+ */
+async function generateTypeScriptCode(parsedData, fileName) {
+  const { title } = parsedData;
+  const endpoints = parsedData.endpoints;
+  const securitySchemes = getSecuritySchemes(parsedData);
+  const hasGraphql = endpoints.some(endpoint => endpoint.graphql);
+
+  // Message channels and gRPC services get their own clients; the HTTP client only sees request/response endpoints
+  const messagingEndpoints = endpoints.filter(endpoint => endpoint.messaging);
+  const grpcEndpoints = endpoints.filter(endpoint => endpoint.grpc);
+  const httpData = { ...parsedData, endpoints: endpoints.filter(endpoint => !endpoint.messaging && !endpoint.grpc) };
+
+  const generatedCode = {};
+
+  // Package and compiler configuration
+  generatedCode['package.json'] = generatePackageJson(title, grpcEndpoints.length > 0);
+  generatedCode['tsconfig.json'] = generateTsconfig();
+  generatedCode['tsconfig.build.json'] = generateBuildTsconfig();
+
+  // Public entry point
+  generatedCode['src/index.ts'] = generateIndex(messagingEndpoints.length > 0, grpcEndpoints.length > 0);
+
+  // Main API client
+  generatedCode['src/ApiClient.ts'] = generateApiClient(httpData);
+
+  // Model, operation and payload types
+  generatedCode['src/types.ts'] = generateTypes(parsedData.schemas || {});
+
+  // GraphQL errors
+  if (hasGraphql) {
+    generatedCode['src/utils/GraphQLError.ts'] = generateGraphqlError();
+  }
+
+  // Event client, broker interface and in-process broker
+  if (messagingEndpoints.length > 0) {
+    generatedCode['src/EventClient.ts'] = generateEventClient(parsedData, messagingEndpoints);
+    generatedCode['src/messaging/Broker.ts'] = generateBroker();
+    generatedCode['src/messaging/InMemoryBroker.ts'] = generateInMemoryBroker();
+  }
+
+  // gRPC client and the protos it loads at runtime
+  if (grpcEndpoints.length > 0) {
+    generatedCode['src/GrpcClient.ts'] = generateGrpcClient(parsedData, grpcEndpoints);
+    for (const [importPath, source] of Object.entries(getProtoSources(parsedData))) {
+      generatedCode[`protos/${importPath}`] = source;
+    }
+  }
+
+  // Authentication handler
+  generatedCode['src/auth/AuthHandler.ts'] = generateAuthHandler(securitySchemes);
+  generatedCode['src/auth/TokenManager.ts'] = generateTokenManager();
+
+  // Request handler
+  generatedCode['src/utils/RequestHandler.ts'] = generateRequestHandler();
+
+  // Error handler
+  generatedCode['src/utils/ErrorHandler.ts'] = generateErrorHandler();
+
+  // Configuration
+  generatedCode['src/config/Config.ts'] = generateConfig();
+
+  // Test files
+  generatedCode['tests/ApiClient.test.ts'] = generateTests(httpData);
+  generatedCode['tests/AuthHandler.test.ts'] = generateAuthHandlerTests(securitySchemes);
+  generatedCode['tests/TokenManager.test.ts'] = generateTokenManagerTests();
+  if (messagingEndpoints.length > 0) {
+    generatedCode['tests/EventClient.test.ts'] = generateEventClientTests(parsedData, messagingEndpoints);
+  }
+  if (grpcEndpoints.length > 0) {
+    generatedCode['tests/GrpcClient.test.ts'] = generateGrpcClientTests(parsedData, grpcEndpoints);
+  }
+
+  // Example usage
+  generatedCode['examples/basic-usage.ts'] = generateExampleUsage(httpData);
+  if (messagingEndpoints.length > 0) {
+    generatedCode['examples/event-usage.ts'] = generateEventUsage(parsedData, messagingEndpoints);
+  }
+  if (grpcEndpoints.length > 0) {
+    generatedCode['examples/grpc-usage.ts'] = generateGrpcUsage(parsedData, grpcEndpoints);
+  }
+
+  // Environment template
+  generatedCode['.env.example'] = generateEnvExample(securitySchemes, grpcEndpoints.length > 0 ? getGrpcTarget(parsedData.baseUrl) : null);
+
+  return generatedCode;
+}
+
+/**
+ * Generate package.json
+ */
+function generatePackageJson(title, hasGrpc) {
+  return `{
+  "name": "${title.toLowerCase().replace(/[^a-z0-9]/g, '-')}-integration",
+  "version": "1.0.0",
+  "description": "Auto-generated integration client for ${title}",
+  "main": "dist/index.js",
+  "types": "dist/index.d.ts",
+  "scripts": {
+    "build": "tsc -p tsconfig.build.json",
+    "typecheck": "tsc --noEmit",
+    "start": "ts-node examples/basic-usage.ts",
+    "test": "jest",
+    "test:watch": "jest --watch"
+  },
+  "dependencies": {
+    "axios": "^1.6.0",
+    "dotenv": "^16.3.1"${hasGrpc ? `,
+    "@grpc/grpc-js": "^1.10.0",
+    "@grpc/proto-loader": "^0.7.10"` : ''}
+  },
+  "devDependencies": {
+    "@types/jest": "^29.5.0",
+    "@types/node": "^20.10.0",
+    "jest": "^29.7.0",
+    "ts-jest": "^29.1.0",
+    "ts-node": "^10.9.0",
+    "typescript": "^5.3.0"
+  },
+  "jest": {
+    "preset": "ts-jest",
+    "testEnvironment": "node"
+  }
+}`;
+}
+
+/**
+ * Generate the compiler configuration used for type checking, tests and examples
+ */
+function generateTsconfig() {
+  return `{
+  "compilerOptions": {
+    "target": "ES2020",
+    "module": "commonjs",
+    "lib": ["ES2020"],
+    "strict": true,
+    "noImplicitReturns": true,
+    "noFallthroughCasesInSwitch": true,
+    "esModuleInterop": true,
+    "forceConsistentCasingInFileNames": true,
+    "skipLibCheck": true,
+    "resolveJsonModule": true,
+    "types": ["node", "jest"],
+    "noEmit": true
+  },
+  "include": ["src", "tests", "examples"]
+}`;
+}
+
+/**
+ * Generate the compiler configuration that builds the package into dist/
+ */
+function generateBuildTsconfig() {
+  return `{
+  "extends": "./tsconfig.json",
+  "compilerOptions": {
+    "rootDir": "src",
+    "outDir": "dist",
+    "declaration": true,
+    "sourceMap": true,
+    "noEmit": false,
+    "types": ["node"]
+  },
+  "include": ["src"]
+}`;
+}
+
+/**
+ * Generate the package entry point
+ */
+function generateIndex(hasMessaging, hasGrpc) {
+  return `export * from './ApiClient';
+export * from './types';
+export { Config, ConfigOptions } from './config/Config';
+export { ApiError } from './utils/ErrorHandler';${hasMessaging ? `
+export * from './EventClient';
+export * from './messaging/Broker';
+export { InMemoryBroker } from './messaging/InMemoryBroker';` : ''}${hasGrpc ? `
+export * from './GrpcClient';` : ''}
+`;
+}
+
+/**
+ * Generate main API client
+ */
+function generateApiClient(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+  const graphqlEndpoints = endpoints.filter(endpoint => endpoint.graphql);
+  const methods = endpoints.map(endpoint => endpoint.graphql
+    ? generateGraphqlMethod(endpoint, getEndpointSecurity(endpoint, parsedData), schemas)
+    : generateEndpointMethod(endpoint, getEndpointSecurity(endpoint, parsedData), schemas));
+  const typeImports = getTypeImports(methods.join('\n'), schemas);
+
+  return `import axios, { AxiosInstance, AxiosRequestConfig } from 'axios';
+import { AuthHandler, AuthResult, SecurityRequirement } from './auth/AuthHandler';
+import { RequestHandler, getResponseStatus } from './utils/RequestHandler';
+import { ErrorHandler } from './utils/ErrorHandler';
+import { Config, ConfigOptions } from './config/Config';${graphqlEndpoints.length > 0 ? `
+import { GraphQLError, GraphQLResponse } from './utils/GraphQLError';` : ''}${typeImports}
+
+/**
+ * Axios options accepted by every operation, applied on top of the generated request
+ */
+export type RequestOptions = Omit<AxiosRequestConfig, 'method' | 'url' | 'data'>;
+${graphqlEndpoints.map(endpoint => `\nconst ${toDocumentConstantName(endpoint.operationId)} = \`${escapeTemplateLiteral(endpoint.graphql.document)}\`;\n`).join('')}
+/**
+ * ${title} API Client
+ * Auto-generated integration client for ${title}
+ */
+export class ApiClient {
+  readonly config: Config;
+  readonly errorHandler: ErrorHandler;
+  readonly client: AxiosInstance;
+  readonly authHandler: AuthHandler;
+  readonly requestHandler: RequestHandler;
+
+  constructor(config: ConfigOptions = {}) {
+    this.config = new Config(config);
+    this.errorHandler = new ErrorHandler();
+
+    // Initialize axios instance
+    this.client = axios.create({
+      baseURL: this.config.baseUrl,
+      timeout: this.config.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': '${title}-Integration/1.0.0'
+      }
+    });
+
+    this.authHandler = new AuthHandler(this.config, axios);
+    this.requestHandler = new RequestHandler(this.config, this.client);
+  }
+
+${methods.join('\n\n')}
+
+  /**
+   * Send an authenticated request.
+   * A 401 response invalidates any OAuth 2.0 token that was used and the
+   * request is retried once with a freshly acquired token.
+   * @param security - Security requirements of the endpoint
+   * @param buildConfig - Builds the axios request config from the resolved auth
+   * @returns Response data
+   */
+  async sendRequest<T>(security: SecurityRequirement[], buildConfig: (auth: AuthResult) => AxiosRequestConfig): Promise<T> {
+    const auth = await this.authHandler.getAuth(security);
+
+    try {
+      return await this.requestHandler.makeRequest<T>(buildConfig(auth));
+    } catch (error) {
+      if (getResponseStatus(error) !== 401 || !this.authHandler.invalidateTokens(security)) {
+        throw error;
+      }
+
+      const refreshedAuth = await this.authHandler.getAuth(security);
+      return this.requestHandler.makeRequest<T>(buildConfig(refreshedAuth));
+    }
+  }
+${graphqlEndpoints.length > 0 ? generateExecuteGraphql() : ''}
+  /**
+   * Test connection to the API
+   * @returns Connection status
+   */
+  async testConnection(): Promise<boolean> {
+    try {
+      await this.client.get('/');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+`;
+}
+
+/**
+ * Generate endpoint method
+ */
+function generateEndpointMethod(endpoint, security, schemas) {
+  const { method, path, operationId, summary, description } = endpoint;
+  const methodName = toTsMethodName(operationId);
+  const responseSchema = getResponseSchema(endpoint);
+  const resultType = responseSchema ? toTsType(responseSchema, schemas) : 'unknown';
+
+  // Path, query and body values travel in one typed object; axios options in a second argument
+  const fields = getMethodFields(endpoint, schemas);
+  const hasRequired = fields.some(field => field.required);
+  const signature = fields.length > 0
+    ? `params: ${toTsObjectType(fields)}${hasRequired ? '' : ' = {}'}, requestOptions: RequestOptions = {}`
+    : 'requestOptions: RequestOptions = {}';
+
+  const docs = [
+    ...(fields.length > 0 ? ['   * @param params - Path, query and body values'] : []),
+    ...fields.filter(field => field.description).map(field => `   * @param params.${field.key} - ${field.description}`),
+    '   * @param requestOptions - Additional axios request options',
+    `   * @returns ${responseSchema ? 'Response body' : 'Response data'}`
+  ];
+
+  let methodBody = `  /**
+   * ${summary || description || `${method} ${path}`}${description && summary ? `\n   * ${description}` : ''}
+${docs.join('\n')}
+   */
+  async ${methodName}(${signature}): Promise<${resultType}> {`;
+
+  if (fields.length > 0) {
+    methodBody += `\n    const { ${fields.map(field => field.key === field.local ? field.local : `${toTsPropertyKey(field.key)}: ${field.local}`).join(', ')} } = params;`;
+  }
+
+  // Build URL with path parameters
+  const pathFields = fields.filter(field => field.in === 'path');
+  if (pathFields.length > 0) {
+    methodBody += `\n    let url = '${path}';`;
+    pathFields.forEach(field => {
+      methodBody += `\n    url = url.replace('{${field.name}}', encodeURIComponent(String(${field.local})));`;
+    });
+  } else {
+    methodBody += `\n    const url = '${path}';`;
+  }
+
+  // Build query parameters
+  const queryFields = fields.filter(field => field.in === 'query');
+  if (queryFields.length > 0) {
+    methodBody += `\n    const queryParams: Record<string, unknown> = {};`;
+    queryFields.forEach(field => {
+      methodBody += `\n    if (${field.local} !== undefined) queryParams[${toTsLiteral(field.name)}] = ${field.local};`;
+    });
+  }
+
+  const bodyField = fields.find(field => field.in === 'body');
+  methodBody += `
+
+    return this.sendRequest<${resultType}>(${JSON.stringify(security)}, auth => ({
+      method: '${method}',
+      url,
+      ...requestOptions,
+      params: { ${queryFields.length > 0 ? '...queryParams, ' : ''}...auth.params, ...requestOptions.params },
+      headers: { ...auth.headers, ...requestOptions.headers }${bodyField ? `,
+      ...(${bodyField.local} !== undefined ? { data: ${bodyField.local} } : {})` : ''}
+    }));
+  }`;
+
+  return methodBody;
+}
+
+/**
+ * Path, query and body values an endpoint method takes: the unique key each has
+ * in the params object, the name it is sent as and the local it is read into
+ */
+function getMethodFields(endpoint, schemas) {
+  const { parameters, requestBody } = endpoint;
+  const bodySchema = getRequestSchema(endpoint);
+  const locals = new Set(METHOD_LOCALS);
+  const toLocal = key => {
+    let local = toTsIdentifier(toCamelCase(key));
+    if (locals.has(local)) local = `${local}Param`;
+    for (let suffix = 2; locals.has(local); suffix++) {
+      local = `${toTsIdentifier(toCamelCase(key))}${suffix}`;
+    }
+    locals.add(local);
+    return local;
+  };
+
+  const fields = [
+    ...parameters.filter(p => p.in === 'path').map(p => ({ ...p, required: true })),
+    ...parameters.filter(p => p.in === 'query')
+  ].map(p => ({
+    key: p.name,
+    name: p.name,
+    in: p.in,
+    schema: p.schema || { type: p.type },
+    type: toTsType(p.schema || { type: p.type }, schemas),
+    required: Boolean(p.required),
+    description: p.description
+  }));
+  if (bodySchema) {
+    fields.push({ key: 'body', in: 'body', schema: bodySchema, type: toTsType(bodySchema, schemas), required: Boolean(requestBody.required), description: 'Request body' });
+  }
+
+  // A parameter may share its name with another parameter or with the body
+  const keys = new Set();
+  return fields.map(field => {
+    let key = field.key;
+    for (let suffix = 2; keys.has(key); suffix++) {
+      key = `${field.key}${suffix}`;
+    }
+    keys.add(key);
+    return { ...field, key, local: toLocal(key) };
+  });
+}
+
+/**
+ * Import the models a source fragment refers to from types.ts
+ */
+function getTypeImports(source, schemas) {
+  const names = Object.keys(schemas)
+    .map(toTsTypeName)
+    .filter(name => new RegExp(`(?<![\\w.'"])${name.replace(/\$/g, '\\$')}(?![\\w'"])`).test(source));
+  return names.length > 0 ? `\nimport type { ${names.join(', ')} } from './types';` : '';
+}
+
+/**
+ * Generate a typed GraphQL operation method
+ */
+function generateGraphqlMethod(endpoint, security, schemas) {
+  const { operationId, path, summary, description, requestBody, responses, graphql } = endpoint;
+  const methodName = toTsMethodName(operationId);
+  const variablesType = requestBody?.schema ? toTsType({ ref: requestBody.schema.ref }, schemas) : 'Record<string, unknown>';
+  const resultType = responses['200']?.schema ? toTsType({ ref: responses['200'].schema.ref }, schemas) : 'unknown';
+
+  return `  /**
+   * ${summary}${description ? `\n   * ${description}` : ''}
+   * @param variables - Operation variables
+   * @param requestOptions - Additional axios request options
+   * @returns Operation result
+   */
+  async ${methodName}(variables: ${variablesType}${requestBody?.required ? '' : ' = {}'}, requestOptions: RequestOptions = {}): Promise<${resultType}> {
+    return this.executeGraphql<${resultType}>(${JSON.stringify(security)}, '${path}', ${toDocumentConstantName(operationId)}, ${graphql.operationName ? `'${graphql.operationName}'` : 'null'}, variables, requestOptions);
+  }`;
+}
+
+/**
+ * Generate the ApiClient method that sends GraphQL operations
+ */
+function generateExecuteGraphql() {
+  return `
+  /**
+   * Execute a GraphQL operation and return the \`data\` of its response
+   * @param security - Security requirements of the operation
+   * @param path - GraphQL endpoint path
+   * @param query - Operation document
+   * @param operationName - Operation to run from the document
+   * @param variables - Operation variables
+   * @param requestOptions - Additional axios request options
+   * @returns Operation result
+   * @throws {GraphQLError} If the response carries GraphQL errors
+   */
+  async executeGraphql<T>(security: SecurityRequirement[], path: string, query: string, operationName: string | null,
+    variables: object, requestOptions: RequestOptions = {}): Promise<T> {
+    const payload: { query: string; variables: object; operationName?: string } = { query, variables: variables || {} };
+    if (operationName) {
+      payload.operationName = operationName;
+    }
+
+    const response = await this.sendRequest<GraphQLResponse<T> | null>(security, auth => ({
+      method: 'POST',
+      url: path,
+      ...requestOptions,
+      params: { ...auth.params, ...requestOptions.params },
+      headers: { ...auth.headers, ...requestOptions.headers },
+      data: payload
+    }));
+
+    if (response && Array.isArray(response.errors) && response.errors.length > 0) {
+      throw new GraphQLError(response.errors, response.data);
+    }
+    return (response ? response.data : null) as T;
+  }
+`;
+}
+
+/**
+ * Name of the module-level constant holding an operation document
+ */
+function toDocumentConstantName(operationId) {
+  return `${toSnakeCase(operationId).toUpperCase()}_DOCUMENT`;
+}
+
+/**
+ * Escape text for use inside a template literal
+ */
+function escapeTemplateLiteral(text) {
+  return text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+}
+
+/**
+ * Generate interfaces and type aliases for the registry models
+ */
+function generateTypes(schemas) {
+  const declarations = Object.entries(schemas).map(([name, schema]) => {
+    const docs = schema.description ? `/**\n * ${schema.description}\n */\n` : '';
+    const typeName = toTsTypeName(name);
+
+    if (isTsInterface(schema)) {
+      const required = schema.required || [];
+      const members = Object.entries(schema.properties).map(([propName, propSchema]) => {
+        const optional = required.includes(propName) ? '' : '?';
+        const propDocs = propSchema.description ? `  /** ${propSchema.description} */\n` : '';
+        return `${propDocs}  ${toTsPropertyKey(propName)}${optional}: ${toTsType(propSchema, schemas)};`;
+      });
+      if (schema.additionalProperties) {
+        members.push('  [key: string]: unknown;');
+      }
+      return `${docs}export interface ${typeName} {\n${members.join('\n')}\n}`;
+    }
+    return `${docs}export type ${typeName} = ${toTsType(schema, schemas)};`;
+  });
+
+  return `/**
+ * Operation and model types
+ * Auto-generated from the API description: object models are interfaces,
+ * enums are string literal unions and oneOf schemas with a discriminator are
+ * discriminated unions, so a switch on the discriminator narrows the type.
+ */
+${declarations.length > 0 ? `\n${declarations.join('\n\n')}\n` : '\nexport {};\n'}`;
+}
+
+/**
+ * Whether a model is declared as an interface rather than a type alias
+ */
+function isTsInterface(schema) {
+  return schema.type === 'object' && !schema.oneOf && !schema.anyOf && !schema.nullable &&
+    Object.keys(schema.properties || {}).length > 0;
+}
+
+/**
+ * TypeScript type expression for a schema node
+ */
+function toTsType(node, schemas) {
+  if (!node) return 'unknown';
+
+  let type;
+  if (node.ref) {
+    type = schemas[node.ref] ? toTsTypeName(node.ref) : 'unknown';
+  } else if (node.oneOf || node.anyOf) {
+    type = toTsUnion(node, schemas);
+  } else if (node.enum) {
+    type = node.enum.map(toTsLiteral).join(' | ');
+  } else {
+    switch (node.type) {
+      case 'integer':
+      case 'number':
+        type = 'number';
+        break;
+      case 'boolean':
+      case 'string':
+        type = node.type;
+        break;
+      case 'array': {
+        const itemType = toTsType(node.items || {}, schemas);
+        type = /^[\w.]+$/.test(itemType) ? `${itemType}[]` : `Array<${itemType}>`;
+        break;
+      }
+      case 'object':
+        type = Object.keys(node.properties || {}).length > 0
+          ? toTsObjectType(Object.entries(node.properties).map(([key, property]) => ({
+            key,
+            type: toTsType(property, schemas),
+            required: (node.required || []).includes(key)
+          })))
+          : `Record<string, ${typeof node.additionalProperties === 'object' ? toTsType(node.additionalProperties, schemas) : 'unknown'}>`;
+        break;
+      default:
+        type = 'unknown';
+    }
+  }
+  return node.nullable && type !== 'unknown' ? `${type} | null` : type;
+}
+
+/**
+ * Union of the variants of a oneOf/anyOf node; with a discriminator, each
+ * variant is narrowed to its discriminator values
+ */
+function toTsUnion(node, schemas) {
+  const variants = (node.oneOf || node.anyOf).map(variant => {
+    const type = toTsType(variant, schemas);
+    const values = getDiscriminatorValues(node, variant);
+    if (!values) {
+      return / /.test(type) ? `(${type})` : type;
+    }
+    return `(${type} & { ${toTsPropertyKey(node.discriminator.propertyName)}: ${values.map(toTsLiteral).join(' | ')} })`;
+  });
+  return variants.join(' | ');
+}
+
+/**
+ * Inline object type from fields of { key, type, required }
+ */
+function toTsObjectType(fields) {
+  return `{ ${fields.map(field => `${toTsPropertyKey(field.key)}${field.required ? '' : '?'}: ${field.type}`).join('; ')} }`;
+}
+
+/**
+ * TypeScript type name for a registry model, avoiding built-in types and the client's own classes
+ */
+function toTsTypeName(name) {
+  const identifier = String(name).replace(/[^A-Za-z0-9_$]/g, '_').replace(/^(?=[0-9])/, '_');
+  return TS_RESERVED_TYPES.includes(identifier) ? `${identifier}Model` : identifier;
+}
+
+/**
+ * Identifier for a parameter or local, avoiding reserved words
+ */
+function toTsIdentifier(name) {
+  return TS_KEYWORDS.includes(name) ? `${name}Value` : name;
+}
+
+/**
+ * camelCase method name for an operation, avoiding keywords and the clients' own members
+ */
+function toTsMethodName(operationId) {
+  const name = toTsIdentifier(toCamelCase(operationId));
+  return CLIENT_MEMBERS.includes(name) ? `${name}Operation` : name;
+}
+
+/**
+ * Property key, quoted when it is not an identifier
+ */
+function toTsPropertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : toTsLiteral(name);
+}
+
+/**
+ * Render a JSON-compatible value as a TypeScript literal
+ */
+function toTsLiteral(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toTsLiteral).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    return entries.length > 0
+      ? `{ ${entries.map(([key, item]) => `${toTsPropertyKey(key)}: ${toTsLiteral(item)}`).join(', ')} }`
+      : '{}';
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  }
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * Generate the error thrown when a GraphQL response carries errors
+ */
+function generateGraphqlError() {
+  return `/**
+ * Error entry of a GraphQL response
+ */
+export interface GraphQLErrorEntry {
+  message: string;
+  locations?: Array<{ line: number; column: number }>;
+  path?: Array<string | number>;
+  extensions?: Record<string, unknown>;
+}
+
+/**
+ * Body of a GraphQL response
+ */
+export interface GraphQLResponse<T> {
+  data?: T | null;
+  errors?: GraphQLErrorEntry[];
+}
+
+/**
+ * GraphQL Error
+ * Raised when a GraphQL response carries errors, which servers report with
+ * a 200 status. Any partial data returned alongside them is kept.
+ */
+export class GraphQLError extends Error {
+  readonly errors: GraphQLErrorEntry[];
+  readonly data: unknown;
+
+  constructor(errors: GraphQLErrorEntry[], data?: unknown) {
+    super(errors.map(error => error.message).join('; '));
+    this.name = 'GraphQLError';
+    this.errors = errors;
+    this.data = data === undefined ? null : data;
+  }
+}
+`;
+}
+
+/**
+ * Generate the event client with a typed publisher or subscriber per channel operation
+ */
+function generateEventClient(parsedData, messagingEndpoints) {
+  const { title, schemas = {} } = parsedData;
+  const methods = messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishMethod(endpoint, schemas)
+    : generateSubscribeMethod(endpoint, schemas));
+
+  return `import { Broker, DeliveredMessage } from './messaging/Broker';${getTypeImports(methods.join('\n'), schemas)}
+
+/**
+ * Called with the decoded payload and the raw message
+ */
+export type MessageHandler<T> = (payload: T, message: DeliveredMessage) => void | Promise<void>;
+
+/**
+ * ${title} Event Client
+ * Typed publishers and subscribers for the ${title} channels. Messages travel
+ * through a broker adapter implementing the Broker interface: wrap your Kafka,
+ * AMQP, MQTT or WebSocket client in one, or use InMemoryBroker in tests.
+ */
+export class EventClient {
+  readonly broker: Broker;
+
+  constructor(broker: Broker) {
+    if (!broker || typeof broker.publish !== 'function' || typeof broker.subscribe !== 'function') {
+      throw new Error('EventClient requires a broker with publish and subscribe methods');
+    }
+    this.broker = broker;
+  }
+
+${methods.join('\n\n')}
+
+  /**
+   * Encode a payload and publish it to a channel
+   * @param channel - Channel address, with {parameter} placeholders
+   * @param contentType - Message content type
+   * @param payload - Message payload
+   * @param parameters - Channel parameter values
+   * @param headers - Message headers
+   */
+  async publish(channel: string, contentType: string, payload: unknown, parameters: object,
+    headers: Record<string, string>): Promise<void> {
+    const address = resolveAddress(channel, parameters, true);
+    await this.broker.publish(address, {
+      headers: { 'content-type': contentType, ...headers },
+      payload: isJson(contentType) ? JSON.stringify(payload) : payload
+    });
+  }
+
+  /**
+   * Subscribe to a channel and decode the payload of each delivered message
+   * @param channel - Channel address, with {parameter} placeholders
+   * @param contentType - Message content type
+   * @param parameters - Channel parameter values to match; omitted ones match any value
+   * @param handler - Called with the decoded payload and the raw message
+   * @returns Unsubscribes the handler
+   */
+  async subscribe<T>(channel: string, contentType: string, parameters: object,
+    handler: MessageHandler<T>): Promise<() => Promise<void>> {
+    const address = resolveAddress(channel, parameters, false);
+    return this.broker.subscribe(address, async message => {
+      const payload = isJson(contentType) && (typeof message.payload === 'string' || Buffer.isBuffer(message.payload))
+        ? JSON.parse(message.payload.toString())
+        : message.payload;
+      await handler(payload as T, message);
+    });
+  }
+}
+
+/**
+ * Fill channel parameters into an address
+ * @param channel - Channel address, with {parameter} placeholders
+ * @param parameters - Channel parameter values
+ * @param requireAll - Reject missing parameters instead of keeping their placeholder
+ * @returns Address
+ */
+function resolveAddress(channel: string, parameters: object = {}, requireAll: boolean): string {
+  const values = parameters as Record<string, unknown>;
+  return channel.replace(/\\{([^}]+)\\}/g, (placeholder, name: string) => {
+    const value = values[name];
+    if (value === undefined || value === null) {
+      if (requireAll) {
+        throw new Error(\`Missing channel parameter "\${name}" for \${channel}\`);
+      }
+      return placeholder;
+    }
+    return String(value);
+  });
+}
+
+function isJson(contentType: string): boolean {
+  return /[/+]json\\b/i.test(contentType);
+}
+`;
+}
+
+/**
+ * Payload type of a channel operation
+ */
+function toPayloadType(messaging, schemas) {
+  return isJsonContentType(messaging.contentType) ? toTsType(messaging.payload, schemas) : 'string | Buffer';
+}
+
+/**
+ * Object type of the channel parameters of an operation
+ */
+function toChannelParametersType(parameters, schemas, required) {
+  return toTsObjectType(parameters.map(param => ({
+    key: param.name,
+    type: toTsType(param.schema || { type: 'string' }, schemas),
+    required
+  })));
+}
+
+/**
+ * Generate a method that publishes a message to a channel
+ */
+function generatePublishMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const methodName = toTsMethodName(operationId);
+  const parametersArgument = parameters.length > 0
+    ? `parameters: ${toChannelParametersType(parameters, schemas, true)}`
+    : 'parameters: Record<string, never> = {}';
+
+  return `  /**
+   * ${summary || `Publish to ${messaging.address}`}${description ? `\n   * ${description}` : ''}
+   * Channel: ${messaging.address}
+   * @param payload - Message payload
+   * @param parameters - Channel parameters${parameters.length > 0 ? `: ${parameters.map(param => param.name).join(', ')}` : ''}
+   * @param headers - Message headers
+   */
+  async ${methodName}(payload: ${toPayloadType(messaging, schemas)}, ${parametersArgument}, headers: Record<string, string> = {}): Promise<void> {
+    await this.publish('${messaging.address}', '${messaging.contentType}', payload, parameters, headers);
+  }`;
+}
+
+/**
+ * Generate a method that subscribes a handler to a channel
+ */
+function generateSubscribeMethod(endpoint, schemas) {
+  const { operationId, summary, description, parameters, messaging } = endpoint;
+  const methodName = toTsMethodName(operationId);
+  const payloadType = toPayloadType(messaging, schemas);
+  const parametersType = parameters.length > 0 ? toChannelParametersType(parameters, schemas, false) : 'Record<string, never>';
+
+  return `  /**
+   * ${summary || `Subscribe to ${messaging.address}`}${description ? `\n   * ${description}` : ''}
+   * Channel: ${messaging.address}
+   * @param handler - Called with the payload and the raw message
+   * @param parameters - Channel parameters to match${parameters.length > 0 ? ` (${parameters.map(param => param.name).join(', ')})` : ''}; omitted ones match any value
+   * @returns Unsubscribes the handler
+   */
+  async ${methodName}(handler: MessageHandler<${payloadType}>, parameters: ${parametersType} = {}): Promise<() => Promise<void>> {
+    return this.subscribe('${messaging.address}', '${messaging.contentType}', parameters, handler);
+  }`;
+}
+
+/**
+ * Generate the broker adapter interface
+ */
+function generateBroker() {
+  return `/**
+ * Message handed to a broker: headers and the encoded payload
+ */
+export interface BrokerMessage {
+  headers: Record<string, string>;
+  payload: unknown;
+}
+
+/**
+ * Message delivered to a subscriber, with the address it was published to
+ */
+export interface DeliveredMessage extends BrokerMessage {
+  address: string;
+}
+
+/**
+ * Broker Adapter
+ * Transport used by EventClient. Implement it over your Kafka, AMQP, MQTT or
+ * WebSocket client; addresses passed to subscribe may keep {parameter}
+ * placeholders, which match any value.
+ */
+export interface Broker {
+  publish(address: string, message: BrokerMessage): Promise<void>;
+  subscribe(address: string, handler: (message: DeliveredMessage) => void | Promise<void>): Promise<() => Promise<void>>;
+}
+`;
+}
+
+/**
+ * Generate the in-process broker used by tests and examples
+ */
+function generateInMemoryBroker() {
+  return `import { Broker, BrokerMessage, DeliveredMessage } from './Broker';
+
+interface Subscription {
+  pattern: RegExp;
+  handler: (message: DeliveredMessage) => void | Promise<void>;
+}
+
+/**
+ * In-Memory Broker
+ * Delivers messages between publishers and subscribers in the same process.
+ * It implements the Broker interface EventClient uses, so generated
+ * publishers and subscribers can be tested without a running broker.
+ * Subscriptions that leave a channel parameter as a {placeholder} match any value.
+ */
+export class InMemoryBroker implements Broker {
+  subscriptions: Subscription[] = [];
+  readonly published: DeliveredMessage[] = [];
+
+  /**
+   * Deliver a message to every matching subscription
+   * @param address - Channel address
+   * @param message - Message to deliver
+   * @returns Resolves once every handler has finished
+   */
+  async publish(address: string, message: BrokerMessage): Promise<void> {
+    const delivered: DeliveredMessage = { address, headers: { ...message.headers }, payload: message.payload };
+    this.published.push(delivered);
+
+    const handlers = this.subscriptions
+      .filter(subscription => subscription.pattern.test(address))
+      .map(subscription => subscription.handler);
+    await Promise.all(handlers.map(handler => handler(delivered)));
+  }
+
+  /**
+   * Register a handler for messages published to an address
+   * @param address - Channel address, optionally with {parameter} wildcards
+   * @param handler - Called with each delivered message
+   * @returns Removes the subscription
+   */
+  async subscribe(address: string, handler: Subscription['handler']): Promise<() => Promise<void>> {
+    const subscription = { pattern: toAddressPattern(address), handler };
+    this.subscriptions.push(subscription);
+
+    return async () => {
+      this.subscriptions = this.subscriptions.filter(existing => existing !== subscription);
+    };
+  }
+}
+
+/**
+ * Build a pattern matching an address; {parameter} placeholders match one segment
+ */
+function toAddressPattern(address: string): RegExp {
+  const source = address
+    .split(/(\\{[^}]+\\})/)
+    .map(part => /^\\{[^}]+\\}$/.test(part) ? '[^/]+' : part.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&'))
+    .join('');
+  return new RegExp(\`^\${source}$\`);
+}
+`;
+}
+
+/**
+ * Generate the gRPC client with a method per RPC that has no HTTP binding
+ */
+function generateGrpcClient(parsedData, grpcEndpoints) {
+  const { title, baseUrl, schemas = {} } = parsedData;
+  const services = getGrpcServices(grpcEndpoints);
+  const { target, insecure } = getGrpcTarget(baseUrl);
+  const typeNames = collectModelNames(grpcEndpoints.flatMap(endpoint => [endpoint.requestBody.schema, endpoint.responses['200'].schema]), schemas);
+
+  return `import * as path from 'path';
+import * as grpc from '@grpc/grpc-js';
+import * as protoLoader from '@grpc/proto-loader';${typeNames.length > 0 ? `
+import type { ${typeNames.map(toTsTypeName).join(', ')} } from './types';` : ''}
+
+const PROTO_DIR = path.join(__dirname, '..', 'protos');
+
+/**
+ * Loader options matching the generated types: 64-bit integers and bytes as
+ * strings, enums by name, and unset fields filled with defaults
+ */
+const LOADER_OPTIONS: protoLoader.Options = {
+  longs: String,
+  enums: String,
+  bytes: String,
+  defaults: true,
+  oneofs: true,
+  includeDirs: [PROTO_DIR]
+};
+
+/**
+ * Options for the whole client
+ */
+export interface GrpcClientOptions {
+  /** host:port of the server */
+  target?: string;
+  /** Channel credentials */
+  credentials?: grpc.ChannelCredentials;
+  /** Metadata sent with every call, e.g. authorization */
+  metadata?: Record<string, string>;
+  /** Deadline per call in milliseconds */
+  timeout?: number;
+}
+
+/**
+ * Per-call metadata and timeout
+ */
+export interface CallOptions {
+  metadata?: Record<string, string>;
+  timeout?: number;
+}
+
+/**
+ * A loaded service stub; its RPC methods are looked up by name
+ */
+type ServiceStub = grpc.Client & Record<string, (...args: unknown[]) => any>;
+
+/**
+ * ${title} gRPC Client
+ * Stubs for the RPCs without an HTTP binding, loaded from the bundled .proto
+ * files at runtime. Connects to GRPC_TARGET (default ${target})${insecure ? ' without TLS' : ' over TLS'};
+ * set GRPC_INSECURE=${insecure ? 'false to use TLS' : 'true for plaintext connections'}.
+ */
+export class GrpcClient {
+  readonly metadata: Record<string, string>;
+  readonly timeout: number;
+  readonly stubs: Record<string, ServiceStub>;
+
+  constructor(options: GrpcClientOptions = {}) {
+    const definition = protoLoader.loadSync([${Array.from(new Set(services.map(service => `'${service.file}'`))).join(', ')}], LOADER_OPTIONS);
+    const loaded = grpc.loadPackageDefinition(definition);
+    const target = options.target || process.env.GRPC_TARGET || '${target}';
+    const insecure = process.env.GRPC_INSECURE ? process.env.GRPC_INSECURE === 'true' : ${insecure};
+    const credentials = options.credentials || (insecure ? grpc.credentials.createInsecure() : grpc.credentials.createSsl());
+
+    this.metadata = options.metadata || {};
+    this.timeout = options.timeout || parseInt(process.env.GRPC_TIMEOUT || '', 10) || 30000;
+    this.stubs = {
+${services.map(service => `      ${service.name}: new (lookupService(loaded, '${service.fullName}'))(target, credentials) as ServiceStub`).join(',\n')}
+    };
+  }
+
+${grpcEndpoints.map(endpoint => generateGrpcMethod(endpoint, schemas)).join('\n\n')}
+
+  /**
+   * Close every channel
+   */
+  close(): void {
+    Object.values(this.stubs).forEach(stub => stub.close());
+  }
+
+  /**
+   * Metadata and call options for one call
+   * @param options - Per-call options: metadata and timeout
+   * @returns Metadata and call options
+   */
+  callArguments(options: CallOptions = {}): [grpc.Metadata, grpc.CallOptions] {
+    const metadata = new grpc.Metadata();
+    for (const [key, value] of Object.entries({ ...this.metadata, ...options.metadata })) {
+      metadata.set(key, value);
+    }
+    return [metadata, { deadline: Date.now() + (options.timeout || this.timeout) }];
+  }
+}
+
+/**
+ * Find a service constructor in a loaded package definition
+ * @param loaded - Result of grpc.loadPackageDefinition
+ * @param fullName - Fully qualified service name
+ * @returns Client constructor
+ */
+function lookupService(loaded: grpc.GrpcObject, fullName: string): grpc.ServiceClientConstructor {
+  const Service = fullName.split('.').reduce<unknown>((scope, name) => (scope as Record<string, unknown> | undefined)?.[name], loaded);
+  if (typeof Service !== 'function') {
+    throw new Error(\`Service \${fullName} not found in the bundled protos\`);
+  }
+  return Service as grpc.ServiceClientConstructor;
+}
+`;
+}
+
+/**
+ * Generate a method for one RPC, shaped by its streaming mode
+ */
+function generateGrpcMethod(endpoint, schemas) {
+  const { operationId, summary, description, grpc: rpc } = endpoint;
+  const methodName = toTsMethodName(operationId);
+  const requestType = toTsType(endpoint.requestBody.schema, schemas);
+  const responseType = toTsType(endpoint.responses['200'].schema, schemas);
+  const stub = `this.stubs.${rpc.service}.${rpc.method}`;
+  const header = `  /**
+   * ${summary || `${rpc.service}.${rpc.method}`}${description && description !== summary ? `\n   * ${description}` : ''}
+   * RPC: ${endpoint.path}`;
+
+  if (rpc.requestStream && rpc.responseStream) {
+    return `${header}
+   * @param options - Per-call metadata and timeout
+   * @returns Write ${requestType} messages; read ${responseType} messages from the 'data' event
+   */
+  ${methodName}(options: CallOptions = {}): grpc.ClientDuplexStream<${requestType}, ${responseType}> {
+    return ${stub}(...this.callArguments(options));
+  }`;
+  }
+
+  if (rpc.requestStream) {
+    return `${header}
+   * @param options - Per-call metadata and timeout
+   * @returns Write ${requestType} messages to \`call\`, then end it
+   */
+  ${methodName}(options: CallOptions = {}): { call: grpc.ClientWritableStream<${requestType}>; response: Promise<${responseType}> } {
+    let call!: grpc.ClientWritableStream<${requestType}>;
+    const response = new Promise<${responseType}>((resolve, reject) => {
+      call = ${stub}(...this.callArguments(options), (error: grpc.ServiceError | null, message: ${responseType}) => (error ? reject(error) : resolve(message)));
+    });
+    return { call, response };
+  }`;
+  }
+
+  if (rpc.responseStream) {
+    return `${header}
+   * @param request - Request message
+   * @param options - Per-call metadata and timeout
+   * @returns Emits ${responseType} messages as 'data' events
+   */
+  ${methodName}(request: ${requestType} = {}, options: CallOptions = {}): grpc.ClientReadableStream<${responseType}> {
+    return ${stub}(request, ...this.callArguments(options));
+  }`;
+  }
+
+  return `${header}
+   * @param request - Request message
+   * @param options - Per-call metadata and timeout
+   * @returns Response message
+   */
+  ${methodName}(request: ${requestType} = {}, options: CallOptions = {}): Promise<${responseType}> {
+    return new Promise((resolve, reject) => {
+      ${stub}(request, ...this.callArguments(options), (error: grpc.ServiceError | null, response: ${responseType}) => (error ? reject(error) : resolve(response)));
+    });
+  }`;
+}
+
+/**
+ * Generate authentication handler
+ */
+function generateAuthHandler(securitySchemes) {
+  const schemes = {};
+  for (const [name, scheme] of Object.entries(securitySchemes)) {
+    schemes[name] = {
+      type: scheme.type,
+      name: scheme.name,
+      in: scheme.in || 'header',
+      envVar: toCredentialEnvName(name)
+    };
+    if (scheme.type === 'oauth2') {
+      schemes[name].flows = getTokenFlows(scheme);
+    }
+  }
+
+  return `import axios, { AxiosInstance } from 'axios';
+import { Config } from '../config/Config';
+import { OAuthSettings, SecurityScheme, TokenManager } from './TokenManager';
+
+/**
+ * Security requirement of an endpoint: scheme names mapped to the scopes they need
+ */
+export type SecurityRequirement = Record<string, string[]>;
+
+/**
+ * Headers and query parameters that authenticate a request
+ */
+export interface AuthResult {
+  headers: Record<string, string>;
+  params: Record<string, string>;
+}
+
+/**
+ * Security schemes declared by the API, keyed by scheme name
+ */
+export const SECURITY_SCHEMES: Record<string, SecurityScheme> = ${JSON.stringify(schemes, null, 2)};
+
+/**
+ * OAuth 2.0 client settings and the environment variable suffix each is read from
+ */
+const OAUTH_SETTINGS: Record<string, string> = {
+  clientId: 'CLIENT_ID',
+  clientSecret: 'CLIENT_SECRET',
+  username: 'USERNAME',
+  password: 'PASSWORD',
+  refreshToken: 'REFRESH_TOKEN',
+  authorizationCode: 'AUTHORIZATION_CODE',
+  redirectUri: 'REDIRECT_URI',
+  tokenUrl: 'TOKEN_URL'
+};
+
+/**
+ * Authentication Handler
+ * Applies the security schemes required by each endpoint
+ */
+export class AuthHandler {
+  readonly config: Config;
+  readonly httpClient: AxiosInstance;
+  readonly tokenManagers: Record<string, TokenManager> = {};
+
+  constructor(config: Config, httpClient: AxiosInstance = axios) {
+    this.config = config;
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Resolve authentication for a request.
+   * Requirements are alternatives: the first one whose credentials are all
+   * configured is applied. An empty requirement makes authentication optional.
+   * @param security - Security requirements, e.g. [{ apiKeyAuth: [] }]
+   * @returns Auth headers and query parameters
+   */
+  async getAuth(security: SecurityRequirement[] = []): Promise<AuthResult> {
+    const auth: AuthResult = { headers: {}, params: {} };
+    if (security.length === 0) {
+      return auth;
+    }
+
+    const requirement = this.selectRequirement(security);
+    if (!requirement) {
+      if (security.some(req => Object.keys(req).length === 0)) {
+        return auth;
+      }
+      const options = security.map(req => Object.keys(req).join(' + ')).join(' or ');
+      throw new Error(\`Missing credentials: this endpoint requires \${options}\`);
+    }
+
+    for (const [schemeName, scopes] of Object.entries(requirement)) {
+      await this.applyScheme(schemeName, scopes, auth);
+    }
+    return auth;
+  }
+
+  /**
+   * Get authentication headers for the given security requirements
+   * @param security - Security requirements
+   * @returns Authentication headers
+   */
+  async getAuthHeaders(security: SecurityRequirement[] = []): Promise<Record<string, string>> {
+    const auth = await this.getAuth(security);
+    return auth.headers;
+  }
+
+  /**
+   * Drop the cached OAuth 2.0 tokens used for a request, e.g. after a 401 response
+   * @param security - Security requirements of the request
+   * @returns True if a managed token was invalidated and the request can be retried
+   */
+  invalidateTokens(security: SecurityRequirement[] = []): boolean {
+    const requirement = this.selectRequirement(security);
+    if (!requirement) {
+      return false;
+    }
+
+    let invalidated = false;
+    for (const [schemeName, scopes] of Object.entries(requirement)) {
+      if (this.usesTokenManager(schemeName)) {
+        this.getTokenManager(schemeName).invalidate(scopes);
+        invalidated = true;
+      }
+    }
+    return invalidated;
+  }
+
+  /**
+   * Pick the first non-empty requirement whose schemes are all configured
+   */
+  selectRequirement(security: SecurityRequirement[]): SecurityRequirement | undefined {
+    return security.find(req =>
+      Object.keys(req).length > 0 && Object.keys(req).every(name => this.isConfigured(name))
+    );
+  }
+
+  /**
+   * Check whether a scheme has a credential or can obtain one
+   */
+  isConfigured(schemeName: string): boolean {
+    return Boolean(this.getCredential(schemeName)) || this.usesTokenManager(schemeName);
+  }
+
+  /**
+   * Check whether a scheme's token is obtained from the token endpoint rather than configured
+   */
+  usesTokenManager(schemeName: string): boolean {
+    const scheme = SECURITY_SCHEMES[schemeName];
+    return Boolean(scheme) && scheme.type === 'oauth2' && !this.getCredential(schemeName) &&
+      this.getTokenManager(schemeName).canAcquireToken();
+  }
+
+  /**
+   * Get the token manager of an OAuth 2.0 scheme, creating it on first use
+   * @param schemeName - Security scheme name
+   * @returns Token manager shared by all requests using the scheme
+   */
+  getTokenManager(schemeName: string): TokenManager {
+    if (!this.tokenManagers[schemeName]) {
+      const scheme = SECURITY_SCHEMES[schemeName];
+      const settings: Record<string, string> = {};
+      for (const [key, suffix] of Object.entries(OAUTH_SETTINGS)) {
+        const value = process.env[\`\${scheme.envVar}_\${suffix}\`];
+        if (value) settings[key] = value;
+      }
+
+      this.tokenManagers[schemeName] = new TokenManager(scheme, { ...settings, ...this.config.oauth2[schemeName] } as OAuthSettings, {
+        baseUrl: this.config.baseUrl,
+        timeout: this.config.timeout,
+        httpClient: this.httpClient
+      });
+    }
+    return this.tokenManagers[schemeName];
+  }
+
+  /**
+   * Look up the configured credential for a security scheme.
+   * Per-scheme credentials take precedence over the generic settings.
+   * @param schemeName - Security scheme name
+   * @returns Credential value
+   */
+  getCredential(schemeName: string): string | undefined {
+    const scheme = SECURITY_SCHEMES[schemeName];
+    if (!scheme) {
+      return undefined;
+    }
+
+    const explicit = this.config.credentials[schemeName] || process.env[scheme.envVar];
+    if (explicit) {
+      return explicit;
+    }
+
+    switch (scheme.type) {
+      case 'bearer':
+        return this.config.bearerToken || this.config.apiKey;
+      case 'apiKey':
+        return this.config.apiKey;
+      case 'basic':
+        return this.config.username && this.config.password
+          ? \`\${this.config.username}:\${this.config.password}\`
+          : undefined;
+      case 'oauth2':
+        return this.config.accessToken;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Apply a single security scheme to the outgoing request
+   * @param schemeName - Security scheme name
+   * @param scopes - Scopes required by the endpoint
+   * @param auth - Headers and query parameters being built
+   */
+  async applyScheme(schemeName: string, scopes: string[], auth: AuthResult): Promise<void> {
+    const scheme = SECURITY_SCHEMES[schemeName];
+    const credential = this.getCredential(schemeName) || '';
+
+    switch (scheme.type) {
+      case 'bearer':
+        auth.headers['Authorization'] = \`Bearer \${credential}\`;
+        break;
+      case 'oauth2': {
+        const token = credential || await this.getTokenManager(schemeName).getToken(scopes);
+        auth.headers['Authorization'] = \`Bearer \${token}\`;
+        break;
+      }
+      case 'basic':
+        auth.headers['Authorization'] = \`Basic \${Buffer.from(credential).toString('base64')}\`;
+        break;
+      case 'apiKey':
+        if (scheme.in === 'query') {
+          auth.params[scheme.name || schemeName] = credential;
+        } else if (scheme.in === 'cookie') {
+          auth.headers['Cookie'] = [auth.headers['Cookie'], \`\${scheme.name}=\${credential}\`].filter(Boolean).join('; ');
+        } else {
+          auth.headers[scheme.name || schemeName] = credential;
+        }
+        break;
+    }
+  }
+}
+`;
+}
+
+/**
+ * Generate OAuth 2.0 token manager
+ */
+function generateTokenManager() {
+  return `import axios, { AxiosInstance } from 'axios';
+
+/**
+ * OAuth 2.0 flows that can obtain tokens without user interaction, in order of preference
+ */
+const TOKEN_FLOWS = ['authorizationCode', 'password', 'clientCredentials'];
+
+/**
+ * Token and refresh endpoints of an OAuth 2.0 flow
+ */
+export interface OAuthFlow {
+  tokenUrl: string;
+  refreshUrl?: string;
+}
+
+/**
+ * Security scheme as declared by the API
+ */
+export interface SecurityScheme {
+  type: string;
+  name?: string;
+  in?: string;
+  envVar: string;
+  flows?: Record<string, OAuthFlow>;
+}
+
+/**
+ * OAuth 2.0 client settings
+ */
+export interface OAuthSettings {
+  flow?: string;
+  clientId?: string;
+  clientSecret?: string;
+  username?: string;
+  password?: string;
+  refreshToken?: string;
+  authorizationCode?: string;
+  redirectUri?: string;
+  tokenUrl?: string;
+  refreshUrl?: string;
+  /** Send client credentials in the form body instead of a Basic header */
+  clientAuthentication?: 'basic' | 'body';
+}
+
+/**
+ * Token endpoint options
+ */
+export interface TokenManagerOptions {
+  baseUrl?: string;
+  timeout?: number;
+  httpClient?: AxiosInstance;
+}
+
+interface TokenResponse {
+  access_token: string;
+  refresh_token?: string;
+  expires_in?: number | string;
+  token_type?: string;
+}
+
+interface TokenEntry {
+  accessToken?: string;
+  refreshToken?: string;
+  expiresAt: number | null;
+}
+
+/**
+ * OAuth 2.0 Token Manager
+ * Fetches access tokens from the token endpoint, caches them until they expire,
+ * refreshes them with the refresh token and shares a single in-flight request
+ * between concurrent callers.
+ */
+export class TokenManager {
+  readonly scheme: Pick<SecurityScheme, 'flows'>;
+  readonly settings: OAuthSettings;
+  readonly baseUrl: string;
+  readonly timeout: number;
+  readonly httpClient: AxiosInstance;
+  private readonly tokens = new Map<string, TokenEntry>();
+  private readonly pending = new Map<string, Promise<string>>();
+  private authorizationCodeUsed = false;
+  // Most recent refresh token, so a used authorization code can still be refreshed
+  private refreshToken: string | undefined;
+
+  /**
+   * @param scheme - Security scheme with its OAuth 2.0 flows
+   * @param settings - Client settings (clientId, clientSecret, username, password, refreshToken, ...)
+   * @param options - Token endpoint options (baseUrl, timeout, httpClient)
+   */
+  constructor(scheme: Pick<SecurityScheme, 'flows'>, settings: OAuthSettings = {}, options: TokenManagerOptions = {}) {
+    this.scheme = scheme;
+    this.settings = settings;
+    this.baseUrl = options.baseUrl || '';
+    this.timeout = options.timeout || 30000;
+    this.httpClient = options.httpClient || axios;
+    this.refreshToken = settings.refreshToken;
+  }
+
+  /**
+   * Name of the flow used to obtain tokens
+   */
+  get flow(): string | undefined {
+    if (this.settings.flow) {
+      return this.settings.flow;
+    }
+
+    const flows = this.scheme.flows || {};
+    const available = TOKEN_FLOWS.filter(name => flows[name]);
+    const usable = available.find(name => this.hasGrantCredentials(name));
+    return usable || available[0] || (this.settings.tokenUrl ? 'clientCredentials' : undefined);
+  }
+
+  get tokenUrl(): string | undefined {
+    const flow = this.flow ? (this.scheme.flows || {})[this.flow] : undefined;
+    return this.settings.tokenUrl || (flow && flow.tokenUrl);
+  }
+
+  get refreshUrl(): string | undefined {
+    const flow = this.flow ? (this.scheme.flows || {})[this.flow] : undefined;
+    return this.settings.refreshUrl || (flow && flow.refreshUrl) || this.tokenUrl;
+  }
+
+  /**
+   * Check whether enough settings are configured to obtain a token
+   * @returns True if getToken() can succeed
+   */
+  canAcquireToken(): boolean {
+    return Boolean(this.tokenUrl) && Boolean(this.refreshToken || this.hasGrantCredentials(this.flow));
+  }
+
+  /**
+   * Get a valid access token for the given scopes, fetching or refreshing it when needed
+   * @param scopes - Scopes to request
+   * @returns Access token
+   */
+  async getToken(scopes: string[] = []): Promise<string> {
+    const key = this.cacheKey(scopes);
+    const cached = this.tokens.get(key);
+    if (cached && cached.accessToken && !this.isExpired(cached)) {
+      return cached.accessToken;
+    }
+
+    // Concurrent callers wait for the same token request
+    let request = this.pending.get(key);
+    if (!request) {
+      request = this.fetchToken(key, scopes).finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+    return request;
+  }
+
+  /**
+   * Discard the cached access token, keeping the refresh token for the next fetch
+   * @param scopes - Scopes the token was requested for
+   */
+  invalidate(scopes: string[] = []): void {
+    const cached = this.tokens.get(this.cacheKey(scopes));
+    if (cached) {
+      cached.accessToken = undefined;
+    }
+  }
+
+  /**
+   * Obtain a new token, preferring the refresh token over a new grant
+   */
+  private async fetchToken(key: string, scopes: string[]): Promise<string> {
+    const cached = this.tokens.get(key);
+    const refreshToken = (cached && cached.refreshToken) || this.refreshToken;
+    let token: TokenResponse | undefined;
+
+    if (refreshToken) {
+      try {
+        token = await this.requestToken(this.refreshUrl, {
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken
+        }, scopes);
+      } catch (error) {
+        // An expired or revoked refresh token falls back to a new grant when possible
+        if (!this.hasGrantCredentials(this.flow)) {
+          throw error;
+        }
+      }
+    }
+
+    if (!token) {
+      token = await this.requestToken(this.tokenUrl, this.getGrantParams(), scopes);
+    }
+
+    const entry: TokenEntry = {
+      accessToken: token.access_token,
+      refreshToken: token.refresh_token || refreshToken,
+      expiresAt: this.getExpiry(token.expires_in)
+    };
+    this.tokens.set(key, entry);
+    if (token.refresh_token) {
+      this.refreshToken = token.refresh_token;
+    }
+    return token.access_token;
+  }
+
+  /**
+   * Check whether the grant for a flow can be performed with the configured settings
+   */
+  private hasGrantCredentials(flow: string | undefined): boolean {
+    switch (flow) {
+      case 'clientCredentials':
+        return Boolean(this.settings.clientId);
+      case 'password':
+        return Boolean(this.settings.username && this.settings.password);
+      case 'authorizationCode':
+        return Boolean(this.settings.authorizationCode) && !this.authorizationCodeUsed;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Build the token request parameters for the selected flow
+   */
+  private getGrantParams(): Record<string, string> {
+    switch (this.flow) {
+      case 'clientCredentials':
+        return { grant_type: 'client_credentials' };
+      case 'password':
+        return { grant_type: 'password', username: this.settings.username || '', password: this.settings.password || '' };
+      case 'authorizationCode':
+        if (!this.hasGrantCredentials('authorizationCode')) {
+          throw new Error('OAuth 2.0 authorization code flow needs a refresh token or an unused authorization code');
+        }
+        // Authorization codes are single-use; later tokens come from the refresh token
+        this.authorizationCodeUsed = true;
+        return {
+          grant_type: 'authorization_code',
+          code: this.settings.authorizationCode || '',
+          ...(this.settings.redirectUri && { redirect_uri: this.settings.redirectUri })
+        };
+      default:
+        throw new Error(\`OAuth 2.0 flow "\${this.flow}" cannot obtain tokens automatically; configure an access token instead\`);
+    }
+  }
+
+  /**
+   * Call the token endpoint
+   * @param url - Token endpoint URL, absolute or relative to the API base URL
+   * @param params - Grant parameters
+   * @param scopes - Scopes to request
+   * @returns Token response
+   */
+  private async requestToken(url: string | undefined, params: Record<string, string>, scopes: string[]): Promise<TokenResponse> {
+    const form = new URLSearchParams(params);
+    if (scopes.length > 0) {
+      form.set('scope', scopes.join(' '));
+    }
+
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+    const { clientId, clientSecret } = this.settings;
+    if (clientId && clientSecret && this.settings.clientAuthentication !== 'body') {
+      const credentials = \`\${encodeURIComponent(clientId)}:\${encodeURIComponent(clientSecret)}\`;
+      headers['Authorization'] = \`Basic \${Buffer.from(credentials).toString('base64')}\`;
+    } else if (clientId) {
+      form.set('client_id', clientId);
+      if (clientSecret) form.set('client_secret', clientSecret);
+    }
+
+    const response = await this.httpClient.request<TokenResponse>({
+      method: 'POST',
+      url,
+      baseURL: this.baseUrl || undefined,
+      timeout: this.timeout,
+      headers,
+      data: form.toString()
+    });
+
+    if (!response.data || !response.data.access_token) {
+      throw new Error('Token endpoint response did not include an access_token');
+    }
+    return response.data;
+  }
+
+  /**
+   * Compute when a token should be treated as expired, leaving a safety margin
+   */
+  private getExpiry(expiresIn: number | string | undefined): number | null {
+    const seconds = Number(expiresIn);
+    if (!seconds) {
+      return null;
+    }
+    return Date.now() + seconds * 1000 - Math.min(30000, seconds * 500);
+  }
+
+  private isExpired(entry: TokenEntry): boolean {
+    return entry.expiresAt !== null && Date.now() >= entry.expiresAt;
+  }
+
+  private cacheKey(scopes: string[]): string {
+    return [...scopes].sort().join(' ');
+  }
+}
+`;
+}
+
+/**
+ * Generate request handler
+ */
+function generateRequestHandler() {
+  return `import { AxiosInstance, AxiosRequestConfig } from 'axios';
+import { Config } from '../config/Config';
+
+/**
+ * HTTP status of a failed request, if the server responded
+ * @param error - Error thrown by axios
+ * @returns Response status
+ */
+export function getResponseStatus(error: unknown): number | undefined {
+  if (typeof error !== 'object' || error === null) {
+    return undefined;
+  }
+  const { response } = error as { response?: { status?: number } };
+  return response ? response.status : undefined;
+}
+
+/**
+ * Request Handler
+ * Handles HTTP requests with retry logic and proper error handling
+ */
+export class RequestHandler {
+  readonly config: Config;
+  readonly client: AxiosInstance;
+
+  constructor(config: Config, client: AxiosInstance) {
+    this.config = config;
+    this.client = client;
+  }
+
+  /**
+   * Make HTTP request with retry logic
+   * @param config - Axios request config
+   * @returns Response data
+   */
+  async makeRequest<T>(config: AxiosRequestConfig): Promise<T> {
+    const maxRetries = this.config.maxRetries || 3;
+    let lastError: unknown;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const response = await this.client.request<T>(config);
+        return response.data;
+      } catch (error) {
+        lastError = error;
+        const status = getResponseStatus(error);
+
+        // Don't retry on client errors (4xx) except 429 (rate limit)
+        if (status !== undefined && status >= 400 && status < 500 && status !== 429) {
+          throw error;
+        }
+
+        // Don't retry on server errors (5xx) if it's the last attempt
+        if (attempt === maxRetries) {
+          throw error;
+        }
+
+        // Wait before retrying (exponential backoff)
+        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+        await this.sleep(delay);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Sleep for specified milliseconds
+   * @param ms - Milliseconds to sleep
+   */
+  sleep(ms: number): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+`;
+}
+
+/**
+ * Generate error handler
+ */
+function generateErrorHandler() {
+  return `import { AxiosError, AxiosRequestConfig, isAxiosError } from 'axios';
+
+/**
+ * Custom API Error class
+ */
+export class ApiError extends Error {
+  readonly status: number;
+  readonly data: unknown;
+  readonly request: unknown;
+  readonly config: AxiosRequestConfig | undefined;
+  readonly timestamp: string;
+
+  constructor(status: number, message: string, data: unknown, request: unknown, config?: AxiosRequestConfig) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.request = request;
+    this.config = config;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+/**
+ * Error Handler
+ * Handles and formats API errors consistently
+ */
+export class ErrorHandler {
+  /**
+   * Handle API errors and throw formatted exceptions
+   * @param error - Axios error
+   * @throws {ApiError} Formatted API error
+   */
+  handleError(error: unknown): never {
+    if (!isAxiosError(error)) {
+      throw new ApiError(0, error instanceof Error ? error.message : String(error), null, null);
+    }
+
+    const axiosError: AxiosError = error;
+    if (axiosError.response) {
+      // Server responded with error status
+      const { status, statusText, data } = axiosError.response;
+      throw new ApiError(status, statusText, data, axiosError.request, axiosError.config);
+    } else if (axiosError.request) {
+      // Request was made but no response received
+      throw new ApiError(0, 'No response received', null, axiosError.request, axiosError.config);
+    } else {
+      // Something else happened
+      throw new ApiError(0, axiosError.message, null, null, axiosError.config);
+    }
+  }
+}
+`;
+}
+
+/**
+ * Generate configuration
+ */
+function generateConfig() {
+  return `import * as dotenv from 'dotenv';
+import { OAuthSettings } from '../auth/TokenManager';
+
+dotenv.config();
+
+/**
+ * Options accepted by the client; unset values are read from the environment
+ */
+export interface ConfigOptions {
+  baseUrl?: string;
+  timeout?: number;
+  maxRetries?: number;
+  /** Credentials keyed by security scheme name */
+  credentials?: Record<string, string>;
+  /** OAuth 2.0 client settings keyed by security scheme name */
+  oauth2?: Record<string, OAuthSettings>;
+  apiKey?: string;
+  bearerToken?: string;
+  username?: string;
+  password?: string;
+  accessToken?: string;
+}
+
+/**
+ * Configuration Manager
+ * Manages API client configuration with environment variable support
+ */
+export class Config {
+  readonly baseUrl: string;
+  readonly timeout: number;
+  readonly maxRetries: number;
+
+  // Authentication
+  readonly credentials: Record<string, string>;
+  readonly oauth2: Record<string, OAuthSettings>;
+  readonly apiKey: string | undefined;
+  readonly bearerToken: string | undefined;
+  readonly username: string | undefined;
+  readonly password: string | undefined;
+  readonly accessToken: string | undefined;
+
+  constructor(config: ConfigOptions = {}) {
+    this.baseUrl = config.baseUrl || process.env.API_BASE_URL || '';
+    this.timeout = config.timeout || parseInt(process.env.API_TIMEOUT || '', 10) || 30000;
+    this.maxRetries = config.maxRetries || parseInt(process.env.API_MAX_RETRIES || '', 10) || 3;
+
+    this.credentials = config.credentials || {};
+    this.oauth2 = config.oauth2 || {};
+    this.apiKey = config.apiKey || process.env.API_KEY;
+    this.bearerToken = config.bearerToken || process.env.API_BEARER_TOKEN;
+    this.username = config.username || process.env.API_USERNAME;
+    this.password = config.password || process.env.API_PASSWORD;
+    this.accessToken = config.accessToken || process.env.API_ACCESS_TOKEN;
+  }
+}
+`;
+}
+
+/**
+ * Generate test files
+ */
+function generateTests(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+
+  return `import { ApiClient } from '../src/ApiClient';
+
+describe('${title} API Client', () => {
+  let client: ApiClient;
+
+  beforeEach(() => {
+    client = new ApiClient({
+      baseUrl: 'https://api.example.com',
+      apiKey: 'test-api-key'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Configuration', () => {
+    test('should initialize with correct configuration', () => {
+      expect(client.config.baseUrl).toBe('https://api.example.com');
+      expect(client.config.apiKey).toBe('test-api-key');
+    });
+  });
+
+${endpoints.map(endpoint => endpoint.graphql ? generateGraphqlTest(endpoint, schemas) : generateEndpointTest(endpoint, schemas)).join('\n\n')}
+${endpoints.some(endpoint => endpoint.graphql) ? generateGraphqlErrorTest(endpoints.find(endpoint => endpoint.graphql), schemas) : ''}
+  describe('sendRequest', () => {
+    test('should retry once with a fresh token after a 401 response', async () => {
+      const unauthorized = Object.assign(new Error('Unauthorized'), { response: { status: 401 } });
+      jest.spyOn(client.authHandler, 'getAuth')
+        .mockResolvedValueOnce({ headers: { Authorization: 'Bearer stale' }, params: {} })
+        .mockResolvedValueOnce({ headers: { Authorization: 'Bearer fresh' }, params: {} });
+      jest.spyOn(client.authHandler, 'invalidateTokens').mockReturnValue(true);
+      const makeRequest = jest.spyOn(client.requestHandler, 'makeRequest')
+        .mockRejectedValueOnce(unauthorized)
+        .mockResolvedValueOnce({ success: true });
+
+      const result = await client.sendRequest([{ oauth2: [] }], auth => ({ url: '/', headers: auth.headers }));
+
+      expect(result).toEqual({ success: true });
+      expect(makeRequest).toHaveBeenLastCalledWith({ url: '/', headers: { Authorization: 'Bearer fresh' } });
+    });
+
+    test('should not retry a 401 response without managed tokens', async () => {
+      const unauthorized = Object.assign(new Error('Unauthorized'), { response: { status: 401 } });
+      jest.spyOn(client.authHandler, 'getAuth').mockResolvedValue({ headers: {}, params: {} });
+      jest.spyOn(client.authHandler, 'invalidateTokens').mockReturnValue(false);
+      const makeRequest = jest.spyOn(client.requestHandler, 'makeRequest').mockRejectedValue(unauthorized);
+
+      await expect(client.sendRequest([], () => ({ url: '/' }))).rejects.toThrow('Unauthorized');
+      expect(makeRequest).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+`;
+}
+
+/**
+ * Generate endpoint test
+ */
+function generateEndpointTest(endpoint, schemas) {
+  const { method, path, operationId } = endpoint;
+  const methodName = toTsMethodName(operationId);
+
+  // Path parameters get recognizable values so the expected URL can be checked
+  const values = {};
+  const requiredFields = getMethodFields(endpoint, schemas).filter(field => field.required);
+  for (const field of requiredFields) {
+    values[field.key] = field.in === 'path' && field.type === 'string' ? `test-${field.key}` : getTypedExample(field.schema, schemas);
+  }
+  const expectedUrl = requiredFields
+    .filter(field => field.in === 'path')
+    .reduce((url, field) => url.replace(`{${field.name}}`, encodeURIComponent(String(values[field.key]))), path);
+
+  return `  describe('${methodName}', () => {
+    test('should make ${method} request to ${path}', async () => {
+      const mockResponse = { data: { success: true } };
+      jest.spyOn(client.authHandler, 'getAuth').mockResolvedValue({ headers: {}, params: {} });
+      const makeRequest = jest.spyOn(client.requestHandler, 'makeRequest').mockResolvedValue(mockResponse);
+
+      const result = await client.${methodName}(${Object.keys(values).length > 0 ? toTsLiteral(values) : ''});
+
+      expect(makeRequest).toHaveBeenCalledWith(
+        expect.objectContaining({
+          method: '${method}',
+          url: '${expectedUrl}'
+        })
+      );
+      expect(result).toEqual(mockResponse);
+    });
+  });`;
+}
+
+/**
+ * Generate a GraphQL operation test
+ */
+function generateGraphqlTest(endpoint, schemas) {
+  const { operationId, path, graphql } = endpoint;
+  const methodName = toTsMethodName(operationId);
+
+  return `  describe('${methodName}', () => {
+    test('should POST the ${graphql.operationName || operationId} ${graphql.operationType} to ${path}', async () => {
+      jest.spyOn(client.authHandler, 'getAuth').mockResolvedValue({ headers: {}, params: {} });
+      const makeRequest = jest.spyOn(client.requestHandler, 'makeRequest').mockResolvedValue({ data: { success: true } });
+
+      const result = await client.${methodName}(${generateExampleVariables(endpoint, schemas)});
+
+      expect(makeRequest).toHaveBeenCalledWith(
+        expect.objectContaining({
+          method: 'POST',
+          url: '${path}',
+          data: expect.objectContaining({ query: expect.stringContaining('${graphql.operationType}') })
+        })
+      );
+      expect(result).toEqual({ success: true });
+    });
+  });`;
+}
+
+/**
+ * Generate the test for GraphQL errors reported in a 200 response
+ */
+function generateGraphqlErrorTest(endpoint, schemas) {
+  return `
+  describe('executeGraphql', () => {
+    test('should throw GraphQL errors with the partial data', async () => {
+      jest.spyOn(client.authHandler, 'getAuth').mockResolvedValue({ headers: {}, params: {} });
+      jest.spyOn(client.requestHandler, 'makeRequest').mockResolvedValue({
+        data: { partial: true },
+        errors: [{ message: 'Not authorized' }]
+      });
+
+      await expect(client.${toTsMethodName(endpoint.operationId)}(${generateExampleVariables(endpoint, schemas)})).rejects.toMatchObject({
+        name: 'GraphQLError',
+        message: 'Not authorized',
+        data: { partial: true }
+      });
+    });
+  });
+`;
+}
+
+/**
+ * Example variables object for a GraphQL operation
+ */
+function generateExampleVariables(endpoint, schemas) {
+  const variablesSchema = endpoint.requestBody?.schema;
+  return variablesSchema ? toTsLiteral(getTypedExample({ ref: variablesSchema.ref }, schemas)) : '{}';
+}
+
+/**
+ * Example arguments for a REST method: its required values, or none
+ */
+function generateExampleArguments(endpoint, schemas) {
+  const values = {};
+  for (const field of getMethodFields(endpoint, schemas).filter(field => field.required)) {
+    values[field.key] = getTypedExample(field.schema, schemas);
+  }
+  return Object.keys(values).length > 0 ? toTsLiteral(values) : '';
+}
+
+/**
+ * Example payload of a channel operation that type-checks against its payload type
+ */
+function generatePayloadExample(endpoint, schemas) {
+  const { messaging } = endpoint;
+  return toTsLiteral(isJsonContentType(messaging.contentType) ? getTypedExample(messaging.payload, schemas) : 'example');
+}
+
+/**
+ * Generate event client tests, run against the in-process broker
+ */
+function generateEventClientTests(parsedData, messagingEndpoints) {
+  const { title, schemas = {} } = parsedData;
+
+  return `import { Broker } from '../src/messaging/Broker';
+import { EventClient } from '../src/EventClient';
+import { InMemoryBroker } from '../src/messaging/InMemoryBroker';
+
+describe('${title} Event Client', () => {
+  let broker: InMemoryBroker;
+  let client: EventClient;
+
+  beforeEach(() => {
+    broker = new InMemoryBroker();
+    client = new EventClient(broker);
+  });
+
+  test('should require a broker adapter', () => {
+    expect(() => new EventClient(undefined as unknown as Broker)).toThrow('publish and subscribe');
+  });
+
+${messagingEndpoints.map(endpoint => endpoint.messaging.action === 'publish'
+    ? generatePublishTest(endpoint, schemas)
+    : generateSubscribeTest(endpoint, schemas)).join('\n\n')}
+});
+`;
+}
+
+/**
+ * Generate the test for a publishing method
+ */
+function generatePublishTest(endpoint, schemas) {
+  const { operationId, parameters, messaging } = endpoint;
+  const methodName = toTsMethodName(operationId);
+  const isJson = isJsonContentType(messaging.contentType);
+  const address = toExampleAddress(endpoint);
+
+  return `  describe('${methodName}', () => {
+    test('should publish to ${messaging.address}', async () => {
+      const received = jest.fn();
+      await broker.subscribe('${address}', received);
+
+      await client.${methodName}(${generatePayloadExample(endpoint, schemas)}, ${generateExampleParameters(parameters)});
+
+      expect(received).toHaveBeenCalledWith(expect.objectContaining({
+        address: '${address}',
+        headers: expect.objectContaining({ 'content-type': '${messaging.contentType}' }),
+        payload: ${isJson ? `JSON.stringify(${generatePayloadExample(endpoint, schemas)})` : `'example'`}
+      }));
+    });${parameters.length > 0 ? `
+
+    test('should reject a missing channel parameter', async () => {
+      const parameters = {} as Parameters<EventClient['${methodName}']>[1];
+      await expect(client.${methodName}(${generatePayloadExample(endpoint, schemas)}, parameters)).rejects.toThrow('Missing channel parameter "${parameters[0].name}"');
+    });` : ''}
+  });`;
+}
+
+/**
+ * Generate the tests for a subscribing method
+ */
+function generateSubscribeTest(endpoint, schemas) {
+  const { operationId, messaging } = endpoint;
+  const methodName = toTsMethodName(operationId);
+  const isJson = isJsonContentType(messaging.contentType);
+  const address = toExampleAddress(endpoint);
+  const message = `{
+        headers: { 'content-type': '${messaging.contentType}' },
+        payload: ${isJson ? 'JSON.stringify(payload)' : 'payload'}
+      }`;
+
+  return `  describe('${methodName}', () => {
+    test('should deliver ${messaging.address} messages', async () => {
+      const payload = ${generatePayloadExample(endpoint, schemas)};
+      const handler = jest.fn();
+      await client.${methodName}(handler);
+
+      await broker.publish('${address}', ${message});
+
+      expect(handler).toHaveBeenCalledWith(payload, expect.objectContaining({ address: '${address}' }));
+    });
+
+    test('should stop delivering after unsubscribing', async () => {
+      const payload = ${generatePayloadExample(endpoint, schemas)};
+      const handler = jest.fn();
+      const unsubscribe = await client.${methodName}(handler);
+
+      await unsubscribe();
+      await broker.publish('${address}', ${message});
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });`;
+}
+
+/**
+ * Example value of a channel parameter, typed like the parameter
+ */
+function getChannelParameterValue(param) {
+  const example = getChannelParameterExample(param);
+  switch (param.type) {
+    case 'integer':
+    case 'number':
+      return Number.isFinite(Number(example)) ? Number(example) : 1;
+    case 'boolean':
+      return example !== 'false';
+    default:
+      return example;
+  }
+}
+
+/**
+ * Channel address with every parameter filled in with its typed example value
+ */
+function toExampleAddress(endpoint) {
+  return endpoint.parameters.reduce(
+    (address, param) => address.split(`{${param.name}}`).join(String(getChannelParameterValue(param))),
+    endpoint.messaging.address
+  );
+}
+
+/**
+ * Channel parameters object for generated tests and examples
+ */
+function generateExampleParameters(parameters) {
+  if (parameters.length === 0) return '{}';
+  return toTsLiteral(Object.fromEntries(parameters.map(param => [param.name, getChannelParameterValue(param)])));
+}
+
+/**
+ * Generate gRPC client tests, run against an in-process server built from the same protos
+ */
+function generateGrpcClientTests(parsedData, grpcEndpoints) {
+  const { title } = parsedData;
+  const services = getGrpcServices(grpcEndpoints);
+  const unary = grpcEndpoints.find(endpoint => !endpoint.grpc.requestStream && !endpoint.grpc.responseStream);
+
+  return `import * as path from 'path';
+import { Readable } from 'stream';
+import * as grpc from '@grpc/grpc-js';
+import * as protoLoader from '@grpc/proto-loader';
+import { GrpcClient } from '../src/GrpcClient';
+
+const definition = protoLoader.loadSync([${Array.from(new Set(services.map(service => `'${service.file}'`))).join(', ')}], {
+  longs: String,
+  enums: String,
+  bytes: String,
+  defaults: true,
+  oneofs: true,
+  includeDirs: [path.join(__dirname, '..', 'protos')]
+});
+const loaded = grpc.loadPackageDefinition(definition);
+
+type Message = Record<string, unknown>;
+
+/**
+ * Service definition for a fully qualified service name
+ */
+function serviceDefinition(fullName: string): grpc.ServiceDefinition {
+  const Service = fullName.split('.').reduce<unknown>((scope, name) => (scope as Record<string, unknown>)[name], loaded);
+  return (Service as grpc.ServiceClientConstructor).service;
+}
+
+/**
+ * Fake implementation: unary and client-streaming RPCs answer with an empty
+ * message, server streams send one, and bidirectional streams echo
+ */
+const received: Array<{ request: Message; metadata: grpc.Metadata }> = [];
+let failure: Partial<grpc.StatusObject> | null = null;
+
+const implementation = {
+  unary: (call: grpc.ServerUnaryCall<Message, Message>, callback: grpc.sendUnaryData<Message>) => {
+    received.push({ request: call.request, metadata: call.metadata });
+    callback(failure, failure ? undefined : {});
+  },
+  serverStream: (call: grpc.ServerWritableStream<Message, Message>) => {
+    received.push({ request: call.request, metadata: call.metadata });
+    call.write({});
+    call.end();
+  },
+  clientStream: (call: grpc.ServerReadableStream<Message, Message>, callback: grpc.sendUnaryData<Message>) => {
+    call.on('data', (message: Message) => received.push({ request: message, metadata: call.metadata }));
+    call.on('end', () => callback(null, {}));
+  },
+  bidiStream: (call: grpc.ServerDuplexStream<Message, Message>) => {
+    call.on('data', (message: Message) => call.write(message));
+    call.on('end', () => call.end());
+  }
+};
+
+function collect(stream: Readable): Promise<unknown[]> {
+  return new Promise((resolve, reject) => {
+    const messages: unknown[] = [];
+    stream.on('data', message => messages.push(message));
+    stream.on('end', () => resolve(messages));
+    stream.on('error', reject);
+  });
+}
+
+describe('${title} gRPC Client', () => {
+  let server: grpc.Server;
+  let client: GrpcClient;
+
+  beforeAll(async () => {
+    server = new grpc.Server();
+${services.map(service => `    server.addService(serviceDefinition('${service.fullName}'), {
+${service.endpoints.map(endpoint => `      ${endpoint.grpc.method}: implementation.${getStreamingKind(endpoint.grpc)}`).join(',\n')}
+    });`).join('\n')}
+    const port = await new Promise<number>((resolve, reject) => {
+      server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (error, boundPort) => (error ? reject(error) : resolve(boundPort)));
+    });
+    client = new GrpcClient({
+      target: \`127.0.0.1:\${port}\`,
+      credentials: grpc.credentials.createInsecure(),
+      metadata: { authorization: 'Bearer test-token' }
+    });
+  });
+
+  afterAll(() => {
+    client.close();
+    server.forceShutdown();
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    failure = null;
+  });
+
+${grpcEndpoints.map(generateGrpcTest).join('\n\n')}${unary ? `
+
+  test('should reject with the server status', async () => {
+    failure = { code: grpc.status.NOT_FOUND, details: 'not found' };
+
+    await expect(client.${toTsMethodName(unary.operationId)}({})).rejects.toMatchObject({ code: grpc.status.NOT_FOUND });
+  });` : ''}
+});
+`;
+}
+
+/**
+ * Generate the test for one RPC
+ */
+function generateGrpcTest(endpoint) {
+  const { operationId, grpc: rpc } = endpoint;
+  const methodName = toTsMethodName(operationId);
+
+  switch (getStreamingKind(rpc)) {
+    case 'bidiStream':
+      return `  test('${methodName} should exchange messages', async () => {
+    const call = client.${methodName}();
+    const messages = collect(call);
+    call.write({});
+    call.end();
+
+    expect(await messages).toHaveLength(1);
+  });`;
+    case 'clientStream':
+      return `  test('${methodName} should stream requests and resolve the response', async () => {
+    const { call, response } = client.${methodName}();
+    call.write({});
+    call.write({});
+    call.end();
+
+    expect(await response).toEqual(expect.any(Object));
+    expect(received).toHaveLength(2);
+  });`;
+    case 'serverStream':
+      return `  test('${methodName} should stream responses', async () => {
+    const messages = await collect(client.${methodName}({}));
+
+    expect(messages).toHaveLength(1);
+    expect(received[0].metadata.get('authorization')).toEqual(['Bearer test-token']);
+  });`;
+    default:
+      return `  test('${methodName} should resolve the response', async () => {
+    const response = await client.${methodName}({});
+
+    expect(response).toEqual(expect.any(Object));
+    expect(received[0].metadata.get('authorization')).toEqual(['Bearer test-token']);
+  });`;
+  }
+}
+
+/**
+ * Name of the fake server implementation for an RPC's streaming mode
+ */
+function getStreamingKind(rpc) {
+  if (rpc.requestStream && rpc.responseStream) return 'bidiStream';
+  if (rpc.requestStream) return 'clientStream';
+  if (rpc.responseStream) return 'serverStream';
+  return 'unary';
+}
+
+/**
+ * Generate authentication handler tests
+ */
+function generateAuthHandlerTests(securitySchemes) {
+  const schemeTests = Object.entries(securitySchemes).map(([name, scheme]) => {
+    const credential = scheme.type === 'basic' ? 'user:secret' : 'secret';
+    const keyName = scheme.name || name;
+    let expectation;
+    if (scheme.type === 'basic') {
+      expectation = `expect(auth.headers['Authorization']).toBe('Basic ' + Buffer.from('user:secret').toString('base64'));`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'query') {
+      expectation = `expect(auth.params[${toTsLiteral(keyName)}]).toBe('secret');`;
+    } else if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+      expectation = `expect(auth.headers['Cookie']).toBe(${toTsLiteral(`${scheme.name}=secret`)});`;
+    } else if (scheme.type === 'apiKey') {
+      expectation = `expect(auth.headers[${toTsLiteral(keyName)}]).toBe('secret');`;
+    } else {
+      expectation = `expect(auth.headers['Authorization']).toBe('Bearer secret');`;
+    }
+
+    return `  test('should apply the ${name} scheme', async () => {
+    const handler = new AuthHandler(new Config({ credentials: { ${toTsLiteral(name)}: '${credential}' } }));
+    const auth = await handler.getAuth([{ ${toTsLiteral(name)}: [] }]);
+    ${expectation}
+  });`;
+  });
+
+  return `import { AuthHandler } from '../src/auth/AuthHandler';
+import { Config } from '../src/config/Config';
+
+describe('AuthHandler', () => {
+  test('should not authenticate endpoints without security requirements', async () => {
+    const handler = new AuthHandler(new Config());
+    await expect(handler.getAuth([])).resolves.toEqual({ headers: {}, params: {} });
+  });
+
+  test('should allow anonymous access when authentication is optional', async () => {
+    const handler = new AuthHandler(new Config());
+    await expect(handler.getAuth([{ undeclaredScheme: [] }, {}])).resolves.toEqual({ headers: {}, params: {} });
+  });
+
+  test('should reject requests when no requirement can be satisfied', async () => {
+    const handler = new AuthHandler(new Config());
+    await expect(handler.getAuth([{ undeclaredScheme: [] }])).rejects.toThrow('Missing credentials');
+  });
+${schemeTests.length > 0 ? `\n${schemeTests.join('\n\n')}\n` : ''}});
+`;
+}
+
+/**
+ * Generate token manager tests, run against a local mock token endpoint
+ */
+function generateTokenManagerTests() {
+  return `import * as http from 'http';
+import { AddressInfo } from 'net';
+import { OAuthSettings, TokenManager } from '../src/auth/TokenManager';
+
+describe('TokenManager', () => {
+  let server: http.Server;
+  let baseUrl: string;
+  let requests: Array<{ params: Record<string, string>; authorization: string | undefined }>;
+  let tokenResponse: Record<string, unknown>;
+
+  beforeAll(done => {
+    // Mock token endpoint recording every grant it receives
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ params: Object.fromEntries(new URLSearchParams(body)), authorization: req.headers.authorization });
+        setTimeout(() => {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ access_token: \`token-\${requests.length}\`, ...tokenResponse }));
+        }, 10);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = \`http://127.0.0.1:\${(server.address() as AddressInfo).port}\`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    tokenResponse = { token_type: 'Bearer', expires_in: 3600, refresh_token: 'refresh-1' };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createManager = (settings: OAuthSettings = {}) => new TokenManager(
+    { flows: { clientCredentials: { tokenUrl: '/oauth/token' } } },
+    { clientId: 'client', clientSecret: 'secret', ...settings },
+    { baseUrl }
+  );
+
+  test('should fetch a token with the client credentials grant', async () => {
+    const manager = createManager();
+    await expect(manager.getToken(['read'])).resolves.toBe('token-1');
+    expect(requests[0].params).toEqual({ grant_type: 'client_credentials', scope: 'read' });
+    expect(requests[0].authorization).toBe('Basic ' + Buffer.from('client:secret').toString('base64'));
+  });
+
+  test('should cache tokens until they expire', async () => {
+    const manager = createManager();
+    await manager.getToken();
+    await expect(manager.getToken()).resolves.toBe('token-1');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should share one token request between concurrent callers', async () => {
+    const manager = createManager();
+    const tokens = await Promise.all([1, 2, 3, 4, 5].map(() => manager.getToken()));
+    expect(new Set(tokens)).toEqual(new Set(['token-1']));
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should refresh expired tokens with the refresh token', async () => {
+    const manager = createManager();
+    await manager.getToken();
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 3600 * 1000);
+    await expect(manager.getToken()).resolves.toBe('token-2');
+    expect(requests[1].params).toEqual({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+  });
+
+  test('should fetch a new token after invalidation', async () => {
+    const manager = createManager();
+    await manager.getToken();
+    manager.invalidate();
+    await expect(manager.getToken()).resolves.toBe('token-2');
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should send client credentials in the body when configured', async () => {
+    const manager = createManager({ clientAuthentication: 'body' });
+    await manager.getToken();
+    expect(requests[0].authorization).toBeUndefined();
+    expect(requests[0].params).toMatchObject({ client_id: 'client', client_secret: 'secret' });
+  });
+
+  test('should only acquire tokens when the flow is configured', () => {
+    expect(createManager().canAcquireToken()).toBe(true);
+    expect(createManager({ clientId: undefined }).canAcquireToken()).toBe(false);
+  });
+
+  test('should use an authorization code once and refresh afterwards', async () => {
+    const manager = new TokenManager(
+      { flows: { authorizationCode: { tokenUrl: '/oauth/token' } } },
+      { clientId: 'client', authorizationCode: 'code-1', redirectUri: 'http://localhost/callback' },
+      { baseUrl }
+    );
+    await manager.getToken();
+    manager.invalidate();
+    await expect(manager.getToken()).resolves.toBe('token-2');
+
+    expect(requests[0].params).toMatchObject({ grant_type: 'authorization_code', code: 'code-1' });
+    expect(requests[1].params).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+    expect(manager.canAcquireToken()).toBe(true);
+  });
+});
+`;
+}
+
+/**
+ * Generate example usage
+ */
+function generateExampleUsage(parsedData) {
+  const { endpoints, title } = parsedData;
+  const schemas = parsedData.schemas || {};
+
+  return `import * as dotenv from 'dotenv';
+import { ApiClient } from '../src/ApiClient';
+
+dotenv.config();
+
+/**
+ * Example usage of ${title} API Client
+ */
+export async function main(): Promise<void> {
+  try {
+    // Initialize the API client
+    const client = new ApiClient({
+      baseUrl: process.env.API_BASE_URL || 'https://api.example.com',
+      apiKey: process.env.API_KEY,
+      timeout: 30000
+    });
+
+    console.log('🚀 ${title} API Client initialized');
+
+    // Test connection
+    const isConnected = await client.testConnection();
+    console.log('🔗 Connection test:', isConnected ? '✅ Success' : '❌ Failed');
+
+${endpoints.slice(0, 2).map(endpoint => {
+    const name = toTsMethodName(endpoint.operationId);
+    return `    // Example: ${endpoint.method} ${endpoint.path}
+    try {
+      console.log('\\n📡 Testing ${name}...');
+      const ${name}Result = await client.${name}(${endpoint.graphql ? generateExampleVariables(endpoint, schemas) : generateExampleArguments(endpoint, schemas)});
+      console.log('✅ ${name} result:', JSON.stringify(${name}Result, null, 2));
+    } catch (error) {
+      console.error('❌ ${name} failed:', error instanceof Error ? error.message : error);
+    }`;
+  }).join('\n\n')}
+
+    console.log('\\n🎉 Example completed successfully!');
+
+  } catch (error) {
+    console.error('💥 Example failed:', error instanceof Error ? error.message : error);
+    process.exit(1);
+  }
+}
+
+// Run the example
+if (require.main === module) {
+  void main();
+}
+`;
+}
+
+/**
+ * Generate event client example usage
+ */
+function generateEventUsage(parsedData, messagingEndpoints) {
+  const { title, schemas = {} } = parsedData;
+  const subscribers = messagingEndpoints.filter(endpoint => endpoint.messaging.action === 'subscribe').slice(0, 2);
+  const publishers = messagingEndpoints.filter(endpoint => endpoint.messaging.action === 'publish').slice(0, 2);
+
+  return `import { EventClient } from '../src/EventClient';
+import { InMemoryBroker } from '../src/messaging/InMemoryBroker';
+
+/**
+ * Example usage of ${title} Event Client
+ * Replace InMemoryBroker with an adapter around your broker client; it only
+ * needs to implement the Broker interface's publish and subscribe methods.
+ */
+export async function main(): Promise<void> {
+  try {
+    const client = new EventClient(new InMemoryBroker());
+
+    console.log('🚀 ${title} Event Client initialized');
+${subscribers.map(endpoint => {
+    const name = toTsMethodName(endpoint.operationId);
+    return `
+    // Example: ${endpoint.method} ${endpoint.path}
+    await client.${name}((payload, message) => {
+      console.log('📨 ${name} received on', message.address, JSON.stringify(payload, null, 2));
+    });`;
+  }).join('\n')}
+${publishers.map(endpoint => {
+    const name = toTsMethodName(endpoint.operationId);
+    return `
+    // Example: ${endpoint.method} ${endpoint.path}
+    await client.${name}(${generatePayloadExample(endpoint, schemas)}, ${generateExampleParameters(endpoint.parameters)});
+    console.log('✅ ${name} published');`;
+  }).join('\n')}
+
+    console.log('\\n🎉 Example completed successfully!');
+
+  } catch (error) {
+    console.error('💥 Example failed:', error instanceof Error ? error.message : error);
+    process.exit(1);
+  }
+}
+
+// Run the example
+if (require.main === module) {
+  void main();
+}
+`;
+}
+
+/**
+ * Generate example usage of the gRPC client
+ */
+function generateGrpcUsage(parsedData, grpcEndpoints) {
+  const { title } = parsedData;
+  const examples = grpcEndpoints.slice(0, 3);
+
+  return `import { GrpcClient } from '../src/GrpcClient';
+
+/**
+ * Example usage of ${title} gRPC Client
+ * Set GRPC_TARGET to your server's host:port before running.
+ */
+export async function main(): Promise<void> {
+  const client = new GrpcClient();
+
+  try {
+    console.log('🚀 ${title} gRPC Client initialized');
+${examples.map(endpoint => `
+    // Example: ${endpoint.grpc.service}.${endpoint.grpc.method}
+${generateGrpcUsageCall(endpoint)}`).join('\n')}
+
+    console.log('\\n🎉 Example completed successfully!');
+
+  } catch (error) {
+    console.error('💥 Example failed:', error instanceof Error ? error.message : error);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+// Run the example
+if (require.main === module) {
+  void main();
+}
+`;
+}
+
+/**
+ * Example call for one RPC, shaped by its streaming mode
+ */
+function generateGrpcUsageCall(endpoint) {
+  const { operationId } = endpoint;
+  const methodName = toTsMethodName(operationId);
+
+  switch (getStreamingKind(endpoint.grpc)) {
+    case 'bidiStream':
+      return `    const ${methodName}Call = client.${methodName}();
+    ${methodName}Call.on('data', message => console.log('📨 ${methodName}:', JSON.stringify(message, null, 2)));
+    ${methodName}Call.write({});
+    ${methodName}Call.end();
+    await new Promise((resolve, reject) => ${methodName}Call.on('end', resolve).on('error', reject));`;
+    case 'clientStream':
+      return `    const ${methodName}Upload = client.${methodName}();
+    ${methodName}Upload.call.write({});
+    ${methodName}Upload.call.end();
+    console.log('✅ ${methodName}:', JSON.stringify(await ${methodName}Upload.response, null, 2));`;
+    case 'serverStream':
+      return `    for await (const message of client.${methodName}({})) {
+      console.log('📨 ${methodName}:', JSON.stringify(message, null, 2));
+    }`;
+    default:
+      return `    const ${methodName}Response = await client.${methodName}({});
+    console.log('✅ ${methodName}:', JSON.stringify(${methodName}Response, null, 2));`;
+  }
+}
+
+/**
+ * Generate environment example
+ */
+function generateEnvExample(securitySchemes, grpcTarget) {
+  const schemeEntries = Object.entries(securitySchemes);
+
+  let envContent = `# ${schemeEntries.length === 0 ? 'No authentication required' : `Authentication: ${schemeEntries.map(([name]) => name).join(', ')}`}
+
+# API Configuration
+API_BASE_URL=https://api.example.com
+API_TIMEOUT=30000
+API_MAX_RETRIES=3
+`;
+
+  if (grpcTarget) {
+    envContent += `
+# gRPC Configuration
+GRPC_TARGET=${grpcTarget.target}
+GRPC_INSECURE=${grpcTarget.insecure}
+GRPC_TIMEOUT=30000
+`;
+  }
+
+  for (const [name, scheme] of schemeEntries) {
+    envContent += `
+# ${name}: ${scheme.description || `${scheme.type} authentication`} (${describeCredential(scheme)})
+${toCredentialEnvName(name)}=
+`;
+    if (scheme.type === 'oauth2') {
+      envContent += `# Or let the client fetch and refresh tokens itself:
+${getOAuthSettings(scheme).map(setting => `# ${setting.description}\n${toOAuthEnvName(name, setting)}=`).join('\n')}
+`;
+    }
+  }
+
+  return envContent;
+}
+
+module.exports = { generateTypeScriptCode };
\ No newline at end of file
@@ -8,7 +8,22 @@ const { v4: uuidv4 } = require('uuid');
 const { parseSwagger } = require('./parsers/swaggerParser');
 const { parsePostman } = require('./parsers/postmanParser');
 const { parseHtmlDocs } = require('./parsers/htmlParser');
-const { generateCode } = require('./generators/codeGenerator');
+const { parseHar } = require('./parsers/harParser');
+const { parseCurl } = require('./parsers/curlParser');
+const { parseGraphql } = require('./parsers/graphqlParser');
+const { parseAsyncApi } = require('./parsers/asyncapiParser');
+const { parseProto } = require('./parsers/protoParser');
+const { parseRaml } = require('./parsers/ramlParser');
+const { parseApiBlueprint } = require('./parsers/apiBlueprintParser');
+const { parseIr } = require('./parsers/irParser');
+const { generateCode, diagnoseUnsupportedEndpoints, diagnoseRequestBodies } = require('./generators/codeGenerator');
+const { detectInputType, chooseInputType } = require('./parsers/inputDetector');
+const { fetchSource } = require('./services/sourceFetcher');
+const { readBundle, isZipFile } = require('./services/specBundle');
+const { sortDiagnostics, summarizeDiagnostics } = require('./parsers/diagnostics');
+const { createIr } = require('./ir/intermediateRepresentation');
+const { readEndpointFilter, filterIr } = require('./ir/endpointFilter');
+const { IR_SCHEMA } = require('./ir/irSchema');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -22,6 +37,7 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 const storage = multer.memoryStorage();
 const upload = multer({ 
   storage: storage,
+  preservePath: true, // keep relative paths of bundle files for $ref resolution
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
@@ -34,14 +50,104 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'API Code Generator is running' });
 });
 
+// Form fields that carry API documentation
+const documentationUpload = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: 500 },
+  { name: 'environment', maxCount: 1 },
+  { name: 'operations', maxCount: 20 }
+]);
+
 // Parse API documentation and generate code
-app.post('/api/generate', upload.single('file'), async (req, res) => {
+app.post('/api/generate', documentationUpload, handleDocumentation);
+
+// Parse API documentation and return its intermediate representation (IR)
+// for editing; the edited IR is imported with the 'ir' input type
+app.post('/api/ir/export', documentationUpload, handleDocumentation);
+
+// JSON Schema of the IR
+app.get('/api/ir/schema', (req, res) => {
+  res.json(IR_SCHEMA);
+});
+
+async function handleDocumentation(req, res) {
+  const exportIr = req.route.path === '/api/ir/export';
+
+  // Declared outside the try block so parse errors can point at the detected type
+  let inputType = req.body.inputType;
+  let detection = null;
+
   try {
-    const { language, inputType, rawContent } = req.body;
+    const { language, sourceUrl } = req.body;
+    let { rawContent } = req.body;
+    let file = req.files?.file?.[0];
+    const environment = req.files?.environment?.[0]?.buffer.toString() || req.body.environment;
+    const operations = req.files?.operations?.map(operationFile => operationFile.buffer.toString()) || req.body.operations;
     
-    if (!language || !inputType) {
+    if (!language && !exportIr) {
       return res.status(400).json({ 
-        error: 'Language and input type are required' 
+        error: 'Language is required' 
+      });
+    }
+
+    let endpointFilter = null;
+    try {
+      endpointFilter = readEndpointFilter(req.body.endpointFilter);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid endpoint filter',
+        details: error.message
+      });
+    }
+
+    // A ZIP or several files form a bundle whose root document is parsed
+    // with its cross-file $refs resolved
+    let bundle = null;
+    const bundleFiles = req.files?.files || (file && isZipFile(file) ? [file] : null);
+    if (bundleFiles) {
+      try {
+        bundle = await readBundle(bundleFiles, { rootFile: req.body.rootFile });
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Failed to read the uploaded bundle',
+          details: error.message
+        });
+      }
+      file = null;
+      rawContent = bundle.content;
+    }
+
+    if (!file && !rawContent && !sourceUrl) {
+      return res.status(400).json({
+        error: 'No API documentation provided. Upload a file, paste raw content or give a source URL.'
+      });
+    }
+
+    // Documentation served from a URL is fetched and its input type detected
+    let source = null;
+    if (!file && !rawContent && sourceUrl) {
+      try {
+        source = await fetchSource(sourceUrl, { inputType });
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Failed to fetch documentation from the source URL',
+          details: error.message
+        });
+      }
+      inputType = source.inputType;
+      rawContent = source.content;
+      detection = source.detection;
+    } else {
+      // The content picks the parser when the input type is 'auto', and
+      // overrides a picked type it clearly does not belong to
+      detection = detectInputType(file ? file.buffer.toString() : rawContent, { fileName: file ? file.originalname : bundle?.fileName });
+      inputType = chooseInputType(inputType, detection);
+    }
+
+    if (!inputType) {
+      return res.status(400).json({
+        error: 'Could not detect the input type. Please choose one explicitly.',
+        details: detection.reasons.join('; ')
       });
     }
 
@@ -51,15 +157,15 @@ app.post('/api/generate', upload.single('file'), async (req, res) => {
     // Parse based on input type
     switch (inputType) {
       case 'swagger':
-        if (req.file) {
-          const content = req.file.buffer.toString();
+        if (file) {
+          const content = file.buffer.toString();
           if (!content || content.trim() === '') {
             return res.status(400).json({ 
               error: 'Uploaded file is empty. Please provide a valid Swagger/OpenAPI file.' 
             });
           }
           parsedData = await parseSwagger(content);
-          fileName = req.file.originalname;
+          fileName = file.originalname;
         } else if (rawContent) {
           parsedData = await parseSwagger(rawContent);
           fileName = 'swagger.json';
@@ -67,40 +173,168 @@ app.post('/api/generate', upload.single('file'), async (req, res) => {
         break;
 
       case 'postman':
-        if (req.file) {
-          const content = req.file.buffer.toString();
+        if (file) {
+          const content = file.buffer.toString();
           if (!content || content.trim() === '') {
             return res.status(400).json({ 
               error: 'Uploaded file is empty. Please provide a valid Postman collection file.' 
             });
           }
-          parsedData = await parsePostman(content);
-          fileName = req.file.originalname;
+          parsedData = await parsePostman(content, { environment });
+          fileName = file.originalname;
         } else if (rawContent) {
-          parsedData = await parsePostman(rawContent);
+          parsedData = await parsePostman(rawContent, { environment });
           fileName = 'postman_collection.json';
         }
         break;
 
       case 'html':
-        if (req.file) {
-          const content = req.file.buffer.toString();
+        if (file) {
+          const content = file.buffer.toString();
           if (!content || content.trim() === '') {
             return res.status(400).json({ 
               error: 'Uploaded file is empty. Please provide a valid HTML documentation file.' 
             });
           }
           parsedData = await parseHtmlDocs(content);
-          fileName = req.file.originalname;
+          fileName = file.originalname;
         } else if (rawContent) {
           parsedData = await parseHtmlDocs(rawContent);
           fileName = 'api_docs.html';
         }
         break;
 
+      case 'har':
+        if (file) {
+          const content = file.buffer.toString();
+          if (!content || content.trim() === '') {
+            return res.status(400).json({ 
+              error: 'Uploaded file is empty. Please provide a valid HAR file.' 
+            });
+          }
+          parsedData = await parseHar(content);
+          fileName = file.originalname;
+        } else if (rawContent) {
+          parsedData = await parseHar(rawContent);
+          fileName = 'capture.har';
+        }
+        break;
+
+      case 'curl':
+        if (file) {
+          const content = file.buffer.toString();
+          if (!content || content.trim() === '') {
+            return res.status(400).json({ 
+              error: 'Uploaded file is empty. Please provide curl commands.' 
+            });
+          }
+          parsedData = await parseCurl(content);
+          fileName = file.originalname;
+        } else if (rawContent) {
+          parsedData = await parseCurl(rawContent);
+          fileName = 'commands.sh';
+        }
+        break;
+
+      case 'graphql':
+        if (file) {
+          const content = file.buffer.toString();
+          if (!content || content.trim() === '') {
+            return res.status(400).json({ 
+              error: 'Uploaded file is empty. Please provide a GraphQL schema or introspection result.' 
+            });
+          }
+          parsedData = await parseGraphql(content, { operations, endpointUrl: req.body.endpointUrl });
+          fileName = file.originalname;
+        } else if (rawContent) {
+          parsedData = await parseGraphql(rawContent, { operations, endpointUrl: req.body.endpointUrl });
+          fileName = 'schema.graphql';
+        }
+        break;
+
+      case 'asyncapi':
+        if (file) {
+          const content = file.buffer.toString();
+          if (!content || content.trim() === '') {
+            return res.status(400).json({ 
+              error: 'Uploaded file is empty. Please provide an AsyncAPI document.' 
+            });
+          }
+          parsedData = await parseAsyncApi(content);
+          fileName = file.originalname;
+        } else if (rawContent) {
+          parsedData = await parseAsyncApi(rawContent);
+          fileName = 'asyncapi.yaml';
+        }
+        break;
+
+      case 'proto':
+        if (file) {
+          const content = file.buffer.toString();
+          if (!content || content.trim() === '') {
+            return res.status(400).json({ 
+              error: 'Uploaded file is empty. Please provide a .proto file.' 
+            });
+          }
+          parsedData = await parseProto(content, { fileName: file.originalname, baseUrl: req.body.endpointUrl });
+          fileName = file.originalname;
+        } else if (rawContent) {
+          parsedData = await parseProto(rawContent, { fileName: 'service.proto', baseUrl: req.body.endpointUrl });
+          fileName = 'service.proto';
+        }
+        break;
+
+      case 'raml':
+        if (file) {
+          const content = file.buffer.toString();
+          if (!content || content.trim() === '') {
+            return res.status(400).json({ 
+              error: 'Uploaded file is empty. Please provide a RAML document.' 
+            });
+          }
+          parsedData = await parseRaml(content);
+          fileName = file.originalname;
+        } else if (rawContent) {
+          parsedData = await parseRaml(rawContent);
+          fileName = 'api.raml';
+        }
+        break;
+
+      case 'apiblueprint':
+        if (file) {
+          const content = file.buffer.toString();
+          if (!content || content.trim() === '') {
+            return res.status(400).json({ 
+              error: 'Uploaded file is empty. Please provide an API Blueprint document.' 
+            });
+          }
+          parsedData = await parseApiBlueprint(content);
+          fileName = file.originalname;
+        } else if (rawContent) {
+          parsedData = await parseApiBlueprint(rawContent);
+          fileName = 'api.apib';
+        }
+        break;
+
+      case 'ir':
+        if (file) {
+          const content = file.buffer.toString();
+          if (!content || content.trim() === '') {
+            return res.status(400).json({ 
+              error: 'Uploaded file is empty. Please provide an exported IR document.' 
+            });
+          }
+          parsedData = await parseIr(content);
+          fileName = file.originalname;
+        } else if (rawContent) {
+          parsedData = await parseIr(rawContent);
+          fileName = 'api-ir.json';
+        }
+        break;
+
       default:
         return res.status(400).json({ 
-          error: 'Invalid input type. Supported: swagger, postman, html' 
+          error: 'Invalid input type. Supported: auto, swagger, postman, html, har, curl, graphql, asyncapi, proto, raml, apiblueprint, ir' 
         });
     }
 
@@ -110,8 +344,68 @@ app.post('/api/generate', upload.single('file'), async (req, res) => {
       });
     }
 
+    if (source || bundle) {
+      fileName = (source || bundle).fileName;
+    }
+
+    // Every parser's output is normalized and validated as IR before it reaches a generator
+    const ir = createIr(parsedData);
+
+    // Only the selected endpoints, and the models they reference, are generated
+    const selectedIr = filterIr(ir, endpointFilter);
+    if (endpointFilter && selectedIr.endpoints.length === 0) {
+      return res.status(400).json({
+        error: 'No endpoints match the endpoint filter',
+        details: `The documentation has ${ir.endpoints.length} endpoints; none of them matches ${JSON.stringify(endpointFilter)}`
+      });
+    }
+
+    // Endpoints and bodies the language's client cannot handle are reported with the parse diagnostics
+    const generatorDiagnostics = exportIr
+      ? []
+      : [...diagnoseUnsupportedEndpoints(selectedIr, language), ...diagnoseRequestBodies(selectedIr)];
+    const diagnostics = ir.diagnostics || generatorDiagnostics.length > 0
+      ? sortDiagnostics([...(ir.diagnostics || []), ...generatorDiagnostics])
+      : null;
+
+    const summary = {
+      totalEndpoints: ir.endpoints.length,
+      selectedEndpoints: selectedIr.endpoints.length,
+      endpointFilter,
+      baseUrl: ir.baseUrl,
+      authMethod: ir.authMethod,
+      securitySchemes: ir.securitySchemes,
+      language: language,
+      inputType,
+      detection: {
+        type: detection.type,
+        confidence: detection.confidence,
+        reasons: detection.reasons,
+        requestedType: req.body.inputType || 'auto'
+      },
+      source: source && {
+        url: source.url,
+        inputType: source.inputType,
+        contentType: source.contentType,
+        documents: source.documents
+      },
+      bundle: bundle && {
+        rootFile: bundle.rootFile,
+        documents: bundle.documents,
+        files: bundle.files
+      },
+      diagnostics: diagnostics ? summarizeDiagnostics(diagnostics) : null
+    };
+
+    if (exportIr) {
+      return res.json({
+        success: true,
+        data: { ir: selectedIr, summary }
+      });
+    }
+
     // Generate code
-    const generatedCode = await generateCode(parsedData, language, fileName);
+    const generatedCode = await generateCode(diagnostics ? { ...selectedIr, diagnostics } : selectedIr, language, fileName);
     
     // Extract AI insights from generated code
     const aiInsights = generatedCode['ai-insights.json'] ? JSON.parse(generatedCode['ai-insights.json']) : null;
@@ -119,26 +413,26 @@ app.post('/api/generate', upload.single('file'), async (req, res) => {
     res.json({
       success: true,
       data: {
-        parsedEndpoints: parsedData.endpoints,
+        parsedEndpoints: ir.endpoints,
         generatedCode,
         aiInsights,
-        summary: {
-          totalEndpoints: parsedData.endpoints.length,
-          baseUrl: parsedData.baseUrl,
-          authMethod: parsedData.authMethod,
-          language: language
-        }
+        // Only parsers that lint their input, and generators that leave endpoints out, report diagnostics
+        diagnostics,
+        summary
       }
     });
 
   } catch (error) {
-    console.error('Error generating code:', error);
+    console.error(exportIr ? 'Error exporting IR:' : 'Error generating code:', error);
+    const details = detection && detection.type && detection.type !== inputType
+      ? `${error.message} (the content looks like ${detection.type} input; choose that input type or auto-detect)`
+      : error.message;
     res.status(500).json({ 
-      error: 'Failed to generate code', 
-      details: error.message 
+      error: exportIr ? 'Failed to export the intermediate representation' : 'Failed to generate code', 
+      details
     });
   }
-});
+}
 
 // Download generated code as ZIP
 app.post('/api/download', async (req, res) => {
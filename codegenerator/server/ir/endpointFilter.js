@@ -0,0 +1,139 @@
+const { visitModelRefs } = require('./intermediateRepresentation');
+const { toOperationIdentifier } = require('../parsers/operationIds');
+
+/**
+ * Endpoint Filter
+ * Narrows an IR to the endpoints chosen for generation, so a client for a
+ * large API can be generated with only the calls it needs. Endpoints are
+ * picked by operationId, tag, path prefix, method and deprecated flag; the
+ * criteria given all have to match, and a list matches when any of its values
+ * does. The models no kept endpoint references are left out as well.
+ */
+
+/**
+ * Criteria given as lists of strings
+ */
+const FILTER_LISTS = ['operationIds', 'tags', 'pathPrefixes', 'methods'];
+
+/**
+ * How deprecated endpoints are treated: kept, left out, or the only ones kept
+ */
+const DEPRECATED_MODES = ['include', 'exclude', 'only'];
+
+/**
+ * Read and validate an endpoint filter
+ * @param {string|Object} value - Filter object, or its JSON as sent in a form field
+ * @returns {Object|null} Filter, or null when none was given
+ * @throws {Error} When the filter is malformed
+ */
+function readEndpointFilter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let filter = value;
+  if (typeof value === 'string') {
+    try {
+      filter = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`endpointFilter is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('endpointFilter must be an object');
+  }
+
+  for (const [key, criterion] of Object.entries(filter)) {
+    if (FILTER_LISTS.includes(key)) {
+      if (!Array.isArray(criterion) || criterion.some(item => typeof item !== 'string' || item.trim() === '')) {
+        throw new Error(`endpointFilter.${key} must be an array of non-empty strings`);
+      }
+    } else if (key === 'deprecated') {
+      if (!DEPRECATED_MODES.includes(criterion)) {
+        throw new Error(`endpointFilter.deprecated must be one of ${DEPRECATED_MODES.join(', ')}`);
+      }
+    } else {
+      throw new Error(`Unknown endpointFilter criterion "${key}"; expected ${[...FILTER_LISTS, 'deprecated'].join(', ')}`);
+    }
+  }
+  return filter;
+}
+
+/**
+ * Keep the endpoints that match a filter and the models they reference
+ * @param {Object} ir - IR document
+ * @param {Object|null} filter - Filter from readEndpointFilter
+ * @returns {Object} IR document with the matching endpoints; the same IR when there is no filter
+ */
+function filterIr(ir, filter) {
+  if (!filter) {
+    return ir;
+  }
+
+  const endpoints = ir.endpoints.filter(endpoint => matchesFilter(endpoint, filter));
+  return {
+    ...ir,
+    schemas: pickReferencedSchemas(ir.schemas, endpoints),
+    endpoints
+  };
+}
+
+/**
+ * Check an endpoint against every criterion of a filter
+ * @param {Object} endpoint - IR endpoint
+ * @param {Object} filter - Filter from readEndpointFilter
+ * @returns {boolean} True when the endpoint is kept
+ */
+function matchesFilter(endpoint, filter) {
+  // Documented IDs such as create-pet match the identifiers the IR made of them
+  if (filter.operationIds && !filter.operationIds.some(id => toOperationIdentifier(id) === endpoint.operationId)) {
+    return false;
+  }
+  if (filter.tags) {
+    const tags = filter.tags.map(tag => tag.toLowerCase());
+    if (!endpoint.tags.some(tag => tags.includes(tag.toLowerCase()))) return false;
+  }
+  if (filter.pathPrefixes && !filter.pathPrefixes.some(prefix => hasPathPrefix(endpoint.path, prefix))) {
+    return false;
+  }
+  if (filter.methods && !filter.methods.map(method => method.toUpperCase()).includes(endpoint.method)) {
+    return false;
+  }
+
+  const deprecated = Boolean(endpoint.deprecated);
+  if (filter.deprecated === 'exclude' && deprecated) return false;
+  if (filter.deprecated === 'only' && !deprecated) return false;
+  return true;
+}
+
+/**
+ * Match whole path segments, so /users matches /users/{id} but not /usersettings
+ */
+function hasPathPrefix(path, prefix) {
+  const normalized = `/${prefix.trim().replace(/^\/+|\/+$/g, '')}`;
+  return normalized === '/' || path === normalized || path.startsWith(`${normalized}/`);
+}
+
+/**
+ * The models the endpoints reference, directly or through other models
+ */
+function pickReferencedSchemas(schemas, endpoints) {
+  const names = new Set();
+  const pending = [];
+  const collect = ref => {
+    if (!names.has(ref) && Object.prototype.hasOwnProperty.call(schemas, ref)) {
+      names.add(ref);
+      pending.push(ref);
+    }
+  };
+
+  visitModelRefs(endpoints, collect);
+  while (pending.length > 0) {
+    visitModelRefs(schemas[pending.pop()], collect);
+  }
+
+  // Keep the declaration order of the remaining models
+  return Object.fromEntries(Object.entries(schemas).filter(([name]) => names.has(name)));
+}
+
+module.exports = { readEndpointFilter, filterIr };
\ No newline at end of file
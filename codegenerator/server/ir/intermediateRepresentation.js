@@ -0,0 +1,263 @@
+const { IR_VERSION, IR_SCHEMA } = require('./irSchema');
+const { toPointer } = require('../parsers/diagnostics');
+const { reserveOperationId, toOperationIdentifier } = require('../parsers/operationIds');
+
+/**
+ * Intermediate Representation
+ * Builds and validates the IR described by irSchema.js. Parser output is
+ * normalized into it (defaults filled in, non-JSON values dropped) before
+ * code generation, and IR documents imported by users are validated against
+ * the same schema, plus the checks JSON Schema cannot express: the IR version
+ * and `ref`s that name an existing model.
+ */
+
+/**
+ * Most validation errors collected before giving up
+ */
+const MAX_ERRORS = 50;
+
+/**
+ * Keys whose values are data rather than schema nodes, so a `ref` inside them is not a model reference
+ */
+const DATA_KEYS = ['example', 'examples', 'default', 'enum', 'const', 'diagnostics', 'protoFiles'];
+
+/**
+ * Normalize parsed API data into a validated IR document
+ * @param {Object} parsedData - Parser output, or a previously exported IR
+ * @returns {Object} IR document
+ * @throws {Error} When the result does not match the IR schema
+ */
+function createIr(parsedData) {
+  const ir = normalizeIr(parsedData);
+  const errors = validateIr(ir);
+  if (errors.length > 0) {
+    throw new Error(`Invalid intermediate representation: ${formatErrors(errors)}`);
+  }
+  return ir;
+}
+
+/**
+ * Validate an IR document
+ * @param {Object} ir - IR document
+ * @returns {Array<Object>} Errors as `{ pointer, message }`; empty when the IR is valid
+ */
+function validateIr(ir) {
+  const errors = [];
+  checkValue(ir, IR_SCHEMA, '', errors);
+
+  if (errors.length === 0) {
+    const [major] = IR_VERSION.split('.');
+    if (ir.irVersion.split('.')[0] !== major) {
+      errors.push({ pointer: '/irVersion', message: `version ${ir.irVersion} is not supported; expected ${major}.x` });
+    }
+    checkModelRefs(ir, errors);
+  }
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Describe validation errors in one line
+ */
+function formatErrors(errors) {
+  const shown = errors.slice(0, 5).map(error => `${error.pointer || '/'} ${error.message}`);
+  const more = errors.length > shown.length ? ` (and ${errors.length - shown.length} more)` : '';
+  return `${shown.join('; ')}${more}`;
+}
+
+/**
+ * Fill in the defaults of the IR shape. Parsers omit optional fields in
+ * different ways; the IR always has them. OperationIds become identifiers and
+ * those that collide (see operationIds.js) get a counter, so every endpoint
+ * has its own method name.
+ */
+function normalizeIr(parsedData) {
+  // A JSON round trip drops undefined values and anything that cannot be exported
+  const data = JSON.parse(JSON.stringify(parsedData || {}));
+  const baseUrl = typeof data.baseUrl === 'string' ? data.baseUrl : '';
+  const operationIds = new Set();
+
+  const ir = {
+    irVersion: data.irVersion || IR_VERSION,
+    title: data.title || 'API',
+    version: data.version || '1.0.0',
+    description: data.description || '',
+    baseUrl,
+    authMethod: data.authMethod || { type: 'none' },
+    securitySchemes: data.securitySchemes || {},
+    ...(data.security ? { security: data.security } : {}),
+    schemas: data.schemas || {},
+    endpoints: (data.endpoints || []).map(endpoint => normalizeEndpoint(endpoint, baseUrl, operationIds)),
+    ...(data.diagnostics ? { diagnostics: data.diagnostics } : {}),
+    ...(data.protoFiles ? { protoFiles: data.protoFiles } : {})
+  };
+  return ir;
+}
+
+function normalizeEndpoint(endpoint, baseUrl, operationIds) {
+  const method = typeof endpoint.method === 'string' ? endpoint.method.toUpperCase() : endpoint.method;
+  const responses = {};
+  for (const [code, response] of Object.entries(endpoint.responses || {})) {
+    responses[code] = response && typeof response === 'object'
+      ? { description: '', ...response, schema: response.schema || null }
+      : response;
+  }
+
+  return {
+    ...endpoint,
+    method,
+    ...(typeof endpoint.operationId === 'string' && endpoint.operationId ? { operationId: reserveOperationId(toOperationIdentifier(endpoint.operationId), operationIds) } : {}),
+    fullUrl: endpoint.fullUrl ?? `${baseUrl}${endpoint.path || ''}`,
+    summary: endpoint.summary || '',
+    description: endpoint.description || '',
+    parameters: (endpoint.parameters || []).map(parameter => parameter && typeof parameter === 'object'
+      ? { required: false, type: 'string', description: '', ...parameter }
+      : parameter),
+    requestBody: endpoint.requestBody || null,
+    responses,
+    tags: endpoint.tags || [],
+    deprecated: Boolean(endpoint.deprecated)
+  };
+}
+
+/**
+ * Check a value against the subset of JSON Schema that irSchema.js uses
+ */
+function checkValue(value, schema, pointer, errors) {
+  if (errors.length >= MAX_ERRORS) return;
+
+  if (schema.$ref) {
+    checkValue(value, resolveDefinition(schema.$ref), pointer, errors);
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => {
+      const optionErrors = [];
+      checkValue(value, option, pointer, optionErrors);
+      return optionErrors;
+    });
+    if (attempts.every(attempt => attempt.length > 0)) {
+      // Report the option that failed deepest (the last on ties), which is usually the one that was meant
+      const closest = attempts.reduce((best, attempt) => depthOf(attempt) >= depthOf(best) ? attempt : best);
+      errors.push(...closest);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ pointer, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ pointer, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ pointer, message: `must be one of ${schema.enum.join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ pointer, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ pointer, message: `must match ${schema.pattern}` });
+    }
+  }
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      errors.push({ pointer, message: `must be between ${schema.minimum} and ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(item, schema.items, `${pointer}/${index}`, errors));
+    }
+    return;
+  }
+
+  if (value && typeof value === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push({ pointer: `${pointer}${toPointer(key)}`, message: 'is required' }));
+
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] ||
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (childSchema) {
+        checkValue(child, childSchema, `${pointer}${toPointer(key)}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ pointer: `${pointer}${toPointer(key)}`, message: 'is not allowed' });
+      }
+    }
+  }
+}
+
+/**
+ * Report `ref`s in schema nodes that name no model in `schemas`
+ */
+function checkModelRefs(ir, errors) {
+  visitModelRefs(ir, (ref, pointer) => {
+    if (!Object.prototype.hasOwnProperty.call(ir.schemas, ref)) {
+      errors.push({ pointer, message: `references model "${ref}", which is not in schemas` });
+    }
+    return errors.length < MAX_ERRORS;
+  });
+}
+
+/**
+ * Call `visitor(ref, pointer)` for every model `ref` in a schema node tree.
+ * Values under DATA_KEYS are skipped, and the walk stops when the visitor
+ * returns false.
+ * @param {*} value - IR document or any part of it
+ * @param {Function} visitor - Called with the model name and the JSON pointer of the `ref`
+ * @param {string} pointer - JSON pointer of `value`
+ */
+function visitModelRefs(value, visitor, pointer = '') {
+  let walking = true;
+  const visit = (node, nodePointer) => {
+    if (!walking || !node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => visit(item, `${nodePointer}/${index}`));
+      return;
+    }
+
+    if (typeof node.ref === 'string' && visitor(node.ref, `${nodePointer}/ref`) === false) {
+      walking = false;
+      return;
+    }
+    Object.entries(node)
+      .filter(([key]) => !DATA_KEYS.includes(key))
+      .forEach(([key, child]) => visit(child, `${nodePointer}${toPointer(key)}`));
+  };
+  visit(value, pointer);
+}
+
+function resolveDefinition(ref) {
+  const name = ref.replace(/^#\/\$defs\//, '');
+  return IR_SCHEMA.$defs[name];
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function depthOf(errors) {
+  return Math.max(...errors.map(error => error.pointer.split('/').length));
+}
+
+module.exports = { createIr, validateIr, formatErrors, visitModelRefs };
\ No newline at end of file
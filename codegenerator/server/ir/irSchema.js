@@ -0,0 +1,244 @@
+/**
+ * Intermediate Representation Schema
+ * The JSON Schema of the intermediate representation (IR) every parser's
+ * output is normalized to and every generator reads. The IR is plain JSON so
+ * it can be exported, edited by hand and imported again.
+ *
+ * Schema nodes (parameter, body, response and model schemas) use the
+ * normalized shape documented in parsers/schemaRegistry.js, where
+ * `{ ref: 'User' }` names an entry of the top-level `schemas`.
+ *
+ * Versioning: IR_VERSION is `major.minor`. Minor versions only add optional
+ * fields, so an IR with the same major version can be imported; a new major
+ * version is a breaking change to the shape below.
+ */
+
+const IR_VERSION = '1.0';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+
+/**
+ * Pseudo methods of endpoints that are not plain HTTP requests
+ */
+const PROTOCOL_METHODS = ['PUBLISH', 'SUBSCRIBE', 'GRPC'];
+
+const SECURITY_SCHEME_TYPES = ['bearer', 'basic', 'apiKey', 'oauth2'];
+
+const IR_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:api-code-generator:ir:${IR_VERSION}`,
+  title: 'API Code Generator intermediate representation',
+  type: 'object',
+  required: ['irVersion', 'title', 'version', 'description', 'baseUrl', 'authMethod', 'securitySchemes', 'schemas', 'endpoints'],
+  properties: {
+    irVersion: { type: 'string', pattern: '^\\d+\\.\\d+$', description: 'IR version, major.minor' },
+    title: { type: 'string', minLength: 1 },
+    version: { type: 'string' },
+    description: { type: 'string' },
+    baseUrl: { type: 'string', description: 'Base URL the endpoint paths are relative to; empty when unknown' },
+    authMethod: {
+      description: 'The first security scheme, or { type: "none" }; kept for generators that support a single scheme',
+      anyOf: [
+        { type: 'object', required: ['type'], properties: { type: { const: 'none' } } },
+        { $ref: '#/$defs/securityScheme' }
+      ]
+    },
+    securitySchemes: {
+      type: 'object',
+      description: 'Security schemes by name',
+      additionalProperties: { $ref: '#/$defs/securityScheme' }
+    },
+    security: {
+      $ref: '#/$defs/securityRequirements',
+      description: 'Requirements for endpoints without their own; every scheme applies when absent'
+    },
+    schemas: {
+      type: 'object',
+      description: 'Named models referenced by `ref` from schema nodes',
+      additionalProperties: { $ref: '#/$defs/schemaNode' }
+    },
+    endpoints: { type: 'array', items: { $ref: '#/$defs/endpoint' } },
+    diagnostics: { type: 'array', items: { $ref: '#/$defs/diagnostic' } },
+    protoFiles: { type: 'array', items: { $ref: '#/$defs/protoFile' } }
+  },
+  $defs: {
+    endpoint: {
+      type: 'object',
+      required: ['method', 'path', 'fullUrl', 'operationId', 'summary', 'description', 'parameters', 'requestBody', 'responses', 'tags'],
+      properties: {
+        method: { enum: [...HTTP_METHODS, ...PROTOCOL_METHODS] },
+        path: { type: 'string', minLength: 1 },
+        fullUrl: { type: 'string' },
+        operationId: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$', description: 'Unique name of the generated method, an identifier' },
+        summary: { type: 'string' },
+        description: { type: 'string' },
+        parameters: { type: 'array', items: { $ref: '#/$defs/parameter' } },
+        requestBody: {
+          anyOf: [{ type: 'null' }, { $ref: '#/$defs/body' }]
+        },
+        responses: {
+          type: 'object',
+          description: 'Responses by status code ("200", "default") or message kind',
+          additionalProperties: { $ref: '#/$defs/response' }
+        },
+        security: { $ref: '#/$defs/securityRequirements' },
+        tags: { type: 'array', items: { type: 'string' } },
+        deprecated: { type: 'boolean' },
+        confidence: {
+          type: 'object',
+          description: 'How certain the parser is that the endpoint exists (HTML documentation)',
+          required: ['score', 'reasons'],
+          properties: {
+            score: { type: 'number', minimum: 0, maximum: 1 },
+            reasons: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        graphql: {
+          type: 'object',
+          required: ['operationType', 'operationName', 'document', 'variables'],
+          properties: {
+            operationType: { enum: ['query', 'mutation', 'subscription'] },
+            operationName: { type: 'string' },
+            document: { type: 'string' },
+            variables: { type: 'array', items: { type: 'object', required: ['name', 'schema'] } }
+          }
+        },
+        messaging: {
+          type: 'object',
+          required: ['action', 'channel', 'address', 'payload', 'messages'],
+          properties: {
+            action: { enum: ['publish', 'subscribe'] },
+            channel: { type: 'string' },
+            address: { type: 'string' },
+            protocol: { type: ['string', 'null'] },
+            contentType: { type: ['string', 'null'] },
+            payload: { $ref: '#/$defs/schemaNode' },
+            headers: { anyOf: [{ type: 'null' }, { $ref: '#/$defs/schemaNode' }] },
+            messages: { type: 'array', items: { type: 'object', required: ['name', 'payload'] } }
+          }
+        },
+        grpc: {
+          type: 'object',
+          required: ['service', 'method', 'requestType', 'responseType', 'requestStream', 'responseStream'],
+          properties: {
+            file: { type: 'string' },
+            package: { type: ['string', 'null'] },
+            service: { type: 'string' },
+            method: { type: 'string' },
+            requestType: { $ref: '#/$defs/protoType' },
+            responseType: { $ref: '#/$defs/protoType' },
+            requestStream: { type: 'boolean' },
+            responseStream: { type: 'boolean' }
+          }
+        }
+      }
+    },
+    parameter: {
+      type: 'object',
+      required: ['name', 'in', 'required', 'type'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        in: { enum: ['path', 'query', 'header', 'cookie'] },
+        required: { type: 'boolean' },
+        type: { type: 'string' },
+        description: { type: 'string' },
+        format: { type: 'string' },
+        enum: { type: 'array' },
+        schema: { $ref: '#/$defs/schemaNode' }
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['required', 'mediaType', 'schema'],
+      properties: {
+        required: { type: 'boolean' },
+        mediaType: { type: 'string', minLength: 1 },
+        schema: { $ref: '#/$defs/describedSchema' }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['description', 'schema'],
+      properties: {
+        description: { type: 'string' },
+        mediaType: { type: 'string' },
+        schema: { anyOf: [{ type: 'null' }, { $ref: '#/$defs/describedSchema' }] }
+      }
+    },
+    describedSchema: {
+      type: 'object',
+      description: 'A schema node with its model\'s type, properties and required list copied alongside, and an optional example',
+      required: ['properties', 'required'],
+      properties: {
+        ref: { type: 'string' },
+        type: { type: 'string' },
+        properties: { type: 'object', additionalProperties: { $ref: '#/$defs/schemaNode' } },
+        required: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    schemaNode: {
+      type: 'object',
+      properties: {
+        ref: { type: 'string', minLength: 1 },
+        type: { enum: ['object', 'array', 'string', 'integer', 'number', 'boolean', 'null'] },
+        properties: { type: 'object', additionalProperties: { $ref: '#/$defs/schemaNode' } },
+        required: { type: 'array', items: { type: 'string' } },
+        items: { $ref: '#/$defs/schemaNode' },
+        additionalProperties: { anyOf: [{ type: 'boolean' }, { $ref: '#/$defs/schemaNode' }] },
+        oneOf: { type: 'array', items: { $ref: '#/$defs/schemaNode' } },
+        anyOf: { type: 'array', items: { $ref: '#/$defs/schemaNode' } },
+        enum: { type: 'array' },
+        nullable: { type: 'boolean' }
+      }
+    },
+    securityScheme: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: SECURITY_SCHEME_TYPES },
+        name: { type: 'string' },
+        in: { enum: ['header', 'query', 'cookie'] },
+        flows: { type: 'object' },
+        description: { type: 'string' }
+      }
+    },
+    securityRequirements: {
+      type: 'array',
+      description: 'Alternatives; the schemes named in one requirement apply together, and an empty requirement makes authentication optional',
+      items: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } }
+    },
+    diagnostic: {
+      type: 'object',
+      required: ['severity', 'code', 'message'],
+      properties: {
+        severity: { enum: ['error', 'warning', 'info'] },
+        code: { type: 'string' },
+        pointer: { type: 'string' },
+        selector: { type: 'string' },
+        message: { type: 'string' },
+        fix: { type: 'string' }
+      }
+    },
+    protoType: {
+      type: 'object',
+      required: ['name', 'fullName'],
+      properties: {
+        name: { type: 'string' },
+        fullName: { type: 'string' },
+        path: { type: 'array', items: { type: 'string' } },
+        wellKnown: { type: 'boolean' }
+      }
+    },
+    protoFile: {
+      type: 'object',
+      required: ['name', 'content'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        package: { type: ['string', 'null'] },
+        content: { type: 'string' }
+      }
+    }
+  }
+};
+
+module.exports = { IR_VERSION, IR_SCHEMA };
\ No newline at end of file
@@ -0,0 +1,874 @@
+/**
+ * API Blueprint Parser
+ * Builds the parsed API data model from an API Blueprint (format 1A)
+ * document. The Markdown is read into its sections (groups, resources,
+ * actions, requests, responses and Data Structures) and converted to OpenAPI
+ * 3.0, so it flows through the same extraction code as Swagger specs. URI
+ * templates give path and query parameters, MSON attributes and data
+ * structures become component schemas, bodies without attributes or a schema
+ * get one inferred from their example, and credentials sent in the example
+ * requests become security schemes.
+ */
+const { extractApiData } = require('./swaggerParser');
+const { inferSchema, parseJsonExample, coerceScalar } = require('./schemaInference');
+const { toModelName } = require('./schemaRegistry');
+const { reserveOperationId } = require('./operationIds');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+
+const COMPONENT_PREFIX = '#/components/schemas/';
+
+/**
+ * MSON base types; any other type name refers to a named data structure
+ */
+const PRIMITIVE_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'enum'];
+
+/**
+ * MSON type attributes, as opposed to the type name in a type definition
+ */
+const TYPE_ATTRIBUTES = ['required', 'optional', 'fixed', 'fixed-type', 'nullable', 'sample', 'default'];
+
+/**
+ * Sections a request, response or model can contain; anything else indented
+ * under them is the body
+ */
+const PAYLOAD_SECTIONS = /^(Headers|Body|Schema|Attributes)\b/i;
+
+/**
+ * Request headers that carry credentials under their own name
+ */
+const API_KEY_HEADER = /^(x-)?(api[-_]?key|auth[-_]?token|access[-_]?token)$/i;
+
+/**
+ * Query parameters that carry credentials
+ */
+const API_KEY_QUERY = /^(api[-_]?key|access[-_]?token|token)$/i;
+
+/**
+ * Parse an API Blueprint document
+ * @param {string} content - API Blueprint Markdown
+ * @returns {Object} Parsed API data
+ */
+async function parseApiBlueprint(content) {
+  try {
+    if (!content || content.trim() === '') {
+      throw new Error('Empty API Blueprint content');
+    }
+
+    return extractApiData(convertBlueprint(readBlueprint(content)));
+  } catch (error) {
+    throw new Error(`Failed to parse API Blueprint: ${error.message}`);
+  }
+}
+
+/**
+ * Read the metadata, API name, resources and data structures of a blueprint
+ */
+function readBlueprint(content) {
+  const lines = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  const { metadata, blocks } = splitSections(lines);
+
+  const blueprint = { metadata, name: '', description: '', resources: [], dataStructures: [] };
+  let group = null;
+  let resource = null;
+  let dataStructuresLevel = null;
+
+  for (const block of blocks) {
+    const heading = classifyHeading(block.title);
+
+    if (dataStructuresLevel !== null && block.level > dataStructuresLevel && heading.kind !== 'group') {
+      blueprint.dataStructures.push({ ...parseNamedType(block.title), ...parseListItems(block.lines) });
+      continue;
+    }
+    dataStructuresLevel = null;
+
+    switch (heading.kind) {
+      case 'group':
+        group = heading.name;
+        resource = null;
+        break;
+      case 'dataStructures':
+        dataStructuresLevel = block.level;
+        resource = null;
+        break;
+      case 'resource': {
+        const { text, items } = parseListItems(block.lines);
+        resource = { name: heading.name, uriTemplate: heading.uriTemplate, group, description: toText(text), items, actions: [] };
+        blueprint.resources.push(resource);
+        // `## GET /notes` declares a resource and its only action at once
+        if (heading.method) {
+          resource.actions.push({ name: '', method: heading.method, description: resource.description, items });
+          resource.items = [];
+        }
+        break;
+      }
+      case 'action':
+        if (heading.uriTemplate || resource) {
+          const { text, items } = parseListItems(block.lines);
+          if (!resource) {
+            resource = { name: '', uriTemplate: heading.uriTemplate, group, description: '', items: [], actions: [] };
+            blueprint.resources.push(resource);
+          }
+          resource.actions.push({ name: heading.name, method: heading.method, uriTemplate: heading.uriTemplate, description: toText(text), items });
+        }
+        break;
+      default:
+        if (!blueprint.name && blueprint.resources.length === 0) {
+          blueprint.name = block.title;
+          blueprint.description = toText(block.lines);
+        }
+    }
+  }
+
+  if (blueprint.resources.length === 0) {
+    throw new Error('No resources or actions found');
+  }
+
+  return blueprint;
+}
+
+/**
+ * Split the document into leading metadata and heading sections.
+ * Lines inside fenced code blocks never start a section.
+ */
+function splitSections(lines) {
+  const metadata = {};
+  const blocks = [];
+  let current = null;
+  let inFence = false;
+  let inMetadata = true;
+
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const heading = !inFence && /^ {0,3}(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      inMetadata = false;
+      current = { level: heading[1].length, title: heading[2].trim(), lines: [] };
+      blocks.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else if (inMetadata) {
+      const entry = /^([A-Za-z][\w-]*):\s*(.*)$/.exec(line.trim());
+      if (entry) {
+        metadata[entry[1].toUpperCase()] = entry[2].trim();
+      } else if (line.trim() !== '') {
+        inMetadata = false;
+      }
+    }
+  }
+
+  return { metadata, blocks };
+}
+
+/**
+ * Recognise group, data structures, resource and action headings:
+ *   Group Notes | Data Structures | Notes [/notes{?limit}] | /notes
+ *   Create a Note [POST] | Archive [POST /notes/{id}/archive] | GET /notes
+ */
+function classifyHeading(title) {
+  const group = /^Group\s+(.+)$/.exec(title);
+  if (group) return { kind: 'group', name: group[1].trim() };
+  if (/^Data Structures$/i.test(title)) return { kind: 'dataStructures' };
+
+  const bracketed = /^(.*?)\s*\[([^\]]+)\]$/.exec(title);
+  const [name, request] = bracketed ? [bracketed[1].trim(), bracketed[2].trim()] : ['', title];
+
+  const action = new RegExp(`^(${HTTP_METHODS.join('|')})(?:\\s+(\\S+))?$`).exec(request);
+  if (action) {
+    // A bare `GET /notes` heading is a resource holding one action
+    if (!bracketed && action[2]) return { kind: 'resource', name: '', uriTemplate: action[2], method: action[1] };
+    if (bracketed) return { kind: 'action', name, method: action[1], uriTemplate: action[2] || null };
+  }
+
+  if (/^[/{]/.test(request) && !/\s/.test(request)) {
+    return { kind: 'resource', name, uriTemplate: request };
+  }
+
+  return { kind: 'text' };
+}
+
+/**
+ * Parse a data structure heading such as `User (object)` or `Admin (User)`
+ */
+function parseNamedType(title) {
+  const match = /^(.+?)\s*(?:\(([^)]*)\))?$/.exec(title);
+  return { name: match[1].replace(/`/g, '').trim(), definition: parseTypeDefinition(match[2] || '') };
+}
+
+/**
+ * Read the nested list of a section into a tree of items. Every item keeps
+ * its first line as `head` and the non-list lines under it as `lines`.
+ * Body and schema assets (and the lines of a request or response that are
+ * not one of its sections) are kept verbatim, even when they look like lists.
+ */
+function parseListItems(lines) {
+  const root = { indent: -1, lines: [], children: [] };
+  const stack = [root];
+
+  for (const line of lines) {
+    if (line.trim() === '') {
+      stack[stack.length - 1].lines.push('');
+      continue;
+    }
+
+    const indent = line.search(/\S/);
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+
+    const parent = stack[stack.length - 1];
+    const item = /^\s*[+*-]\s+(.*)$/.exec(line);
+    const isAsset = parent.asset || (parent.payload && (!item || indent >= parent.indent + 8 || !PAYLOAD_SECTIONS.test(item[1])));
+
+    if (!item || isAsset) {
+      parent.lines.push(line);
+      continue;
+    }
+
+    const head = item[1].trim();
+    const node = {
+      head,
+      indent,
+      lines: [],
+      children: [],
+      asset: /^(Body|Schema)$/i.test(head),
+      payload: /^(Request|Response|Model)\b/i.test(head)
+    };
+    parent.children.push(node);
+    stack.push(node);
+  }
+
+  return { text: root.lines, items: root.children };
+}
+
+/**
+ * Convert the blueprint into an OpenAPI 3.0 document
+ */
+function convertBlueprint(blueprint) {
+  const context = {
+    typeNames: new Set(),
+    structures: new Map(blueprint.dataStructures.map(structure => [structure.name, structure])),
+    building: new Set(),
+    schemas: {},
+    models: {},
+    securitySchemes: {},
+    operationIds: new Set()
+  };
+
+  for (const structure of blueprint.dataStructures) {
+    context.typeNames.add(structure.name);
+  }
+  for (const resource of blueprint.resources) {
+    if (resource.name && findItem(resource.items, /^Attributes\b/i)) {
+      context.typeNames.add(resource.name);
+    }
+  }
+
+  for (const structure of blueprint.dataStructures) {
+    ensureSchema(structure.name, context);
+  }
+
+  const api = {
+    openapi: '3.0.3',
+    info: { title: blueprint.name || 'API', description: blueprint.description },
+    servers: blueprint.metadata.HOST ? [{ url: blueprint.metadata.HOST.replace(/\/+$/, '') }] : [],
+    paths: {},
+    components: { schemas: context.schemas, securitySchemes: context.securitySchemes }
+  };
+
+  for (const resource of blueprint.resources) {
+    convertResource(resource, context, api.paths);
+  }
+
+  // Credentials seen in any example request apply to the whole API
+  const schemeNames = Object.keys(context.securitySchemes);
+  if (schemeNames.length > 0) {
+    api.security = schemeNames.map(name => ({ [name]: [] }));
+  }
+
+  return api;
+}
+
+/**
+ * Convert a named data structure on first use, so mixins can be declared after
+ * the types that include them
+ */
+function ensureSchema(name, context) {
+  const structure = context.structures.get(name);
+  if (context.schemas[name] || !structure || context.building.has(name)) {
+    return context.schemas[name];
+  }
+
+  context.building.add(name);
+  context.schemas[name] = convertMson(structure.definition, undefined, structure.items, context);
+  context.building.delete(name);
+  return context.schemas[name];
+}
+
+/**
+ * Convert a resource and its actions into OpenAPI operations
+ */
+function convertResource(resource, context, paths) {
+  const attributes = findItem(resource.items, /^Attributes\b/i);
+  if (attributes && resource.name) {
+    context.schemas[resource.name] = convertAttributes(attributes, context);
+  }
+
+  const model = findItem(resource.items, /^Model\b/i);
+  if (model && resource.name) {
+    context.models[resource.name] = readPayload(model, context);
+  }
+
+  const resourceParameters = readParameters(findItem(resource.items, /^Parameters\b/i));
+
+  for (const action of resource.actions) {
+    const template = parseUriTemplate(action.uriTemplate || resource.uriTemplate);
+    const parameters = { ...resourceParameters, ...readParameters(findItem(action.items, /^Parameters\b/i)) };
+    const actionAttributes = findItem(action.items, /^Attributes\b/i);
+    const method = action.method.toLowerCase();
+
+    const requests = action.items.filter(item => /^Request\b/i.test(item.head)).map(item => readPayload(item, context));
+    const responses = action.items.filter(item => /^Response\b/i.test(item.head)).map(item => readPayload(item, context));
+
+    const operation = {
+      operationId: reserveOperationId(
+        action.name ? toCamelCase(action.name) : generateOperationId(method, template.path),
+        context.operationIds
+      ),
+      summary: action.name,
+      description: action.description,
+      tags: [resource.group || resource.name].filter(Boolean),
+      parameters: [
+        ...convertParameters(template, parameters, context),
+        ...collectHeaderParameters(requests)
+      ],
+      responses: {}
+    };
+
+    // Explicit request attributes or schemas win over the action's attributes,
+    // which win over a schema inferred from the example body
+    const content = {};
+    for (const request of requests) {
+      const mediaType = request.mediaType || 'application/json';
+      if (content[mediaType] || (!request.schema && request.example === undefined)) continue;
+      const schema = request.schema || (actionAttributes && convertAttributes(actionAttributes, context)) || request.inferredSchema;
+      content[mediaType] = toMediaTypeObject(schema, request.example);
+    }
+    if (Object.keys(content).length === 0 && actionAttributes) {
+      content['application/json'] = { schema: convertAttributes(actionAttributes, context) };
+    }
+    if (Object.keys(content).length > 0) {
+      operation.requestBody = { required: true, content };
+    }
+
+    for (const response of responses) {
+      const code = response.identifier || '200';
+      const converted = operation.responses[code] || { description: response.description };
+      if (response.schema || response.example !== undefined) {
+        converted.content = converted.content || {};
+        converted.content[response.mediaType || 'application/json'] = toMediaTypeObject(response.schema || response.inferredSchema, response.example);
+      }
+      operation.responses[code] = converted;
+    }
+
+    const credentials = requests.map(request => request.credentials).find(Boolean) || template.credentials;
+    if (credentials) {
+      operation.security = [{ [registerScheme(credentials, context)]: [] }];
+    }
+
+    paths[template.path] = paths[template.path] || {};
+    if (!paths[template.path][method]) {
+      paths[template.path][method] = operation;
+    }
+  }
+}
+
+/**
+ * Read a request, response or model: its media type, headers, body and schema.
+ * A body of the form `[Note][]` reuses the model of the Note resource.
+ */
+function readPayload(item, context) {
+  const match = /^(Request|Response|Model)\b\s*(.*?)\s*(?:\(([^)]*)\))?\s*$/i.exec(item.head);
+  const headersItem = findItem(item.children, /^Headers$/i);
+  const bodyItem = findItem(item.children, /^Body$/i);
+  const schemaItem = findItem(item.children, /^Schema$/i);
+  const attributesItem = findItem(item.children, /^Attributes\b/i);
+
+  const headers = headersItem ? parseHeaders(dedent(headersItem.lines)) : [];
+  const body = dedent(bodyItem ? bodyItem.lines : item.lines);
+  const reference = /^\[([^\]]+)\]\[\]$/.exec(body.trim());
+  if (reference && context.models[reference[1]]) {
+    return { ...context.models[reference[1]], identifier: match[2], description: '' };
+  }
+
+  const mediaType = match[3]?.trim() || getHeader(headers, 'Content-Type') || '';
+  const example = body.trim() === '' ? undefined : (/json/i.test(mediaType) || !mediaType ? parseJsonExample(body) : undefined) ?? body;
+
+  let schema = null;
+  if (attributesItem) {
+    schema = convertAttributes(attributesItem, context);
+  } else if (schemaItem) {
+    const { $schema, id, ...jsonSchema } = parseJsonExample(dedent(schemaItem.lines)) || {};
+    schema = jsonSchema;
+  }
+
+  return {
+    identifier: match[2],
+    description: /^Response/i.test(match[1]) ? '' : match[2],
+    mediaType,
+    headers,
+    credentials: detectCredentials(headers),
+    schema,
+    inferredSchema: example === undefined ? null : inferSchema([example]),
+    example
+  };
+}
+
+/**
+ * Convert an `Attributes (definition)` section into a schema
+ */
+function convertAttributes(item, context) {
+  const match = /^Attributes\b\s*(?:\(([^)]*)\))?/i.exec(item.head);
+  return convertMson(parseTypeDefinition(match[1] || ''), undefined, item.children, context);
+}
+
+/**
+ * Convert an MSON type (its definition, sample value and nested members) into a schema
+ */
+function convertMson(definition, value, members, context) {
+  const baseType = definition.type || (members.length > 0 ? 'object' : 'string');
+  const kind = PRIMITIVE_TYPES.includes(baseType) ? baseType : 'named';
+
+  let schema;
+  if (kind === 'named') {
+    const ref = context.typeNames.has(baseType) ? { $ref: `${COMPONENT_PREFIX}${baseType}` } : {};
+    const own = convertObjectMembers(members, context);
+    schema = Object.keys(own.properties).length > 0 ? { allOf: [ref, { type: 'object', ...own }] } : ref;
+  } else if (kind === 'object') {
+    schema = { type: 'object', ...convertObjectMembers(members, context) };
+  } else if (kind === 'array' || kind === 'enum') {
+    schema = convertElements(kind, definition.nestedTypes, value, members, context);
+  } else {
+    schema = { type: baseType };
+    const sample = value ?? readSectionValue(members, /^Sample\b/i);
+    if (sample !== undefined) {
+      schema.example = kind === 'string' ? sample : coerceScalar(sample);
+      // MSON has a single number type; integer samples make integer fields
+      if (kind === 'number' && Number.isInteger(schema.example)) {
+        schema.type = 'integer';
+      }
+    }
+  }
+
+  const defaultValue = kind === 'named' || kind === 'object' || kind === 'array'
+    ? undefined
+    : readSectionValue(members, /^Default\b/i);
+  if (defaultValue !== undefined) {
+    schema.default = schema.type === 'string' ? defaultValue : coerceScalar(defaultValue);
+  }
+
+  if (definition.attributes.includes('nullable') && !schema.$ref) {
+    schema.nullable = true;
+  }
+
+  return schema;
+}
+
+/**
+ * Convert object members: properties, `Include` mixins and `One Of`
+ * alternatives (whose properties become optional)
+ */
+function convertObjectMembers(members, context, optional = false) {
+  const converted = { properties: {}, required: [] };
+
+  for (const member of members) {
+    const include = /^Include\s+(.+)$/i.exec(member.head);
+    if (include) {
+      const name = include[1].replace(/`/g, '').trim();
+      const mixin = ensureSchema(name, context);
+      if (mixin) {
+        Object.assign(converted.properties, mixin.properties || {});
+        converted.required.push(...(mixin.required || []));
+      }
+      continue;
+    }
+
+    if (/^(One Of|Properties)$/i.test(member.head)) {
+      const nested = convertObjectMembers(member.children, context, optional || /^One Of$/i.test(member.head));
+      Object.assign(converted.properties, nested.properties);
+      converted.required.push(...nested.required);
+      continue;
+    }
+    if (/^(Sample|Default)\b/i.test(member.head)) continue;
+
+    const signature = parseSignature(member.head);
+    if (!signature.name) continue;
+
+    const schema = convertMson(signature.definition, signature.value, member.children, context);
+    const description = [signature.description, toText(member.lines)].filter(Boolean).join('\n');
+    if (description && !schema.$ref) {
+      schema.description = description;
+    }
+
+    converted.properties[signature.name] = schema;
+    if (!optional && signature.definition.attributes.includes('required')) {
+      converted.required.push(signature.name);
+    }
+  }
+
+  converted.required = [...new Set(converted.required)];
+  return converted;
+}
+
+/**
+ * Convert the elements of an array or enum: nested type names, element
+ * members and inline comma-separated values
+ */
+function convertElements(kind, nestedTypes, value, members, context) {
+  const elementMembers = members.flatMap(member =>
+    /^(Items|Members)$/i.test(member.head) ? member.children : [member]
+  ).filter(member => !/^(Sample|Default)\b/i.test(member.head));
+
+  const elements = elementMembers.map(member => {
+    const signature = parseSignature(member.head, true);
+    return {
+      value: signature.value,
+      schema: convertMson(signature.definition, signature.value, member.children, context)
+    };
+  });
+  const inlineValues = value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+
+  if (kind === 'enum') {
+    const values = [...inlineValues, ...elements.map(element => element.value).filter(Boolean)];
+    const type = nestedTypes[0] && PRIMITIVE_TYPES.includes(nestedTypes[0]) ? nestedTypes[0] : 'string';
+    return { type, enum: [...new Set(values)].map(item => (type === 'string' ? item : coerceScalar(item))) };
+  }
+
+  let items = {};
+  if (nestedTypes.length > 0) {
+    const variants = nestedTypes.map(type => convertMson({ type, nestedTypes: [], attributes: [] }, undefined, [], context));
+    items = variants.length > 1 ? { oneOf: variants } : variants[0];
+  } else if (elements.length > 0) {
+    items = elements[0].schema;
+  } else if (inlineValues.length > 0) {
+    items = inferSchema(inlineValues.map(coerceScalar));
+  }
+
+  const schema = { type: 'array', items };
+  if (inlineValues.length > 0) {
+    schema.example = inlineValues.map(coerceScalar);
+  }
+  return schema;
+}
+
+/**
+ * Read the value of a nested `Sample` or `Default` member, given inline or on its own lines
+ */
+function readSectionValue(members, section) {
+  const member = members.find(item => section.test(item.head));
+  if (!member) return undefined;
+
+  const inline = /^\w+:\s*(.+)$/.exec(member.head);
+  return inline ? stripCode(inline[1]) : toText(member.lines) || undefined;
+}
+
+/**
+ * Read a parameters section into declarations keyed by name
+ */
+function readParameters(item) {
+  const parameters = {};
+  if (!item) return parameters;
+
+  for (const child of item.children) {
+    const signature = parseSignature(child.head.replace(/^(\S+?)\s*=\s*(`[^`]*`)/, '$1: $2'));
+    if (!signature.name) continue;
+
+    const declaration = {
+      example: signature.value,
+      definition: signature.definition,
+      description: [signature.description, toText(child.lines)].filter(Boolean).join('\n'),
+      members: child.children
+    };
+    parameters[signature.name] = declaration;
+  }
+
+  return parameters;
+}
+
+/**
+ * Build path and query parameters from the URI template and the declared
+ * parameters. Blueprint parameters are required unless marked optional.
+ */
+function convertParameters(template, declarations, context) {
+  const toParameter = (name, location) => {
+    const declaration = declarations[name];
+    if (!declaration) {
+      return { name, in: location, required: location === 'path', schema: { type: 'string' } };
+    }
+
+    const { definition, example, members } = declaration;
+    const schema = convertMson(definition, example, members, context);
+
+    return {
+      name,
+      in: location,
+      required: location === 'path' || !definition.attributes.includes('optional'),
+      description: declaration.description,
+      schema
+    };
+  };
+
+  return [
+    ...template.pathVariables.map(name => toParameter(name, 'path')),
+    ...template.queryVariables.map(name => toParameter(name, 'query'))
+  ];
+}
+
+/**
+ * Request headers other than content negotiation and credentials become header parameters
+ */
+function collectHeaderParameters(requests) {
+  const parameters = new Map();
+
+  for (const request of requests) {
+    for (const { name, value } of request.headers) {
+      const key = name.toLowerCase();
+      if (['content-type', 'accept', 'authorization'].includes(key) || API_KEY_HEADER.test(name) || parameters.has(key)) continue;
+      parameters.set(key, { name, in: 'header', required: false, schema: { type: 'string', example: value } });
+    }
+  }
+
+  return Array.from(parameters.values());
+}
+
+/**
+ * Split a URI template into its OpenAPI path and variables. Query expressions
+ * (`{?limit,offset}`, `{&page}`) become query parameters, fragments are
+ * dropped and reserved expansions (`{+path}`) are plain path variables.
+ */
+function parseUriTemplate(uriTemplate) {
+  const pathVariables = [];
+  const queryVariables = [];
+  const toName = variable => variable.trim().replace(/[*]$/, '').replace(/:\d+$/, '');
+
+  let path = (uriTemplate || '/').replace(/\{([?&])([^{}]*)\}/g, (expression, operator, variables) => {
+    queryVariables.push(...variables.split(',').map(toName).filter(Boolean));
+    return '';
+  });
+  path = path.replace(/\{#[^{}]*\}/g, '');
+  path = path.replace(/\{\+?([^{}]*)\}/g, (expression, variables) =>
+    variables.split(',').map(toName).map(name => {
+      pathVariables.push(name);
+      return `{${name}}`;
+    }).join(',')
+  );
+
+  // A literal query string in the template, such as /notes?sort=date
+  const [pathPart, literalQuery] = path.split('?');
+  for (const pair of (literalQuery || '').split('&').filter(Boolean)) {
+    queryVariables.push(decodeURIComponent(pair.split('=')[0]));
+  }
+
+  // API keys passed in the query string are credentials, not parameters
+  const credentials = queryVariables.filter(name => API_KEY_QUERY.test(name)).map(name => ({ type: 'apiKey', name, in: 'query' }))[0];
+
+  return {
+    path: pathPart || '/',
+    pathVariables: [...new Set(pathVariables)],
+    queryVariables: [...new Set(queryVariables)].filter(name => !API_KEY_QUERY.test(name)),
+    credentials
+  };
+}
+
+/**
+ * Parse a member or parameter signature:
+ *   name: `value` (type definition) - description
+ * Element members (array items and enum values) have no name.
+ */
+function parseSignature(text, element = false) {
+  let definitionStart = -1;
+  let definitionEnd = -1;
+  let descriptionStart = -1;
+  let depth = 0;
+  let inCode = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '`') inCode = !inCode;
+    if (inCode) continue;
+
+    if (char === '(') {
+      if (depth === 0 && definitionStart < 0) definitionStart = i;
+      depth++;
+    } else if (char === ')' && depth > 0) {
+      depth--;
+      if (depth === 0 && definitionEnd < 0) definitionEnd = i;
+    } else if (char === '-' && depth === 0 && /\s/.test(text[i - 1] || ' ') && /\s/.test(text[i + 1] || ' ')) {
+      descriptionStart = i;
+      break;
+    }
+  }
+
+  const signatureEnd = [definitionStart, descriptionStart].filter(index => index >= 0)[0] ?? text.length;
+  const signature = text.slice(0, signatureEnd).trim();
+  const definition = parseTypeDefinition(definitionStart >= 0 && definitionEnd > definitionStart
+    ? text.slice(definitionStart + 1, definitionEnd)
+    : '');
+  const description = descriptionStart >= 0 ? text.slice(descriptionStart + 1).trim() : '';
+
+  if (element) {
+    return { name: '', value: signature ? stripCode(signature) : undefined, definition, description };
+  }
+
+  const separator = findOutsideCode(signature, ':');
+  const name = stripCode(separator >= 0 ? signature.slice(0, separator) : signature).replace(/^[*_]+|[*_]+$/g, '');
+  const value = separator >= 0 ? stripCode(signature.slice(separator + 1).trim()) : undefined;
+
+  return { name, value: value === '' ? undefined : value, definition, description };
+}
+
+/**
+ * Parse a type definition such as `array[User], required` or `enum[string], optional`
+ */
+function parseTypeDefinition(text) {
+  const attributes = [];
+  let type = null;
+  let nestedTypes = [];
+
+  for (const token of splitOutsideBrackets(text)) {
+    const lower = token.toLowerCase();
+    if (TYPE_ATTRIBUTES.includes(lower)) {
+      attributes.push(lower);
+    } else if (!type && token) {
+      const nested = /^([^[]+)\[(.*)\]$/.exec(token);
+      type = stripCode(nested ? nested[1] : token);
+      nestedTypes = nested ? nested[2].split(',').map(item => stripCode(item.trim())).filter(Boolean) : [];
+    }
+  }
+
+  return { type, nestedTypes, attributes };
+}
+
+/**
+ * Parse `Name: value` header lines
+ */
+function parseHeaders(text) {
+  return text.split('\n')
+    .map(line => /^([^:\s]+)\s*:\s*(.*)$/.exec(line.trim()))
+    .filter(Boolean)
+    .map(match => ({ name: match[1], value: match[2].trim() }));
+}
+
+function getHeader(headers, name) {
+  return headers.find(header => header.name.toLowerCase() === name.toLowerCase())?.value;
+}
+
+/**
+ * Detect the credentials an example request sends
+ */
+function detectCredentials(headers) {
+  const authorization = getHeader(headers, 'Authorization');
+  if (authorization) {
+    if (/^Bearer\b/i.test(authorization)) return { type: 'http', scheme: 'bearer' };
+    if (/^Basic\b/i.test(authorization)) return { type: 'http', scheme: 'basic' };
+    return { type: 'apiKey', name: 'Authorization', in: 'header' };
+  }
+
+  const apiKeyHeader = headers.find(header => API_KEY_HEADER.test(header.name));
+  return apiKeyHeader ? { type: 'apiKey', name: apiKeyHeader.name, in: 'header' } : null;
+}
+
+/**
+ * Register a detected security scheme, reusing an identical one
+ */
+function registerScheme(scheme, context) {
+  const existing = Object.entries(context.securitySchemes)
+    .find(([, declared]) => JSON.stringify(declared) === JSON.stringify(scheme));
+  if (existing) return existing[0];
+
+  const baseName = scheme.type === 'http' ? `${scheme.scheme}Auth` : toCamelCase(scheme.name);
+  let name = baseName;
+  for (let suffix = 2; context.securitySchemes[name]; suffix++) {
+    name = `${baseName}${suffix}`;
+  }
+  context.securitySchemes[name] = scheme;
+  return name;
+}
+
+function toMediaTypeObject(schema, example) {
+  const mediaTypeObject = { schema: schema || {} };
+  if (example !== undefined) {
+    mediaTypeObject.example = example;
+  }
+  return mediaTypeObject;
+}
+
+function findItem(items, pattern) {
+  return items.find(item => pattern.test(item.head));
+}
+
+/**
+ * Remove the common indentation of asset lines, and a surrounding code fence
+ */
+function dedent(lines) {
+  const content = lines.filter(line => line.trim() !== '');
+  const indent = Math.min(...content.map(line => line.search(/\S/)));
+  const text = lines.map(line => line.slice(Number.isFinite(indent) ? indent : 0)).join('\n').trim();
+  return text.replace(/^(```|~~~)[^\n]*\n([\s\S]*?)\n\1$/, '$2');
+}
+
+function toText(lines) {
+  return lines.map(line => line.trim()).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function stripCode(value) {
+  return String(value).trim().replace(/^`+|`+$/g, '').trim();
+}
+
+function findOutsideCode(text, char) {
+  let inCode = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '`') inCode = !inCode;
+    else if (!inCode && text[i] === char) return i;
+  }
+  return -1;
+}
+
+function splitOutsideBrackets(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '[') depth++;
+    if (char === ']') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Generate an operation ID such as getNotesById
+ */
+function generateOperationId(method, path) {
+  const parts = path.split('/').filter(Boolean).map(segment => {
+    const param = /^\{(.+)\}$/.exec(segment);
+    return param ? `By${toModelName(param[1])}` : toModelName(segment);
+  });
+  return `${method}${parts.join('') || 'Root'}`;
+}
+
+function toCamelCase(value) {
+  const name = toModelName(value);
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+module.exports = { parseApiBlueprint };
\ No newline at end of file
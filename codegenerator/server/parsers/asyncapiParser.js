@@ -0,0 +1,377 @@
+/**
+ * AsyncAPI Parser
+ * Builds the parsed API data model from an AsyncAPI 2.x or 3.x document.
+ * Every channel operation becomes an endpoint whose method is PUBLISH or
+ * SUBSCRIBE, seen from the client (what the client sends or receives), with a
+ * `messaging` descriptor:
+ *   { action, channel, address, protocol, contentType, payload, headers, messages }
+ * Message payloads and headers are normalized into the shared schema
+ * registry, so generators can emit typed publishers, subscribers and models.
+ */
+const { SchemaRegistry, dereference, toModelName } = require('./schemaRegistry');
+const { loadSpecDocument, extractSecuritySchemes, extractAuthMethod } = require('./swaggerParser');
+const { reserveOperationId } = require('./operationIds');
+
+/**
+ * Client-side action for each operation keyword. AsyncAPI 2.x describes
+ * operations from the client's view (`publish` means clients publish to the
+ * channel); 3.x describes the application itself, so what it sends is what
+ * a client receives.
+ */
+const CLIENT_ACTIONS = {
+  publish: 'publish',
+  subscribe: 'subscribe',
+  receive: 'publish',
+  send: 'subscribe'
+};
+
+/**
+ * Security scheme types that log in to the broker with a username and password
+ */
+const PASSWORD_SCHEME_TYPES = ['userPassword', 'apiKey', 'plain', 'scramSha256', 'scramSha512'];
+
+/**
+ * Payload schema formats that are JSON Schema, or a superset the registry understands
+ */
+const JSON_SCHEMA_FORMAT = /^application\/(schema\+(json|yaml)|vnd\.aai\.asyncapi|vnd\.oai\.openapi)/;
+
+/**
+ * Content type of messages that declare none, unless the document sets a default
+ */
+const DEFAULT_CONTENT_TYPE = 'application/json';
+
+/**
+ * Parse an AsyncAPI document
+ * @param {string} content - AsyncAPI JSON or YAML content
+ * @returns {Object} Parsed API data
+ */
+async function parseAsyncApi(content) {
+  try {
+    const api = loadSpecDocument(content, ['asyncapi']);
+    const version = String(api.asyncapi || '');
+    if (!/^[23]\./.test(version)) {
+      throw new Error(version ? `Unsupported AsyncAPI version ${version}` : 'Missing asyncapi version field');
+    }
+
+    const server = pickServer(api);
+    const securitySchemes = extractSecuritySchemes({
+      components: { securitySchemes: toOpenApiSecuritySchemes(api) }
+    });
+    const context = {
+      api,
+      registry: new SchemaRegistry(api).registerComponents(),
+      baseUrl: server ? toServerUrl(server) : '',
+      protocol: server?.protocol || '',
+      defaultContentType: api.defaultContentType || DEFAULT_CONTENT_TYPE,
+      security: extractSecurity(api, server?.security)
+    };
+
+    const operations = version.startsWith('2.') ? collectV2Operations(api) : collectV3Operations(api);
+    if (operations.length === 0) {
+      throw new Error('No channel operations found');
+    }
+
+    const usedIds = new Set();
+    const endpoints = operations.map(operation => toEndpoint(operation, context, usedIds));
+
+    return {
+      baseUrl: context.baseUrl,
+      authMethod: extractAuthMethod(securitySchemes),
+      endpoints,
+      securitySchemes,
+      security: context.security,
+      schemas: context.registry.schemas,
+      title: api.info?.title || 'Event API',
+      version: api.info?.version || '1.0.0',
+      description: api.info?.description || ''
+    };
+  } catch (error) {
+    throw new Error(`Failed to parse AsyncAPI document: ${error.message}`);
+  }
+}
+
+/**
+ * Collect operations from AsyncAPI 2.x channels, where each channel carries
+ * its own publish and subscribe operations
+ */
+function collectV2Operations(api) {
+  const operations = [];
+
+  for (const [channelName, rawChannel] of Object.entries(api.channels || {})) {
+    const channel = dereference(api, rawChannel) || {};
+
+    for (const keyword of ['publish', 'subscribe']) {
+      if (!channel[keyword]) continue;
+
+      const operation = applyTraits(api, dereference(api, channel[keyword]) || {});
+      const message = dereference(api, operation.message);
+      const messages = Array.isArray(message?.oneOf) ? message.oneOf : [message];
+
+      operations.push({
+        action: CLIENT_ACTIONS[keyword],
+        channelName,
+        address: channelName,
+        channel,
+        operation,
+        operationId: operation.operationId,
+        messages: messages
+          .map(entry => ({ key: pointerName(entry?.$ref), message: dereference(api, entry) }))
+          .filter(entry => entry.message)
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Collect operations from AsyncAPI 3.x, where operations reference a channel
+ * and a subset of its messages
+ */
+function collectV3Operations(api) {
+  const operations = [];
+
+  for (const [operationKey, rawOperation] of Object.entries(api.operations || {})) {
+    const operation = applyTraits(api, dereference(api, rawOperation) || {});
+    const action = CLIENT_ACTIONS[operation.action];
+    if (!action) continue;
+
+    const channel = dereference(api, operation.channel) || {};
+    const channelName = pointerName(operation.channel?.$ref) || operationKey;
+    // Without an explicit list the operation carries every message of its channel
+    const messageEntries = operation.messages
+      ? operation.messages.map(entry => [pointerName(entry?.$ref), entry])
+      : Object.entries(channel.messages || {});
+
+    operations.push({
+      action,
+      channelName,
+      // A null address is only known at runtime; the channel key stands in for it
+      address: channel.address || channelName,
+      channel,
+      operation,
+      operationId: operationKey,
+      messages: messageEntries
+        .map(([key, entry]) => ({ key, message: dereference(api, entry) }))
+        .filter(entry => entry.message)
+    });
+  }
+
+  return operations;
+}
+
+/**
+ * Convert a collected operation into an endpoint
+ */
+function toEndpoint(source, context, usedIds) {
+  const { registry } = context;
+  const { action, channelName, address, channel, operation } = source;
+  const operationId = reserveOperationId(toMethodName(source.operationId || `${action} ${channelName}`), usedIds);
+
+  const messages = source.messages.map((entry, index) => extractMessage(
+    entry,
+    context,
+    `${toModelName(operationId)}Message${source.messages.length > 1 ? index + 1 : ''}`
+  ));
+  const payload = messages.length > 1
+    ? { oneOf: messages.map(message => message.payload) }
+    : messages[0]?.payload || {};
+  const contentType = messages[0]?.contentType || context.defaultContentType;
+  const body = {
+    required: true,
+    mediaType: contentType,
+    schema: registry.describe(payload, messages[0]?.example)
+  };
+
+  return {
+    method: action.toUpperCase(),
+    path: address,
+    fullUrl: joinUrl(context.baseUrl, address),
+    summary: operation.summary || messages[0]?.title || '',
+    description: operation.description || channel.description || '',
+    operationId,
+    parameters: extractChannelParameters(source, context),
+    requestBody: action === 'publish' ? body : null,
+    responses: action === 'subscribe'
+      ? { message: { description: operation.summary || '', mediaType: contentType, schema: body.schema } }
+      : {},
+    security: operation.security ? extractSecurity(context.api, operation.security) : context.security,
+    tags: (operation.tags || []).map(tag => tag.name).filter(Boolean),
+    messaging: {
+      action,
+      channel: channelName,
+      address,
+      protocol: context.protocol,
+      contentType,
+      payload,
+      headers: messages.length === 1 ? messages[0].headers : null,
+      messages
+    }
+  };
+}
+
+/**
+ * Extract a message's payload and headers into the registry
+ */
+function extractMessage({ key, message: rawMessage }, context, fallbackName) {
+  const message = applyTraits(context.api, rawMessage);
+  const name = toModelName(message.name || message.messageId || key || fallbackName);
+  const payload = unwrapSchema(message.payload, message.schemaFormat);
+  const headers = unwrapSchema(message.headers, message.schemaFormat);
+
+  return {
+    name,
+    title: message.title || message.summary || '',
+    contentType: message.contentType || context.defaultContentType,
+    payload: payload ? context.registry.normalize(payload, `${name}Payload`) : {},
+    headers: headers ? context.registry.normalize(headers, `${name}Headers`) : null,
+    example: message.examples?.[0]?.payload
+  };
+}
+
+/**
+ * Get the JSON Schema of a payload or headers definition. AsyncAPI 3.x may wrap
+ * it in a multi-format object; schemas in other formats (Avro, Protobuf, RAML)
+ * are left untyped.
+ */
+function unwrapSchema(definition, messageSchemaFormat) {
+  if (!definition || typeof definition !== 'object') return null;
+
+  const isMultiFormat = Boolean(definition.schemaFormat && definition.schema);
+  const schemaFormat = isMultiFormat ? definition.schemaFormat : messageSchemaFormat;
+  if (schemaFormat && !JSON_SCHEMA_FORMAT.test(schemaFormat)) return null;
+
+  return isMultiFormat ? definition.schema : definition;
+}
+
+/**
+ * Extract the parameters that appear in a channel address
+ */
+function extractChannelParameters(source, context) {
+  const declared = source.channel.parameters || {};
+  const names = [...new Set([...source.address.matchAll(/\{([^}]+)\}/g)].map(match => match[1]))];
+
+  return names.map(name => {
+    const param = dereference(context.api, declared[name]) || {};
+    // 3.x parameters describe their values directly instead of through a schema
+    const rawSchema = param.schema || {
+      type: 'string',
+      ...(param.enum ? { enum: param.enum } : {}),
+      ...(param.default !== undefined ? { default: param.default } : {})
+    };
+    const schema = context.registry.normalize(rawSchema, toModelName(name));
+    const model = schema.ref ? context.registry.schemas[schema.ref] || {} : schema;
+
+    return {
+      name,
+      in: 'path',
+      required: true,
+      type: model.type || 'string',
+      description: param.description || '',
+      example: param.examples?.[0] ?? rawSchema.example ?? param.default,
+      format: model.format,
+      enum: model.enum,
+      schema
+    };
+  });
+}
+
+/**
+ * Merge operation or message traits; values on the object itself take precedence
+ */
+function applyTraits(api, object) {
+  const { traits = [], ...rest } = object || {};
+  return Object.assign({}, ...traits.map(trait => dereference(api, trait) || {}), rest);
+}
+
+/**
+ * Pick the server the generated client connects to (the first declared one)
+ */
+function pickServer(api) {
+  return Object.values(api.servers || {})
+    .map(server => dereference(api, server))
+    .find(Boolean);
+}
+
+/**
+ * Build a server URL, filling in server variables and the protocol scheme
+ */
+function toServerUrl(server) {
+  const raw = server.host ? `${server.host}${server.pathname || ''}` : server.url || '';
+  const url = raw.replace(/\{([^}]+)\}/g, (placeholder, name) => {
+    const variable = server.variables?.[name];
+    return String(variable?.default ?? variable?.enum?.[0] ?? placeholder);
+  });
+
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(url) || !server.protocol ? url : `${server.protocol}://${url}`;
+}
+
+/**
+ * Convert AsyncAPI security schemes to their OpenAPI equivalents so they share
+ * the Swagger parser's extraction. Broker logins become basic credentials;
+ * certificate and encryption schemes have no equivalent and are dropped.
+ */
+function toOpenApiSecuritySchemes(api) {
+  const converted = {};
+
+  for (const [name, rawScheme] of Object.entries(api.components?.securitySchemes || {})) {
+    const scheme = dereference(api, rawScheme) || {};
+
+    if (scheme.type === 'httpApiKey') {
+      converted[name] = { ...scheme, type: 'apiKey' };
+    } else if (PASSWORD_SCHEME_TYPES.includes(scheme.type)) {
+      converted[name] = { type: 'http', scheme: 'basic', description: scheme.description };
+    } else if (scheme.type === 'oauth2') {
+      const flows = {};
+      for (const [flowName, flow] of Object.entries(scheme.flows || {})) {
+        flows[flowName] = { ...flow, scopes: flow.scopes || flow.availableScopes || {} };
+      }
+      converted[name] = { ...scheme, flows };
+    } else {
+      converted[name] = scheme;
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Convert security requirements to `{ schemeName: scopes }` objects.
+ * 2.x already uses that shape; 3.x lists references to the schemes.
+ */
+function extractSecurity(api, requirements) {
+  if (!Array.isArray(requirements)) return [];
+
+  return requirements
+    .map(requirement => {
+      if (!requirement?.$ref) return requirement;
+      const scheme = dereference(api, requirement) || {};
+      return { [pointerName(requirement.$ref)]: scheme.scopes || [] };
+    })
+    .filter(requirement => requirement && typeof requirement === 'object' && !requirement.type);
+}
+
+/**
+ * Join the server URL and a channel address
+ */
+function joinUrl(baseUrl, address) {
+  return baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${address.replace(/^\/+/, '')}` : address;
+}
+
+/**
+ * Convert an operation name into a camelCase method name
+ */
+function toMethodName(value) {
+  const name = toModelName(value);
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+/**
+ * Last segment of a local JSON pointer, e.g. the channel or message key
+ */
+function pointerName(ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+  return decodeURIComponent(ref.split('/').pop()).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+module.exports = { parseAsyncApi };
@@ -0,0 +1,463 @@
+/**
+ * cURL Parser
+ * Turns one or more pasted `curl` commands, as found in vendor documentation,
+ * into recorded exchanges and infers the API from them like a HAR capture.
+ * Commands may span lines with `\` (or `^` / backtick) continuations, carry
+ * shell prompts and be separated by blank lines, `;` or `&&`.
+ */
+const { inferApiFromTraffic } = require('./trafficInference');
+
+/**
+ * Options that take a value, mapped to the setting they control
+ */
+const VALUE_OPTIONS = {
+  '-X': 'method',
+  '--request': 'method',
+  '-H': 'header',
+  '--header': 'header',
+  '-d': 'data',
+  '--data': 'data',
+  '--data-ascii': 'data',
+  '--data-binary': 'data',
+  '--data-raw': 'dataRaw',
+  '--data-urlencode': 'dataUrlencode',
+  '--json': 'json',
+  '-F': 'form',
+  '--form': 'form',
+  '--form-string': 'formString',
+  '-u': 'user',
+  '--user': 'user',
+  '--oauth2-bearer': 'bearer',
+  '--url': 'url',
+  '-A': 'userAgent',
+  '--user-agent': 'userAgent',
+  '-e': 'referer',
+  '--referer': 'referer',
+  '-b': 'cookie',
+  '--cookie': 'cookie',
+  '-T': 'uploadFile',
+  '--upload-file': 'uploadFile'
+};
+
+/**
+ * Options that take a value which does not affect the request shape
+ */
+const IGNORED_VALUE_OPTIONS = [
+  '-o', '--output', '-w', '--write-out', '-m', '--max-time', '--connect-timeout',
+  '--retry', '--retry-delay', '--retry-max-time', '-x', '--proxy', '-c', '--cookie-jar',
+  '-E', '--cert', '--key', '--cacert', '--capath', '-K', '--config', '--resolve',
+  '--limit-rate', '-r', '--range', '-z', '--time-cond', '--max-redirs', '--proto',
+  '--interface', '--dns-servers', '-D', '--dump-header', '--trace', '--trace-ascii'
+];
+
+/**
+ * Flag options that change the request
+ */
+const FLAG_OPTIONS = {
+  '-G': 'get',
+  '--get': 'get',
+  '-I': 'head',
+  '--head': 'head'
+};
+
+/**
+ * Path placeholders written as <id>, :id or {{id}}; rewritten to {id}
+ */
+const PATH_PLACEHOLDER = /^(?:<([A-Za-z_][\w-]*)>|:([A-Za-z_][\w-]*)|\{\{([A-Za-z_][\w-]*)\}\})$/;
+
+/**
+ * Parse pasted cURL commands
+ * @param {string} content - One or more curl commands
+ * @returns {Object} Parsed API data
+ */
+async function parseCurl(content) {
+  try {
+    if (!content || content.trim() === '') {
+      throw new Error('Empty or invalid cURL content');
+    }
+
+    const exchanges = readCurlCommands(content);
+    if (exchanges.length === 0) {
+      throw new Error('No curl commands found');
+    }
+
+    return inferApiFromTraffic(exchanges, {
+      description: `Inferred from ${exchanges.length} cURL command${exchanges.length === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    throw new Error(`Failed to parse cURL commands: ${error.message}`);
+  }
+}
+
+/**
+ * Read the curl commands in shell text as recorded exchanges without responses
+ * @param {string} content - One or more curl commands
+ * @returns {Array<Object>} Exchanges, one per command
+ */
+function readCurlCommands(content) {
+  return splitCommands(tokenize(content)).map(toExchange);
+}
+
+/**
+ * Split shell text into words following POSIX quoting rules. Unquoted newlines
+ * and command separators are kept as `{ separator }` markers.
+ */
+function tokenize(content) {
+  const text = content.replace(/\r\n?/g, '\n').replace(/[\\^`]\n/g, ' ');
+  const tokens = [];
+  let word = '';
+  let inWord = false;
+
+  const endWord = () => {
+    if (inWord) tokens.push({ word });
+    word = '';
+    inWord = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\n' || char === ';' || char === '|' || (char === '&' && text[i + 1] === '&')) {
+      endWord();
+      tokens.push({ separator: true });
+      if ((char === '&' || char === '|') && text[i + 1] === char) i++;
+    } else if (/\s/.test(char)) {
+      endWord();
+    } else if (char === '#' && !inWord) {
+      while (i + 1 < text.length && text[i + 1] !== '\n') i++;
+    } else if (char === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end === -1) throw new Error('Unterminated single quote');
+      word += text.slice(i + 1, end);
+      inWord = true;
+      i = end;
+    } else if (char === '$' && text[i + 1] === "'") {
+      i = readAnsiCString(text, i + 2, value => { word += value; });
+      inWord = true;
+    } else if (char === '"') {
+      i = readDoubleQuoted(text, i + 1, value => { word += value; });
+      inWord = true;
+    } else if (char === '\\') {
+      word += text[i + 1] ?? '';
+      inWord = true;
+      i++;
+    } else {
+      word += char;
+      inWord = true;
+    }
+  }
+  endWord();
+  return tokens;
+}
+
+/**
+ * Read a "double quoted" string; returns the index of the closing quote
+ */
+function readDoubleQuoted(text, start, append) {
+  let value = '';
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      append(value);
+      return i;
+    }
+    if (char === '\\' && '"\\$`'.includes(text[i + 1])) {
+      value += text[++i];
+    } else {
+      value += char;
+    }
+  }
+  throw new Error('Unterminated double quote');
+}
+
+/**
+ * Read a $'ANSI-C quoted' string; returns the index of the closing quote
+ */
+function readAnsiCString(text, start, append) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' };
+  let value = '';
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'") {
+      append(value);
+      return i;
+    }
+    if (char === '\\' && i + 1 < text.length) {
+      const next = text[++i];
+      value += escapes[next] ?? `\\${next}`;
+    } else {
+      value += char;
+    }
+  }
+  throw new Error('Unterminated $\' quote');
+}
+
+/**
+ * Group words into the argument lists of each curl invocation. Shell prompts
+ * and commands other than curl (e.g. a trailing `| jq`) are dropped.
+ */
+function splitCommands(tokens) {
+  const commands = [];
+  let segment = [];
+
+  const endSegment = () => {
+    const start = segment.findIndex(word => word === 'curl' || word.endsWith('/curl') || word === 'curl.exe');
+    if (start !== -1 && segment.slice(0, start).every(word => /^[$>#%]$|^sudo$/.test(word))) {
+      commands.push(segment.slice(start + 1));
+    }
+    segment = [];
+  };
+
+  for (const token of tokens) {
+    if (token.separator) {
+      endSegment();
+    } else {
+      segment.push(token.word);
+    }
+  }
+  endSegment();
+
+  return commands.filter(args => args.length > 0);
+}
+
+/**
+ * Read the options of one curl invocation
+ */
+function parseArguments(args) {
+  const options = {
+    method: null,
+    url: null,
+    headers: [],
+    data: [],
+    dataFile: null,
+    form: [],
+    json: false,
+    get: false,
+    head: false,
+    user: null,
+    bearer: null,
+    uploadFile: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let value;
+
+    if (/^-[A-Za-z]./.test(arg)) {
+      // Short options may be bundled (-sSL) or carry their value (-XPOST)
+      const bundled = arg.slice(1);
+      arg = null;
+      for (let j = 0; j < bundled.length; j++) {
+        const flag = `-${bundled[j]}`;
+        if (VALUE_OPTIONS[flag] || IGNORED_VALUE_OPTIONS.includes(flag)) {
+          arg = flag;
+          value = bundled.slice(j + 1) || undefined;
+          break;
+        }
+        applyFlag(options, flag);
+      }
+      if (!arg) continue;
+    }
+
+    const setting = VALUE_OPTIONS[arg];
+    if (setting || IGNORED_VALUE_OPTIONS.includes(arg)) {
+      if (value === undefined) {
+        if (i + 1 >= args.length) throw new Error(`Missing value for ${arg}`);
+        value = args[++i];
+      }
+      if (setting) applyValue(options, setting, value);
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      applyFlag(options, arg);
+    } else if (!options.url) {
+      options.url = arg;
+    }
+  }
+
+  if (!options.url) {
+    throw new Error('curl command without a URL');
+  }
+  return options;
+}
+
+function applyFlag(options, flag) {
+  const setting = FLAG_OPTIONS[flag];
+  if (setting) {
+    options[setting] = true;
+  }
+}
+
+function applyValue(options, setting, value) {
+  switch (setting) {
+    case 'method':
+      options.method = value.toUpperCase();
+      break;
+    case 'header': {
+      const separator = value.indexOf(':');
+      if (separator > 0) {
+        const headerValue = value.slice(separator + 1).trim();
+        if (headerValue) {
+          options.headers.push({ name: value.slice(0, separator).trim(), value: headerValue });
+        }
+      }
+      break;
+    }
+    case 'data':
+      // @file sends the file's contents, which the command does not show
+      if (value.startsWith('@')) {
+        options.dataFile = value.slice(1);
+      } else {
+        options.data.push(value);
+      }
+      break;
+    case 'dataRaw':
+      options.data.push(value);
+      break;
+    case 'dataUrlencode':
+      options.data.push(encodeDataField(value));
+      break;
+    case 'json':
+      options.data.push(value);
+      options.json = true;
+      break;
+    case 'form':
+    case 'formString':
+      options.form.push(toFormParam(value, setting === 'form'));
+      break;
+    case 'user':
+      options.user = value;
+      break;
+    case 'bearer':
+      options.bearer = value;
+      break;
+    case 'url':
+      options.url = value;
+      break;
+    case 'userAgent':
+      options.headers.push({ name: 'User-Agent', value });
+      break;
+    case 'referer':
+      options.headers.push({ name: 'Referer', value });
+      break;
+    case 'cookie':
+      if (value.includes('=')) options.headers.push({ name: 'Cookie', value });
+      break;
+    case 'uploadFile':
+      options.uploadFile = value;
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * --data-urlencode accepts `content`, `=content`, `name=content` and `name@file`
+ */
+function encodeDataField(value) {
+  const equals = value.indexOf('=');
+  if (equals === -1) {
+    return value.includes('@') ? value : encodeURIComponent(value);
+  }
+  const name = value.slice(0, equals);
+  const content = encodeURIComponent(value.slice(equals + 1));
+  return name ? `${name}=${content}` : content;
+}
+
+/**
+ * -F name=value, name=@file;type=mime or name=<file
+ */
+function toFormParam(value, allowFiles) {
+  const equals = value.indexOf('=');
+  const name = equals === -1 ? value : value.slice(0, equals);
+  const content = equals === -1 ? '' : value.slice(equals + 1);
+
+  if (allowFiles && content.startsWith('@')) {
+    const path = content.slice(1).split(';')[0];
+    return { name, value: '', fileName: path.split(/[\\/]/).pop() };
+  }
+  if (allowFiles && content.startsWith('<')) {
+    return { name, value: `(contents of ${content.slice(1).split(';')[0]})` };
+  }
+  return { name, value: content };
+}
+
+/**
+ * Convert a curl invocation to a recorded exchange
+ */
+function toExchange(args) {
+  const options = parseArguments(args);
+  const headers = [...options.headers];
+  const hasHeader = name => headers.some(header => header.name.toLowerCase() === name);
+
+  if (options.user && !hasHeader('authorization')) {
+    headers.push({ name: 'Authorization', value: `Basic ${Buffer.from(options.user).toString('base64')}` });
+  }
+  if (options.bearer && !hasHeader('authorization')) {
+    headers.push({ name: 'Authorization', value: `Bearer ${options.bearer}` });
+  }
+
+  let url = normalizeUrl(options.url);
+  const data = options.data.join('&');
+  let body = null;
+
+  if (options.get && data) {
+    url += (url.includes('?') ? '&' : '?') + data;
+  } else if (options.form.length > 0) {
+    body = { mimeType: 'multipart/form-data', text: '', params: options.form };
+  } else if (options.dataFile || options.uploadFile) {
+    const contentType = headers.find(header => header.name.toLowerCase() === 'content-type');
+    const path = options.dataFile || options.uploadFile;
+    body = { mimeType: contentType?.value || 'application/octet-stream', text: '', params: [], fileName: path.split(/[\\/]/).pop() };
+  } else if (data) {
+    body = { mimeType: getDataMimeType(options, headers, data), text: data, params: [] };
+  }
+
+  return {
+    method: options.method || getDefaultMethod(options, body),
+    url,
+    headers,
+    body,
+    response: null
+  };
+}
+
+function getDefaultMethod(options, body) {
+  if (options.head) return 'HEAD';
+  if (options.get) return 'GET';
+  if (options.uploadFile) return 'PUT';
+  return body ? 'POST' : 'GET';
+}
+
+/**
+ * The body media type: an explicit Content-Type, then --json, then a sniff of the data
+ */
+function getDataMimeType(options, headers, data) {
+  const contentType = headers.find(header => header.name.toLowerCase() === 'content-type');
+  if (contentType) return contentType.value;
+  if (options.json) return 'application/json';
+
+  try {
+    JSON.parse(data);
+    return 'application/json';
+  } catch (error) {
+    return 'application/x-www-form-urlencoded';
+  }
+}
+
+/**
+ * Add the scheme curl assumes and turn documentation placeholders in the path into {name}
+ */
+function normalizeUrl(raw) {
+  const url = /^[a-z][a-z\d+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`;
+  const match = /^([a-z][a-z\d+.-]*:\/\/[^/?#]*)([^?#]*)(.*)$/i.exec(url);
+  if (!match) return url;
+
+  const [, origin, path, rest] = match;
+  const normalizedPath = path.split('/').map(segment => {
+    const placeholder = PATH_PLACEHOLDER.exec(segment);
+    return placeholder ? `{${placeholder[1] || placeholder[2] || placeholder[3]}}` : segment;
+  }).join('/');
+
+  return `${origin}${normalizedPath}${rest}`;
+}
+
+module.exports = { parseCurl, readCurlCommands };
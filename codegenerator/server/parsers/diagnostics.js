@@ -0,0 +1,259 @@
+const { resolvePointer } = require('./schemaRegistry');
+
+/**
+ * Parse Diagnostics
+ * Problems found in a document that did not stop it from parsing, reported
+ * alongside the parsed API data so they can be fixed at the source:
+ *
+ *   {
+ *     severity: 'error' | 'warning' | 'info',
+ *     code: 'duplicate-operation-id',
+ *     pointer: '/paths/~1users/get',   JSON pointer into a spec document, or
+ *     selector: 'h2#get-user',         CSS selector of an HTML element
+ *     message: 'GET /users ...',
+ *     fix: 'Give every operation ...'
+ *   }
+ *
+ * Errors mean the generated code is likely wrong, warnings that it relies on
+ * a guess, and infos point at documentation that could be more complete.
+ */
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+
+/**
+ * Keywords that give a schema a shape; a schema with none of them describes any value
+ */
+const SHAPE_KEYWORDS = [
+  '$ref', 'type', 'properties', 'items', 'allOf', 'oneOf', 'anyOf', 'not', 'enum',
+  'const', 'format', 'additionalProperties'
+];
+
+/**
+ * Create a diagnostic
+ * @param {string} severity - error, warning or info
+ * @param {string} code - Stable kebab-case identifier of the problem
+ * @param {Object} location - `{ pointer }` or `{ selector }`
+ * @param {string} message - What is wrong
+ * @param {string} [fix] - How to fix it
+ * @returns {Object} Diagnostic
+ */
+function createDiagnostic(severity, code, location, message, fix) {
+  return { severity, code, ...location, message, ...(fix ? { fix } : {}) };
+}
+
+/**
+ * Build a JSON pointer from unescaped segments
+ */
+function toPointer(...segments) {
+  return segments
+    .map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+/**
+ * Order diagnostics by severity, keeping document order within a severity
+ */
+function sortDiagnostics(diagnostics) {
+  return diagnostics
+    .map((diagnostic, index) => ({ diagnostic, index }))
+    .sort((a, b) => SEVERITY_ORDER[a.diagnostic.severity] - SEVERITY_ORDER[b.diagnostic.severity] || a.index - b.index)
+    .map(({ diagnostic }) => diagnostic);
+}
+
+/**
+ * Count diagnostics per severity
+ * @returns {Object} `{ error, warning, info }`
+ */
+function summarizeDiagnostics(diagnostics = []) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  diagnostics.forEach(diagnostic => {
+    counts[diagnostic.severity]++;
+  });
+  return counts;
+}
+
+/**
+ * Lint an OpenAPI document for problems the parser works around: missing
+ * and duplicate operationIds, path parameters missing from either the
+ * template or the parameter list, unresolved $refs and empty schemas
+ * @param {Object} document - The document as written (Swagger 2.0 or OpenAPI 3.x), used for $ref checks
+ * @param {Object} api - The same document as OpenAPI 3.x, used for operation checks
+ * @returns {Array<Object>} Diagnostics
+ */
+function lintOpenApi(document, api = document) {
+  const diagnostics = [
+    ...lintRefs(document),
+    ...lintOperations(api),
+    ...lintComponentSchemas(api, document.swagger ? ['definitions'] : ['components', 'schemas'])
+  ];
+  return sortDiagnostics(diagnostics);
+}
+
+/**
+ * Report every $ref that does not resolve inside the document
+ */
+function lintRefs(document) {
+  const diagnostics = [];
+
+  const visit = (value, pointer) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${pointer}${toPointer(index)}`));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    if (typeof value.$ref === 'string') {
+      const refPointer = `${pointer}${toPointer('$ref')}`;
+      if (!value.$ref.startsWith('#')) {
+        diagnostics.push(createDiagnostic('error', 'external-ref', { pointer: refPointer },
+          `$ref "${value.$ref}" points to another file, which was not resolved`,
+          'Upload the spec as a ZIP or with all of its files, or fetch it from its URL, so referenced files are bundled'));
+      } else if (resolvePointer(document, value.$ref) === undefined) {
+        diagnostics.push(createDiagnostic('error', 'unresolved-ref', { pointer: refPointer },
+          `$ref "${value.$ref}" does not resolve; the value is treated as untyped`,
+          'Define the referenced component or correct the reference'));
+      }
+    }
+
+    Object.entries(value).forEach(([key, child]) => visit(child, `${pointer}${toPointer(key)}`));
+  };
+
+  visit(document, '');
+  return diagnostics;
+}
+
+function lintOperations(api) {
+  const diagnostics = [];
+  const operationIds = new Map();
+  const paths = api.paths || {};
+
+  if (Object.keys(paths).length === 0) {
+    diagnostics.push(createDiagnostic('warning', 'no-operations', { pointer: '/paths' },
+      'The document defines no paths, so the client has no operations',
+      'Add the API\'s paths and operations'));
+  }
+
+  for (const [path, rawPathItem] of Object.entries(paths)) {
+    const pathItem = dereference(api, rawPathItem) || {};
+    const pathPointer = toPointer('paths', path);
+    const placeholders = (path.match(/\{[^{}]+\}/g) || []).map(name => name.slice(1, -1));
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const pointer = `${pathPointer}${toPointer(method)}`;
+      const label = `${method.toUpperCase()} ${path}`;
+
+      if (!operation.operationId) {
+        diagnostics.push(createDiagnostic('warning', 'missing-operation-id', { pointer },
+          `${label} has no operationId; the client method is named "${method}_${path.replace(/[^a-zA-Z0-9]/g, '_')}" after the path`,
+          'Add an operationId so the generated method name is readable and stable'));
+      } else if (operationIds.has(operation.operationId)) {
+        diagnostics.push(createDiagnostic('warning', 'duplicate-operation-id', { pointer: `${pointer}/operationId` },
+          `operationId "${operation.operationId}" of ${label} is also used by ${operationIds.get(operation.operationId)}; its method gets a counter, as in "${operation.operationId}2"`,
+          'Give every operation a unique operationId'));
+      } else {
+        operationIds.set(operation.operationId, label);
+      }
+
+      diagnostics.push(...lintPathParameters(api, pathItem, operation, placeholders, pointer, label));
+      diagnostics.push(...lintBodies(api, operation, pointer, label));
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Compare the {placeholders} of a path with its declared path parameters
+ */
+function lintPathParameters(api, pathItem, operation, placeholders, pointer, label) {
+  const diagnostics = [];
+  const declared = new Map();
+
+  [
+    ...(pathItem.parameters || []).map((parameter, index) => [parameter, `${pointer.replace(/\/[^/]+$/, '')}/parameters/${index}`]),
+    ...(operation.parameters || []).map((parameter, index) => [parameter, `${pointer}/parameters/${index}`])
+  ].forEach(([raw, parameterPointer]) => {
+    const parameter = dereference(api, raw);
+    if (parameter?.in === 'path') {
+      declared.set(parameter.name, parameterPointer);
+    }
+  });
+
+  placeholders
+    .filter(name => !declared.has(name))
+    .forEach(name => diagnostics.push(createDiagnostic('error', 'undeclared-path-parameter', { pointer },
+      `${label} uses path parameter "${name}" without declaring it; the generated method has no argument for it`,
+      `Add a parameter with "name": "${name}", "in": "path" and "required": true`)));
+
+  Array.from(declared.entries())
+    .filter(([name]) => !placeholders.includes(name))
+    .forEach(([name, parameterPointer]) => diagnostics.push(createDiagnostic('warning', 'unused-path-parameter', { pointer: parameterPointer },
+      `Path parameter "${name}" of ${label} does not appear in the path`,
+      `Add {${name}} to the path or remove the parameter`)));
+
+  return diagnostics;
+}
+
+/**
+ * Report request and response bodies whose schema is missing or says nothing
+ */
+function lintBodies(api, operation, pointer, label) {
+  const diagnostics = [];
+  const bodies = [];
+
+  const requestBody = dereference(api, operation.requestBody);
+  if (requestBody) {
+    bodies.push({ content: requestBody.content, pointer: `${pointer}/requestBody`, name: 'request body' });
+  }
+  for (const [code, rawResponse] of Object.entries(operation.responses || {})) {
+    const response = dereference(api, rawResponse);
+    if (response?.content) {
+      bodies.push({ content: response.content, pointer: `${pointer}${toPointer('responses', code)}`, name: `${code} response` });
+    }
+  }
+
+  for (const body of bodies) {
+    for (const [mediaType, mediaTypeObject] of Object.entries(body.content || {})) {
+      if (!/json|xml|form/i.test(mediaType)) continue;
+
+      const schema = mediaTypeObject?.schema;
+      if (!schema || isEmptySchema(schema)) {
+        diagnostics.push(createDiagnostic('warning', 'empty-schema', { pointer: `${body.pointer}${toPointer('content', mediaType)}${schema ? '/schema' : ''}` },
+          `The ${mediaType} ${body.name} of ${label} has ${schema ? 'an empty' : 'no'} schema; the client treats it as untyped`,
+          'Describe the body with a schema or a $ref to a component schema'));
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Report empty component schemas; Swagger 2.0 keeps them under /definitions
+ */
+function lintComponentSchemas(api, location) {
+  return Object.entries(api.components?.schemas || {})
+    .filter(([, schema]) => isEmptySchema(schema))
+    .map(([name]) => createDiagnostic('warning', 'empty-schema', { pointer: toPointer(...location, name) },
+      `Component schema "${name}" is empty; models that use it are untyped`,
+      'Add a type and properties, or remove the schema'));
+}
+
+function isEmptySchema(schema) {
+  return !schema || typeof schema !== 'object' || !SHAPE_KEYWORDS.some(keyword => schema[keyword] !== undefined);
+}
+
+function dereference(document, value) {
+  let current = value;
+  for (let depth = 0; current?.$ref && depth < 10; depth++) {
+    current = resolvePointer(document, current.$ref);
+  }
+  return current?.$ref ? undefined : current;
+}
+
+module.exports = { createDiagnostic, toPointer, sortDiagnostics, summarizeDiagnostics, lintOpenApi };
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * External $ref Bundling
+ * Inlines `$ref`s that point into other files (`schemas/pet.yaml`,
+ * `common.json#/components/schemas/Error`) so a multi-file OpenAPI or AsyncAPI
+ * document becomes one self-contained document for the parsers. References
+ * are resolved relative to the file they appear in, `#/...` references inside
+ * referenced files are followed there, and references back into the root
+ * document stay local. Referenced schemas are hoisted into the root's named
+ * schemas, named after their pointer or file, so they keep a model name and
+ * every use shares it; other targets (parameters, responses, messages) are
+ * inlined.
+ *
+ * Where files come from is up to the caller: `resolve` turns a reference into
+ * a location and `load` returns that location's text, so the same bundler
+ * serves fetched URLs and uploaded bundles.
+ */
+const yaml = require('js-yaml');
+const { toModelName } = require('./schemaRegistry');
+
+/**
+ * Keys whose value is a schema
+ */
+const SCHEMA_KEYS = ['schema', 'items', 'additionalProperties', 'additionalItems', 'not', 'contains', 'propertyNames', 'if', 'then', 'else', 'payload'];
+
+/**
+ * Keys of a schema whose value maps names to schemas
+ */
+const SCHEMA_MAP_KEYS = ['properties', 'patternProperties', 'definitions', '$defs'];
+
+/**
+ * Keys of a schema whose value is a list of schemas
+ */
+const SCHEMA_LIST_KEYS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+
+/**
+ * Bundle the external references of a spec document
+ * @param {Object} document - Parsed root document
+ * @param {Object} options
+ * @param {string} options.location - Location of the root document
+ * @param {Function} options.resolve - (reference, fromLocation) => location; throws for refs that must not be followed
+ * @param {Function} options.load - async (location) => document text
+ * @param {number} [options.maxDocuments] - Limit on the number of referenced files
+ * @returns {Promise<Object>} `{ document, locations }` with the bundled document and every file it used
+ */
+async function bundleExternalRefs(document, { location, resolve, load, maxDocuments = 100 }) {
+  const context = {
+    root: location,
+    resolve,
+    load,
+    maxDocuments,
+    documents: new Map([[location, document]]),
+    pending: new Map(),
+    hoisted: new Map(),
+    existingSchemas: getSchemaContainer(document) || {},
+    schemaPrefix: document.swagger ? '#/definitions/' : '#/components/schemas/',
+    schemas: {}
+  };
+
+  // Named schemas of the root that are references keep their name for every use of the target
+  for (const [name, schema] of Object.entries(context.existingSchemas)) {
+    if (typeof schema?.$ref === 'string' && !schema.$ref.startsWith('#')) {
+      const { key } = locateRef(schema.$ref, location, context);
+      if (!context.hoisted.has(key)) {
+        context.hoisted.set(key, `${context.schemaPrefix}${name}`);
+      }
+    }
+  }
+
+  const bundled = await inlineRefs(document, location, [], context, 'other');
+  if (Object.keys(context.schemas).length > 0) {
+    if (bundled.swagger) {
+      bundled.definitions = { ...bundled.definitions, ...context.schemas };
+    } else {
+      bundled.components = { ...bundled.components };
+      bundled.components.schemas = { ...bundled.components.schemas, ...context.schemas };
+    }
+  }
+  return { document: bundled, locations: Array.from(context.documents.keys()) };
+}
+
+/**
+ * Whether a document contains any $ref into another file
+ */
+function hasExternalRefs(value) {
+  if (Array.isArray(value)) {
+    return value.some(hasExternalRefs);
+  }
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  if (typeof value.$ref === 'string' && !value.$ref.startsWith('#')) {
+    return true;
+  }
+  return Object.values(value).some(hasExternalRefs);
+}
+
+/**
+ * Inline the references in a value
+ * @param {string} kind - What the value is: `schema`, `schemaMap` (names to
+ *   schemas), `schemaList`, `named` (a named schema of the root) or `other`
+ */
+async function inlineRefs(value, base, stack, context, kind) {
+  if (Array.isArray(value)) {
+    const items = [];
+    for (const item of value) {
+      items.push(await inlineRefs(item, base, stack, context, kind === 'schemaList' ? 'schema' : 'other'));
+    }
+    return items;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.$ref === 'string') {
+    return resolveRef(value.$ref, base, stack, context, kind);
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    result[key] = await inlineRefs(child, base, stack, context, getChildKind(value, key, kind, base, context));
+  }
+  return result;
+}
+
+/**
+ * What the value under `key` is, given what its parent is
+ */
+function getChildKind(parent, key, kind, base, context) {
+  if (kind === 'schemaMap') {
+    return base === context.root && parent === context.existingSchemas ? 'named' : 'schema';
+  }
+  if (SCHEMA_KEYS.includes(key)) {
+    return 'schema';
+  }
+  if (kind === 'schema' || kind === 'named') {
+    if (SCHEMA_MAP_KEYS.includes(key)) return 'schemaMap';
+    if (SCHEMA_LIST_KEYS.includes(key)) return 'schemaList';
+    return 'other';
+  }
+  // components.schemas, or Swagger 2.0 definitions
+  return key === 'schemas' || key === 'definitions' ? 'schemaMap' : 'other';
+}
+
+/**
+ * Split a reference into the location of its file and the pointer into it
+ */
+function locateRef(ref, base, context) {
+  const hashIndex = ref.indexOf('#');
+  const file = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+  const pointer = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+  const location = file ? context.resolve(file, base) : base;
+  return { location, pointer, key: `${location}#${pointer}` };
+}
+
+/**
+ * Replace one reference with its target, or with a local reference when it
+ * points back into the root document, at a schema, or closes a cycle
+ */
+async function resolveRef(ref, base, stack, context, kind) {
+  const { location, pointer, key } = locateRef(ref, base, context);
+
+  if (location === context.root) {
+    return { $ref: `#${pointer}` };
+  }
+
+  if (kind === 'named') {
+    // A named schema of the root that is a reference: the target becomes its definition
+    const target = readPointer(await getDocument(location, context), pointer, ref);
+    return inlineRefs(target, location, [...stack, key], context, 'schema');
+  }
+  if (kind === 'schema') {
+    if (!context.hoisted.has(key)) {
+      const localRef = hoist(key, pointer, location, context);
+      const target = readPointer(await getDocument(location, context), pointer, ref);
+      context.schemas[localRef.split('/').pop()] = await inlineRefs(target, location, [...stack, key], context, 'schema');
+    }
+    return { $ref: context.hoisted.get(key) };
+  }
+
+  if (context.hoisted.has(key) && !stack.includes(key)) {
+    return { $ref: context.hoisted.get(key) };
+  }
+  if (stack.includes(key)) {
+    return { $ref: hoist(key, pointer, location, context) };
+  }
+
+  const target = readPointer(await getDocument(location, context), pointer, ref);
+  const resolved = await inlineRefs(target, location, [...stack, key], context, 'other');
+
+  if (context.hoisted.has(key)) {
+    const localRef = context.hoisted.get(key);
+    context.schemas[localRef.split('/').pop()] = resolved;
+    return { $ref: localRef };
+  }
+  return resolved;
+}
+
+/**
+ * Reserve a named schema in the root document for a referenced target
+ */
+function hoist(key, pointer, location, context) {
+  if (!context.hoisted.has(key)) {
+    const fileName = location.split(/[/\\]/).pop().replace(/\.[^.]*$/, '');
+    const baseName = toModelName(pointer.split('/').filter(Boolean).pop() || fileName) || 'Model';
+    let name = baseName;
+    for (let suffix = 2; context.schemas[name] || context.existingSchemas[name]; suffix++) {
+      name = `${baseName}${suffix}`;
+    }
+    context.schemas[name] = {};
+    context.hoisted.set(key, `${context.schemaPrefix}${name}`);
+  }
+  return context.hoisted.get(key);
+}
+
+async function getDocument(location, context) {
+  if (context.documents.has(location)) {
+    return context.documents.get(location);
+  }
+  if (!context.pending.has(location)) {
+    if (context.documents.size + context.pending.size > context.maxDocuments) {
+      throw new Error(`Too many referenced files (limit ${context.maxDocuments})`);
+    }
+    context.pending.set(location, Promise.resolve(context.load(location)).then(text => {
+      const document = yaml.load(text);
+      context.documents.set(location, document);
+      context.pending.delete(location);
+      return document;
+    }));
+  }
+  return context.pending.get(location);
+}
+
+/**
+ * Follow a JSON pointer such as /components/schemas/Pet
+ */
+function readPointer(document, pointer, ref) {
+  let target = document;
+  for (const token of pointer.split('/').filter(Boolean)) {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!target || typeof target !== 'object' || !(key in target)) {
+      throw new Error(`Cannot resolve $ref "${ref}"`);
+    }
+    target = target[key];
+  }
+  if (target === undefined) {
+    throw new Error(`Cannot resolve $ref "${ref}"`);
+  }
+  return target;
+}
+
+/**
+ * The named schemas of the root document: `definitions` in Swagger 2.0,
+ * `components.schemas` otherwise
+ */
+function getSchemaContainer(document) {
+  if (document.swagger) {
+    return document.definitions;
+  }
+  return document.components && document.components.schemas;
+}
+
+module.exports = { bundleExternalRefs, hasExternalRefs };
\ No newline at end of file
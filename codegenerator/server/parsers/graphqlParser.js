@@ -0,0 +1,538 @@
+/**
+ * GraphQL Parser
+ * Builds the parsed API data model from a GraphQL schema (SDL or an
+ * introspection result) and the operations a client needs. Each query or
+ * mutation becomes a POST endpoint carrying a `graphql` descriptor:
+ *   { operationType, operationName, document, variables: [{ name, type, required, schema }] }
+ * Operation variables and selection sets are mapped to schemas in the shared
+ * registry, so generators can emit typed functions per operation. Without
+ * operation documents, one operation is generated per root query and mutation
+ * field with a default selection set.
+ */
+const {
+  Kind,
+  parse,
+  print,
+  validate,
+  buildASTSchema,
+  buildClientSchema,
+  typeFromAST,
+  getNamedType,
+  isNonNullType,
+  isListType,
+  isScalarType,
+  isEnumType,
+  isInputObjectType,
+  isAbstractType,
+  isUnionType,
+  isLeafType
+} = require('graphql');
+const { SchemaRegistry, toModelName } = require('./schemaRegistry');
+const { reserveOperationId } = require('./operationIds');
+
+/**
+ * Schemas for the built-in scalars; custom scalars are strings
+ */
+const SCALAR_SCHEMAS = {
+  Int: { type: 'integer', format: 'int32' },
+  Float: { type: 'number', format: 'double' },
+  String: { type: 'string' },
+  Boolean: { type: 'boolean' },
+  ID: { type: 'string' }
+};
+
+/**
+ * Formats for commonly used custom scalars
+ */
+const CUSTOM_SCALAR_FORMATS = {
+  DateTime: 'date-time',
+  Date: 'date',
+  UUID: 'uuid',
+  URL: 'uri',
+  URI: 'uri',
+  Email: 'email'
+};
+
+/**
+ * How deep generated default selection sets follow object fields
+ */
+const DEFAULT_SELECTION_DEPTH = 2;
+
+/**
+ * Endpoint path used when no GraphQL endpoint URL is given
+ */
+const DEFAULT_ENDPOINT_PATH = '/graphql';
+
+const COMPONENT_PREFIX = '#/components/schemas/';
+
+/**
+ * Parse a GraphQL schema and operation documents
+ * @param {string} content - SDL, introspection JSON, or SDL followed by operations
+ * @param {Object} options - Parse options
+ * @param {string|Array<string>} options.operations - Operation documents (.graphql)
+ * @param {string} options.endpointUrl - URL of the GraphQL endpoint
+ * @returns {Object} Parsed API data
+ */
+async function parseGraphql(content, options = {}) {
+  try {
+    if (!content || content.trim() === '') {
+      throw new Error('Empty or invalid GraphQL content');
+    }
+
+    const { schema, executableDefinitions } = buildSchema(content);
+    const operationSources = [].concat(options.operations || []).filter(source => source && source.trim());
+    const definitions = [
+      ...executableDefinitions,
+      ...operationSources.flatMap(source => parse(source).definitions)
+    ];
+
+    const document = definitions.length > 0
+      ? { kind: Kind.DOCUMENT, definitions }
+      : parse(generateDefaultOperations(schema));
+
+    const errors = validate(schema, document);
+    if (errors.length > 0) {
+      throw new Error(`Invalid operations: ${errors.map(error => error.message).join('; ')}`);
+    }
+
+    const { baseUrl, path } = splitEndpointUrl(options.endpointUrl);
+    const { endpoints, registry } = extractOperations(schema, document, path);
+    if (endpoints.length === 0) {
+      throw new Error('No query or mutation operations found');
+    }
+
+    const description = schema.description ||
+      schema.getQueryType()?.description ||
+      `GraphQL API with ${endpoints.length} operation${endpoints.length === 1 ? '' : 's'}`;
+
+    return {
+      baseUrl,
+      authMethod: { type: 'none' },
+      endpoints,
+      securitySchemes: {},
+      security: [],
+      schemas: registry.schemas,
+      title: options.title || 'GraphQL API',
+      version: '1.0.0',
+      description
+    };
+  } catch (error) {
+    throw new Error(`Failed to parse GraphQL schema: ${error.message}`);
+  }
+}
+
+/**
+ * Build the schema from an introspection result or SDL. SDL may also contain
+ * operations and fragments, which are returned for extraction.
+ */
+function buildSchema(content) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('{')) {
+    const json = JSON.parse(trimmed);
+    const introspection = json.data?.__schema ? json.data : json.__schema ? json : null;
+    if (!introspection) {
+      throw new Error('JSON content is not an introspection result (missing __schema)');
+    }
+    return { schema: buildClientSchema(introspection), executableDefinitions: [] };
+  }
+
+  const document = parse(trimmed);
+  const isExecutable = definition =>
+    definition.kind === Kind.OPERATION_DEFINITION || definition.kind === Kind.FRAGMENT_DEFINITION;
+
+  const typeDefinitions = document.definitions.filter(definition => !isExecutable(definition));
+  if (typeDefinitions.length === 0) {
+    throw new Error('No type definitions found');
+  }
+
+  return {
+    schema: buildASTSchema({ kind: Kind.DOCUMENT, definitions: typeDefinitions }),
+    executableDefinitions: document.definitions.filter(isExecutable)
+  };
+}
+
+/**
+ * Write one operation per root query and mutation field, selecting leaf
+ * fields and nested objects up to DEFAULT_SELECTION_DEPTH
+ */
+function generateDefaultOperations(schema) {
+  const operations = [];
+  const roots = [['query', schema.getQueryType()], ['mutation', schema.getMutationType()]];
+
+  for (const [operationType, rootType] of roots) {
+    if (!rootType) continue;
+
+    for (const field of Object.values(rootType.getFields())) {
+      const variables = field.args.map(arg => `$${arg.name}: ${arg.type}`);
+      const args = field.args.map(arg => `${arg.name}: $${arg.name}`);
+      const selection = buildDefaultSelection(schema, field.type, 0);
+      operations.push([
+        `${operationType} ${toModelName(field.name)}${variables.length > 0 ? `(${variables.join(', ')})` : ''} {`,
+        `  ${field.name}${args.length > 0 ? `(${args.join(', ')})` : ''}${selection}`,
+        '}'
+      ].join('\n'));
+    }
+  }
+
+  if (operations.length === 0) {
+    throw new Error('Schema has no query or mutation fields');
+  }
+  return operations.join('\n\n');
+}
+
+/**
+ * Default selection set for a field type, or '' for leaf types. Union members
+ * are selected with an inline fragment each.
+ */
+function buildDefaultSelection(schema, type, depth) {
+  const namedType = getNamedType(type);
+  if (isLeafType(namedType)) {
+    return '';
+  }
+
+  const fields = [];
+  if (isAbstractType(namedType)) {
+    fields.push('__typename');
+    if (isUnionType(namedType)) {
+      for (const member of schema.getPossibleTypes(namedType)) {
+        fields.push(`... on ${member.name}${buildDefaultSelection(schema, member, DEFAULT_SELECTION_DEPTH)}`);
+      }
+    }
+  }
+
+  const fieldMap = namedType.getFields ? namedType.getFields() : {};
+  for (const field of Object.values(fieldMap)) {
+    if (field.args.some(arg => isNonNullType(arg.type) && arg.defaultValue === undefined)) {
+      continue;
+    }
+    if (isLeafType(getNamedType(field.type))) {
+      fields.push(field.name);
+    } else if (depth < DEFAULT_SELECTION_DEPTH) {
+      const nested = buildDefaultSelection(schema, field.type, depth + 1);
+      if (nested) fields.push(`${field.name}${nested}`);
+    }
+  }
+
+  if (fields.length === 0) {
+    fields.push('__typename');
+  }
+  return ` { ${fields.join(' ')} }`;
+}
+
+/**
+ * Split an endpoint URL into the base URL and request path
+ */
+function splitEndpointUrl(endpointUrl) {
+  if (!endpointUrl) {
+    return { baseUrl: '', path: DEFAULT_ENDPOINT_PATH };
+  }
+
+  const url = new URL(endpointUrl);
+  return {
+    baseUrl: url.origin,
+    path: url.pathname && url.pathname !== '/' ? url.pathname : DEFAULT_ENDPOINT_PATH
+  };
+}
+
+/**
+ * Turn each query and mutation in the document into an endpoint
+ */
+function extractOperations(schema, document, path) {
+  const fragments = {};
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    }
+  }
+
+  const components = {};
+  const context = { schema, fragments, components, shapes: new Map() };
+  const operations = [];
+  const usedIds = new Set();
+
+  for (const definition of document.definitions) {
+    if (definition.kind !== Kind.OPERATION_DEFINITION || definition.operation === 'subscription') {
+      continue;
+    }
+
+    const rootType = definition.operation === 'mutation' ? schema.getMutationType() : schema.getQueryType();
+    const firstField = definition.selectionSet.selections.find(selection => selection.kind === Kind.FIELD);
+    const operationName = definition.name?.value || toModelName(firstField?.name.value || definition.operation);
+    const operationId = reserveOperationId(toCamelCase(operationName), usedIds);
+    const rootFields = definition.selectionSet.selections
+      .filter(selection => selection.kind === Kind.FIELD)
+      .map(selection => rootType.getFields()[selection.name.value]);
+
+    operations.push({
+      definition,
+      operationName,
+      operationId,
+      // An operation is deprecated when every root field it selects is
+      deprecated: rootFields.length > 0 && rootFields.every(field => field?.deprecationReason != null),
+      variables: definition.variableDefinitions.map(variable => toVariable(variable, context)),
+      result: selectionToSchema(rootType, definition.selectionSet, context)
+    });
+  }
+
+  // Register named input, enum and selection shapes before normalizing operations
+  const registry = new SchemaRegistry({ components: { schemas: components } }).registerComponents();
+
+  return {
+    endpoints: operations.map(operation => toEndpoint(operation, path, fragments, registry)),
+    registry
+  };
+}
+
+/**
+ * Build the endpoint for an operation
+ */
+function toEndpoint(operation, path, fragments, registry) {
+  const { definition, operationName, operationId, variables, deprecated } = operation;
+  const modelName = `${toModelName(operationName)}${definition.operation === 'mutation' ? 'Mutation' : 'Query'}`;
+
+  const normalizedVariables = variables.map(variable => ({
+    ...variable,
+    schema: registry.normalize(variable.schema, `${modelName}${toModelName(variable.name)}`)
+  }));
+
+  const variablesSchema = {
+    type: 'object',
+    properties: Object.fromEntries(variables.map(variable => [variable.name, variable.schema])),
+    required: variables.filter(variable => variable.required).map(variable => variable.name)
+  };
+  const resultNode = registry.normalize(operation.result, modelName);
+
+  return {
+    method: 'POST',
+    path,
+    fullUrl: path,
+    summary: `${definition.operation === 'mutation' ? 'Mutation' : 'Query'} ${operationName}`,
+    description: getOperationDescription(definition),
+    operationId,
+    parameters: [],
+    requestBody: variables.length > 0
+      ? {
+        required: variables.some(variable => variable.required),
+        mediaType: 'application/json',
+        schema: registry.describe(registry.normalize(variablesSchema, `${modelName}Variables`))
+      }
+      : null,
+    responses: {
+      '200': {
+        description: 'Operation result',
+        mediaType: 'application/json',
+        schema: registry.describe(resultNode)
+      }
+    },
+    tags: [definition.operation],
+    deprecated,
+    graphql: {
+      operationType: definition.operation,
+      operationName: definition.name?.value || null,
+      document: printOperation(definition, fragments),
+      variables: normalizedVariables
+    }
+  };
+}
+
+/**
+ * Description from the root fields an operation selects
+ */
+function getOperationDescription(definition) {
+  const fields = definition.selectionSet.selections
+    .filter(selection => selection.kind === Kind.FIELD)
+    .map(selection => selection.name.value);
+  return fields.length > 0 ? `Selects ${fields.join(', ')}` : '';
+}
+
+/**
+ * Print an operation together with the fragments it uses
+ */
+function printOperation(definition, fragments) {
+  const used = new Set();
+  const collect = selectionSet => {
+    for (const selection of selectionSet?.selections || []) {
+      if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const name = selection.name.value;
+        if (!used.has(name) && fragments[name]) {
+          used.add(name);
+          collect(fragments[name].selectionSet);
+        }
+      } else {
+        collect(selection.selectionSet);
+      }
+    }
+  };
+  collect(definition.selectionSet);
+
+  return [definition, ...Array.from(used, name => fragments[name])].map(print).join('\n\n');
+}
+
+/**
+ * Describe an operation variable
+ */
+function toVariable(variable, context) {
+  const type = typeFromAST(context.schema, variable.type);
+  return {
+    name: variable.variable.name.value,
+    type: print(variable.type),
+    required: variable.type.kind === Kind.NON_NULL_TYPE && !variable.defaultValue,
+    schema: inputTypeToSchema(type, context)
+  };
+}
+
+/**
+ * Schema for an input type; input objects and enums become named components
+ */
+function inputTypeToSchema(type, context) {
+  if (isNonNullType(type)) {
+    const { nullable, ...schema } = inputTypeToSchema(type.ofType, context);
+    return schema;
+  }
+  if (isListType(type)) {
+    return { type: 'array', items: inputTypeToSchema(type.ofType, context), nullable: true };
+  }
+  if (isScalarType(type)) {
+    return { ...scalarToSchema(type), nullable: true };
+  }
+  if (isEnumType(type)) {
+    return { ...enumComponentRef(type, context), nullable: true };
+  }
+  if (isInputObjectType(type)) {
+    if (!context.components[type.name]) {
+      const component = { type: 'object', properties: {}, required: [] };
+      if (type.description) component.description = type.description;
+      context.components[type.name] = component;
+
+      for (const field of Object.values(type.getFields())) {
+        component.properties[field.name] = withDescription(inputTypeToSchema(field.type, context), field.description);
+        if (isNonNullType(field.type) && field.defaultValue === undefined) {
+          component.required.push(field.name);
+        }
+      }
+    }
+    return { $ref: `${COMPONENT_PREFIX}${type.name}`, nullable: true };
+  }
+  return {};
+}
+
+/**
+ * Schema for the result of a selection set on an output type
+ */
+function selectionToSchema(parentType, selectionSet, context) {
+  const properties = {};
+  const required = [];
+  collectFields(parentType, selectionSet, context, properties, required, true);
+
+  return { type: 'object', properties, required };
+}
+
+/**
+ * Add the fields a selection set selects, following fragments. Fields inside
+ * fragments on a narrower type (union members, interface implementations)
+ * are optional.
+ */
+function collectFields(parentType, selectionSet, context, properties, required, always) {
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      const key = selection.alias?.value || selection.name.value;
+      if (selection.name.value === '__typename') {
+        properties[key] = { type: 'string' };
+      } else {
+        const field = parentType.getFields()[selection.name.value];
+        if (!field) continue;
+        properties[key] = withDescription(outputTypeToSchema(field.type, selection, context), field.description);
+        if (!isNonNullType(field.type)) {
+          continue;
+        }
+      }
+      if (always && !required.includes(key)) required.push(key);
+    } else {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+        ? context.fragments[selection.name.value]
+        : selection;
+      if (!fragment) continue;
+
+      const typeName = fragment.typeCondition?.name.value;
+      const fragmentType = typeName ? context.schema.getType(typeName) : parentType;
+      const sameType = fragmentType === parentType;
+      collectFields(fragmentType, fragment.selectionSet, context, properties, required, always && sameType);
+    }
+  }
+}
+
+/**
+ * Schema for a selected output field; selected objects become named components
+ */
+function outputTypeToSchema(type, selection, context) {
+  if (isNonNullType(type)) {
+    const { nullable, ...schema } = outputTypeToSchema(type.ofType, selection, context);
+    return schema;
+  }
+  if (isListType(type)) {
+    return { type: 'array', items: outputTypeToSchema(type.ofType, selection, context), nullable: true };
+  }
+  if (isScalarType(type)) {
+    return { ...scalarToSchema(type), nullable: true };
+  }
+  if (isEnumType(type)) {
+    return { ...enumComponentRef(type, context), nullable: true };
+  }
+  if (!selection.selectionSet) {
+    return { nullable: true };
+  }
+
+  const shape = selectionToSchema(type, selection.selectionSet, context);
+  if (type.description) shape.description = type.description;
+  return { $ref: `${COMPONENT_PREFIX}${registerShape(type.name, shape, context)}`, nullable: true };
+}
+
+/**
+ * Register a selection shape under its GraphQL type name; different
+ * selections of the same type get numbered names
+ */
+function registerShape(typeName, shape, context) {
+  const key = JSON.stringify(shape);
+  if (context.shapes.has(key)) {
+    return context.shapes.get(key);
+  }
+
+  let name = toModelName(typeName);
+  for (let suffix = 2; context.components[name]; suffix++) {
+    name = `${toModelName(typeName)}${suffix}`;
+  }
+  context.components[name] = shape;
+  context.shapes.set(key, name);
+  return name;
+}
+
+function enumComponentRef(type, context) {
+  if (!context.components[type.name]) {
+    context.components[type.name] = {
+      type: 'string',
+      enum: type.getValues().map(value => value.name),
+      ...(type.description ? { description: type.description } : {})
+    };
+  }
+  return { $ref: `${COMPONENT_PREFIX}${type.name}` };
+}
+
+function scalarToSchema(type) {
+  if (SCALAR_SCHEMAS[type.name]) {
+    return { ...SCALAR_SCHEMAS[type.name] };
+  }
+  const format = CUSTOM_SCALAR_FORMATS[type.name];
+  return format ? { type: 'string', format } : { type: 'string', description: `${type.name} scalar` };
+}
+
+function withDescription(schema, description) {
+  return description && !schema.$ref ? { ...schema, description } : schema;
+}
+
+function toCamelCase(value) {
+  const name = toModelName(value);
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+module.exports = { parseGraphql };
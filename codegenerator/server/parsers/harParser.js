@@ -0,0 +1,70 @@
+const { inferApiFromTraffic } = require('./trafficInference');
+
+/**
+ * Parse a HAR (HTTP Archive) capture exported from browser devtools or an HTTP proxy
+ * @param {string} content - HAR JSON content
+ * @returns {Object} Parsed API data
+ */
+async function parseHar(content) {
+  try {
+    if (!content || content.trim() === '') {
+      throw new Error('Empty or invalid HAR content');
+    }
+
+    const har = JSON.parse(content);
+    const entries = har?.log?.entries;
+
+    if (!Array.isArray(entries)) {
+      throw new Error('Invalid HAR format: missing log.entries');
+    }
+
+    return inferApiFromTraffic(entries.map(toExchange).filter(Boolean));
+  } catch (error) {
+    throw new Error(`Failed to parse HAR file: ${error.message}`);
+  }
+}
+
+/**
+ * Convert a HAR entry to a recorded exchange
+ */
+function toExchange(entry) {
+  const request = entry?.request;
+  if (!request?.url) {
+    return null;
+  }
+
+  const response = entry.response;
+  const postData = request.postData;
+
+  return {
+    method: (request.method || 'GET').toUpperCase(),
+    url: request.url,
+    headers: (request.headers || []).filter(header => header?.name),
+    body: postData
+      ? { mimeType: postData.mimeType, text: postData.text, params: postData.params || [] }
+      : null,
+    response: response?.status
+      ? {
+        status: response.status,
+        statusText: response.statusText,
+        mimeType: response.content?.mimeType,
+        text: decodeContent(response.content)
+      }
+      : null,
+    resourceType: entry._resourceType
+  };
+}
+
+/**
+ * Response text, decoding bodies the capture stored as base64
+ */
+function decodeContent(content) {
+  if (!content?.text) {
+    return undefined;
+  }
+  return content.encoding === 'base64'
+    ? Buffer.from(content.text, 'base64').toString('utf8')
+    : content.text;
+}
+
+module.exports = { parseHar };
@@ -1,4 +1,179 @@
+/**
+ * HTML Documentation Parser
+ * Reads API reference pages by their structure rather than by scanning all of
+ * their text. OpenAPI documents embedded by Redoc, Swagger UI or ReadMe
+ * exports are parsed as specs, and rendered Swagger UI operations are read
+ * from their markup. Other pages are split into sections by their headings;
+ * an endpoint is recognised from a method and path in a heading, an HTTP
+ * request line, a method badge or a curl example, and its section supplies
+ * the parameter tables, request and response JSON examples and description.
+ * Security schemes come from the page's authentication section and the
+ * credentials sent in examples.
+ *
+ * The page is converted to OpenAPI 3.0 for the shared extraction path, and
+ * every endpoint carries a `confidence` of `{ score, reasons }` listing the
+ * evidence it was found with. Guesses the page forced on the parser are
+ * reported as diagnostics located by CSS selector.
+ */
+const http = require('http');
 const cheerio = require('cheerio');
+const { parseSwagger, extractApiData } = require('./swaggerParser');
+const { readCurlCommands } = require('./curlParser');
+const { inferSchema, parseJsonExample, coerceScalar } = require('./schemaInference');
+const { toModelName } = require('./schemaRegistry');
+const { createDiagnostic, sortDiagnostics } = require('./diagnostics');
+const { reserveOperationId } = require('./operationIds');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+
+/**
+ * Methods whose requests carry a body
+ */
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * A method and path at the start of a heading or line, e.g. `GET /users/{id}`
+ */
+const SIGNATURE_PATTERN = /^(GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS)\s+((?:https?:\/\/|\/)[^\s"'`]*)/;
+
+/**
+ * Documentation generators recognised by their markup or bootstrap script.
+ * Their navigation is left out of the page, and Swagger UI's operation blocks
+ * are read directly.
+ */
+const DOC_GENERATORS = [
+  { name: 'Redoc', selector: 'redoc, [data-role="redoc"], .redoc-wrap', script: /__redoc_state\s*=/, ignore: '.menu-content, [role="search"]' },
+  { name: 'Swagger UI', selector: '#swagger-ui, .swagger-ui', script: /SwaggerUIBundle\s*\(/, ignore: '.topbar, .models', operationBlocks: true },
+  { name: 'Slate', selector: '.tocify-wrapper, .toc-wrapper, .lang-selector', meta: /slate/i, ignore: '.toc-wrapper, .tocify-wrapper, .lang-selector' },
+  { name: 'ReadMe', selector: '[class^="rm-"], [class*=" rm-"], #ssr-props', meta: /readme/i, ignore: '.rm-Sidebar, .rm-Header' }
+];
+
+/**
+ * Elements read as blocks of the page, in document order
+ */
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, pre, table, blockquote, ul, ol, dl, code, [class*="method"], [class*="Method"], [class*="verb"]';
+
+/**
+ * Blocks whose content is read as a whole; nothing nested in them is a block
+ */
+const CONTAINER_SELECTOR = 'table, pre, blockquote, ul, ol, dl';
+
+/**
+ * Navigation and chrome that repeats endpoint names without documenting them
+ */
+const IGNORED_SELECTOR = 'script, style, noscript, template, nav, aside, footer, [role="navigation"], .sidebar, .toc, #toc';
+
+/**
+ * Headings of sub-sections that only introduce the method and path; the
+ * endpoint is the section above them
+ */
+const SUBSECTION_HEADING = /^(http\s+)?(request|endpoint|url|uri|route|definition|method|resource url|usage)s?:?$/i;
+
+/**
+ * Headings of the page's authentication section
+ */
+const AUTH_HEADING = /\b(authentication|authorization|authorisation|auth|security|api keys?|access tokens?|credentials)\b/i;
+
+/**
+ * Parameter table columns, recognised by their normalized header text
+ */
+const TABLE_COLUMNS = {
+  name: /^(name|parameters?|params?|fields?|keys?|attributes?|propert(y|ies)|arguments?)$/,
+  in: /^(in|location|param(eter)? type|sent in)$/,
+  type: /^(type|data type|format|schema)$/,
+  required: /^(required|optional|mandatory|req)$/,
+  description: /^(description|details|notes?|meaning|comments?)$/,
+  default: /^(default|default value)$/,
+  example: /^(example|examples|sample|example value)$/
+};
+
+/**
+ * Labels that place the fields of a table or list, checked in order
+ */
+const FIELD_LOCATIONS = [
+  ['response', /\b(response|returns|returned|result)/i],
+  ['header', /\bheaders?\b/i],
+  ['path', /\b(path|url|uri|route)\s+(param|variable|segment|argument)/i],
+  ['query', /\b(query|querystring)\b/i],
+  ['body', /\b(body|payload|form|request\s+(param|field|attribute|propert)|attributes|fields)/i]
+];
+
+/**
+ * Labels of request and response examples
+ */
+const RESPONSE_LABEL = /\b(responses?|returns?|result|output|reply)\b/i;
+const REQUEST_LABEL = /\b(request|body|payload|input)\b/i;
+
+/**
+ * Type names used in parameter tables, checked in order
+ */
+const TYPE_KEYWORDS = [
+  [/\b(int|integer|int32|int64|long)\b/, { type: 'integer' }],
+  [/\b(number|float|double|decimal|numeric)\b/, { type: 'number' }],
+  [/\b(bool|boolean)\b/, { type: 'boolean' }],
+  [/\b(date-?time|datetime|timestamp)\b/, { type: 'string', format: 'date-time' }],
+  [/\bdate\b/, { type: 'string', format: 'date' }],
+  [/\buuid\b/, { type: 'string', format: 'uuid' }],
+  [/\bemail\b/, { type: 'string', format: 'email' }],
+  [/\b(file|binary)\b/, { type: 'string', format: 'binary' }],
+  [/\b(object|hash|map|dict|dictionary|json)\b/, { type: 'object' }]
+];
+
+/**
+ * Enumerations written out in parameter descriptions
+ */
+const ENUM_PATTERN = /\b(?:one of|possible values(?: are)?|allowed values(?: are)?|valid values(?: are)?)\s*:?\s*(.+)$/i;
+
+/**
+ * Leading path segments shared by a whole API that belong in the base URL, e.g. /api/v1
+ */
+const BASE_PATH_SEGMENT = /^(api|rest|v\d+(\.\d+)?)$/i;
+
+/**
+ * A labelled base URL, e.g. "Base URL: https://api.example.com/v1"
+ */
+const BASE_URL_LABEL = /\b(?:base|root|api|server)\s*(?:url|uri|endpoint|path)\b[^\n]{0,40}?((?:https?:\/\/)?[a-z\d-]+(?:\.[a-z\d-]+)+(?::\d+)?(?:\/[^\s"'<>`\]),]*)?)/i;
+
+/**
+ * Request headers that carry credentials under their own name
+ */
+const API_KEY_HEADER = /^(x-)?(api[-_]?key|auth[-_]?token|access[-_]?token)$/i;
+
+/**
+ * Query parameters that carry credentials
+ */
+const API_KEY_QUERY = /^(api[-_]?key|access[-_]?token|token)$/i;
+
+/**
+ * A header name written in prose next to the word "header", e.g. "the X-Acme-Key header"
+ */
+const HEADER_NAME_IN_TEXT = /\b([A-Za-z][A-Za-z0-9]*(?:-[A-Za-z0-9]+)+)\s+(?:request\s+)?header\b|\bheader\s+(?:named\s+|called\s+)?["'`]?([A-Za-z][A-Za-z0-9]*(?:-[A-Za-z0-9]+)+)/i;
+
+/**
+ * Code spans that look like an HTTP header name
+ */
+const HEADER_NAME = /^[A-Za-z][A-Za-z0-9]*(?:-[A-Za-z0-9]+)+$/;
+
+const CURL_COMMAND = /^\s*(?:[$>%#]\s*)?curl\s/;
+const STATUS_LINE = /^HTTP\/[\d.]+\s+(\d{3})\b/;
+const HEADER_LINE = /^([A-Za-z][\w-]*):[ \t]*(\S.*)$/;
+const FIELD_NAME = /^[A-Za-z_$@][\w$@.\-[\]]*/;
+
+/**
+ * Confidence below which an endpoint is reported as a likely misreading
+ */
+const LOW_CONFIDENCE = 0.5;
+
+/**
+ * Evidence that an endpoint exists, with its weight in the confidence score
+ */
+const SIGNATURE_SOURCES = {
+  operationBlock: { weight: 0.6, reason: 'Rendered Swagger UI operation' },
+  heading: { weight: 0.45, reason: 'Method and path in a heading' },
+  badge: { weight: 0.4, reason: 'Method badge next to the path' },
+  requestLine: { weight: 0.35, reason: 'HTTP request line' },
+  curl: { weight: 0.3, reason: 'cURL example' }
+};
 
 /**
  * Parse HTML API documentation
@@ -7,19 +182,32 @@ const cheerio = require('cheerio');
  */
 async function parseHtmlDocs(content) {
   try {
+    if (!content || content.trim() === '') {
+      throw new Error('Empty HTML content');
+    }
+
     const $ = cheerio.load(content);
-    
-    const baseUrl = extractBaseUrl($);
-    const authMethod = extractAuthMethod($);
-    const endpoints = extractEndpoints($);
-    
+    const generator = detectGenerator($);
+
+    const embedded = await parseEmbeddedSpec($, generator);
+    if (embedded) {
+      return embedded;
+    }
+
+    const page = readPage($, generator);
+    const { api, operations } = convertPage(page);
+    const parsed = extractApiData(api);
+    const confidence = new Map(operations.map(operation =>
+      [`${operation.method} ${operation.path}`, scoreOperation(operation, page.generator)]
+    ));
+
     return {
-      baseUrl,
-      authMethod,
-      endpoints,
-      title: extractTitle($) || 'HTML API Documentation',
-      version: '1.0.0',
-      description: extractDescription($) || ''
+      ...parsed,
+      endpoints: parsed.endpoints.map(endpoint => ({
+        ...endpoint,
+        confidence: confidence.get(`${endpoint.method} ${endpoint.path}`)
+      })),
+      diagnostics: sortDiagnostics([...page.authDiagnostics, ...diagnoseOperations(operations, confidence)])
     };
   } catch (error) {
     throw new Error(`Failed to parse HTML documentation: ${error.message}`);
@@ -27,330 +215,1342 @@ async function parseHtmlDocs(content) {
 }
 
 /**
- * Extract base URL from HTML content
- */
-function extractBaseUrl($) {
-  // Look for common patterns in HTML docs
-  const patterns = [
-    'base url',
-    'base url:',
-    'api base',
-    'endpoint base',
-    'server url',
-    'host url'
-  ];
-  
-  for (const pattern of patterns) {
-    const element = $(`*:contains("${pattern}")`).first();
-    if (element.length) {
-      const text = element.text();
-      const match = text.match(/(https?:\/\/[^\s]+)/i);
-      if (match) {
-        return match[1];
+ * The documentation generator that produced the page, if it is a known one
+ */
+function detectGenerator($) {
+  const scripts = $('script').map((index, element) => $(element).html() || '').get().join('\n');
+  const meta = $('meta[name="generator"]').attr('content') || '';
+
+  return DOC_GENERATORS.find(generator =>
+    $(generator.selector).length > 0 ||
+    (generator.script && generator.script.test(scripts)) ||
+    (generator.meta && generator.meta.test(meta))
+  ) || null;
+}
+
+/**
+ * Parse an OpenAPI document embedded in the page (Redoc state, an inline
+ * Swagger UI spec, JSON data scripts). A document that does not validate is
+ * ignored in favour of the rendered page.
+ */
+async function parseEmbeddedSpec($, generator) {
+  const spec = findEmbeddedSpec($);
+  if (!spec) return null;
+
+  let parsed;
+  try {
+    parsed = await parseSwagger(JSON.stringify(spec));
+  } catch (error) {
+    return null;
+  }
+
+  const reason = `OpenAPI document embedded by ${generator ? generator.name : 'the page'}`;
+  return {
+    ...parsed,
+    endpoints: parsed.endpoints.map(endpoint => ({ ...endpoint, confidence: { score: 1, reasons: [reason] } }))
+  };
+}
+
+function findEmbeddedSpec($) {
+  const candidates = [];
+
+  $('script').each((index, element) => {
+    const text = $(element).html() || '';
+    if (/json/i.test($(element).attr('type') || '')) {
+      candidates.push(text);
+      return;
+    }
+
+    for (const marker of [/__redoc_state\s*=\s*/g, /\bspec\s*:\s*(?=\{)/g]) {
+      let match;
+      while ((match = marker.exec(text)) !== null) {
+        const literal = readBalanced(text, match.index + match[0].length);
+        if (literal) candidates.push(literal);
       }
     }
+  });
+
+  for (const candidate of candidates) {
+    const spec = findSpecDocument(parseJsonExample(candidate));
+    if (spec) return spec;
   }
-  
-  // Look for URLs in code blocks
-  const codeBlocks = $('code, pre');
-  for (let i = 0; i < codeBlocks.length; i++) {
-    const text = $(codeBlocks[i]).text();
-    const urlMatch = text.match(/(https?:\/\/[^\s]+)/i);
-    if (urlMatch) {
-      const url = new URL(urlMatch[1]);
-      return `${url.protocol}//${url.host}`;
+  return null;
+}
+
+/**
+ * The JSON object literal starting at `start`, if there is one
+ */
+function readBalanced(text, start) {
+  if (text.charAt(start) !== '{') return null;
+
+  let depth = 0;
+  let quote = null;
+  for (let index = start; index < text.length; index++) {
+    const char = text.charAt(index);
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'' || char === '`') {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return text.slice(start, index + 1);
     }
   }
-  
-  return '';
+  return null;
 }
 
 /**
- * Extract authentication method from HTML content
+ * Search parsed script data for an OpenAPI or Swagger document
  */
-function extractAuthMethod($) {
-  const authText = $('*').text().toLowerCase();
-  
-  if (authText.includes('bearer token') || authText.includes('bearer')) {
-    return {
-      type: 'bearer',
-      name: 'Authorization',
-      description: 'Bearer token authentication'
-    };
+function findSpecDocument(value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 8) return null;
+  if ((typeof value.openapi === 'string' || typeof value.swagger === 'string') && value.paths && typeof value.paths === 'object') {
+    return value;
   }
-  
-  if (authText.includes('api key') || authText.includes('apikey')) {
-    return {
-      type: 'apiKey',
-      name: 'X-API-Key',
-      in: 'header',
-      description: 'API Key authentication'
-    };
+
+  for (const child of Object.values(value)) {
+    const spec = findSpecDocument(child, depth + 1);
+    if (spec) return spec;
   }
-  
-  if (authText.includes('basic auth') || authText.includes('basic authentication')) {
-    return {
-      type: 'basic',
-      name: 'Authorization',
-      description: 'Basic authentication'
-    };
+  return null;
+}
+
+/**
+ * Read the page's endpoints, base URL, authentication and description
+ */
+function readPage($, generator) {
+  const ignored = [IGNORED_SELECTOR, generator?.ignore].filter(Boolean).join(', ');
+  const blocks = readBlocks($, ignored);
+
+  let detections = generator?.operationBlocks ? readOperationBlocks($) : [];
+  if (detections.length === 0) {
+    detections = readSections($, blocks);
   }
-  
-  if (authText.includes('oauth') || authText.includes('oauth2')) {
-    return {
-      type: 'oauth2',
-      name: 'Authorization',
-      description: 'OAuth 2.0 authentication'
-    };
+
+  const title = cleanText($('title').first().text()) || cleanText($('h1').first().text());
+  const anchors = new Set(detections.map(detection => detection.anchor));
+  tagDetections(detections, blocks, title);
+  const authDiagnostics = [];
+
+  return {
+    title: title || 'HTML API Documentation',
+    description: cleanText($('meta[name="description"]').attr('content') || '') || findIntroduction(blocks, detections),
+    baseUrl: findBaseUrl(blocks, detections),
+    authSchemes: readAuthentication($, blocks, anchors, authDiagnostics),
+    authDiagnostics,
+    detections,
+    generator
+  };
+}
+
+/**
+ * Collect headings, text, code, tables, lists and method badges in document order
+ */
+function readBlocks($, ignored) {
+  const blocks = [];
+
+  $('body').find(BLOCK_SELECTOR).each((index, element) => {
+    const node = $(element);
+    const tag = element.tagName.toLowerCase();
+    if (node.closest(ignored).length > 0 || node.parents(CONTAINER_SELECTOR).length > 0) return;
+
+    if (/^h[1-6]$/.test(tag)) {
+      blocks.push({ kind: 'heading', level: Number(tag.charAt(1)), text: cleanText(node.text()), node });
+    } else if (tag === 'pre') {
+      const className = `${node.attr('class') || ''} ${node.find('code').attr('class') || ''}`.trim();
+      blocks.push({ kind: 'code', text: node.text().trim(), className, node });
+    } else if (tag === 'table') {
+      blocks.push({ kind: 'table', caption: cleanText(node.find('caption').first().text()), node });
+    } else if (tag === 'ul' || tag === 'ol' || tag === 'dl') {
+      blocks.push({ kind: 'list', node });
+    } else if (tag === 'p' || tag === 'blockquote') {
+      blocks.push({ kind: 'text', text: cleanText(node.text()), node });
+    } else if (node.parents('h1, h2, h3, h4, h5, h6, p, code').length === 0) {
+      if (tag === 'code') {
+        blocks.push({ kind: 'text', inline: true, text: cleanText(node.text()), node });
+      } else if (isMethodBadge(node)) {
+        blocks.push({ kind: 'badge', node });
+      }
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Read the operations Swagger UI rendered into the page
+ */
+function readOperationBlocks($) {
+  return $('.opblock').toArray().map(element => {
+    const block = $(element);
+    const method = cleanText(block.find('.opblock-summary-method').first().text()).toUpperCase();
+    const pathNode = block.find('.opblock-summary-path').first();
+    const url = pathNode.attr('data-path') || cleanText(pathNode.text());
+    if (!HTTP_METHODS.includes(method) || !url.startsWith('/')) return null;
+
+    const detection = createDetection(method, url, 'operationBlock');
+    detection.node = block;
+    detection.summary = cleanText(block.find('.opblock-summary-description').first().text());
+    detection.description = cleanText(block.find('.opblock-description-wrapper').first().text());
+    const tag = block.closest('.opblock-tag-section').find('.opblock-tag').first().attr('data-tag');
+    if (tag) detection.tags.push(tag);
+    detection.deprecated = block.hasClass('opblock-deprecated');
+
+    block.find('tr[data-param-name]').each((index, row) => {
+      const cells = $(row);
+      const nameCell = cells.find('.parameter__name').first();
+      const field = toField({
+        name: cells.attr('data-param-name'),
+        type: cleanText(cells.find('.parameter__type').first().text()),
+        required: nameCell.hasClass('required') || nameCell.text().includes('*') ? 'required' : 'optional',
+        description: cleanText(cells.find('.parameters-col_description .markdown, .parameters-col_description .renderedMarkdown').first().text())
+      });
+      if (field) {
+        addField(detection, field, normalizeLocation(cells.attr('data-param-in') || ''));
+        detection.documentation.add('table');
+      }
+    });
+
+    const requestExample = parseJsonExample(block.find('.body-param__example, .opblock-section-request-body pre').first().text());
+    if (requestExample !== undefined) {
+      detection.requestSamples.push(requestExample);
+    }
+
+    block.find('tr.response[data-code]').each((index, row) => {
+      const code = $(row).attr('data-code');
+      if (/^[1-5]\d\d$/.test(code)) {
+        addResponseSample(detection, code, parseJsonExample($(row).find('.example, pre').first().text()));
+      }
+    });
+
+    return detection;
+  }).filter(Boolean);
+}
+
+/**
+ * Find the endpoints of a page from the signatures in its blocks, and read
+ * each endpoint's section
+ */
+function readSections($, blocks) {
+  const signatures = [];
+  blocks.forEach((block, index) => {
+    const signature = readSignature(block);
+    if (signature) {
+      block.signature = true;
+      signatures.push({ index, ...signature, key: signatureKey(signature.method, signature.url) });
+    }
+  });
+
+  // curl examples only count as endpoints when nothing else on the page documents them
+  blocks.forEach((block, index) => {
+    if (block.kind !== 'code' || !CURL_COMMAND.test(block.text)) return;
+    for (const exchange of readCurlExchanges(block.text)) {
+      const documented = signatures.some(signature => signature.source !== 'curl' &&
+        signature.method === exchange.method && matchesTemplate(signature.url, exchange.url));
+      if (!documented) {
+        signatures.push({ index, method: exchange.method, url: exchange.url, rest: '', source: 'curl', key: signatureKey(exchange.method, exchange.url) });
+      }
+    }
+  });
+
+  const detections = new Map();
+  for (const signature of signatures.sort((a, b) => a.index - b.index)) {
+    const anchor = findOwner(blocks, signatures, signature);
+    const id = `${anchor}:${signature.key}`;
+
+    if (detections.has(id)) {
+      detections.get(id).sources.push(signature.source);
+      continue;
+    }
+
+    const detection = createDetection(signature.method, signature.url, signature.source);
+    detection.anchor = anchor;
+    detection.node = blocks[anchor].node;
+    detection.summary = readSummary(blocks[anchor], signature);
+    detections.set(id, detection);
   }
-  
-  return { type: 'none' };
-}
-
-/**
- * Extract endpoints from HTML content
- */
-function extractEndpoints($) {
-  const endpoints = [];
-  
-  // Look for common endpoint patterns
-  const endpointSelectors = [
-    'h1, h2, h3, h4, h5, h6', // Headers
-    'code', // Code blocks
-    'pre', // Preformatted text
-    '.endpoint, .api-endpoint, .route', // Common CSS classes
-    '[class*="endpoint"], [class*="api"], [class*="route"]' // Partial class matches
-  ];
-  
-  for (const selector of endpointSelectors) {
-    const elements = $(selector);
-    
-    for (let i = 0; i < elements.length; i++) {
-      const element = $(elements[i]);
-      const text = element.text().trim();
-      
-      const endpoint = parseEndpointFromText(text, element);
-      if (endpoint) {
-        endpoints.push(endpoint);
+
+  const ordered = Array.from(detections.values()).sort((a, b) => a.anchor - b.anchor);
+  ordered.forEach((detection, position) => {
+    const next = ordered.slice(position + 1).find(other => other.anchor > detection.anchor);
+    const end = Math.min(findSectionEnd(blocks, detection.anchor), next ? next.anchor : blocks.length);
+    readRegion($, detection, blocks, detection.anchor, end);
+  });
+  return ordered;
+}
+
+/**
+ * The method and path a block announces, if any
+ * @returns {Object|null} `{ method, url, rest, source }`
+ */
+function readSignature(block) {
+  if (block.kind === 'heading' || block.kind === 'text') {
+    const source = block.kind === 'heading' ? 'heading' : 'requestLine';
+    const direct = matchSignature(block.text);
+    if (direct) return { ...direct, source };
+
+    if (block.kind === 'text' && !block.inline) {
+      for (const code of block.node.find('code').toArray()) {
+        const inline = matchSignature(cleanText(block.node.find(code).text()));
+        if (inline) return { ...inline, source };
       }
     }
+
+    const badge = block.node.find('*').filter((index, element) => isMethodBadge(block.node.find(element))).first();
+    const badged = badge.length > 0 ? readBadge(badge, block.node) : null;
+    return badged ? { ...badged, source: block.kind === 'heading' ? 'heading' : 'badge' } : null;
+  }
+
+  if (block.kind === 'code') {
+    const requestLine = matchSignature(block.text.split('\n', 1)[0].trim());
+    return requestLine ? { ...requestLine, source: 'requestLine' } : null;
+  }
+
+  if (block.kind === 'badge') {
+    const badged = readBadge(block.node, block.node.parent());
+    return badged ? { ...badged, source: 'badge' } : null;
+  }
+  return null;
+}
+
+function matchSignature(text) {
+  const match = SIGNATURE_PATTERN.exec(text || '');
+  if (!match) return null;
+
+  const url = match[2].replace(/[.,;:)]+$/, '');
+  return { method: match[1], url, rest: text.slice(match[0].length) };
+}
+
+/**
+ * An element whose whole text is an HTTP method and whose class marks it as one
+ */
+function isMethodBadge(node) {
+  const text = cleanText(node.text()).toUpperCase();
+  return HTTP_METHODS.includes(text) && /method|verb|http|badge|label/i.test(node.attr('class') || '');
+}
+
+/**
+ * The path written after a method badge in its container
+ */
+function readBadge(badge, container) {
+  const methodText = cleanText(badge.text());
+  const text = cleanText(container.text());
+  const position = text.toLowerCase().indexOf(methodText.toLowerCase());
+  if (position === -1) return null;
+
+  const after = text.slice(position + methodText.length);
+  const match = /^\s*((?:https?:\/\/|\/)[^\s"'`]*)/.exec(after);
+  if (!match) return null;
+  return { method: methodText.toUpperCase(), url: match[1], rest: after.slice(match[0].length) };
+}
+
+/**
+ * The block an endpoint's section starts at: the heading above its signature,
+ * moving up past request sub-sections such as "HTTP Request" while the parent
+ * documents no other endpoint. Signatures that share a heading with other
+ * endpoints start their own section.
+ */
+function findOwner(blocks, signatures, signature) {
+  let owner = -1;
+  for (let index = signature.index; index >= 0; index--) {
+    if (blocks[index].kind === 'heading') {
+      owner = index;
+      break;
+    }
+  }
+  if (owner === -1 || countKeys(blocks, signatures, owner) > 1) {
+    return signature.index;
+  }
+
+  while (SUBSECTION_HEADING.test(blocks[owner].text)) {
+    const parent = findParentHeading(blocks, owner);
+    if (parent === -1 || countKeys(blocks, signatures, parent) > 1) break;
+    owner = parent;
+  }
+  return owner;
+}
+
+function countKeys(blocks, signatures, heading) {
+  const end = findSectionEnd(blocks, heading);
+  return new Set(signatures.filter(signature => signature.index >= heading && signature.index < end).map(signature => signature.key)).size;
+}
+
+/**
+ * The index after a section: the next heading at the same or a higher level.
+ * A section that starts at a non-heading block ends at the next heading.
+ */
+function findSectionEnd(blocks, start) {
+  const level = blocks[start].kind === 'heading' ? blocks[start].level : 7;
+  for (let index = start + 1; index < blocks.length; index++) {
+    if (blocks[index].kind === 'heading' && blocks[index].level <= level) {
+      return index;
+    }
   }
-  
-  // Remove duplicates based on method and path
-  const uniqueEndpoints = [];
-  const seen = new Set();
-  
-  for (const endpoint of endpoints) {
-    const key = `${endpoint.method}:${endpoint.path}`;
-    if (!seen.has(key)) {
-      seen.add(key);
-      uniqueEndpoints.push(endpoint);
-    }
-  }
-  
-  return uniqueEndpoints;
-}
-
-/**
- * Parse endpoint from text content
- */
-function parseEndpointFromText(text, element) {
-  // Common HTTP method patterns
-  const methodPatterns = [
-    /(GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS)\s+([^\s]+)/i,
-    /([^\s]+)\s+(GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS)/i,
-    /(GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS)\s*:\s*([^\s]+)/i
-  ];
-  
-  for (const pattern of methodPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      const method = match[1].toUpperCase();
-      let path = match[2];
-      
-      // Clean up the path
-      path = path.replace(/[^\w\/\-{}]/g, '');
-      if (!path.startsWith('/')) {
-        path = `/${path}`;
+  return blocks.length;
+}
+
+function findParentHeading(blocks, heading) {
+  for (let index = heading - 1; index >= 0; index--) {
+    if (blocks[index].kind === 'heading' && blocks[index].level < blocks[heading].level) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * The endpoint's summary: its heading, or the text following the path
+ */
+function readSummary(anchor, signature) {
+  const rest = signature.rest.replace(/^[\s\-–—:|]+/, '').trim();
+  if (anchor.kind !== 'heading') return rest;
+  return matchSignature(anchor.text) ? rest : anchor.text;
+}
+
+/**
+ * Read an endpoint's section: parameter tables and lists, examples and description
+ */
+function readRegion($, detection, blocks, start, end) {
+  const descriptions = [];
+  const pending = [];
+  let introduction = true;
+
+  for (let index = start; index < end; index++) {
+    const block = blocks[index];
+    if (block.kind === 'heading') {
+      introduction = introduction && index === start;
+      continue;
+    }
+
+    const labels = readLabels(blocks, index, start);
+    if (block.kind === 'table' || block.kind === 'list') {
+      // Lists are only fields under a label, or when every item spells out its type
+      const location = findLocation(labels);
+      const fields = block.kind === 'table' ? readTable($, block.node) : readList($, block.node);
+      if (fields.length > 0 && (block.kind === 'table' || location || fields.every(field => field.detailed))) {
+        fields.forEach(field => addField(detection, field, location));
+        detection.documentation.add(block.kind);
       }
-      
-      // Extract description from surrounding context
-      const description = extractDescriptionFromContext(element);
-      
-      return {
-        method,
-        path,
-        fullUrl: path,
-        summary: description || `${method} ${path}`,
-        description: description || '',
-        operationId: generateOperationId(method, path),
-        parameters: extractParametersFromText(text),
-        requestBody: null,
-        responses: {},
-        security: [],
-        tags: []
-      };
-    }
-  }
-  
-  // Look for URL patterns without explicit methods
-  const urlPattern = /(https?:\/\/[^\s]+)/i;
-  const urlMatch = text.match(urlPattern);
-  
-  if (urlMatch) {
-    try {
-      const url = new URL(urlMatch[1]);
-      const path = url.pathname;
-      
-      // Try to infer method from context
-      const method = inferMethodFromContext(text, element);
-      
-      return {
-        method,
-        path,
-        fullUrl: urlMatch[1],
-        summary: `${method} ${path}`,
-        description: extractDescriptionFromContext(element) || '',
-        operationId: generateOperationId(method, path),
-        parameters: extractParametersFromText(text),
-        requestBody: null,
-        responses: {},
-        security: [],
-        tags: []
-      };
-    } catch (e) {
-      // Invalid URL, skip
-    }
-  }
-  
+    } else if (block.kind === 'code') {
+      readExample(detection, block, labels, pending);
+    } else if (block.kind === 'text' && introduction && !block.inline && !block.signature && block.text && !block.text.endsWith(':')) {
+      descriptions.push(block.text);
+    }
+  }
+
+  // Unlabelled examples: the first is the request body of methods that take one
+  for (const sample of pending) {
+    if (BODY_METHODS.includes(detection.method) && detection.requestSamples.length === 0) {
+      detection.requestSamples.push(sample);
+    } else {
+      addResponseSample(detection, '200', sample);
+    }
+  }
+
+  detection.description = descriptions.slice(0, 2).join('\n\n');
+}
+
+/**
+ * Text that introduces a block: a table caption, a paragraph ending in a
+ * colon right before it and the nearest sub-heading, closest first
+ */
+function readLabels(blocks, index, start) {
+  const labels = [];
+  if (blocks[index].caption) labels.push(blocks[index].caption);
+
+  const previous = blocks[index - 1];
+  if (index - 1 > start && previous.kind === 'text' && previous.text.length <= 200 && previous.text.endsWith(':')) {
+    labels.push(previous.text);
+  }
+  for (let position = index - 1; position > start; position--) {
+    if (blocks[position].kind === 'heading') {
+      labels.push(blocks[position].text);
+      break;
+    }
+  }
+  return labels;
+}
+
+function findLocation(labels) {
+  for (const label of labels) {
+    const location = FIELD_LOCATIONS.find(([, pattern]) => pattern.test(label));
+    if (location) return location[0];
+  }
   return null;
 }
 
 /**
- * Extract description from element context
+ * Read a parameter table by its header columns
+ * @returns {Array<Object>} Fields; empty when the table documents something else
+ */
+function readTable($, node) {
+  const rows = node.find('tr').toArray();
+  const headerRow = rows.find(row => $(row).children('th').length > 0) || rows[0];
+  if (!headerRow) return [];
+
+  const columns = {};
+  $(headerRow).children('th, td').each((index, cell) => {
+    const header = cleanText($(cell).text()).toLowerCase().replace(/[^a-z ]/g, '').trim();
+    const column = Object.keys(TABLE_COLUMNS).find(name => columns[name] === undefined && TABLE_COLUMNS[name].test(header));
+    if (column) columns[column] = index;
+  });
+  if (columns.name === undefined || (columns.type === undefined && columns.description === undefined)) {
+    return [];
+  }
+
+  return rows.slice(rows.indexOf(headerRow) + 1).map(row => {
+    const cells = $(row).children('th, td').toArray();
+    const read = column => (columns[column] === undefined || !cells[columns[column]] ? '' : cleanText($(cells[columns[column]]).text()));
+    const nameCell = cells[columns.name] ? $(cells[columns.name]) : null;
+
+    return toField({
+      name: read('name'),
+      location: read('in'),
+      type: read('type'),
+      required: read('required') || (nameCell && nameCell.find('.required, [class*="required"]').length > 0 ? 'required' : ''),
+      description: read('description'),
+      defaultValue: read('default'),
+      example: read('example')
+    });
+  }).filter(Boolean);
+}
+
+/**
+ * Read a list of fields written as "`name` (type, required) - description"
  */
-function extractDescriptionFromContext(element) {
-  // Look for description in nearby elements
-  const siblings = element.siblings();
-  for (let i = 0; i < siblings.length; i++) {
-    const sibling = siblings[i];
-    const text = sibling.text?.() || '';
-    if (text.length > 10 && text.length < 200) {
-      return text.trim();
+function readList($, node) {
+  const items = node.is('dl')
+    ? node.children('dt').toArray().map(term => ({ head: $(term), text: `${cleanText($(term).text())} - ${cleanText($(term).next('dd').text())}` }))
+    : node.children('li').toArray().map(item => ({ head: $(item).find('code, strong, b').first(), text: cleanText($(item).text()) }));
+
+  return items.map(({ head, text }) => {
+    const name = cleanText(head.text());
+    if (!name || !text.startsWith(name)) return null;
+
+    const rest = text.slice(name.length);
+    const details = /^\s*\(([^)]*)\)/.exec(rest);
+    const field = toField({
+      name,
+      type: details ? details[1] : '',
+      description: rest.slice(details ? details[0].length : 0).replace(/^\s*[-–—:]\s*/, '').trim()
+    });
+    return field && { ...field, detailed: Boolean(details) };
+  }).filter(Boolean);
+}
+
+/**
+ * Build a field from the text of a table row or list item. Required-ness
+ * comes from a required column, or from `*`, "required" and "optional"
+ * markers next to the name, type or description.
+ */
+function toField({ name = '', location = '', type = '', required = '', description = '', defaultValue = '', example = '' }) {
+  const nameText = stripCode(name);
+  const match = FIELD_NAME.exec(nameText);
+  if (!match) return null;
+
+  const markers = `${nameText.slice(match[0].length)} ${type}`;
+  let isRequired = readFlag(required);
+  if (isRequired === undefined) {
+    if (/\*|\brequired\b/i.test(markers) || /^\(?required\b/i.test(description)) {
+      isRequired = true;
+    } else if (/\boptional\b/i.test(markers) || /^\(?optional\b/i.test(description)) {
+      isRequired = false;
     }
   }
-  
-  // Look for description in parent
-  const parent = element.parent();
-  if (parent.length) {
-    const text = parent.text();
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    for (const line of lines) {
-      if (line.length > 10 && line.length < 200 && !line.match(/^(GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS)/i)) {
-        return line;
+
+  const typeText = type.replace(/\b(required|optional)\b/gi, '').replace(/[,()*]/g, ' ').trim();
+  const defaultSample = /^[-–—]?$/.test(defaultValue) ? undefined : coerceScalar(stripCode(defaultValue));
+  const exampleSample = /^[-–—]?$/.test(example) ? undefined : coerceScalar(stripCode(example));
+
+  // Without a type column the default or example value shows the type
+  const sample = defaultSample !== undefined ? defaultSample : exampleSample;
+  const schema = typeText || sample === undefined ? convertTypeText(typeText) : inferSchema([sample]);
+  const values = readEnum(description);
+  if (values) schema.enum = values;
+  if (description) schema.description = description;
+  if (defaultSample !== undefined) schema.default = defaultSample;
+  if (exampleSample !== undefined) schema.example = exampleSample;
+
+  return {
+    name: match[0].replace(/\.$/, ''),
+    in: normalizeLocation(location),
+    required: isRequired,
+    schema,
+    typed: typeText !== ''
+  };
+}
+
+function readFlag(value) {
+  const text = stripCode(value).toLowerCase();
+  if (/^(yes|y|true|required|mandatory|✓|✔|x|\*)$/.test(text)) return true;
+  if (/^(no|n|false|optional|-|–|—)$/.test(text)) return false;
+  return undefined;
+}
+
+/**
+ * Convert a documented type such as "integer", "string (uuid)" or "array of strings"
+ */
+function convertTypeText(text) {
+  const value = text.toLowerCase();
+  if (/\b(array|list)\b|\[\]/.test(value)) {
+    const itemText = value.replace(/\b(array|list|of)\b|\[\]/g, ' ').trim();
+    return { type: 'array', items: convertScalarType(itemText) };
+  }
+  return convertScalarType(value);
+}
+
+function convertScalarType(text) {
+  const keyword = TYPE_KEYWORDS.find(([pattern]) => pattern.test(text));
+  return keyword ? { ...keyword[1] } : { type: 'string' };
+}
+
+function readEnum(description) {
+  const match = ENUM_PATTERN.exec(description || '');
+  if (!match) return null;
+
+  const values = match[1].split(/,|\||\bor\b/)
+    .map(value => stripCode(value).replace(/^["']|["'.]+$/g, '').trim())
+    .filter(Boolean);
+  return values.length > 1 && values.every(value => !/\s/.test(value)) ? values.map(coerceScalar) : null;
+}
+
+function normalizeLocation(value) {
+  const text = (value || '').toLowerCase();
+  if (/path|url|uri/.test(text)) return 'path';
+  if (/query/.test(text)) return 'query';
+  if (/header/.test(text)) return 'header';
+  if (/cookie/.test(text)) return 'cookie';
+  if (/body|form|json|payload/.test(text)) return 'body';
+  return null;
+}
+
+/**
+ * File a field under the endpoint's parameters, body or response fields.
+ * Fields without a location are path parameters when the path names them,
+ * otherwise query parameters or body fields depending on the method.
+ */
+function addField(detection, field, location) {
+  let placement = field.in || location;
+  if (!placement) {
+    if (pathParameterNames(detection.url).includes(field.name)) placement = 'path';
+    else placement = BODY_METHODS.includes(detection.method) ? 'body' : 'query';
+  }
+
+  if (placement === 'response') {
+    detection.responseFields.push(field);
+  } else if (placement === 'body') {
+    detection.bodyFields.push(field);
+  } else if (!(placement === 'header' && field.name.toLowerCase() === 'authorization')) {
+    addParameter(detection, { ...field, in: placement, documented: true });
+  }
+}
+
+function addParameter(detection, parameter) {
+  if (!detection.parameters.some(existing => existing.in === parameter.in && existing.name === parameter.name)) {
+    detection.parameters.push(parameter);
+  }
+}
+
+/**
+ * Read a code example: a curl command, a raw HTTP request or response, or a
+ * JSON body placed by its label. Unlabelled JSON is resolved once the whole
+ * section has been read.
+ */
+function readExample(detection, block, labels, pending) {
+  const text = block.text;
+  if (CURL_COMMAND.test(text)) {
+    for (const exchange of readCurlExchanges(text)) {
+      if (exchange.method === detection.method && matchesTemplate(detection.url, exchange.url)) {
+        readRequestExample(detection, exchange.url, exchange.headers, exchange.body?.text, exchange.body?.mimeType);
+      }
+    }
+    return;
+  }
+
+  const firstLine = text.split('\n', 1)[0].trim();
+  const statusLine = STATUS_LINE.exec(firstLine);
+  if (statusLine) {
+    addResponseSample(detection, statusLine[1], parseJsonExample(readHttpMessage(text).body));
+    return;
+  }
+
+  const requestLine = matchSignature(firstLine);
+  if (requestLine) {
+    if (requestLine.method === detection.method && matchesTemplate(detection.url, requestLine.url)) {
+      const message = readHttpMessage(text);
+      const contentType = message.headers.find(header => header.name.toLowerCase() === 'content-type');
+      readRequestExample(detection, requestLine.url, message.headers, message.body, contentType?.value);
+    }
+    return;
+  }
+
+  const sample = parseJsonExample(text);
+  if (sample === undefined) return;
+
+  for (const label of [...labels, block.className]) {
+    if (RESPONSE_LABEL.test(label)) {
+      addResponseSample(detection, readStatusCode(label), sample);
+      return;
+    }
+    if (REQUEST_LABEL.test(label)) {
+      detection.requestSamples.push(sample);
+      return;
+    }
+  }
+  pending.push(sample);
+}
+
+/**
+ * Take credentials, query parameters and the body from an example request
+ */
+function readRequestExample(detection, url, headers, body, mediaType) {
+  const credential = detectCredentials(headers, url);
+  if (credential) detection.credentials.push(credential);
+
+  for (const [name, value] of readQuery(url)) {
+    if (!API_KEY_QUERY.test(name)) {
+      addParameter(detection, { name, in: 'query', required: false, schema: { ...inferSchema([coerceScalar(value)]), example: coerceScalar(value) }, typed: false });
+    }
+  }
+
+  const sample = parseJsonExample(body);
+  if (sample !== undefined) {
+    detection.requestSamples.push(sample);
+    if (mediaType) detection.mediaType = mediaType.split(';')[0].trim();
+  }
+}
+
+function readCurlExchanges(text) {
+  try {
+    return readCurlCommands(text).filter(exchange => /^https?:\/\/[^/]*[^/.]\.[^/]*|^https?:\/\/localhost/i.test(exchange.url));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Split a raw HTTP message into its header lines and body
+ */
+function readHttpMessage(text) {
+  const [head, ...body] = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  const headers = head.split('\n').slice(1).map(line => HEADER_LINE.exec(line.trim()))
+    .filter(Boolean).map(([, name, value]) => ({ name, value: value.trim() }));
+  return { headers, body: body.join('\n\n').trim() };
+}
+
+function readStatusCode(label) {
+  const match = /\b([1-5]\d\d)\b/.exec(label);
+  return match ? match[1] : '200';
+}
+
+function addResponseSample(detection, code, sample) {
+  if (!detection.responses.has(code)) {
+    detection.responses.set(code, []);
+  }
+  if (sample !== undefined) {
+    detection.responses.get(code).push(sample);
+  }
+}
+
+/**
+ * Credentials carried by an example request
+ */
+function detectCredentials(headers, url) {
+  const authorization = headers.find(header => header.name.toLowerCase() === 'authorization')?.value;
+  if (authorization) {
+    if (/^Bearer\b/i.test(authorization)) return { type: 'http', scheme: 'bearer' };
+    if (/^Basic\b/i.test(authorization)) return { type: 'http', scheme: 'basic' };
+    return { type: 'apiKey', name: 'Authorization', in: 'header' };
+  }
+
+  const apiKeyHeader = headers.find(header => API_KEY_HEADER.test(header.name));
+  if (apiKeyHeader) return { type: 'apiKey', name: apiKeyHeader.name, in: 'header' };
+
+  const apiKeyParam = readQuery(url || '').map(([name]) => name).find(name => API_KEY_QUERY.test(name));
+  return apiKeyParam ? { type: 'apiKey', name: apiKeyParam, in: 'query' } : null;
+}
+
+/**
+ * Read the security schemes described in the page's authentication sections.
+ * Credentials shown in the section's examples win over its prose.
+ * @param {Array<Object>} diagnostics - Receives schemes the prose leaves incomplete
+ */
+function readAuthentication($, blocks, anchors, diagnostics) {
+  const schemes = [];
+
+  blocks.forEach((block, index) => {
+    if (block.kind !== 'heading' || anchors.has(index) || !AUTH_HEADING.test(block.text)) return;
+
+    const section = blocks.slice(index + 1, findSectionEnd(blocks, index));
+    if (section.some(entry => entry.signature)) return;
+
+    const fromExamples = readExampleCredentials(section);
+    const found = fromExamples.length > 0 ? fromExamples : readDescribedCredentials($, section, block, diagnostics);
+    for (const scheme of found) {
+      if (!schemes.some(existing => JSON.stringify(existing) === JSON.stringify(scheme))) {
+        schemes.push(scheme);
       }
     }
+  });
+
+  return schemes;
+}
+
+function readExampleCredentials(section) {
+  const credentials = [];
+
+  for (const block of section) {
+    if (block.kind !== 'code' && !(block.kind === 'text' && block.inline)) continue;
+
+    const requests = CURL_COMMAND.test(block.text)
+      ? readCurlExchanges(block.text).map(exchange => ({ headers: exchange.headers, url: exchange.url }))
+      : [{
+        headers: block.text.split('\n').map(line => HEADER_LINE.exec(line.trim())).filter(Boolean)
+          .map(([, name, value]) => ({ name, value })),
+        url: (/https?:\/\/\S+/.exec(block.text) || [''])[0]
+      }];
+
+    for (const request of requests) {
+      const credential = detectCredentials(request.headers, request.url);
+      if (credential) credentials.push(credential);
+    }
+  }
+  return credentials;
+}
+
+/**
+ * Security schemes named in an authentication section's text. An API key
+ * whose header the text does not name is reported instead of guessed.
+ */
+function readDescribedCredentials($, section, heading, diagnostics) {
+  const text = section.map(block => (block.text !== undefined ? block.text : cleanText(block.node.text()))).join('\n');
+  const codeNames = section.flatMap(block => block.node.find('code').toArray().map(code => stripCode(block.node.find(code).text())));
+  if (section.some(block => block.kind === 'text' && block.inline)) {
+    codeNames.push(...section.filter(block => block.inline).map(block => stripCode(block.text)));
+  }
+  const schemes = [];
+
+  if (/\bbearer\b/i.test(text)) {
+    schemes.push({ type: 'http', scheme: 'bearer' });
+  }
+  if (/\bbasic\s+auth(entication)?\b|\bhttp\s+basic\b/i.test(text)) {
+    schemes.push({ type: 'http', scheme: 'basic' });
+  }
+  if (/\boauth\s*2|\boauth\s+2\.0/i.test(text)) {
+    const urls = text.match(/https?:\/\/[^\s"'<>`),]+/g) || [];
+    const authorizationUrl = urls.find(url => /authori[sz]e/i.test(url));
+    const tokenUrl = urls.find(url => /token/i.test(url));
+    if (authorizationUrl || tokenUrl) {
+      const flow = authorizationUrl && tokenUrl ? 'authorizationCode' : (tokenUrl ? 'clientCredentials' : 'implicit');
+      schemes.push({ type: 'oauth2', flows: { [flow]: { authorizationUrl, tokenUrl, scopes: {} } } });
+    }
+  }
+  if (/\bapi[\s_-]?key\b/i.test(text)) {
+    const inText = HEADER_NAME_IN_TEXT.exec(text);
+    const header = codeNames.find(name => API_KEY_HEADER.test(name)) ||
+      (inText && (inText[1] || inText[2])) ||
+      codeNames.find(name => HEADER_NAME.test(name));
+    const query = /\bquery\b/i.test(text) && codeNames.find(name => API_KEY_QUERY.test(name));
+    if (query && !header) {
+      schemes.push({ type: 'apiKey', name: query, in: 'query' });
+    } else if (header) {
+      schemes.push({ type: 'apiKey', name: header, in: 'header' });
+    } else {
+      diagnostics.push(createDiagnostic('warning', 'unnamed-api-key', { selector: toSelector(heading.node) },
+        `"${heading.text}" describes an API key but not the header or query parameter it is sent in; the client sends no API key`,
+        'Name the header (for example `X-API-Key`) or query parameter in the authentication section, or show it in a curl example'));
+    }
   }
-  
-  return '';
-}
-
-/**
- * Infer HTTP method from context
- */
-function inferMethodFromContext(text, element) {
-  const context = text.toLowerCase();
-  
-  if (context.includes('get') || context.includes('retrieve') || context.includes('fetch')) {
-    return 'GET';
-  }
-  
-  if (context.includes('post') || context.includes('create') || context.includes('add')) {
-    return 'POST';
-  }
-  
-  if (context.includes('put') || context.includes('update') || context.includes('modify')) {
-    return 'PUT';
-  }
-  
-  if (context.includes('delete') || context.includes('remove')) {
-    return 'DELETE';
-  }
-  
-  if (context.includes('patch')) {
-    return 'PATCH';
-  }
-  
-  // Default to GET for most cases
-  return 'GET';
-}
-
-/**
- * Extract parameters from text
- */
-function extractParametersFromText(text) {
-  const parameters = [];
-  
-  // Look for parameter patterns
-  const paramPatterns = [
-    /{(\w+)}/g, // Path parameters
-    /[?&](\w+)=/g, // Query parameters
-    /(\w+):\s*([^\s,]+)/g // Key-value pairs
-  ];
-  
-  for (const pattern of paramPatterns) {
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const paramName = match[1];
-      
-      // Avoid duplicates
-      if (!parameters.find(p => p.name === paramName)) {
-        parameters.push({
-          name: paramName,
-          in: pattern.source.includes('{') ? 'path' : 'query',
-          required: false,
-          type: 'string',
-          description: '',
-          example: ''
-        });
+
+  return schemes;
+}
+
+/**
+ * Tag each endpoint with the heading of the group it is documented in
+ */
+function tagDetections(detections, blocks, title) {
+  const anchors = new Set(detections.map(detection => detection.anchor));
+  const firstHeading = blocks.findIndex(block => block.kind === 'heading');
+
+  for (const detection of detections) {
+    if (detection.anchor === undefined || detection.tags.length > 0) continue;
+
+    const anchor = blocks[detection.anchor];
+    const level = anchor.kind === 'heading' ? anchor.level : 7;
+    for (let index = detection.anchor - 1; index >= 0; index--) {
+      const block = blocks[index];
+      if (block.kind !== 'heading' || block.level >= level) continue;
+      if (!anchors.has(index) && index !== firstHeading && block.text && block.text !== title) {
+        detection.tags.push(block.text);
       }
+      break;
     }
   }
-  
-  return parameters;
 }
 
 /**
- * Extract title from HTML
+ * The first substantial paragraph before any endpoint
  */
-function extractTitle($) {
-  const title = $('title').text() || $('h1').first().text();
-  return title.trim();
+function findIntroduction(blocks, detections) {
+  const firstAnchor = Math.min(blocks.length, ...detections.map(detection => detection.anchor ?? blocks.length));
+  const intro = blocks.slice(0, firstAnchor).find(block => block.kind === 'text' && !block.inline && block.text.length > 20);
+  return intro ? intro.text : '';
 }
 
 /**
- * Extract description from HTML
+ * The labelled base URL, or the origin and shared /api or /vN prefix of the
+ * absolute URLs the endpoints are documented with
  */
-function extractDescription($) {
-  const metaDesc = $('meta[name="description"]').attr('content');
-  if (metaDesc) {
-    return metaDesc;
+function findBaseUrl(blocks, detections) {
+  for (let index = 0; index < blocks.length; index++) {
+    const block = blocks[index];
+    if (block.text === undefined) continue;
+
+    const labelled = BASE_URL_LABEL.exec(block.text);
+    if (labelled) return toAbsoluteUrl(labelled[1]);
+
+    const next = blocks[index + 1];
+    if (/\b(base|root)\s*(url|uri)\s*:?$/i.test(block.text) && next?.text && /^https?:\/\//.test(next.text)) {
+      return toAbsoluteUrl(next.text.split(/\s/)[0]);
+    }
   }
-  
-  const firstP = $('p').first().text();
-  if (firstP && firstP.length > 20) {
-    return firstP.trim();
+
+  const absolute = detections.map(detection => splitUrl(detection.url)).filter(url => url.origin);
+  if (absolute.length === 0) return '';
+
+  const counts = new Map();
+  absolute.forEach(url => counts.set(url.origin, (counts.get(url.origin) || 0) + 1));
+  const origin = Array.from(counts).sort((a, b) => b[1] - a[1])[0][0];
+  const segmentLists = absolute.filter(url => url.origin === origin).map(url => url.pathname.split('/').filter(Boolean));
+
+  const basePath = [];
+  for (let position = 0; ; position++) {
+    const segment = segmentLists[0][position];
+    if (!segment || !BASE_PATH_SEGMENT.test(segment) || !segmentLists.every(segments => segments[position] === segment && segments.length > position + 1)) {
+      break;
+    }
+    basePath.push(segment);
   }
-  
-  return '';
+  return `${origin}${basePath.map(segment => `/${segment}`).join('')}`;
+}
+
+function toAbsoluteUrl(value) {
+  const url = value.replace(/[.,;:]+$/, '').replace(/\/+$/, '');
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
 }
 
 /**
- * Generate operation ID from method and path
+ * Convert the page to an OpenAPI 3.0 document. Endpoints documented more
+ * than once are merged by method and path.
+ */
+function convertPage(page) {
+  const context = { securitySchemes: {}, operationIds: new Set() };
+  const documentedSchemes = page.authSchemes.map(scheme => registerScheme(scheme, context));
+
+  const operations = new Map();
+  for (const detection of page.detections) {
+    const path = toOpenApiPath(detection.url, page.baseUrl);
+    const key = `${detection.method} ${path}`;
+    if (operations.has(key)) {
+      mergeDetection(operations.get(key), detection);
+    } else {
+      operations.set(key, { ...detection, path });
+    }
+  }
+
+  const api = {
+    openapi: '3.0.3',
+    info: { title: page.title, version: '1.0.0', description: page.description },
+    servers: page.baseUrl ? [{ url: page.baseUrl }] : [],
+    paths: {},
+    components: { schemas: {}, securitySchemes: context.securitySchemes }
+  };
+
+  for (const operation of operations.values()) {
+    api.paths[operation.path] = api.paths[operation.path] || {};
+    api.paths[operation.path][operation.method.toLowerCase()] = convertOperation(operation, context);
+  }
+
+  // Without an authentication section, credentials seen in any example apply to the whole API
+  const schemeNames = documentedSchemes.length > 0 ? documentedSchemes : Object.keys(context.securitySchemes);
+  if (schemeNames.length > 0) {
+    api.security = [...new Set(schemeNames)].map(name => ({ [name]: [] }));
+  }
+
+  return { api, operations: Array.from(operations.values()) };
+}
+
+function mergeDetection(target, source) {
+  target.sources.push(...source.sources);
+  source.parameters.forEach(parameter => addParameter(target, parameter));
+  target.bodyFields.push(...source.bodyFields);
+  target.responseFields.push(...source.responseFields);
+  target.requestSamples.push(...source.requestSamples);
+  target.credentials.push(...source.credentials);
+  source.documentation.forEach(kind => target.documentation.add(kind));
+  for (const [code, samples] of source.responses) {
+    samples.forEach(sample => addResponseSample(target, code, sample));
+    if (samples.length === 0) addResponseSample(target, code, undefined);
+  }
+  target.summary = target.summary || source.summary;
+  target.description = target.description || source.description;
+  target.tags = target.tags.length > 0 ? target.tags : source.tags;
+  target.deprecated = target.deprecated || source.deprecated;
+  target.mediaType = target.mediaType || source.mediaType;
+}
+
+function convertOperation(operation, context) {
+  const placeholders = pathParameterNames(operation.path);
+  const parameters = operation.parameters.map(parameter => {
+    const location = parameter.in === 'path' && !placeholders.includes(parameter.name) ? 'query' : parameter.in;
+    const { description, ...schema } = parameter.schema;
+    return {
+      name: parameter.name,
+      in: location,
+      required: location === 'path' || Boolean(parameter.required),
+      description: description || '',
+      schema
+    };
+  });
+  for (const name of placeholders) {
+    if (!parameters.some(parameter => parameter.in === 'path' && parameter.name === name)) {
+      parameters.push({ name, in: 'path', required: true, description: '', schema: { type: 'string' } });
+    }
+  }
+
+  const converted = {
+    operationId: reserveOperationId(generateOperationId(operation.method.toLowerCase(), operation.path), context.operationIds),
+    summary: operation.summary,
+    description: operation.description,
+    tags: operation.tags,
+    ...(operation.deprecated ? { deprecated: true } : {}),
+    parameters,
+    responses: {}
+  };
+
+  const requestSchema = buildBodySchema(operation.bodyFields, operation.requestSamples);
+  if (requestSchema) {
+    converted.requestBody = {
+      required: true,
+      content: { [operation.mediaType || 'application/json']: toMediaTypeObject(requestSchema, operation.requestSamples[0]) }
+    };
+  }
+
+  const codes = Array.from(operation.responses.keys()).sort();
+  const successCode = codes.find(code => code.startsWith('2')) || (operation.responseFields.length > 0 ? '200' : null);
+  if (successCode && !codes.includes(successCode)) codes.unshift(successCode);
+
+  for (const code of codes) {
+    const samples = operation.responses.get(code) || [];
+    const schema = buildBodySchema(code === successCode ? operation.responseFields : [], samples);
+    converted.responses[code] = { description: http.STATUS_CODES[code] || `Response ${code}` };
+    if (schema) {
+      converted.responses[code].content = { 'application/json': toMediaTypeObject(schema, samples[0]) };
+    }
+  }
+
+  const schemeNames = [...new Set(operation.credentials.map(scheme => registerScheme(scheme, context)))];
+  if (schemeNames.length > 0) {
+    converted.security = schemeNames.map(name => ({ [name]: [] }));
+  }
+  return converted;
+}
+
+/**
+ * A body schema inferred from examples, overlaid with the documented fields.
+ * Documented types win over inferred ones and documented optional fields are
+ * not required.
+ */
+function buildBodySchema(fields, samples) {
+  if (fields.length === 0 && samples.length === 0) return null;
+
+  const schema = samples.length > 0 ? inferSchema(samples) : { type: 'object', properties: {} };
+  if (fields.length === 0) return schema;
+
+  const root = schema.type === 'array' && schema.items?.type === 'object' ? schema.items : schema;
+  if (root.type !== 'object') return schema;
+
+  for (const field of fields) {
+    applyField(root, field);
+  }
+  return schema;
+}
+
+/**
+ * Place a field in an object schema; `user.email` and `items[].id` name nested properties
+ */
+function applyField(root, field) {
+  const parts = field.name.split('.').filter(Boolean);
+  let target = root;
+
+  parts.forEach((part, position) => {
+    const isArray = part.endsWith('[]');
+    const key = part.replace(/\[\]$/, '');
+    target.properties = target.properties || {};
+
+    if (position === parts.length - 1) {
+      const existing = target.properties[key];
+      const documented = isArray ? { type: 'array', items: field.schema } : field.schema;
+      target.properties[key] = !existing || (field.typed && existing.type !== documented.type)
+        ? { ...documented, ...(existing?.properties ? { properties: existing.properties } : {}) }
+        : { ...existing, ...documented, type: existing.type, ...(existing.items ? { items: existing.items } : {}) };
+
+      const required = new Set(target.required || []);
+      if (field.required === true) required.add(key);
+      if (field.required === false) required.delete(key);
+      target.required = Array.from(required);
+      return;
+    }
+
+    let child = target.properties[key];
+    if (!child) {
+      child = isArray ? { type: 'array', items: { type: 'object', properties: {} } } : { type: 'object', properties: {} };
+      target.properties[key] = child;
+    }
+    if (child.type === 'array') {
+      child.items = child.items?.type === 'object' ? child.items : { type: 'object', properties: {} };
+      target = child.items;
+    } else {
+      child.type = 'object';
+      target = child;
+    }
+  });
+}
+
+/**
+ * Score how certain the parser is that an endpoint exists as documented
+ * @returns {Object} `{ score, reasons }` with a score between 0 and 1
+ */
+function scoreOperation(operation, generator) {
+  const reasons = generator ? [`${generator.name} page`] : [];
+  const sources = [...new Set(operation.sources)].sort((a, b) => SIGNATURE_SOURCES[b].weight - SIGNATURE_SOURCES[a].weight);
+  let score = SIGNATURE_SOURCES[sources[0]].weight;
+  reasons.push(...sources.map(source => SIGNATURE_SOURCES[source].reason));
+
+  if (operation.sources.length > 1) {
+    score += 0.1;
+    reasons.push(`Method and path found in ${operation.sources.length} places`);
+  }
+  if (operation.documentation.size > 0) {
+    score += 0.15;
+    reasons.push(`Parameters documented in a ${operation.documentation.has('table') ? 'table' : 'list'}`);
+  }
+  if (operation.requestSamples.length > 0) {
+    score += 0.1;
+    reasons.push('Request example');
+  }
+  if (Array.from(operation.responses.values()).some(samples => samples.length > 0)) {
+    score += 0.1;
+    reasons.push('Response example');
+  }
+  if (operation.description) {
+    score += 0.1;
+    reasons.push('Description');
+  }
+
+  const placeholders = pathParameterNames(operation.path);
+  const undocumented = placeholders.filter(name => !operation.parameters.some(parameter => parameter.in === 'path' && parameter.name === name && parameter.documented));
+  if (placeholders.length > 0 && undocumented.length === 0) {
+    score += 0.1;
+    reasons.push('Path parameters documented');
+  }
+  undocumented.forEach(name => reasons.push(`Path parameter ${name} not documented`));
+
+  return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+}
+
+/**
+ * Report endpoints the parser had to guess at: weak evidence, path
+ * parameters the page never describes and bodies without fields or examples
+ */
+function diagnoseOperations(operations, confidence) {
+  if (operations.length === 0) {
+    return [createDiagnostic('error', 'no-operations', { selector: 'body' },
+      'No endpoints were found on the page, so the client has no operations',
+      'Write each endpoint\'s method and path in a heading (for example "GET /users/{id}") or add a curl example')];
+  }
+
+  const diagnostics = [];
+  for (const operation of operations) {
+    const location = { selector: toSelector(operation.node) };
+    const label = `${operation.method} ${operation.path}`;
+
+    const { score } = confidence.get(label);
+    if (score < LOW_CONFIDENCE) {
+      diagnostics.push(createDiagnostic('warning', 'low-confidence', location,
+        `${label} was only found in ${operation.sources.map(source => SIGNATURE_SOURCES[source].reason.toLowerCase()).join(', ')} (confidence ${score})`,
+        'Check that the endpoint exists, and document it under a heading with its parameters and examples'));
+    }
+
+    pathParameterNames(operation.path)
+      .filter(name => !operation.parameters.some(parameter => parameter.in === 'path' && parameter.name === name && parameter.documented))
+      .forEach(name => diagnostics.push(createDiagnostic('warning', 'undeclared-path-parameter', location,
+        `Path parameter "${name}" of ${label} is not documented; it is generated as a required string`,
+        `Describe "${name}" in the endpoint's parameter table or list`)));
+
+    if (BODY_METHODS.includes(operation.method) && operation.bodyFields.length === 0 && operation.requestSamples.length === 0) {
+      diagnostics.push(createDiagnostic('info', 'empty-schema', location,
+        `${label} documents no request body fields or example; the client sends an untyped body`,
+        'Add a body parameter table or a JSON request example'));
+    }
+  }
+  return sortDiagnostics(diagnostics);
+}
+
+/**
+ * A CSS selector for an element: its id, or its tag positions from the
+ * nearest ancestor with an id (or the body)
+ */
+function toSelector(node) {
+  if (!node || node.length === 0) return 'body';
+
+  const parts = [];
+  let current = node.first();
+  while (current.length > 0 && current[0].type === 'tag') {
+    const element = current[0];
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'body' || tag === 'html') break;
+
+    const id = current.attr('id');
+    if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+      parts.unshift(`${tag}#${id}`);
+      return parts.join(' > ');
+    }
+
+    const siblings = current.parent().children(tag);
+    parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.index(element) + 1})` : tag);
+    current = current.parent();
+  }
+  return ['body', ...parts].join(' > ');
+}
+
+function createDetection(method, url, source) {
+  return {
+    method,
+    url,
+    sources: [source],
+    summary: '',
+    description: '',
+    tags: [],
+    deprecated: false,
+    parameters: [],
+    bodyFields: [],
+    responseFields: [],
+    requestSamples: [],
+    mediaType: null,
+    responses: new Map(),
+    credentials: [],
+    documentation: new Set()
+  };
+}
+
+/**
+ * Split a documented URL into its origin and a path with {name} placeholders.
+ * Placeholders written as :id, <id> or {{id}} are rewritten.
+ */
+function splitUrl(url) {
+  const match = /^([a-z][a-z\d+.-]*:\/\/[^/?#]*)?([^?#]*)(\?[^#]*)?/i.exec(url);
+  const pathname = (match[2] || '/').split('/').map(segment => {
+    const placeholder = /^(?::([A-Za-z_][\w-]*)|<([A-Za-z_][\w-]*)>|\{\{([A-Za-z_][\w-]*)\}\})$/.exec(segment);
+    return placeholder ? `{${placeholder[1] || placeholder[2] || placeholder[3]}}` : segment;
+  }).join('/');
+  return { origin: match[1] || '', pathname: pathname.replace(/(.)\/+$/, '$1') || '/', query: match[3] || '' };
+}
+
+function toOpenApiPath(url, baseUrl) {
+  const { origin, pathname } = splitUrl(url);
+  const base = splitUrl(baseUrl || '');
+  const basePath = base.pathname === '/' ? '' : base.pathname;
+
+  if (basePath && (!origin || origin === base.origin) && (pathname === basePath || pathname.startsWith(`${basePath}/`))) {
+    return pathname.slice(basePath.length) || '/';
+  }
+  return pathname;
+}
+
+function signatureKey(method, url) {
+  return `${method} ${splitUrl(url).pathname}`;
+}
+
+/**
+ * Whether a concrete example URL is a call to a documented path template.
+ * The example may carry base path segments the template leaves out.
+ */
+function matchesTemplate(template, url) {
+  const expected = splitUrl(template).pathname.split('/').filter(Boolean);
+  const actual = splitUrl(url).pathname.split('/').filter(Boolean);
+  const offset = actual.length - expected.length;
+  if (offset < 0 || !actual.slice(0, offset).every(segment => BASE_PATH_SEGMENT.test(segment))) {
+    return false;
+  }
+  return expected.every((segment, position) => /^\{.+\}$/.test(segment) || segment === safeDecode(actual[offset + position]));
+}
+
+function pathParameterNames(url) {
+  return (splitUrl(url).pathname.match(/\{[^{}]+\}/g) || []).map(name => name.slice(1, -1));
+}
+
+function readQuery(url) {
+  return Array.from(new URLSearchParams(splitUrl(url).query));
+}
+
+/**
+ * Register a detected security scheme, reusing an identical one
+ */
+function registerScheme(scheme, context) {
+  const existing = Object.entries(context.securitySchemes)
+    .find(([, declared]) => JSON.stringify(declared) === JSON.stringify(scheme));
+  if (existing) return existing[0];
+
+  const baseName = scheme.type === 'http' ? `${scheme.scheme}Auth` : (scheme.type === 'oauth2' ? 'oauth2' : toCamelCase(scheme.name));
+  let name = baseName;
+  for (let suffix = 2; context.securitySchemes[name]; suffix++) {
+    name = `${baseName}${suffix}`;
+  }
+  context.securitySchemes[name] = scheme;
+  return name;
+}
+
+function toMediaTypeObject(schema, example) {
+  const mediaTypeObject = { schema };
+  if (example !== undefined) {
+    mediaTypeObject.example = example;
+  }
+  return mediaTypeObject;
+}
+
+function cleanText(text) {
+  return (text || '').replace(/[\u200B\u00B6]/g, '').replace(/\s+/g, ' ').replace(/\s*#$/, '').trim();
+}
+
+function stripCode(value) {
+  return String(value || '').trim().replace(/^`+|`+$/g, '').trim();
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+/**
+ * Generate an operation ID such as getUsersByUserId
  */
 function generateOperationId(method, path) {
-  const cleanPath = path.replace(/[^a-zA-Z0-9]/g, '_');
-  return `${method.toLowerCase()}_${cleanPath}`;
+  const parts = path.split('/').filter(Boolean).map(segment => {
+    const param = /^\{(.+)\}$/.exec(segment);
+    return param ? `By${toModelName(param[1])}` : toModelName(segment);
+  });
+  return `${method}${parts.join('') || 'Root'}`;
+}
+
+function toCamelCase(value) {
+  const name = toModelName(value);
+  return name.charAt(0).toLowerCase() + name.slice(1);
 }
 
-module.exports = { parseHtmlDocs }; 
\ No newline at end of file
+module.exports = { parseHtmlDocs };
\ No newline at end of file
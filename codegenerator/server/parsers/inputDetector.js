@@ -0,0 +1,214 @@
+/**
+ * Input Type Detection
+ * Works out which parser a document belongs to from its content, falling
+ * back to the file extension and the HTTP content type when the content alone
+ * is not conclusive. Detections carry the same input type ids the generate
+ * endpoint accepts, a confidence between 0 and 1 and the evidence behind it.
+ */
+const yaml = require('js-yaml');
+
+/**
+ * Input types implied by file extensions
+ */
+const EXTENSION_TYPES = {
+  '.har': 'har',
+  '.raml': 'raml',
+  '.apib': 'apiblueprint',
+  '.proto': 'proto',
+  '.graphql': 'graphql',
+  '.graphqls': 'graphql',
+  '.gql': 'graphql',
+  '.html': 'html',
+  '.htm': 'html',
+  '.sh': 'curl'
+};
+
+/**
+ * Input types implied by HTTP content types
+ */
+const CONTENT_TYPES = [
+  { pattern: /text\/html|application\/xhtml/, type: 'html' },
+  { pattern: /graphql/, type: 'graphql' },
+  { pattern: /raml/, type: 'raml' },
+  { pattern: /apiblueprint/, type: 'apiblueprint' },
+  { pattern: /protobuf|\/proto\b/, type: 'proto' },
+  { pattern: /openapi|swagger/, type: 'swagger' },
+  { pattern: /asyncapi/, type: 'asyncapi' }
+];
+
+/**
+ * Confidence above which a detected type replaces the type the user picked
+ */
+const OVERRIDE_CONFIDENCE = 0.9;
+
+/**
+ * Detect the input type of a document
+ * @param {string} content - Document text
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - File name or URL path the content came from
+ * @param {string} [options.contentType] - HTTP content type it was served with
+ * @returns {Object} `{ type, confidence, reasons }`, with a null type when nothing matches
+ */
+function detectInputType(content, { fileName, contentType } = {}) {
+  const hints = [
+    { type: detectFromFileName(fileName), confidence: 0.5, reason: `file extension of ${fileName}` },
+    { type: detectFromContentType(contentType), confidence: 0.4, reason: `served as ${contentType}` }
+  ].filter(hint => hint.type);
+
+  const detected = detectFromContent(content || '') || hints[0];
+  if (!detected) {
+    return { type: null, confidence: 0, reasons: ['content does not match any supported format'] };
+  }
+
+  // Extensions and content types that agree with the content add a little confidence
+  const reasons = [detected.reason];
+  let confidence = detected.confidence;
+  hints
+    .filter(hint => hint !== detected && hint.type === detected.type)
+    .forEach(hint => {
+      reasons.push(hint.reason);
+      confidence = Math.min(1, confidence + 0.05);
+    });
+
+  return { type: detected.type, confidence, reasons };
+}
+
+/**
+ * Pick the parser for a request: the detected type when the user chose
+ * automatic detection (or nothing), and the user's choice unless the
+ * content clearly belongs to another format
+ * @param {string} requestedType - Input type from the request, possibly 'auto'
+ * @param {Object} detection - Result of detectInputType
+ * @returns {string|null} Input type id to parse with
+ */
+function chooseInputType(requestedType, detection) {
+  const requested = requestedType && requestedType !== 'auto' ? requestedType : null;
+  if (!detection.type) {
+    return requested;
+  }
+  if (!requested) {
+    return detection.type;
+  }
+  return detection.type !== requested && detection.confidence >= OVERRIDE_CONFIDENCE
+    ? detection.type
+    : requested;
+}
+
+function detectFromContent(content) {
+  const text = content.replace(/^\uFEFF/, '').trim();
+  if (!text) {
+    return null;
+  }
+
+  if (/^#%RAML\b/.test(text)) {
+    return { type: 'raml', confidence: 1, reason: '#%RAML header' };
+  }
+  if (/^FORMAT:\s*1A\b/m.test(text.slice(0, 200))) {
+    return { type: 'apiblueprint', confidence: 0.95, reason: 'FORMAT: 1A metadata' };
+  }
+
+  if (/^[{[]/.test(text)) {
+    try {
+      const detected = classifyDocument(JSON.parse(text));
+      if (detected) {
+        return { ...detected, reason: `JSON with ${detected.reason}` };
+      }
+    } catch (error) {
+      // Not JSON after all; the text checks below still apply
+    }
+  }
+
+  if (/^<!doctype\s+html|<html[\s>]/i.test(text.slice(0, 1000))) {
+    return { type: 'html', confidence: 0.95, reason: 'HTML doctype or <html> element' };
+  }
+  if (/^\s*syntax\s*=\s*["']proto[23]["']/m.test(text)) {
+    return { type: 'proto', confidence: 0.95, reason: 'proto syntax declaration' };
+  }
+  if (/^\s*service\s+\w+\s*\{/m.test(text) && /^\s*message\s+\w+\s*\{/m.test(text)) {
+    return { type: 'proto', confidence: 0.8, reason: 'proto service and message definitions' };
+  }
+
+  const yamlDetected = classifyYaml(text);
+  if (yamlDetected) {
+    return { ...yamlDetected, reason: `YAML with ${yamlDetected.reason}` };
+  }
+
+  if (/^\s*<(?:h[1-6]|table|pre|div|section|p)\b/im.test(text)) {
+    return { type: 'html', confidence: 0.6, reason: 'HTML fragment' };
+  }
+  if (/^\s*(?:\$\s+)?curl\s/m.test(text)) {
+    return { type: 'curl', confidence: 0.85, reason: 'curl command line' };
+  }
+  if (/^\s*(?:schema|type\s+(?:Query|Mutation|Subscription))\s*\{/m.test(text)) {
+    return { type: 'graphql', confidence: 0.85, reason: 'GraphQL schema or root type definition' };
+  }
+  if (/^\s*(?:type|input|interface|enum)\s+\w+[^\n{]*\{/m.test(text)) {
+    return { type: 'graphql', confidence: 0.6, reason: 'GraphQL type definitions' };
+  }
+  return null;
+}
+
+/**
+ * Classify a parsed JSON or YAML document by its top-level keys
+ */
+function classifyDocument(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return null;
+  }
+  if (document.irVersion && Array.isArray(document.endpoints)) {
+    return { type: 'ir', confidence: 1, reason: '"irVersion" key' };
+  }
+  if (document.openapi || document.swagger) {
+    return { type: 'swagger', confidence: 1, reason: `"${document.openapi ? 'openapi' : 'swagger'}" version key` };
+  }
+  if (document.asyncapi) {
+    return { type: 'asyncapi', confidence: 1, reason: '"asyncapi" version key' };
+  }
+  if (document.log && Array.isArray(document.log.entries)) {
+    return { type: 'har', confidence: 1, reason: 'log.entries' };
+  }
+  const info = document.info || {};
+  if (info._postman_id || /schema\.getpostman\.com/.test(info.schema || '')) {
+    return { type: 'postman', confidence: 1, reason: info._postman_id ? 'info._postman_id' : 'Postman collection schema URL' };
+  }
+  if (Array.isArray(document.item) && info.name) {
+    return { type: 'postman', confidence: 0.8, reason: 'info.name and an item list' };
+  }
+  if (document.__schema || (document.data && document.data.__schema)) {
+    return { type: 'graphql', confidence: 1, reason: 'introspection __schema' };
+  }
+  return null;
+}
+
+function classifyYaml(text) {
+  try {
+    const documents = yaml.loadAll(text);
+    for (const document of documents) {
+      const detected = classifyDocument(document);
+      if (detected) {
+        return detected;
+      }
+    }
+  } catch (error) {
+    // Not YAML
+  }
+  return null;
+}
+
+function detectFromFileName(fileName) {
+  if (!fileName) {
+    return null;
+  }
+  const match = fileName.toLowerCase().match(/(\.[a-z]+)(?:[?#].*)?$/);
+  return (match && EXTENSION_TYPES[match[1]]) || null;
+}
+
+function detectFromContentType(contentType) {
+  if (!contentType) {
+    return null;
+  }
+  const entry = CONTENT_TYPES.find(({ pattern }) => pattern.test(contentType.toLowerCase()));
+  return entry ? entry.type : null;
+}
+
+module.exports = { detectInputType, chooseInputType };
\ No newline at end of file
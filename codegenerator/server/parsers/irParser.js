@@ -0,0 +1,37 @@
+/**
+ * IR Parser
+ * Reads an intermediate representation document exported by the generator,
+ * possibly edited by hand, as JSON or YAML. The document is validated against
+ * the IR schema and passed to the generators as it is, so edits to endpoints,
+ * parameters and models show up in the regenerated code.
+ */
+const yaml = require('js-yaml');
+const { createIr } = require('../ir/intermediateRepresentation');
+
+/**
+ * Parse an IR document
+ * @param {string} content - IR JSON or YAML content
+ * @returns {Object} IR document
+ */
+async function parseIr(content) {
+  try {
+    if (!content || content.trim() === '') {
+      throw new Error('Empty IR content');
+    }
+
+    // JSON is valid YAML, so one loader reads both
+    const document = yaml.load(content.replace(/^\uFEFF/, ''));
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      throw new Error('The IR must be a JSON object');
+    }
+    if (!document.irVersion) {
+      throw new Error('Missing "irVersion"; export the IR from the generator to get a complete document');
+    }
+
+    return createIr(document);
+  } catch (error) {
+    throw new Error(`Failed to parse IR document: ${error.message}`);
+  }
+}
+
+module.exports = { parseIr };
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Operation IDs
+ * Every generator turns an operationId into a method name, so no two
+ * endpoints may share one, and each must be an identifier. IDs are compared
+ * the way the generators case them: `get_user` and `getUser` both become the
+ * same Python method, so they count as the same ID.
+ */
+
+/**
+ * Make an operation ID unique by appending a counter
+ * @param {string} operationId - Preferred ID
+ * @param {Set<string>} usedIds - IDs reserved so far; the returned ID is added
+ * @returns {string} The ID, or the ID with the first free counter, e.g. getUser2
+ */
+function reserveOperationId(operationId, usedIds) {
+  let candidate = operationId;
+  for (let suffix = 2; usedIds.has(toIdKey(candidate)); suffix++) {
+    candidate = `${operationId}${suffix}`;
+  }
+  usedIds.add(toIdKey(candidate));
+  return candidate;
+}
+
+/**
+ * Turn an operation ID into an identifier: separators such as `-`, spaces and
+ * dots start a new word, so `create-pet` and `get pet by id` become createPet
+ * and getPetById, and a leading digit gets an `op` prefix
+ * @param {string} operationId - Operation ID as documented
+ * @returns {string} The ID when it already is an identifier, else its camelCase form
+ */
+function toOperationIdentifier(operationId) {
+  const words = String(operationId).split(/[^A-Za-z0-9_]+/).filter(Boolean);
+  const name = words
+    .map((word, index) => index === 0 ? word : `${word.charAt(0).toUpperCase()}${word.slice(1)}`)
+    .join('') || 'operation';
+  return /^[0-9]/.test(name) ? `op${name}` : name;
+}
+
+function toIdKey(operationId) {
+  return String(operationId).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = { reserveOperationId, toOperationIdentifier };
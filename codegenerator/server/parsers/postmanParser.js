@@ -1,9 +1,48 @@
+const { SchemaRegistry, toModelName } = require('./schemaRegistry');
+const { inferSchema, parseJsonExample } = require('./schemaInference');
+const { createDiagnostic, toPointer, sortDiagnostics } = require('./diagnostics');
+
+/**
+ * Postman OAuth 2.0 grant types and the OpenAPI flows they correspond to
+ */
+const POSTMAN_GRANT_TYPES = {
+  client_credentials: 'clientCredentials',
+  authorization_code: 'authorizationCode',
+  authorization_code_with_pkce: 'authorizationCode',
+  password_credentials: 'password',
+  password: 'password',
+  implicit: 'implicit'
+};
+
+/**
+ * Media types of the Postman raw body languages
+ */
+const RAW_MEDIA_TYPES = {
+  json: 'application/json',
+  xml: 'application/xml',
+  html: 'text/html',
+  javascript: 'application/javascript',
+  text: 'text/plain'
+};
+
+/**
+ * Variable names that hold the API base URL
+ */
+const BASE_URL_VARIABLES = ['baseUrl', 'BASE_URL', 'base_url', 'url'];
+
+/**
+ * How many levels of variables referencing other variables are resolved
+ */
+const MAX_VARIABLE_DEPTH = 10;
+
 /**
  * Parse Postman Collection
  * @param {string} content - Postman Collection JSON content
+ * @param {Object} [options] - Parse options
+ * @param {string|Object} [options.environment] - Postman environment whose values override collection variables
  * @returns {Object} Parsed API data
  */
-async function parsePostman(content) {
+async function parsePostman(content, options = {}) {
   try {
     if (!content || content.trim() === '') {
       throw new Error('Empty or invalid Postman collection content');
@@ -15,17 +54,27 @@ async function parsePostman(content) {
       throw new Error('Invalid Postman collection format');
     }
     
-    const baseUrl = extractBaseUrl(collection);
-    const authMethod = extractAuthMethod(collection);
-    const endpoints = extractEndpoints(collection);
+    const variables = collectVariables(collection, parseEnvironment(options.environment));
+    const securitySchemes = {};
+    const security = toSecurityRequirements(collection.auth, securitySchemes, variables) || [];
+    const baseUrl = extractBaseUrl(variables);
+    const registry = new SchemaRegistry({});
+    const requestPointers = new Map();
+    const endpoints = extractEndpoints(collection, security, { securitySchemes, variables, baseUrl, registry, requestPointers });
+    const authMethod = Object.values(securitySchemes)[0] || { type: 'none' };
+    const apiBaseUrl = baseUrl || getCommonOrigin(endpoints);
     
     return {
-      baseUrl,
+      baseUrl: apiBaseUrl,
       authMethod,
       endpoints,
+      securitySchemes,
+      security,
+      schemas: registry.schemas,
       title: collection.info?.name || 'Postman Collection',
       version: collection.info?.schema || '1.0.0',
-      description: collection.info?.description || ''
+      description: collection.info?.description || '',
+      diagnostics: diagnoseHosts(endpoints, apiBaseUrl, requestPointers)
     };
   } catch (error) {
     throw new Error(`Failed to parse Postman Collection: ${error.message}`);
@@ -33,46 +82,151 @@ async function parsePostman(content) {
 }
 
 /**
- * Extract base URL from Postman collection
+ * Parse a Postman environment export
+ * @param {string|Object} [environment] - Environment JSON content or object
+ * @returns {Object|null} Environment, or null when none was provided
  */
-function extractBaseUrl(collection) {
-  // Check for collection-level variables
-  const variables = collection.variable || [];
-  const baseUrlVar = variables.find(v => 
-    v.key === 'baseUrl' || v.key === 'BASE_URL' || v.key === 'url'
-  );
+function parseEnvironment(environment) {
+  if (!environment) {
+    return null;
+  }
+  if (typeof environment === 'object') {
+    return environment;
+  }
+  if (environment.trim() === '') {
+    return null;
+  }
   
-  if (baseUrlVar?.value) {
-    return baseUrlVar.value;
+  try {
+    return JSON.parse(environment);
+  } catch (error) {
+    throw new Error(`Invalid Postman environment: ${error.message}`);
+  }
+}
+
+/**
+ * Collect variable values; environment values override collection variables as they do in Postman
+ */
+function collectVariables(collection, environment) {
+  const variables = {};
+  
+  for (const variable of collection.variable || []) {
+    if (variable?.key && !variable.disabled && variable.value !== undefined) {
+      variables[variable.key] = String(variable.value);
+    }
+  }
+  
+  for (const value of environment?.values || []) {
+    if (value?.key && value.enabled !== false && value.value !== undefined) {
+      variables[value.key] = String(value.value);
+    }
   }
   
-  // Check for environment variables or default values
-  return '';
+  return variables;
 }
 
 /**
- * Extract authentication method from Postman collection
+ * Replace {{variable}} placeholders with their values, leaving unknown variables in place
+ * @param {*} value - Text that may contain placeholders
+ * @param {Object} variables - Variable values by name
+ * @returns {*} Resolved text, or the value unchanged when it is not a string
  */
-function extractAuthMethod(collection) {
-  const auth = collection.auth;
+function resolveVariables(value, variables, depth = 0) {
+  if (typeof value !== 'string' || !value.includes('{{')) {
+    return value;
+  }
+  
+  const resolved = value.replace(/\{\{([^{}]+)\}\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name.trim()) ? variables[name.trim()] : placeholder
+  );
   
-  if (!auth) {
-    return { type: 'none' };
+  // Variable values may themselves reference other variables
+  return resolved !== value && depth < MAX_VARIABLE_DEPTH
+    ? resolveVariables(resolved, variables, depth + 1)
+    : resolved;
+}
+
+/**
+ * Extract base URL from the collection and environment variables
+ */
+function extractBaseUrl(variables) {
+  const name = BASE_URL_VARIABLES.find(key => variables[key]);
+  return name ? resolveVariables(variables[name], variables).replace(/\/+$/, '') : '';
+}
+
+/**
+ * Origin shared by every endpoint, used as the base URL when no variable defines one
+ */
+function getCommonOrigin(endpoints) {
+  const origins = new Set(endpoints.map(endpoint => getOrigin(endpoint.fullUrl)));
+  const [origin] = origins;
+  return origins.size === 1 && origin ? origin : '';
+}
+
+/**
+ * Report requests to another host than the base URL. The generated clients
+ * send every request to the base URL, so these would reach the wrong server.
+ * @param {Array<Object>} endpoints - Extracted endpoints
+ * @param {string} baseUrl - API base URL
+ * @param {Map<Object, string>} requestPointers - JSON pointer of each endpoint's request in the collection
+ * @returns {Array<Object>} Diagnostics
+ */
+function diagnoseHosts(endpoints, baseUrl, requestPointers) {
+  const baseOrigin = getOrigin(baseUrl);
+  return sortDiagnostics(endpoints.flatMap(endpoint => {
+    const origin = getOrigin(endpoint.fullUrl);
+    if (!origin || origin === baseOrigin) return [];
+    return [createDiagnostic('warning', 'other-host', { pointer: `${requestPointers.get(endpoint)}/url` },
+      `${endpoint.method} ${endpoint.path} is sent to ${origin}, but the client sends every request to ${baseUrl ? `the base URL ${baseUrl}` : 'one configured base URL'}`,
+      `Generate a separate client for ${origin}, e.g. from a collection that holds only its requests`)];
+  }));
+}
+
+/**
+ * Scheme and host of an absolute URL, or an empty string
+ */
+function getOrigin(url) {
+  const match = /^([a-z][a-z0-9+.-]*:\/\/[^/?#{}]+)/i.exec(url || '');
+  return match ? match[1] : '';
+}
+
+/**
+ * Convert a Postman auth block into security requirements, registering its scheme.
+ * Returns null when the auth block is absent or set to inherit, so the caller can
+ * use its parent's requirements.
+ */
+function toSecurityRequirements(auth, securitySchemes, variables) {
+  if (!auth || auth.type === 'inherit') {
+    return null;
   }
   
+  const scheme = toSecurityScheme(auth, variables);
+  if (!scheme) {
+    return [];
+  }
+  
+  const schemeName = registerSecurityScheme(scheme, securitySchemes);
+  return [{ [schemeName]: scheme.type === 'oauth2' ? scheme.scopes : [] }];
+}
+
+/**
+ * Map a Postman auth block to a security scheme
+ */
+function toSecurityScheme(auth, variables) {
   switch (auth.type) {
     case 'bearer':
       return {
         type: 'bearer',
         name: 'Authorization',
+        in: 'header',
         description: 'Bearer token authentication'
       };
       
     case 'apikey':
       return {
         type: 'apiKey',
-        name: auth.apikey?.[0]?.key || 'X-API-Key',
-        in: 'header',
+        name: getAuthParam(auth, 'key', variables) || 'X-API-Key',
+        in: getAuthParam(auth, 'in', variables) || 'header',
         description: 'API Key authentication'
       };
       
@@ -80,57 +234,139 @@ function extractAuthMethod(collection) {
       return {
         type: 'basic',
         name: 'Authorization',
+        in: 'header',
         description: 'Basic authentication'
       };
       
-    case 'oauth2':
+    case 'oauth2': {
+      const scope = getAuthParam(auth, 'scope', variables);
+      const scopes = scope ? scope.split(/\s+/).filter(Boolean) : [];
+      const flowName = POSTMAN_GRANT_TYPES[getAuthParam(auth, 'grant_type', variables)] || 'authorizationCode';
+      const tokenUrl = getAuthParam(auth, 'accessTokenUrl', variables);
+      const authorizationUrl = getAuthParam(auth, 'authUrl', variables);
+      
+      const flows = {};
+      if (tokenUrl || authorizationUrl) {
+        flows[flowName] = {
+          authorizationUrl,
+          tokenUrl,
+          refreshUrl: getAuthParam(auth, 'refreshTokenUrl', variables),
+          scopes: Object.fromEntries(scopes.map(name => [name, '']))
+        };
+      }
+      
       return {
         type: 'oauth2',
         name: 'Authorization',
-        description: 'OAuth 2.0 authentication'
+        in: 'header',
+        description: 'OAuth 2.0 authentication',
+        flows,
+        scopes
       };
+    }
       
     default:
-      return { type: 'none' };
+      return null;
   }
 }
 
+/**
+ * Add a scheme to the registry, reusing an existing entry with the same definition
+ */
+function registerSecurityScheme(scheme, securitySchemes) {
+  const { scopes, ...definition } = scheme;
+  const existing = Object.entries(securitySchemes).find(([, candidate]) =>
+    candidate.type === definition.type && candidate.name === definition.name && candidate.in === definition.in &&
+    getTokenEndpoint(candidate) === getTokenEndpoint(definition)
+  );
+  if (existing) {
+    mergeFlowScopes(existing[1], definition);
+    return existing[0];
+  }
+  
+  const baseName = `${definition.type}Auth`;
+  let schemeName = baseName;
+  for (let suffix = 2; securitySchemes[schemeName]; suffix++) {
+    schemeName = `${baseName}${suffix}`;
+  }
+  
+  securitySchemes[schemeName] = definition;
+  return schemeName;
+}
+
+/**
+ * Token endpoint of an OAuth 2.0 scheme, used to tell OAuth configurations apart
+ */
+function getTokenEndpoint(scheme) {
+  const flow = Object.values(scheme.flows || {})[0];
+  return flow ? `${flow.tokenUrl || ''} ${flow.authorizationUrl || ''}` : '';
+}
+
+/**
+ * Add the scopes requested by another request to an existing OAuth 2.0 scheme
+ */
+function mergeFlowScopes(target, source) {
+  for (const [flowName, flow] of Object.entries(source.flows || {})) {
+    if (target.flows?.[flowName]) {
+      Object.assign(target.flows[flowName].scopes, flow.scopes);
+    }
+  }
+}
+
+/**
+ * Read an auth parameter from either the v2.1 array or the v2.0 object format
+ */
+function getAuthParam(auth, key, variables) {
+  const params = auth[auth.type];
+  const value = Array.isArray(params)
+    ? params.find(param => param.key === key)?.value
+    : params?.[key];
+  return resolveVariables(value, variables);
+}
+
 /**
  * Extract endpoints from Postman collection
+ * @param {Object} collection - Postman collection
+ * @param {Array<Object>} collectionSecurity - Security requirements of the collection-level auth
+ * @param {Object} context - Shared parse state: securitySchemes, variables, baseUrl, the schema registry and the requestPointers map it fills
  */
-function extractEndpoints(collection) {
+function extractEndpoints(collection, collectionSecurity, context) {
   const endpoints = [];
   
   if (!collection.item || !Array.isArray(collection.item)) {
     return endpoints;
   }
   
-  function processItems(items, parentPath = '') {
-    for (const item of items) {
+  function processItems(items, parentPath, parentSecurity, parentPointer) {
+    for (const [index, item] of items.entries()) {
       if (!item) continue;
+      const pointer = `${parentPointer}${toPointer('item', index)}`;
       
       if (item.request) {
         // This is a request item
-        const endpoint = extractEndpointFromRequest(item, parentPath);
+        const endpoint = extractEndpointFromRequest(item, parentPath, parentSecurity, context);
         if (endpoint) {
           endpoints.push(endpoint);
+          context.requestPointers.set(endpoint, `${pointer}/request`);
         }
       } else if (item.item && Array.isArray(item.item)) {
-        // This is a folder, recursively process its items
+        // This is a folder; its auth applies to every request that inherits
         const folderPath = parentPath ? `${parentPath}/${item.name || 'unnamed'}` : (item.name || 'unnamed');
-        processItems(item.item, folderPath);
+        const folderSecurity = toSecurityRequirements(item.auth, context.securitySchemes, context.variables) || parentSecurity;
+        processItems(item.item, folderPath, folderSecurity, pointer);
       }
     }
   }
   
-  processItems(collection.item);
+  processItems(collection.item, '', collectionSecurity, '');
   return endpoints;
 }
 
 /**
  * Extract endpoint from Postman request
  */
-function extractEndpointFromRequest(item, parentPath) {
+function extractEndpointFromRequest(item, parentPath, parentSecurity, context) {
+  const { securitySchemes, variables, baseUrl, registry } = context;
   const request = item.request;
   
   if (!request) {
@@ -141,38 +377,36 @@ function extractEndpointFromRequest(item, parentPath) {
   
   if (!url) return null;
   
-  let fullUrl = '';
-  let path = '';
-  
-  if (typeof url === 'string') {
-    fullUrl = url;
-    try {
-      const urlObj = new URL(url);
-      path = urlObj.pathname;
-    } catch (e) {
-      path = url;
-    }
-  } else if (url.raw) {
-    fullUrl = url.raw;
-    path = url.path?.join('/') || '';
-  } else {
+  const rawUrl = typeof url === 'string' ? url : (url.raw || buildRawUrl(url));
+  if (!rawUrl) {
     return null;
   }
   
+  const resolvedUrl = resolveVariables(rawUrl, variables);
+  const { base, path, pathParams } = extractPath(resolvedUrl, baseUrl, url.variable || [], variables);
+  const fullUrl = `${base}${path}`;
+  
   const method = (request.method || 'GET').toUpperCase();
-  const headers = extractHeaders(request.header || []);
-  const queryParams = extractQueryParams(url.query || []);
-  const body = extractRequestBody(request.body);
-  const auth = extractRequestAuth(request.auth);
+  const headers = extractHeaders(request.header || [], variables);
+  const queryParams = extractQueryParams(url.query || [], variables);
+  const security = toSecurityRequirements(request.auth, securitySchemes, variables) || parentSecurity;
+  const operationId = generateOperationId(method, path, item.name);
+  const modelPrefix = toModelName(item.name || operationId);
+  const savedResponses = item.response || [];
+  
+  // Saved responses keep the request that produced them, giving more body examples
+  const bodies = [request.body, ...savedResponses.map(response => response?.originalRequest?.body)];
+  const body = extractRequestBody(bodies.filter(Boolean), variables, registry, `${modelPrefix}Request`);
   
   return {
     method,
-    path: path.startsWith('/') ? path : `/${path}`,
+    path,
     fullUrl,
     summary: item.name || '',
     description: item.description || '',
-    operationId: generateOperationId(method, path, item.name),
+    operationId,
     parameters: [
+      ...pathParams,
       ...queryParams.map(param => ({
         ...param,
         in: 'query'
@@ -187,19 +421,80 @@ function extractEndpointFromRequest(item, parentPath) {
       }))
     ],
     requestBody: body,
-    responses: extractPostmanResponses(item.response || []),
-    security: auth ? [auth] : [],
+    responses: extractPostmanResponses(savedResponses, registry, modelPrefix),
+    security,
     tags: parentPath ? [parentPath] : []
   };
 }
 
+/**
+ * Rebuild the raw URL of a v2.0 URL object that has no `raw` field
+ */
+function buildRawUrl(url) {
+  const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+  const path = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+  const origin = host ? `${url.protocol ? `${url.protocol}://` : ''}${host}${url.port ? `:${url.port}` : ''}` : '';
+  return path ? `${origin}/${path.replace(/^\//, '')}` : origin;
+}
+
+/**
+ * Extract the endpoint path from a resolved URL, relative to the base URL.
+ * `:name` segments and `{{name}}` placeholders left unresolved become path parameters.
+ * @param {string} resolvedUrl - Request URL with known variables resolved
+ * @param {string} baseUrl - API base URL
+ * @param {Array<Object>} pathVariables - Postman `url.variable` entries with example values
+ * @param {Object} variables - Variable values by name
+ * @returns {{base: string, path: string, pathParams: Array<Object>}} URL the path is relative to, path with {name} parameters, and the parameters
+ */
+function extractPath(resolvedUrl, baseUrl, pathVariables, variables) {
+  let path = resolvedUrl.split(/[?#]/)[0];
+  let base = baseUrl || '';
+  
+  if (baseUrl && path.startsWith(baseUrl) && /^(\/|$)/.test(path.slice(baseUrl.length))) {
+    path = path.slice(baseUrl.length);
+  } else if (getOrigin(path)) {
+    base = getOrigin(path);
+    path = path.slice(base.length);
+  } else {
+    // Drop a host placeholder that no variable resolved, e.g. {{host}}/users
+    path = path.replace(/^\{\{[^{}]+\}\}/, '').replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+  }
+  
+  const pathParams = [];
+  const addParam = rawName => {
+    const name = rawName.trim().replace(/^\$/, '');
+    if (!pathParams.some(param => param.name === name)) {
+      const variable = pathVariables.find(entry => entry.key === name);
+      pathParams.push({
+        name,
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: variable?.description || '',
+        example: resolveVariables(variable?.value, variables)
+      });
+    }
+    return `{${name}}`;
+  };
+  
+  const segments = path.split('/').filter(Boolean).map(segment => {
+    const postmanParam = /^:([A-Za-z_][\w.-]*)$/.exec(segment);
+    if (postmanParam) {
+      return addParam(postmanParam[1]);
+    }
+    return segment.replace(/\{\{([^{}]+)\}\}/g, (placeholder, name) => addParam(name));
+  });
+  
+  return { base, path: `/${segments.join('/')}`, pathParams };
+}
+
 /**
  * Extract headers from Postman request
  */
-function extractHeaders(headers) {
+function extractHeaders(headers, variables) {
   return headers.map(header => ({
     key: header.key,
-    value: header.value,
+    value: resolveVariables(header.value, variables),
     description: header.description || '',
     disabled: header.disabled || false
   }));
@@ -208,61 +503,57 @@ function extractHeaders(headers) {
 /**
  * Extract query parameters from Postman URL
  */
-function extractQueryParams(queryParams) {
+function extractQueryParams(queryParams, variables) {
   return queryParams.map(param => ({
     name: param.key,
     required: param.disabled !== true,
     type: 'string',
     description: param.description || '',
-    example: param.value
+    example: resolveVariables(param.value, variables)
   }));
 }
 
 /**
- * Extract request body from Postman request
+ * Extract request body from Postman request, inferring its schema from every example of it
+ * @param {Array<Object>} bodies - The request body followed by the bodies of saved example requests
+ * @param {Object} variables - Variable values by name
+ * @param {SchemaRegistry} registry - Registry receiving the inferred models
+ * @param {string} modelName - Name of the body model
  */
-function extractRequestBody(body) {
+function extractRequestBody(bodies, variables, registry, modelName) {
+  const body = bodies[0];
   if (!body) return null;
   
+  const examples = bodies.filter(candidate => candidate.mode === body.mode);
+  
   switch (body.mode) {
-    case 'raw':
+    case 'raw': {
+      const mediaType = RAW_MEDIA_TYPES[body.options?.raw?.language] || 'application/json';
+      const samples = examples
+        .map(example => parseJsonExample(resolveVariables(example.raw, variables)))
+        .filter(sample => sample !== undefined);
+      
       return {
         required: true,
-        mediaType: body.options?.raw?.language || 'application/json',
-        schema: {
-          type: 'object',
-          properties: {},
-          example: body.raw
-        }
+        mediaType,
+        schema: samples.length > 0 && /json/i.test(mediaType)
+          ? registry.describe(registry.normalize(inferSchema(samples), modelName), samples[0])
+          : { type: 'object', properties: {}, example: resolveVariables(body.raw, variables) }
       };
+    }
       
     case 'urlencoded':
       return {
         required: true,
         mediaType: 'application/x-www-form-urlencoded',
-        schema: {
-          type: 'object',
-          properties: {},
-          example: body.urlencoded?.map(item => ({
-            key: item.key,
-            value: item.value
-          }))
-        }
+        schema: inferFormSchema(examples.map(example => example.urlencoded || []), variables, registry, modelName)
       };
       
     case 'formdata':
       return {
         required: true,
         mediaType: 'multipart/form-data',
-        schema: {
-          type: 'object',
-          properties: {},
-          example: body.formdata?.map(item => ({
-            key: item.key,
-            value: item.value,
-            type: item.type
-          }))
-        }
+        schema: inferFormSchema(examples.map(example => example.formdata || []), variables, registry, modelName)
       };
       
     default:
@@ -271,58 +562,78 @@ function extractRequestBody(body) {
 }
 
 /**
- * Extract authentication from Postman request
+ * Build the schema of a form body from the fields of each example; file fields are binary
  */
-function extractRequestAuth(auth) {
-  if (!auth) return null;
+function inferFormSchema(forms, variables, registry, modelName) {
+  const fieldSets = forms.map(fields => fields.filter(field => field?.key && !field.disabled));
+  const properties = {};
   
-  switch (auth.type) {
-    case 'bearer':
-      return {
-        type: 'bearer',
-        name: 'Authorization'
-      };
-      
-    case 'apikey':
-      return {
-        type: 'apiKey',
-        name: auth.apikey?.[0]?.key || 'X-API-Key',
-        in: 'header'
-      };
-      
-    case 'basic':
-      return {
-        type: 'basic',
-        name: 'Authorization'
-      };
-      
-    default:
-      return null;
+  for (const field of fieldSets.flat()) {
+    properties[field.key] = field.type === 'file'
+      ? { type: 'string', format: 'binary' }
+      : { type: 'string', ...(field.description && { description: field.description }) };
   }
+  
+  const required = Object.keys(properties).filter(name =>
+    fieldSets.every(fields => fields.some(field => field.key === name))
+  );
+  const example = Object.fromEntries(
+    (fieldSets[0] || []).filter(field => field.type !== 'file').map(field => [field.key, resolveVariables(field.value, variables)])
+  );
+  
+  return registry.describe(registry.normalize({ type: 'object', properties, required }, modelName), example);
 }
 
 /**
- * Extract responses from Postman request
+ * Extract responses from Postman request.
+ * Saved responses with the same status code are examples of one response.
+ * @param {Array<Object>} responses - Saved responses
+ * @param {SchemaRegistry} registry - Registry receiving the inferred models
+ * @param {string} modelPrefix - Prefix of the response model names
  */
-function extractPostmanResponses(responses) {
-  const extracted = {};
+function extractPostmanResponses(responses, registry, modelPrefix) {
+  const groups = new Map();
   
   responses.forEach((response, index) => {
-    const code = response.code || '200';
+    if (!response) return;
+    const code = String(response.code || '200');
+    if (!groups.has(code)) {
+      groups.set(code, { description: response.name || `Response ${index + 1}`, responses: [] });
+    }
+    groups.get(code).responses.push(response);
+  });
+  
+  const extracted = {};
+  
+  for (const [code, group] of groups) {
+    const [first] = group.responses;
+    const samples = group.responses
+      .map(response => parseJsonExample(response.body))
+      .filter(sample => sample !== undefined);
+    const isSuccess = code.startsWith('2');
+    const modelName = `${modelPrefix}${isSuccess ? '' : code}Response`;
+    
     extracted[code] = {
-      description: response.name || `Response ${index + 1}`,
-      mediaType: response.header?.find(h => h.key === 'Content-Type')?.value || 'application/json',
-      schema: {
-        type: 'object',
-        properties: {},
-        example: response.body
-      }
+      description: group.description,
+      mediaType: getContentType(first.header) || 'application/json',
+      schema: samples.length > 0
+        ? registry.describe(registry.normalize(inferSchema(samples), modelName), samples[0])
+        : { type: 'object', properties: {}, example: first.body }
     };
-  });
+  }
   
   return extracted;
 }
 
+/**
+ * Media type from a saved response's Content-Type header
+ */
+function getContentType(headers) {
+  const header = (Array.isArray(headers) ? headers : [])
+    .find(entry => entry?.key?.toLowerCase() === 'content-type');
+  return header?.value?.split(';')[0].trim();
+}
+
 /**
  * Generate operation ID from method, path, and name
  */
@@ -0,0 +1,631 @@
+/**
+ * Protocol Buffers Parser
+ * Builds the parsed API data model from a .proto file. RPCs annotated with
+ * `google.api.http` become REST endpoints following the HTTP transcoding rules
+ * (path template variables, `body`, `response_body` and additional bindings),
+ * so every generator treats them like OpenAPI operations. All other RPCs
+ * become GRPC endpoints carrying a `grpc` descriptor:
+ *   { file, package, service, method, requestType, responseType, requestStream, responseStream }
+ * where request and response types are `{ name, fullName, path, wellKnown }`.
+ * Messages and enums are mapped to schemas with the proto3 JSON mapping and
+ * registered in the shared registry. The source is kept in `protoFiles` so
+ * generators can ship it with the gRPC stubs they emit.
+ */
+const protobuf = require('protobufjs');
+const { SchemaRegistry, toModelName } = require('./schemaRegistry');
+const { reserveOperationId } = require('./operationIds');
+
+/**
+ * Schemas of scalar field types under the proto3 JSON mapping; 64-bit
+ * integers are encoded as strings so they survive JavaScript numbers
+ */
+const SCALAR_SCHEMAS = {
+  double: { type: 'number', format: 'double' },
+  float: { type: 'number', format: 'float' },
+  int32: { type: 'integer', format: 'int32' },
+  sint32: { type: 'integer', format: 'int32' },
+  sfixed32: { type: 'integer', format: 'int32' },
+  uint32: { type: 'integer', format: 'int64' },
+  fixed32: { type: 'integer', format: 'int64' },
+  int64: { type: 'string', format: 'int64' },
+  sint64: { type: 'string', format: 'int64' },
+  sfixed64: { type: 'string', format: 'int64' },
+  uint64: { type: 'string', format: 'int64' },
+  fixed64: { type: 'string', format: 'int64' },
+  bool: { type: 'boolean' },
+  string: { type: 'string' },
+  bytes: { type: 'string', format: 'byte' }
+};
+
+/**
+ * Schemas of the google.protobuf well-known types, which have special JSON forms
+ */
+const WELL_KNOWN_SCHEMAS = {
+  'google.protobuf.Timestamp': { type: 'string', format: 'date-time' },
+  'google.protobuf.Duration': { type: 'string', description: 'Duration in seconds with an "s" suffix, e.g. "3.5s"' },
+  'google.protobuf.FieldMask': { type: 'string', description: 'Comma-separated field paths' },
+  'google.protobuf.Empty': { type: 'object', properties: {} },
+  'google.protobuf.Struct': { type: 'object', additionalProperties: true },
+  'google.protobuf.Value': {},
+  'google.protobuf.ListValue': { type: 'array', items: {} },
+  'google.protobuf.Any': { type: 'object', properties: { '@type': { type: 'string' } }, additionalProperties: true },
+  'google.protobuf.DoubleValue': { type: 'number', format: 'double', nullable: true },
+  'google.protobuf.FloatValue': { type: 'number', format: 'float', nullable: true },
+  'google.protobuf.Int32Value': { type: 'integer', format: 'int32', nullable: true },
+  'google.protobuf.UInt32Value': { type: 'integer', format: 'int64', nullable: true },
+  'google.protobuf.Int64Value': { type: 'string', format: 'int64', nullable: true },
+  'google.protobuf.UInt64Value': { type: 'string', format: 'int64', nullable: true },
+  'google.protobuf.BoolValue': { type: 'boolean', nullable: true },
+  'google.protobuf.StringValue': { type: 'string', nullable: true },
+  'google.protobuf.BytesValue': { type: 'string', format: 'byte', nullable: true }
+};
+
+/**
+ * HTTP methods a `google.api.http` rule can bind to
+ */
+const HTTP_VERBS = ['get', 'put', 'post', 'delete', 'patch'];
+
+/**
+ * File name used when the proto source was pasted rather than uploaded
+ */
+const DEFAULT_FILE_NAME = 'service.proto';
+
+const COMPONENT_PREFIX = '#/components/schemas/';
+
+/**
+ * Parse a .proto file
+ * @param {string} content - Protocol Buffers source (proto2 or proto3)
+ * @param {Object} options - Parse options
+ * @param {string} options.fileName - Name of the .proto file, used when generators ship it
+ * @param {string} options.baseUrl - Base URL of the HTTP/JSON gateway for annotated RPCs
+ * @returns {Object} Parsed API data
+ */
+async function parseProto(content, options = {}) {
+  try {
+    if (!content || content.trim() === '') {
+      throw new Error('Empty or invalid proto content');
+    }
+
+    const parsed = protobuf.parse(content, { keepCase: true, alternateCommentMode: true });
+    const fileName = toProtoFileName(options.fileName);
+    const packageNamespace = parsed.package ? parsed.root.lookup(parsed.package) : parsed.root;
+    const types = collectTypes(parsed.root, parsed.package);
+    const services = collectServices(parsed.root);
+    if (services.length === 0) {
+      throw new Error('No service definitions found');
+    }
+
+    const context = {
+      types,
+      components: {},
+      keys: new Map(),
+      baseUrl: (options.baseUrl || '').replace(/\/+$/, ''),
+      file: fileName,
+      package: parsed.package || ''
+    };
+    for (const type of types.values()) {
+      registerComponent(type, context);
+    }
+    context.registry = new SchemaRegistry({ components: { schemas: context.components } }).registerComponents();
+
+    const endpoints = extractEndpoints(services, context);
+    if (endpoints.length === 0) {
+      throw new Error('No RPC methods found');
+    }
+
+    return {
+      baseUrl: context.baseUrl,
+      authMethod: { type: 'none' },
+      endpoints,
+      securitySchemes: {},
+      security: [],
+      schemas: context.registry.schemas,
+      title: services.length === 1 ? services[0].name : toModelName(parsed.package || 'GrpcApi'),
+      version: '1.0.0',
+      description: services.map(service => service.comment).filter(Boolean).join(' ') ||
+        `gRPC API with ${services.length} service${services.length === 1 ? '' : 's'}`,
+      protoFiles: [{
+        name: fileName,
+        package: parsed.package || '',
+        imports: parsed.imports || [],
+        options: { ...(packageNamespace?.options || {}), ...(parsed.root.options || {}) },
+        topLevelNames: Object.keys(packageNamespace?.nested || {}),
+        content
+      }]
+    };
+  } catch (error) {
+    throw new Error(`Failed to parse proto file: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize the proto file name, keeping only the base name
+ */
+function toProtoFileName(fileName) {
+  const baseName = String(fileName || '').split(/[\\/]/).pop();
+  return /\.proto$/i.test(baseName) ? baseName : DEFAULT_FILE_NAME;
+}
+
+/**
+ * Collect every message and enum below a namespace, keyed by full name
+ */
+function collectTypes(root, packageName) {
+  const types = new Map();
+  const prefix = packageName ? `${packageName}.` : '';
+
+  const visit = namespace => {
+    for (const nested of namespace.nestedArray || []) {
+      if (nested instanceof protobuf.Type || nested instanceof protobuf.Enum) {
+        const fullName = nested.fullName.replace(/^\./, '');
+        const relative = fullName.startsWith(prefix) ? fullName.slice(prefix.length) : fullName;
+        types.set(fullName, { reflection: nested, fullName, path: relative.split('.') });
+      }
+      if (nested instanceof protobuf.Namespace) {
+        visit(nested);
+      }
+    }
+  };
+
+  visit(root);
+  return types;
+}
+
+/**
+ * Collect every service below the root namespace
+ */
+function collectServices(root) {
+  const services = [];
+
+  const visit = namespace => {
+    for (const nested of namespace.nestedArray || []) {
+      if (nested instanceof protobuf.Service) {
+        services.push(nested);
+      } else if (nested instanceof protobuf.Namespace) {
+        visit(nested);
+      }
+    }
+  };
+
+  visit(root);
+  return services;
+}
+
+/**
+ * Add the component schema for a message or enum
+ */
+function registerComponent(type, context) {
+  const key = componentKey(type.fullName, context);
+  const { reflection } = type;
+
+  if (reflection instanceof protobuf.Enum) {
+    context.components[key] = withDescription({ type: 'string', enum: Object.keys(reflection.values) }, reflection.comment);
+    return;
+  }
+
+  const properties = {};
+  const required = [];
+  for (const field of reflection.fieldsArray) {
+    const name = toJsonName(field);
+    properties[name] = fieldSchema(field, reflection, context);
+    if (isRequiredField(field)) {
+      required.push(name);
+    }
+  }
+
+  context.components[key] = withDescription({
+    type: 'object',
+    properties,
+    ...(required.length > 0 ? { required } : {})
+  }, reflection.comment);
+}
+
+/**
+ * Component key of a message or enum; nested types join their parent names
+ */
+function componentKey(fullName, context) {
+  if (context.keys.has(fullName)) {
+    return context.keys.get(fullName);
+  }
+
+  const type = context.types.get(fullName);
+  const base = toModelName((type?.path || fullName.split('.')).join(' '));
+  const taken = new Set(context.keys.values());
+  let key = base;
+  for (let suffix = 2; taken.has(key); suffix++) {
+    key = `${base}${suffix}`;
+  }
+  context.keys.set(fullName, key);
+  return key;
+}
+
+/**
+ * Schema of a message field, following repeated and map fields
+ */
+function fieldSchema(field, parent, context) {
+  const valueSchema = typeSchema(field.type, parent, context);
+  let schema = valueSchema;
+
+  if (field.map) {
+    schema = { type: 'object', additionalProperties: valueSchema };
+  } else if (field.repeated) {
+    schema = { type: 'array', items: valueSchema };
+  }
+
+  if (field.partOf && !field.partOf.name.startsWith('_')) {
+    const choices = field.partOf.fieldsArray.map(toJsonName).join(', ');
+    schema = { ...schema, description: joinSentences(field.comment, `Only one of ${choices} is set.`) };
+  } else if (field.comment) {
+    schema = withDescription(schema, field.comment);
+  }
+
+  if (field.options?.deprecated) {
+    schema = { ...schema, deprecated: true };
+  }
+  return schema;
+}
+
+/**
+ * Schema of a scalar, enum or message type name as seen from a message
+ */
+function typeSchema(typeName, parent, context) {
+  if (SCALAR_SCHEMAS[typeName]) {
+    return { ...SCALAR_SCHEMAS[typeName] };
+  }
+
+  const resolved = resolveType(typeName, parent, context);
+  if (resolved && context.types.has(resolved)) {
+    return { $ref: `${COMPONENT_PREFIX}${componentKey(resolved, context)}` };
+  }
+  if (resolved && WELL_KNOWN_SCHEMAS[resolved]) {
+    return { ...WELL_KNOWN_SCHEMAS[resolved] };
+  }
+
+  // Types from imports that were not uploaded are kept as free-form values
+  return { description: `${typeName.replace(/^\./, '')} (defined in an imported file)` };
+}
+
+/**
+ * Full name of a type referenced from a message or service, or null
+ */
+function resolveType(typeName, scope, context) {
+  const name = typeName.replace(/^\./, '');
+  if (WELL_KNOWN_SCHEMAS[name] || context.types.has(name)) {
+    return name;
+  }
+
+  const found = scope.lookup(typeName, [protobuf.Type, protobuf.Enum]);
+  if (found) {
+    return found.fullName.replace(/^\./, '');
+  }
+
+  // Relative names of well-known types, e.g. `protobuf.Empty` inside package google
+  const wellKnown = Object.keys(WELL_KNOWN_SCHEMAS).find(candidate => candidate.endsWith(`.${name}`));
+  return wellKnown || null;
+}
+
+/**
+ * Whether a field must be set: proto2 `required` or `(google.api.field_behavior) = REQUIRED`
+ */
+function isRequiredField(field) {
+  const behavior = [].concat(field.options?.['(google.api.field_behavior)'] || []);
+  return field.required || behavior.includes('REQUIRED');
+}
+
+/**
+ * JSON name of a field: its `json_name` option or the lowerCamelCase field name
+ */
+function toJsonName(field) {
+  if (field.options?.json_name) {
+    return field.options.json_name;
+  }
+  return field.name.replace(/_+([a-zA-Z0-9])/g, (match, next) => next.toUpperCase());
+}
+
+/**
+ * Build endpoints for every RPC of every service
+ */
+function extractEndpoints(services, context) {
+  const endpoints = [];
+  const usedIds = new Set();
+
+  for (const service of services) {
+    for (const method of service.methodsArray) {
+      const rule = findHttpRule(method);
+      if (rule) {
+        const bindings = [rule, ...[].concat(rule.additional_bindings || [])];
+        bindings.forEach(binding => {
+          const endpoint = toRestEndpoint(service, method, binding, context);
+          if (endpoint) {
+            endpoint.operationId = reserveOperationId(endpoint.operationId, usedIds);
+            endpoints.push(endpoint);
+          }
+        });
+      } else {
+        const endpoint = toGrpcEndpoint(service, method, context);
+        endpoint.operationId = reserveOperationId(endpoint.operationId, usedIds);
+        endpoints.push(endpoint);
+      }
+    }
+  }
+
+  return endpoints;
+}
+
+/**
+ * The `google.api.http` rule of a method, if annotated
+ */
+function findHttpRule(method) {
+  const option = (method.parsedOptions || []).find(entry => entry['(google.api.http)']);
+  return option ? option['(google.api.http)'] : null;
+}
+
+/**
+ * Build a REST endpoint from an HTTP binding
+ */
+function toRestEndpoint(service, method, binding, context) {
+  const verb = HTTP_VERBS.find(candidate => binding[candidate]);
+  const httpMethod = verb ? verb.toUpperCase() : binding.custom?.kind?.toUpperCase();
+  const template = verb ? binding[verb] : binding.custom?.path;
+  if (!httpMethod || !template) return null;
+
+  const requestMessage = lookupMessage(method.requestType, service, context);
+  const responseMessage = lookupMessage(method.responseType, service, context);
+  const modelPrefix = toModelName(method.name);
+  const { path, pathFields } = parsePathTemplate(template);
+
+  const parameters = pathFields.map(({ fieldPath, name, pattern }) => {
+    const field = resolveFieldPath(requestMessage, fieldPath);
+    return toParameter(name, 'path', field, requestMessage, context, {
+      required: true,
+      note: pattern ? `Matches ${pattern}.` : ''
+    });
+  });
+
+  const boundFields = new Set(pathFields.map(({ fieldPath }) => fieldPath[0]));
+  const body = binding.body || '';
+  const fields = requestMessage ? requestMessage.fieldsArray : [];
+
+  if (body !== '*') {
+    for (const field of fields) {
+      if (boundFields.has(field.name) || field.name === body) continue;
+      if (isQueryField(field, requestMessage, context)) {
+        parameters.push(toParameter(toJsonName(field), 'query', field, requestMessage, context, {
+          required: isRequiredField(field)
+        }));
+      }
+    }
+  }
+
+  return {
+    method: httpMethod,
+    path,
+    fullUrl: `${context.baseUrl}${path}`,
+    summary: firstSentence(method.comment) || `${method.name} (${service.name})`,
+    description: method.comment || '',
+    operationId: toMethodName(method.name),
+    parameters,
+    requestBody: body
+      ? extractRequestBody(requestMessage, method.requestType, body, boundFields, service, context, modelPrefix)
+      : null,
+    responses: {
+      200: extractResponse(responseMessage, method.responseType, binding.response_body, service, context)
+    },
+    security: [],
+    tags: [service.name],
+    deprecated: Boolean(method.options?.deprecated)
+  };
+}
+
+/**
+ * Build a GRPC endpoint for an RPC without HTTP annotation
+ */
+function toGrpcEndpoint(service, method, context) {
+  const requestType = describeType(method.requestType, service, context);
+  const responseType = describeType(method.responseType, service, context);
+  const requestNode = context.registry.normalize(typeSchema(method.requestType, service, context), `${toModelName(method.name)}Request`);
+  const responseNode = context.registry.normalize(typeSchema(method.responseType, service, context), `${toModelName(method.name)}Response`);
+  const servicePath = `/${context.package ? `${context.package}.` : ''}${service.name}/${method.name}`;
+
+  return {
+    method: 'GRPC',
+    path: servicePath,
+    fullUrl: `${context.baseUrl}${servicePath}`,
+    summary: firstSentence(method.comment) || `${method.name} (${service.name})`,
+    description: method.comment || '',
+    operationId: toMethodName(method.name),
+    parameters: [],
+    requestBody: {
+      required: true,
+      mediaType: 'application/grpc',
+      schema: context.registry.describe(requestNode)
+    },
+    responses: {
+      200: {
+        description: method.responseStream ? `Stream of ${responseType.name}` : responseType.name,
+        mediaType: 'application/grpc',
+        schema: context.registry.describe(responseNode)
+      }
+    },
+    security: [],
+    tags: [service.name],
+    deprecated: Boolean(method.options?.deprecated),
+    grpc: {
+      file: context.file,
+      package: context.package,
+      service: service.name,
+      method: method.name,
+      requestType,
+      responseType,
+      requestStream: Boolean(method.requestStream),
+      responseStream: Boolean(method.responseStream)
+    }
+  };
+}
+
+/**
+ * Describe a request or response type for stub generation
+ */
+function describeType(typeName, scope, context) {
+  const fullName = resolveType(typeName, scope, context) || typeName.replace(/^\./, '');
+  const type = context.types.get(fullName);
+  const path = type ? type.path : [fullName.split('.').pop()];
+
+  return {
+    name: path.join('.'),
+    fullName,
+    path,
+    wellKnown: fullName.startsWith('google.protobuf.')
+  };
+}
+
+/**
+ * The message reflection object for a type name, or null for external types
+ */
+function lookupMessage(typeName, scope, context) {
+  const fullName = resolveType(typeName, scope, context);
+  const reflection = context.types.get(fullName)?.reflection;
+  return reflection instanceof protobuf.Type ? reflection : null;
+}
+
+/**
+ * Turn an HTTP rule path template into an endpoint path and its variables.
+ * `{name=users/*}` becomes `{name}`; nested field paths such as `{book.name}`
+ * become camelCase parameter names.
+ */
+function parsePathTemplate(template) {
+  const pathFields = [];
+  const path = template.replace(/\{([^}=]+)(?:=([^}]*))?\}/g, (match, fieldPath, pattern) => {
+    const segments = fieldPath.trim().split('.');
+    const name = segments
+      .map((segment, index) => {
+        const camel = segment.replace(/_+([a-zA-Z0-9])/g, (m, next) => next.toUpperCase());
+        return index === 0 ? camel : camel.charAt(0).toUpperCase() + camel.slice(1);
+      })
+      .join('');
+    pathFields.push({ fieldPath: segments, name, pattern: pattern && pattern !== '*' ? pattern : '' });
+    return `{${name}}`;
+  });
+
+  return { path: path.startsWith('/') ? path : `/${path}`, pathFields };
+}
+
+/**
+ * Follow a dotted field path through nested messages
+ */
+function resolveFieldPath(message, fieldPath) {
+  let current = message;
+  let field = null;
+  for (const segment of fieldPath) {
+    field = current?.fields?.[segment] || null;
+    if (!field) return null;
+    current = field.resolvedType instanceof protobuf.Type
+      ? field.resolvedType
+      : current.lookup(field.type, [protobuf.Type]);
+  }
+  return field;
+}
+
+/**
+ * Whether a field can travel as a query parameter: scalars, enums, repeated
+ * scalars and well-known types with a string form
+ */
+function isQueryField(field, message, context) {
+  if (field.map) return false;
+  if (SCALAR_SCHEMAS[field.type]) return true;
+
+  const resolved = resolveType(field.type, message, context);
+  if (resolved && context.types.has(resolved)) {
+    return context.types.get(resolved).reflection instanceof protobuf.Enum;
+  }
+  const wellKnown = WELL_KNOWN_SCHEMAS[resolved];
+  return Boolean(wellKnown && wellKnown.type && wellKnown.type !== 'object' && wellKnown.type !== 'array');
+}
+
+/**
+ * Build a path or query parameter from a request field
+ */
+function toParameter(name, location, field, message, context, { required, note = '' }) {
+  const raw = field ? fieldSchema(field, message, context) : { type: 'string' };
+  const schema = context.registry.normalize(raw, toModelName(name));
+  const model = schema.ref ? context.registry.schemas[schema.ref] || {} : schema;
+
+  return {
+    name,
+    in: location,
+    required,
+    type: model.type || 'string',
+    description: joinSentences(field?.comment, note),
+    example: undefined,
+    format: model.format,
+    enum: model.enum,
+    schema
+  };
+}
+
+/**
+ * Request body of an HTTP binding: the whole message, the message without its
+ * path fields (`body: "*"`), or a single field (`body: "field"`)
+ */
+function extractRequestBody(message, typeName, body, boundFields, service, context, modelPrefix) {
+  let raw;
+  if (body === '*') {
+    raw = typeSchema(typeName, service, context);
+    if (message && boundFields.size > 0) {
+      const model = context.components[componentKey(message.fullName.replace(/^\./, ''), context)];
+      const excluded = message.fieldsArray.filter(field => boundFields.has(field.name)).map(toJsonName);
+      const properties = Object.fromEntries(Object.entries(model.properties).filter(([name]) => !excluded.includes(name)));
+      const required = (model.required || []).filter(name => !excluded.includes(name));
+      raw = { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+    }
+  } else {
+    const field = message?.fields?.[body];
+    raw = field ? fieldSchema(field, message, context) : { type: 'object' };
+  }
+
+  return {
+    required: true,
+    mediaType: 'application/json',
+    schema: context.registry.describe(context.registry.normalize(raw, `${modelPrefix}Body`))
+  };
+}
+
+/**
+ * Response of an HTTP binding: the response message or its `response_body` field
+ */
+function extractResponse(message, typeName, responseBody, service, context) {
+  const fullName = resolveType(typeName, service, context);
+  let raw = typeSchema(typeName, service, context);
+  if (responseBody && message?.fields?.[responseBody]) {
+    raw = fieldSchema(message.fields[responseBody], message, context);
+  }
+
+  return {
+    description: 'OK',
+    mediaType: 'application/json',
+    schema: fullName === 'google.protobuf.Empty' && !responseBody
+      ? null
+      : context.registry.describe(context.registry.normalize(raw, `${toModelName(typeName.split('.').pop())}Response`))
+  };
+}
+
+function withDescription(schema, description) {
+  return description && !schema.$ref ? { ...schema, description } : schema;
+}
+
+function joinSentences(...parts) {
+  return parts
+    .filter(Boolean)
+    .map(part => part.trim())
+    .map((part, index, all) => (index < all.length - 1 && !/[.!?]$/.test(part) ? `${part}.` : part))
+    .join(' ');
+}
+
+function firstSentence(comment) {
+  return comment ? comment.split(/\n|(?<=\.)\s/)[0].trim() : '';
+}
+
+function toMethodName(rpcName) {
+  return rpcName.charAt(0).toLowerCase() + rpcName.slice(1);
+}
+
+module.exports = { parseProto };
@@ -0,0 +1,879 @@
+/**
+ * RAML Parser
+ * Builds the parsed API data model from a RAML 1.0 (or 0.8) document. The
+ * document is converted to OpenAPI 3.0 and then flows through the same
+ * extraction code as Swagger specs: resource types and traits are expanded
+ * into every method, nested resources are flattened into paths carrying their
+ * inherited URI parameters, data types (and 0.8 schemas) become component
+ * schemas, and security schemes map to their OpenAPI equivalents.
+ * `!include` values point at files outside the document and are treated as
+ * undeclared.
+ */
+const yaml = require('js-yaml');
+const { extractApiData } = require('./swaggerParser');
+const { inferSchema, parseJsonExample } = require('./schemaInference');
+const { toModelName } = require('./schemaRegistry');
+const { reserveOperationId } = require('./operationIds');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+
+const COMPONENT_PREFIX = '#/components/schemas/';
+
+/**
+ * `!include` values are kept as markers, since the referenced files are not available
+ */
+const INCLUDE_TYPE = new yaml.Type('!include', {
+  kind: 'scalar',
+  construct: path => ({ $include: path })
+});
+
+/**
+ * The core schema keeps dates in examples as strings instead of Date objects
+ */
+const RAML_SCHEMA = yaml.CORE_SCHEMA.extend([INCLUDE_TYPE]);
+
+/**
+ * Schemas of the RAML built-in types; `date` is the 0.8 named parameter type
+ */
+const BUILT_IN_TYPES = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  integer: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  'date-only': { type: 'string', format: 'date' },
+  'time-only': { type: 'string', format: 'time' },
+  'datetime-only': { type: 'string', format: 'date-time' },
+  datetime: { type: 'string', format: 'date-time' },
+  date: { type: 'string', format: 'date-time' },
+  file: { type: 'string', format: 'binary' },
+  object: { type: 'object' },
+  array: { type: 'array', items: {} },
+  any: {}
+};
+
+/**
+ * Number formats mapped to the closest OpenAPI format
+ */
+const NUMBER_FORMATS = {
+  int8: 'int32',
+  int16: 'int32',
+  int32: 'int32',
+  int: 'int32',
+  int64: 'int64',
+  long: 'int64',
+  float: 'float',
+  double: 'double'
+};
+
+/**
+ * Facets that carry over to the OpenAPI schema unchanged
+ */
+const SCHEMA_FACETS = [
+  'description', 'enum', 'default', 'pattern', 'minLength', 'maxLength', 'minimum', 'maximum',
+  'multipleOf', 'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties'
+];
+
+/**
+ * Keys of the expanded example form ({ value, strict, ... })
+ */
+const EXAMPLE_KEYS = ['value', 'displayName', 'description', 'strict'];
+
+/**
+ * OAuth 2.0 authorization grants (RAML 1.0 and 0.8 names) mapped to OpenAPI flows
+ */
+const OAUTH2_GRANTS = {
+  authorization_code: 'authorizationCode',
+  code: 'authorizationCode',
+  client_credentials: 'clientCredentials',
+  credentials: 'clientCredentials',
+  password: 'password',
+  owner: 'password',
+  implicit: 'implicit',
+  token: 'implicit'
+};
+
+/**
+ * Functions that can transform `<<parameter>>` values in resource types and traits
+ */
+const TRANSFORMS = {
+  singularize,
+  pluralize,
+  uppercase: value => value.toUpperCase(),
+  lowercase: value => value.toLowerCase(),
+  lowercamelcase: value => toCamelCase(value),
+  uppercamelcase: value => toModelName(value),
+  lowerunderscorecase: value => splitWords(value).join('_').toLowerCase(),
+  upperunderscorecase: value => splitWords(value).join('_').toUpperCase(),
+  lowerhyphencase: value => splitWords(value).join('-').toLowerCase(),
+  upperhyphencase: value => splitWords(value).join('-').toUpperCase()
+};
+
+/**
+ * Marker for the `nil` type inside type expressions
+ */
+const NIL = Object.freeze({ nil: true });
+
+/**
+ * Parse a RAML document
+ * @param {string} content - RAML document
+ * @returns {Object} Parsed API data
+ */
+async function parseRaml(content) {
+  try {
+    const { version, document } = loadRamlDocument(content);
+    return extractApiData(convertRaml(document, version));
+  } catch (error) {
+    throw new Error(`Failed to parse RAML document: ${error.message}`);
+  }
+}
+
+/**
+ * Check the `#%RAML` header line and load the YAML document
+ */
+function loadRamlDocument(content) {
+  if (!content || content.trim() === '') {
+    throw new Error('Empty RAML content');
+  }
+
+  const text = content.replace(/^\uFEFF/, '');
+  const header = /^#%RAML\s+(\d\.\d)(?:[ \t]+(\S+))?/.exec(text);
+  if (!header) {
+    throw new Error('Missing "#%RAML 1.0" header line');
+  }
+  if (header[2]) {
+    throw new Error(`A RAML ${header[2]} fragment is not a root API definition`);
+  }
+
+  const document = yaml.load(text, { schema: RAML_SCHEMA });
+  if (!document || typeof document !== 'object') {
+    throw new Error('RAML document has no content');
+  }
+
+  return { version: header[1], document };
+}
+
+/**
+ * Convert a RAML document into an OpenAPI 3.0 document
+ * @param {Object} raml - Loaded RAML document
+ * @param {string} version - RAML version from the header line
+ * @returns {Object} Equivalent OpenAPI 3.0 document
+ */
+function convertRaml(raml, version) {
+  const context = {
+    version,
+    types: { ...toMap(raml.schemas), ...toMap(raml.types) },
+    traits: toMap(raml.traits),
+    resourceTypes: toMap(raml.resourceTypes),
+    mediaTypes: toArray(raml.mediaType || 'application/json').map(String),
+    operationIds: new Set(),
+    schemas: {}
+  };
+
+  for (const [name, declaration] of Object.entries(context.types)) {
+    context.schemas[name] = convertType(declaration, context);
+  }
+
+  const securitySchemes = convertSecuritySchemes(toMap(raml.securitySchemes));
+  context.schemeNames = Object.keys(securitySchemes);
+
+  const api = {
+    openapi: '3.0.3',
+    info: {
+      title: textValue(raml.title) || 'API',
+      version: raml.version !== undefined && raml.version !== null ? String(raml.version) : '1.0.0',
+      description: textValue(raml.description)
+    },
+    servers: raml.baseUri ? [{ url: toServerUrl(raml) }] : [],
+    paths: {},
+    components: { schemas: context.schemas, securitySchemes }
+  };
+
+  if (raml.securedBy !== undefined) {
+    api.security = convertSecuredBy(raml.securedBy, context);
+  }
+
+  collectResources(raml, { path: '', uriParameters: {}, tag: null }, context, api.paths);
+  if (Object.keys(api.paths).length === 0) {
+    throw new Error('No resources with methods found');
+  }
+
+  return api;
+}
+
+/**
+ * Build the server URL from baseUri, filling in {version} and parameter defaults
+ */
+function toServerUrl(raml) {
+  const parameters = toMap(raml.baseUriParameters);
+
+  let url = String(raml.baseUri).replace(/\{([^{}]+)\}/g, (placeholder, name) => {
+    if (name === 'version' && raml.version !== undefined) return String(raml.version);
+    const parameter = toObject(parameters[name]);
+    const value = parameter.default ?? parameter.example ?? toArray(parameter.enum)[0];
+    return value !== undefined ? String(value) : placeholder;
+  });
+
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    const protocol = toArray(raml.protocols)[0] || 'https';
+    url = `${String(protocol).toLowerCase()}://${url}`;
+  }
+
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Walk nested resources, flattening them into OpenAPI path items
+ */
+function collectResources(node, parent, context, paths) {
+  for (const [key, value] of Object.entries(node)) {
+    if (!key.startsWith('/')) continue;
+
+    const path = `${parent.path}${key}`;
+    const pathName = toResourcePathName(path);
+    const resource = applyResourceType(toObject(value), { resourcePath: path, resourcePathName: pathName }, context);
+    const scope = {
+      path,
+      openApiPath: path.replace(/\{mediaTypeExtension\}/g, '') || '/',
+      resource,
+      uriParameters: { ...parent.uriParameters, ...toMap(resource.uriParameters) },
+      tag: parent.tag || textValue(resource.displayName) || pathName || path
+    };
+
+    for (const method of HTTP_METHODS) {
+      if (!(method in resource)) continue;
+
+      paths[scope.openApiPath] = paths[scope.openApiPath] || {};
+      paths[scope.openApiPath][method] = convertMethod(method, toObject(resource[method]), scope, context);
+    }
+
+    collectResources(resource, scope, context, paths);
+  }
+}
+
+/**
+ * Expand the resource type a resource declares (and the types it inherits).
+ * The resource's own values win over those of its type.
+ */
+function applyResourceType(resource, parameters, context, depth = 0) {
+  const { type: reference, ...own } = resource;
+  if (!reference || depth > 10) return own;
+
+  const { name, args } = parseReference(reference);
+  const definition = context.resourceTypes[name];
+  if (!definition || isInclude(definition)) return own;
+
+  const { usage, ...body } = toObject(definition);
+  const expanded = applyResourceType(substitute(body, { ...parameters, ...args }), parameters, context, depth + 1);
+
+  // Optional methods (`get?`) only apply when the resource declares that method
+  for (const key of Object.keys(expanded)) {
+    if (!key.endsWith('?')) continue;
+    const method = key.slice(0, -1);
+    if (method in own) {
+      expanded[method] = mergeNodes(toObject(expanded[method]), toObject(expanded[key]));
+    }
+    delete expanded[key];
+  }
+
+  return mergeNodes(expanded, own);
+}
+
+/**
+ * Apply resource-level and method-level traits to a method
+ */
+function applyTraits(definition, references, parameters, context) {
+  let method = definition;
+
+  for (const reference of references) {
+    const { name, args } = parseReference(reference);
+    const trait = context.traits[name];
+    if (!trait || isInclude(trait)) continue;
+
+    const { usage, ...body } = toObject(trait);
+    method = mergeNodes(substitute(body, { ...parameters, ...args }), method);
+  }
+
+  return method;
+}
+
+/**
+ * Convert a resource method into an OpenAPI operation
+ */
+function convertMethod(method, definition, scope, context) {
+  const parameters = { resourcePath: scope.path, resourcePathName: toResourcePathName(scope.path), methodName: method };
+  const references = [...toArray(scope.resource.is), ...toArray(definition.is)];
+  const applied = applyTraits(definition, references, parameters, context);
+  const displayName = textValue(applied.displayName);
+
+  const operation = {
+    operationId: reserveOperationId(
+      displayName ? toCamelCase(displayName) : generateOperationId(method, scope.openApiPath),
+      context.operationIds
+    ),
+    summary: displayName,
+    description: textValue(applied.description),
+    tags: [scope.tag],
+    parameters: [
+      ...convertPathParameters(scope.openApiPath, scope.uriParameters, context),
+      ...convertParameters(applied.queryParameters, 'query', context),
+      ...convertQueryString(applied.queryString, context),
+      ...convertParameters(applied.headers, 'header', context)
+    ],
+    responses: convertResponses(applied.responses, context)
+  };
+
+  const content = convertBody(applied.body, context);
+  if (content) {
+    operation.requestBody = { required: true, content };
+  }
+
+  const securedBy = applied.securedBy !== undefined ? applied.securedBy : scope.resource.securedBy;
+  if (securedBy !== undefined) {
+    operation.security = convertSecuredBy(securedBy, context);
+  }
+
+  return operation;
+}
+
+/**
+ * Path parameters for every placeholder in the path; undeclared ones are plain strings
+ */
+function convertPathParameters(path, uriParameters, context) {
+  const names = Array.from(path.matchAll(/\{([^{}]+)\}/g), match => match[1]);
+
+  return [...new Set(names)].map(name => {
+    const declaration = toDeclaration(uriParameters[name] ?? uriParameters[`${name}?`]);
+    return {
+      name,
+      in: 'path',
+      required: true,
+      description: textValue(declaration.description),
+      schema: convertType(declaration, context)
+    };
+  });
+}
+
+/**
+ * Convert query parameter or header declarations. Named parameters are
+ * required by default in RAML 1.0 (like type properties) but not in 0.8.
+ */
+function convertParameters(declarations, location, context) {
+  return Object.entries(toMap(declarations)).map(([rawName, value]) => {
+    const declaration = toDeclaration(value);
+    const { name, optional } = splitOptionalName(rawName, declaration);
+
+    return {
+      name,
+      in: location,
+      required: declaration.required !== undefined
+        ? Boolean(declaration.required)
+        : context.version !== '0.8' && !optional,
+      description: textValue(declaration.description),
+      schema: convertType(declaration, context)
+    };
+  });
+}
+
+/**
+ * Expand a RAML 1.0 `queryString` object type into individual query parameters
+ */
+function convertQueryString(queryString, context) {
+  if (queryString === undefined || queryString === null) return [];
+
+  let schema = convertType(queryString, context);
+  if (schema.$ref) {
+    schema = context.schemas[schema.$ref.slice(COMPONENT_PREFIX.length)] || {};
+  }
+
+  return Object.entries(schema.properties || {}).map(([name, propertySchema]) => ({
+    name,
+    in: 'query',
+    required: (schema.required || []).includes(name),
+    description: propertySchema.description || '',
+    schema: propertySchema
+  }));
+}
+
+/**
+ * Convert a body declaration into OpenAPI content, keyed by media type.
+ * A body without media type keys applies to the document's default media types.
+ */
+function convertBody(body, context) {
+  if (body === undefined || body === null) return null;
+
+  const declarations = isObject(body) && Object.keys(body).some(key => key.includes('/'))
+    ? body
+    : Object.fromEntries(context.mediaTypes.map(mediaType => [mediaType, body]));
+
+  const content = {};
+  for (const [mediaType, value] of Object.entries(declarations)) {
+    const declaration = toDeclaration(value);
+    const example = extractExample(declaration, /json/i.test(mediaType));
+
+    let schema = declaration.formParameters
+      ? { type: 'object', ...convertProperties(declaration.formParameters, context, context.version !== '0.8') }
+      : convertType(declaration, context, 'any');
+    // Bodies documented only by an example get a schema inferred from it
+    if (Object.keys(schema).length === 0 && example !== null && typeof example === 'object') {
+      schema = inferSchema([example]);
+    }
+
+    content[mediaType] = example !== undefined ? { schema, example } : { schema };
+  }
+
+  return content;
+}
+
+/**
+ * Convert method responses, keyed by status code
+ */
+function convertResponses(responses, context) {
+  const converted = {};
+
+  for (const [code, value] of Object.entries(toMap(responses))) {
+    const response = toObject(value);
+    const content = convertBody(response.body, context);
+
+    converted[code] = { description: textValue(response.description) };
+    if (content) {
+      converted[code].content = content;
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Convert a RAML type declaration into an OpenAPI schema
+ * @param {*} value - Type expression, declaration object or inheritance list
+ * @param {Object} context - Conversion context
+ * @param {string} fallbackType - Type used when the declaration names none
+ * @returns {Object} OpenAPI schema
+ */
+function convertType(value, context, fallbackType = 'string') {
+  const declaration = toDeclaration(value);
+  const source = declaration.type !== undefined ? declaration.type : declaration.schema;
+
+  let schema;
+  if (Array.isArray(source)) {
+    schema = { allOf: source.map(parent => convertType(parent, context)) };
+  } else if (isInclude(source)) {
+    schema = {};
+  } else if (isObject(source)) {
+    schema = convertType(source, context, fallbackType);
+  } else if (typeof source === 'string') {
+    schema = convertTypeExpression(source, context);
+  } else if (declaration.properties) {
+    schema = { type: 'object' };
+  } else if (declaration.items) {
+    schema = { type: 'array', items: {} };
+  } else {
+    schema = { ...BUILT_IN_TYPES[fallbackType] };
+  }
+
+  return applyFacets(schema, declaration, context);
+}
+
+/**
+ * Apply properties, items and scalar facets of a declaration to its base schema
+ */
+function applyFacets(base, declaration, context) {
+  let schema = base;
+
+  const patternProperty = Object.keys(toMap(declaration.properties)).find(name => /^\/.+\/$/.test(name));
+  if (declaration.properties || declaration.additionalProperties === false) {
+    const own = { type: 'object', ...convertProperties(declaration.properties, context) };
+    if (declaration.additionalProperties === false) {
+      own.additionalProperties = false;
+    } else if (patternProperty) {
+      own.additionalProperties = convertType(declaration.properties[patternProperty], context);
+    }
+
+    if (schema.type === 'object' || Object.keys(schema).length === 0) {
+      schema = { ...schema, ...own };
+    } else {
+      schema = { allOf: [...(schema.allOf || [schema]), own] };
+    }
+  }
+
+  if (declaration.items !== undefined && schema.type === 'array') {
+    schema.items = convertType(declaration.items, context);
+  }
+
+  // OpenAPI ignores keywords next to a $ref
+  if (schema.$ref) return schema;
+
+  for (const facet of SCHEMA_FACETS) {
+    if (declaration[facet] !== undefined && !isInclude(declaration[facet])) {
+      schema[facet] = declaration[facet];
+    }
+  }
+  if (typeof schema.description !== 'string') {
+    delete schema.description;
+  }
+  if (NUMBER_FORMATS[declaration.format] && (schema.type === 'number' || schema.type === 'integer')) {
+    schema.format = NUMBER_FORMATS[declaration.format];
+  }
+
+  const isStructured = schema.type === 'object' || schema.type === 'array' || Boolean(schema.allOf);
+  const example = extractExample(declaration, isStructured);
+  if (example !== undefined) {
+    schema.example = example;
+  }
+
+  return schema;
+}
+
+/**
+ * Convert object properties; names ending in `?` are optional unless
+ * `required` is given explicitly, and pattern properties are skipped
+ */
+function convertProperties(properties, context, requiredByDefault = true) {
+  const converted = { properties: {}, required: [] };
+
+  for (const [rawName, value] of Object.entries(toMap(properties))) {
+    if (/^\/.+\/$/.test(rawName)) continue;
+
+    const declaration = toDeclaration(value);
+    const { name, optional } = splitOptionalName(rawName, declaration);
+    converted.properties[name] = convertType(declaration, context);
+
+    const required = declaration.required !== undefined ? Boolean(declaration.required) : requiredByDefault && !optional;
+    if (required) {
+      converted.required.push(name);
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Convert a type expression such as `User[]`, `string | nil` or `(Cat | Dog)[]`.
+ * Inline JSON schemas (RAML 0.8 and 1.0) are used as they are.
+ */
+function convertTypeExpression(expression, context) {
+  const text = expression.trim();
+
+  if (text.startsWith('{')) {
+    const { $schema, id, ...schema } = parseJsonExample(text) || {};
+    return schema;
+  }
+  if (text.startsWith('<')) {
+    // XML schemas have no JSON equivalent
+    return {};
+  }
+
+  const tokens = text.match(/[\w.-]+|\[\]|[|()?]/g) || [];
+  let position = 0;
+
+  const parseUnion = () => {
+    const variants = [parsePostfix()];
+    while (tokens[position] === '|') {
+      position++;
+      variants.push(parsePostfix());
+    }
+    return toUnion(variants);
+  };
+
+  const parsePostfix = () => {
+    let schema;
+    if (tokens[position] === '(') {
+      position++;
+      schema = parseUnion();
+      position++;
+    } else {
+      schema = resolveTypeName(tokens[position++], context);
+    }
+
+    for (; tokens[position] === '[]' || tokens[position] === '?'; position++) {
+      schema = tokens[position] === '[]' ? { type: 'array', items: schema === NIL ? {} : schema } : toUnion([schema, NIL]);
+    }
+    return schema;
+  };
+
+  const schema = parseUnion();
+  return schema === NIL ? { nullable: true } : schema;
+}
+
+/**
+ * Resolve a type name to a built-in schema or a component reference.
+ * Library-qualified names (`lib.User`) fall back to a local type of the same name.
+ */
+function resolveTypeName(name, context) {
+  if (!name) return {};
+  if (name === 'nil') return NIL;
+  if (BUILT_IN_TYPES[name]) return JSON.parse(JSON.stringify(BUILT_IN_TYPES[name]));
+
+  const localName = [name, name.split('.').pop()].find(candidate => candidate in context.types);
+  return localName ? { $ref: `${COMPONENT_PREFIX}${localName}` } : {};
+}
+
+/**
+ * Combine union members; `nil` members make the result nullable
+ */
+function toUnion(variants) {
+  const members = variants.filter(variant => variant !== NIL);
+  const nullable = members.length < variants.length;
+  if (members.length === 0) return NIL;
+
+  const schema = members.length === 1 ? members[0] : { oneOf: members };
+  return nullable && !schema.$ref ? { ...schema, nullable: true } : schema;
+}
+
+/**
+ * Read the example of a declaration: `example`, or the first of `examples`.
+ * JSON text is parsed when the value is structured.
+ */
+function extractExample(declaration, structured) {
+  let example = declaration.example;
+  if (example === undefined && declaration.examples !== undefined) {
+    example = isObject(declaration.examples) ? Object.values(declaration.examples)[0] : declaration.examples;
+  }
+  if (example === undefined || isInclude(example)) return undefined;
+
+  if (isObject(example) && 'value' in example && Object.keys(example).every(key => EXAMPLE_KEYS.includes(key) || key.startsWith('('))) {
+    example = example.value;
+  }
+  if (typeof example === 'string' && structured) {
+    const parsed = parseJsonExample(example);
+    if (parsed !== undefined) return parsed;
+  }
+
+  return example;
+}
+
+/**
+ * Convert security scheme declarations to OpenAPI security schemes.
+ * Pass Through and custom `x-` schemes are described by the header or query
+ * parameter they send; schemes without an OpenAPI equivalent are skipped.
+ */
+function convertSecuritySchemes(schemes) {
+  const converted = {};
+
+  for (const [name, value] of Object.entries(schemes)) {
+    const scheme = toObject(value);
+    const description = textValue(scheme.description) || undefined;
+
+    if (scheme.type === 'OAuth 2.0') {
+      converted[name] = { type: 'oauth2', description, flows: convertOAuthFlows(toObject(scheme.settings)) };
+    } else if (scheme.type === 'Basic Authentication') {
+      converted[name] = { type: 'http', scheme: 'basic', description };
+    } else {
+      const describedBy = toObject(scheme.describedBy);
+      const header = Object.keys(toMap(describedBy.headers))[0]?.replace(/\?$/, '');
+      const queryParameter = Object.keys(toMap(describedBy.queryParameters))[0]?.replace(/\?$/, '');
+
+      if (header?.toLowerCase() === 'authorization') {
+        converted[name] = { type: 'http', scheme: 'bearer', description };
+      } else if (header) {
+        converted[name] = { type: 'apiKey', name: header, in: 'header', description };
+      } else if (queryParameter) {
+        converted[name] = { type: 'apiKey', name: queryParameter, in: 'query', description };
+      }
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Convert OAuth 2.0 settings into OpenAPI flows, one per supported grant
+ */
+function convertOAuthFlows(settings) {
+  const scopes = Object.fromEntries(toArray(settings.scopes).map(scope => [String(scope), '']));
+  const flows = {};
+
+  for (const grant of toArray(settings.authorizationGrants)) {
+    const flowName = OAUTH2_GRANTS[grant];
+    if (!flowName || flows[flowName]) continue;
+
+    flows[flowName] = { scopes };
+    if (flowName === 'authorizationCode' || flowName === 'implicit') {
+      flows[flowName].authorizationUrl = settings.authorizationUri;
+    }
+    if (flowName !== 'implicit') {
+      flows[flowName].tokenUrl = settings.accessTokenUri;
+    }
+  }
+
+  return flows;
+}
+
+/**
+ * Convert `securedBy` into security requirements; `null` allows anonymous access
+ */
+function convertSecuredBy(securedBy, context) {
+  const requirements = [];
+
+  for (const entry of toArray(securedBy)) {
+    if (entry === null || entry === 'null') {
+      requirements.push({});
+    } else if (typeof entry === 'string' && context.schemeNames.includes(entry)) {
+      requirements.push({ [entry]: [] });
+    } else if (isObject(entry)) {
+      const [name, settings] = Object.entries(entry)[0] || [];
+      if (context.schemeNames.includes(name)) {
+        requirements.push({ [name]: toArray(toObject(settings).scopes).map(String) });
+      }
+    }
+  }
+
+  return requirements;
+}
+
+/**
+ * Replace `<<parameter>>` placeholders (with optional `| !transform` functions)
+ * in keys and values. A value that is only a placeholder takes the parameter
+ * value as it is, so structured parameters survive.
+ */
+function substitute(value, parameters) {
+  if (typeof value === 'string') {
+    const whole = /^<<\s*([\w-]+)\s*>>$/.exec(value);
+    if (whole && parameters[whole[1]] !== undefined && typeof parameters[whole[1]] !== 'string') {
+      return parameters[whole[1]];
+    }
+
+    return value.replace(/<<\s*([\w-]+)((?:\s*\|\s*![\w]+)*)\s*>>/g, (placeholder, name, transforms) => {
+      if (parameters[name] === undefined) return placeholder;
+      return transforms
+        .split('|')
+        .map(transform => transform.trim().replace(/^!/, '').toLowerCase())
+        .filter(Boolean)
+        .reduce((result, transform) => (TRANSFORMS[transform] ? TRANSFORMS[transform](result) : result), String(parameters[name]));
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, parameters));
+  }
+
+  if (isObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [substitute(key, parameters), substitute(item, parameters)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Deep-merge two nodes; values of `override` win, and trait lists are combined
+ */
+function mergeNodes(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    if (key === 'is' && merged.is !== undefined) {
+      merged.is = [...toArray(merged.is), ...toArray(value)];
+    } else if (isObject(value) && isObject(merged[key])) {
+      merged[key] = mergeNodes(merged[key], value);
+    } else if (value !== null || merged[key] === undefined) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Split a resource type or trait reference into its name and parameters
+ */
+function parseReference(reference) {
+  if (isObject(reference)) {
+    const [name, args] = Object.entries(reference)[0] || [];
+    return { name, args: toObject(args) };
+  }
+  return { name: String(reference), args: {} };
+}
+
+/**
+ * The rightmost path segment that is not a URI parameter
+ */
+function toResourcePathName(path) {
+  const segments = path.split('/').filter(segment => segment && !segment.includes('{'));
+  return segments[segments.length - 1] || '';
+}
+
+/**
+ * Strip the `?` suffix that marks an optional property or parameter
+ */
+function splitOptionalName(rawName, declaration) {
+  const optional = rawName.endsWith('?') && declaration.required === undefined;
+  return { name: optional ? rawName.slice(0, -1) : rawName, optional };
+}
+
+/**
+ * Normalize a declaration value: type expressions and inheritance lists
+ * become `{ type }`, and an empty value declares the default type
+ */
+function toDeclaration(value) {
+  if (typeof value === 'string' || Array.isArray(value) || isInclude(value)) {
+    return { type: value };
+  }
+  return isObject(value) ? value : {};
+}
+
+/**
+ * Generate an operation ID such as getUsersByUserId
+ */
+function generateOperationId(method, path) {
+  const parts = path.split('/').filter(Boolean).map(segment => {
+    const param = /^\{(.+)\}$/.exec(segment);
+    return param ? `By${toModelName(param[1])}` : toModelName(segment);
+  });
+  return `${method}${parts.join('') || 'Root'}`;
+}
+
+/**
+ * Declarations may be maps, or (in RAML 0.8) lists of single-entry maps
+ */
+function toMap(value) {
+  if (Array.isArray(value)) {
+    return Object.assign({}, ...value.filter(isObject));
+  }
+  return isObject(value) && !isInclude(value) ? value : {};
+}
+
+function toObject(value) {
+  return isObject(value) && !isInclude(value) ? value : {};
+}
+
+function toArray(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function textValue(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isInclude(value) {
+  return isObject(value) && typeof value.$include === 'string' && Object.keys(value).length === 1;
+}
+
+function singularize(word) {
+  if (/ies$/i.test(word)) return word.replace(/ies$/i, 'y');
+  if (/(s|x|z|ch|sh)es$/i.test(word)) return word.replace(/es$/i, '');
+  return word.replace(/s$/i, '');
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/i.test(word)) return word.replace(/y$/i, 'ies');
+  if (/(s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+function splitWords(value) {
+  return value.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^a-zA-Z0-9]+/).filter(Boolean);
+}
+
+function toCamelCase(value) {
+  const name = toModelName(value);
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+module.exports = { parseRaml };
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Schema Inference
+ * Derives OpenAPI schemas from example values, such as the request bodies and
+ * saved responses of a Postman collection. Several examples of the same body
+ * are merged: a property is required only when every example has it, a value
+ * that is null in any example is nullable, and values of different kinds
+ * become a `oneOf`.
+ */
+
+/**
+ * String formats recognised in examples, checked in order
+ */
+const STRING_FORMATS = [
+  { format: 'date-time', pattern: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/ },
+  { format: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  { format: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { format: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  { format: 'uri', pattern: /^https?:\/\/\S+$/ }
+];
+
+/**
+ * Infer a schema from one or more examples of the same value
+ * @param {Array<*>} examples - Example values; undefined entries are ignored
+ * @returns {Object} OpenAPI schema
+ */
+function inferSchema(examples) {
+  const values = examples.filter(value => value !== undefined);
+  const nullable = values.some(value => value === null);
+
+  const groups = new Map();
+  for (const value of values) {
+    const kind = getKind(value);
+    if (kind) {
+      if (!groups.has(kind)) groups.set(kind, []);
+      groups.get(kind).push(value);
+    }
+  }
+
+  const variants = Array.from(groups, ([kind, samples]) => inferKind(kind, samples));
+  const schema = variants.length > 1 ? { oneOf: variants } : (variants[0] || {});
+  if (nullable) {
+    schema.nullable = true;
+  }
+  return schema;
+}
+
+/**
+ * Parse a JSON example body, tolerating unresolved {{variable}} placeholders used as values
+ * @param {string} text - Example body
+ * @returns {*} Parsed value, or undefined when the body is not JSON
+ */
+function parseJsonExample(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return undefined;
+  }
+
+  for (const candidate of [text, text.replace(/\{\{[^{}]+\}\}(?=\s*[,}\]])/g, 'null')]) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Convert a textual value (query string, form field) to the number or boolean it spells
+ * @param {string} value - Raw value
+ * @returns {*} Number, boolean or the original string
+ */
+function coerceScalar(value) {
+  if (typeof value !== 'string') return value;
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+/**
+ * Kind of a JSON value; integers and other numbers share the `number` kind
+ */
+function getKind(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return 'array';
+  switch (typeof value) {
+    case 'object':
+      return 'object';
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'string':
+      return 'string';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Infer the schema of examples that share a kind
+ */
+function inferKind(kind, samples) {
+  switch (kind) {
+    case 'object':
+      return inferObject(samples);
+    case 'array':
+      return { type: 'array', items: inferSchema(samples.flat()) };
+    case 'number':
+      return { type: samples.every(Number.isInteger) ? 'integer' : 'number' };
+    case 'string':
+      return inferString(samples);
+    default:
+      return { type: kind };
+  }
+}
+
+/**
+ * Merge object examples: every property seen is kept, only those present in all are required
+ */
+function inferObject(samples) {
+  const names = [];
+  for (const sample of samples) {
+    for (const name of Object.keys(sample)) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+
+  const properties = {};
+  for (const name of names) {
+    properties[name] = inferSchema(samples.map(sample => sample[name]));
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: names.filter(name =>
+      samples.every(sample => Object.prototype.hasOwnProperty.call(sample, name))
+    )
+  };
+}
+
+/**
+ * Detect a string format shared by every example
+ */
+function inferString(samples) {
+  const match = STRING_FORMATS.find(({ pattern }) => samples.every(sample => pattern.test(sample)));
+  return match ? { type: 'string', format: match.format } : { type: 'string' };
+}
+
+module.exports = { inferSchema, parseJsonExample, coerceScalar };
@@ -0,0 +1,360 @@
+/**
+ * Schema Registry
+ * Resolves OpenAPI schemas ($ref, allOf/oneOf/anyOf, nested objects, arrays and
+ * circular references) into a flat, deduplicated registry of named models.
+ *
+ * Normalized schema nodes share one generator-friendly shape:
+ *   { ref: 'User' }                                  reference to a registry model
+ *   { type: 'object', properties, required, additionalProperties, extends }
+ *   { type: 'array', items }
+ *   { type: 'string', format, enum, nullable }
+ *   { oneOf: [...], discriminator } / { anyOf: [...] }
+ *
+ * Named objects and unions are always hoisted into the registry, so a node
+ * never nests another object definition and circular references terminate
+ * at a `ref`.
+ */
+const COMPONENT_PREFIX = '#/components/schemas/';
+
+const ANNOTATION_KEYS = [
+  'description', 'format', 'enum', 'default', 'example', 'nullable', 'deprecated',
+  'readOnly', 'writeOnly', 'pattern', 'minLength', 'maxLength', 'minimum', 'maximum',
+  'minItems', 'maxItems'
+];
+
+// Keys that do not change the shape of a schema and are ignored when deduplicating
+const DOCUMENTATION_KEYS = ['description', 'example', 'default', 'deprecated'];
+
+class SchemaRegistry {
+  constructor(api) {
+    this.api = api || {};
+    this.schemas = {};
+    this.refNames = new Map();
+    this.rawSchemas = new Map();
+    this.building = new Set();
+    this.hashes = new Map();
+    this.unresolvedRefs = new Set();
+  }
+
+  /**
+   * Register every schema declared under components/schemas
+   */
+  registerComponents() {
+    const components = this.api.components?.schemas || {};
+
+    // Reserve all names first so forward and circular references resolve
+    for (const [name, schema] of Object.entries(components)) {
+      const pointer = `${COMPONENT_PREFIX}${escapePointer(name)}`;
+      const modelName = this.reserveName(name);
+      this.refNames.set(pointer, modelName);
+      this.rawSchemas.set(modelName, schema);
+    }
+
+    for (const modelName of this.refNames.values()) {
+      this.ensureModel(modelName);
+      if (isNamedShape(this.schemas[modelName])) {
+        const hash = shapeHash(this.schemas[modelName]);
+        if (!this.hashes.has(hash)) {
+          this.hashes.set(hash, modelName);
+        }
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Normalize a schema, hoisting named shapes into the registry
+   * @param {Object} schema - Raw OpenAPI schema
+   * @param {string} nameHint - Model name to use if the schema has to be hoisted
+   * @param {boolean} root - Keep the top-level object inline instead of hoisting it
+   * @returns {Object} Normalized schema node
+   */
+  normalize(schema, nameHint = 'Model', root = false) {
+    if (!schema || typeof schema !== 'object') {
+      return {};
+    }
+
+    if (schema.$ref) {
+      return this.resolveRef(schema.$ref, nameHint);
+    }
+
+    if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+      return this.normalizeAllOf(schema, nameHint, root);
+    }
+
+    const node = pickAnnotations(schema);
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type].filter(Boolean);
+    if (types.includes('null')) {
+      node.nullable = true;
+    }
+    const type = types.find(t => t !== 'null');
+
+    const unionKey = ['oneOf', 'anyOf'].find(key => Array.isArray(schema[key]));
+    if (unionKey) {
+      node[unionKey] = schema[unionKey].map((variant, index) =>
+        this.normalize(variant, `${nameHint}Option${index + 1}`)
+      );
+      if (schema.discriminator?.propertyName) {
+        node.discriminator = this.normalizeDiscriminator(schema.discriminator);
+      }
+      if (type) node.type = type;
+    } else if (type === 'array' || schema.items) {
+      node.type = 'array';
+      node.items = this.normalize(schema.items, `${nameHint}Item`);
+    } else if (type === 'object' || schema.properties || schema.additionalProperties) {
+      node.type = 'object';
+      node.properties = {};
+      for (const [propName, propSchema] of Object.entries(schema.properties || {})) {
+        node.properties[propName] = this.normalize(propSchema, `${nameHint}${toModelName(propName)}`);
+      }
+      node.required = (schema.required || []).filter(name => node.properties[name]);
+      if (schema.additionalProperties !== undefined) {
+        node.additionalProperties = typeof schema.additionalProperties === 'object'
+          ? this.normalize(schema.additionalProperties, `${nameHint}Value`)
+          : schema.additionalProperties;
+      }
+    } else if (type) {
+      node.type = type;
+    }
+
+    return root || !isNamedShape(node) ? node : this.hoist(node, nameHint);
+  }
+
+  /**
+   * Merge allOf members into a single object, remembering named parents
+   */
+  normalizeAllOf(schema, nameHint, root) {
+    const { allOf, ...rest } = schema;
+    const parts = [...allOf];
+    if (rest.properties || rest.required || rest.type) {
+      parts.push(rest);
+    }
+
+    const merged = { ...pickAnnotations(rest), type: 'object', properties: {}, required: [] };
+    const parents = [];
+
+    for (const part of parts) {
+      const normalized = this.normalize(part, nameHint, true);
+      let definition = normalized;
+
+      if (normalized.ref) {
+        parents.push(normalized.ref);
+        definition = this.ensureModel(normalized.ref) || {};
+      }
+
+      Object.assign(merged.properties, definition.properties || {});
+      for (const name of definition.required || []) {
+        if (!merged.required.includes(name)) merged.required.push(name);
+      }
+      if (definition.oneOf || definition.anyOf) {
+        const key = definition.oneOf ? 'oneOf' : 'anyOf';
+        merged[key] = definition[key];
+        if (definition.discriminator) merged.discriminator = definition.discriminator;
+      }
+      if (!merged.description && definition.description) {
+        merged.description = definition.description;
+      }
+    }
+
+    if (parents.length > 0) {
+      merged.extends = parents;
+    }
+
+    return root ? merged : this.hoist(merged, nameHint);
+  }
+
+  /**
+   * Map discriminator values to registry model names
+   */
+  normalizeDiscriminator(discriminator) {
+    const mapping = {};
+    for (const [value, target] of Object.entries(discriminator.mapping || {})) {
+      const ref = target.startsWith('#') ? target : `${COMPONENT_PREFIX}${escapePointer(target)}`;
+      const normalized = this.resolveRef(ref, target);
+      if (normalized.ref) mapping[value] = normalized.ref;
+    }
+    return { propertyName: discriminator.propertyName, mapping };
+  }
+
+  /**
+   * Resolve a $ref to a registry reference (or an inline node for primitives)
+   */
+  resolveRef(ref, nameHint) {
+    if (this.refNames.has(ref)) {
+      return { ref: this.refNames.get(ref) };
+    }
+
+    const target = resolvePointer(this.api, ref);
+    if (!target || typeof target !== 'object') {
+      this.unresolvedRefs.add(ref);
+      return {};
+    }
+
+    const isObjectLike = target.properties || target.allOf || target.oneOf || target.anyOf ||
+      target.type === 'object' || target.$ref || target.items;
+
+    if (!isObjectLike) {
+      return this.normalize(target, nameHint, true);
+    }
+
+    const modelName = this.reserveName(ref.startsWith(COMPONENT_PREFIX) ? lastSegment(ref) : nameHint);
+    this.refNames.set(ref, modelName);
+    this.rawSchemas.set(modelName, target);
+    this.ensureModel(modelName);
+    return { ref: modelName };
+  }
+
+  /**
+   * Build a registered model on demand; returns undefined while it is being built
+   */
+  ensureModel(modelName) {
+    if (this.schemas[modelName] || this.building.has(modelName)) {
+      return this.schemas[modelName];
+    }
+
+    const raw = this.rawSchemas.get(modelName);
+    if (!raw) return undefined;
+
+    this.building.add(modelName);
+    this.schemas[modelName] = this.normalize(raw, modelName, true);
+    this.building.delete(modelName);
+    return this.schemas[modelName];
+  }
+
+  /**
+   * Move a named shape into the registry, reusing an identical existing model
+   */
+  hoist(node, nameHint) {
+    const hash = shapeHash(node);
+    if (this.hashes.has(hash)) {
+      return { ref: this.hashes.get(hash) };
+    }
+
+    const modelName = this.reserveName(nameHint);
+    this.schemas[modelName] = node;
+    this.hashes.set(hash, modelName);
+    return { ref: modelName };
+  }
+
+  /**
+   * Reserve a unique model name derived from the given hint
+   */
+  reserveName(hint) {
+    const base = toModelName(hint);
+    const taken = name => this.schemas[name] || this.rawSchemas.has(name);
+
+    let candidate = base;
+    for (let suffix = 2; taken(candidate); suffix++) {
+      candidate = `${base}${suffix}`;
+    }
+    // Placeholder so nested hoisting cannot claim the same name
+    this.rawSchemas.set(candidate, this.rawSchemas.get(candidate) || null);
+    return candidate;
+  }
+
+  /**
+   * Describe a body schema for endpoint consumers: the normalized node plus the
+   * referenced model's properties, so callers need not look the model up
+   */
+  describe(node, example) {
+    const model = node.ref ? this.schemas[node.ref] || {} : node;
+
+    return {
+      ...node,
+      type: model.type || (model.oneOf || model.anyOf ? undefined : 'object'),
+      properties: model.properties || {},
+      required: model.required || [],
+      example
+    };
+  }
+
+  toJSON() {
+    return this.schemas;
+  }
+}
+
+/**
+ * Resolve a local JSON pointer ("#/components/schemas/User") against a document
+ */
+function resolvePointer(document, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    return undefined;
+  }
+
+  const segments = ref.slice(1).split('/').filter(Boolean).map(unescapePointer);
+  let current = document;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Follow $ref chains on non-schema objects (parameters, request bodies, responses)
+ */
+function dereference(document, value, maxDepth = 10) {
+  let current = value;
+  for (let depth = 0; current?.$ref && depth < maxDepth; depth++) {
+    current = resolvePointer(document, current.$ref);
+  }
+  return current?.$ref ? undefined : current;
+}
+
+/**
+ * Convert an arbitrary string into a PascalCase model name
+ */
+function toModelName(value) {
+  const name = String(value || '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+
+  if (!name) return 'Model';
+  return /^[0-9]/.test(name) ? `Model${name}` : name;
+}
+
+function pickAnnotations(schema) {
+  const node = {};
+  for (const key of ANNOTATION_KEYS) {
+    if (schema[key] !== undefined) node[key] = schema[key];
+  }
+  return node;
+}
+
+function isNamedShape(node) {
+  if (!node) return false;
+  if (node.oneOf || node.anyOf) return true;
+  return node.type === 'object' && Object.keys(node.properties || {}).length > 0;
+}
+
+function shapeHash(node) {
+  return stableStringify(node, DOCUMENTATION_KEYS);
+}
+
+function stableStringify(value, ignoredKeys = []) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item, ignoredKeys)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => !ignoredKeys.includes(key)).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key], ignoredKeys)}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function lastSegment(ref) {
+  return unescapePointer(ref.split('/').pop());
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(segment) {
+  return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+module.exports = { SchemaRegistry, resolvePointer, dereference, toModelName };
@@ -0,0 +1,393 @@
+/**
+ * Swagger 2.0 Converter
+ * Upgrades a Swagger 2.0 document to the OpenAPI 3.0 structure so both
+ * generations of spec flow through the same extraction code.
+ */
+
+const OAUTH2_FLOW_NAMES = {
+  implicit: 'implicit',
+  password: 'password',
+  application: 'clientCredentials',
+  accessCode: 'authorizationCode'
+};
+
+const REF_REWRITES = [
+  ['#/definitions/', '#/components/schemas/'],
+  ['#/parameters/', '#/components/parameters/'],
+  ['#/responses/', '#/components/responses/']
+];
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+
+/**
+ * Check whether a parsed document is a Swagger 2.0 spec
+ */
+function isSwagger2(api) {
+  return typeof api?.swagger === 'string' && api.swagger.startsWith('2');
+}
+
+/**
+ * Convert a Swagger 2.0 document into an OpenAPI 3.0 document
+ * @param {Object} api - Parsed Swagger 2.0 document
+ * @returns {Object} Equivalent OpenAPI 3.0 document
+ */
+function convertSwagger2(api) {
+  const context = {
+    source: api,
+    consumes: api.consumes || ['application/json'],
+    produces: api.produces || ['application/json']
+  };
+
+  const converted = {
+    openapi: '3.0.3',
+    info: api.info || {},
+    servers: convertServers(api),
+    paths: {},
+    components: {
+      schemas: convertSchemaMap(api.definitions),
+      parameters: {},
+      responses: {},
+      securitySchemes: convertSecurityDefinitions(api.securityDefinitions)
+    }
+  };
+
+  if (api.security) converted.security = api.security;
+  if (api.tags) converted.tags = api.tags;
+
+  // Body and formData parameters become request bodies, so only the rest stay reusable
+  for (const [name, param] of Object.entries(api.parameters || {})) {
+    if (param.in !== 'body' && param.in !== 'formData') {
+      converted.components.parameters[name] = convertParameter(param);
+    }
+  }
+
+  for (const [name, response] of Object.entries(api.responses || {})) {
+    converted.components.responses[name] = convertResponse(response, context.produces);
+  }
+
+  for (const [path, pathItem] of Object.entries(api.paths || {})) {
+    converted.paths[path] = convertPathItem(pathItem, context);
+  }
+
+  return rewriteRefs(converted);
+}
+
+/**
+ * Build servers from schemes, host and basePath
+ */
+function convertServers(api) {
+  const basePath = api.basePath && api.basePath !== '/' ? api.basePath.replace(/\/$/, '') : '';
+
+  if (!api.host) {
+    return basePath ? [{ url: basePath }] : [];
+  }
+
+  const schemes = api.schemes?.length ? api.schemes : ['https'];
+  const ordered = [...schemes].sort((a, b) => (b === 'https') - (a === 'https'));
+  return ordered.map(scheme => ({ url: `${scheme}://${api.host}${basePath}` }));
+}
+
+/**
+ * Convert securityDefinitions into OpenAPI 3 securitySchemes
+ */
+function convertSecurityDefinitions(definitions = {}) {
+  const schemes = {};
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    switch (definition.type) {
+      case 'basic':
+        schemes[name] = { type: 'http', scheme: 'basic', description: definition.description };
+        break;
+
+      case 'apiKey':
+        schemes[name] = {
+          type: 'apiKey',
+          name: definition.name,
+          in: definition.in,
+          description: definition.description
+        };
+        break;
+
+      case 'oauth2': {
+        const flowName = OAUTH2_FLOW_NAMES[definition.flow] || definition.flow;
+        const flow = { scopes: definition.scopes || {} };
+        if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+        if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+
+        schemes[name] = {
+          type: 'oauth2',
+          description: definition.description,
+          flows: { [flowName]: flow }
+        };
+        break;
+      }
+    }
+  }
+
+  return schemes;
+}
+
+/**
+ * Convert a path item and its operations
+ */
+function convertPathItem(pathItem, context) {
+  const converted = {};
+  const pathParameters = (pathItem.parameters || []).map(param => resolveParameter(param, context));
+
+  const sharedParameters = pathParameters.filter(param => param.in !== 'body' && param.in !== 'formData');
+  if (sharedParameters.length > 0) {
+    converted.parameters = sharedParameters.map(convertParameter);
+  }
+
+  for (const method of HTTP_METHODS) {
+    if (pathItem[method]) {
+      converted[method] = convertOperation(pathItem[method], pathParameters, context);
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Convert a single operation
+ */
+function convertOperation(operation, pathParameters, context) {
+  const consumes = operation.consumes || context.consumes;
+  const produces = operation.produces || context.produces;
+  const parameters = (operation.parameters || []).map(param => resolveParameter(param, context));
+
+  // Body and formData parameters declared on the path apply unless the operation overrides them
+  const inherited = pathParameters.filter(param =>
+    (param.in === 'body' || param.in === 'formData') &&
+    !parameters.some(own => own.in === param.in && own.name === param.name)
+  );
+  const allParameters = [...inherited, ...parameters];
+
+  const converted = {};
+  for (const key of ['tags', 'summary', 'description', 'operationId', 'deprecated', 'security']) {
+    if (operation[key] !== undefined) converted[key] = operation[key];
+  }
+
+  const regularParameters = parameters.filter(param => param.in !== 'body' && param.in !== 'formData');
+  if (regularParameters.length > 0) {
+    converted.parameters = regularParameters.map(convertParameter);
+  }
+
+  const requestBody = convertRequestBody(allParameters, consumes);
+  if (requestBody) {
+    converted.requestBody = requestBody;
+  }
+
+  converted.responses = {};
+  for (const [code, response] of Object.entries(operation.responses || {})) {
+    converted.responses[code] = convertResponse(response, produces);
+  }
+
+  return converted;
+}
+
+/**
+ * Inline references to global body/formData parameters so they can become request bodies
+ */
+function resolveParameter(param, context) {
+  if (!param.$ref?.startsWith('#/parameters/')) {
+    return param;
+  }
+
+  const name = decodeURIComponent(param.$ref.slice('#/parameters/'.length));
+  const target = context.source.parameters?.[name];
+  if (target && (target.in === 'body' || target.in === 'formData')) {
+    return target;
+  }
+  return param;
+}
+
+/**
+ * Convert a non-body parameter
+ */
+function convertParameter(param) {
+  if (param.$ref) {
+    return param;
+  }
+
+  const { name, in: location, required, description, collectionFormat } = param;
+  const converted = {
+    name,
+    in: location,
+    required: location === 'path' ? true : Boolean(required),
+    schema: convertSchema(extractParameterSchema(param))
+  };
+
+  if (description) converted.description = description;
+  if (param['x-example'] !== undefined) converted.example = param['x-example'];
+  if (collectionFormat === 'multi') {
+    converted.style = 'form';
+    converted.explode = true;
+  } else if (collectionFormat && collectionFormat !== 'csv') {
+    converted.style = { ssv: 'spaceDelimited', pipes: 'pipeDelimited' }[collectionFormat] || 'form';
+    converted.explode = false;
+  }
+
+  return converted;
+}
+
+/**
+ * Build a request body from body or formData parameters
+ */
+function convertRequestBody(parameters, consumes) {
+  const bodyParam = parameters.find(param => param.in === 'body');
+  if (bodyParam) {
+    const mediaTypes = consumes.filter(type => !/form/i.test(type));
+    const content = {};
+    for (const mediaType of mediaTypes.length ? mediaTypes : ['application/json']) {
+      content[mediaType] = { schema: convertSchema(bodyParam.schema || {}) };
+      if (bodyParam['x-example'] !== undefined) content[mediaType].example = bodyParam['x-example'];
+    }
+
+    const requestBody = { required: Boolean(bodyParam.required), content };
+    if (bodyParam.description) requestBody.description = bodyParam.description;
+    return requestBody;
+  }
+
+  const formParams = parameters.filter(param => param.in === 'formData');
+  if (formParams.length === 0) {
+    return null;
+  }
+
+  // The clients send every body as JSON; form bodies are reported by
+  // diagnoseRequestBodies in generators/codeGenerator.js
+  const hasFile = formParams.some(param => param.type === 'file');
+  const mediaType = hasFile || consumes.includes('multipart/form-data')
+    ? 'multipart/form-data'
+    : 'application/x-www-form-urlencoded';
+
+  const schema = { type: 'object', properties: {}, required: [] };
+  for (const param of formParams) {
+    schema.properties[param.name] = convertSchema({
+      ...extractParameterSchema(param),
+      description: param.description
+    });
+    if (param.required) schema.required.push(param.name);
+  }
+  if (schema.required.length === 0) delete schema.required;
+
+  return {
+    required: formParams.some(param => param.required),
+    content: { [mediaType]: { schema } }
+  };
+}
+
+/**
+ * Convert a response, moving its schema and examples under content
+ */
+function convertResponse(response, produces) {
+  if (response.$ref) {
+    return response;
+  }
+
+  const converted = { description: response.description || '' };
+
+  if (response.schema) {
+    converted.content = {};
+    for (const mediaType of produces) {
+      converted.content[mediaType] = { schema: convertSchema(response.schema) };
+      if (response.examples?.[mediaType] !== undefined) {
+        converted.content[mediaType].example = response.examples[mediaType];
+      }
+    }
+  }
+
+  if (response.headers) {
+    converted.headers = {};
+    for (const [name, header] of Object.entries(response.headers)) {
+      converted.headers[name] = {
+        description: header.description,
+        schema: convertSchema(extractParameterSchema(header))
+      };
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Collect the schema keywords that Swagger 2.0 puts directly on parameters
+ */
+function extractParameterSchema(param) {
+  const schema = {};
+  for (const key of ['type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum',
+    'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems']) {
+    if (param[key] !== undefined) schema[key] = param[key];
+  }
+  return schema;
+}
+
+function convertSchemaMap(schemas = {}) {
+  const converted = {};
+  for (const [name, schema] of Object.entries(schemas)) {
+    converted[name] = convertSchema(schema);
+  }
+  return converted;
+}
+
+/**
+ * Convert Swagger 2.0 schema dialect differences (file type, x-nullable, string discriminator)
+ */
+function convertSchema(schema) {
+  if (!schema || typeof schema !== 'object' || schema.$ref) {
+    return schema;
+  }
+
+  const converted = { ...schema };
+
+  if (converted.type === 'file') {
+    converted.type = 'string';
+    converted.format = 'binary';
+  }
+  if (converted['x-nullable'] !== undefined) {
+    converted.nullable = converted['x-nullable'];
+    delete converted['x-nullable'];
+  }
+  if (typeof converted.discriminator === 'string') {
+    converted.discriminator = { propertyName: converted.discriminator };
+  }
+  if (converted.items) {
+    converted.items = convertSchema(converted.items);
+  }
+  if (converted.properties) {
+    converted.properties = convertSchemaMap(converted.properties);
+  }
+  if (typeof converted.additionalProperties === 'object') {
+    converted.additionalProperties = convertSchema(converted.additionalProperties);
+  }
+  if (Array.isArray(converted.allOf)) {
+    converted.allOf = converted.allOf.map(convertSchema);
+  }
+
+  return converted;
+}
+
+/**
+ * Point Swagger 2.0 style $refs at their OpenAPI 3 component locations
+ */
+function rewriteRefs(value) {
+  if (Array.isArray(value)) {
+    return value.map(rewriteRefs);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const rewritten = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key === '$ref' && typeof child === 'string') {
+      const rule = REF_REWRITES.find(([from]) => child.startsWith(from));
+      rewritten[key] = rule ? child.replace(rule[0], rule[1]) : child;
+    } else {
+      rewritten[key] = rewriteRefs(child);
+    }
+  }
+  return rewritten;
+}
+
+module.exports = { isSwagger2, convertSwagger2 };
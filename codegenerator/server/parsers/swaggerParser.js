@@ -1,26 +1,26 @@
 const SwaggerParser = require('swagger-parser');
+const yaml = require('js-yaml');
+const { SchemaRegistry, dereference, toModelName } = require('./schemaRegistry');
+const { isSwagger2, convertSwagger2 } = require('./swagger2Converter');
+const { lintOpenApi } = require('./diagnostics');
 
 /**
  * Parse Swagger/OpenAPI specification
- * @param {string} content - Swagger JSON content
+ * @param {string} content - Swagger JSON or YAML content
  * @returns {Object} Parsed API data
  */
 async function parseSwagger(content) {
   try {
     // Parse and validate the Swagger spec
-    const api = await SwaggerParser.parse(JSON.parse(content));
-    
-    const baseUrl = api.servers?.[0]?.url || api.host || '';
-    const authMethod = extractAuthMethod(api);
-    const endpoints = extractEndpoints(api);
+    const parsed = await SwaggerParser.parse(loadSpecDocument(content));
     
+    // Swagger 2.0 documents are upgraded so both generations share one extraction path
+    const api = isSwagger2(parsed) ? convertSwagger2(parsed) : parsed;
+
+    // $refs are checked against the document as written so pointers match the upload
     return {
-      baseUrl,
-      authMethod,
-      endpoints,
-      title: api.info?.title || 'API',
-      version: api.info?.version || '1.0.0',
-      description: api.info?.description || ''
+      ...extractApiData(api),
+      diagnostics: lintOpenApi(parsed, api)
     };
   } catch (error) {
     throw new Error(`Failed to parse Swagger specification: ${error.message}`);
@@ -28,57 +28,185 @@ async function parseSwagger(content) {
 }
 
 /**
- * Extract authentication method from Swagger spec
+ * Extract the parsed API data from an OpenAPI 3.x document.
+ * Formats that are converted to OpenAPI first (RAML, API Blueprint) use it too.
+ * @param {Object} api - OpenAPI 3.x document
+ * @returns {Object} Parsed API data
  */
-function extractAuthMethod(api) {
-  const securitySchemes = api.components?.securitySchemes || {};
+function extractApiData(api) {
+  const baseUrl = api.servers?.[0]?.url || '';
+  const securitySchemes = extractSecuritySchemes(api);
+  const authMethod = extractAuthMethod(securitySchemes);
+  const registry = new SchemaRegistry(api).registerComponents();
+  const endpoints = extractEndpoints(api, registry);
   
-  for (const [name, scheme] of Object.entries(securitySchemes)) {
+  return {
+    baseUrl,
+    authMethod,
+    endpoints,
+    securitySchemes,
+    security: api.security || [],
+    schemas: registry.schemas,
+    title: api.info?.title || 'API',
+    version: api.info?.version || '1.0.0',
+    description: api.info?.description || ''
+  };
+}
+
+/**
+ * Load the spec document from JSON or YAML text.
+ * Multi-document YAML streams are searched for the document that declares
+ * one of the given version keys (`openapi` or `swagger` by default).
+ * @param {string} content - JSON or YAML text
+ * @param {Array<string>} versionKeys - Top-level keys that identify the spec document
+ * @returns {Object} Spec document
+ */
+function loadSpecDocument(content, versionKeys = ['openapi', 'swagger']) {
+  if (!content || content.trim() === '') {
+    throw new Error('Empty specification content');
+  }
+
+  // Strip a leading byte order mark, common in files exported on Windows
+  const text = content.replace(/^\uFEFF/, '');
+
+  if (text.trim().startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Fall through to YAML, which also accepts flow-style mappings
+    }
+  }
+
+  let documents;
+  try {
+    documents = yaml.loadAll(text).filter(doc => doc && typeof doc === 'object');
+  } catch (error) {
+    throw new Error(`Content is neither valid JSON nor valid YAML: ${error.message}`);
+  }
+
+  const spec = documents.find(doc => versionKeys.some(key => doc[key])) || documents[0];
+  if (!spec) {
+    throw new Error('No specification document found in the provided content');
+  }
+
+  return spec;
+}
+
+/**
+ * Extract all declared security schemes, keyed by scheme name
+ */
+function extractSecuritySchemes(api) {
+  const securitySchemes = {};
+  
+  for (const [name, scheme] of Object.entries(api.components?.securitySchemes || {})) {
     switch (scheme.type) {
-      case 'http':
-        if (scheme.scheme === 'bearer') {
-          return { type: 'bearer', name: 'Authorization', description: scheme.description };
-        } else if (scheme.scheme === 'basic') {
-          return { type: 'basic', name: 'Authorization', description: scheme.description };
+      case 'http': {
+        const httpScheme = (scheme.scheme || '').toLowerCase();
+        if (httpScheme === 'bearer') {
+          securitySchemes[name] = {
+            type: 'bearer',
+            name: 'Authorization',
+            in: 'header',
+            bearerFormat: scheme.bearerFormat,
+            description: scheme.description
+          };
+        } else if (httpScheme === 'basic') {
+          securitySchemes[name] = { type: 'basic', name: 'Authorization', in: 'header', description: scheme.description };
         }
         break;
+      }
       case 'apiKey':
-        return { 
-          type: 'apiKey', 
-          name: scheme.name, 
+        securitySchemes[name] = {
+          type: 'apiKey',
+          name: scheme.name,
           in: scheme.in || 'header',
-          description: scheme.description 
+          description: scheme.description
         };
+        break;
       case 'oauth2':
-        return { type: 'oauth2', name: 'Authorization', description: scheme.description };
+        securitySchemes[name] = {
+          type: 'oauth2',
+          name: 'Authorization',
+          in: 'header',
+          description: scheme.description,
+          flows: extractOAuthFlows(scheme.flows)
+        };
+        break;
+      case 'openIdConnect':
+        securitySchemes[name] = {
+          type: 'oauth2',
+          name: 'Authorization',
+          in: 'header',
+          description: scheme.description,
+          flows: {},
+          openIdConnectUrl: scheme.openIdConnectUrl
+        };
+        break;
     }
   }
   
-  return { type: 'none' };
+  return securitySchemes;
+}
+
+/**
+ * Extract OAuth 2.0 flows (token endpoints and available scopes) from a security scheme
+ */
+function extractOAuthFlows(flows = {}) {
+  const extracted = {};
+  
+  for (const flowName of ['clientCredentials', 'authorizationCode', 'password', 'implicit']) {
+    const flow = flows[flowName];
+    if (!flow) continue;
+    
+    extracted[flowName] = {
+      authorizationUrl: flow.authorizationUrl,
+      tokenUrl: flow.tokenUrl,
+      refreshUrl: flow.refreshUrl,
+      scopes: flow.scopes || {}
+    };
+  }
+  
+  return extracted;
+}
+
+/**
+ * Extract the primary authentication method (the first declared scheme)
+ */
+function extractAuthMethod(securitySchemes) {
+  return Object.values(securitySchemes)[0] || { type: 'none' };
 }
 
 /**
  * Extract endpoints from Swagger spec
  */
-function extractEndpoints(api) {
+function extractEndpoints(api, registry) {
   const endpoints = [];
   const paths = api.paths || {};
   
-  for (const [path, pathItem] of Object.entries(paths)) {
+  for (const [path, rawPathItem] of Object.entries(paths)) {
+    const pathItem = dereference(api, rawPathItem) || {};
+    
     for (const [method, operation] of Object.entries(pathItem)) {
       if (['get', 'post', 'put', 'delete', 'patch', 'head', 'options'].includes(method)) {
+        const operationId = operation.operationId || `${method}_${path.replace(/[^a-zA-Z0-9]/g, '_')}`;
+        const modelPrefix = toModelName(operationId);
+        
         const endpoint = {
           method: method.toUpperCase(),
           path,
           fullUrl: `${api.servers?.[0]?.url || ''}${path}`,
           summary: operation.summary || '',
           description: operation.description || '',
-          operationId: operation.operationId || `${method}_${path.replace(/[^a-zA-Z0-9]/g, '_')}`,
-          parameters: extractParameters(operation.parameters || []),
-          requestBody: extractRequestBody(operation.requestBody),
-          responses: extractResponses(operation.responses || {}),
+          operationId,
+          parameters: extractParameters(
+            mergeParameters(api, pathItem.parameters || [], operation.parameters || []),
+            registry
+          ),
+          requestBody: extractRequestBody(dereference(api, operation.requestBody), registry, `${modelPrefix}Request`),
+          responses: extractResponses(api, operation.responses || {}, registry, modelPrefix),
           security: operation.security || api.security || [],
-          tags: operation.tags || []
+          tags: operation.tags || [],
+          deprecated: Boolean(operation.deprecated)
         };
         
         endpoints.push(endpoint);
@@ -89,30 +217,53 @@ function extractEndpoints(api) {
   return endpoints;
 }
 
+/**
+ * Merge path-level and operation-level parameters.
+ * Operation parameters override path parameters with the same name and location.
+ */
+function mergeParameters(api, pathParameters, operationParameters) {
+  const merged = new Map();
+  
+  for (const raw of [...pathParameters, ...operationParameters]) {
+    const param = dereference(api, raw);
+    if (param?.name) {
+      merged.set(`${param.in}:${param.name}`, param);
+    }
+  }
+  
+  return Array.from(merged.values());
+}
+
 /**
  * Extract parameters from endpoint
  */
-function extractParameters(parameters) {
-  return parameters.map(param => ({
-    name: param.name,
-    in: param.in, // path, query, header, cookie
-    required: param.required || false,
-    type: param.schema?.type || 'string',
-    description: param.description || '',
-    example: param.example || param.schema?.example,
-    format: param.schema?.format,
-    enum: param.schema?.enum
-  }));
+function extractParameters(parameters, registry) {
+  return parameters.map(param => {
+    const schema = registry.normalize(param.schema, toModelName(param.name));
+    const model = schema.ref ? registry.schemas[schema.ref] || {} : schema;
+    
+    return {
+      name: param.name,
+      in: param.in, // path, query, header, cookie
+      required: param.required || false,
+      type: model.type || 'string',
+      description: param.description || '',
+      example: param.example ?? param.schema?.example,
+      format: model.format,
+      enum: model.enum,
+      schema
+    };
+  });
 }
 
 /**
  * Extract request body schema
  */
-function extractRequestBody(requestBody) {
+function extractRequestBody(requestBody, registry, modelName) {
   if (!requestBody) return null;
   
   const content = requestBody.content || {};
-  const mediaType = Object.keys(content)[0] || 'application/json';
+  const mediaType = pickMediaType(content);
   const schema = content[mediaType]?.schema;
   
   if (!schema) return null;
@@ -120,38 +271,53 @@ function extractRequestBody(requestBody) {
   return {
     required: requestBody.required || false,
     mediaType,
-    schema: {
-      type: schema.type,
-      properties: schema.properties || {},
-      required: schema.required || [],
-      example: content[mediaType]?.example
-    }
+    schema: registry.describe(registry.normalize(schema, modelName), extractExample(content[mediaType]))
   };
 }
 
 /**
  * Extract response schemas
  */
-function extractResponses(responses) {
+function extractResponses(api, responses, registry, modelPrefix) {
   const extracted = {};
   
-  for (const [code, response] of Object.entries(responses)) {
+  for (const [code, rawResponse] of Object.entries(responses)) {
+    const response = dereference(api, rawResponse) || {};
     const content = response.content || {};
-    const mediaType = Object.keys(content)[0] || 'application/json';
+    const mediaType = pickMediaType(content);
     const schema = content[mediaType]?.schema;
+    const isSuccess = code === 'default' || code.startsWith('2');
+    const modelName = `${modelPrefix}${isSuccess ? '' : code}Response`;
     
     extracted[code] = {
       description: response.description || '',
       mediaType,
-      schema: schema ? {
-        type: schema.type,
-        properties: schema.properties || {},
-        example: content[mediaType]?.example
-      } : null
+      schema: schema
+        ? registry.describe(registry.normalize(schema, modelName), extractExample(content[mediaType]))
+        : null
     };
   }
   
   return extracted;
 }
 
-module.exports = { parseSwagger }; 
\ No newline at end of file
+/**
+ * Prefer a JSON media type when several are declared
+ */
+function pickMediaType(content) {
+  const mediaTypes = Object.keys(content);
+  return mediaTypes.find(type => /json/i.test(type)) || mediaTypes[0] || 'application/json';
+}
+
+/**
+ * Extract an example value from a media type object
+ */
+function extractExample(mediaTypeObject) {
+  if (!mediaTypeObject) return undefined;
+  if (mediaTypeObject.example !== undefined) return mediaTypeObject.example;
+  
+  const firstExample = Object.values(mediaTypeObject.examples || {})[0];
+  return firstExample?.value;
+}
+
+module.exports = { parseSwagger, extractApiData, loadSpecDocument, extractSecuritySchemes, extractAuthMethod };
\ No newline at end of file
@@ -0,0 +1,548 @@
+/**
+ * Traffic Inference
+ * Builds the parsed API data model from recorded HTTP exchanges (HAR captures,
+ * cURL commands). Requests to the dominant origin are clustered into endpoints
+ * by method and path template; numeric, UUID and long hex path segments, and
+ * {name} placeholders, become path parameters. Parameter, body and response
+ * schemas are inferred from the recorded values and credentials seen on the
+ * wire become security schemes.
+ *
+ * Exchanges share one shape:
+ *   {
+ *     method, url,
+ *     headers: [{ name, value }],
+ *     body: { mimeType, text, params: [{ name, value, fileName }], fileName } | null,
+ *     response: { status, statusText, mimeType, text } | null,
+ *     resourceType
+ *   }
+ */
+const { SchemaRegistry, toModelName, resolvePointer } = require('./schemaRegistry');
+const { visitModelRefs } = require('../ir/intermediateRepresentation');
+const { reserveOperationId } = require('./operationIds');
+const { inferSchema, parseJsonExample, coerceScalar } = require('./schemaInference');
+
+/**
+ * Path segments that identify a resource rather than name one
+ */
+const ID_SEGMENT_PATTERNS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^(?=.*\d)[0-9a-f]{16,}$/i
+];
+
+/**
+ * A path segment that is already a named parameter, e.g. {userId}
+ */
+const PLACEHOLDER_SEGMENT = /^\{([A-Za-z_][\w-]*)\}$/;
+
+/**
+ * Headers added by browsers and HTTP clients that are not part of the API contract
+ */
+const IGNORED_HEADERS = [
+  'host', 'connection', 'content-length', 'content-type', 'accept', 'accept-encoding',
+  'accept-language', 'user-agent', 'referer', 'origin', 'cookie', 'cache-control', 'pragma',
+  'dnt', 'te', 'priority', 'upgrade-insecure-requests', 'if-none-match', 'if-modified-since',
+  'x-requested-with', 'authorization'
+];
+
+/**
+ * Header and query parameter names that carry an API key
+ */
+const API_KEY_HEADERS = ['x-api-key', 'api-key', 'apikey', 'x-apikey', 'x-auth-token', 'x-access-token'];
+const API_KEY_QUERY_PARAMS = ['api_key', 'apikey', 'api-key', 'access_token', 'key', 'token'];
+
+/**
+ * Browser resource types and file extensions that are never API calls
+ */
+const STATIC_RESOURCE_TYPES = ['document', 'stylesheet', 'script', 'image', 'font', 'media', 'manifest', 'texttrack', 'websocket'];
+const STATIC_EXTENSIONS = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|woff2?|ttf|eot|html?)$/i;
+
+/**
+ * Leading path segments shared by a whole API that belong in the base URL, e.g. /api/v1
+ */
+const BASE_PATH_SEGMENT = /^(api|rest|v\d+(\.\d+)?)$/i;
+
+/**
+ * Infer the parsed API data from recorded exchanges
+ * @param {Array<Object>} exchanges - Recorded request/response pairs
+ * @param {Object} [info] - Title and description overrides
+ * @returns {Object} Parsed API data
+ */
+function inferApiFromTraffic(exchanges, info = {}) {
+  const requests = exchanges.filter(isApiExchange);
+  if (requests.length === 0) {
+    throw new Error('No API requests found in the recorded traffic');
+  }
+
+  const origin = pickOrigin(requests);
+  const inScope = requests.filter(exchange => new URL(exchange.url).origin === origin);
+  const basePath = findBasePath(inScope.map(exchange => new URL(exchange.url).pathname));
+  const baseUrl = `${origin}${basePath}`;
+  const context = { securitySchemes: {}, registry: new SchemaRegistry({}), operationIds: new Set(), baseUrl };
+  const endpoints = clusterExchanges(inScope, basePath).map(cluster => buildEndpoint(cluster, context));
+  const schemas = renameSharedModels(endpoints, context.registry.schemas);
+
+  return {
+    baseUrl,
+    authMethod: Object.values(context.securitySchemes)[0] || { type: 'none' },
+    endpoints,
+    securitySchemes: context.securitySchemes,
+    security: [],
+    schemas,
+    title: info.title || `${new URL(origin).hostname} API`,
+    version: '1.0.0',
+    description: info.description || `Inferred from ${inScope.length} recorded request${inScope.length === 1 ? '' : 's'}`
+  };
+}
+
+/**
+ * Keep requests that look like API calls: no CORS preflights or static assets
+ */
+function isApiExchange(exchange) {
+  if (!exchange || !/^https?:\/\//i.test(exchange.url || '') || exchange.method === 'OPTIONS') {
+    return false;
+  }
+  if (STATIC_RESOURCE_TYPES.includes(exchange.resourceType)) {
+    return false;
+  }
+
+  const mimeType = exchange.response?.mimeType || '';
+  if (/^(text\/(html|css)|image\/|font\/)|javascript/i.test(mimeType)) {
+    return false;
+  }
+  return !STATIC_EXTENSIONS.test(new URL(exchange.url).pathname);
+}
+
+/**
+ * The origin that received the most requests; captures often include third-party calls
+ */
+function pickOrigin(requests) {
+  const counts = new Map();
+  for (const exchange of requests) {
+    const origin = new URL(exchange.url).origin;
+    counts.set(origin, (counts.get(origin) || 0) + 1);
+  }
+  return Array.from(counts).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Leading version and `api` segments shared by every path
+ */
+function findBasePath(pathnames) {
+  const segmentLists = pathnames.map(pathname => pathname.split('/').filter(Boolean));
+  const basePath = [];
+
+  for (const segment of segmentLists[0]) {
+    const index = basePath.length;
+    const shared = segmentLists.every(segments => segments[index] === segment && segments.length > index + 1);
+    if (!shared || !BASE_PATH_SEGMENT.test(segment)) break;
+    basePath.push(segment);
+  }
+
+  return basePath.length > 0 ? `/${basePath.join('/')}` : '';
+}
+
+/**
+ * Group exchanges by method and path template. Templates are compared without
+ * their parameter names, so /items/55 and /items/{id} are one endpoint; a
+ * {name} placeholder names the parameter over a name inferred from a value.
+ * @param {Array<Object>} exchanges - Recorded exchanges
+ * @param {string} basePath - Path prefix that belongs to the base URL
+ * @returns {Array<Object>} Clusters of { method, path, pathParams, exchanges, segments }
+ */
+function clusterExchanges(exchanges, basePath) {
+  const clusters = new Map();
+
+  for (const exchange of exchanges) {
+    const method = (exchange.method || 'GET').toUpperCase();
+    const segments = new URL(exchange.url).pathname.slice(basePath.length).split('/').filter(Boolean).map(decodeSegment);
+    const template = toPathTemplate(segments);
+    const key = `${method} ${template.path.replace(/\{[^/]*\}/g, '{}')}`;
+
+    if (!clusters.has(key)) {
+      clusters.set(key, { method, ...template, exchanges: [], segments: [] });
+    }
+    const cluster = clusters.get(key);
+    cluster.exchanges.push(exchange);
+    cluster.segments.push(segments);
+    template.pathParams.forEach((param, position) => {
+      const current = cluster.pathParams[position];
+      if (param.placeholder && !current.placeholder && !cluster.pathParams.some(other => other.name === param.name)) {
+        cluster.pathParams[position] = param;
+        cluster.path = cluster.path.split('/').map((segment, index) => index === param.index + 1 ? `{${param.name}}` : segment).join('/');
+      }
+    });
+  }
+
+  return Array.from(clusters.values());
+}
+
+/**
+ * Replace identifier segments of a path with named parameters
+ * @param {Array<string>} segments - Recorded path segments
+ * @returns {{path: string, pathParams: Array<Object>}} Templated path, e.g. /users/{userId}, and its parameters
+ */
+function toPathTemplate(segments) {
+  const pathParams = [];
+  const templated = segments.map((segment, index, all) => {
+    const placeholder = PLACEHOLDER_SEGMENT.exec(segment);
+    if (placeholder) {
+      pathParams.push({ name: placeholder[1], index, placeholder: true });
+      return segment;
+    }
+    if (!isIdSegment(segment)) {
+      return segment;
+    }
+
+    const previous = all[index - 1];
+    const isNamed = previous && !isIdSegment(previous) && !PLACEHOLDER_SEGMENT.test(previous);
+    const baseName = isNamed ? `${toCamelCase(singularize(previous))}Id` : 'id';
+    let name = baseName;
+    for (let suffix = 2; pathParams.some(param => param.name === name); suffix++) {
+      name = `${baseName}${suffix}`;
+    }
+
+    pathParams.push({ name, index });
+    return `{${name}}`;
+  });
+
+  return { path: `/${templated.join('/')}`, pathParams };
+}
+
+/**
+ * Build an endpoint from a cluster of exchanges
+ */
+function buildEndpoint(cluster, context) {
+  const { method, path, pathParams, exchanges, segments } = cluster;
+  const operationId = generateOperationId(method, path, context.operationIds);
+  const modelPrefix = toModelName(operationId);
+  const urls = exchanges.map(exchange => new URL(exchange.url));
+  const firstStatic = path.split('/').find(segment => segment && !segment.startsWith('{'));
+
+  return {
+    method,
+    path,
+    fullUrl: `${context.baseUrl}${path}`,
+    summary: `${method} ${path}`,
+    description: `Inferred from ${exchanges.length} recorded request${exchanges.length === 1 ? '' : 's'}`,
+    operationId,
+    parameters: [
+      ...pathParams.map(param => extractPathParameter(param, segments)),
+      ...extractQueryParameters(urls),
+      ...extractHeaderParameters(exchanges)
+    ],
+    requestBody: extractRequestBody(exchanges, context.registry, `${modelPrefix}Request`),
+    responses: extractResponses(exchanges, context.registry, modelPrefix),
+    security: extractSecurity(exchanges, context.securitySchemes),
+    tags: firstStatic ? [firstStatic] : []
+  };
+}
+
+/**
+ * Models are named after the endpoint that recorded them first, and identical
+ * shapes are merged, so a model other endpoints reuse would carry that
+ * endpoint's name. Shared models swap the owner's prefix for `Shared` instead,
+ * e.g. GetUsersByUserIdOrdersResponseItem becomes SharedResponseItem.
+ * @param {Array<Object>} endpoints - Inferred endpoints; their refs are renamed in place
+ * @param {Object} schemas - Inferred models by name
+ * @returns {Object} The models under their final names, in the same order
+ */
+function renameSharedModels(endpoints, schemas) {
+  const owners = new Map();
+  for (const endpoint of endpoints) {
+    const reached = new Set();
+    const pending = [];
+    const collect = ref => {
+      if (!reached.has(ref) && schemas[ref]) {
+        reached.add(ref);
+        pending.push(ref);
+      }
+    };
+    visitModelRefs([endpoint.requestBody, endpoint.responses], collect);
+    while (pending.length > 0) {
+      visitModelRefs(schemas[pending.pop()], collect);
+    }
+    reached.forEach(name => owners.set(name, [...(owners.get(name) || []), endpoint]));
+  }
+
+  const renames = new Map();
+  const taken = name => Boolean(schemas[name]) || [...renames.values()].includes(name);
+  for (const [name, [owner, ...others]] of owners) {
+    const prefix = toModelName(owner.operationId);
+    if (others.length === 0 || !name.startsWith(prefix)) continue;
+    const base = `Shared${name.slice(prefix.length)}`;
+    let candidate = base;
+    for (let suffix = 2; taken(candidate); suffix++) {
+      candidate = `${base}${suffix}`;
+    }
+    renames.set(name, candidate);
+  }
+  if (renames.size === 0) {
+    return schemas;
+  }
+
+  const renamed = Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [renames.get(name) || name, schema]));
+  for (const target of [...endpoints, ...Object.values(renamed)]) {
+    visitModelRefs(target, (ref, pointer) => {
+      if (renames.has(ref)) {
+        resolvePointer(target, `#${pointer.slice(0, -'/ref'.length)}`).ref = renames.get(ref);
+      }
+    });
+  }
+  return renamed;
+}
+
+/**
+ * Describe a path parameter from its recorded values; placeholders carry no example
+ */
+function extractPathParameter(param, segments) {
+  const values = segments.map(list => list[param.index]).filter(value => !PLACEHOLDER_SEGMENT.test(value));
+  return toParameter(param.name, 'path', values, true);
+}
+
+/**
+ * Describe the query parameters seen across requests; those sent every time are required
+ */
+function extractQueryParameters(urls) {
+  const names = [];
+  for (const url of urls) {
+    for (const name of url.searchParams.keys()) {
+      if (!names.includes(name) && !isApiKeyQueryParam(name)) names.push(name);
+    }
+  }
+
+  return names.map(name => {
+    const values = urls.map(url => url.searchParams.get(name)).filter(value => value !== null);
+    return toParameter(name, 'query', values, values.length === urls.length);
+  });
+}
+
+/**
+ * Describe the custom request headers seen across requests
+ */
+function extractHeaderParameters(exchanges) {
+  const names = new Map();
+  for (const exchange of exchanges) {
+    for (const header of exchange.headers || []) {
+      const key = header.name.toLowerCase();
+      if (!names.has(key) && isContractHeader(key)) names.set(key, header.name);
+    }
+  }
+
+  return Array.from(names, ([key, name]) => {
+    const values = exchanges
+      .map(exchange => (exchange.headers || []).find(header => header.name.toLowerCase() === key)?.value)
+      .filter(value => value !== undefined);
+    return toParameter(name, 'header', values, values.length === exchanges.length);
+  });
+}
+
+/**
+ * Build a parameter from its recorded textual values
+ */
+function toParameter(name, location, values, required) {
+  const inferred = inferSchema(values.map(coerceScalar));
+  // Values of mixed kinds are documented as plain strings
+  const schema = inferred.oneOf ? { type: 'string' } : inferred;
+  return {
+    name,
+    in: location,
+    required,
+    type: schema.type || 'string',
+    description: '',
+    example: schema.type === 'string' ? values[0] : coerceScalar(values[0]),
+    format: schema.format,
+    schema
+  };
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+function isIdSegment(segment) {
+  return ID_SEGMENT_PATTERNS.some(pattern => pattern.test(segment));
+}
+
+function isContractHeader(name) {
+  return !IGNORED_HEADERS.includes(name) && !API_KEY_HEADERS.includes(name) &&
+    !name.startsWith('sec-') && !name.startsWith(':');
+}
+
+function isApiKeyQueryParam(name) {
+  return API_KEY_QUERY_PARAMS.includes(name.toLowerCase());
+}
+
+/**
+ * Infer the request body schema from every recorded body. A body with a
+ * fileName is an uploaded file whose contents were not recorded.
+ */
+function extractRequestBody(exchanges, registry, modelName) {
+  const bodies = exchanges.map(exchange => exchange.body).filter(body => body && (body.text || body.params?.length || body.fileName));
+  if (bodies.length === 0) return null;
+
+  const mediaType = (bodies[0].mimeType || 'application/json').split(';')[0].trim();
+  const required = bodies.length === exchanges.length;
+  if (bodies[0].fileName) {
+    return { required, mediaType, schema: registry.describe({ type: 'string', format: 'binary' }) };
+  }
+
+  let samples;
+  let schema;
+  if (/multipart\/form-data|x-www-form-urlencoded/i.test(mediaType)) {
+    samples = bodies.map(body => toFormSample(body));
+    schema = inferSchema(samples);
+    for (const param of bodies.flatMap(body => body.params || []).filter(param => param.fileName)) {
+      schema.properties[param.name] = { type: 'string', format: 'binary' };
+    }
+  } else {
+    samples = bodies.map(body => parseJsonExample(body.text)).filter(sample => sample !== undefined);
+    schema = samples.length > 0 ? inferSchema(samples) : null;
+  }
+
+  return {
+    required,
+    mediaType,
+    schema: samples.length > 0
+      ? registry.describe(registry.normalize(schema, modelName), samples[0])
+      : { type: 'object', properties: {}, example: bodies[0].text }
+  };
+}
+
+/**
+ * Turn form fields into an example object; uploaded files are binary strings
+ */
+function toFormSample(body) {
+  const params = body.params?.length ? body.params : parseUrlEncoded(body.text);
+  const sample = {};
+  for (const param of params) {
+    sample[param.name] = param.fileName ? `(binary: ${param.fileName})` : coerceScalar(param.value ?? '');
+  }
+  return sample;
+}
+
+function parseUrlEncoded(text) {
+  return Array.from(new URLSearchParams(text || ''), ([name, value]) => ({ name, value }));
+}
+
+/**
+ * Infer response schemas, merging responses that share a status code
+ */
+function extractResponses(exchanges, registry, modelPrefix) {
+  const groups = new Map();
+  for (const exchange of exchanges) {
+    if (!exchange.response?.status) continue;
+    const code = String(exchange.response.status);
+    if (!groups.has(code)) groups.set(code, []);
+    groups.get(code).push(exchange.response);
+  }
+
+  const extracted = {};
+  for (const [code, responses] of groups) {
+    const samples = responses.map(response => parseJsonExample(response.text)).filter(sample => sample !== undefined);
+    const isSuccess = code.startsWith('2');
+
+    extracted[code] = {
+      description: responses[0].statusText || `Response ${code}`,
+      mediaType: (responses[0].mimeType || 'application/json').split(';')[0].trim(),
+      schema: samples.length > 0
+        ? registry.describe(registry.normalize(inferSchema(samples), `${modelPrefix}${isSuccess ? '' : code}Response`), samples[0])
+        : null
+    };
+  }
+  return extracted;
+}
+
+/**
+ * Security requirements from the credentials sent with the recorded requests.
+ * Credentials seen on only some requests make authentication optional.
+ */
+function extractSecurity(exchanges, securitySchemes) {
+  const used = exchanges.map(exchange => detectCredentialScheme(exchange, securitySchemes));
+  const schemeNames = [...new Set(used.filter(Boolean))];
+  const requirements = schemeNames.map(name => ({ [name]: [] }));
+
+  if (requirements.length > 0 && used.some(name => !name)) {
+    requirements.push({});
+  }
+  return requirements;
+}
+
+/**
+ * Register the scheme of the credential an exchange carries
+ * @returns {string|null} Scheme name, or null when the request is anonymous
+ */
+function detectCredentialScheme(exchange, securitySchemes) {
+  const headers = exchange.headers || [];
+  const authorization = headers.find(header => header.name.toLowerCase() === 'authorization')?.value;
+
+  if (authorization) {
+    if (/^bearer\s/i.test(authorization)) {
+      return registerScheme({ type: 'bearer', name: 'Authorization', in: 'header', description: 'Bearer token authentication' }, securitySchemes);
+    }
+    if (/^basic\s/i.test(authorization)) {
+      return registerScheme({ type: 'basic', name: 'Authorization', in: 'header', description: 'Basic authentication' }, securitySchemes);
+    }
+    return registerScheme({ type: 'apiKey', name: 'Authorization', in: 'header', description: 'API Key authentication' }, securitySchemes);
+  }
+
+  const apiKeyHeader = headers.find(header => API_KEY_HEADERS.includes(header.name.toLowerCase()));
+  if (apiKeyHeader) {
+    return registerScheme({ type: 'apiKey', name: apiKeyHeader.name, in: 'header', description: 'API Key authentication' }, securitySchemes);
+  }
+
+  const apiKeyParam = Array.from(new URL(exchange.url).searchParams.keys()).find(isApiKeyQueryParam);
+  if (apiKeyParam) {
+    return registerScheme({ type: 'apiKey', name: apiKeyParam, in: 'query', description: 'API Key authentication' }, securitySchemes);
+  }
+
+  return null;
+}
+
+/**
+ * Add a scheme to the registry, reusing an existing entry with the same definition
+ */
+function registerScheme(scheme, securitySchemes) {
+  const existing = Object.entries(securitySchemes).find(([, candidate]) =>
+    candidate.type === scheme.type && candidate.name.toLowerCase() === scheme.name.toLowerCase() && candidate.in === scheme.in
+  );
+  if (existing) {
+    return existing[0];
+  }
+
+  const baseName = `${scheme.type}Auth`;
+  let schemeName = baseName;
+  for (let suffix = 2; securitySchemes[schemeName]; suffix++) {
+    schemeName = `${baseName}${suffix}`;
+  }
+  securitySchemes[schemeName] = scheme;
+  return schemeName;
+}
+
+/**
+ * Generate a unique operation ID such as getUsersByUserIdOrders
+ */
+function generateOperationId(method, path, operationIds) {
+  const parts = path.split('/').filter(Boolean).map(segment => {
+    const param = /^\{(.+)\}$/.exec(segment);
+    return param ? `By${toModelName(param[1])}` : toModelName(segment);
+  });
+  return reserveOperationId(`${method.toLowerCase()}${parts.join('') || 'Root'}`, operationIds);
+}
+
+function singularize(word) {
+  if (/ies$/i.test(word)) return word.replace(/ies$/i, 'y');
+  if (/(s|x|z|ch|sh)es$/i.test(word)) return word.replace(/es$/i, '');
+  return word.replace(/s$/i, '');
+}
+
+function toCamelCase(value) {
+  const name = toModelName(value);
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+module.exports = { inferApiFromTraffic };
@@ -0,0 +1,220 @@
+const axios = require('axios');
+const path = require('path');
+const { detectInputType, chooseInputType } = require('../parsers/inputDetector');
+const { loadSpecDocument } = require('../parsers/swaggerParser');
+const { bundleExternalRefs, hasExternalRefs } = require('../parsers/externalRefs');
+
+/**
+ * Source URL Fetching
+ * Downloads API documentation from a URL for the generate endpoint: the
+ * response is size-limited and decoded as text, its input type is detected
+ * from the content, and OpenAPI or AsyncAPI documents that `$ref` sibling
+ * files on the same host are bundled into one document before parsing.
+ */
+
+/**
+ * Largest single document, matching the upload limit
+ */
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Largest total download for a document and its referenced files
+ */
+const MAX_TOTAL_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Most referenced files followed for one source
+ */
+const MAX_DOCUMENTS = 50;
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Fetch documentation from a URL
+ * @param {string} sourceUrl - http(s) URL of the document
+ * @param {Object} [options]
+ * @param {string} [options.inputType] - Input type the user picked, or 'auto'
+ * @returns {Promise<Object>} `{ content, fileName, inputType, detection, contentType, url, documents }`
+ */
+async function fetchSource(sourceUrl, { inputType } = {}) {
+  const url = parseSourceUrl(sourceUrl);
+  const budget = { bytes: 0 };
+  const root = await fetchDocument(url.href, budget);
+
+  const fileName = getFileName(root.url);
+  const detection = detectInputType(root.text, { fileName, contentType: root.contentType });
+  const detectedType = chooseInputType(inputType, detection);
+  if (!detectedType) {
+    throw new Error('Could not recognise the documentation format at the source URL; choose an input type');
+  }
+
+  let content = root.text;
+  let documents = [root.url];
+
+  if (detectedType === 'swagger' || detectedType === 'asyncapi') {
+    const document = loadSpecDocument(root.text, ['openapi', 'swagger', 'asyncapi']);
+    if (hasExternalRefs(document)) {
+      const rootOrigin = new URL(root.url).origin;
+      const bundled = await bundleExternalRefs(document, {
+        location: root.url,
+        maxDocuments: MAX_DOCUMENTS,
+        resolve: (ref, base) => {
+          const target = new URL(ref, base);
+          if (target.origin !== rootOrigin) {
+            throw new Error(`$ref "${ref}" points to another host (${target.origin}); only files next to the document are followed`);
+          }
+          target.hash = '';
+          return target.href;
+        },
+        load: async location => (await fetchDocument(location, budget)).text
+      });
+      content = JSON.stringify(bundled.document);
+      documents = bundled.locations;
+    }
+  }
+
+  return {
+    content,
+    fileName,
+    inputType: detectedType,
+    detection,
+    contentType: root.contentType,
+    url: root.url,
+    documents
+  };
+}
+
+/**
+ * Validate a source URL: http or https, and on the allowed hosts when
+ * SOURCE_URL_ALLOWED_HOSTS is set
+ */
+function parseSourceUrl(sourceUrl) {
+  let url;
+  try {
+    url = new URL(String(sourceUrl).trim());
+  } catch (error) {
+    throw new Error(`Invalid source URL: ${sourceUrl}`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Unsupported source URL protocol "${url.protocol}"; use http or https`);
+  }
+  if (!isAllowedHost(url.hostname)) {
+    throw new Error(`Host "${url.hostname}" is not in SOURCE_URL_ALLOWED_HOSTS`);
+  }
+  return url;
+}
+
+/**
+ * Check a host against the comma-separated SOURCE_URL_ALLOWED_HOSTS list,
+ * where `*.example.com` allows every subdomain. Every host is allowed when the
+ * list is unset.
+ */
+function isAllowedHost(hostname) {
+  const allowed = (process.env.SOURCE_URL_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  if (allowed.length === 0) {
+    return true;
+  }
+
+  const host = hostname.toLowerCase();
+  return allowed.some(pattern => pattern.startsWith('*.')
+    ? host.endsWith(pattern.slice(1))
+    : host === pattern);
+}
+
+/**
+ * Download one document as text, counting its size against the budget
+ */
+async function fetchDocument(url, budget) {
+  const remaining = MAX_TOTAL_BYTES - budget.bytes;
+  const limit = Math.min(MAX_DOCUMENT_BYTES, remaining);
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: MAX_REDIRECTS,
+      maxContentLength: limit,
+      headers: {
+        Accept: 'application/json, application/yaml, text/yaml, text/html, text/plain;q=0.9, */*;q=0.8'
+      },
+      beforeRedirect: options => {
+        parseSourceUrl(options.href);
+      },
+      validateStatus: () => true
+    });
+  } catch (error) {
+    throw new Error(describeRequestError(error, url, limit));
+  }
+
+  if (response.status >= 400) {
+    throw new Error(`${url} responded with HTTP ${response.status}`);
+  }
+
+  const buffer = Buffer.from(response.data);
+  budget.bytes += buffer.length;
+
+  const contentType = response.headers['content-type'] || '';
+  const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+
+  return {
+    url: finalUrl,
+    contentType,
+    text: decodeText(buffer, contentType, url)
+  };
+}
+
+/**
+ * Decode a response body using the charset from its content type
+ */
+function decodeText(buffer, contentType, url) {
+  if (buffer.subarray(0, 8192).includes(0)) {
+    throw new Error(`${url} returned binary content, not a text document`);
+  }
+
+  const charsetMatch = contentType.match(/charset\s*=\s*["']?([\w-]+)/i);
+  let decoder;
+  try {
+    decoder = new TextDecoder(charsetMatch ? charsetMatch[1] : 'utf-8');
+  } catch (error) {
+    decoder = new TextDecoder('utf-8');
+  }
+  return decoder.decode(buffer).replace(/^\uFEFF/, '');
+}
+
+function describeRequestError(error, url, limit) {
+  if (/maxContentLength/.test(error.message)) {
+    return `${url} is larger than the ${Math.round(limit / (1024 * 1024))}MB limit`;
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return `${url} did not respond within ${REQUEST_TIMEOUT_MS / 1000} seconds`;
+  }
+  if (/maxRedirects|Maximum number of redirects/i.test(error.message)) {
+    return `${url} redirected more than ${MAX_REDIRECTS} times`;
+  }
+  if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+    return `Could not connect to ${url} (${error.code})`;
+  }
+  return `Could not fetch ${url}: ${error.message}`;
+}
+
+/**
+ * Name the fetched document after the last path segment of its URL
+ */
+function getFileName(url) {
+  const { pathname, hostname } = new URL(url);
+  const segment = path.posix.basename(pathname);
+  try {
+    return decodeURIComponent(segment) || hostname;
+  } catch (error) {
+    // A malformed escape such as %E0%A4%A keeps the segment as written
+    return segment || hostname;
+  }
+}
+
+module.exports = { fetchSource };
\ No newline at end of file
@@ -0,0 +1,238 @@
+const JSZip = require('jszip');
+const path = require('path');
+const { detectInputType } = require('../parsers/inputDetector');
+const { loadSpecDocument } = require('../parsers/swaggerParser');
+const { bundleExternalRefs, hasExternalRefs } = require('../parsers/externalRefs');
+
+/**
+ * Multi-file Spec Bundles
+ * Reads a ZIP upload, or several uploaded files with their relative paths,
+ * as one bundle: the root document is the one chosen by the user or the only
+ * OpenAPI/AsyncAPI document at the top of the bundle, and its `$ref`s to other
+ * files are resolved inside the bundle. References that leave the bundle
+ * (`../shared.yaml`, absolute paths or URLs) are rejected.
+ */
+
+/**
+ * Most files read from one bundle
+ */
+const MAX_BUNDLE_FILES = 500;
+
+/**
+ * Largest total uncompressed size of a bundle
+ */
+const MAX_BUNDLE_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Preferred root document names when several specs sit at the same depth
+ */
+const ROOT_NAMES = ['openapi', 'swagger', 'asyncapi', 'api', 'index', 'main', 'root'];
+
+/**
+ * Read an uploaded bundle into a single document
+ * @param {Object[]} uploads - Multer files; one ZIP, or several files named by their relative paths
+ * @param {Object} [options]
+ * @param {string} [options.rootFile] - Path of the root document inside the bundle
+ * @returns {Promise<Object>} `{ content, fileName, rootFile, documents, files }`
+ */
+async function readBundle(uploads, { rootFile } = {}) {
+  const files = await collectFiles(uploads);
+  const rootPath = findRootFile(files, rootFile);
+  const text = decodeText(files.get(rootPath));
+
+  let content = text;
+  let documents = [rootPath];
+
+  const { type } = detectInputType(text, { fileName: rootPath });
+  if (type === 'swagger' || type === 'asyncapi') {
+    const document = loadSpecDocument(text, ['openapi', 'swagger', 'asyncapi']);
+    if (hasExternalRefs(document)) {
+      const bundled = await bundleExternalRefs(document, {
+        location: rootPath,
+        maxDocuments: MAX_BUNDLE_FILES,
+        resolve: resolveBundlePath,
+        load: location => {
+          if (!files.has(location)) {
+            throw new Error(`$ref target "${location}" is not in the bundle`);
+          }
+          return decodeText(files.get(location));
+        }
+      });
+      content = JSON.stringify(bundled.document);
+      documents = bundled.locations;
+    }
+  }
+
+  return {
+    content,
+    fileName: path.posix.basename(rootPath),
+    rootFile: rootPath,
+    documents,
+    files: Array.from(files.keys())
+  };
+}
+
+/**
+ * Whether an upload is a ZIP archive, by name or by its PK signature
+ */
+function isZipFile(upload) {
+  return /\.zip$/i.test(upload.originalname) ||
+    (upload.buffer.length > 3 && upload.buffer.readUInt32LE(0) === 0x04034b50);
+}
+
+/**
+ * Map every file of the bundle by its normalized relative path
+ */
+async function collectFiles(uploads) {
+  const files = new Map();
+  let totalBytes = 0;
+
+  const addFile = (name, buffer) => {
+    const filePath = normalizeBundlePath(name);
+    if (files.has(filePath)) {
+      throw new Error(`The bundle contains "${filePath}" more than once`);
+    }
+    if (files.size >= MAX_BUNDLE_FILES) {
+      throw new Error(`The bundle has more than ${MAX_BUNDLE_FILES} files`);
+    }
+    files.set(filePath, buffer);
+  };
+
+  if (uploads.length === 1 && isZipFile(uploads[0])) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(uploads[0].buffer);
+    } catch (error) {
+      throw new Error(`${uploads[0].originalname} is not a valid ZIP archive: ${error.message}`);
+    }
+
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir || isIgnoredEntry(entry.name)) {
+        continue;
+      }
+      const buffer = await readEntry(entry, MAX_BUNDLE_BYTES - totalBytes);
+      totalBytes += buffer.length;
+      addFile(entry.name, buffer);
+    }
+  } else {
+    if (uploads.some(isZipFile)) {
+      throw new Error('Upload either a single ZIP archive or the individual spec files, not both');
+    }
+    uploads
+      .filter(upload => !isIgnoredEntry(upload.originalname))
+      .forEach(upload => addFile(upload.originalname, upload.buffer));
+  }
+
+  if (files.size === 0) {
+    throw new Error('The bundle does not contain any files');
+  }
+  return files;
+}
+
+/**
+ * Decompress one ZIP entry, stopping as soon as it exceeds the size left in
+ * the bundle budget instead of trusting the sizes in the archive
+ */
+function readEntry(entry, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream('nodebuffer');
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.pause();
+        reject(new Error(`The bundle is larger than the ${MAX_BUNDLE_BYTES / (1024 * 1024)}MB limit once extracted`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Pick the root document: the one the user named, otherwise the shallowest
+ * OpenAPI/AsyncAPI document, preferring conventional names on ties
+ */
+function findRootFile(files, rootFile) {
+  const paths = Array.from(files.keys());
+
+  if (rootFile) {
+    const requested = normalizeBundlePath(rootFile);
+    const matches = paths.filter(filePath => filePath === requested || filePath.endsWith(`/${requested}`));
+    if (matches.length !== 1) {
+      throw new Error(matches.length === 0
+        ? `Root document "${rootFile}" is not in the bundle`
+        : `Root document "${rootFile}" matches several files: ${matches.join(', ')}`);
+    }
+    return matches[0];
+  }
+
+  if (paths.length === 1) {
+    return paths[0];
+  }
+
+  const candidates = paths.filter(filePath => {
+    const { type, confidence } = detectInputType(decodeText(files.get(filePath)), { fileName: filePath });
+    return (type === 'swagger' || type === 'asyncapi') && confidence === 1;
+  });
+  if (candidates.length === 0) {
+    throw new Error('No OpenAPI or AsyncAPI root document found in the bundle; choose the root document');
+  }
+
+  const depth = filePath => filePath.split('/').length;
+  const nameRank = filePath => {
+    const rank = ROOT_NAMES.indexOf(path.posix.basename(filePath).replace(/\.[^.]*$/, '').toLowerCase());
+    return rank === -1 ? ROOT_NAMES.length : rank;
+  };
+  const ranked = candidates.sort((a, b) => depth(a) - depth(b) || nameRank(a) - nameRank(b));
+  const [best, next] = ranked;
+
+  if (next && depth(best) === depth(next) && nameRank(best) === nameRank(next)) {
+    throw new Error(`Several documents could be the root (${ranked.join(', ')}); choose the root document`);
+  }
+  return best;
+}
+
+/**
+ * Resolve a $ref against the file it appears in, rejecting references that
+ * leave the bundle
+ */
+function resolveBundlePath(ref, base) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(ref) || ref.startsWith('/') || ref.startsWith('\\')) {
+    throw new Error(`$ref "${ref}" in ${base} points outside the bundle`);
+  }
+  const target = path.posix.normalize(path.posix.join(path.posix.dirname(base), decodeURIComponent(ref)));
+  if (target === '..' || target.startsWith('../')) {
+    throw new Error(`$ref "${ref}" in ${base} points outside the bundle`);
+  }
+  return target;
+}
+
+/**
+ * Normalize a file path inside the bundle: forward slashes, no leading `./`
+ * or `/`, and no `..` segments that climb out of it
+ */
+function normalizeBundlePath(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/')).replace(/^(?:\.?\/)+/, '');
+  if (normalized === '..' || normalized.startsWith('../')) {
+    throw new Error(`Bundle file "${name}" points outside the bundle`);
+  }
+  return normalized;
+}
+
+/**
+ * Archive metadata that is never part of a spec (macOS resource forks, dot files)
+ */
+function isIgnoredEntry(name) {
+  return /(^|\/)__MACOSX\//.test(name) || path.posix.basename(name.replace(/\\/g, '/')).startsWith('.');
+}
+
+function decodeText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+module.exports = { readBundle, isZipFile };
\ No newline at end of file